@@ -20,11 +20,21 @@ const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 const COMMANDS = {
   chat: () => import('./commands/chat.js'),
   serve: () => import('./commands/serve.js'),
+  run: () => import('./commands/run.js'),
   setup: () => import('./commands/setup.js'),
   install: () => import('./commands/install.js'),
   uninstall: () => import('./commands/uninstall.js'),
   plugins: () => import('./commands/plugins.js'),
   schedule: () => import('./commands/schedule.js'),
+  trigger: () => import('./commands/trigger.js'),
+  pipeline: () => import('./commands/pipeline.js'),
+  costs: () => import('./commands/costs.js'),
+  trace: () => import('./commands/trace.js'),
+  sessions: () => import('./commands/sessions.js'),
+  rules: () => import('./commands/rules.js'),
+  permissions: () => import('./commands/permissions.js'),
+  project: () => import('./commands/project.js'),
+  memory: () => import('./commands/memory.js'),
 };
 
 function parseArgs(argv) {
@@ -62,15 +72,28 @@ Usage:
 
 Commands:
   chat      Interactive conversation with Friday (default)
+  run       Run one prompt headless, for scripts and CI
   setup     Guided onboarding wizard
   install   Install a plugin (e.g. friday install github)
   uninstall Remove a plugin
   plugins   List installed and available plugins
   schedule  Manage scheduled agents
+  trigger   Run scheduled agents on webhooks, file changes or other agents
+  pipeline  Run multi-step agent pipelines
+  costs     Spend reports and budgets
+  trace     Timeline of queries, tool calls and costs
+  sessions  List, search, export and import conversations
+  rules     Automation rules, and testing them on a past session
+  permissions Permission audit log; explain which layer decides a tool call
+  project   Show, trust or ignore the workspace's .friday/config.json
+  memory    List, remove and export long-term memories
   serve     Start HTTP/WebSocket server for remote clients
 
 Options:
   --workspace <path>   Working directory for the agent (default: ~/FridayWorkspace)
+  --resume [id]        Resume a past chat session (pick one if no id is given)
+  --continue           Resume the most recent chat session in the workspace
+  --backend <name>     LLM backend for new sessions (claude, openai, google, or ~/.friday/backends.json)
   --port <port>        Server port for 'serve' command (default: 8787)
   --verbose            Show debug output
   --version            Show version
@@ -82,7 +105,21 @@ Examples:
   friday install github          Install GitHub plugin
   friday plugins                 See all plugins
   friday chat --workspace ./myproject
+  friday chat --continue
+  friday run "fix the failing tests" --allow write_file --timeout 600
   friday serve --port 3000
+  friday serve token create --name ios
+  friday trigger add --agent <id> --type webhook --source github --event push
+  friday pipeline run ./weekly-report.yaml
+  friday costs budget daily 5
+  friday trace <sessionId>
+  friday sessions search "stripe webhook"
+  friday sessions export <id> --format html
+  friday rules test <sessionId>
+  friday permissions audit --since 24h --denied
+  friday permissions explain Bash --input "git push"
+  friday project trust --workspace ./myproject
+  friday memory list --search "staging deploy"
 `);
 }
 
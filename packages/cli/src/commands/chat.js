@@ -5,6 +5,9 @@
  * and provides a bottom-pinned input bar with clean, user-friendly output.
  *
  * Use --verbose to see raw debug output (session IDs, tool inputs, etc.)
+ * Use --resume [id] to pick up a past session, or --continue for the most
+ * recent one in this workspace. Use --backend <name> to start new sessions on
+ * an OpenAI-compatible backend instead of Claude.
  */
 
 import { spawn } from 'child_process';
@@ -21,12 +24,13 @@ import {
 } from './chat/ui.js';
 import { renderWelcome } from './chat/welcomeScreen.js';
 import {
-  routeSlashCommand, handleColonCommand, checkPendingResponse,
+  routeSlashCommand, handleColonCommand, checkPendingResponse, resumeFromFlags,
 } from './chat/slashCommands.js';
 import { checkPreQueryHint, checkPostResponseHint } from './chat/smartAffordances.js';
 import { runtimeDir } from '../resolveRuntime.js';
-import { loadApiKeysToEnv } from '../secureKeyStore.js';
+import { loadApiKeysToEnv, loadEnvFileToEnv } from '../secureKeyStore.js';
 import InputLine from './chat/inputLine.js';
+import { projectSummaryLines } from './project.js';
 const serverScript = path.join(runtimeDir, 'friday-server.js');
 
 // ── Tool humanization ────────────────────────────────────────────────────
@@ -300,23 +304,7 @@ export default async function chat(args) {
   }
 
   // Fallback: Also check ~/.friday/.env for legacy keys (will be migrated to keychain)
-  const fridayEnvPath = path.join(os.homedir(), '.friday', '.env');
-  try {
-    if (fs.existsSync(fridayEnvPath)) {
-      const content = fs.readFileSync(fridayEnvPath, 'utf8');
-      for (const line of content.split('\n')) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('#') || !trimmed.includes('=')) continue;
-        const eqIdx = trimmed.indexOf('=');
-        const key = trimmed.slice(0, eqIdx).trim();
-        const val = trimmed.slice(eqIdx + 1).trim();
-        // Only use .env values if not already set from secure storage
-        if (key && val && !process.env[key]) {
-          process.env[key] = val;
-        }
-      }
-    }
-  } catch { /* ignore */ }
+  loadEnvFileToEnv();
 
   const env = { ...process.env, FRIDAY_WORKSPACE: workspacePath };
 
@@ -354,6 +342,7 @@ export default async function chat(args) {
     pause()  { inputLine.pause(); },
     resume() { inputLine.resume(); },
     prompt() { inputLine.prompt(); },
+    write(text) { inputLine.setLine(text); },
     close()  { inputLine.destroy(); },
   };
 
@@ -464,6 +453,32 @@ export default async function chat(args) {
     });
   }
 
+  /**
+   * Ask whether to use the workspace's .friday/config.json. Nothing in it
+   * applies until the user trusts it.
+   */
+  function showProjectTrust(msg) {
+    if (spinner.active) {
+      spinner.stop();
+    }
+    console.log('');
+    console.log(`${YELLOW}${BOLD}This workspace has a project config:${RESET} ${msg.config_path}`);
+    projectSummaryLines(msg.summary).forEach((line) => console.log(`  ${DIM}${line}${RESET}`));
+    (msg.problems || []).forEach((problem) => console.log(`  ${YELLOW}Skipped: ${problem}${RESET}`));
+    console.log(`${DIM}Its MCP servers and rule commands run on your machine. Only trust projects you know.${RESET}`);
+    console.log('');
+    selectOption(
+      [
+        { label: 'Trust this project', value: 'trust' },
+        { label: 'Don\'t trust it', value: 'ignore' },
+      ],
+      { rl: rlCompat }
+    ).then((choice) => {
+      writeMessage({ type: 'project_trust', trusted: choice.value === 'trust', hash: msg.hash });
+      inputLine.prompt();
+    });
+  }
+
   function showRulePrompt() {
     if (pendingRulePrompt || rulePromptQueue.length === 0) return;
     pendingRulePrompt = rulePromptQueue.shift();
@@ -521,6 +536,7 @@ export default async function chat(args) {
     writeMessage,
     selectOption,
     resetSession() { sessionId = null; },
+    setSession(id) { sessionId = id; },
     toggleVerbose() {
       verbose = !verbose;
       if (verbose) {
@@ -535,6 +551,17 @@ export default async function chat(args) {
     },
   };
 
+  // Resume a past session from --resume/--continue before the first prompt
+  async function resumeOnStart() {
+    processingSlashCommand = true;
+    try {
+      await resumeFromFlags(slashCtx, { resume: args.resume, continueLast: args.continue });
+    } finally {
+      processingSlashCommand = false;
+      inputLine.prompt();
+    }
+  }
+
   // ── Backend message handler ────────────────────────────────────────────
 
   function handleBackendLine(line) {
@@ -558,7 +585,11 @@ export default async function chat(args) {
           console.log(renderWelcome());
           console.log('');
           inputLine.init();
-          inputLine.prompt();
+          if (args.resume || args.continue) {
+            resumeOnStart();
+          } else {
+            inputLine.prompt();
+          }
           break;
 
         case 'session':
@@ -638,6 +669,35 @@ export default async function chat(args) {
           if (!pendingRulePrompt) showRulePrompt();
           break;
 
+        case 'project_trust_request':
+          showProjectTrust(msg);
+          break;
+
+        case 'context_compacted':
+          // Automatic compaction before a query; /compact waits for its own reply
+          if (msg.error) break;
+          sessionId = msg.session_id;
+          if (spinner.active) {
+            spinner.stop();
+          }
+          console.log(`\n${DIM}The conversation was getting long, so it was summarized into a new session (${msg.session_id.slice(0, 8)}). /resume ${msg.parent_session_id.slice(0, 8)} for the full history.${RESET}`);
+          spinner.start('Friday is thinking');
+          break;
+
+        case 'memory_updated':
+          if (spinner.active) {
+            spinner.stop();
+          }
+          console.log(`\n${DIM}Remembered in ${msg.scope === 'user' ? '~/.friday/FRIDAY.md' : 'FRIDAY.md'}: ${msg.fact}${RESET}`);
+          break;
+
+        case 'project_trust':
+          console.log(msg.error
+            ? `${RED}${msg.error}${RESET}`
+            : `${DIM}${msg.trusted ? 'Using the project config.' : 'Ignoring the project config.'}${RESET}`);
+          inputLine.prompt();
+          break;
+
         case 'error':
           if (spinner.active) {
             spinner.stop();
@@ -676,6 +736,37 @@ export default async function chat(args) {
           inputLine.prompt();
           break;
 
+        case 'notification':
+          if (spinner.active) {
+            spinner.stop();
+          }
+          console.log(`\n${CYAN}\u25CF ${msg.title}${RESET}${msg.message ? ` ${msg.message}` : ''}`);
+          inputLine.prompt();
+          break;
+
+        case 'rule_action_status':
+          // Report commands and failures of automatic rule actions; the rest show themselves
+          if (msg.prompt_id || !['completed', 'error', 'denied', 'skipped'].includes(msg.status)) break;
+          if (msg.status === 'completed' && msg.exit_code === undefined) break;
+          {
+            const color = msg.status === 'completed' ? DIM : YELLOW;
+            const detail = msg.exit_code !== undefined ? `exit code ${msg.exit_code}` : msg.message || msg.status;
+            console.log(`\n${color}Rule ${msg.rule_id}: ${msg.action_id} — ${detail}${RESET}`);
+            if (msg.status !== 'completed' && msg.output) {
+              console.log(`${DIM}${msg.output.split('\n').slice(-10).join('\n')}${RESET}`);
+            }
+            inputLine.prompt();
+          }
+          break;
+
+        case 'scheduled_agent:review_requested': {
+          const review = msg.review || {};
+          console.log(`\n${YELLOW}\u23F8 ${review.agentName} is waiting for review: ${review.action || review.toolName}${RESET}`);
+          console.log(`${DIM}  Approve, edit or reject it with /schedule${RESET}`);
+          inputLine.prompt();
+          break;
+        }
+
         default:
           break;
       }
@@ -693,7 +784,11 @@ export default async function chat(args) {
       case 'ready':
         console.log('Friday is ready. Type your prompt to begin.');
         inputLine.init();
-        inputLine.prompt();
+        if (args.resume || args.continue) {
+          resumeOnStart();
+        } else {
+          inputLine.prompt();
+        }
         break;
       case 'session':
         sessionId = msg.session_id;
@@ -705,6 +800,10 @@ export default async function chat(args) {
       case 'info':
         console.log(`[info] ${msg.message}`);
         break;
+      case 'context_compacted':
+        if (msg.session_id) sessionId = msg.session_id;
+        console.log(msg.error ? `[compact] ${msg.error}` : `[compact] ${msg.parent_session_id} -> ${msg.session_id}`);
+        break;
       case 'chunk':
         process.stdout.write(msg.text || msg.content || '');
         break;
@@ -723,6 +822,15 @@ export default async function chat(args) {
         rulePromptQueue.push(msg);
         if (!pendingRulePrompt) showRulePrompt();
         break;
+      case 'project_trust_request':
+        showProjectTrust(msg);
+        break;
+      case 'notification':
+        console.log(`[notification] ${msg.title}${msg.message ? `: ${msg.message}` : ''}`);
+        break;
+      case 'rule_action_status':
+        console.log(`[rule] ${msg.rule_id} ${msg.action_id}: ${msg.status}${msg.exit_code !== undefined ? ` (exit ${msg.exit_code})` : ''}`);
+        break;
       case 'error':
         console.log(`[error] ${msg.message}`);
         break;
@@ -894,6 +1002,11 @@ export default async function chat(args) {
     console.log(`\n${PURPLE}▸${RESET} ${BOLD}${line}${RESET}`);
     accumulatedResponse = '';
     spinner.start('Friday is thinking');
-    writeMessage({ type: 'query', message: line, session_id: sessionId });
+    writeMessage({
+      type: 'query',
+      message: line,
+      session_id: sessionId,
+      ...(typeof args.backend === 'string' ? { metadata: { backend: args.backend } } : {}),
+    });
   });
 }
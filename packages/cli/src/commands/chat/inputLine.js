@@ -149,6 +149,14 @@ export default class InputLine {
     return this._buf;
   }
 
+  /** Replace the input buffer (e.g. to offer a prompt for editing). */
+  setLine(text) {
+    this._buf = text;
+    this._cursor = text.length;
+    this._historyIdx = -1;
+    this._renderInput();
+  }
+
   close() {
     this.destroy();
     process.exit(0);
@@ -8,11 +8,12 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { spawnSync } from 'child_process';
 import {
   PURPLE, BLUE, TEAL, ORANGE, PINK, DIM, RESET, BOLD,
   RED, GREEN, CYAN, YELLOW,
   sectionHeader, labelValue, statusBadge, hint, success, error as errorMsg,
-  maskSecret, groupBy, drawBox,
+  maskSecret, groupBy, drawBox, highlightRanges,
 } from './ui.js';
 import { runtimeDir } from '../../resolveRuntime.js';
 import {
@@ -32,9 +33,19 @@ const commands = [
   { name: 'plugins',  aliases: ['p'],   description: 'Install/uninstall/list plugins' },
   { name: 'model',    aliases: ['m', 'models'], description: 'View and configure models' },
   { name: 'keys',     aliases: ['k'],   description: 'Add/update API keys' },
-  { name: 'config',   aliases: [],      description: 'Permission profile, workspace' },
+  { name: 'config',   aliases: [],      description: 'Permission profile and rules, workspace' },
   { name: 'schedule', aliases: [],      description: 'Manage scheduled agents' },
   { name: 'new',      aliases: ['n'],   description: 'New session' },
+  { name: 'sessions', aliases: [],      description: 'List past sessions' },
+  { name: 'search',   aliases: [],      description: 'Search past sessions' },
+  { name: 'resume',   aliases: ['r'],   description: 'Resume a past session' },
+  { name: 'delete-session', aliases: [], description: 'Delete a past session' },
+  { name: 'fork',     aliases: [],      description: 'Branch the session from an earlier message' },
+  { name: 'compact',  aliases: [],      description: 'Summarize the conversation to free up context' },
+  { name: 'export',   aliases: [],      description: 'Save the session as Markdown, HTML or JSON' },
+  { name: 'undo',     aliases: [],      description: "Revert the last turn's file edits" },
+  { name: 'rewind',   aliases: [],      description: 'Revert file edits back to a turn' },
+  { name: 'memory',   aliases: [],      description: 'View, add to or edit FRIDAY.md memory' },
   { name: 'quit',     aliases: ['q'],   description: 'Exit' },
   { name: 'image',    aliases: ['img'], description: 'Quick image generation' },
   { name: 'voice',    aliases: ['v'],   description: 'Quick text-to-speech' },
@@ -363,6 +374,16 @@ export async function routeSlashCommand(input, ctx) {
     case 'config':  await cmdConfig(ctx); break;
     case 'schedule': await cmdSchedule(ctx); break;
     case 'new':     cmdNew(ctx); break;
+    case 'sessions': await cmdSessions(ctx); break;
+    case 'search':  await cmdSearch(ctx, argString); break;
+    case 'resume':  await cmdResume(ctx, argString); break;
+    case 'delete-session': await cmdDeleteSession(ctx, argString); break;
+    case 'fork':    await cmdFork(ctx, argString); break;
+    case 'compact': await cmdCompact(ctx, argString); break;
+    case 'export':  await cmdExport(ctx, argString); break;
+    case 'undo':    await cmdUndo(ctx); break;
+    case 'rewind':  await cmdRewind(ctx, argString); break;
+    case 'memory':  await cmdMemory(ctx, argString); break;
     case 'quit':    cmdQuit(ctx); break;
     case 'image':   cmdImage(ctx, argString); return true; // don't re-prompt, spinner is active
     case 'voice':   cmdVoice(ctx, argString); return true;
@@ -432,7 +453,7 @@ async function cmdStatus(ctx) {
 
   // Permission profile
   const permsData = readJsonSafe(PERMISSIONS_FILE);
-  const profile = permsData?.activeProfile || 'developer';
+  const profile = permsData?.profile || 'developer';
   console.log(labelValue('Profile', profile));
 
   // Verbose
@@ -464,6 +485,20 @@ async function cmdStatus(ctx) {
     console.log(labelValue('Agents', `${DIM}(unavailable)${RESET}`));
   }
 
+  // Spend from the cost ledgers
+  try {
+    const { default: costTracker } = await import(path.join(runtimeDir, 'src', 'providers', 'CostTracker.js'));
+    const spend = costTracker.getSpend({ sessionId: ctx.sessionId });
+    const budgets = costTracker.getBudgets();
+    const withLimit = (spent, limit) => `$${spent.toFixed(2)}${limit != null ? ` ${DIM}/ $${limit.toFixed(2)}${RESET}` : ''}`;
+    console.log('');
+    console.log(labelValue('Today', withLimit(spend.today, budgets.daily)));
+    console.log(labelValue('This month', withLimit(spend.month, budgets.monthly)));
+    if (ctx.sessionId) console.log(labelValue('Session', withLimit(spend.session, budgets.session)));
+  } catch {
+    console.log(labelValue('Spend', `${DIM}(unavailable)${RESET}`));
+  }
+
   console.log('');
 }
 
@@ -919,7 +954,7 @@ async function cmdConfig(ctx) {
 
   // Read current config
   const permsData = readJsonSafe(PERMISSIONS_FILE);
-  const profile = permsData?.activeProfile || 'developer';
+  const profile = permsData?.profile || 'developer';
   const configData = readJsonSafe(CONFIG_FILE) || {};
   const workspace = ctx.workspacePath;
 
@@ -929,28 +964,33 @@ async function cmdConfig(ctx) {
 
   const choice = await ctx.selectOption([
     { label: 'Change permission profile', value: 'profile' },
+    { label: 'Edit permission rules', value: 'rules' },
     { label: 'Change workspace path', value: 'workspace' },
     { label: 'Done', value: 'done' },
   ], { rl: ctx.rl });
 
   if (choice.value === 'done') return;
 
+  if (choice.value === 'rules') {
+    await editPermissionRules(ctx);
+    return;
+  }
+
   if (choice.value === 'profile') {
     console.log('');
+    const { default: permissionManager } = await import(path.join(runtimeDir, 'src', 'permissions', 'PermissionManager.js'));
+    const profiles = permissionManager.listProfiles().filter((p) => p.name !== 'headless' && !p.error);
     const profileChoice = await ctx.selectOption([
-      { label: 'developer — Auto-approves file ops in workspace', value: 'developer' },
-      { label: 'safe — Read-only by default, asks before writing', value: 'safe' },
-      { label: 'locked — Asks permission for everything', value: 'locked' },
+      ...profiles.map((p) => ({
+        label: `${p.name} — ${p.description || `Custom profile${p.extends ? ` based on ${p.extends}` : ''}`}`,
+        value: p.name,
+      })),
       { label: 'Cancel', value: 'cancel' },
     ], { rl: ctx.rl });
 
     if (profileChoice.value !== 'cancel') {
       try {
-        const data = readJsonSafe(PERMISSIONS_FILE) || {};
-        data.activeProfile = profileChoice.value;
-        const dir = path.dirname(PERMISSIONS_FILE);
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-        fs.writeFileSync(PERMISSIONS_FILE, JSON.stringify(data, null, 2), 'utf8');
+        permissionManager.setProfile(profileChoice.value);
         console.log('');
         console.log(success(`\u2713 Profile changed to ${profileChoice.value}`));
         console.log('');
@@ -991,6 +1031,101 @@ async function cmdConfig(ctx) {
   }
 }
 
+/**
+ * One line per list in a permission rule ("allow src/**, npm test*").
+ */
+function describePermissionRule(rule) {
+  const parts = ['deny', 'ask', 'allow']
+    .filter((field) => rule[field]?.length)
+    .map((field) => `${field} ${rule[field].join(', ')}`);
+  if (rule.otherwise) parts.push(`otherwise ${rule.otherwise}`);
+  return parts.join('; ');
+}
+
+/**
+ * View and change argument-aware permission rules. The runtime owns the
+ * file, so changes go through it and apply to the next tool call.
+ */
+async function editPermissionRules(ctx) {
+  const save = async (rules) => {
+    ctx.writeMessage({ type: 'permission_rules_set', rules });
+    const resp = await waitForResponse('permission_rules_set', 5000);
+    if (resp.error) {
+      console.log(errorMsg(`Failed to save rules: ${resp.error}`));
+      return false;
+    }
+    console.log(success('\u2713 Permission rules saved'));
+    return true;
+  };
+
+  let rules;
+  try {
+    ctx.writeMessage({ type: 'permission_rules_get' });
+    rules = (await waitForResponse('permission_rules_get', 5000)).rules || {};
+  } catch (err) {
+    console.log(errorMsg(`Could not load permission rules: ${err.message}`));
+    return;
+  }
+
+  console.log('');
+  console.log(sectionHeader('Permission rules'));
+  console.log('');
+  const keys = Object.keys(rules);
+  for (const key of keys) {
+    console.log(`  ${BOLD}${key}${RESET}  ${DIM}${describePermissionRule(rules[key])}${RESET}`);
+  }
+  if (keys.length === 0) console.log(`  ${DIM}No rules. The profile decides.${RESET}`);
+  console.log('');
+
+  const choice = await ctx.selectOption([
+    { label: 'Add a pattern', value: 'add' },
+    ...(keys.length ? [{ label: 'Remove a rule', value: 'remove' }] : []),
+    { label: 'Done', value: 'done' },
+  ], { rl: ctx.rl });
+
+  if (choice.value === 'remove') {
+    const removeChoice = await ctx.selectOption([
+      ...keys.map((key) => ({ label: `${key}  ${DIM}${describePermissionRule(rules[key])}${RESET}`, value: key })),
+      { label: 'Cancel', value: 'cancel' },
+    ], { rl: ctx.rl });
+    if (removeChoice.value === 'cancel') return;
+    const { [removeChoice.value]: _removed, ...rest } = rules;
+    await save(rest);
+    return;
+  }
+  if (choice.value !== 'add') return;
+
+  console.log(hint('Tool: read, write, bash, or a tool name such as WebFetch or mcp__github__*'));
+  const toolKey = await askQuestion(ctx.rl, `  Tool: `);
+  if (!toolKey) return;
+  const fieldChoice = await ctx.selectOption([
+    { label: 'allow — Approve without asking when it matches', value: 'allow' },
+    { label: 'ask — Always ask when it matches', value: 'ask' },
+    { label: 'deny — Refuse when it matches', value: 'deny' },
+    { label: 'otherwise — What to do when nothing matches', value: 'otherwise' },
+    { label: 'Cancel', value: 'cancel' },
+  ], { rl: ctx.rl });
+  if (fieldChoice.value === 'cancel') return;
+
+  const rule = { ...(rules[toolKey] || {}) };
+  if (fieldChoice.value === 'otherwise') {
+    const otherwiseChoice = await ctx.selectOption([
+      { label: 'ask', value: 'ask' },
+      { label: 'deny', value: 'deny' },
+      { label: 'allow', value: 'allow' },
+      { label: 'Cancel', value: 'cancel' },
+    ], { rl: ctx.rl });
+    if (otherwiseChoice.value === 'cancel') return;
+    rule.otherwise = otherwiseChoice.value;
+  } else {
+    console.log(hint('Paths: src/**, .env* (any directory), /etc/**. Commands: npm test*, git status. URLs: *.github.com'));
+    const pattern = await askQuestion(ctx.rl, `  Pattern: `);
+    if (!pattern) return;
+    rule[fieldChoice.value] = [...(rule[fieldChoice.value] || []), pattern];
+  }
+  await save({ ...rules, [toolKey]: rule });
+}
+
 async function cmdSchedule(ctx) {
   console.log('');
   console.log(sectionHeader('Scheduled Agents'));
@@ -1000,12 +1135,18 @@ async function cmdSchedule(ctx) {
     { label: 'View scheduled agents', value: 'view' },
     { label: 'Create a new agent', value: 'create' },
     { label: 'Trigger an agent now', value: 'trigger' },
+    { label: 'Review pending actions', value: 'review' },
     { label: 'Delete an agent', value: 'delete' },
     { label: 'Cancel', value: 'cancel' },
   ], { rl: ctx.rl });
 
   if (choice.value === 'cancel') return;
 
+  if (choice.value === 'review') {
+    await reviewPendingActions(ctx);
+    return;
+  }
+
   if (choice.value === 'view') {
     try {
       ctx.writeMessage({ type: 'scheduled_agent:list', userId: 'default' });
@@ -1147,12 +1288,665 @@ async function cmdSchedule(ctx) {
   }
 }
 
+/**
+ * Walk through actions scheduled agents are holding for review and
+ * approve, edit or reject each one.
+ */
+async function reviewPendingActions(ctx) {
+  let reviews;
+  try {
+    ctx.writeMessage({ type: 'scheduled_agent:review_list', status: 'pending' });
+    const resp = await waitForResponse('scheduled_agent:review_list', 5000);
+    reviews = resp.reviews || [];
+  } catch {
+    console.log(errorMsg('Could not fetch pending reviews.'));
+    return;
+  }
+
+  if (reviews.length === 0) {
+    console.log(`  ${DIM}No actions waiting for review.${RESET}`);
+    return;
+  }
+
+  for (const review of reviews) {
+    console.log('');
+    console.log(`  ${BOLD}${review.agentName}${RESET}  ${DIM}(${review.id})${RESET}`);
+    console.log(`  ${YELLOW}${review.action || review.toolName}${RESET}  ${DIM}${review.toolName}${RESET}`);
+    for (const line of JSON.stringify(review.toolInput, null, 2).split('\n')) {
+      console.log(`  ${DIM}${line}${RESET}`);
+    }
+    console.log('');
+
+    const decision = await ctx.selectOption([
+      { label: 'Approve', value: 'approve' },
+      { label: 'Edit input and approve', value: 'edit' },
+      { label: 'Reject', value: 'reject' },
+      { label: 'Skip', value: 'skip' },
+      { label: 'Stop reviewing', value: 'stop' },
+    ], { rl: ctx.rl });
+
+    if (decision.value === 'stop') return;
+    if (decision.value === 'skip') continue;
+
+    const message = { type: `scheduled_agent:review_${decision.value === 'reject' ? 'reject' : 'approve'}`, reviewId: review.id };
+    if (decision.value === 'edit') {
+      const edited = await askQuestion(ctx.rl, `  Tool input (JSON): `);
+      try {
+        message.input = JSON.parse(edited);
+      } catch (err) {
+        console.log(errorMsg(`Invalid JSON, review skipped: ${err.message}`));
+        continue;
+      }
+    } else if (decision.value === 'reject') {
+      const reason = await askQuestion(ctx.rl, `  Reason (optional): `);
+      if (reason) message.reason = reason;
+    }
+
+    try {
+      ctx.writeMessage(message);
+      const resp = await waitForResponse('scheduled_agent:review_resolved', 5000);
+      console.log(success(`\u2713 ${resp.review?.status === 'rejected' ? 'Rejected' : 'Approved'}.`));
+    } catch {
+      console.log(errorMsg('Failed to record the decision.'));
+    }
+  }
+}
+
 function cmdNew(ctx) {
   ctx.resetSession();
   ctx.writeMessage({ type: 'new_session' });
   console.log(`${DIM}New session started.${RESET}`);
 }
 
+// ── Sessions ─────────────────────────────────────────────────────────────
+
+// Transcript messages replayed when a session is resumed
+const RESUME_REPLAY_MESSAGES = 10;
+
+function formatSessionDate(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+function truncate(text, max) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 3)}...` : flat;
+}
+
+function sessionSummary(session) {
+  const messages = `${session.messageCount || 0} msg${session.messageCount === 1 ? '' : 's'}`;
+  return `${formatSessionDate(session.updatedAt)} \u00b7 ${messages} \u00b7 $${(session.cost || 0).toFixed(2)}`;
+}
+
+/**
+ * Fetch past sessions from the runtime, most recent first.
+ */
+async function fetchSessions(ctx, { workspaceOnly = false } = {}) {
+  ctx.writeMessage({
+    type: 'get_sessions',
+    limit: 50,
+    ...(workspaceOnly ? { workspace_path: ctx.workspacePath } : {}),
+  });
+  const resp = await waitForResponse('sessions_list', 5000);
+  return resp.sessions || [];
+}
+
+/**
+ * Find a session by id or unique id prefix. Prints why when there is no single match.
+ */
+function matchSession(sessions, idOrPrefix) {
+  const exact = sessions.find(s => s.id === idOrPrefix);
+  if (exact) return exact;
+  const matches = sessions.filter(s => s.id.startsWith(idOrPrefix));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) {
+    console.log(errorMsg(`No session matches "${idOrPrefix}".`));
+  } else {
+    console.log(errorMsg(`"${idOrPrefix}" matches ${matches.length} sessions. Use more of the id.`));
+  }
+  return null;
+}
+
+/**
+ * Arrow-key picker over sessions. Returns the chosen session or null.
+ */
+async function pickSession(ctx, sessions) {
+  const options = sessions.slice(0, 15).map(session => ({
+    label: `${truncate(session.title, 40)}  ${DIM}${sessionSummary(session)}${RESET}`,
+    value: session.id,
+  }));
+  options.push({ label: 'Cancel', value: 'cancel' });
+  const choice = await ctx.selectOption(options, { rl: ctx.rl });
+  if (choice.value === 'cancel') return null;
+  return sessions.find(s => s.id === choice.value);
+}
+
+/**
+ * Switch the chat to a past session and replay its recent transcript.
+ */
+export async function resumeSession(ctx, session) {
+  ctx.setSession(session.id);
+  ctx.writeMessage({ type: 'resume_session', session_id: session.id });
+
+  let messages = [];
+  try {
+    ctx.writeMessage({ type: 'get_session_history', session_id: session.id, limit: RESUME_REPLAY_MESSAGES });
+    messages = (await waitForResponse('session_history', 5000)).messages || [];
+  } catch {
+    console.log(`  ${DIM}(Could not load the transcript)${RESET}`);
+  }
+
+  console.log('');
+  console.log(sectionHeader(truncate(session.title, 60)));
+  console.log(`  ${DIM}${session.id} \u00b7 ${sessionSummary(session)}${RESET}`);
+  if ((session.messageCount || 0) > messages.filter(m => m.role === 'user').length) {
+    console.log(`  ${DIM}...earlier messages not shown${RESET}`);
+  }
+  for (const message of messages) {
+    console.log('');
+    if (message.role === 'user') {
+      console.log(`${PURPLE}\u25b8${RESET} ${BOLD}${message.text}${RESET}`);
+    } else {
+      if (message.tools?.length) {
+        console.log(`${DIM}[used ${[...new Set(message.tools)].join(', ')}]${RESET}`);
+      }
+      if (message.text) console.log(message.text.trim());
+    }
+  }
+  console.log('');
+  if (session.workspacePath && path.resolve(session.workspacePath) !== path.resolve(ctx.workspacePath)) {
+    console.log(hint(`This session was started in ${session.workspacePath}. Run friday chat --workspace ${session.workspacePath} --resume ${session.id.slice(0, 8)} to continue it there.`));
+  }
+  console.log(success(`\u2713 Resumed session. New messages continue this conversation.`));
+  console.log('');
+}
+
+/**
+ * Handle `friday chat --resume [id]` and `--continue` once the runtime is ready.
+ */
+export async function resumeFromFlags(ctx, { resume, continueLast }) {
+  let sessions;
+  try {
+    sessions = await fetchSessions(ctx, { workspaceOnly: Boolean(continueLast && !resume) });
+  } catch {
+    console.log(errorMsg('Could not load past sessions. Starting a new session.'));
+    return;
+  }
+
+  let session = null;
+  if (typeof resume === 'string') {
+    session = matchSession(sessions, resume);
+  } else if (resume) {
+    if (sessions.length === 0) {
+      console.log(`  ${DIM}No past sessions yet. Starting a new session.${RESET}`);
+      return;
+    }
+    console.log(sectionHeader('Resume a session'));
+    console.log('');
+    session = await pickSession(ctx, sessions);
+  } else {
+    session = sessions[0] || null;
+    if (!session) console.log(`  ${DIM}No previous session in this workspace. Starting a new session.${RESET}`);
+  }
+  if (session) await resumeSession(ctx, session);
+}
+
+async function cmdSessions(ctx) {
+  let sessions;
+  try {
+    sessions = await fetchSessions(ctx);
+  } catch {
+    console.log(errorMsg('Could not fetch sessions.'));
+    return;
+  }
+
+  console.log('');
+  console.log(sectionHeader('Sessions'));
+  console.log('');
+  if (sessions.length === 0) {
+    console.log(`  ${DIM}No past sessions yet.${RESET}`);
+    return;
+  }
+  for (const session of sessions.slice(0, 20)) {
+    const current = session.id === ctx.sessionId ? ` ${TEAL}(current)${RESET}` : '';
+    console.log(`  ${DIM}${session.id.slice(0, 8)}${RESET}  ${BOLD}${truncate(session.title, 50)}${RESET}${current}`);
+    const elsewhere = session.workspacePath && path.resolve(session.workspacePath) !== path.resolve(ctx.workspacePath)
+      ? ` \u00b7 ${session.workspacePath}`
+      : '';
+    console.log(`            ${DIM}${sessionSummary(session)}${elsewhere}${RESET}`);
+  }
+  console.log('');
+  console.log(`  ${DIM}/resume [id] to continue one, /delete-session [id] to remove one.${RESET}`);
+  console.log('');
+}
+
+/**
+ * Full-text search over past sessions, then offer to resume a match.
+ */
+async function cmdSearch(ctx, argString) {
+  if (!argString) {
+    console.log(errorMsg('Usage: /search <words>'));
+    return;
+  }
+  let results;
+  try {
+    ctx.writeMessage({ type: 'search_sessions', query: argString, limit: 10 });
+    results = (await waitForResponse('session_search_results', 10000)).results || [];
+  } catch {
+    console.log(errorMsg('Could not search sessions.'));
+    return;
+  }
+
+  console.log('');
+  console.log(sectionHeader(`Sessions matching "${argString}"`));
+  console.log('');
+  if (results.length === 0) {
+    console.log(`  ${DIM}No matches.${RESET}`);
+    return;
+  }
+  for (const session of results) {
+    const current = session.id === ctx.sessionId ? ` ${TEAL}(current)${RESET}` : '';
+    console.log(`  ${DIM}${session.id.slice(0, 8)}${RESET}  ${BOLD}${truncate(session.title, 50)}${RESET}${current}`);
+    for (const match of session.matches) {
+      console.log(`            ${DIM}${match.kind}:${RESET} ${highlightRanges(match.text, match.highlights)}`);
+    }
+  }
+  console.log('');
+
+  const others = results.filter(session => session.id !== ctx.sessionId);
+  if (others.length === 0) return;
+  console.log(`  ${DIM}Resume one?${RESET}`);
+  const session = await pickSession(ctx, others);
+  if (session) await resumeSession(ctx, session);
+}
+
+async function cmdResume(ctx, argString) {
+  let sessions;
+  try {
+    sessions = await fetchSessions(ctx);
+  } catch {
+    console.log(errorMsg('Could not fetch sessions.'));
+    return;
+  }
+  if (sessions.length === 0) {
+    console.log(`  ${DIM}No past sessions yet.${RESET}`);
+    return;
+  }
+
+  const session = argString ? matchSession(sessions, argString) : await pickSession(ctx, sessions);
+  if (!session) return;
+  if (session.id === ctx.sessionId) {
+    console.log(`  ${DIM}Already in this session.${RESET}`);
+    return;
+  }
+  await resumeSession(ctx, session);
+}
+
+async function cmdDeleteSession(ctx, argString) {
+  let sessions;
+  try {
+    sessions = await fetchSessions(ctx);
+  } catch {
+    console.log(errorMsg('Could not fetch sessions.'));
+    return;
+  }
+  if (sessions.length === 0) {
+    console.log(`  ${DIM}No past sessions yet.${RESET}`);
+    return;
+  }
+
+  const session = argString ? matchSession(sessions, argString) : await pickSession(ctx, sessions);
+  if (!session) return;
+
+  console.log(`  Delete ${BOLD}${truncate(session.title, 50)}${RESET} ${DIM}(${session.id.slice(0, 8)})${RESET} and its history?`);
+  const confirm = await ctx.selectOption([
+    { label: 'Delete', value: 'delete' },
+    { label: 'Cancel', value: 'cancel' },
+  ], { rl: ctx.rl });
+  if (confirm.value !== 'delete') return;
+
+  try {
+    ctx.writeMessage({ type: 'delete_session', session_id: session.id });
+    await waitForResponse('session_deleted', 5000);
+  } catch {
+    console.log(errorMsg('Failed to delete the session.'));
+    return;
+  }
+  if (session.id === ctx.sessionId) {
+    ctx.resetSession();
+    console.log(`  ${DIM}That was the current session; new messages start a new one.${RESET}`);
+  }
+  console.log(success('\u2713 Session deleted.'));
+}
+
+/**
+ * Branch the current session before one of its messages. The new session
+ * keeps everything earlier and the chosen message is put back in the input
+ * to edit; the original session is left as it was.
+ */
+async function cmdFork(ctx, argString) {
+  if (!ctx.sessionId) {
+    console.log(`  ${DIM}Nothing to fork yet. Send a message first.${RESET}`);
+    return;
+  }
+
+  let queryIndex = null;
+  if (argString) {
+    queryIndex = parseInt(argString, 10);
+    if (!Number.isInteger(queryIndex) || queryIndex < 1) {
+      console.log(errorMsg('Usage: /fork [message number]'));
+      return;
+    }
+  } else {
+    let messages;
+    try {
+      ctx.writeMessage({ type: 'get_session_history', session_id: ctx.sessionId, limit: 1000 });
+      messages = (await waitForResponse('session_history', 5000)).messages || [];
+    } catch {
+      console.log(errorMsg('Could not load the transcript.'));
+      return;
+    }
+    const prompts = messages.filter(m => m.role === 'user');
+    if (prompts.length === 0) {
+      console.log(`  ${DIM}Nothing to fork yet. Send a message first.${RESET}`);
+      return;
+    }
+
+    console.log('');
+    console.log(sectionHeader('Fork from'));
+    console.log('');
+    const options = prompts
+      .map((message, index) => ({ label: `${index + 1}. ${truncate(message.text, 50)}`, value: index + 1 }))
+      .slice(-15)
+      .reverse();
+    options.push({ label: 'Cancel', value: 'cancel' });
+    const choice = await ctx.selectOption(options, { rl: ctx.rl });
+    if (choice.value === 'cancel') return;
+    queryIndex = choice.value;
+  }
+
+  let fork;
+  try {
+    ctx.writeMessage({ type: 'fork_session', session_id: ctx.sessionId, query_index: queryIndex });
+    fork = await waitForResponse('session_forked', 5000);
+  } catch {
+    console.log(errorMsg('Failed to fork the session.'));
+    return;
+  }
+
+  ctx.setSession(fork.session_id);
+  ctx.writeMessage({ type: 'resume_session', session_id: fork.session_id });
+  console.log(success(`\u2713 Forked before message ${queryIndex} into ${fork.session_id.slice(0, 8)}.`));
+  console.log(`  ${DIM}The original session is unchanged. /resume ${fork.parent_session_id.slice(0, 8)} to go back to it.${RESET}`);
+  if (fork.prompt) {
+    console.log(hint('The message you forked at is in the input. Edit it and press Enter.'));
+    ctx.rl.write?.(fork.prompt.replace(/\s+/g, ' ').trim());
+  }
+  console.log('');
+}
+
+/**
+ * Summarize the current session and carry on in a continuation seeded with
+ * the summary. Anything after the command is what the summary should keep
+ * in detail. The original session is left as it was.
+ */
+async function cmdCompact(ctx, argString) {
+  if (!ctx.sessionId) {
+    console.log(`  ${DIM}Nothing to compact yet. Send a message first.${RESET}`);
+    return;
+  }
+
+  let compacted;
+  ctx.spinner.start('Summarizing the conversation');
+  try {
+    ctx.writeMessage({ type: 'compact_session', session_id: ctx.sessionId, focus: argString.trim() });
+    compacted = await waitForResponse('context_compacted', 180000);
+  } catch {
+    console.log(errorMsg('Timed out summarizing the session.'));
+    return;
+  } finally {
+    ctx.spinner.stop();
+  }
+  if (compacted.error) {
+    console.log(errorMsg(compacted.error));
+    return;
+  }
+
+  ctx.setSession(compacted.session_id);
+  ctx.writeMessage({ type: 'resume_session', session_id: compacted.session_id });
+  const kept = compacted.kept_messages ? `, kept the last ${compacted.kept_messages}` : '';
+  console.log(success(`\u2713 Summarized ${compacted.summarized_messages} messages${kept} into ${compacted.session_id.slice(0, 8)}.`));
+  console.log(`  ${DIM}/resume ${compacted.parent_session_id.slice(0, 8)} to see the full conversation.${RESET}`);
+  console.log('');
+}
+
+/**
+ * Save the current session with the runtime's exporter. Files go to the
+ * directory friday was started from.
+ */
+async function cmdExport(ctx, argString) {
+  if (!ctx.sessionId) {
+    console.log(`  ${DIM}Nothing to export yet. Send a message first.${RESET}`);
+    return;
+  }
+
+  let format = argString.trim().toLowerCase();
+  if (!format) {
+    const choice = await ctx.selectOption([
+      { label: 'Markdown', value: 'md' },
+      { label: 'HTML (single file, media embedded)', value: 'html' },
+      { label: 'JSON bundle (for friday sessions import)', value: 'json' },
+      { label: 'Cancel', value: 'cancel' },
+    ], { rl: ctx.rl });
+    if (choice.value === 'cancel') return;
+    format = choice.value;
+  }
+  if (!['md', 'html', 'json'].includes(format)) {
+    console.log(errorMsg('Usage: /export [md|html|json]'));
+    return;
+  }
+
+  let exported;
+  try {
+    ctx.writeMessage({ type: 'export_session', session_id: ctx.sessionId, format });
+    exported = await waitForResponse('session_exported', 30000);
+  } catch {
+    console.log(errorMsg('Failed to export the session.'));
+    return;
+  }
+
+  const outputPath = path.resolve(exported.filename);
+  try {
+    fs.writeFileSync(outputPath, exported.content, 'utf8');
+  } catch (err) {
+    console.log(errorMsg(`Could not write ${outputPath}: ${err.message}`));
+    return;
+  }
+  console.log(success(`\u2713 Exported to ${outputPath}`));
+  for (const skipped of exported.skipped_media || []) {
+    console.log(`  ${DIM}Left out ${skipped} (too large)${RESET}`);
+  }
+}
+
+function displayPath(ctx, filePath) {
+  const relative = path.relative(ctx.workspacePath || '', filePath);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : filePath;
+}
+
+/**
+ * Ask the runtime to restore checkpointed files (from `turn` on, or the
+ * last turn) and report what changed or which files blocked it.
+ */
+async function restoreCheckpoint(ctx, turn = null) {
+  let resp;
+  try {
+    ctx.writeMessage({ type: 'checkpoint_restore', session_id: ctx.sessionId, ...(turn != null ? { turn } : {}) });
+    resp = await waitForResponse('checkpoint_restore', 10000);
+  } catch {
+    console.log(errorMsg('Could not reach the runtime to restore files.'));
+    return;
+  }
+
+  if (!resp.restored) {
+    console.log(errorMsg(resp.error || 'Restore failed.'));
+    for (const conflict of resp.conflicts || []) {
+      console.log(`  ${YELLOW}${displayPath(ctx, conflict.path)}${RESET}  ${DIM}${conflict.reason}${RESET}`);
+    }
+    if (resp.conflicts?.length) {
+      console.log(`  ${DIM}Nothing was changed. Revert or commit those files, then try again.${RESET}`);
+    }
+    return;
+  }
+
+  const turns = resp.turns.length === 1
+    ? `turn ${resp.turns[0]}`
+    : `turns ${resp.turns[0]}\u2013${resp.turns[resp.turns.length - 1]}`;
+  console.log(success(`\u2713 Reverted ${turns}.`));
+  for (const file of resp.files) {
+    console.log(`  ${DIM}${file.action === 'deleted' ? 'deleted ' : 'restored'}${RESET} ${displayPath(ctx, file.path)}`);
+  }
+}
+
+async function cmdUndo(ctx) {
+  if (!ctx.sessionId) {
+    console.log(`  ${DIM}No file edits to undo in this session.${RESET}`);
+    return;
+  }
+  await restoreCheckpoint(ctx);
+}
+
+async function cmdRewind(ctx, argString) {
+  if (!ctx.sessionId) {
+    console.log(`  ${DIM}No file edits to rewind in this session.${RESET}`);
+    return;
+  }
+
+  if (argString) {
+    const turn = Number.parseInt(argString, 10);
+    if (!Number.isInteger(turn) || turn < 1) {
+      console.log(`  ${DIM}Usage: /rewind [turn]${RESET}`);
+      return;
+    }
+    await restoreCheckpoint(ctx, turn);
+    return;
+  }
+
+  let checkpoints;
+  try {
+    ctx.writeMessage({ type: 'checkpoint_list', session_id: ctx.sessionId });
+    const resp = await waitForResponse('checkpoint_list', 5000);
+    checkpoints = resp.checkpoints || [];
+  } catch {
+    console.log(errorMsg('Could not fetch checkpoints.'));
+    return;
+  }
+  if (checkpoints.length === 0) {
+    console.log(`  ${DIM}No file edits to rewind in this session.${RESET}`);
+    return;
+  }
+
+  console.log('');
+  console.log(`  ${DIM}Reverts the chosen turn and every turn after it.${RESET}`);
+  const options = checkpoints.slice().reverse().map((checkpoint) => {
+    const files = `${checkpoint.files.length} file${checkpoint.files.length === 1 ? '' : 's'}`;
+    const prompt = checkpoint.prompt.length > 50 ? `${checkpoint.prompt.slice(0, 47)}...` : checkpoint.prompt;
+    return { label: `Turn ${checkpoint.turn}  ${prompt}  (${files})`, value: checkpoint.turn };
+  });
+  options.push({ label: 'Cancel', value: 'cancel' });
+
+  const choice = await ctx.selectOption(options, { rl: ctx.rl });
+  if (choice.value === 'cancel') return;
+  await restoreCheckpoint(ctx, choice.value);
+}
+
+function memoryScopeLabel(file) {
+  return file.scope === 'user' ? 'You (all projects)' : 'This workspace';
+}
+
+async function requestMemory(ctx, payload) {
+  try {
+    ctx.writeMessage(payload);
+    return await waitForResponse(payload.type, 5000);
+  } catch {
+    console.log(errorMsg('Could not reach the runtime.'));
+    return null;
+  }
+}
+
+/**
+ * /memory                       Show both FRIDAY.md files
+ * /memory add [--user] <fact>   Append a fact
+ * /memory edit [user]           Open a file in $VISUAL / $EDITOR
+ */
+async function cmdMemory(ctx, argString) {
+  const [action = '', ...rest] = argString.split(/\s+/).filter(Boolean);
+
+  if (action === 'add') {
+    const user = rest[0] === '--user';
+    const fact = (user ? rest.slice(1) : rest).join(' ');
+    if (!fact) {
+      console.log(`  ${DIM}Usage: /memory add [--user] <fact>${RESET}`);
+      return;
+    }
+    const resp = await requestMemory(ctx, { type: 'memory_add', scope: user ? 'user' : 'workspace', fact });
+    if (!resp) return;
+    if (resp.error) console.log(errorMsg(resp.error));
+    else console.log(success(`\u2713 Saved to ${resp.files.find((f) => f.scope === (user ? 'user' : 'workspace')).path}`));
+    return;
+  }
+
+  if (action === 'edit') {
+    const scope = rest[0] === 'user' ? 'user' : 'workspace';
+    const resp = await requestMemory(ctx, { type: 'memory_get' });
+    const file = resp?.files.find((f) => f.scope === scope);
+    if (!file) return;
+    const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    ctx.rl.pause();
+    const result = spawnSync(`${editor} "${file.path}"`, { stdio: 'inherit', shell: true });
+    ctx.rl.resume();
+    if (result.error || result.status !== 0) {
+      console.log(errorMsg(`${editor} exited without saving (${result.error?.message || `exit code ${result.status}`})`));
+      return;
+    }
+    const after = await requestMemory(ctx, { type: 'memory_get' });
+    const edited = after?.files.find((f) => f.scope === scope);
+    if (edited?.truncated) {
+      console.log(`  ${YELLOW}${edited.path} is over ${Math.round(edited.maxBytes / 1024)} KB. Only the start of it reaches the prompt.${RESET}`);
+    } else if (edited) {
+      console.log(success(`\u2713 Saved. Friday reads it from the next message.`));
+    }
+    return;
+  }
+
+  if (action) {
+    console.log(`  ${DIM}Usage: /memory [add [--user] <fact> | edit [user]]${RESET}`);
+    return;
+  }
+
+  const resp = await requestMemory(ctx, { type: 'memory_get' });
+  if (!resp) return;
+  console.log('');
+  console.log(sectionHeader('Memory'));
+  for (const file of resp.files) {
+    console.log('');
+    const size = `${(file.bytes / 1024).toFixed(1)} / ${Math.round(file.maxBytes / 1024)} KB`;
+    console.log(`  ${BOLD}${memoryScopeLabel(file)}${RESET}  ${DIM}${file.path}  ${size}${RESET}${file.truncated ? `  ${YELLOW}over the limit${RESET}` : ''}`);
+    const content = file.content.trim();
+    if (!content) {
+      console.log(`  ${DIM}(empty)${RESET}`);
+      continue;
+    }
+    for (const line of content.split('\n')) console.log(`  ${DIM}\u2502${RESET} ${line}`);
+  }
+  console.log('');
+  console.log(hint('/memory add <fact> to remember something, /memory edit [user] to change a file'));
+}
+
 function cmdQuit(ctx) {
   ctx.spinner.stop();
   ctx.backend.kill();
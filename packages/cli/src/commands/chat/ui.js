@@ -124,6 +124,19 @@ export function error(text) {
   return `  ${RED}${text}${RESET}`;
 }
 
+/**
+ * Bold the [start, end) ranges of a search snippet.
+ */
+export function highlightRanges(text, ranges = []) {
+  let out = '';
+  let last = 0;
+  for (const [start, end] of ranges) {
+    out += `${text.slice(last, start)}${BOLD}${YELLOW}${text.slice(start, end)}${RESET}`;
+    last = end;
+  }
+  return out + text.slice(last);
+}
+
 /**
  * Mask a secret value, showing only last 4 chars.
  */
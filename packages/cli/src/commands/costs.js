@@ -0,0 +1,193 @@
+/**
+ * friday costs — Spend reports and budgets
+ *
+ * Commands:
+ *   friday costs                              Spend this month: today, by provider, by agent
+ *   friday costs budget                       Show budgets
+ *   friday costs budget <name> <usd|off>      Set a daily, monthly, session or agent-run budget
+ *   friday costs budget agent <id> <usd|off>  Per-run budget for one scheduled agent
+ *   friday costs budget on-exceed <ask|deny>  What happens when a paid call would go over
+ *
+ * Costs are read from the ledgers in ~/.friday/costs/. Days and months are
+ * in local time.
+ */
+
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+
+// CLI budget names → CostTracker budget names
+const BUDGET_ALIASES = {
+  daily: 'daily',
+  monthly: 'monthly',
+  session: 'session',
+  'agent-run': 'agentRun',
+};
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function usd(amount) {
+  return `$${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+}
+
+function sumBy(entries, key) {
+  const totals = {};
+  for (const entry of entries) {
+    const value = entry[key];
+    if (value) totals[value] = (totals[value] || 0) + (entry.cost || 0);
+  }
+  return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+}
+
+function budgetLine(label, limit, spent) {
+  if (limit == null) return `  ${label.padEnd(12)} ${DIM}not set${RESET}`;
+  const color = spent > limit ? RED : spent > limit * 0.8 ? YELLOW : GREEN;
+  return `  ${label.padEnd(12)} ${color}${usd(spent)}${RESET} of ${usd(limit)}`;
+}
+
+function printBudgets(tracker, sessionId) {
+  const budgets = tracker.getBudgets();
+  const spend = tracker.getSpend({ sessionId });
+  console.log(`  ${BOLD}Budgets${RESET} ${DIM}(over budget: ${budgets.onExceed})${RESET}`);
+  console.log(budgetLine('Daily', budgets.daily, spend.today));
+  console.log(budgetLine('Monthly', budgets.monthly, spend.month));
+  console.log(sessionId
+    ? budgetLine('Session', budgets.session, spend.session)
+    : `  ${'Session'.padEnd(12)} ${budgets.session != null ? `${usd(budgets.session)} per session` : `${DIM}not set${RESET}`}`);
+  console.log(`  ${'Agent run'.padEnd(12)} ${budgets.agentRun != null ? `${usd(budgets.agentRun)} per run` : `${DIM}not set${RESET}`}`);
+  for (const [agentId, limit] of Object.entries(budgets.agents)) {
+    console.log(`    ${DIM}${agentId}${RESET} ${usd(limit)} per run`);
+  }
+}
+
+function report(args, tracker, { dayKey, monthKey }) {
+  const month = typeof args.month === 'string' ? args.month : monthKey();
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    console.error(`${RED}--month must be YYYY-MM${RESET}`);
+    process.exit(1);
+  }
+  let entries = tracker.getLedgerEntries(month);
+  const sessionId = typeof args.session === 'string' ? args.session : null;
+  if (sessionId) entries = entries.filter(entry => entry.sessionId === sessionId);
+
+  const total = entries.reduce((sum, entry) => sum + (entry.cost || 0), 0);
+  const today = dayKey();
+  const todayTotal = entries
+    .filter(entry => entry.timestamp && dayKey(new Date(entry.timestamp)) === today)
+    .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+
+  console.log('');
+  console.log(`  ${BOLD}Spend ${month}${sessionId ? ` · session ${sessionId}` : ''}${RESET}`);
+  console.log('');
+  if (entries.length === 0) {
+    console.log(`  ${DIM}No costs recorded.${RESET}`);
+  } else {
+    console.log(`  ${'Total'.padEnd(12)} ${BOLD}${usd(total)}${RESET}`);
+    if (month === monthKey()) console.log(`  ${'Today'.padEnd(12)} ${usd(todayTotal)} ${DIM}(since local midnight)${RESET}`);
+    console.log('');
+    console.log(`  ${BOLD}By provider${RESET}`);
+    for (const [provider, cost] of sumBy(entries, 'provider')) {
+      console.log(`  ${provider.padEnd(12)} ${usd(cost)}`);
+    }
+    const byAgent = sumBy(entries, 'agentId');
+    if (byAgent.length > 0) {
+      console.log('');
+      console.log(`  ${BOLD}Scheduled agents${RESET}`);
+      for (const [agentId, cost] of byAgent) {
+        console.log(`  ${agentId.padEnd(12)} ${usd(cost)}`);
+      }
+    }
+  }
+  console.log('');
+  printBudgets(tracker, sessionId);
+  console.log('');
+}
+
+function budget(args, tracker) {
+  const [name, ...rest] = args._.slice(2);
+  if (!name) {
+    console.log('');
+    printBudgets(tracker, null);
+    console.log('');
+    return;
+  }
+
+  const parseAmount = (value) => {
+    if (value === 'off' || value === 'none') return null;
+    const amount = Number(String(value).replace(/^\$/, ''));
+    if (value === undefined || !Number.isFinite(amount) || amount < 0) {
+      console.error(`${RED}Amount must be a number of USD or "off"${RESET}`);
+      process.exit(1);
+    }
+    return amount;
+  };
+
+  try {
+    if (name === 'on-exceed') {
+      tracker.setOnExceed(rest[0]);
+      console.log(`  ${GREEN}Over-budget calls will ${rest[0] === 'deny' ? 'be refused' : 'ask for permission'}.${RESET}`);
+    } else if (name === 'agent') {
+      const [agentId, value] = rest;
+      if (!agentId) {
+        console.error(`${RED}Usage: friday costs budget agent <agent-id> <usd|off>${RESET}`);
+        process.exit(1);
+      }
+      const amount = parseAmount(value);
+      tracker.setBudget('agent', amount, { agentId });
+      console.log(`  ${GREEN}${amount == null ? `Run budget removed for ${agentId}` : `Runs of ${agentId} are limited to ${usd(amount)}`}.${RESET}`);
+    } else if (BUDGET_ALIASES[name]) {
+      const amount = parseAmount(rest[0]);
+      tracker.setBudget(BUDGET_ALIASES[name], amount);
+      console.log(`  ${GREEN}${name} budget ${amount == null ? 'removed' : `set to ${usd(amount)}`}.${RESET}`);
+    } else {
+      console.error(`${RED}Unknown budget: ${name}. Use daily, monthly, session, agent-run, agent or on-exceed.${RESET}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
+  }
+}
+
+export default async function costs(args) {
+  const subcommand = args._[1] || 'report'; // friday costs <subcommand>
+
+  if (args.help) {
+    console.log(`
+friday costs — Spend reports and budgets
+
+Usage:
+  friday costs [--month YYYY-MM] [--session <id>]
+  friday costs budget
+  friday costs budget <daily|monthly|session|agent-run> <usd|off>
+  friday costs budget agent <agent-id> <usd|off>
+  friday costs budget on-exceed <ask|deny>
+
+Paid media calls (images, video, speech) that would go over a budget are
+refused or need permission; scheduled runs stop when they go over. Days and
+months are in local time: the daily budget resets at local midnight.
+`);
+    return;
+  }
+
+  const { default: tracker, dayKey, monthKey } = await importRuntime('providers', 'CostTracker.js');
+
+  switch (subcommand) {
+    case 'report':
+      return report(args, tracker, { dayKey, monthKey });
+    case 'budget':
+    case 'budgets':
+      return budget(args, tracker);
+    default:
+      console.log(`  ${RED}Unknown subcommand: ${subcommand}${RESET}`);
+      console.log(`  Usage: friday costs [budget]`);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * friday memory — Long-term memories the agent saved across sessions
+ *
+ * Commands:
+ *   friday memory [list] [--workspace <path>] [--topic <t>] [--search <q>] [--json]
+ *   friday memory rm <id...>
+ *   friday memory export [--workspace <path>] [--format json|markdown] [--output <file>]
+ *
+ * Memories are facts and decisions saved with the memory_save tool and kept
+ * in ~/.friday/memory/memories.json. The best matches for each message are
+ * added to the system prompt; this command is how you review and prune them.
+ * FRIDAY.md files are separate: see /memory in chat.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const CYAN = '\x1b[36m';
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function fail(message) {
+  console.error(`${RED}${message}${RESET}`);
+  process.exit(1);
+}
+
+function filtersFrom(args) {
+  return {
+    workspacePath: typeof args.workspace === 'string' ? path.resolve(args.workspace) : null,
+    topic: typeof args.topic === 'string' ? args.topic : null,
+  };
+}
+
+async function list(args, memoryStore) {
+  const filters = filtersFrom(args);
+  const entries = typeof args.search === 'string'
+    ? memoryStore.search(args.search, { ...filters, limit: 50 })
+    : memoryStore.list(filters);
+  if (args.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+  console.log('');
+  if (entries.length === 0) {
+    console.log(`  ${DIM}No memories${args.search ? ` match "${args.search}"` : ''}.${RESET}`);
+    console.log(`  ${DIM}Friday saves facts and decisions here as it works.${RESET}`);
+    console.log('');
+    return;
+  }
+  for (const entry of entries) {
+    const topics = entry.topics.length ? `  ${CYAN}${entry.topics.join(', ')}${RESET}` : '';
+    console.log(`  ${BOLD}${entry.id}${RESET}  ${entry.kind}  ${DIM}${entry.createdAt.slice(0, 10)}${RESET}${topics}`);
+    console.log(`  ${entry.text}`);
+    console.log(`  ${DIM}${entry.workspace || 'all workspaces'}${RESET}`);
+    console.log('');
+  }
+}
+
+function remove(args, memoryStore) {
+  const ids = args._.slice(2);
+  if (ids.length === 0) fail('Usage: friday memory rm <id...>');
+  for (const id of ids) {
+    let entry;
+    try {
+      entry = memoryStore.forget(id);
+    } catch (error) {
+      fail(error.message);
+    }
+    if (!entry) fail(`No memory ${id}`);
+    console.log(`${GREEN}Forgot ${entry.id}${RESET} ${DIM}${entry.text}${RESET}`);
+  }
+}
+
+function exportMemories(args, memoryStore) {
+  const format = typeof args.format === 'string' ? args.format : 'json';
+  let output;
+  try {
+    output = memoryStore.export({ ...filtersFrom(args), format });
+  } catch (error) {
+    fail(error.message);
+  }
+  if (typeof args.output === 'string') {
+    fs.writeFileSync(args.output, output, 'utf8');
+    console.log(`${GREEN}Exported to ${args.output}${RESET}`);
+    return;
+  }
+  process.stdout.write(output);
+}
+
+export default async function memory(args) {
+  if (args.help) {
+    console.log(`
+friday memory — Facts and decisions Friday remembers across sessions
+
+Usage:
+  friday memory [list]        Saved memories, newest first
+  friday memory rm <id...>    Delete memories (an id prefix is enough)
+  friday memory export        Print every memory as JSON or Markdown
+
+Options:
+  --workspace <path>          Only what this workspace sees (its own and global memories)
+  --topic <topic>             Only memories with this topic
+  --search <query>            Rank memories against a query, as recall does (list)
+  --json                      Print as JSON (list)
+  --format json|markdown      Export format (default: json)
+  --output <file>             Write the export to a file
+
+Friday saves memories with its memory_save tool and adds the few that best
+match each message to its prompt. Nothing is sent anywhere to index them.
+`);
+    return;
+  }
+
+  const { default: memoryStore } = await importRuntime('memory', 'MemoryStore.js');
+  const action = args._[1] || 'list';
+  if (action === 'list') return list(args, memoryStore);
+  if (action === 'rm') return remove(args, memoryStore);
+  if (action === 'export') return exportMemories(args, memoryStore);
+  fail(`Unknown memory command: ${action}`);
+}
@@ -0,0 +1,199 @@
+/**
+ * friday permissions — What was allowed or denied, and by whom
+ *
+ * Commands:
+ *   friday permissions audit [--since <24h|7d|date>] [--tool <pattern>] [--denied]
+ *                            [--session <id>] [--limit <n>] [--json]
+ *   friday permissions explain <tool> [--input <value|json>] [--workspace <path>]
+ *                              [--app <id>] [--json]
+ *
+ * Permission decisions are read from ~/.friday/audit/, where the runtime
+ * records every tool call it allows or denies. `explain` evaluates the
+ * profile, rules, app grants and workspace policy directly, without a
+ * running runtime.
+ */
+
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+
+const DEFAULT_LIMIT = 50;
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function fail(message) {
+  console.error(`${RED}${message}${RESET}`);
+  process.exit(1);
+}
+
+/**
+ * Who or what made a decision, for display ("you (session)", "profile").
+ */
+export function describeSource(entry) {
+  if (entry.source === 'user') {
+    return entry.level && entry.level !== 'once' ? `you (${entry.level})` : 'you';
+  }
+  return entry.source;
+}
+
+/**
+ * Short label for a PermissionManager decision ("allow", "ask", "deny").
+ */
+export function describeDecision(decision) {
+  return {
+    'auto-approve': 'allow',
+    'auto-approve-in-workspace': 'allow in workspace',
+    'ask-first': 'ask',
+    deny: 'deny',
+  }[decision] || decision || '—';
+}
+
+function colorDecision(decision) {
+  const label = describeDecision(decision);
+  if (decision === 'deny') return `${RED}${label}${RESET}`;
+  if (decision === 'ask-first') return `${YELLOW}${label}${RESET}`;
+  if (decision) return `${GREEN}${label}${RESET}`;
+  return `${DIM}${label}${RESET}`;
+}
+
+async function explain(args) {
+  const toolName = args._[2];
+  if (!toolName) fail('Usage: friday permissions explain <tool> [--input <value|json>]');
+  const { default: permissionManager, toolInputFor } = await importRuntime('permissions', 'PermissionManager.js');
+
+  let input = null;
+  if (typeof args.input === 'string') {
+    if (args.input.trim().startsWith('{')) {
+      try {
+        input = JSON.parse(args.input);
+      } catch (error) {
+        fail(`--input is not valid JSON: ${error.message}`);
+      }
+    } else {
+      input = toolInputFor(toolName, args.input);
+      if (!input) fail(`${toolName} takes no path, command or URL. Pass --input as JSON instead.`);
+    }
+  }
+  const workspacePath = path.resolve(typeof args.workspace === 'string' ? args.workspace : process.cwd());
+  const explained = permissionManager.explain(toolName, {
+    workspacePath,
+    filePath: input?.file_path || input?.path || null,
+    appId: typeof args.app === 'string' ? args.app : null,
+    input,
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(explained, null, 2));
+    return;
+  }
+
+  const { result, layers, workspacePolicy } = explained;
+  console.log('');
+  console.log(`  ${BOLD}${toolName}${RESET}  ${colorDecision(result.decision)}  ${DIM}decided by the ${result.layer} layer${result.source !== result.layer ? ` (${result.source})` : ''}${RESET}`);
+  console.log('');
+  for (const layer of layers) {
+    const marker = layer.decided ? `${BOLD}›${RESET}` : ' ';
+    console.log(`  ${marker} ${layer.layer.padEnd(10)} ${colorDecision(layer.decision)}${' '.repeat(Math.max(1, 14 - describeDecision(layer.decision).length))}${DIM}${layer.detail}${RESET}`);
+  }
+  console.log('');
+  if (workspacePolicy) {
+    console.log(`  ${DIM}Workspace policy: ${workspacePolicy.path}${RESET}`);
+    for (const entry of workspacePolicy.ignored) {
+      console.log(`  ${DIM}Ignored (a workspace can only tighten): ${entry}${RESET}`);
+    }
+    console.log('');
+  }
+}
+
+async function audit(args) {
+  const { default: auditLog, parseSince, PERMISSION_AUDIT_DIR } = await importRuntime('permissions', 'PermissionAuditLog.js');
+
+  const since = args.since === undefined ? null : parseSince(args.since);
+  if (args.since !== undefined && since === null) fail(`Can't read --since ${args.since} (use 30m, 24h, 7d or a date)`);
+  const limit = args.limit === undefined ? DEFAULT_LIMIT : Number(args.limit);
+  if (!Number.isInteger(limit) || limit <= 0) fail('--limit needs a positive whole number');
+
+  const entries = auditLog.query({
+    since,
+    tool: typeof args.tool === 'string' ? args.tool : null,
+    denied: Boolean(args.denied),
+    sessionId: typeof args.session === 'string' ? args.session : null,
+    limit,
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  console.log('');
+  console.log(`  ${BOLD}Permission decisions${RESET}  ${DIM}newest first${RESET}`);
+  console.log('');
+  for (const entry of entries) {
+    const when = new Date(entry.time).toLocaleString();
+    const verdict = entry.decision === 'allow' ? `${GREEN}allow${RESET}` : `${RED}deny ${RESET}`;
+    console.log(`  ${DIM}${when}${RESET}  ${verdict}  ${entry.tool}  ${DIM}by ${describeSource(entry)}${entry.app_id ? ` via ${entry.app_id}` : ''}${RESET}`);
+    if (entry.input) console.log(`    ${DIM}${entry.input}${RESET}`);
+    if (entry.reason) console.log(`    ${DIM}${entry.reason}${RESET}`);
+  }
+  if (entries.length === 0) console.log(`  ${DIM}No decisions match.${RESET}`);
+  console.log('');
+  if (entries.length === limit) console.log(`  ${DIM}Showing the latest ${limit}. Use --limit or --since for more.${RESET}`);
+  console.log(`  ${DIM}Log: ${PERMISSION_AUDIT_DIR}${RESET}`);
+  console.log('');
+}
+
+export default async function permissions(args) {
+  if (args.help) {
+    console.log(`
+friday permissions — What was allowed or denied, and by whom
+
+Usage:
+  friday permissions audit [options]      Recent permission decisions, newest first
+  friday permissions explain <tool>       Which layer decides a tool call, and how
+
+Audit options:
+  --since <when>      Only decisions after this: 30m, 24h, 7d, or a date (2026-10-01)
+  --tool <pattern>    Only this tool (* globs; write_file matches mcp__filesystem__write_file)
+  --denied            Only denials
+  --session <id>      Only one session
+  --limit <n>         At most n decisions (default ${DEFAULT_LIMIT})
+  --json              Print the entries as JSON
+
+Each decision records the tool, a redacted summary of its input, who or what
+decided (you in a prompt, the profile, a rule, a session approval, an app
+grant, a budget...), the session and the client app. Files rotate daily and
+are kept for 90 days ("permissionAudit": { "retentionDays": n } in
+~/.friday/config.json).
+
+Explain options:
+  --input <value>     The path, command or URL of the call, or its whole input as JSON
+  --workspace <path>  Workspace to check against (default: current directory)
+  --app <id>          Check as this client app
+  --json              Print the explanation as JSON
+
+Explain walks the layers: argument rules (profile, ~/.friday/permissions.json
+and the app's), app grants, your per-tool overrides, the profile (built-in
+or ~/.friday/profiles/<name>.json) and the workspace's committed
+.friday/permissions.json, which can only make a decision stricter.
+
+Examples:
+  friday permissions explain Bash --input "git push origin main"
+  friday permissions explain mcp__filesystem__write_file --input src/index.js
+`);
+    return;
+  }
+
+  const action = args._[1] || 'audit';
+  if (action === 'audit') return audit(args);
+  if (action === 'explain') return explain(args);
+  fail(`Unknown permissions command: ${action}`);
+}
@@ -0,0 +1,210 @@
+/**
+ * friday pipeline — Run multi-step agent pipelines
+ *
+ * Commands:
+ *   friday pipeline                          List pipeline definitions
+ *   friday pipeline run <file|name>          Run a pipeline (YAML or JSON)
+ *   friday pipeline status [run-id]          Step status of a run (default: latest)
+ *   friday pipeline history [name]           Past runs, most recent first
+ *
+ * Definitions are looked up by name in ~/.friday/pipelines/. See
+ * PipelineDefinition.js in the runtime for the format.
+ */
+
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+
+const STATUS_STYLE = {
+  success: `${GREEN}success${RESET}`,
+  failure: `${RED}failure${RESET}`,
+  failed: `${RED}failed${RESET}`,
+  running: `${YELLOW}running${RESET}`,
+  pending: `${DIM}pending${RESET}`,
+  skipped: `${DIM}skipped${RESET}`,
+};
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '';
+  return ms < 60_000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms / 60_000)}m`;
+}
+
+function printRun(run) {
+  console.log(`  ${BOLD}${run.pipeline}${RESET}  ${STATUS_STYLE[run.status] || run.status}  ${DIM}${run.id}${RESET}`);
+  console.log(`    ${DIM}Started ${new Date(run.startedAt).toLocaleString()}${run.durationMs != null ? ` · ${formatDuration(run.durationMs)}` : ''}${RESET}`);
+  console.log('');
+  for (const [stepId, state] of Object.entries(run.steps)) {
+    const duration = state.durationMs != null ? ` ${DIM}${formatDuration(state.durationMs)}${RESET}` : '';
+    console.log(`    ${stepId.padEnd(20)} ${STATUS_STYLE[state.status] || state.status}${duration}  ${DIM}${state.agentId}${RESET}`);
+    if (state.summary) console.log(`      ${DIM}${state.summary.slice(0, 160)}${RESET}`);
+    if (state.error) console.log(`      ${RED}${state.error}${RESET}`);
+    if (state.reason) console.log(`      ${DIM}${state.reason}${RESET}`);
+    if (state.filesCreated?.length > 0) console.log(`      ${DIM}Files: ${state.filesCreated.join(', ')}${RESET}`);
+  }
+  console.log('');
+}
+
+async function list(definitions) {
+  const names = definitions.listPipelineFiles();
+  console.log('');
+  if (names.length === 0) {
+    console.log(`  ${DIM}No pipelines in ${definitions.PIPELINES_DIR}${RESET}`);
+    console.log(`  Run one from a file with: ${DIM}friday pipeline run ./pipeline.yaml${RESET}`);
+  } else {
+    console.log(`  ${BOLD}Pipelines:${RESET}`);
+    for (const name of names) {
+      try {
+        const pipeline = definitions.loadPipeline(name);
+        console.log(`  ${BOLD}${name}${RESET}  ${DIM}${pipeline.steps.length} steps${pipeline.description ? ` · ${pipeline.description}` : ''}${RESET}`);
+      } catch (error) {
+        console.log(`  ${BOLD}${name}${RESET}  ${RED}${error.message}${RESET}`);
+      }
+    }
+  }
+  console.log('');
+}
+
+async function runPipeline(args, definitions, runHistory) {
+  const target = args._[2];
+  if (!target) {
+    console.error(`${RED}Usage: friday pipeline run <file|name> [--input <text>] [--dry-run]${RESET}`);
+    process.exit(1);
+  }
+
+  let pipeline;
+  try {
+    pipeline = definitions.loadPipeline(target);
+  } catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(`  ${BOLD}${pipeline.name}${RESET} ${DIM}(${pipeline.steps.length} steps, concurrency ${pipeline.concurrency})${RESET}`);
+  for (const step of pipeline.steps) {
+    const needs = step.needs.length > 0 ? ` ${DIM}after ${step.needs.join(', ')}${RESET}` : '';
+    console.log(`    ${step.id} ${DIM}→ ${step.agent}${RESET}${needs}`);
+  }
+  console.log('');
+  if (args['dry-run']) {
+    console.log(`  ${GREEN}Definition is valid.${RESET}`);
+    console.log('');
+    return;
+  }
+
+  const { loadBackendConfig } = await importRuntime('config.js');
+  const ScheduledAgentStore = (await importRuntime('scheduled-agents', 'ScheduledAgentStore.js')).default;
+  const AgentExecutor = (await importRuntime('scheduled-agents', 'AgentExecutor.js')).default;
+  const { PipelineExecutor } = await importRuntime('scheduler', 'PipelineExecutor.js');
+
+  const config = await loadBackendConfig();
+  const agentStore = new ScheduledAgentStore({ workspaceBasePath: config.workspacePath });
+  const executor = new PipelineExecutor({
+    agentExecutor: new AgentExecutor(agentStore, runHistory, config),
+    runHistory,
+  });
+  executor.on('pipeline:started', ({ run }) => {
+    console.log(`  ${DIM}Run ${run.id}${RESET}`);
+  });
+  executor.on('pipeline:step_started', ({ stepId }) => {
+    console.log(`  ${YELLOW}▸${RESET} ${stepId} started`);
+  });
+  executor.on('pipeline:step_completed', ({ stepId, state }) => {
+    const mark = state.status === 'success' ? `${GREEN}✓${RESET}` : state.status === 'failure' ? `${RED}✗${RESET}` : `${DIM}–${RESET}`;
+    console.log(`  ${mark} ${stepId} ${STATUS_STYLE[state.status]}${state.error ? ` ${RED}${state.error}${RESET}` : ''}`);
+  });
+
+  try {
+    const run = await executor.run(pipeline, { input: typeof args.input === 'string' ? args.input : '' });
+    console.log('');
+    printRun(run);
+    if (run.status !== 'success') process.exitCode = 1;
+  } catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exitCode = 1;
+  }
+}
+
+async function status(args, runHistory) {
+  const runId = args._[2];
+  const run = runId
+    ? await runHistory.getPipelineRunById(runId)
+    : (await runHistory.getPipelineRunHistory(null, 1))[0];
+  console.log('');
+  if (!run) {
+    console.log(`  ${DIM}${runId ? `No pipeline run found: ${runId}` : 'No pipeline runs yet.'}${RESET}`);
+    console.log('');
+    if (runId) process.exitCode = 1;
+    return;
+  }
+  printRun(run);
+}
+
+async function history(args, runHistory) {
+  const name = args._[2] || null;
+  const limit = Number(args.limit) || 20;
+  const runs = await runHistory.getPipelineRunHistory(name, limit);
+  console.log('');
+  if (runs.length === 0) {
+    console.log(`  ${DIM}No pipeline runs${name ? ` for ${name}` : ''}.${RESET}`);
+    console.log('');
+    return;
+  }
+  for (const run of runs) {
+    const steps = Object.values(run.steps);
+    const counts = ['success', 'failure', 'skipped']
+      .map(s => [s, steps.filter(state => state.status === s).length])
+      .filter(([, n]) => n > 0)
+      .map(([s, n]) => `${n} ${s}`)
+      .join(', ');
+    console.log(`  ${new Date(run.startedAt).toLocaleString()}  ${BOLD}${run.pipeline}${RESET}  ${STATUS_STYLE[run.status] || run.status}  ${DIM}${counts}${run.durationMs != null ? ` · ${formatDuration(run.durationMs)}` : ''} · ${run.id}${RESET}`);
+  }
+  console.log('');
+}
+
+export default async function pipeline(args) {
+  const subcommand = args._[1] || 'list'; // friday pipeline <subcommand>
+
+  if (args.help) {
+    console.log(`
+friday pipeline — Run multi-step agent pipelines
+
+Usage:
+  friday pipeline list
+  friday pipeline run <file|name> [--input <text>] [--dry-run]
+  friday pipeline status [run-id]
+  friday pipeline history [name] [--limit <n>]
+
+Definitions are YAML or JSON files; names resolve to ~/.friday/pipelines/<name>.yaml
+`);
+    return;
+  }
+
+  const definitions = await importRuntime('scheduler', 'PipelineDefinition.js');
+  const AgentRunHistory = (await importRuntime('scheduled-agents', 'AgentRunHistory.js')).default;
+  const runHistory = new AgentRunHistory();
+
+  switch (subcommand) {
+    case 'list':
+      return list(definitions);
+    case 'run':
+      return runPipeline(args, definitions, runHistory);
+    case 'status':
+      return status(args, runHistory);
+    case 'history':
+      return history(args, runHistory);
+    default:
+      console.log(`  ${RED}Unknown subcommand: ${subcommand}${RESET}`);
+      console.log(`  Usage: friday pipeline [list|run|status|history]`);
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * friday project — The workspace's own settings in .friday/config.json
+ *
+ * Commands:
+ *   friday project [show] [--workspace <path>] [--json]   The project config and whether it is trusted
+ *   friday project trust [--workspace <path>]             Use it (MCP servers, rules, agent, model...)
+ *   friday project untrust [--workspace <path>]           Ignore it
+ *
+ * A project config can start MCP servers and run rule commands, so Friday
+ * ignores it until it is trusted. Answers are kept per workspace in
+ * ~/.friday/trusted-projects.json; editing the file asks again.
+ */
+
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function fail(message) {
+  console.error(`${RED}${message}${RESET}`);
+  process.exit(1);
+}
+
+/**
+ * What a project config sets, one line per setting, from
+ * describeProjectConfig. Used here and by the trust prompt in chat.
+ */
+export function projectSummaryLines(summary = {}) {
+  const lines = [];
+  if (summary.agent) lines.push(`Agent role: ${summary.agent}`);
+  if (summary.model) lines.push(`Model: ${summary.model}`);
+  if (summary.template) lines.push(`Template: ${summary.template}`);
+  if (summary.skills?.length) lines.push(`Skills: ${summary.skills.join(', ')}`);
+  for (const server of summary.mcpServers || []) {
+    lines.push(`MCP server ${server.name}: ${server.command}`);
+    if (server.env?.length) lines.push(`MCP server ${server.name} env: ${server.env.join(' ')}`);
+    if (server.cwd) lines.push(`MCP server ${server.name} cwd: ${server.cwd}`);
+  }
+  for (const rule of summary.rules || []) {
+    lines.push(rule.commands?.length ? `Rule ${rule.id} runs: ${rule.commands.join('; ')}` : `Rule ${rule.id}`);
+  }
+  return lines;
+}
+
+function describeTrust(trust) {
+  if (trust === 'trusted') return `${GREEN}trusted${RESET}`;
+  if (trust === 'untrusted') return `${RED}not trusted${RESET} ${DIM}(ignored)${RESET}`;
+  return `${YELLOW}not reviewed${RESET} ${DIM}(ignored until trusted)${RESET}`;
+}
+
+async function loadProject(args) {
+  const projectModule = await importRuntime('project', 'ProjectConfig.js');
+  const workspacePath = path.resolve(typeof args.workspace === 'string' ? args.workspace : process.cwd());
+  const project = projectModule.loadProjectConfig(workspacePath);
+  return { ...projectModule, workspacePath, project };
+}
+
+async function show(args) {
+  const { workspacePath, project, describeProjectConfig, PROJECT_CONFIG_FILE } = await loadProject(args);
+  if (args.json) {
+    console.log(JSON.stringify(project, null, 2));
+    return;
+  }
+  console.log('');
+  if (!project) {
+    console.log(`  ${DIM}No ${PROJECT_CONFIG_FILE} in ${workspacePath}${RESET}`);
+    console.log('');
+    return;
+  }
+  console.log(`  ${BOLD}${project.path}${RESET}  ${describeTrust(project.trust)}`);
+  console.log('');
+  if (project.error) console.log(`  ${RED}${project.error}${RESET}`);
+  for (const line of projectSummaryLines(describeProjectConfig(project.settings))) {
+    console.log(`  ${line}`);
+  }
+  for (const problem of project.problems) {
+    console.log(`  ${YELLOW}Skipped: ${problem}${RESET}`);
+  }
+  console.log('');
+}
+
+async function setTrust(args, trusted) {
+  const { workspacePath, project, default: trustStore, PROJECT_CONFIG_FILE } = await loadProject(args);
+  if (!project) fail(`No ${PROJECT_CONFIG_FILE} in ${workspacePath}`);
+  if (project.error) fail(`Can't read ${project.path}: ${project.error}`);
+  trustStore.set(workspacePath, project.hash, trusted);
+  console.log(trusted
+    ? `${GREEN}Trusted ${project.path}.${RESET} ${DIM}Friday uses it from the next session.${RESET}`
+    : `${DIM}Friday will ignore ${project.path}.${RESET}`);
+}
+
+export default async function project(args) {
+  if (args.help) {
+    console.log(`
+friday project — The workspace's own settings in .friday/config.json
+
+Usage:
+  friday project [show]       The project config and whether it is trusted
+  friday project trust        Use it
+  friday project untrust      Ignore it
+
+Options:
+  --workspace <path>  Workspace (default: current directory)
+  --json              Print the project config as JSON (show)
+
+A project config sets the defaults for work in that workspace:
+
+  {
+    "agent": "backend-developer",
+    "model": "claude-sonnet-4-5",
+    "skills": ["api-design"],
+    "template": "nodejs-development",
+    "mcpServers": { "postgres": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-postgres"] } },
+    "rules": [{ "id": "test_after_edit", "triggers": { "editedFiles": ["src/**"] },
+                "actions": [{ "type": "run_command", "command": "npm test" }] }]
+  }
+
+Its MCP servers are added to (and override) yours; its rules come after the
+built-in ones. Because they run commands, Friday asks before using a
+project config for the first time and again whenever the file changes.
+`);
+    return;
+  }
+
+  const action = args._[1] || 'show';
+  if (action === 'show') return show(args);
+  if (action === 'trust') return setTrust(args, true);
+  if (action === 'untrust') return setTrust(args, false);
+  fail(`Unknown project command: ${action}`);
+}
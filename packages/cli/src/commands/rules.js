@@ -0,0 +1,214 @@
+/**
+ * friday rules — Automation rules that follow up on queries and sessions
+ *
+ * Commands:
+ *   friday rules [list] [--workspace <path>]                  Rules in effect and where they come from
+ *   friday rules test <session-id> [--rule <id>] [--json]     Which rules a recorded session would fire
+ *
+ * Rules are read from the runtime's rules/rules.json, a trusted
+ * <workspace>/.friday/config.json, ~/.friday/rules/*.json and
+ * <workspace>/.friday/rules/*.json. `test` replays a session's event log
+ * against them without running any action.
+ */
+
+import os from 'os';
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function fail(message) {
+  console.error(`${RED}${message}${RESET}`);
+  process.exit(1);
+}
+
+/**
+ * One-line summary of a rule's triggers ("edited src/**, exit code nonzero").
+ */
+export function describeTriggers(triggers = {}) {
+  const parts = [];
+  if (triggers.event === 'session_end') parts.push('at session end');
+  if (typeof triggers.minCreatedFiles === 'number') parts.push(`≥${triggers.minCreatedFiles} file(s) written`);
+  if (triggers.extensions?.length) parts.push(`extensions ${triggers.extensions.join(' ')}`);
+  if (triggers.requireTools?.length) parts.push(`used ${triggers.requireTools.join('|')}`);
+  if (triggers.artifactTypes?.length) parts.push(`built ${triggers.artifactTypes.join('|')}`);
+  if (triggers.toolFailed) {
+    parts.push(Array.isArray(triggers.toolFailed) ? `failed ${triggers.toolFailed.join('|')}` : 'a tool failed');
+  }
+  if (triggers.commandExitCode !== undefined) parts.push(`exit code ${[].concat(triggers.commandExitCode).join('|')}`);
+  if (triggers.editedFiles?.length) parts.push(`edited ${triggers.editedFiles.join(' ')}`);
+  if (typeof triggers.minQueryCostUsd === 'number') parts.push(`query ≥ $${triggers.minQueryCostUsd}`);
+  if (typeof triggers.minSessionCostUsd === 'number') parts.push(`session ≥ $${triggers.minSessionCostUsd}`);
+  return parts.join(', ') || 'every query';
+}
+
+/**
+ * What a rule does, for display ("run_command: npm test").
+ */
+export function describeActions(rule) {
+  const describe = (action) => {
+    const detail = action.command || action.skill || action.agentId || action.title || action.label || '';
+    return detail ? `${action.type || 'dismiss'}: ${detail}` : action.type || 'dismiss';
+  };
+  const automatic = (rule.actions || []).map(describe);
+  const offered = (rule.prompt?.actions || []).map(describe);
+  return [
+    ...automatic,
+    ...(offered.length ? [`asks: ${offered.join(' / ')}`] : []),
+  ];
+}
+
+function resolveWorkspace(args, fallback = null) {
+  if (typeof args.workspace === 'string') return path.resolve(args.workspace);
+  return fallback || path.resolve(process.env.FRIDAY_WORKSPACE || path.join(os.homedir(), 'FridayWorkspace'));
+}
+
+/**
+ * The rules the runtime would use in a workspace, including those of its
+ * project config once trusted.
+ */
+async function loadRulesFor(workspacePath) {
+  const [{ loadAutomationRules, loadBuiltInRules }, { loadProjectConfig, projectRules }] = await Promise.all([
+    importRuntime('rules', 'AutomationRules.js'),
+    importRuntime('project', 'ProjectConfig.js'),
+  ]);
+  const baseRules = [...loadBuiltInRules(), ...projectRules(loadProjectConfig(workspacePath))];
+  return loadAutomationRules({ workspacePath, baseRules });
+}
+
+async function listRules(args) {
+  const { getRuleDirectories } = await importRuntime('rules', 'AutomationRules.js');
+  const workspacePath = resolveWorkspace(args);
+  const rules = await loadRulesFor(workspacePath);
+
+  console.log('');
+  console.log(`  ${BOLD}Automation rules${RESET}`);
+  console.log('');
+  for (const rule of rules) {
+    console.log(`  ${rule.id}  ${DIM}(${rule.source})${RESET}`);
+    console.log(`    ${DIM}when${RESET} ${describeTriggers(rule.triggers)}`);
+    for (const action of describeActions(rule)) {
+      console.log(`    ${DIM}then${RESET} ${action}`);
+    }
+  }
+  if (rules.length === 0) console.log(`  ${DIM}No rules.${RESET}`);
+  console.log('');
+  console.log(`  ${DIM}Add rules in ${getRuleDirectories(workspacePath).map(({ dir }) => dir).join(' or ')}${RESET}`);
+  console.log('');
+}
+
+async function testRules(args) {
+  const target = args._[2];
+  if (!target) fail('Usage: friday rules test <session-id> [--rule <id>] [--workspace <path>] [--json]');
+
+  const [{ resolveSessionsPath }, { SessionStore }, rulesModule, { calculateTokenCost }] = await Promise.all([
+    importRuntime('config.js'),
+    importRuntime('sessions', 'SessionStore.js'),
+    importRuntime('rules', 'AutomationRules.js'),
+    importRuntime('providers', 'CostTracker.js'),
+  ]);
+  const { ruleMatchesContext, replaySessionEvents } = rulesModule;
+
+  const store = new SessionStore({ basePath: resolveSessionsPath() });
+  const sessions = await store.listSessions(Infinity);
+  const matches = sessions.filter(s => s.id === target || s.id.startsWith(target));
+  if (matches.length === 0) fail(`No session matches "${target}"`);
+  if (matches.length > 1 && !matches.some(s => s.id === target)) {
+    fail(`"${target}" matches several sessions: ${matches.map(s => s.id).join(', ')}`);
+  }
+  const session = matches.find(s => s.id === target) || matches[0];
+
+  const workspacePath = resolveWorkspace(args, session.workspacePath || null);
+  let rules = await loadRulesFor(workspacePath);
+  if (typeof args.rule === 'string') {
+    rules = rules.filter(rule => rule.id === args.rule);
+    if (rules.length === 0) fail(`No rule with id ${args.rule}`);
+  }
+
+  const events = await store.getSessionEvents(session.id, { limit: Infinity });
+  const replay = replaySessionEvents(events, {
+    workspacePath,
+    costOf: (usage) => calculateTokenCost(usage, session.model),
+  });
+
+  const evaluate = (context) => rules
+    .filter(rule => context.origin === 'user' && ruleMatchesContext(rule, context))
+    .map(rule => ({ id: rule.id, actions: describeActions(rule) }));
+  const results = {
+    session_id: session.id,
+    workspace: workspacePath,
+    queries: replay.queries.map((query, index) => ({
+      index: index + 1,
+      message: query.message,
+      origin: query.origin,
+      fired: evaluate(query),
+    })),
+    session_end: evaluate(replay.session),
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  const printFired = (fired) => {
+    if (fired.length === 0) {
+      console.log(`    ${DIM}no rules fire${RESET}`);
+      return;
+    }
+    for (const rule of fired) {
+      console.log(`    ${GREEN}✓ ${rule.id}${RESET}${rule.actions.length ? `  ${DIM}→ ${rule.actions.join('; ')}${RESET}` : ''}`);
+    }
+  };
+
+  console.log('');
+  console.log(`  ${BOLD}${session.title}${RESET}  ${DIM}${session.id}  ${rules.length} rule(s)${RESET}`);
+  console.log('');
+  for (const query of results.queries) {
+    const preview = query.message.replace(/\s+/g, ' ').slice(0, 70);
+    console.log(`  ${query.index}. ${preview}${query.origin === 'user' ? '' : `  ${DIM}(${query.origin}, rules skipped)${RESET}`}`);
+    if (query.origin === 'user') printFired(query.fired);
+  }
+  console.log(`  ${DIM}Session end${RESET}`);
+  printFired(results.session_end);
+  console.log('');
+  console.log(`  ${DIM}Nothing was run. Artifact types are not recorded, so artifactTypes triggers never match here.${RESET}`);
+  console.log('');
+}
+
+export default async function rules(args) {
+  if (args.help) {
+    console.log(`
+friday rules — Automation rules that follow up on queries and sessions
+
+Usage:
+  friday rules [list] [--workspace <path>]          Rules in effect and where they come from
+  friday rules test <session-id> [--rule <id>]       Replay a recorded session against the rules
+                    [--workspace <path>] [--json]
+
+Rules live in ~/.friday/rules/*.json and <workspace>/.friday/rules/*.json
+(a rule replaces a built-in or user rule with the same id). Triggers include
+files written, edited-file globs, tool failures, shell exit codes, query and
+session cost, and the end of a session; actions can ask the user, send a
+follow-up prompt, invoke a skill, run a command through the permission
+checks, notify, or start a scheduled agent.
+
+'test' only reports which rules would fire for each query; it runs nothing.
+A session id prefix is enough.
+`);
+    return;
+  }
+
+  const action = args._[1];
+  if (!action || action === 'list') return listRules(args);
+  if (action === 'test') return testRules(args);
+  fail(`Unknown rules command: ${action}`);
+}
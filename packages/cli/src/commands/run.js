@@ -0,0 +1,340 @@
+/**
+ * friday run — Headless one-shot query for scripts and CI
+ *
+ * Commands:
+ *   friday run "<prompt>" [--output text|json] [--allow <tools>] [--deny <tools>]
+ *                         [--profile <name>] [--backend <name>] [--max-turns <n>] [--timeout <seconds>]
+ *   echo "<prompt>" | friday run
+ *   git diff | friday run "review this diff" --stdin
+ *
+ * Spawns the runtime's stdio transport (friday-server.js) like `friday chat`,
+ * sends a single query and exits when it finishes. Nobody is there to answer
+ * permission prompts, so the query runs unattended: tools the profile or
+ * --allow list does not pre-approve are denied. The exit code says how the
+ * run ended (see EXIT_CODES).
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+import { loadApiKeysToEnv, loadEnvFileToEnv } from '../secureKeyStore.js';
+
+const serverScript = path.join(runtimeDir, 'friday-server.js');
+
+// Progress goes to stderr, so only color it when a person is watching
+const useColor = process.stderr.isTTY;
+const DIM = useColor ? '\x1b[2m' : '';
+const RESET = useColor ? '\x1b[0m' : '';
+const RED = useColor ? '\x1b[31m' : '';
+const YELLOW = useColor ? '\x1b[33m' : '';
+
+// Give the runtime this long to wind down after an abort before killing it
+const ABORT_GRACE_MS = 5000;
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  AGENT_ERROR: 1,
+  USAGE: 2,
+  PERMISSION_DENIED: 3,
+  BUDGET_EXCEEDED: 4,
+  LIMIT_REACHED: 5,
+};
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+/**
+ * Split a --allow/--deny value ("write_file,mcp__terminal__*") into patterns.
+ */
+export function parseToolList(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Exit code for how a run ended. Budget and limits win over errors, which
+ * win over denied tool calls (the agent may have worked around them, but a
+ * script should still know).
+ * @param {{ budgetExceeded, limitReached, error, denied }} outcome
+ */
+export function exitCodeFor({ budgetExceeded = false, limitReached = false, error = null, denied = 0 } = {}) {
+  if (budgetExceeded) return EXIT_CODES.BUDGET_EXCEEDED;
+  if (limitReached) return EXIT_CODES.LIMIT_REACHED;
+  if (error) return EXIT_CODES.AGENT_ERROR;
+  if (denied > 0) return EXIT_CODES.PERMISSION_DENIED;
+  return EXIT_CODES.SUCCESS;
+}
+
+function positiveNumber(value, flag) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    usageError(`${flag} needs a positive number`);
+  }
+  return number;
+}
+
+function usageError(message) {
+  console.error(`${RED}${message}${RESET}`);
+  console.error(`Run 'friday run --help' for usage.`);
+  process.exit(EXIT_CODES.USAGE);
+}
+
+async function readStdin(stdin) {
+  if (stdin.isTTY) return '';
+  let data = '';
+  for await (const chunk of stdin) data += chunk;
+  return data.trim();
+}
+
+/**
+ * The prompt from the arguments and stdin. Stdin is read only when there is
+ * no prompt argument, when one of the arguments is `-`, or with --stdin:
+ * CI and cron often leave stdin open without writing to it, and waiting for
+ * its EOF would hang the run.
+ */
+export async function resolvePrompt(args, stdin = process.stdin) {
+  const words = args._.slice(1);
+  // parseArgs hands --stdin the word after it; it takes no value
+  if (typeof args.stdin === 'string') words.push(args.stdin);
+  const text = words.filter(word => word !== '-').join(' ').trim();
+  const wantsStdin = !text || words.includes('-') || args.stdin !== undefined;
+  return [text, wantsStdin ? await readStdin(stdin) : ''].filter(Boolean).join('\n\n');
+}
+
+export default async function run(args) {
+  if (args.help) {
+    console.log(`
+friday run — Run one prompt without a chat, for scripts and CI
+
+Usage:
+  friday run "<prompt>" [options]
+  cat task.md | friday run [options]
+  git diff | friday run "<prompt>" --stdin [options]
+
+Options:
+  --output text|json      Stream the reply as text (default) or NDJSON events
+  --allow <tools>         Comma-separated tools to pre-approve (e.g. write_file,mcp__terminal__*)
+  --deny <tools>          Comma-separated tools to always deny (wins over --allow)
+  --profile <name>        Permission profile for this run (headless, or one in ~/.friday/profiles)
+  --backend <name>        LLM backend (claude, openai, google, or one from ~/.friday/backends.json)
+  --max-turns <n>         Stop after n agent turns
+  --timeout <seconds>     Stop after this many seconds
+  --workspace <path>      Working directory for the agent
+  --stdin                 Append stdin to the prompt argument (same as a - argument)
+  --verbose               Show runtime logs on stderr
+
+Stdin is read when there is no prompt argument, or with --stdin or -. Tools
+that are not pre-approved are denied, since nobody is there to answer prompts.
+
+Exit codes:
+  0  Success
+  1  The agent or runtime reported an error
+  2  Bad usage
+  3  A tool call was denied
+  4  A spending budget was exceeded
+  5  --max-turns or --timeout was reached
+`);
+    return;
+  }
+
+  const output = typeof args.output === 'string' ? args.output : 'text';
+  if (!['text', 'json'].includes(output)) usageError(`Unknown output format: ${output}`);
+  const json = output === 'json';
+
+  const prompt = await resolvePrompt(args);
+  if (!prompt) usageError('Usage: friday run "<prompt>" (or pipe the prompt on stdin)');
+
+  const maxTurns = positiveNumber(args['max-turns'], '--max-turns');
+  const timeoutSeconds = positiveNumber(args.timeout, '--timeout');
+  const toolPolicy = { allow: parseToolList(args.allow), deny: parseToolList(args.deny) };
+  const backendName = typeof args.backend === 'string' ? args.backend : null;
+
+  let profile = null;
+  if (args.profile !== undefined) {
+    const { default: permissionManager } = await importRuntime('permissions', 'PermissionManager.js');
+    const profiles = permissionManager.listProfiles();
+    const chosen = profiles.find((p) => p.name === args.profile);
+    if (!chosen) {
+      usageError(`Unknown profile: ${args.profile} (expected ${profiles.map((p) => p.name).join(', ')})`);
+    }
+    if (chosen.error) usageError(`Profile ${args.profile} can't be used: ${chosen.error}`);
+    profile = args.profile;
+  }
+
+  const { default: costTracker, CostTracker } = await importRuntime('providers', 'CostTracker.js');
+  const startCheck = costTracker.checkBudget(0);
+  if (!startCheck.allowed) {
+    console.error(`${RED}Budget exceeded: ${CostTracker.describeExceeded(startCheck.exceeded)}${RESET}`);
+    process.exit(EXIT_CODES.BUDGET_EXCEEDED);
+  }
+
+  const workspacePath = path.resolve(
+    args.workspace || process.env.FRIDAY_WORKSPACE || path.join(os.homedir(), 'FridayWorkspace')
+  );
+  fs.mkdirSync(workspacePath, { recursive: true });
+
+  try {
+    await loadApiKeysToEnv();
+  } catch (err) {
+    if (args.verbose) console.error(`${DIM}Note: Could not load from secure storage: ${err.message}${RESET}`);
+  }
+  loadEnvFileToEnv();
+
+  const env = { ...process.env, FRIDAY_WORKSPACE: workspacePath };
+  if (profile) env.FRIDAY_PERMISSION_PROFILE = profile;
+
+  const backend = spawn(process.execPath, [serverScript], {
+    cwd: runtimeDir,
+    env,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  if (args.verbose) {
+    backend.stderr.on('data', (chunk) => process.stderr.write(chunk));
+  } else {
+    backend.stderr.resume();
+  }
+
+  const outcome = { budgetExceeded: false, limitReached: false, error: null, denied: 0 };
+  const seenTools = new Set();
+  let sessionId = null;
+  let endsWithNewline = true;
+  let finished = false;
+  let timer = null;
+
+  function writeMessage(payload) {
+    backend.stdin.write(`${JSON.stringify(payload)}\n`);
+  }
+
+  function note(text) {
+    if (json) return;
+    if (!endsWithNewline) process.stdout.write('\n');
+    endsWithNewline = true;
+    console.error(text);
+  }
+
+  function finish(reason) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    const code = exitCodeFor(outcome);
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ type: 'exit', code, reason, session_id: sessionId })}\n`);
+    } else if (!endsWithNewline) {
+      process.stdout.write('\n');
+    }
+    backend.removeAllListeners('exit');
+    backend.kill();
+    process.exitCode = code;
+  }
+
+  // Stop the query, and the runtime too if it does not stop in time
+  function stop() {
+    writeMessage({ type: 'abort_query', session_id: sessionId });
+    setTimeout(() => finish('killed'), ABORT_GRACE_MS).unref();
+  }
+
+  function checkBudget() {
+    if (outcome.budgetExceeded) return;
+    const check = costTracker.checkBudget(0, { sessionId });
+    if (check.allowed) return;
+    outcome.budgetExceeded = true;
+    note(`${RED}Budget exceeded: ${CostTracker.describeExceeded(check.exceeded)}. Stopping.${RESET}`);
+    stop();
+  }
+
+  function handleEvent(msg) {
+    if (json && msg.type !== 'ready') process.stdout.write(`${JSON.stringify(msg)}\n`);
+    if (msg.session_id) sessionId = msg.session_id;
+
+    switch (msg.type) {
+      case 'ready':
+        writeMessage({
+          type: 'query',
+          message: prompt,
+          metadata: { batchMode: true, maxTurns, toolPolicy, backend: backendName },
+        });
+        if (timeoutSeconds) {
+          timer = setTimeout(() => {
+            outcome.limitReached = true;
+            note(`${YELLOW}Timed out after ${timeoutSeconds}s. Stopping.${RESET}`);
+            stop();
+          }, timeoutSeconds * 1000);
+        }
+        break;
+      case 'chunk':
+        if (!json && msg.text) {
+          process.stdout.write(msg.text);
+          endsWithNewline = msg.text.endsWith('\n');
+        }
+        break;
+      case 'tool_use':
+        if (msg.tool_use_id && seenTools.has(msg.tool_use_id)) break;
+        seenTools.add(msg.tool_use_id);
+        note(`${DIM}→ ${msg.tool_name}${RESET}`);
+        break;
+      case 'tool_result':
+      case 'usage':
+        checkBudget();
+        break;
+      case 'permission_denied':
+        outcome.denied++;
+        if (msg.reason === 'budget') outcome.budgetExceeded = true;
+        note(`${YELLOW}Denied ${msg.tool_name}: ${msg.message}${RESET}`);
+        break;
+      case 'command_blocked':
+        outcome.denied++;
+        note(`${YELLOW}Blocked command: ${msg.reason || msg.command || ''}${RESET}`);
+        break;
+      case 'permission_request':
+        // The runtime does not ask in batch mode; refuse anything that slips through
+        outcome.denied++;
+        writeMessage({ type: 'permission_response', permission_id: msg.permission_id, approved: false });
+        note(`${YELLOW}Denied ${msg.tool_name}: no one to approve it${RESET}`);
+        break;
+      case 'project_trust_request':
+        // Nobody can review it here; the run goes on without it
+        note(`${YELLOW}Ignoring ${msg.config_path} until it is trusted (friday project trust)${RESET}`);
+        break;
+      case 'error':
+        if (msg.code === 'error_max_turns') {
+          outcome.limitReached = true;
+        } else {
+          outcome.error = msg.message;
+        }
+        note(`${RED}Error: ${msg.message}${RESET}`);
+        finish('error');
+        break;
+      case 'complete':
+        finish(msg.aborted ? 'aborted' : 'complete');
+        break;
+    }
+  }
+
+  let buffer = '';
+  backend.stdout.on('data', (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop() || '';
+    for (const line of lines) {
+      if (finished || !line.trim()) continue;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch {
+        continue; // runtime log lines
+      }
+      handleEvent(msg);
+    }
+  });
+
+  backend.on('exit', (code, signal) => {
+    if (finished) return;
+    outcome.error = `Runtime exited unexpectedly (code=${code ?? 'null'} signal=${signal ?? 'none'})`;
+    note(`${RED}Error: ${outcome.error}${RESET}`);
+    finish('runtime_exit');
+  });
+}
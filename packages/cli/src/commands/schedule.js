@@ -3,7 +3,7 @@
  *
  * Commands:
  *   friday schedule              List all scheduled agents
- *   friday schedule create       Create a new scheduled agent
+ *   friday schedule create       Create a new scheduled agent (--backend <name> to pick its LLM)
  *   friday schedule delete <id>  Delete a scheduled agent
  */
 
@@ -131,7 +131,7 @@ export default async function schedule(args) {
         const schedule = agent.schedule?.humanReadable || agent.schedule?.cron || 'unknown';
         const nextRun = agent.nextRunAt ? new Date(agent.nextRunAt).toLocaleString() : 'unknown';
         console.log(`  ${BOLD}${agent.name}${RESET}  ${DIM}(${agent.id})${RESET}`);
-        console.log(`    ${schedule}  ·  ${status}  ·  Next: ${nextRun}`);
+        console.log(`    ${schedule}  ·  ${status}  ·  Next: ${nextRun}${agent.backend ? `  ·  ${agent.backend}` : ''}`);
         if (agent.description) {
           console.log(`    ${DIM}${agent.description}${RESET}`);
         }
@@ -144,6 +144,17 @@ export default async function schedule(args) {
 
   // ── Create ──────────────────────────────────────────────────────────
   if (subcommand === 'create') {
+    const backend = typeof args.backend === 'string' ? args.backend : null;
+    if (backend) {
+      const { default: backendRegistry } = await import(path.join(runtimeDir, 'src', 'backends', 'BackendRegistry.js'));
+      try {
+        backendRegistry.resolve(backend);
+      } catch (error) {
+        console.log(`  ${RED}${error.message}${RESET}`);
+        return;
+      }
+    }
+
     const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
 
     console.log('');
@@ -203,6 +214,9 @@ export default async function schedule(args) {
     if (plugins.length > 0) {
       console.log(`  ${DIM}Plugins: ${plugins.join(', ')}${RESET}`);
     }
+    if (backend) {
+      console.log(`  ${DIM}Backend: ${backend}${RESET}`);
+    }
     console.log('');
 
     const confirm = await ask(rl, `  Create this agent? (Y/n): `);
@@ -225,6 +239,7 @@ export default async function schedule(args) {
         },
         mcpServers: plugins.length > 0 ? plugins : ['terminal'],
         permissions: { preAuthorized: true, tools: [] },
+        backend,
       });
 
       console.log('');
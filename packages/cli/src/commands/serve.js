@@ -4,11 +4,46 @@
  * Exposes the agent runtime over WebSocket (for real-time streaming)
  * and HTTP REST (for agent/skill management). Clients connect via
  * ws://host:port/ws for conversations.
+ *
+ * Every request must carry a bearer token (Authorization header, or
+ * ?token= on the WebSocket URL). Tokens are managed with:
+ *   friday serve token create --name <name> [--scopes a,b] [--app-id <id>]
+ *   friday serve token list
+ *   friday serve token revoke <id|name>
+ *
+ * POST /hooks/:source/:event is the exception: it fires `friday trigger`
+ * webhooks and is authenticated by the trigger's HMAC signature instead.
  */
 
+import fs from 'fs';
 import http from 'http';
 import { WebSocketServer } from 'ws';
-import { AgentRuntime, loadBackendConfig, agentManager, skillManager } from 'friday-runtime';
+import {
+  AgentRuntime,
+  StreamRegistry,
+  loadBackendConfig,
+  agentManager,
+  skillManager,
+  apiTokenStore,
+  API_SCOPES,
+  scopeForRoute,
+  scopeForMessage,
+  extractBearerToken,
+  isAuthDisabled,
+  ScheduledAgentStore,
+  AgentRunHistory,
+  AgentExecutor,
+  TriggerRouter,
+  TriggerStore,
+  MAX_WEBHOOK_BODY_BYTES,
+} from 'friday-runtime';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
 
 // --- HTTP helpers ---
 
@@ -27,12 +62,38 @@ function parseBody(req) {
   });
 }
 
+// Resolves null as soon as the body is larger than maxBytes; the rest is discarded
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      resolve(null);
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.off('data', onData);
+        req.resume();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
 function sendJson(res, statusCode, data) {
   res.writeHead(statusCode, {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   });
   res.end(JSON.stringify(data));
 }
@@ -49,6 +110,83 @@ function parseUrl(url) {
   return { pathname, query };
 }
 
+// --- Token management ---
+
+function tokenCreate(args) {
+  const name = typeof args.name === 'string' ? args.name : args._[3];
+  if (!name) {
+    console.error(`${RED}Usage: friday serve token create --name <name> [--scopes a,b] [--app-id <id>]${RESET}`);
+    process.exit(1);
+  }
+  const scopes = typeof args.scopes === 'string'
+    ? args.scopes.split(',').map((s) => s.trim()).filter(Boolean)
+    : [API_SCOPES.QUERY];
+  const appId = typeof args['app-id'] === 'string' ? args['app-id'] : null;
+
+  try {
+    const { token, record } = apiTokenStore.createToken({ name, scopes, appId });
+    console.log('');
+    console.log(`  ${GREEN}Created token "${record.name}"${RESET} ${DIM}(${record.id})${RESET}`);
+    console.log(`  ${DIM}Scopes:${RESET} ${record.scopes.join(', ')}`);
+    if (record.appId) console.log(`  ${DIM}App:${RESET}    ${record.appId}`);
+    console.log('');
+    console.log(`  ${BOLD}${token}${RESET}`);
+    console.log('');
+    console.log(`  ${YELLOW}Copy it now — it will not be shown again.${RESET}`);
+    console.log('');
+  } catch (err) {
+    console.error(`${RED}${err.message}${RESET}`);
+    process.exit(1);
+  }
+}
+
+function tokenList() {
+  const tokens = apiTokenStore.listTokens();
+  if (tokens.length === 0) {
+    console.log(`\n  ${DIM}No API tokens. Create one with: friday serve token create --name <name>${RESET}\n`);
+    return;
+  }
+  console.log('');
+  for (const t of tokens) {
+    console.log(`  ${BOLD}${t.name}${RESET} ${DIM}(${t.id})${RESET}`);
+    console.log(`    ${DIM}Scopes:${RESET}    ${t.scopes.join(', ')}`);
+    if (t.appId) console.log(`    ${DIM}App:${RESET}       ${t.appId}`);
+    console.log(`    ${DIM}Created:${RESET}   ${new Date(t.createdAt).toLocaleString()}`);
+    console.log(`    ${DIM}Last used:${RESET} ${t.lastUsedAt ? new Date(t.lastUsedAt).toLocaleString() : 'never'}`);
+  }
+  console.log('');
+}
+
+function tokenRevoke(args) {
+  const id = args._[3];
+  if (!id) {
+    console.error(`${RED}Usage: friday serve token revoke <id|name>${RESET}`);
+    process.exit(1);
+  }
+  if (apiTokenStore.revokeToken(id)) {
+    console.log(`  ${GREEN}Revoked token ${id}${RESET}`);
+  } else {
+    console.error(`${RED}No token found: ${id}${RESET}`);
+    process.exit(1);
+  }
+}
+
+function token(args) {
+  const sub = args._[2] || 'list';
+  switch (sub) {
+    case 'create':
+      return tokenCreate(args);
+    case 'list':
+      return tokenList();
+    case 'revoke':
+      return tokenRevoke(args);
+    default:
+      console.error(`${RED}Unknown token command: ${sub}${RESET}`);
+      console.error('Usage: friday serve token create|list|revoke');
+      process.exit(1);
+  }
+}
+
 // --- Server ---
 
 export default async function serve(args) {
@@ -58,19 +196,57 @@ export default async function serve(args) {
     console.log(`
 friday serve — Start HTTP/WebSocket server
 
+Usage:
+  friday serve [options]
+  friday serve token create --name <name> [--scopes a,b] [--app-id <id>]
+  friday serve token list
+  friday serve token revoke <id|name>
+
 Options:
   --port <port>        Port to listen on (default: 8787)
   --workspace <path>   Working directory for agent (default: ~/FridayWorkspace)
+  --no-auth            Disable token checks (local development only;
+                       same as FRIDAY_SERVER_AUTH=off)
+
+Scopes: ${Object.values(API_SCOPES).join(', ')}
 `);
     process.exit(0);
   }
 
+  if (args._[1] === 'token') {
+    token(args);
+    return;
+  }
+
   if (args.workspace) {
     process.env.FRIDAY_WORKSPACE = args.workspace;
   }
 
+  const authEnabled = !isAuthDisabled({ args });
+  const authorize = (req, query, scope) => {
+    if (!authEnabled) return { ok: true, token: null };
+    return apiTokenStore.authorize(extractBearerToken(req, query), scope);
+  };
+
   const config = await loadBackendConfig();
 
+  // Triggers: signed webhooks, file watches and agent chains
+  const scheduledAgentStore = new ScheduledAgentStore({ workspaceBasePath: config.workspacePath });
+  const agentExecutor = new AgentExecutor(scheduledAgentStore, new AgentRunHistory(), config);
+  const triggerStore = new TriggerStore({ dataDir: scheduledAgentStore.dataDir });
+  const triggerRouter = new TriggerRouter({
+    agentExecutor,
+    agentStore: scheduledAgentStore,
+    store: triggerStore,
+    watchFiles: true,
+  });
+  triggerRouter.on('trigger:error', ({ triggerId, error }) => {
+    console.error(`${RED}Trigger ${triggerId} failed: ${error.message}${RESET}`);
+  });
+  triggerRouter.loadFromStore();
+  // Pick up `friday trigger add|remove` while the server is running
+  fs.watchFile(triggerStore.filePath, { interval: 2000 }, () => triggerRouter.loadFromStore());
+
   const httpServer = http.createServer(async (req, res) => {
     const { pathname, query } = parseUrl(req.url);
     const method = req.method;
@@ -79,7 +255,7 @@ Options:
       res.writeHead(204, {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
       });
       res.end();
       return;
@@ -92,6 +268,28 @@ Options:
         return;
       }
 
+      // Signed webhooks authenticate with an HMAC signature instead of a bearer token
+      const hookMatch = pathname.match(/^\/hooks\/([^/]+)\/([^/]+)$/);
+      if (hookMatch && method === 'POST') {
+        const rawBody = await readRawBody(req, MAX_WEBHOOK_BODY_BYTES);
+        if (!rawBody) {
+          sendJson(res, 413, { error: 'Webhook body too large' });
+          return;
+        }
+        const { status, ...body } = triggerRouter.receiveWebhook(decodeURIComponent(hookMatch[1]), decodeURIComponent(hookMatch[2]), {
+          rawBody,
+          signature: req.headers['x-hub-signature-256'] || req.headers['x-friday-signature'],
+        });
+        sendJson(res, status, body);
+        return;
+      }
+
+      const auth = authorize(req, query, scopeForRoute(method, pathname));
+      if (!auth.ok) {
+        sendJson(res, auth.status, { error: auth.error });
+        return;
+      }
+
       // --- Agent endpoints ---
 
       if (pathname === '/api/agents' && method === 'GET') {
@@ -146,14 +344,33 @@ Options:
 
   // --- WebSocket ---
 
-  const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
+  const wss = new WebSocketServer({
+    server: httpServer,
+    path: '/ws',
+    verifyClient: (info, done) => {
+      const auth = authorize(info.req, parseUrl(info.req.url).query, API_SCOPES.QUERY);
+      if (!auth.ok) {
+        done(false, auth.status, auth.error);
+        return;
+      }
+      info.req.apiToken = auth.token;
+      done(true);
+    },
+  });
+
+  // Runtimes stay reachable by session id after a disconnect (resume_stream)
+  const streams = new StreamRegistry();
 
-  wss.on('connection', (socket) => {
-    const runtime = new AgentRuntime({
+  wss.on('connection', (socket, req) => {
+    const apiToken = req.apiToken || null;
+    let runtime = new AgentRuntime({
       workspacePath: config.workspacePath,
       rules: config.rules,
       mcpServers: config.mcpServers,
       sessionsPath: config.sessionsPath,
+      tokenId: apiToken?.id || null,
+      appId: apiToken?.appId || null,
+      project: config.project,
     });
 
     const send = (payload) => {
@@ -164,17 +381,26 @@ Options:
       }
     };
 
+    const streamOwner = { tokenId: apiToken?.id || null, appId: apiToken?.appId || null };
+    streams.track(runtime, streamOwner);
     runtime.on('message', send);
     send({ type: 'ready' });
+    runtime.announceProjectTrust();
 
     socket.on('message', async (raw) => {
       try {
         const data = JSON.parse(raw.toString());
+        const requiredScope = scopeForMessage(data.type);
+        if (apiToken && requiredScope && !apiToken.scopes.includes(requiredScope)) {
+          send({ type: 'error', message: `Token lacks required scope: ${requiredScope}` });
+          return;
+        }
         switch (data.type) {
           case 'query':
             await runtime.handleQuery(data.message, data.session_id || null, data.metadata || {});
             break;
           case 'new_session':
+            runtime.endSession(runtime.currentSessionId);
             runtime.currentSessionId = null;
             runtime.resetSessionState();
             runtime.emitMessage({ type: 'info', message: 'Started new conversation' });
@@ -182,9 +408,70 @@ Options:
           case 'permission_response':
             runtime.handlePermissionResponse(data);
             break;
+          case 'abort_query':
+            runtime.abortCurrentQuery(data.session_id || null);
+            break;
           case 'rule_action':
             await runtime.handleRuleActionMessage(data);
             break;
+          case 'checkpoint_list':
+          case 'checkpoint_restore':
+            runtime.handleCheckpointMessage(data);
+            break;
+          case 'permission_rules_get':
+          case 'permission_rules_set':
+            runtime.handlePermissionRulesMessage(data);
+            break;
+          case 'permission_audit':
+            runtime.handlePermissionAuditMessage(data);
+            break;
+          case 'memory_get':
+          case 'memory_add':
+          case 'memory_set':
+            runtime.handleMemoryMessage(data);
+            break;
+          case 'project_trust':
+            await runtime.handleProjectTrustMessage(data, { loadConfig: loadBackendConfig });
+            // Later connections start from the trusted (or untrusted) configuration
+            Object.assign(config, { rules: runtime.rules, mcpServers: runtime.mcpServers, project: runtime.project });
+            break;
+          case 'get_sessions':
+          case 'search_sessions':
+          case 'get_session_history':
+          case 'delete_session':
+          case 'fork_session':
+          case 'compact_session':
+          case 'export_session':
+          case 'import_session':
+            await runtime.handleSessionMessage(data);
+            break;
+          case 'resume_stream': {
+            const sessionId = data.session_id;
+            if (!sessionId) {
+              send({ type: 'error', message: 'resume_stream requires session_id' });
+              break;
+            }
+            const resumed = streams.claim(sessionId, streamOwner);
+            if (!resumed) streams.assertCanAdopt(runtime, sessionId, streamOwner);
+            runtime.off('message', send);
+            if (resumed && resumed !== runtime) {
+              streams.release(runtime);
+              runtime = resumed;
+            } else if (!resumed) {
+              // Nothing live for this session — replay from the event log
+              runtime.currentSessionId = sessionId;
+              runtime.syncStreamSeq(sessionId);
+            }
+            const replayed = await streams.replay(runtime, sessionId, Number(data.after_seq) || 0, send);
+            send({
+              type: 'stream_resumed',
+              session_id: sessionId,
+              replayed,
+              last_seq: runtime.streamSeq,
+              live: Boolean(resumed),
+            });
+            break;
+          }
           default:
             runtime.emitMessage({ type: 'error', message: `Unknown message type: ${data.type}` });
         }
@@ -194,7 +481,8 @@ Options:
     });
 
     socket.on('close', () => {
-      runtime.removeAllListeners('message');
+      runtime.off('message', send);
+      streams.release(runtime);
     });
   });
 
@@ -202,5 +490,15 @@ Options:
     console.log(`Friday server listening on http://localhost:${port}`);
     console.log(`WebSocket: ws://localhost:${port}/ws`);
     console.log(`Workspace: ${config.workspacePath}`);
+    const webhookCount = triggerRouter.listTriggers().filter((t) => t.type === 'webhook').length;
+    if (webhookCount > 0) {
+      console.log(`Webhooks:  POST http://localhost:${port}/hooks/<source>/<event> ${DIM}(${webhookCount} trigger${webhookCount === 1 ? '' : 's'})${RESET}`);
+    }
+    if (!authEnabled) {
+      console.log(`${YELLOW}Authentication disabled (--no-auth or FRIDAY_SERVER_AUTH=off) — do not expose this port.${RESET}`);
+    } else if (!apiTokenStore.hasTokens()) {
+      console.log(`${YELLOW}No API tokens yet — every request will be rejected.${RESET}`);
+      console.log(`${DIM}Create one with: friday serve token create --name <name>${RESET}`);
+    }
   });
 }
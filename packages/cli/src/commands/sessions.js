@@ -0,0 +1,193 @@
+/**
+ * friday sessions — List, search, export and import conversations
+ *
+ * Commands:
+ *   friday sessions                                         Recent sessions
+ *   friday sessions search <query> [--limit <n>] [--json]
+ *   friday sessions export <id> [--format md|html|json] [--output <file>]
+ *   friday sessions import <file> [--workspace <path>]
+ *
+ * Markdown and HTML exports are for reading and sharing; a JSON bundle also
+ * carries the event log and referenced media so it can be imported on
+ * another machine. A session id prefix is enough.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+import { highlightRanges } from './chat/ui.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+async function openStore() {
+  const [{ resolveSessionsPath }, { SessionStore }] = await Promise.all([
+    importRuntime('config.js'),
+    importRuntime('sessions', 'SessionStore.js'),
+  ]);
+  return new SessionStore({ basePath: resolveSessionsPath() });
+}
+
+function fail(message) {
+  console.error(`${RED}${message}${RESET}`);
+  process.exit(1);
+}
+
+/**
+ * Find a session by id or unique id prefix, or exit.
+ */
+function findSession(sessions, idOrPrefix) {
+  const exact = sessions.find(s => s.id === idOrPrefix);
+  if (exact) return exact;
+  const matches = sessions.filter(s => s.id.startsWith(idOrPrefix));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) fail(`No session matches "${idOrPrefix}"`);
+  fail(`"${idOrPrefix}" matches several sessions: ${matches.map(s => s.id).join(', ')}`);
+}
+
+async function listSessions(store) {
+  const sessions = await store.listSessions(20);
+  console.log('');
+  if (sessions.length === 0) {
+    console.log(`  ${DIM}No sessions recorded yet.${RESET}`);
+    console.log('');
+    return;
+  }
+  console.log(`  ${BOLD}Sessions${RESET}`);
+  console.log('');
+  for (const session of sessions) {
+    const when = session.updatedAt ? new Date(session.updatedAt).toLocaleString() : '';
+    console.log(`  ${session.id}  ${DIM}${when}  ${session.messageCount || 0} msgs${RESET}  ${session.title}`);
+  }
+  console.log('');
+  console.log(`  ${DIM}friday sessions export <id> --format md|html|json${RESET}`);
+  console.log('');
+}
+
+async function searchSessions(args, store) {
+  const query = args._.slice(2).join(' ').trim();
+  if (!query) fail('Usage: friday sessions search <query> [--limit <n>] [--json]');
+  const limit = Number(args.limit) > 0 ? Number(args.limit) : 10;
+  const results = await store.searchSessions(query, { limit });
+
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+  console.log('');
+  if (results.length === 0) {
+    console.log(`  ${DIM}No sessions match "${query}".${RESET}`);
+    console.log('');
+    return;
+  }
+  for (const session of results) {
+    const when = session.updatedAt ? new Date(session.updatedAt).toLocaleString() : '';
+    console.log(`  ${BOLD}${session.title}${RESET}  ${DIM}${session.id}  ${when}${RESET}`);
+    for (const match of session.matches) {
+      console.log(`    ${DIM}${match.kind.padEnd(9)}${RESET} ${highlightRanges(match.text, match.highlights)}`);
+    }
+    console.log('');
+  }
+  console.log(`  ${DIM}friday chat --resume <id> to continue one${RESET}`);
+  console.log('');
+}
+
+async function exportSession(args, store) {
+  const target = args._[2];
+  if (!target) fail('Usage: friday sessions export <id> [--format md|html|json] [--output <file>]');
+  const format = typeof args.format === 'string' ? args.format : 'md';
+
+  const session = findSession(await store.listSessions(Infinity), target);
+  const { SessionExporter } = await importRuntime('sessions', 'SessionExporter.js');
+  let exported;
+  try {
+    exported = await new SessionExporter({ sessionStore: store }).export(session.id, { format });
+  } catch (error) {
+    fail(`Export failed: ${error.message}`);
+  }
+
+  if (args.output === '-') {
+    process.stdout.write(exported.content);
+    return;
+  }
+  const outputPath = path.resolve(typeof args.output === 'string' ? args.output : exported.filename);
+  fs.writeFileSync(outputPath, exported.content, 'utf8');
+  console.log(`  ${GREEN}Exported ${session.title} to ${outputPath}${RESET}`);
+  if (exported.media.length > 0) {
+    console.log(`  ${DIM}Included ${exported.media.length} media file${exported.media.length === 1 ? '' : 's'}${RESET}`);
+  }
+  for (const skipped of exported.skipped) {
+    console.log(`  ${YELLOW}Left out ${skipped} (too large)${RESET}`);
+  }
+}
+
+async function importSession(args, store) {
+  const file = args._[2];
+  if (!file) fail('Usage: friday sessions import <file> [--workspace <path>]');
+  let raw;
+  try {
+    raw = fs.readFileSync(path.resolve(file), 'utf8');
+  } catch (error) {
+    fail(`Cannot read ${file}: ${error.message}`);
+  }
+
+  const workspacePath = path.resolve(typeof args.workspace === 'string'
+    ? args.workspace
+    : process.env.FRIDAY_WORKSPACE || path.join(os.homedir(), 'FridayWorkspace'));
+  const { SessionExporter } = await importRuntime('sessions', 'SessionExporter.js');
+  let result;
+  try {
+    result = await new SessionExporter({ sessionStore: store }).import(raw, { workspacePath });
+  } catch (error) {
+    fail(`Import failed: ${error.message}`);
+  }
+
+  console.log(`  ${GREEN}Imported ${result.metadata.title} as ${result.metadata.id}${RESET}`);
+  for (const file of result.media) {
+    const note = file.status === 'exists' ? 'already there' : file.status === 'renamed' ? 'written alongside an existing file' : 'written';
+    console.log(`  ${DIM}${file.path} (${note})${RESET}`);
+  }
+  console.log(`  ${DIM}friday chat --workspace ${workspacePath} --resume ${result.metadata.id.slice(0, 8)} to open it${RESET}`);
+}
+
+export default async function sessions(args) {
+  if (args.help) {
+    console.log(`
+friday sessions — List, search, export and import conversations
+
+Usage:
+  friday sessions                                          Recent sessions
+  friday sessions search <query> [--limit <n>] [--json]    Full-text search
+  friday sessions export <id> [--format md|html|json] [--output <file>]
+  friday sessions import <file> [--workspace <path>]
+
+Search looks through user messages, assistant replies, tool names and the
+file paths tools touched, and ranks sessions by how well they match; the
+last word also matches as a prefix.
+
+Markdown (default) and HTML exports show user messages, assistant text,
+collapsed tool calls and permission decisions; HTML is a single file with
+images, audio and video embedded. A JSON bundle also carries the event log
+and media so the conversation can be imported on another machine. Use
+--output - to print to stdout.
+`);
+    return;
+  }
+
+  const store = await openStore();
+  const action = args._[1];
+  if (!action || action === 'list') return listSessions(store);
+  if (action === 'search') return searchSessions(args, store);
+  if (action === 'export') return exportSession(args, store);
+  if (action === 'import') return importSession(args, store);
+  fail(`Unknown sessions command: ${action}`);
+}
@@ -0,0 +1,212 @@
+/**
+ * friday trace — Query timelines from recorded traces
+ *
+ * Commands:
+ *   friday trace                                  Sessions with recorded traces
+ *   friday trace <sessionId> [--json]             Timeline of every query in a session
+ *   friday trace export <sessionId> --otlp <url>  Send a session's spans to an OTLP/HTTP collector
+ *
+ * Spans are read from ~/.friday/traces/. A session id prefix is enough.
+ */
+
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+const CYAN = '\x1b[36m';
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '…';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60_000) return `${(ms / 1000).toFixed(1)}s`;
+  const minutes = Math.floor(ms / 60_000);
+  return `${minutes}m ${String(Math.round((ms % 60_000) / 1000)).padStart(2, '0')}s`;
+}
+
+function usd(amount) {
+  return `$${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+}
+
+function formatTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function describeSpan(span) {
+  const attrs = span.attributes || {};
+  const parts = [];
+  switch (span.name) {
+    case 'friday.query': {
+      parts.push(`${BOLD}query${RESET} ${DIM}${formatTime(span.startTime)}${RESET}`);
+      if (attrs['gen_ai.request.model']) parts.push(`${DIM}${attrs['gen_ai.request.model']}${RESET}`);
+      const input = attrs['gen_ai.usage.input_tokens'];
+      const output = attrs['gen_ai.usage.output_tokens'];
+      if (input || output) parts.push(`${DIM}in ${(input || 0).toLocaleString()} · out ${(output || 0).toLocaleString()} tokens${RESET}`);
+      if (attrs['query.aborted']) parts.push(`${YELLOW}aborted${RESET}`);
+      break;
+    }
+    case 'mcp.startup':
+      parts.push(`MCP startup ${DIM}${attrs['mcp.server_count'] ?? 0} servers${RESET}`);
+      break;
+    case 'friday.tool':
+      parts.push(`${CYAN}${attrs['tool.name'] || 'tool'}${RESET}`);
+      if (attrs['tool.command']) parts.push(`${DIM}${attrs['tool.command'].split('\n')[0].slice(0, 60)}${RESET}`);
+      if (attrs['tool.denied']) parts.push(`${YELLOW}denied${RESET}`);
+      break;
+    case 'friday.permission':
+      parts.push(`permission ${DIM}${attrs['permission.behavior'] || ''}${attrs['permission.prompted'] ? ' (asked)' : ''}${RESET}`);
+      break;
+    default:
+      parts.push(span.name);
+      if (attrs['media.provider']) parts.push(`${DIM}${attrs['media.provider']}/${attrs['media.model'] || attrs['media.method'] || 'default'}${RESET}`);
+  }
+  return parts.join('  ');
+}
+
+function spanLine(span, rootStart) {
+  const attrs = span.attributes || {};
+  const offset = span.parentSpanId ? `${DIM}+${formatDuration(span.startTime - rootStart)}${RESET}  ` : '';
+  const cost = attrs['cost.usd'] ? `  ${usd(attrs['cost.usd'])}` : '';
+  const status = span.status === 'error'
+    ? `  ${RED}✗ ${span.statusMessage || 'error'}${RESET}`
+    : '';
+  return `${offset}${describeSpan(span)}  ${GREEN}${formatDuration(span.durationMs)}${RESET}${cost}${status}`;
+}
+
+/**
+ * Render the spans of one session as one tree per query.
+ */
+export function renderTraceTree(spans) {
+  const lines = [];
+  const byId = new Map(spans.map(span => [span.spanId, span]));
+  const children = new Map();
+  const roots = [];
+  for (const span of spans) {
+    if (!span.parentSpanId) {
+      roots.push(span);
+      continue;
+    }
+    // Spans whose parent was never written hang off the trace's root
+    const parentId = byId.has(span.parentSpanId)
+      ? span.parentSpanId
+      : spans.find(other => other.traceId === span.traceId && !other.parentSpanId)?.spanId;
+    if (!parentId) continue;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(span);
+  }
+
+  const walk = (span, prefix, rootStart) => {
+    const kids = (children.get(span.spanId) || []).sort((a, b) => a.startTime - b.startTime);
+    kids.forEach((child, index) => {
+      const last = index === kids.length - 1;
+      lines.push(`  ${prefix}${last ? '└─ ' : '├─ '}${spanLine(child, rootStart)}`);
+      walk(child, `${prefix}${last ? '   ' : '│  '}`, rootStart);
+    });
+  };
+
+  for (const root of roots.sort((a, b) => a.startTime - b.startTime)) {
+    lines.push(`  ${spanLine(root, root.startTime)}`);
+    walk(root, '', root.startTime);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function listSessions(exporter) {
+  const sessions = exporter.listSessions();
+  console.log('');
+  if (sessions.length === 0) {
+    console.log(`  ${DIM}No traces recorded yet.${RESET}`);
+    console.log('');
+    return;
+  }
+  console.log(`  ${BOLD}Traced sessions${RESET}`);
+  console.log('');
+  for (const session of sessions.slice(0, 20)) {
+    const when = new Date(session.lastEnd).toLocaleString();
+    const errors = session.errors > 0 ? `  ${RED}${session.errors} failed${RESET}` : '';
+    console.log(`  ${session.sessionId}  ${DIM}${when}${RESET}  ${session.queries} ${session.queries === 1 ? 'query' : 'queries'}  ${formatDuration(session.durationMs)}  ${usd(session.cost)}${errors}`);
+  }
+  console.log('');
+  console.log(`  ${DIM}friday trace <sessionId> to see a timeline${RESET}`);
+  console.log('');
+}
+
+function readSessionOrExit(exporter, sessionId) {
+  const result = exporter.readSession(sessionId);
+  if (result.ambiguous?.length) {
+    console.error(`${RED}"${sessionId}" matches several sessions: ${result.ambiguous.join(', ')}${RESET}`);
+    process.exit(1);
+  }
+  if (!result.sessionId || result.spans.length === 0) {
+    console.error(`${RED}No traces for session ${sessionId}${RESET}`);
+    process.exit(1);
+  }
+  return result;
+}
+
+async function exportSession(args, exporter, tracing) {
+  const sessionId = args._[2];
+  const endpoint = typeof args.otlp === 'string' ? args.otlp : null;
+  if (!sessionId || !endpoint) {
+    console.error(`${RED}Usage: friday trace export <sessionId> --otlp <url>${RESET}`);
+    process.exit(1);
+  }
+  const { spans } = readSessionOrExit(exporter, sessionId);
+  try {
+    await new tracing.OtlpHttpExporter({ endpoint }).export(spans);
+    console.log(`  ${GREEN}Sent ${spans.length} spans to ${endpoint}${RESET}`);
+  } catch (error) {
+    console.error(`${RED}Export failed: ${error.message}${RESET}`);
+    process.exit(1);
+  }
+}
+
+export default async function trace(args) {
+  if (args.help) {
+    console.log(`
+friday trace — Query timelines from recorded traces
+
+Usage:
+  friday trace                                  Sessions with recorded traces
+  friday trace <sessionId> [--json]             Timeline of each query in a session
+  friday trace export <sessionId> --otlp <url>  Send the spans to an OTLP/HTTP collector
+
+Each query records spans for MCP startup, tool calls, permission waits and
+paid media calls, with token and cost attributes. Set
+OTEL_EXPORTER_OTLP_ENDPOINT to also stream them to a collector, or
+FRIDAY_TRACING=off to stop recording.
+`);
+    return;
+  }
+
+  const tracing = await importRuntime('tracing', 'Tracer.js');
+  const exporter = new tracing.JsonlTraceExporter();
+  const target = args._[1];
+
+  if (!target) {
+    return listSessions(exporter);
+  }
+  if (target === 'export') {
+    return exportSession(args, exporter, tracing);
+  }
+
+  const { sessionId, spans } = readSessionOrExit(exporter, target);
+  if (args.json) {
+    for (const span of spans) console.log(JSON.stringify(span));
+    return;
+  }
+  const queries = spans.filter(span => !span.parentSpanId).length;
+  console.log('');
+  console.log(`  ${BOLD}Session ${sessionId}${RESET} ${DIM}· ${queries} ${queries === 1 ? 'query' : 'queries'}${RESET}`);
+  console.log('');
+  console.log(renderTraceTree(spans));
+}
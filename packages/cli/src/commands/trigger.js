@@ -0,0 +1,212 @@
+/**
+ * friday trigger — Manage event triggers for scheduled agents
+ *
+ * Commands:
+ *   friday trigger                List all triggers
+ *   friday trigger add            Add a webhook, file_watch, chain or manual trigger
+ *   friday trigger remove <id>    Remove a trigger
+ *   friday trigger fire <id>      Run a trigger's agent now
+ *
+ * Triggers are picked up by a running `friday serve` within a few seconds.
+ */
+
+import path from 'path';
+import { runtimeDir } from '../resolveRuntime.js';
+
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+
+const ADD_USAGE = `Usage:
+  friday trigger add --agent <id> --type webhook --source <name> --event <name> [--secret <secret>]
+  friday trigger add --agent <id> --type file_watch --path <dir> [--recursive] [--debounce <ms>]
+  friday trigger add --agent <id> --type chain --after <agent-id>
+  friday trigger add --agent <id> --type manual`;
+
+async function importRuntime(...segments) {
+  return import(path.join(runtimeDir, 'src', ...segments));
+}
+
+function describe(trigger) {
+  const config = trigger.config || {};
+  switch (trigger.type) {
+    case 'webhook':
+      return `POST /hooks/${config.source}/${config.event}`;
+    case 'file_watch':
+      return `${config.path}${config.recursive ? ' (recursive)' : ''}`;
+    case 'chain':
+      return `after ${config.sourceAgentId}`;
+    default:
+      return 'manual';
+  }
+}
+
+async function list(triggerStore, agentStore) {
+  const triggers = triggerStore.list();
+  console.log('');
+  if (triggers.length === 0) {
+    console.log(`  ${DIM}No triggers.${RESET}`);
+    console.log(`  Add one with: ${DIM}friday trigger add --agent <id> --type webhook --source github --event push${RESET}`);
+    console.log('');
+    return;
+  }
+  console.log(`  ${BOLD}Triggers:${RESET}`);
+  console.log('');
+  for (const trigger of triggers) {
+    const agent = await agentStore.getAgentById(trigger.agentId);
+    const agentLabel = agent ? agent.name : `${RED}missing agent${RESET}`;
+    console.log(`  ${BOLD}${trigger.id}${RESET}  ${trigger.type}  ${DIM}→${RESET} ${agentLabel} ${DIM}(${trigger.agentId})${RESET}`);
+    console.log(`    ${describe(trigger)}`);
+  }
+  console.log('');
+}
+
+async function add(args, triggerStore, agentStore) {
+  const agentId = typeof args.agent === 'string' ? args.agent : null;
+  const type = typeof args.type === 'string' ? args.type : null;
+  if (!agentId || !type) {
+    console.error(`${RED}${ADD_USAGE}${RESET}`);
+    process.exit(1);
+  }
+
+  const agent = await agentStore.getAgentById(agentId);
+  if (!agent) {
+    console.error(`${RED}Agent not found: ${agentId}${RESET}`);
+    console.error(`${DIM}List agents with: friday schedule list${RESET}`);
+    process.exit(1);
+  }
+
+  const config = {};
+  if (type === 'webhook') {
+    config.source = args.source;
+    config.event = args.event;
+    if (typeof args.secret === 'string') config.secret = args.secret;
+  } else if (type === 'file_watch') {
+    config.path = typeof args.path === 'string' ? args.path : undefined;
+    if (args.recursive) config.recursive = true;
+    if (args.debounce) config.debounceMs = Number(args.debounce);
+  } else if (type === 'chain') {
+    config.sourceAgentId = typeof args.after === 'string' ? args.after : undefined;
+  }
+
+  let trigger;
+  try {
+    trigger = triggerStore.add({ type, agentId, config });
+  } catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    console.error(`${DIM}${ADD_USAGE}${RESET}`);
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(`  ${GREEN}Trigger added: ${trigger.id}${RESET} ${DIM}(${type} → ${agent.name})${RESET}`);
+  console.log(`    ${describe(trigger)}`);
+  if (type === 'webhook') {
+    console.log('');
+    console.log(`  ${DIM}Signing secret:${RESET} ${BOLD}${trigger.config.secret}${RESET}`);
+    console.log(`  ${DIM}Senders must sign the body: X-Hub-Signature-256: sha256=<hmac>${RESET}`);
+  }
+  if (type === 'webhook' || type === 'file_watch') {
+    console.log(`  ${YELLOW}Runs while \`friday serve\` is running.${RESET}`);
+  }
+  console.log('');
+}
+
+function remove(args, triggerStore) {
+  const triggerId = args._[2];
+  if (!triggerId) {
+    console.error(`${RED}Usage: friday trigger remove <id>${RESET}`);
+    process.exit(1);
+  }
+  if (triggerStore.remove(triggerId)) {
+    console.log(`  ${GREEN}Trigger removed.${RESET}`);
+  } else {
+    console.error(`${RED}No trigger found: ${triggerId}${RESET}`);
+    process.exit(1);
+  }
+}
+
+async function fire(args, triggerStore, agentStore) {
+  const triggerId = args._[2];
+  if (!triggerId) {
+    console.error(`${RED}Usage: friday trigger fire <id> [--data '<json>']${RESET}`);
+    process.exit(1);
+  }
+
+  let eventData = { manual: true };
+  if (typeof args.data === 'string') {
+    try {
+      eventData = JSON.parse(args.data);
+    } catch (error) {
+      console.error(`${RED}--data must be JSON: ${error.message}${RESET}`);
+      process.exit(1);
+    }
+  }
+
+  const { loadBackendConfig } = await importRuntime('config.js');
+  const AgentRunHistory = (await importRuntime('scheduled-agents', 'AgentRunHistory.js')).default;
+  const AgentExecutor = (await importRuntime('scheduled-agents', 'AgentExecutor.js')).default;
+  const { TriggerRouter } = await importRuntime('scheduler', 'TriggerRouter.js');
+
+  const config = await loadBackendConfig();
+  const agentExecutor = new AgentExecutor(agentStore, new AgentRunHistory(), config);
+  const router = new TriggerRouter({ agentExecutor, agentStore, store: triggerStore });
+  router.loadFromStore();
+  router.on('trigger:firing', ({ triggerId: id }) => {
+    const trigger = triggerStore.get(id);
+    console.log(`  ${DIM}Firing ${id} → ${trigger?.agentId}...${RESET}`);
+  });
+
+  try {
+    const result = await router.fire(triggerId, eventData);
+    if (result?.success) {
+      console.log(`  ${GREEN}Run completed${RESET} ${DIM}(${result.run.id})${RESET}`);
+      if (result.run.outcome?.summary) console.log(`  ${result.run.outcome.summary}`);
+    } else {
+      console.error(`${RED}Run failed: ${result?.error?.message || 'unknown error'}${RESET}`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`${RED}${error.message}${RESET}`);
+    process.exitCode = 1;
+  }
+}
+
+export default async function trigger(args) {
+  const subcommand = args._[1] || 'list'; // friday trigger <subcommand>
+
+  if (args.help) {
+    console.log(`
+friday trigger — Run scheduled agents on events
+
+Usage:
+  friday trigger list
+${ADD_USAGE.split('\n').slice(1).join('\n')}
+  friday trigger remove <id>
+  friday trigger fire <id> [--data '<json>']
+`);
+    return;
+  }
+
+  const ScheduledAgentStore = (await importRuntime('scheduled-agents', 'ScheduledAgentStore.js')).default;
+  const { TriggerStore } = await importRuntime('scheduler', 'TriggerStore.js');
+  const agentStore = new ScheduledAgentStore();
+  const triggerStore = new TriggerStore({ dataDir: agentStore.dataDir });
+
+  switch (subcommand) {
+    case 'list':
+      return list(triggerStore, agentStore);
+    case 'add':
+      return add(args, triggerStore, agentStore);
+    case 'remove':
+      return remove(args, triggerStore);
+    case 'fire':
+      return fire(args, triggerStore, agentStore);
+    default:
+      console.log(`  ${RED}Unknown subcommand: ${subcommand}${RESET}`);
+      console.log(`  Usage: friday trigger [list|add|remove|fire]`);
+  }
+}
@@ -188,6 +188,28 @@ export async function loadApiKeysToEnv() {
   }
 }
 
+/**
+ * Load keys from the legacy ~/.friday/.env file into process.env, without
+ * overriding anything already set (keys are being migrated to the keychain)
+ */
+export function loadEnvFileToEnv() {
+  const envPath = path.join(os.homedir(), '.friday', '.env');
+  try {
+    if (!fs.existsSync(envPath)) return;
+    const content = fs.readFileSync(envPath, 'utf8');
+    for (const line of content.split('\n')) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('#') || !trimmed.includes('=')) continue;
+      const eqIdx = trimmed.indexOf('=');
+      const key = trimmed.slice(0, eqIdx).trim();
+      const val = trimmed.slice(eqIdx + 1).trim();
+      if (key && val && !process.env[key]) {
+        process.env[key] = val;
+      }
+    }
+  } catch { /* ignore */ }
+}
+
 /**
  * Check which API keys are configured (without loading values)
  * @returns {Object} - Object with key names and their configuration status
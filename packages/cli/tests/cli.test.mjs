@@ -1,5 +1,10 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { PassThrough, Readable } from 'stream';
+
+const fridayBin = fileURLToPath(new URL('../bin/friday.js', import.meta.url));
 
 // Test the arg parser directly by importing the cli module
 // We can't call run() directly since it does process.exit, but
@@ -111,5 +116,166 @@ describe('CLI', () => {
       const mod = await import('../src/commands/schedule.js');
       assert.equal(typeof mod.default, 'function');
     });
+
+    it('trigger module exports default function', async () => {
+      const mod = await import('../src/commands/trigger.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('pipeline module exports default function', async () => {
+      const mod = await import('../src/commands/pipeline.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('costs module exports default function', async () => {
+      const mod = await import('../src/commands/costs.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('trace module exports default function', async () => {
+      const mod = await import('../src/commands/trace.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('run module exports default function', async () => {
+      const mod = await import('../src/commands/run.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('rules module exports default function', async () => {
+      const mod = await import('../src/commands/rules.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('permissions module exports default function', async () => {
+      const mod = await import('../src/commands/permissions.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('project module exports default function', async () => {
+      const mod = await import('../src/commands/project.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+
+    it('memory module exports default function', async () => {
+      const mod = await import('../src/commands/memory.js');
+      assert.equal(typeof mod.default, 'function');
+    });
+  });
+
+  describe('headless runs', () => {
+    it('parses tool lists and maps outcomes to exit codes', async () => {
+      const { parseToolList, exitCodeFor, EXIT_CODES } = await import('../src/commands/run.js');
+      assert.deepEqual(parseToolList(' write_file, mcp__terminal__*,,'), ['write_file', 'mcp__terminal__*']);
+      assert.deepEqual(parseToolList(true), []);
+
+      assert.equal(exitCodeFor({}), EXIT_CODES.SUCCESS);
+      assert.equal(exitCodeFor({ denied: 2 }), EXIT_CODES.PERMISSION_DENIED);
+      assert.equal(exitCodeFor({ error: 'boom', denied: 1 }), EXIT_CODES.AGENT_ERROR);
+      assert.equal(exitCodeFor({ limitReached: true, error: 'boom' }), EXIT_CODES.LIMIT_REACHED);
+      assert.equal(exitCodeFor({ budgetExceeded: true, limitReached: true }), EXIT_CODES.BUDGET_EXCEEDED);
+    });
+
+    it('reads stdin only without a prompt argument, or with - or --stdin', async () => {
+      const { resolvePrompt } = await import('../src/commands/run.js');
+      const piped = (text) => Readable.from([text]);
+
+      // Left open, as in CI or cron: a prompt argument must not wait for EOF
+      const open = new PassThrough();
+      assert.equal(await resolvePrompt({ _: ['run', 'fix', 'the', 'tests'] }, open), 'fix the tests');
+      open.destroy();
+
+      assert.equal(await resolvePrompt({ _: ['run'] }, piped('from stdin\n')), 'from stdin');
+      assert.equal(await resolvePrompt({ _: ['run', 'review', '-'] }, piped('diff')), 'review\n\ndiff');
+      assert.equal(await resolvePrompt({ _: ['run', 'review'], stdin: true }, piped('diff')), 'review\n\ndiff');
+      assert.equal(await resolvePrompt({ _: ['run'], stdin: 'review' }, piped('diff')), 'review\n\ndiff');
+    });
+
+    it('does not hang on an open stdin when given a prompt', async () => {
+      // --max-turns 0 is a usage error, reported right after the prompt is read
+      const child = spawn(process.execPath, [fridayBin, 'run', 'hello', '--max-turns', '0'], { stdio: ['pipe', 'ignore', 'pipe'] });
+      const code = await Promise.race([
+        new Promise((resolve) => child.on('exit', resolve)),
+        new Promise((resolve) => setTimeout(() => resolve('timeout'), 10000)),
+      ]);
+      if (code === 'timeout') child.kill();
+      child.stdin.destroy();
+      assert.equal(code, 2);
+    });
+  });
+
+  describe('trace rendering', () => {
+    it('draws each query as a tree of spans', async () => {
+      const { renderTraceTree } = await import('../src/commands/trace.js');
+      const span = (spanId, parentSpanId, name, startTime, attributes = {}, extra = {}) => ({
+        traceId: 't1', spanId, parentSpanId, name, startTime, durationMs: 100, status: 'ok', attributes, ...extra,
+      });
+      const output = renderTraceTree([
+        span('q', null, 'friday.query', 0, { 'cost.usd': 0.5 }),
+        span('m', 'q', 'mcp.startup', 10, { 'mcp.server_count': 3 }),
+        span('t', 'q', 'friday.tool', 200, { 'tool.name': 'Bash', 'tool.command': 'npm test' }, { status: 'error', statusMessage: 'exit 1' }),
+        span('p', 't', 'friday.permission', 210, { 'permission.behavior': 'allow', 'permission.prompted': true }),
+        span('x', 'gone', 'media.generate_image', 300, { 'media.provider': 'openai' }),
+      ]).replace(/\x1b\[\d+m/g, '');
+
+      const lines = output.split('\n');
+      assert.match(lines[0], /^  query .*\$0\.50/);
+      assert.match(lines[1], /├─ \+10ms  MCP startup 3 servers/);
+      assert.match(lines[2], /├─ \+200ms  Bash  npm test .*✗ exit 1/);
+      assert.match(lines[3], /│  └─ \+210ms  permission allow \(asked\)/);
+      assert.match(lines[4], /└─ \+300ms  media\.generate_image  openai\/default/);
+    });
+  });
+
+  describe('permission audit', () => {
+    it('names who made each decision', async () => {
+      const { describeSource } = await import('../src/commands/permissions.js');
+      assert.equal(describeSource({ source: 'user', level: 'once' }), 'you');
+      assert.equal(describeSource({ source: 'user', level: 'session' }), 'you (session)');
+      assert.equal(describeSource({ source: 'rule' }), 'rule');
+    });
+
+    it('labels permission decisions', async () => {
+      const { describeDecision } = await import('../src/commands/permissions.js');
+      assert.equal(describeDecision('auto-approve'), 'allow');
+      assert.equal(describeDecision('ask-first'), 'ask');
+      assert.equal(describeDecision(null), '—');
+    });
+  });
+
+  describe('project configs', () => {
+    it('lists what a project config would set', async () => {
+      const { projectSummaryLines } = await import('../src/commands/project.js');
+      assert.deepEqual(projectSummaryLines({
+        agent: 'analyst',
+        skills: [],
+        mcpServers: [{ name: 'db', command: 'npx db-server', env: [], cwd: null }, { name: 'hook', command: 'node x.js', env: ['NODE_OPTIONS=--require ./a.js'], cwd: 'tools' }],
+        rules: [{ id: 'lint', commands: ['npm run lint'] }, { id: 'notify', commands: [] }],
+      }), [
+        'Agent role: analyst',
+        'MCP server db: npx db-server',
+        'MCP server hook: node x.js',
+        'MCP server hook env: NODE_OPTIONS=--require ./a.js',
+        'MCP server hook cwd: tools',
+        'Rule lint runs: npm run lint',
+        'Rule notify',
+      ]);
+      assert.deepEqual(projectSummaryLines(), []);
+    });
+  });
+
+  describe('rule descriptions', () => {
+    it('summarizes triggers and actions', async () => {
+      const { describeTriggers, describeActions } = await import('../src/commands/rules.js');
+      assert.equal(describeTriggers({}), 'every query');
+      assert.equal(
+        describeTriggers({ event: 'session_end', commandExitCode: 'nonzero', editedFiles: ['src/**'], minSessionCostUsd: 5 }),
+        'at session end, exit code nonzero, edited src/**, session ≥ $5'
+      );
+      assert.deepEqual(describeActions({
+        actions: [{ type: 'run_command', command: 'npm test' }, { type: 'notify', title: 'Done' }],
+        prompt: { actions: [{ type: 'followup_prompt', label: 'Fix it' }, { label: 'No thanks' }] },
+      }), ['run_command: npm test', 'notify: Done', 'asks: followup_prompt: Fix it / dismiss: No thanks']);
+    });
   });
 });
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, shell, protocol } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, protocol, Menu, dialog } = require('electron');
 const path = require('path');
 const { spawn } = require('child_process');
 const fs = require('fs');
@@ -177,6 +177,57 @@ function createWindow() {
   });
 }
 
+// ── Application menu ──────────────────────────────────────────────────────
+
+// Export goes through the renderer, which knows the open session; the
+// backend's session_exported reply comes back to save-export below
+function sendMenuAction(action, details = {}) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('menu-action', { action, ...details });
+  }
+}
+
+async function importConversation() {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Conversation',
+    filters: [{ name: 'Friday session bundle', extensions: ['json'] }],
+    properties: ['openFile'],
+  });
+  if (canceled || !filePaths.length) return;
+  try {
+    backend.send({ type: 'import_session', bundle: fs.readFileSync(filePaths[0], 'utf8') });
+  } catch (err) {
+    dialog.showErrorBox('Import failed', err.message);
+  }
+}
+
+function buildAppMenu() {
+  const isMac = process.platform === 'darwin';
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        {
+          label: 'Export Conversation',
+          submenu: [
+            { label: 'Markdown…', click: () => sendMenuAction('export-session', { format: 'md' }) },
+            { label: 'HTML…', click: () => sendMenuAction('export-session', { format: 'html' }) },
+            { label: 'JSON Bundle…', click: () => sendMenuAction('export-session', { format: 'json' }) },
+          ],
+        },
+        { label: 'Import Conversation…', click: importConversation },
+        { type: 'separator' },
+        isMac ? { role: 'close' } : { role: 'quit' },
+      ],
+    },
+    { role: 'editMenu' },
+    { role: 'viewMenu' },
+    { role: 'windowMenu' },
+  ];
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
 // ── MIME type lookup ──────────────────────────────────────────────────────
 const MIME_TYPES = {
   '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
@@ -260,6 +311,7 @@ app.whenReady().then(() => {
     });
   });
 
+  buildAppMenu();
   createWindow();
 });
 
@@ -483,6 +535,21 @@ ipcMain.handle('delete-session', async (_event, sessionId) => {
   }
 });
 
+// Save a session_exported reply where the user chooses
+ipcMain.handle('save-export', async (_event, { filename, content }) => {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Conversation',
+    defaultPath: path.join(app.getPath('downloads'), filename),
+  });
+  if (canceled || !filePath) return { saved: false };
+  try {
+    fs.writeFileSync(filePath, content, 'utf8');
+    return { saved: true, filePath };
+  } catch (err) {
+    return { saved: false, error: err.message };
+  }
+});
+
 // ── Utility IPC ─────────────────────────────────────────────────────────
 
 ipcMain.handle('get-workspace', () => {
@@ -38,6 +38,14 @@ contextBridge.exposeInMainWorld('friday', {
   // ── Sessions ────────────────────────────────────────────────────────
   getSessions: () => ipcRenderer.invoke('get-sessions'),
   deleteSession: (sessionId) => ipcRenderer.invoke('delete-session', sessionId),
+  saveExport: (exported) => ipcRenderer.invoke('save-export', exported),
+
+  // ── Application menu ────────────────────────────────────────────────
+  onMenuAction: (callback) => {
+    const handler = (_event, action) => callback(action);
+    ipcRenderer.on('menu-action', handler);
+    return () => ipcRenderer.removeListener('menu-action', handler);
+  },
 
   // ── MCP Servers ─────────────────────────────────────────────────────
   getMcpServers: () => ipcRenderer.send('mcp-get-servers'),
@@ -7,6 +7,7 @@ import ChatView from './components/chat/ChatView';
 import PreviewPanel from './components/preview/PreviewPanel';
 import ResizeHandle from './components/layout/ResizeHandle';
 import SettingsModal from './components/settings/SettingsModal';
+import ProjectTrustModal from './components/settings/ProjectTrustModal';
 
 export default function App() {
   const view = useStore((s) => s.view);
@@ -167,6 +168,46 @@ export default function App() {
           // Silent in UI unless it's important
           break;
 
+        case 'session_forked':
+          store.applySessionFork(msg);
+          break;
+
+        case 'context_compacted':
+          store.applyContextCompaction(msg);
+          break;
+
+        case 'session_search_results':
+          store.applySessionSearch(msg);
+          break;
+
+        case 'permission_rules_get':
+        case 'permission_rules_set':
+          store.applyPermissionRules(msg);
+          break;
+
+        case 'permission_audit':
+          store.applyPermissionAudit(msg);
+          break;
+
+        case 'project_trust_request':
+          store.setProjectTrustRequest(msg);
+          break;
+
+        case 'project_trust':
+          if (msg.error) store.addMessage({ role: 'system', content: msg.error });
+          break;
+
+        case 'session_exported':
+          window.friday.saveExport({ filename: msg.filename, content: msg.content }).then((result) => {
+            if (result?.error) store.addMessage({ role: 'system', content: `Export failed: ${result.error}` });
+          });
+          break;
+
+        case 'session_imported':
+          store.loadSessions();
+          store.resumeSession(msg.session_id);
+          break;
+
         case 'session_reset':
           store.clearMessages();
           store.setSessionId(null);
@@ -202,6 +243,18 @@ export default function App() {
           }
           break;
 
+        case 'scheduled_agent:review_list':
+          store.setAgentReviews(msg.reviews || []);
+          break;
+
+        case 'scheduled_agent:review_requested':
+        case 'scheduled_agent:review_resolved':
+          // Refresh pending reviews
+          if (window.friday) {
+            window.friday.sendToBackend({ type: 'scheduled_agent:review_list', status: 'pending' });
+          }
+          break;
+
         default:
           break;
       }
@@ -210,6 +263,14 @@ export default function App() {
     return unsubscribe;
   }, []);
 
+  // Application menu actions
+  useEffect(() => {
+    if (!window.friday?.onMenuAction) return;
+    return window.friday.onMenuAction(({ action, format }) => {
+      if (action === 'export-session') useStore.getState().exportSession(format);
+    });
+  }, []);
+
   return (
     <div className="flex h-screen w-screen overflow-hidden">
       {/* Sidebar */}
@@ -236,6 +297,9 @@ export default function App() {
 
       {/* Settings modal */}
       {showSettings && <SettingsModal />}
+
+      {/* Trust prompt for a workspace's .friday/config.json */}
+      <ProjectTrustModal />
     </div>
   );
 }
@@ -1,16 +1,38 @@
 import { useEffect } from 'react';
 import useStore from '../../store/useStore';
 import AgentCard from './AgentCard';
+import ReviewCard from './ReviewCard';
 
 export default function AgentsPanel() {
   const agents = useStore((s) => s.scheduledAgents);
+  const reviews = useStore((s) => s.agentReviews);
 
   useEffect(() => {
     if (window.friday) {
       window.friday.sendScheduledAgent({ type: 'scheduled_agent:list', userId: 'default' });
+      window.friday.sendScheduledAgent({ type: 'scheduled_agent:review_list', status: 'pending' });
     }
   }, []);
 
+  const handleApprove = (reviewId, input) => {
+    if (window.friday) {
+      window.friday.sendScheduledAgent({
+        type: 'scheduled_agent:review_approve',
+        reviewId,
+        ...(input ? { input } : {}),
+      });
+    }
+  };
+
+  const handleReject = (reviewId) => {
+    if (window.friday) {
+      window.friday.sendScheduledAgent({
+        type: 'scheduled_agent:review_reject',
+        reviewId,
+      });
+    }
+  };
+
   const handleToggle = (agentId, status) => {
     if (window.friday) {
       window.friday.sendScheduledAgent({
@@ -43,6 +65,24 @@ export default function AgentsPanel() {
 
   return (
     <div className="p-4">
+      {reviews.length > 0 && (
+        <div className="mb-5">
+          <h3 className="text-xs font-semibold text-text-muted uppercase tracking-wider mb-3">
+            Pending Reviews ({reviews.length})
+          </h3>
+          <div className="space-y-2">
+            {reviews.map((review) => (
+              <ReviewCard
+                key={review.id}
+                review={review}
+                onApprove={handleApprove}
+                onReject={handleReject}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
       <h3 className="text-xs font-semibold text-text-muted uppercase tracking-wider mb-3">
         Scheduled Agents
       </h3>
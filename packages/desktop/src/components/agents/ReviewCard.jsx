@@ -0,0 +1,65 @@
+import { useState } from 'react';
+
+export default function ReviewCard({ review, onApprove, onReject }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(() => JSON.stringify(review.toolInput, null, 2));
+  const [error, setError] = useState(null);
+
+  const handleApprove = () => {
+    if (!editing) {
+      onApprove(review.id);
+      return;
+    }
+    try {
+      onApprove(review.id, JSON.parse(draft));
+    } catch (err) {
+      setError(`Invalid JSON: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="p-3 rounded-xl bg-surface-2 border border-border-subtle">
+      <div className="min-w-0 mb-2">
+        <h4 className="text-sm font-medium truncate">{review.action || review.toolName}</h4>
+        <p className="text-xs text-text-muted truncate mt-0.5">
+          {review.agentName} · {new Date(review.createdAt).toLocaleString()}
+        </p>
+      </div>
+
+      {editing ? (
+        <textarea
+          value={draft}
+          onChange={(e) => { setDraft(e.target.value); setError(null); }}
+          rows={6}
+          className="w-full mb-2 p-2 rounded-md text-xs font-mono bg-surface-3 text-text-primary border border-border-subtle outline-none"
+        />
+      ) : (
+        <pre className="mb-2 p-2 rounded-md text-xs bg-surface-3 text-text-secondary overflow-x-auto max-h-32">
+          {JSON.stringify(review.toolInput, null, 2)}
+        </pre>
+      )}
+      {error && <p className="text-xs text-danger mb-2">{error}</p>}
+
+      <div className="flex gap-1.5">
+        <button
+          onClick={handleApprove}
+          className="px-2 py-1 rounded-md text-xs bg-accent-muted text-accent hover:bg-accent/20 transition-colors"
+        >
+          {editing ? 'Save & Approve' : 'Approve'}
+        </button>
+        <button
+          onClick={() => setEditing(!editing)}
+          className="px-2 py-1 rounded-md text-xs bg-surface-3 text-text-secondary hover:text-text-primary transition-colors"
+        >
+          {editing ? 'Cancel Edit' : 'Edit'}
+        </button>
+        <button
+          onClick={() => onReject(review.id)}
+          className="px-2 py-1 rounded-md text-xs text-danger hover:bg-danger/10 transition-colors ml-auto"
+        >
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,8 @@ export default function ChatInput() {
   const isStreaming = useStore((s) => s.isStreaming);
   const abortQuery = useStore((s) => s.abortQuery);
   const backendReady = useStore((s) => s.backendReady);
+  const composerDraft = useStore((s) => s.composerDraft);
+  const setComposerDraft = useStore((s) => s.setComposerDraft);
 
   // Auto-resize textarea
   useEffect(() => {
@@ -22,6 +24,14 @@ export default function ChatInput() {
     textareaRef.current?.focus();
   }, []);
 
+  // Take over a draft put there by the store (e.g. the message a fork branched at)
+  useEffect(() => {
+    if (composerDraft == null) return;
+    setInput(composerDraft);
+    setComposerDraft(null);
+    textareaRef.current?.focus();
+  }, [composerDraft, setComposerDraft]);
+
   const handleSubmit = () => {
     const text = input.trim();
     if (!text || isStreaming) return;
@@ -23,6 +23,8 @@ export default function ChatMessages() {
   const permissionRequest = useStore((s) => s.permissionRequest);
   const lastCost = useStore((s) => s.lastCost);
   const isStreaming = useStore((s) => s.isStreaming);
+  const sessionId = useStore((s) => s.sessionId);
+  const forkSession = useStore((s) => s.forkSession);
   const scrollRef = useRef(null);
 
   // Auto-scroll to bottom
@@ -41,7 +43,11 @@ export default function ChatMessages() {
       )}
 
       {messages.map((msg, i) => (
-        <MessageBubble key={i} message={msg} />
+        <MessageBubble
+          key={i}
+          message={msg}
+          onBranch={sessionId && !isStreaming ? () => forkSession(i) : null}
+        />
       ))}
 
       {/* Active tool */}
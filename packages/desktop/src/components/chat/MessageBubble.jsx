@@ -1,7 +1,25 @@
 import { motion } from 'framer-motion';
 import MarkdownRenderer from './MarkdownRenderer';
 
-export default function MessageBubble({ message }) {
+function BranchButton({ onBranch }) {
+  if (!onBranch) return null;
+  return (
+    <button
+      onClick={onBranch}
+      className="self-center flex-shrink-0 p-1 rounded-md text-text-muted hover:text-text-primary hover:bg-surface-1 opacity-0 group-hover:opacity-100 transition-opacity"
+      title="Branch from here"
+    >
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <line x1="6" y1="3" x2="6" y2="15" />
+        <circle cx="18" cy="6" r="3" />
+        <circle cx="6" cy="18" r="3" />
+        <path d="M18 9a9 9 0 0 1-9 9" />
+      </svg>
+    </button>
+  );
+}
+
+export default function MessageBubble({ message, onBranch = null }) {
   const { role, content } = message;
 
   if (role === 'user') {
@@ -9,8 +27,9 @@ export default function MessageBubble({ message }) {
       <motion.div
         initial={{ opacity: 0, y: 4 }}
         animate={{ opacity: 1, y: 0 }}
-        className="flex justify-end px-4 py-1.5"
+        className="group flex justify-end gap-2 px-4 py-1.5"
       >
+        <BranchButton onBranch={onBranch} />
         <div className="max-w-[80%] px-4 py-2.5 rounded-2xl rounded-br-md bg-accent text-white text-sm">
           {content}
         </div>
@@ -37,7 +56,7 @@ export default function MessageBubble({ message }) {
     <motion.div
       initial={{ opacity: 0, y: 4 }}
       animate={{ opacity: 1, y: 0 }}
-      className="flex items-start gap-3 px-4 py-1.5"
+      className="group flex items-start gap-3 px-4 py-1.5"
     >
       <div className="flex-shrink-0 w-7 h-7 rounded-full bg-accent-muted flex items-center justify-center mt-0.5">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
@@ -48,6 +67,7 @@ export default function MessageBubble({ message }) {
       <div className="min-w-0 flex-1 max-w-[85%]">
         <MarkdownRenderer content={content} />
       </div>
+      <BranchButton onBranch={onBranch} />
     </motion.div>
   );
 }
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import useStore from '../../store/useStore';
+
+const KIND_LABELS = {
+  user: 'You',
+  assistant: 'Friday',
+  tool: 'Tool',
+};
+
+// Wrap the [start, end) ranges the backend matched in <mark>
+function Highlighted({ text, highlights = [] }) {
+  const parts = [];
+  let last = 0;
+  highlights.forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(
+      <mark key={i} className="bg-accent-muted text-accent rounded-sm px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+}
+
+export default function SessionSearch({ onClose }) {
+  const [input, setInput] = useState(() => useStore.getState().sessionSearch.query);
+  const inputRef = useRef(null);
+  const { query, results, searching } = useStore((s) => s.sessionSearch);
+  const searchSessions = useStore((s) => s.searchSessions);
+  const resumeSession = useStore((s) => s.resumeSession);
+  const sessionId = useStore((s) => s.sessionId);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(() => searchSessions(input), 200);
+    return () => clearTimeout(timer);
+  }, [input, searchSessions]);
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [onClose]);
+
+  const open = (id) => {
+    if (id !== sessionId) resumeSession(id);
+    onClose();
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 z-30" onClick={onClose} />
+      <motion.div
+        className="no-drag fixed top-0 left-14 bottom-0 z-40 w-96 bg-surface-1 border-r border-border shadow-2xl flex flex-col"
+        initial={{ opacity: 0, x: -12 }}
+        animate={{ opacity: 1, x: 0 }}
+        transition={{ duration: 0.15 }}
+      >
+        <div className="px-4 pt-10 pb-3 border-b border-border-subtle">
+          <input
+            ref={inputRef}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && results[0]) open(results[0].id);
+            }}
+            placeholder="Search conversations..."
+            className="w-full px-3 py-2 bg-surface-2 border border-border rounded-lg text-sm text-text-primary placeholder:text-text-muted focus:outline-none focus:border-accent"
+          />
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-2 py-2">
+          {query.trim() && !searching && results.length === 0 && (
+            <p className="px-2 py-4 text-xs text-text-muted text-center">No conversations match.</p>
+          )}
+          {results.map((session) => (
+            <button
+              key={session.id}
+              onClick={() => open(session.id)}
+              className="w-full text-left px-3 py-2.5 rounded-lg hover:bg-surface-2 transition-all group"
+            >
+              <div className="text-sm text-text-primary truncate group-hover:text-accent transition-colors">
+                {session.title || `Session ${session.id?.slice(0, 8)}`}
+              </div>
+              {session.matches.map((match, i) => (
+                <div key={i} className="text-xs text-text-secondary mt-1 line-clamp-2">
+                  <span className="text-text-muted mr-1">{KIND_LABELS[match.kind] || match.kind}:</span>
+                  <Highlighted text={match.text} highlights={match.highlights} />
+                </div>
+              ))}
+              {session.updatedAt && (
+                <div className="text-[11px] text-text-muted mt-1">
+                  {new Date(session.updatedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                </div>
+              )}
+            </button>
+          ))}
+        </div>
+      </motion.div>
+    </>
+  );
+}
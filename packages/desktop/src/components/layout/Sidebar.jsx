@@ -1,5 +1,7 @@
+import { useState } from 'react';
 import useStore from '../../store/useStore';
 import FridayLogo from '../ui/FridayLogo';
+import SessionSearch from './SessionSearch';
 
 const iconChat = (
   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
@@ -14,6 +16,13 @@ const iconHistory = (
   </svg>
 );
 
+const iconSearch = (
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+    <circle cx="11" cy="11" r="7" />
+    <line x1="21" y1="21" x2="16.65" y2="16.65" />
+  </svg>
+);
+
 const iconAgents = (
   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
     <rect x="2" y="3" width="20" height="14" rx="2" />
@@ -62,6 +71,7 @@ export default function Sidebar() {
   const previewOpen = useStore((s) => s.previewOpen);
   const setPreviewOpen = useStore((s) => s.setPreviewOpen);
   const setPreviewTab = useStore((s) => s.setPreviewTab);
+  const [searchOpen, setSearchOpen] = useState(false);
 
   return (
     <div className="drag-region w-14 flex-shrink-0 bg-surface-1 border-r border-border-subtle flex flex-col items-center py-3 gap-1">
@@ -93,6 +103,15 @@ export default function Sidebar() {
         onClick={() => useStore.setState({ view: 'home' })}
       />
 
+      {/* Search past conversations */}
+      <SidebarButton
+        icon={iconSearch}
+        label="Search"
+        active={searchOpen}
+        onClick={() => setSearchOpen(!searchOpen)}
+      />
+      {searchOpen && <SessionSearch onClose={() => setSearchOpen(false)} />}
+
       {/* Agents */}
       <SidebarButton
         icon={iconAgents}
@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import useStore from '../../store/useStore';
+
+const FIELDS = [
+  { id: 'allow', label: 'Allow', className: 'bg-success/15 text-success' },
+  { id: 'ask', label: 'Ask', className: 'bg-surface-3 text-text-secondary' },
+  { id: 'deny', label: 'Deny', className: 'bg-danger/15 text-danger' },
+];
+
+function RuleRow({ toolKey, rule, onChange, onRemove }) {
+  const removePattern = (field, pattern) => {
+    const remaining = rule[field].filter((p) => p !== pattern);
+    const { [field]: _removed, ...rest } = rule;
+    onChange(remaining.length ? { ...rest, [field]: remaining } : rest);
+  };
+
+  return (
+    <div className="py-3 border-b border-border-subtle last:border-b-0">
+      <div className="flex items-center gap-2">
+        <span className="font-medium text-sm font-mono">{toolKey}</span>
+        <select
+          value={rule.otherwise || ''}
+          onChange={(e) => {
+            const { otherwise: _previous, ...rest } = rule;
+            onChange(e.target.value ? { ...rest, otherwise: e.target.value } : rest);
+          }}
+          className="ml-auto px-2 py-1 bg-surface-2 border border-border rounded-lg text-xs text-text-secondary focus:outline-none focus:border-accent"
+        >
+          <option value="">Otherwise: profile decides</option>
+          <option value="ask">Otherwise: ask</option>
+          <option value="deny">Otherwise: deny</option>
+          <option value="allow">Otherwise: allow</option>
+        </select>
+        <button
+          onClick={onRemove}
+          className="px-2 py-1 text-danger text-xs hover:text-danger/80 transition-colors"
+        >
+          Remove
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-1.5 mt-2">
+        {FIELDS.flatMap((field) => (rule[field.id] || []).map((pattern) => (
+          <button
+            key={`${field.id}:${pattern}`}
+            onClick={() => removePattern(field.id, pattern)}
+            title="Remove pattern"
+            className={`text-xs px-1.5 py-0.5 rounded font-mono ${field.className}`}
+          >
+            {field.label} {pattern} ×
+          </button>
+        )))}
+      </div>
+    </div>
+  );
+}
+
+function AuditLog() {
+  const permissionAudit = useStore((s) => s.permissionAudit);
+  const loadPermissionAudit = useStore((s) => s.loadPermissionAudit);
+
+  useEffect(() => {
+    loadPermissionAudit();
+  }, [loadPermissionAudit]);
+
+  const { entries, deniedOnly, loading, error } = permissionAudit;
+
+  return (
+    <div className="mt-8">
+      <div className="flex items-center gap-3 mb-2">
+        <h3 className="text-sm font-semibold">Recent decisions</h3>
+        <span className="text-xs text-text-muted">last 7 days</span>
+        <label className="ml-auto flex items-center gap-1.5 text-xs text-text-secondary">
+          <input type="checkbox" checked={deniedOnly} onChange={(e) => loadPermissionAudit(e.target.checked)} />
+          Denied only
+        </label>
+        <button
+          onClick={() => loadPermissionAudit()}
+          className="px-2 py-1 text-text-muted text-xs hover:text-text-secondary transition-colors"
+        >
+          {loading ? '...' : 'Refresh'}
+        </button>
+      </div>
+      {error && <div className="text-xs text-danger mb-2">{error}</div>}
+      <div className="max-h-64 overflow-y-auto">
+        {entries.map((entry, index) => (
+          <div key={`${entry.time}-${index}`} className="py-2 border-b border-border-subtle last:border-b-0 text-xs">
+            <div className="flex items-center gap-2">
+              <span className={`px-1.5 py-0.5 rounded font-medium ${entry.decision === 'allow' ? 'bg-success/15 text-success' : 'bg-danger/15 text-danger'}`}>
+                {entry.decision}
+              </span>
+              <span className="font-mono text-text-primary truncate">{entry.tool}</span>
+              <span className="text-text-muted">
+                by {entry.source === 'user' ? `you${entry.level && entry.level !== 'once' ? ` (${entry.level})` : ''}` : entry.source}
+                {entry.app_id ? ` via ${entry.app_id}` : ''}
+              </span>
+              <span className="ml-auto text-text-muted flex-shrink-0">{new Date(entry.time).toLocaleString()}</span>
+            </div>
+            {entry.input && <div className="mt-1 font-mono text-text-muted truncate">{entry.input}</div>}
+          </div>
+        ))}
+        {!loading && entries.length === 0 && (
+          <div className="text-sm text-text-muted py-3">No decisions recorded.</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function PermissionsPane() {
+  const permissionRules = useStore((s) => s.permissionRules);
+  const loadPermissionRules = useStore((s) => s.loadPermissionRules);
+  const savePermissionRules = useStore((s) => s.savePermissionRules);
+  const [toolKey, setToolKey] = useState('');
+  const [field, setField] = useState('allow');
+  const [pattern, setPattern] = useState('');
+
+  useEffect(() => {
+    loadPermissionRules();
+  }, [loadPermissionRules]);
+
+  const { rules, profile, error } = permissionRules;
+
+  const updateRule = (key, rule) => savePermissionRules({ ...rules, [key]: rule });
+
+  const removeRule = (key) => {
+    const { [key]: _removed, ...rest } = rules;
+    savePermissionRules(rest);
+  };
+
+  const addPattern = () => {
+    const key = toolKey.trim();
+    const value = pattern.trim();
+    if (!key || !value) return;
+    const rule = rules[key] || {};
+    updateRule(key, { ...rule, [field]: [...(rule[field] || []), value] });
+    setPattern('');
+  };
+
+  return (
+    <div className="p-6">
+      <p className="text-sm text-text-secondary mb-4">
+        Rules decide by what a tool call touches: file paths for <span className="font-mono">read</span> and{' '}
+        <span className="font-mono">write</span>, commands for <span className="font-mono">bash</span>, hosts for{' '}
+        <span className="font-mono">WebFetch</span>. Deny wins over ask, and ask over allow. Anything the rules
+        leave open follows the {profile ? <span className="font-medium">{profile}</span> : 'active'} profile.
+      </p>
+
+      {error && <div className="text-xs text-danger mb-3">{error}</div>}
+
+      <div>
+        {Object.entries(rules).map(([key, rule]) => (
+          <RuleRow
+            key={key}
+            toolKey={key}
+            rule={rule}
+            onChange={(next) => updateRule(key, next)}
+            onRemove={() => removeRule(key)}
+          />
+        ))}
+        {Object.keys(rules).length === 0 && (
+          <div className="text-sm text-text-muted py-3">No rules yet.</div>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 mt-4">
+        <input
+          value={toolKey}
+          onChange={(e) => setToolKey(e.target.value)}
+          placeholder="write, bash, WebFetch…"
+          className="w-36 px-3 py-1.5 bg-surface-2 border border-border rounded-lg text-sm text-text-primary focus:outline-none focus:border-accent"
+        />
+        <select
+          value={field}
+          onChange={(e) => setField(e.target.value)}
+          className="px-2 py-1.5 bg-surface-2 border border-border rounded-lg text-sm text-text-secondary focus:outline-none focus:border-accent"
+        >
+          {FIELDS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+        </select>
+        <input
+          value={pattern}
+          onChange={(e) => setPattern(e.target.value)}
+          placeholder="src/**, npm test*, *.github.com"
+          className="flex-1 px-3 py-1.5 bg-surface-2 border border-border rounded-lg text-sm text-text-primary font-mono focus:outline-none focus:border-accent"
+          onKeyDown={(e) => e.key === 'Enter' && addPattern()}
+        />
+        <button
+          onClick={addPattern}
+          disabled={!toolKey.trim() || !pattern.trim()}
+          className="px-3 py-1.5 bg-accent text-white text-xs rounded-lg hover:bg-accent-hover disabled:opacity-50 transition-colors"
+        >
+          Add
+        </button>
+      </div>
+
+      <AuditLog />
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import useStore from '../../store/useStore';
+import Modal from '../ui/Modal';
+
+function SummaryRow({ label, children }) {
+  return (
+    <div className="flex gap-3 py-1.5 text-sm">
+      <span className="w-28 flex-shrink-0 text-text-muted">{label}</span>
+      <span className="min-w-0 text-text-primary">{children}</span>
+    </div>
+  );
+}
+
+export default function ProjectTrustModal() {
+  const request = useStore((s) => s.projectTrustRequest);
+  const setProjectTrustRequest = useStore((s) => s.setProjectTrustRequest);
+  const respondProjectTrust = useStore((s) => s.respondProjectTrust);
+
+  const summary = request?.summary || {};
+
+  return (
+    <Modal
+      open={Boolean(request)}
+      onClose={() => setProjectTrustRequest(null)}
+      title="Trust this project?"
+      width="max-w-xl"
+    >
+      {request && (
+        <div className="p-6">
+          <p className="text-sm text-text-secondary mb-4">
+            <span className="font-mono text-text-primary break-all">{request.config_path}</span> sets up Friday for this
+            workspace. Its MCP servers and rule commands run on your machine, so it is ignored until you trust it.
+          </p>
+
+          <div className="mb-4">
+            {summary.agent && <SummaryRow label="Agent role">{summary.agent}</SummaryRow>}
+            {summary.model && <SummaryRow label="Model">{summary.model}</SummaryRow>}
+            {summary.template && <SummaryRow label="Template">{summary.template}</SummaryRow>}
+            {summary.skills?.length > 0 && <SummaryRow label="Skills">{summary.skills.join(', ')}</SummaryRow>}
+            {(summary.mcpServers || []).map((server) => (
+              <SummaryRow key={server.name} label={`MCP ${server.name}`}>
+                <span className="font-mono text-xs break-all">{server.command}</span>
+                {server.env?.length > 0 && (
+                  <span className="block font-mono text-xs break-all text-text-muted">env {server.env.join(' ')}</span>
+                )}
+                {server.cwd && <span className="block font-mono text-xs break-all text-text-muted">cwd {server.cwd}</span>}
+              </SummaryRow>
+            ))}
+            {(summary.rules || []).map((rule) => (
+              <SummaryRow key={rule.id} label={`Rule ${rule.id}`}>
+                {rule.commands?.length
+                  ? <span className="font-mono text-xs break-all">{rule.commands.join('; ')}</span>
+                  : <span className="text-text-muted">no commands</span>}
+              </SummaryRow>
+            ))}
+            {(request.problems || []).map((problem) => (
+              <div key={problem} className="text-xs text-warning py-1">Skipped: {problem}</div>
+            ))}
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            <button
+              onClick={() => respondProjectTrust(false)}
+              className="px-3 py-1.5 rounded-lg bg-surface-3 text-text-secondary text-xs font-medium hover:bg-surface-2 transition-colors"
+            >
+              Don&apos;t trust
+            </button>
+            <button
+              onClick={() => respondProjectTrust(true)}
+              className="px-3 py-1.5 rounded-lg bg-accent text-white text-xs font-medium hover:bg-accent-hover transition-colors"
+            >
+              Trust project
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
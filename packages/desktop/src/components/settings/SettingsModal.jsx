@@ -2,6 +2,7 @@ import useStore from '../../store/useStore';
 import Modal from '../ui/Modal';
 import AppsPane from './AppsPane';
 import ApiKeysPane from './ApiKeysPane';
+import PermissionsPane from './PermissionsPane';
 
 export default function SettingsModal() {
   const showSettings = useStore((s) => s.showSettings);
@@ -23,6 +24,7 @@ export default function SettingsModal() {
         {[
           { id: 'apps', label: 'Apps' },
           { id: 'keys', label: 'API Keys' },
+          { id: 'permissions', label: 'Permissions' },
           { id: 'appearance', label: 'Appearance' },
         ].map((tab) => (
           <button
@@ -42,6 +44,7 @@ export default function SettingsModal() {
       {/* Panes */}
       {settingsTab === 'apps' && <AppsPane />}
       {settingsTab === 'keys' && <ApiKeysPane />}
+      {settingsTab === 'permissions' && <PermissionsPane />}
       {settingsTab === 'appearance' && (
         <div className="p-6">
           <h3 className="text-sm font-semibold mb-3">Theme</h3>
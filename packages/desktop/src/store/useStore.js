@@ -23,6 +23,14 @@ const useStore = create((set, get) => ({
   sessions: [],
   setSessions: (sessions) => set({ sessions }),
 
+  // Queries the session had before the messages shown (a resumed session
+  // starts with an empty message list)
+  queryOffset: 0,
+
+  // Text to place in the chat input, e.g. the message a fork branched at
+  composerDraft: null,
+  setComposerDraft: (text) => set({ composerDraft: text }),
+
   // ── Messages ──────────────────────────────────────────────────────────
   messages: [],
   addMessage: (msg) =>
@@ -77,6 +85,9 @@ const useStore = create((set, get) => ({
   // ── Scheduled Agents ──────────────────────────────────────────────────
   scheduledAgents: [],
   setScheduledAgents: (agents) => set({ scheduledAgents: agents }),
+  // Actions held by agents with review enabled (pending only)
+  agentReviews: [],
+  setAgentReviews: (reviews) => set({ agentReviews: reviews }),
 
   // ── Preview panel ─────────────────────────────────────────────────────
   previewOpen: true,
@@ -111,6 +122,7 @@ const useStore = create((set, get) => ({
       permissionRequest: null,
       currentTool: null,
       lastCost: null,
+      queryOffset: 0,
       view: 'home',
     });
     if (window.friday) window.friday.newSession();
@@ -120,6 +132,7 @@ const useStore = create((set, get) => ({
     set({
       sessionId: id,
       messages: [],
+      queryOffset: get().sessions.find((s) => s.id === id)?.messageCount || 0,
       view: 'chat',
       isStreaming: false,
       isThinking: false,
@@ -146,11 +159,125 @@ const useStore = create((set, get) => ({
     }
   },
 
+  // Branch the session at a message: a new session keeps what came before
+  // (and, for an assistant message, the message itself); the backend replies
+  // with session_forked
+  forkSession: (messageIndex) => {
+    const { messages, sessionId, queryOffset } = get();
+    if (!sessionId || !window.friday) return;
+    const queryIndex = queryOffset + messages.slice(0, messageIndex).filter((m) => m.role === 'user').length + 1;
+    window.friday.sendToBackend({ type: 'fork_session', session_id: sessionId, query_index: queryIndex });
+  },
+
+  applySessionFork: (msg) => {
+    const { messages, queryOffset } = get();
+    // Keep the messages before the query the fork dropped
+    let seen = queryOffset;
+    let cut = messages.findIndex((m) => m.role === 'user' && ++seen === msg.query_index);
+    if (cut === -1) cut = messages.length;
+    set({
+      sessionId: msg.session_id,
+      messages: messages.slice(0, cut),
+      composerDraft: msg.prompt || null,
+      lastCost: null,
+      view: 'chat',
+    });
+    if (window.friday) window.friday.resumeSession(msg.session_id);
+    get().loadSessions();
+  },
+
+  // The conversation was summarized into a continuation session. The messages
+  // stay on screen, but queries are counted from the continuation's start; an
+  // automatic compaction happens mid-query, so that query is its first.
+  applyContextCompaction: (msg) => {
+    if (msg.error) {
+      get().addMessage({ role: 'system', content: msg.error });
+      return;
+    }
+    const { messages } = get();
+    const shownQueries = messages.filter((m) => m.role === 'user').length;
+    set({
+      sessionId: msg.session_id,
+      queryOffset: -(msg.reason === 'auto' ? shownQueries - 1 : shownQueries),
+      lastCost: null,
+    });
+    get().addMessage({ role: 'system', content: `Summarized ${msg.summarized_messages} earlier messages to free up context. The full conversation is still in Sessions.` });
+    if (msg.reason !== 'auto' && window.friday) window.friday.resumeSession(msg.session_id);
+    get().loadSessions();
+  },
+
+  // Ask the backend to render the open session; App saves the session_exported reply
+  exportSession: (format) => {
+    const { sessionId } = get();
+    if (!window.friday) return;
+    if (!sessionId) {
+      get().addMessage({ role: 'system', content: 'Nothing to export yet. Send a message first.' });
+      return;
+    }
+    window.friday.sendToBackend({ type: 'export_session', session_id: sessionId, format });
+  },
+
   abortQuery: () => {
     set({ isStreaming: false, isThinking: false, currentTool: null });
     if (window.friday) window.friday.abortQuery();
   },
 
+  // Full-text search over past sessions; App applies session_search_results
+  sessionSearch: { query: '', results: [], searching: false },
+
+  searchSessions: (query) => {
+    if (!query.trim()) {
+      set({ sessionSearch: { query, results: [], searching: false } });
+      return;
+    }
+    set((s) => ({ sessionSearch: { ...s.sessionSearch, query, searching: true } }));
+    if (window.friday) window.friday.sendToBackend({ type: 'search_sessions', query, limit: 20 });
+  },
+
+  applySessionSearch: (msg) => {
+    // Replies to queries the user has since typed past are dropped
+    if (msg.query !== get().sessionSearch.query) return;
+    set({ sessionSearch: { query: msg.query, results: msg.results || [], searching: false } });
+  },
+
+  // Argument-aware permission rules; App applies permission_rules_* replies
+  permissionRules: { rules: {}, profile: null, error: null, loaded: false },
+
+  loadPermissionRules: () => {
+    if (window.friday) window.friday.sendToBackend({ type: 'permission_rules_get' });
+  },
+
+  savePermissionRules: (rules) => {
+    if (window.friday) window.friday.sendToBackend({ type: 'permission_rules_set', rules });
+  },
+
+  applyPermissionRules: (msg) => set({
+    permissionRules: { rules: msg.rules || {}, profile: msg.profile || null, error: msg.error || null, loaded: true },
+  }),
+
+  // Recent permission decisions from the audit log; App applies permission_audit
+  permissionAudit: { entries: [], deniedOnly: false, loading: false, error: null },
+
+  loadPermissionAudit: (deniedOnly = get().permissionAudit.deniedOnly) => {
+    set((s) => ({ permissionAudit: { ...s.permissionAudit, deniedOnly, loading: true } }));
+    if (window.friday) window.friday.sendToBackend({ type: 'permission_audit', since: '7d', denied: deniedOnly, limit: 100 });
+  },
+
+  applyPermissionAudit: (msg) => set((s) => ({
+    permissionAudit: { ...s.permissionAudit, entries: msg.entries || [], loading: false, error: msg.error || null },
+  })),
+
+  // The workspace's .friday/config.json waiting for the user to trust it (project_trust_request)
+  projectTrustRequest: null,
+  setProjectTrustRequest: (projectTrustRequest) => set({ projectTrustRequest }),
+
+  respondProjectTrust: (trusted) => {
+    const request = get().projectTrustRequest;
+    if (!request) return;
+    if (window.friday) window.friday.sendToBackend({ type: 'project_trust', trusted, hash: request.hash });
+    set({ projectTrustRequest: null });
+  },
+
   // Load sessions from disk
   loadSessions: async () => {
     if (!window.friday) return;
@@ -7,6 +7,7 @@ import ScheduledAgentStore from './src/scheduled-agents/ScheduledAgentStore.js';
 import AgentRunHistory from './src/scheduled-agents/AgentRunHistory.js';
 import AgentExecutor from './src/scheduled-agents/AgentExecutor.js';
 import AgentScheduler from './src/scheduled-agents/AgentScheduler.js';
+import reviewQueue from './src/scheduled-agents/ReviewQueue.js';
 import McpOAuthManager from './src/oauth/McpOAuthManager.js';
 import path from 'path';
 import dotenv from 'dotenv';
@@ -185,11 +186,18 @@ const runtime = new AgentRuntime({
   mcpServers: config.mcpServers,
   sessionsPath: config.sessionsPath,
   scheduledAgentStore,
-  agentScheduler
+  agentScheduler,
+  project: config.project
 });
 
 agentScheduler.emitEvent = (payload) => runtime.emitMessage(payload);
 
+// Review queue: held actions from scheduled agents with `review` enabled.
+// Items left pending by a process that has exited can never resume.
+reviewQueue.expireOrphaned();
+reviewQueue.on('review:added', (review) => runtime.emitMessage({ type: 'scheduled_agent:review_requested', review }));
+reviewQueue.on('review:resolved', (review) => runtime.emitMessage({ type: 'scheduled_agent:review_resolved', review }));
+
 // Initialize OAuth manager for MCP servers
 const oauthManager = new McpOAuthManager({
   mcpCredentials,
@@ -260,7 +268,7 @@ async function storeRemoteOAuthMarker(serverId) {
   }, { auth: serverDef.auth || [] });
 
   // Reload config so runtime picks up the new state
-  const newConfig = await loadBackendConfig();
+  const newConfig = await loadBackendConfig({ workspacePath: runtime.workspacePath });
   runtime.updateMcpServers(newConfig.mcpServers);
   config.mcpServers = newConfig.mcpServers;
 }
@@ -442,6 +450,7 @@ function cleanRemoteOAuthCache(serverId) {
 }
 
 console.log(JSON.stringify({ type: 'ready' }));
+runtime.announceProjectTrust();
 
 readline.on('line', async (line) => {
   const trimmed = line.trim();
@@ -455,6 +464,7 @@ readline.on('line', async (line) => {
         await runtime.handleQuery(data.message, data.session_id || null, data.metadata || {});
         break;
       case 'new_session':
+        runtime.endSession(runtime.currentSessionId);
         runtime.currentSessionId = null;
         runtime.resetSessionState();
         runtime.emitMessage({ type: 'info', message: 'Started new conversation' });
@@ -465,12 +475,60 @@ readline.on('line', async (line) => {
           // Note: Not emitting info message as it's noisy during view switches
         }
         break;
+      case 'resume_stream':
+        if (data.session_id) {
+          // Replay straight to stdout — these events already have their seq
+          if (runtime.currentSessionId !== data.session_id) {
+            runtime.currentSessionId = data.session_id;
+            runtime.syncStreamSeq(data.session_id);
+          }
+          const missed = await runtime.getStreamEventsSince(data.session_id, Number(data.after_seq) || 0);
+          missed.forEach((payload) => console.log(JSON.stringify(payload)));
+          console.log(JSON.stringify({
+            type: 'stream_resumed',
+            session_id: data.session_id,
+            replayed: missed.length,
+            last_seq: runtime.streamSeq,
+            live: true
+          }));
+        }
+        break;
       case 'permission_response':
         runtime.handlePermissionResponse(data);
         break;
       case 'rule_action':
         await runtime.handleRuleActionMessage(data);
         break;
+      case 'checkpoint_list':
+      case 'checkpoint_restore':
+        runtime.handleCheckpointMessage(data);
+        break;
+      case 'permission_rules_get':
+      case 'permission_rules_set':
+        runtime.handlePermissionRulesMessage(data);
+        break;
+      case 'permission_audit':
+        runtime.handlePermissionAuditMessage(data);
+        break;
+      case 'memory_get':
+      case 'memory_add':
+      case 'memory_set':
+        runtime.handleMemoryMessage(data);
+        break;
+      case 'project_trust':
+        await runtime.handleProjectTrustMessage(data, { loadConfig: loadBackendConfig });
+        config.mcpServers = runtime.mcpServers;
+        break;
+      case 'get_sessions':
+      case 'search_sessions':
+      case 'get_session_history':
+      case 'delete_session':
+      case 'fork_session':
+      case 'compact_session':
+      case 'export_session':
+      case 'import_session':
+        await runtime.handleSessionMessage(data);
+        break;
       case 'workspace_changed':
         if (data.path) {
           // Update workspace path
@@ -490,13 +548,23 @@ readline.on('line', async (line) => {
           // and WANT to resume the SDK session (correct workspace context)
 
           runtime.emitMessage({ type: 'info', message: `Workspace updated to: ${data.path}` });
+
+          // The new workspace may have its own .friday/config.json
+          try {
+            const newConfig = await loadBackendConfig({ workspacePath: data.path });
+            runtime.applyBackendConfig(newConfig);
+            config.mcpServers = newConfig.mcpServers;
+            runtime.announceProjectTrust();
+          } catch (error) {
+            console.error('[Project] Failed to load the workspace configuration:', error.message);
+          }
         }
         break;
       case 'screen_sharing_state':
         runtime.setScreenSharingState(Boolean(data.active));
         break;
       case 'abort_query':
-        runtime.abortCurrentQuery();
+        runtime.abortCurrentQuery(data.session_id || null);
         break;
       case 'mcp_get_servers':
         {
@@ -545,7 +613,7 @@ readline.on('line', async (line) => {
             const serverDef = config.mcpServers[serverId] || {};
             await mcpCredentials.setCredentials(serverId, credentials, { auth: serverDef.auth || [] });
             console.log('[MCP] Credentials saved, reloading config');
-            const newConfig = await loadBackendConfig();
+            const newConfig = await loadBackendConfig({ workspacePath: runtime.workspacePath });
             runtime.updateMcpServers(newConfig.mcpServers);
             config.mcpServers = newConfig.mcpServers;
             console.log('[MCP] Sending success response');
@@ -590,7 +658,7 @@ readline.on('line', async (line) => {
 
             // 2. Reload Config to ensure memory is in sync (removes 'configured' flag)
             console.log('[MCP] Credentials deleted, reloading config');
-            const newConfig = await loadBackendConfig();
+            const newConfig = await loadBackendConfig({ workspacePath: runtime.workspacePath });
             runtime.updateMcpServers(newConfig.mcpServers);
             config.mcpServers = newConfig.mcpServers;
 
@@ -1076,6 +1144,42 @@ readline.on('line', async (line) => {
         }
         break;
 
+      case 'scheduled_agent:review_list':
+        {
+          try {
+            const { status = 'pending', agentId } = data;
+            const reviews = reviewQueue.list({ status: status === 'all' ? null : status, agentId });
+            runtime.emitMessage({ type: 'scheduled_agent:review_list', reviews });
+          } catch (error) {
+            console.error('[ScheduledAgent] Error listing reviews:', error);
+            runtime.emitMessage({ type: 'error', message: `Failed to list reviews: ${error.message}` });
+          }
+        }
+        break;
+
+      case 'scheduled_agent:review_approve':
+      case 'scheduled_agent:review_reject':
+        {
+          try {
+            const { reviewId, input, reason } = data;
+            if (!reviewId) {
+              runtime.emitMessage({ type: 'error', message: 'reviewId required' });
+              break;
+            }
+
+            // The queue emits review:resolved, which is forwarded as scheduled_agent:review_resolved
+            if (data.type === 'scheduled_agent:review_approve') {
+              reviewQueue.approve(reviewId, { input });
+            } else {
+              reviewQueue.reject(reviewId, { reason });
+            }
+          } catch (error) {
+            console.error('[ScheduledAgent] Error deciding review:', error);
+            runtime.emitMessage({ type: 'error', message: `Failed to decide review: ${error.message}` });
+          }
+        }
+        break;
+
       // ============ OAUTH MESSAGES ============
       case 'mcp_oauth_start':
         {
@@ -24,9 +24,11 @@
 // Core runtime
 export { AgentRuntime } from './src/runtime/AgentRuntime.js';
 export { RoleBasedAgentRuntime, createRoleBasedAgentRuntime } from './src/runtime/RoleBasedAgentRuntime.js';
+export { StreamRegistry } from './src/runtime/StreamRegistry.js';
 
 // Configuration
-export { loadBackendConfig } from './src/config.js';
+export { loadBackendConfig, resolveSessionsPath } from './src/config.js';
+export { default as projectTrustStore, ProjectTrustStore, loadProjectConfig, validateProjectConfig, PROJECT_TRUST, PROJECT_CONFIG_FILE } from './src/project/ProjectConfig.js';
 
 // Managers
 export { AgentManager, agentManager } from './src/agents/AgentManager.js';
@@ -34,9 +36,21 @@ export { SkillManager, skillManager } from './src/skills/SkillManager.js';
 
 // Sessions
 export { SessionStore } from './src/sessions/SessionStore.js';
+export { SessionExporter, EXPORT_FORMATS, buildConversation } from './src/sessions/SessionExporter.js';
 
 // Permissions
-export { PermissionManager, PERMISSION } from './src/permissions/PermissionManager.js';
+export { PermissionManager, PERMISSION, PROFILE_NAMES, evaluateToolPolicy, matchesToolPattern, loadCustomProfiles, loadWorkspacePolicy } from './src/permissions/PermissionManager.js';
+export { PermissionAuditLog, PERMISSION_AUDIT_DIR, parseSince } from './src/permissions/PermissionAuditLog.js';
+
+// Memory
+export { default as memoryFiles, MemoryFiles, MemoryLimitError, MEMORY_FILE_NAME } from './src/memory/MemoryFiles.js';
+export { default as memoryStore, MemoryStore, MEMORY_KINDS } from './src/memory/MemoryStore.js';
+
+// Automation rules
+export { loadAutomationRules, ruleMatchesContext, replaySessionEvents, validateRule, getRuleDirectories, RULE_EVENTS, RULE_ACTION_TYPES } from './src/rules/AutomationRules.js';
+
+// API tokens
+export { ApiTokenStore, API_SCOPES, default as apiTokenStore, scopeForRoute, scopeForMessage, extractBearerToken, isAuthDisabled } from './src/auth/ApiTokenStore.js';
 
 // Plugins
 export { PluginManager, pluginManager } from './src/plugins/PluginManager.js';
@@ -48,7 +62,12 @@ export { CostTracker, default as costTracker } from './src/providers/CostTracker
 export { SubAgentRunner } from './src/runtime/SubAgentRunner.js';
 
 // Triggers
-export { TriggerRouter } from './src/scheduler/TriggerRouter.js';
+export { TriggerRouter, verifyWebhookSignature, MAX_WEBHOOK_BODY_BYTES } from './src/scheduler/TriggerRouter.js';
+export { TriggerStore, TRIGGER_TYPES } from './src/scheduler/TriggerStore.js';
+
+// Pipelines
+export { PipelineExecutor } from './src/scheduler/PipelineExecutor.js';
+export { parsePipeline, loadPipeline, listPipelineFiles, PIPELINES_DIR } from './src/scheduler/PipelineDefinition.js';
 
 // MCP
 export { default as McpCredentials } from './src/mcp/McpCredentials.js';
@@ -59,9 +78,19 @@ export { default as AgentScheduler } from './src/scheduled-agents/AgentScheduler
 export { default as AgentExecutor } from './src/scheduled-agents/AgentExecutor.js';
 export { default as ScheduledAgentStore } from './src/scheduled-agents/ScheduledAgentStore.js';
 export { default as AgentRunHistory } from './src/scheduled-agents/AgentRunHistory.js';
+export { default as reviewQueue, ReviewQueue, REVIEW_STATUS } from './src/scheduled-agents/ReviewQueue.js';
 
 // Sandbox
 export { default as ProcessRegistry, getProcessRegistry } from './src/sandbox/ProcessRegistry.js';
+export { default as commandPolicy, CommandPolicy, COMMAND_DECISION, DEFAULT_RULES } from './src/sandbox/CommandPolicy.js';
+export { analyzeCommand } from './src/sandbox/ShellCommandAnalyzer.js';
+export { default as secretRedactor, SecretRedactor, filterSensitiveEnv, redactSecrets, SENSITIVE_ENV_PATTERNS } from './src/sandbox/SecretRedactor.js';
+
+// Tracing
+export { default as tracer, Tracer, Span, JsonlTraceExporter, OtlpHttpExporter, createTracer, SPAN_STATUS } from './src/tracing/Tracer.js';
+
+// Checkpoints
+export { default as checkpointStore, CheckpointStore, CheckpointConflictError } from './src/checkpoints/CheckpointStore.js';
 
 // Multi-modal providers
 export { default as ProviderRegistry, MediaContext, CAPABILITIES, PROVIDERS } from './providers/ProviderRegistry.js';
@@ -24,6 +24,7 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 
 import ProviderRegistry, { MediaContext, CAPABILITIES } from '../providers/ProviderRegistry.js';
+import { createTracer, parseTraceparent } from '../src/tracing/Tracer.js';
 import * as openai from '../providers/openai.js';
 import * as google from '../providers/google.js';
 import * as elevenlabs from '../providers/elevenlabs.js';
@@ -39,6 +40,10 @@ const OUTPUT_DIR = process.env.MEDIA_OUTPUT_DIR || process.env.WORKSPACE_PATH
 const registry = new ProviderRegistry();
 const mediaContext = new MediaContext();
 
+// Tool calls become spans in the runtime's trace for the current query
+const tracer = createTracer({ serviceName: SERVER_NAME });
+const traceParent = parseTraceparent(process.env.TRACEPARENT);
+
 const log = (msg) => console.error(`[${SERVER_NAME}] ${msg}`);
 
 log(`Media MCP Server v${SERVER_VERSION} started`);
@@ -58,6 +63,25 @@ function getProviderModule(providerId) {
   return mod;
 }
 
+/**
+ * Record provider, model and estimated cost on the active tool span.
+ */
+async function traceProviderCall(capability, providerId, model, input) {
+  const span = tracer.getActiveSpan();
+  if (!span) return;
+  span.setAttributes({ 'media.capability': capability, 'media.provider': providerId, 'media.model': model || 'default' });
+  try {
+    const adapter = await registry.getAdapter(providerId);
+    span.setAttribute('cost.usd', adapter.estimateCost(capability, {
+      text: input.text,
+      quality: input.quality,
+      seconds: input.seconds,
+    }));
+  } catch {
+    // no estimate for this provider
+  }
+}
+
 // ─── Tool Definitions ────────────────────────────────────────────
 
 const TOOLS = [
@@ -180,6 +204,7 @@ async function handleGenerateImage(input) {
 
   const model = registry.resolveModel(CAPABILITIES.IMAGE_GEN, providerId, input.model);
   const provider = getProviderModule(providerId);
+  await traceProviderCall(CAPABILITIES.IMAGE_GEN, providerId, model, input);
 
   log(`Generating image with ${providerId}/${model || 'default'}...`);
 
@@ -215,6 +240,7 @@ async function handleGenerateVideo(input) {
 
   const model = registry.resolveModel(CAPABILITIES.VIDEO_GEN, providerId, input.model);
   const provider = getProviderModule(providerId);
+  await traceProviderCall(CAPABILITIES.VIDEO_GEN, providerId, model, input);
 
   log(`Generating video with ${providerId}/${model || 'default'} (this may take several minutes)...`);
 
@@ -246,6 +272,7 @@ async function handleTextToSpeech(input) {
 
   const model = registry.resolveModel(CAPABILITIES.TTS, providerId, input.model);
   const provider = getProviderModule(providerId);
+  await traceProviderCall(CAPABILITIES.TTS, providerId, model, input);
 
   log(`Converting text to speech with ${providerId}/${model || 'default'}...`);
 
@@ -277,6 +304,7 @@ async function handleSpeechToText(input) {
 
   const model = registry.resolveModel(CAPABILITIES.STT, providerId, input.model);
   const provider = getProviderModule(providerId);
+  await traceProviderCall(CAPABILITIES.STT, providerId, model, input);
 
   log(`Transcribing audio with ${providerId}/${model || 'default'}...`);
 
@@ -308,6 +336,7 @@ async function handleQueryModel(input) {
 
   const model = registry.resolveModel(CAPABILITIES.CHAT, providerId, input.model);
   const provider = getProviderModule(providerId);
+  await traceProviderCall(CAPABILITIES.CHAT, providerId, model, input);
 
   log(`Querying ${providerId}/${model || 'default'}...`);
 
@@ -388,37 +417,32 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
   return { tools: TOOLS };
 });
 
+async function callTool(name, args) {
+  switch (name) {
+    case 'generate_image':
+      return handleGenerateImage(args);
+    case 'generate_video':
+      return handleGenerateVideo(args);
+    case 'text_to_speech':
+      return handleTextToSpeech(args);
+    case 'speech_to_text':
+      return handleSpeechToText(args);
+    case 'query_model':
+      return handleQueryModel(args);
+    case 'list_voices':
+      return handleListVoices(args);
+    case 'clone_voice':
+      return handleCloneVoice(args);
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
+
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
 
   try {
-    let result;
-
-    switch (name) {
-      case 'generate_image':
-        result = await handleGenerateImage(args);
-        break;
-      case 'generate_video':
-        result = await handleGenerateVideo(args);
-        break;
-      case 'text_to_speech':
-        result = await handleTextToSpeech(args);
-        break;
-      case 'speech_to_text':
-        result = await handleSpeechToText(args);
-        break;
-      case 'query_model':
-        result = await handleQueryModel(args);
-        break;
-      case 'list_voices':
-        result = await handleListVoices(args);
-        break;
-      case 'clone_voice':
-        result = await handleCloneVoice(args);
-        break;
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
+    let result = await tracer.withSpan(`media.${name}`, { parent: traceParent, attributes: { 'media.tool': name } }, () => callTool(name, args));
 
     // Append media context summary if there are assets
     const contextSummary = mediaContext.getContextSummary();
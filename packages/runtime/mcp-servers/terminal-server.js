@@ -20,6 +20,8 @@ import http from 'http';
 import https from 'https';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
+import commandPolicy, { COMMAND_DECISION } from '../src/sandbox/CommandPolicy.js';
+import secretRedactor, { filterSensitiveEnv } from '../src/sandbox/SecretRedactor.js';
 
 // Get directory name in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -34,6 +36,10 @@ const workspacePath = process.env.FRIDAY_WORKSPACE || process.cwd();
 const commandTimeout = parseInt(process.env.FRIDAY_COMMAND_TIMEOUT || '300000', 10); // 5 minutes default
 const maxOutputSize = parseInt(process.env.FRIDAY_MAX_OUTPUT_SIZE || '1048576', 10); // 1MB default
 
+// Secrets in this server's environment are redacted from command output;
+// the runtime redacts the user's other configured keys from tool results
+secretRedactor.addFromEnv(process.env);
+
 // Protected PIDs - processes that should never be killed
 const protectedPids = new Set();
 protectedPids.add(process.pid); // This MCP server
@@ -42,144 +48,23 @@ if (process.ppid) {
 }
 
 // =============================================================================
-// DANGEROUS COMMAND FILTERING (Sandboxing)
+// COMMAND POLICY (Sandboxing)
 // =============================================================================
 //
 // WHY THIS EXISTS:
 // The agent can execute arbitrary shell commands via execute_command. Without
-// filtering, it could run destructive commands like:
-//   - `kill/pkill/killall` to terminate system processes (including this app)
-//   - `rm -rf /` to delete the entire filesystem
-//   - `sudo` to gain elevated privileges
-//   - Commands that modify system configuration
+// checks, it could kill system processes (including this app), delete the
+// filesystem, escalate privileges or modify system configuration.
 //
-// This filter blocks commands that could:
-//   1. Kill processes outside the agent's control (use kill_process tool instead)
-//   2. Delete files outside the workspace
-//   3. Gain elevated privileges
-//   4. Modify system configuration
-//   5. Access sensitive system files
+// Commands are checked against the shared CommandPolicy, the same one the
+// runtime's permission gate uses, so `sh -c`, `$(...)`, `env sudo` and similar
+// wrappers are seen through. Denied commands are refused here as well; "ask"
+// verdicts were already put to the user by the permission gate.
 //
 // The agent should use the dedicated `kill_process` tool to terminate processes
 // it started, which has proper sandboxing (only kills processes in the registry).
 // =============================================================================
 
-const DANGEROUS_PATTERNS = [
-  // Process killing - agent should use kill_process tool instead
-  // These bypass the process registry and could kill system processes
-  { pattern: /\bkill\s+-9?\s*\d+/i, reason: 'Use the kill_process tool to terminate processes started by the agent' },
-  { pattern: /\bkill\s+-9?\s+-/i, reason: 'Killing processes by signal is not allowed' },
-  { pattern: /\bpkill\b/i, reason: 'pkill can terminate critical system processes. Use kill_process tool for agent-started processes' },
-  { pattern: /\bkillall\b/i, reason: 'killall can terminate critical system processes. Use kill_process tool for agent-started processes' },
-  { pattern: /\bxkill\b/i, reason: 'xkill is not allowed' },
-
-  // Destructive file operations outside workspace
-  // These patterns catch attempts to delete root, home, or system directories
-  { pattern: /\brm\s+(-[a-zA-Z]*\s+)*-[a-zA-Z]*r[a-zA-Z]*\s+(-[a-zA-Z]*\s+)*[\/~](?!\S*\/Users\/.*\/)/i, reason: 'Recursive deletion outside workspace is not allowed' },
-  { pattern: /\brm\s+(-[a-zA-Z]*\s+)*\/(?:etc|usr|bin|sbin|var|lib|boot|root|sys|proc|dev)\b/i, reason: 'Deleting system directories is not allowed' },
-  { pattern: /\brm\s+(-[a-zA-Z]*\s+)*~\//i, reason: 'Deleting home directory contents requires explicit paths within workspace' },
-
-  // Privilege escalation
-  // These could give the agent root access or bypass security
-  { pattern: /\bsudo\b/i, reason: 'Elevated privileges are not allowed for security reasons' },
-  { pattern: /\bsu\s+-?\s*\w*/i, reason: 'Switching users is not allowed' },
-  { pattern: /\bdoas\b/i, reason: 'Elevated privileges are not allowed' },
-
-  // System modification
-  // These modify system-wide configuration that could break the host
-  { pattern: /\bsystemctl\s+(start|stop|restart|enable|disable|mask)/i, reason: 'Modifying system services is not allowed' },
-  { pattern: /\blaunchctl\s+(load|unload|start|stop|kill)/i, reason: 'Modifying macOS services is not allowed' },
-  { pattern: /\bchmod\s+[0-7]*\s+\/(?!Users)/i, reason: 'Changing permissions on system files is not allowed' },
-  { pattern: /\bchown\b.*\/(?!Users)/i, reason: 'Changing ownership of system files is not allowed' },
-
-  // Disk/filesystem operations
-  { pattern: /\bmkfs\b/i, reason: 'Creating filesystems is not allowed' },
-  { pattern: /\bfdisk\b/i, reason: 'Disk partitioning is not allowed' },
-  { pattern: /\bdd\s+.*of=\/dev/i, reason: 'Writing directly to devices is not allowed' },
-  { pattern: /\bmount\b/i, reason: 'Mounting filesystems is not allowed' },
-  { pattern: /\bumount\b/i, reason: 'Unmounting filesystems is not allowed' },
-
-  // Network security
-  { pattern: /\biptables\b/i, reason: 'Modifying firewall rules is not allowed' },
-  { pattern: /\bpfctl\b/i, reason: 'Modifying packet filter is not allowed' },
-
-  // Dangerous redirects that could overwrite system files
-  { pattern: />\s*\/etc\//i, reason: 'Writing to /etc is not allowed' },
-  { pattern: />\s*\/usr\//i, reason: 'Writing to /usr is not allowed' },
-  { pattern: />\s*\/bin\//i, reason: 'Writing to /bin is not allowed' },
-  { pattern: />\s*\/sbin\//i, reason: 'Writing to /sbin is not allowed' },
-
-  // Fork bombs and resource exhaustion
-  { pattern: /:\(\)\s*\{\s*:\|:&\s*\}\s*;:/i, reason: 'Fork bombs are not allowed' },
-  { pattern: /\bwhile\s+true\s*;\s*do\s+[^;]*;\s*done\s*&/i, reason: 'Infinite background loops are not allowed' },
-];
-
-/**
- * Check if a command is dangerous and should be blocked
- *
- * @param {string} command - The shell command to check
- * @returns {{ blocked: boolean, reason?: string }} - Result with optional reason
- */
-function checkDangerousCommand(command) {
-  // Normalize the command (handle multi-line, extra spaces)
-  const normalizedCommand = command.replace(/\s+/g, ' ').trim();
-
-  for (const { pattern, reason } of DANGEROUS_PATTERNS) {
-    if (pattern.test(normalizedCommand)) {
-      return { blocked: true, reason };
-    }
-  }
-
-  return { blocked: false };
-}
-
-// =============================================================================
-// SENSITIVE ENVIRONMENT VARIABLE FILTERING
-// =============================================================================
-// API keys and secrets should NEVER be exposed to commands run by the agent.
-// This filter removes sensitive environment variables from spawned processes.
-// =============================================================================
-
-const SENSITIVE_ENV_PATTERNS = [
-  // API keys for AI providers
-  /^ANTHROPIC_API_KEY$/i,
-  /^OPENAI_API_KEY$/i,
-  /^GOOGLE_API_KEY$/i,
-  /^ELEVENLABS_API_KEY$/i,
-  /^GOOGLE_GENERATIVE_AI_API_KEY$/i,
-  // Common secret patterns
-  /API_KEY$/i,
-  /API_SECRET$/i,
-  /SECRET_KEY$/i,
-  /ACCESS_TOKEN$/i,
-  /PRIVATE_KEY$/i,
-  /AUTH_TOKEN$/i,
-  /PASSWORD$/i,
-  /^AWS_SECRET/i,
-  /^GITHUB_TOKEN$/i,
-  /^NPM_TOKEN$/i,
-  /^FIRECRAWL_API_KEY$/i,
-  /^RESEND_API_KEY$/i,
-  /^BROWSERBASE_API_KEY$/i,
-];
-
-/**
- * Filter out sensitive environment variables before spawning processes.
- * Commands run by the agent should never have access to API keys or secrets.
- * @param {object} env - The process.env object
- * @returns {object} - Sanitized environment variables
- */
-function filterSensitiveEnv(env) {
-  const sanitized = {};
-  for (const [key, value] of Object.entries(env)) {
-    const isSensitive = SENSITIVE_ENV_PATTERNS.some(pattern => pattern.test(key));
-    if (!isSensitive) {
-      sanitized[key] = value;
-    }
-  }
-  return sanitized;
-}
-
 // Create server instance
 const server = new Server(
   {
@@ -248,25 +133,27 @@ function activateTerminal() {
  * Tool: execute_command
  * ACTUALLY executes a command and returns real output
  *
- * Security: Commands are filtered against DANGEROUS_PATTERNS before execution.
+ * Security: Commands are checked against the command policy before execution.
  * This prevents the agent from running destructive commands that could harm
  * the system or kill processes outside its control.
  */
 async function executeCommand(command, workingDirectory = null) {
+  const cwd = resolveWorkingDirectory(workingDirectory);
+
   // ==========================================================================
-  // SECURITY CHECK: Block dangerous commands before execution
+  // SECURITY CHECK: Block denied commands before execution
   // ==========================================================================
-  const dangerCheck = checkDangerousCommand(command);
-  if (dangerCheck.blocked) {
-    console.error(`[terminal-server] BLOCKED dangerous command: ${command}`);
-    console.error(`[terminal-server] Reason: ${dangerCheck.reason}`);
+  const verdict = commandPolicy.evaluate(command, { workspacePath, cwd });
+  if (verdict.decision === COMMAND_DECISION.DENY) {
+    console.error(`[terminal-server] BLOCKED command: ${command}`);
+    console.error(`[terminal-server] Reason: ${verdict.reason}`);
 
     // Return error to the agent explaining why the command was blocked
     return {
       content: [
         {
           type: 'text',
-          text: `Command blocked for security reasons: ${dangerCheck.reason}\n\nThe command "${command}" was not executed.`
+          text: `Command blocked for security reasons: ${verdict.reason}\n\nThe command "${command}" was not executed.`
         }
       ],
       isError: true
@@ -274,7 +161,6 @@ async function executeCommand(command, workingDirectory = null) {
   }
 
   const commandId = `cmd_${commandIdCounter++}`;
-  const cwd = resolveWorkingDirectory(workingDirectory);
 
   // Detect if the agent is trying to run a background server (ends with &)
   // and automatically redirect output to prevent SIGPIPE crashes.
@@ -362,7 +248,7 @@ async function executeCommand(command, workingDirectory = null) {
         command: 'output',
         commandId: commandId,
         stream: 'stdout',
-        data: chunk
+        data: secretRedactor.redact(chunk)
       };
       console.log(JSON.stringify(outputMessage));
     });
@@ -384,7 +270,7 @@ async function executeCommand(command, workingDirectory = null) {
         command: 'output',
         commandId: commandId,
         stream: 'stderr',
-        data: chunk
+        data: secretRedactor.redact(chunk)
       };
       console.log(JSON.stringify(outputMessage));
     });
@@ -437,7 +323,7 @@ async function executeCommand(command, workingDirectory = null) {
         content: [
           {
             type: 'text',
-            text: responseText.trim()
+            text: secretRedactor.redact(responseText.trim())
           }
         ]
       });
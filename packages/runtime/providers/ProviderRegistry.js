@@ -10,6 +10,7 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import tracer from '../src/tracing/Tracer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -329,7 +330,13 @@ class ProviderRegistry {
       throw new Error(`Provider ${providerId} does not support method: ${method}`);
     }
 
-    return adapter[method](params);
+    // Traced only as part of a running query or tool call
+    if (!tracer.getActiveSpan()) {
+      return adapter[method](params);
+    }
+    return tracer.withSpan('provider.execute', {
+      attributes: { 'media.capability': capability, 'media.provider': providerId, 'media.method': method },
+    }, () => adapter[method](params));
   }
 
   /**
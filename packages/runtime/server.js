@@ -1,13 +1,29 @@
+import fs from 'fs';
 import http from 'http';
 import { WebSocketServer } from 'ws';
 import { AgentRuntime } from './src/runtime/AgentRuntime.js';
+import { StreamRegistry } from './src/runtime/StreamRegistry.js';
 import { loadBackendConfig } from './src/config.js';
 import { agentManager } from './src/agents/AgentManager.js';
 import { skillManager } from './src/skills/SkillManager.js';
+import ScheduledAgentStore from './src/scheduled-agents/ScheduledAgentStore.js';
+import AgentRunHistory from './src/scheduled-agents/AgentRunHistory.js';
+import AgentExecutor from './src/scheduled-agents/AgentExecutor.js';
+import { TriggerRouter, MAX_WEBHOOK_BODY_BYTES } from './src/scheduler/TriggerRouter.js';
+import { TriggerStore } from './src/scheduler/TriggerStore.js';
+import apiTokenStore, { API_SCOPES, scopeForRoute, scopeForMessage, extractBearerToken, isAuthDisabled } from './src/auth/ApiTokenStore.js';
 
 const config = await loadBackendConfig();
 const port = Number(process.env.PORT || 8787);
 
+// Bearer-token auth. Only disable for local development (--no-auth or FRIDAY_SERVER_AUTH=off).
+const authEnabled = !isAuthDisabled({ args: process.argv.slice(2) });
+
+function authorize(req, query, scope) {
+  if (!authEnabled) return { ok: true, token: null };
+  return apiTokenStore.authorize(extractBearerToken(req, query), scope);
+}
+
 // Helper to parse JSON body
 async function parseBody(req) {
   return new Promise((resolve, reject) => {
@@ -24,13 +40,40 @@ async function parseBody(req) {
   });
 }
 
+// Helper to read the unparsed body (webhook signatures cover the exact bytes).
+// Resolves null as soon as the body is larger than maxBytes; the rest is discarded.
+async function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      resolve(null);
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.off('data', onData);
+        req.resume();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
 // Helper to send JSON response
 function sendJson(res, statusCode, data) {
   res.writeHead(statusCode, {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
   });
   res.end(JSON.stringify(data));
 }
@@ -48,6 +91,23 @@ function parseUrl(url) {
   return { pathname, query };
 }
 
+// Triggers: signed webhooks, file watches and agent chains
+const scheduledAgentStore = new ScheduledAgentStore({ workspaceBasePath: config.workspacePath });
+const agentExecutor = new AgentExecutor(scheduledAgentStore, new AgentRunHistory(), config);
+const triggerStore = new TriggerStore({ dataDir: scheduledAgentStore.dataDir });
+const triggerRouter = new TriggerRouter({
+  agentExecutor,
+  agentStore: scheduledAgentStore,
+  store: triggerStore,
+  watchFiles: true
+});
+triggerRouter.on('trigger:error', ({ triggerId, error }) => {
+  console.error(`[TRIGGER] ${triggerId} failed: ${error.message}`);
+});
+triggerRouter.loadFromStore();
+// Pick up `friday trigger add|remove` while the server is running
+fs.watchFile(triggerStore.filePath, { interval: 2000 }, () => triggerRouter.loadFromStore());
+
 const httpServer = http.createServer(async (req, res) => {
   const { pathname, query } = parseUrl(req.url);
   const method = req.method;
@@ -57,7 +117,7 @@ const httpServer = http.createServer(async (req, res) => {
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
     });
     res.end();
     return;
@@ -70,6 +130,29 @@ const httpServer = http.createServer(async (req, res) => {
       return;
     }
 
+    // POST /hooks/:source/:event - Signed webhook (HMAC instead of a bearer token)
+    const hookMatch = pathname.match(/^\/hooks\/([^\/]+)\/([^\/]+)$/);
+    if (hookMatch && method === 'POST') {
+      const rawBody = await readRawBody(req, MAX_WEBHOOK_BODY_BYTES);
+      if (!rawBody) {
+        sendJson(res, 413, { error: 'Webhook body too large' });
+        return;
+      }
+      const result = triggerRouter.receiveWebhook(decodeURIComponent(hookMatch[1]), decodeURIComponent(hookMatch[2]), {
+        rawBody,
+        signature: req.headers['x-hub-signature-256'] || req.headers['x-friday-signature']
+      });
+      const { status, ...body } = result;
+      sendJson(res, status, body);
+      return;
+    }
+
+    const auth = authorize(req, query, scopeForRoute(method, pathname));
+    if (!auth.ok) {
+      sendJson(res, auth.status, { error: auth.error });
+      return;
+    }
+
     // ============ AGENT ENDPOINTS ============
 
     // GET /api/agents - Get all agents for user
@@ -279,14 +362,33 @@ const httpServer = http.createServer(async (req, res) => {
   }
 });
 
-const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
+const wss = new WebSocketServer({
+  server: httpServer,
+  path: '/ws',
+  verifyClient: (info, done) => {
+    const auth = authorize(info.req, parseUrl(info.req.url).query, API_SCOPES.QUERY);
+    if (!auth.ok) {
+      done(false, auth.status, auth.error);
+      return;
+    }
+    info.req.apiToken = auth.token;
+    done(true);
+  }
+});
+
+// Runtimes stay reachable by session id after a disconnect (resume_stream)
+const streams = new StreamRegistry();
 
-wss.on('connection', (socket) => {
-  const runtime = new AgentRuntime({
+wss.on('connection', (socket, req) => {
+  const apiToken = req.apiToken || null;
+  let runtime = new AgentRuntime({
     workspacePath: config.workspacePath,
     rules: config.rules,
     mcpServers: config.mcpServers,
-    sessionsPath: config.sessionsPath
+    sessionsPath: config.sessionsPath,
+    tokenId: apiToken?.id || null,
+    appId: apiToken?.appId || null,
+    project: config.project
   });
 
   const send = (payload) => {
@@ -297,19 +399,29 @@ wss.on('connection', (socket) => {
     }
   };
 
+  const streamOwner = { tokenId: apiToken?.id || null, appId: apiToken?.appId || null };
+  streams.track(runtime, streamOwner);
   runtime.on('message', send);
   send({ type: 'ready' });
+  runtime.announceProjectTrust();
 
   socket.on('message', async (raw) => {
     try {
       const data = JSON.parse(raw.toString());
       const userId = data.userId || 'default';
 
+      const requiredScope = scopeForMessage(data.type);
+      if (apiToken && requiredScope && !apiToken.scopes.includes(requiredScope)) {
+        send({ type: 'error', message: `Token lacks required scope: ${requiredScope}` });
+        return;
+      }
+
       switch (data.type) {
         case 'query':
           await runtime.handleQuery(data.message, data.session_id || null, data.metadata || {});
           break;
         case 'new_session':
+          runtime.endSession(runtime.currentSessionId);
           runtime.currentSessionId = null;
           runtime.resetSessionState();
           runtime.emitMessage({ type: 'info', message: 'Started new conversation' });
@@ -317,9 +429,71 @@ wss.on('connection', (socket) => {
         case 'permission_response':
           runtime.handlePermissionResponse(data);
           break;
+        case 'abort_query':
+          runtime.abortCurrentQuery(data.session_id || null);
+          break;
         case 'rule_action':
           await runtime.handleRuleActionMessage(data);
           break;
+        case 'checkpoint_list':
+        case 'checkpoint_restore':
+          runtime.handleCheckpointMessage(data);
+          break;
+        case 'permission_rules_get':
+        case 'permission_rules_set':
+          runtime.handlePermissionRulesMessage(data);
+          break;
+        case 'permission_audit':
+          runtime.handlePermissionAuditMessage(data);
+          break;
+        case 'memory_get':
+        case 'memory_add':
+        case 'memory_set':
+          runtime.handleMemoryMessage(data);
+          break;
+        case 'project_trust':
+          await runtime.handleProjectTrustMessage(data, { loadConfig: loadBackendConfig });
+          // Later connections start from the trusted (or untrusted) configuration
+          Object.assign(config, { rules: runtime.rules, mcpServers: runtime.mcpServers, project: runtime.project });
+          break;
+        case 'get_sessions':
+        case 'search_sessions':
+        case 'get_session_history':
+        case 'delete_session':
+        case 'fork_session':
+        case 'compact_session':
+        case 'export_session':
+        case 'import_session':
+          await runtime.handleSessionMessage(data);
+          break;
+        case 'resume_stream':
+          {
+            const sessionId = data.session_id;
+            if (!sessionId) {
+              send({ type: 'error', message: 'resume_stream requires session_id' });
+              break;
+            }
+            const resumed = streams.claim(sessionId, streamOwner);
+            if (!resumed) streams.assertCanAdopt(runtime, sessionId, streamOwner);
+            runtime.off('message', send);
+            if (resumed && resumed !== runtime) {
+              streams.release(runtime);
+              runtime = resumed;
+            } else if (!resumed) {
+              // Nothing live for this session — replay from the event log
+              runtime.currentSessionId = sessionId;
+              runtime.syncStreamSeq(sessionId);
+            }
+            const replayed = await streams.replay(runtime, sessionId, Number(data.after_seq) || 0, send);
+            send({
+              type: 'stream_resumed',
+              session_id: sessionId,
+              replayed,
+              last_seq: runtime.streamSeq,
+              live: Boolean(resumed)
+            });
+          }
+          break;
 
         // ============ AGENT MESSAGES ============
         case 'get_agents':
@@ -412,10 +586,16 @@ wss.on('connection', (socket) => {
   });
 
   socket.on('close', () => {
-    runtime.removeAllListeners('message');
+    runtime.off('message', send);
+    streams.release(runtime);
   });
 });
 
 httpServer.listen(port, () => {
   console.error(`[SERVER] Friday backend listening on :${port}`);
+  if (!authEnabled) {
+    console.error('[SERVER] WARNING: authentication disabled (--no-auth or FRIDAY_SERVER_AUTH=off)');
+  } else if (!apiTokenStore.hasTokens()) {
+    console.error('[SERVER] No API tokens configured — all requests will be rejected. Create one with `friday serve token create`.');
+  }
 });
@@ -0,0 +1,285 @@
+/**
+ * ApiTokenStore — Bearer tokens for the HTTP/WebSocket server.
+ *
+ * Tokens are shown to the user exactly once at creation time. Only a
+ * SHA-256 hash is persisted, together with the token's scopes and an
+ * optional app id that feeds PermissionManager's per-app grants.
+ *
+ * All state persists at ~/.friday/api-tokens.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const TOKENS_FILE = path.join(CONFIG_DIR, 'api-tokens.json');
+
+const TOKEN_PREFIX = 'fri_';
+
+// Don't rewrite the file on every request just to bump lastUsedAt
+const LAST_USED_WRITE_INTERVAL_MS = 60_000;
+
+// Token scopes
+export const API_SCOPES = {
+  QUERY: 'query',
+  AGENTS_WRITE: 'agents:write',
+  SKILLS_WRITE: 'skills:write',
+  SCHEDULED_WRITE: 'scheduled:write',
+  PERMISSIONS_WRITE: 'permissions:write',
+  MEMORY_WRITE: 'memory:write',
+};
+
+const VALID_SCOPES = new Set(Object.values(API_SCOPES));
+
+// WebSocket message types that mutate state and need more than `query`
+const MESSAGE_SCOPES = {
+  customize_agent: API_SCOPES.AGENTS_WRITE,
+  reset_agent: API_SCOPES.AGENTS_WRITE,
+  create_custom_agent: API_SCOPES.AGENTS_WRITE,
+  delete_custom_agent: API_SCOPES.AGENTS_WRITE,
+  toggle_skill: API_SCOPES.SKILLS_WRITE,
+  create_skill: API_SCOPES.SKILLS_WRITE,
+  update_skill: API_SCOPES.SKILLS_WRITE,
+  delete_skill: API_SCOPES.SKILLS_WRITE,
+  permission_rules_set: API_SCOPES.PERMISSIONS_WRITE,
+  project_trust: API_SCOPES.PERMISSIONS_WRITE,
+  // FRIDAY.md is added to every prompt, so writing it steers every later query
+  memory_add: API_SCOPES.MEMORY_WRITE,
+  memory_set: API_SCOPES.MEMORY_WRITE,
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Scope required for an HTTP route. Reads only need a valid token (null);
+ * writes need the scope of the resource they touch.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {string|null}
+ */
+export function scopeForRoute(method, pathname) {
+  if (method === 'GET') return null;
+  if (pathname.startsWith('/api/agents')) return API_SCOPES.AGENTS_WRITE;
+  if (pathname.startsWith('/api/skills') || pathname.startsWith('/api/templates')) return API_SCOPES.SKILLS_WRITE;
+  if (pathname.startsWith('/api/scheduled')) return API_SCOPES.SCHEDULED_WRITE;
+  return API_SCOPES.QUERY;
+}
+
+/**
+ * Scope required for a WebSocket message type. The connection itself
+ * already required `query`.
+ *
+ * @param {string} type - Message type
+ * @returns {string|null}
+ */
+export function scopeForMessage(type) {
+  if (MESSAGE_SCOPES[type]) return MESSAGE_SCOPES[type];
+  if (typeof type === 'string' && type.startsWith('scheduled_agent:') && !/:(list|get|get_history|get_status|review_list)$/.test(type)) {
+    return API_SCOPES.SCHEDULED_WRITE;
+  }
+  return null;
+}
+
+/**
+ * Pull a bearer token from the Authorization header, falling back to a
+ * `token` query parameter (browsers cannot set headers on WebSocket upgrades).
+ *
+ * @param {http.IncomingMessage} req
+ * @param {Object} [query] - Parsed query parameters
+ * @returns {string|null}
+ */
+export function extractBearerToken(req, query = {}) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return query.token || null;
+}
+
+/**
+ * Whether token checks are switched off, for local development. `server.js`
+ * and `friday serve` both accept either switch: the `--no-auth` flag or
+ * `FRIDAY_SERVER_AUTH=off`.
+ *
+ * @param {Object} [options]
+ * @param {string[]|Object} [options.args] - Command-line arguments, raw or parsed
+ * @param {Object} [options.env] - Environment variables
+ * @returns {boolean}
+ */
+export function isAuthDisabled({ args = [], env = process.env } = {}) {
+  const noAuthFlag = Array.isArray(args) ? args.includes('--no-auth') : Boolean(args['no-auth']);
+  return noAuthFlag || String(env.FRIDAY_SERVER_AUTH || '').trim().toLowerCase() === 'off';
+}
+
+export class ApiTokenStore {
+  constructor({ filePath = TOKENS_FILE } = {}) {
+    this.filePath = filePath;
+    this._data = null; // lazy loaded
+    this._mtimeMs = 0;
+  }
+
+  _load() {
+    if (this._data) return this._data;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+        this._data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch {
+      // ignore corrupt file
+    }
+    if (!this._data || !Array.isArray(this._data.tokens)) {
+      this._data = { tokens: [] };
+    }
+    return this._data;
+  }
+
+  _save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this._data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Drop the cached copy if another process (e.g. `friday serve token revoke`)
+   * changed the file, so revocations apply to a running server.
+   */
+  _reloadIfChanged() {
+    try {
+      const mtimeMs = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+      if (mtimeMs !== this._mtimeMs) this._data = null;
+    } catch {
+      this._data = null;
+    }
+  }
+
+  /**
+   * Whether any token has been created. Servers warn at startup when
+   * there are none, since every request will be rejected.
+   */
+  hasTokens() {
+    return this._load().tokens.length > 0;
+  }
+
+  /**
+   * Create a token. The plaintext value is only returned here.
+   *
+   * @param {Object} options
+   * @param {string} options.name - Human-readable label
+   * @param {string[]} [options.scopes] - Granted scopes (default: query)
+   * @param {string} [options.appId] - App id for per-app permission grants
+   * @returns {{ token: string, record: Object }}
+   */
+  createToken({ name, scopes = [API_SCOPES.QUERY], appId = null }) {
+    if (!name) {
+      throw new Error('Token name is required');
+    }
+    const invalid = scopes.filter((scope) => !VALID_SCOPES.has(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown scope: ${invalid.join(', ')}. Valid: ${[...VALID_SCOPES].join(', ')}`);
+    }
+
+    this._load();
+    if (this._data.tokens.some((t) => t.name === name)) {
+      throw new Error(`Token "${name}" already exists`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      hash: hashToken(token),
+      scopes: [...new Set(scopes)],
+      appId: appId || null,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    this._data.tokens.push(record);
+    this._save();
+
+    return { token, record: this._publicRecord(record) };
+  }
+
+  /**
+   * List tokens without their hashes.
+   */
+  listTokens() {
+    return this._load().tokens.map((record) => this._publicRecord(record));
+  }
+
+  /**
+   * Revoke a token by id or name.
+   *
+   * @returns {boolean} true if a token was removed
+   */
+  revokeToken(idOrName) {
+    this._load();
+    const before = this._data.tokens.length;
+    this._data.tokens = this._data.tokens.filter((t) => t.id !== idOrName && t.name !== idOrName);
+    if (this._data.tokens.length === before) return false;
+    this._save();
+    return true;
+  }
+
+  /**
+   * Look up the record for a plaintext token.
+   *
+   * @param {string} token
+   * @returns {Object|null} Public record, or null if unknown
+   */
+  verify(token) {
+    if (!token || typeof token !== 'string') return null;
+    const digest = Buffer.from(hashToken(token), 'hex');
+
+    this._reloadIfChanged();
+    const record = this._load().tokens.find((t) => {
+      const stored = Buffer.from(t.hash, 'hex');
+      return stored.length === digest.length && crypto.timingSafeEqual(stored, digest);
+    });
+    if (!record) return null;
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_WRITE_INTERVAL_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      try {
+        this._save();
+      } catch {
+        // lastUsedAt is informational — never fail auth over it
+      }
+    }
+    return this._publicRecord(record);
+  }
+
+  /**
+   * Authenticate a request and check it carries the required scope.
+   *
+   * @param {string|null} token - Plaintext bearer token
+   * @param {string|null} [scope] - Required scope, or null for any valid token
+   * @returns {{ ok: true, token: Object } | { ok: false, status: number, error: string }}
+   */
+  authorize(token, scope = null) {
+    if (!token) {
+      return { ok: false, status: 401, error: 'Missing bearer token' };
+    }
+    const record = this.verify(token);
+    if (!record) {
+      return { ok: false, status: 401, error: 'Invalid bearer token' };
+    }
+    if (scope && !record.scopes.includes(scope)) {
+      return { ok: false, status: 403, error: `Token lacks required scope: ${scope}` };
+    }
+    return { ok: true, token: record };
+  }
+
+  _publicRecord(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, scopes: [...record.scopes] };
+  }
+}
+
+export default new ApiTokenStore();
@@ -0,0 +1,140 @@
+/**
+ * BackendRegistry — Which LLM runs the main agent loop.
+ *
+ * `claude` is the Claude Agent SDK and the default. Any other backend is an
+ * OpenAI-compatible chat-completions API driven by OpenAICompatibleBackend.
+ * `openai` and `google` are built in; more can be added in
+ * ~/.friday/backends.json, for example a local server:
+ *
+ *   {
+ *     "default": "claude",
+ *     "backends": {
+ *       "local": {
+ *         "baseUrl": "http://localhost:11434/v1",
+ *         "model": "qwen2.5-coder:14b",
+ *         "pricing": { "input": 0, "output": 0 }
+ *       }
+ *     }
+ *   }
+ *
+ * `apiKeyEnv` names the environment variable holding the key (omit it for
+ * servers that need none), `pricing` is USD per million tokens and
+ * `contextWindow` the model's context size in tokens, for compaction. A query
+ * picks a backend with `metadata.backend`; sessions and scheduled agents
+ * remember theirs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { query as claudeQuery } from '@anthropic-ai/claude-agent-sdk';
+import { OpenAICompatibleBackend } from './OpenAICompatibleBackend.js';
+import { registerModel } from '../providers/CostTracker.js';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const BACKENDS_FILE = path.join(CONFIG_DIR, 'backends.json');
+
+export const DEFAULT_BACKEND = 'claude';
+
+const BUILT_IN_BACKENDS = {
+  claude: {
+    type: 'claude',
+    description: 'Claude Agent SDK',
+  },
+  openai: {
+    type: 'openai',
+    description: 'OpenAI chat completions',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    model: 'gpt-5.2',
+    provider: 'openai',
+  },
+  google: {
+    type: 'openai',
+    description: 'Gemini through its OpenAI-compatible endpoint',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai',
+    apiKeyEnv: 'GOOGLE_API_KEY',
+    model: 'gemini-3-pro',
+    provider: 'google',
+  },
+};
+
+export class BackendRegistry {
+  constructor({ filePath = BACKENDS_FILE } = {}) {
+    this.filePath = filePath;
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return { default: data.default || null, backends: data.backends || {} };
+      }
+    } catch (error) {
+      console.error(`[BackendRegistry] Failed to read ${this.filePath}: ${error.message}`);
+    }
+    return { default: null, backends: {} };
+  }
+
+  /**
+   * All backends, built-in ones first. User entries override built-ins of
+   * the same name field by field, so `{ "openai": { "model": "gpt-5.2-codex" } }`
+   * just changes the model.
+   * @returns {Object<string, Object>}
+   */
+  list() {
+    const { backends } = this._load();
+    const merged = {};
+    for (const [name, definition] of Object.entries({ ...BUILT_IN_BACKENDS, ...backends })) {
+      merged[name] = { type: 'openai', ...BUILT_IN_BACKENDS[name], ...definition, name };
+    }
+    return merged;
+  }
+
+  getDefaultName() {
+    const name = this._load().default;
+    return name && this.list()[name] ? name : DEFAULT_BACKEND;
+  }
+
+  /**
+   * Look up a backend definition by name (the default if none is given).
+   * @throws {Error} if the backend is unknown or misconfigured
+   */
+  resolve(name = null) {
+    const backends = this.list();
+    const definition = backends[name || this.getDefaultName()];
+    if (!definition) {
+      throw new Error(`Unknown backend: ${name}. Configured backends: ${Object.keys(backends).join(', ')}`);
+    }
+    if (definition.type !== 'claude') {
+      if (definition.type !== 'openai') {
+        throw new Error(`Backend ${definition.name} has unsupported type "${definition.type}"`);
+      }
+      if (!definition.baseUrl || !definition.model) {
+        throw new Error(`Backend ${definition.name} needs a baseUrl and a model`);
+      }
+    }
+    return definition;
+  }
+
+  /**
+   * Create something with the Agent SDK's `query({ prompt, options })`
+   * signature for a backend.
+   * @param {string|null} name - Backend name (default backend if null)
+   * @param {Object} [options]
+   * @param {Function} [options.historyPath] - sessionId → file for OpenAI-compatible conversation history
+   * @returns {{ name: string, type: string, model: string|null, contextWindow?: number, query: Function }}
+   */
+  open(name = null, { historyPath = null } = {}) {
+    const definition = this.resolve(name);
+    const contextWindow = Number(definition.contextWindow) > 0 ? { contextWindow: Number(definition.contextWindow) } : {};
+    if (definition.type === 'claude') {
+      return { name: definition.name, type: definition.type, model: null, ...contextWindow, query: claudeQuery };
+    }
+    registerModel(definition.model, { provider: definition.provider || definition.name, pricing: definition.pricing });
+    const backend = new OpenAICompatibleBackend(definition, { historyPath });
+    return { name: definition.name, type: definition.type, model: definition.model, ...contextWindow, query: (params) => backend.query(params) };
+  }
+}
+
+export default new BackendRegistry();
@@ -0,0 +1,372 @@
+/**
+ * OpenAICompatibleBackend — Runs the agent loop on an OpenAI-compatible
+ * chat-completions API (OpenAI, Gemini, or a local server).
+ *
+ * `query({ prompt, options })` mirrors the Claude Agent SDK so AgentRuntime
+ * can drive either one. It honours the options the runtime passes to the SDK:
+ * systemPrompt, mcpServers, canUseTool, hooks (PreToolUse, PostToolUse,
+ * PostToolUseFailure), maxTurns, resume/sessionId/forkSession/resumeSessionAt,
+ * env, cwd and abortController. It yields SDK-shaped messages: `system`
+ * (init), streamed `text`, `usage` per API call, `assistant` with the turn's
+ * tool_use blocks, `tool_result`, and a final `result`.
+ *
+ * Tools come from the query's MCP servers: stdio servers are spawned,
+ * in-process SDK servers are connected in memory, and HTTP servers are
+ * reached over streamable HTTP. Each is exposed to the model as a function
+ * named mcp__<server>__<tool>, and every call goes through canUseTool like
+ * the SDK's.
+ *
+ * The SDK keeps conversation state itself; here the chat messages of each
+ * session are saved to `historyPath(sessionId)` so sessions can be resumed
+ * and forked.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+// OpenAI function names: ^[a-zA-Z0-9_-]{1,64}$
+const MAX_FUNCTION_NAME = 64;
+
+function functionName(toolName) {
+  return toolName.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, MAX_FUNCTION_NAME);
+}
+
+/**
+ * Flatten an MCP tool result's content blocks into the text a chat model sees.
+ */
+export function toolContentToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+  return content.map((block) => {
+    if (block?.type === 'text') return block.text;
+    if (block?.type === 'image') return `[image: ${block.mimeType || 'unknown type'}]`;
+    if (block?.type === 'resource') return block.resource?.text ?? `[resource: ${block.resource?.uri}]`;
+    return JSON.stringify(block);
+  }).join('\n');
+}
+
+export class OpenAICompatibleBackend {
+  /**
+   * @param {Object} definition - Backend definition from BackendRegistry
+   * @param {Object} [options]
+   * @param {Function} [options.historyPath] - sessionId → path of the saved conversation
+   * @param {Object} [options.client] - Pre-built OpenAI client (tests)
+   */
+  constructor(definition, { historyPath = null, client = null } = {}) {
+    this.definition = definition;
+    this.historyPath = historyPath;
+    this._client = client;
+    this._connections = null;
+    this._tools = new Map();
+  }
+
+  async _getClient() {
+    if (this._client) return this._client;
+    const { apiKeyEnv, baseUrl, name } = this.definition;
+    const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : 'not-needed';
+    if (!apiKey) {
+      throw new Error(`The ${name} backend needs ${apiKeyEnv} to be set`);
+    }
+    let OpenAI;
+    try {
+      ({ default: OpenAI } = await import('openai'));
+    } catch {
+      throw new Error('openai package not installed. Run: npm install openai');
+    }
+    this._client = new OpenAI({ apiKey, baseURL: baseUrl });
+    return this._client;
+  }
+
+  // ── Conversation history ──────────────────────────────────────────────
+
+  _loadHistory(sessionId) {
+    const filePath = sessionId && this.historyPath?.(sessionId);
+    if (!filePath || !fs.existsSync(filePath)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8')).messages || [];
+    } catch (error) {
+      console.error(`[Backend] Failed to read history for ${sessionId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  _saveHistory(sessionId, messages) {
+    const filePath = this.historyPath?.(sessionId);
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ backend: this.definition.name, messages }, null, 2), 'utf8');
+  }
+
+  /**
+   * Session id and prior messages for a query, following the SDK's resume
+   * and fork options.
+   */
+  _startSession(options) {
+    if (options.forkSession && options.resume) {
+      const parent = this._loadHistory(options.resume);
+      const cut = parent.findIndex((message) => message.uuid === options.resumeSessionAt);
+      return {
+        sessionId: options.sessionId || crypto.randomUUID(),
+        history: cut >= 0 ? parent.slice(0, cut + 1) : parent,
+      };
+    }
+    const sessionId = options.sessionId || options.resume || crypto.randomUUID();
+    return { sessionId, history: options.resume ? this._loadHistory(sessionId) : [] };
+  }
+
+  // ── MCP bridging ──────────────────────────────────────────────────────
+
+  _connect(options) {
+    if (!this._connections) {
+      this._connections = Promise.all(
+        Object.entries(options.mcpServers || {}).map(([name, config]) => this._connectServer(name, config, options))
+      );
+    }
+    return this._connections;
+  }
+
+  async _connectServer(name, config, options) {
+    const client = new Client({ name: 'friday', version: '1.0.0' });
+    try {
+      if (config.type === 'sdk' && config.instance) {
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await config.instance.connect(serverTransport);
+        await client.connect(clientTransport);
+      } else if ((config.type === 'http' || config.type === 'sse') && config.url) {
+        await client.connect(new StreamableHTTPClientTransport(new URL(config.url), {
+          requestInit: { headers: config.headers || {} },
+        }));
+      } else {
+        await client.connect(new StdioClientTransport({
+          command: config.command,
+          args: config.args || [],
+          env: { ...options.env, ...config.env },
+          cwd: options.cwd,
+          stderr: 'ignore',
+        }));
+      }
+      const { tools } = await client.listTools();
+      for (const tool of tools) {
+        const fullName = `mcp__${name}__${tool.name}`;
+        this._tools.set(functionName(fullName), { client, server: name, tool, fullName });
+      }
+      return { name, status: 'connected', client, tools: tools.map((tool) => ({ name: tool.name })) };
+    } catch (error) {
+      await client.close().catch(() => {});
+      return { name, status: 'failed', error: error.message };
+    }
+  }
+
+  async _disconnect() {
+    const connections = this._connections ? await this._connections : [];
+    // The next query connects again, to the servers in its own options
+    this._connections = null;
+    this._tools = new Map();
+    await Promise.allSettled(connections.filter((c) => c.client).map((c) => c.client.close()));
+  }
+
+  _toolDefinitions() {
+    return [...this._tools.entries()].map(([fnName, { tool }]) => ({
+      type: 'function',
+      function: {
+        name: fnName,
+        description: tool.description || '',
+        parameters: tool.inputSchema || { type: 'object', properties: {} },
+      },
+    }));
+  }
+
+  async _runHooks(options, event, toolName, input, toolUseId, signal) {
+    const outputs = [];
+    for (const matcher of options.hooks?.[event] || []) {
+      if (matcher.matcher && !new RegExp(matcher.matcher).test(toolName)) continue;
+      for (const hook of matcher.hooks || []) {
+        outputs.push(await hook({ hook_event_name: event, tool_name: toolName, tool_use_id: toolUseId, ...input }, toolUseId, { signal }));
+      }
+    }
+    return outputs;
+  }
+
+  /**
+   * Run one tool call through hooks, the permission gate and MCP.
+   * @returns {{ content: string, isError: boolean }}
+   */
+  async _callTool(call, options, sessionId, signal) {
+    const entry = this._tools.get(call.name);
+    const toolName = entry?.fullName || call.name;
+    if (!entry) return { toolName, content: `Unknown tool: ${call.name}`, isError: true };
+
+    let toolInput;
+    try {
+      toolInput = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch {
+      return { toolName, content: `Invalid JSON arguments for ${toolName}`, isError: true };
+    }
+
+    await this._runHooks(options, 'PreToolUse', toolName, { tool_input: toolInput, session_id: sessionId }, call.id, signal);
+
+    if (options.canUseTool) {
+      const decision = await options.canUseTool(toolName, toolInput, { signal, suggestions: [], toolUseID: call.id });
+      if (decision?.behavior !== 'allow') {
+        return { toolName, content: decision?.message || 'Permission denied', isError: true };
+      }
+      toolInput = decision.updatedInput ?? toolInput;
+    }
+
+    let result;
+    try {
+      result = await entry.client.callTool({ name: entry.tool.name, arguments: toolInput }, undefined, { signal });
+    } catch (error) {
+      await this._runHooks(options, 'PostToolUseFailure', toolName, { tool_input: toolInput, error: error.message, session_id: sessionId }, call.id, signal);
+      return { toolName, content: error.message, isError: true };
+    }
+
+    let response = result.content;
+    const outputs = await this._runHooks(options, 'PostToolUse', toolName, { tool_input: toolInput, tool_response: response, session_id: sessionId }, call.id, signal);
+    for (const output of outputs) {
+      if (output?.hookSpecificOutput?.updatedMCPToolOutput !== undefined) {
+        response = output.hookSpecificOutput.updatedMCPToolOutput;
+      }
+    }
+    return { toolName, content: toolContentToText(response), isError: Boolean(result.isError) };
+  }
+
+  // ── Agent loop ────────────────────────────────────────────────────────
+
+  /**
+   * Stream one chat completion, yielding text as it arrives. Resolves the
+   * generator's return value to { text, toolCalls, usage }.
+   */
+  async *_complete(client, messages, tools, signal) {
+    const stream = await client.chat.completions.create({
+      model: this.definition.model,
+      messages,
+      ...(tools.length > 0 ? { tools } : {}),
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal });
+
+    let text = '';
+    let usage = null;
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+      if (delta.content) {
+        text += delta.content;
+        yield delta.content;
+      }
+      for (const part of delta.tool_calls || []) {
+        const call = toolCalls[part.index ?? toolCalls.length] ||= { id: null, name: '', arguments: '' };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+    }
+    return { text, usage, toolCalls: toolCalls.filter(Boolean).map((call) => ({ ...call, id: call.id || `call_${crypto.randomUUID()}` })) };
+  }
+
+  query({ prompt, options = {} }) {
+    const backend = this;
+    const stream = (async function* run() {
+      const signal = options.abortController?.signal;
+      const { sessionId, history } = backend._startSession(options);
+      yield { type: 'system', subtype: 'init', session_id: sessionId, model: backend.definition.model };
+
+      try {
+        const client = await backend._getClient();
+        await backend._connect(options);
+        const tools = backend._toolDefinitions();
+        const transcript = [...history, { role: 'user', content: prompt }];
+        const system = options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : [];
+
+        for (let turn = 1; ; turn++) {
+          // History entries carry a uuid for forks; the API does not want it
+          const messages = [...system, ...transcript.map(({ uuid, ...message }) => message)];
+          const completion = backend._complete(client, messages, tools, signal);
+          let step = await completion.next();
+          while (!step.done) {
+            yield { type: 'text', text: step.value, session_id: sessionId };
+            step = await completion.next();
+          }
+          const { text, usage, toolCalls } = step.value;
+          if (usage) {
+            yield {
+              type: 'usage',
+              usage: { input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 },
+              session_id: sessionId,
+            };
+          }
+
+          const uuid = crypto.randomUUID();
+          transcript.push({
+            uuid,
+            role: 'assistant',
+            content: text || null,
+            ...(toolCalls.length > 0 ? {
+              tool_calls: toolCalls.map((call) => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } })),
+            } : {}),
+          });
+          yield {
+            type: 'assistant',
+            uuid,
+            session_id: sessionId,
+            // Text was already streamed; only the tool calls are left to report
+            message: {
+              role: 'assistant',
+              content: toolCalls.map((call) => ({
+                type: 'tool_use',
+                id: call.id,
+                name: backend._tools.get(call.name)?.fullName || call.name,
+                input: safeParse(call.arguments),
+              })),
+            },
+          };
+
+          if (toolCalls.length === 0) {
+            backend._saveHistory(sessionId, transcript);
+            yield { type: 'result', subtype: 'success', result: text, num_turns: turn, session_id: sessionId };
+            return;
+          }
+
+          for (const call of toolCalls) {
+            if (signal?.aborted) return;
+            const { toolName, content, isError } = await backend._callTool(call, options, sessionId, signal);
+            transcript.push({ role: 'tool', tool_call_id: call.id, content });
+            yield { type: 'tool_result', tool_use_id: call.id, tool_name: toolName, content, is_error: isError, session_id: sessionId };
+          }
+          backend._saveHistory(sessionId, transcript);
+
+          if (options.maxTurns && turn >= options.maxTurns) {
+            yield { type: 'result', subtype: 'error_max_turns', num_turns: turn, session_id: sessionId };
+            return;
+          }
+        }
+      } finally {
+        await backend._disconnect();
+      }
+    })();
+
+    stream.mcpServerStatus = async () => {
+      const connections = await backend._connect(options);
+      return connections.map(({ name, status, error, tools }) => ({ name, status, error, tools }));
+    };
+    return stream;
+  }
+}
+
+function safeParse(json) {
+  try {
+    return json ? JSON.parse(json) : {};
+  } catch {
+    return {};
+  }
+}
+
+export default OpenAICompatibleBackend;
@@ -0,0 +1,288 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+export const CHECKPOINTS_DIR = path.join(CONFIG_DIR, 'checkpoints');
+
+// Turns kept per session; the oldest are dropped (and can no longer be rewound)
+const MAX_TURNS = 100;
+
+/**
+ * Thrown when a restore would overwrite files changed outside Friday.
+ * `conflicts` lists { path, reason } for each of them.
+ */
+export class CheckpointConflictError extends Error {
+  constructor(conflicts) {
+    super(`Files changed outside Friday since the checkpoint: ${conflicts.map(c => c.path).join(', ')}`);
+    this.name = 'CheckpointConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hashFile(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * CheckpointStore
+ *
+ * Per-session snapshots of the files the agent writes, so a turn's edits
+ * can be rolled back. Each query that changes files is one numbered turn;
+ * before a file is first written in a turn its prior content (or absence)
+ * is saved, and after the write the resulting hash is recorded.
+ *
+ * Layout: ~/.friday/checkpoints/<sessionId>/index.json plus content-addressed
+ * blobs/<sha256>. Restoring compares each file with the hash Friday left it
+ * at and refuses the whole restore if any of them was changed since.
+ */
+export class CheckpointStore {
+  constructor({ baseDir = CHECKPOINTS_DIR } = {}) {
+    this.baseDir = baseDir;
+  }
+
+  getSessionDir(sessionId) {
+    if (!/^[\w.-]+$/.test(sessionId || '') || sessionId.startsWith('.')) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.baseDir, sessionId);
+  }
+
+  _indexPath(sessionId) {
+    return path.join(this.getSessionDir(sessionId), 'index.json');
+  }
+
+  _blobPath(sessionId, hash) {
+    return path.join(this.getSessionDir(sessionId), 'blobs', hash);
+  }
+
+  _load(sessionId) {
+    try {
+      const data = JSON.parse(fs.readFileSync(this._indexPath(sessionId), 'utf8'));
+      if (Array.isArray(data.turns)) return data;
+    } catch {
+      // missing or corrupt index
+    }
+    return { sessionId, nextTurn: 1, turns: [] };
+  }
+
+  _save(sessionId, data) {
+    const dir = this.getSessionDir(sessionId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(this._indexPath(sessionId), JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+  }
+
+  _findTurn(data, turn) {
+    const entry = data.turns.find(t => t.turn === turn);
+    if (!entry) throw new Error(`No checkpoint for turn ${turn}`);
+    return entry;
+  }
+
+  /**
+   * Start a new turn for a session.
+   *
+   * @param {string} sessionId
+   * @param {Object} [details]
+   * @param {string} [details.prompt] - User message that started the turn
+   * @returns {number} Turn number
+   */
+  beginTurn(sessionId, { prompt = '' } = {}) {
+    const data = this._load(sessionId);
+    const turn = data.nextTurn++;
+    data.turns.push({
+      turn,
+      prompt: prompt.replace(/\s+/g, ' ').trim().slice(0, 200),
+      createdAt: new Date().toISOString(),
+      files: []
+    });
+    const dropped = data.turns.splice(0, Math.max(0, data.turns.length - MAX_TURNS));
+    this._save(sessionId, data);
+    if (dropped.length > 0) this._pruneBlobs(sessionId, data);
+    return turn;
+  }
+
+  /**
+   * Save a file's current content before the agent writes it. Only the
+   * first write of a file in a turn is snapshotted.
+   *
+   * @param {string} sessionId
+   * @param {number} turn
+   * @param {string} filePath - Absolute path
+   * @param {Object} [details]
+   * @param {string} [details.toolName]
+   * @returns {boolean} True if a new snapshot was taken
+   */
+  snapshot(sessionId, turn, filePath, { toolName = null } = {}) {
+    const data = this._load(sessionId);
+    const entry = this._findTurn(data, turn);
+    if (entry.files.some(file => file.path === filePath)) return false;
+
+    let content = null;
+    try {
+      content = fs.readFileSync(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    let beforeHash = null;
+    if (content) {
+      beforeHash = hashContent(content);
+      const blobPath = this._blobPath(sessionId, beforeHash);
+      if (!fs.existsSync(blobPath)) {
+        fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+        fs.writeFileSync(blobPath, content, { mode: 0o600 });
+      }
+    }
+    entry.files.push({ path: filePath, existed: content !== null, beforeHash, afterHash: beforeHash, toolName });
+    this._save(sessionId, data);
+    return true;
+  }
+
+  /**
+   * Record the content Friday left files at. Called after each write and
+   * when the turn ends, so later changes can be told apart from Friday's.
+   *
+   * @param {string} sessionId
+   * @param {number} turn
+   * @param {string} [filePath] - Only this file (default: every file of the turn)
+   */
+  recordResult(sessionId, turn, filePath = null) {
+    const data = this._load(sessionId);
+    const entry = this._findTurn(data, turn);
+    let changed = false;
+    for (const file of entry.files) {
+      if (filePath && file.path !== filePath) continue;
+      const afterHash = hashFile(file.path);
+      if (afterHash !== file.afterHash) {
+        file.afterHash = afterHash;
+        changed = true;
+      }
+    }
+    if (changed) this._save(sessionId, data);
+  }
+
+  /**
+   * Drop a turn that ended without changing any file.
+   */
+  discardIfEmpty(sessionId, turn) {
+    const data = this._load(sessionId);
+    const before = data.turns.length;
+    data.turns = data.turns.filter(t => t.turn !== turn || t.files.length > 0);
+    if (data.turns.length !== before) this._save(sessionId, data);
+  }
+
+  /**
+   * Turns that can be rewound, oldest first.
+   *
+   * @param {string} sessionId
+   * @returns {Array<{turn: number, prompt: string, createdAt: string, files: Array<{path: string, created: boolean}>}>}
+   */
+  list(sessionId) {
+    return this._load(sessionId).turns
+      .filter(t => t.files.length > 0)
+      .map(t => ({
+        turn: t.turn,
+        prompt: t.prompt,
+        createdAt: t.createdAt,
+        files: t.files.map(file => ({ path: file.path, created: !file.existed }))
+      }));
+  }
+
+  /**
+   * Files a restore would refuse to touch: changed since Friday last wrote
+   * them, either now or between two of the turns being undone.
+   */
+  _findConflicts(byPath) {
+    const conflicts = [];
+    for (const [filePath, entries] of byPath) {
+      for (let i = 1; i < entries.length; i++) {
+        if (entries[i].file.beforeHash !== entries[i - 1].file.afterHash) {
+          conflicts.push({ path: filePath, reason: `changed outside Friday between turns ${entries[i - 1].turn} and ${entries[i].turn}` });
+        }
+      }
+      const last = entries[entries.length - 1];
+      if (hashFile(filePath) !== last.file.afterHash) {
+        conflicts.push({ path: filePath, reason: `changed outside Friday since turn ${last.turn}` });
+      }
+    }
+    return conflicts;
+  }
+
+  /**
+   * Undo a turn and every later one, putting each file back the way it was
+   * before the turn. Nothing is written if any file conflicts.
+   *
+   * @param {string} sessionId
+   * @param {number} [turn] - First turn to undo (default: the last one)
+   * @returns {{turns: number[], files: Array<{path: string, action: 'restored'|'deleted'}>}}
+   * @throws {CheckpointConflictError} If a file was changed outside Friday
+   */
+  restore(sessionId, turn = null) {
+    const data = this._load(sessionId);
+    const withFiles = data.turns.filter(t => t.files.length > 0);
+    if (withFiles.length === 0) throw new Error('No checkpoints to restore');
+    const fromTurn = turn ?? withFiles[withFiles.length - 1].turn;
+    this._findTurn(data, fromTurn);
+    const undone = withFiles.filter(t => t.turn >= fromTurn);
+
+    const byPath = new Map();
+    for (const entry of undone) {
+      for (const file of entry.files) {
+        if (!byPath.has(file.path)) byPath.set(file.path, []);
+        byPath.get(file.path).push({ turn: entry.turn, file });
+      }
+    }
+
+    const conflicts = this._findConflicts(byPath);
+    if (conflicts.length > 0) throw new CheckpointConflictError(conflicts);
+
+    const files = [];
+    for (const [filePath, entries] of byPath) {
+      const { file } = entries[0];
+      if (file.existed) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, fs.readFileSync(this._blobPath(sessionId, file.beforeHash)));
+        files.push({ path: filePath, action: 'restored' });
+      } else if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        files.push({ path: filePath, action: 'deleted' });
+      }
+    }
+
+    data.turns = data.turns.filter(t => t.turn < fromTurn);
+    this._save(sessionId, data);
+    this._pruneBlobs(sessionId, data);
+    return { turns: undone.map(t => t.turn), files };
+  }
+
+  /**
+   * Remove blobs no remaining turn refers to.
+   */
+  _pruneBlobs(sessionId, data) {
+    const blobDir = path.join(this.getSessionDir(sessionId), 'blobs');
+    if (!fs.existsSync(blobDir)) return;
+    const referenced = new Set(data.turns.flatMap(t => t.files.map(file => file.beforeHash)).filter(Boolean));
+    for (const name of fs.readdirSync(blobDir)) {
+      if (!referenced.has(name)) fs.rmSync(path.join(blobDir, name), { force: true });
+    }
+  }
+
+  /**
+   * Delete every checkpoint of a session.
+   */
+  deleteSession(sessionId) {
+    fs.rmSync(this.getSessionDir(sessionId), { recursive: true, force: true });
+  }
+}
+
+const checkpointStore = new CheckpointStore();
+export default checkpointStore;
@@ -4,6 +4,9 @@ import os from 'os';
 import { fileURLToPath } from 'url';
 import McpCredentials from './mcp/McpCredentials.js';
 import { PluginManager } from './plugins/PluginManager.js';
+import secretRedactor from './sandbox/SecretRedactor.js';
+import { loadBuiltInRules } from './rules/AutomationRules.js';
+import { loadProjectConfig, trustedProjectSettings, projectRules } from './project/ProjectConfig.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,24 +25,6 @@ function resolveWorkspacePath(explicitPath) {
   return absolute;
 }
 
-function loadAutomationRules() {
-  const rulesFilePath = path.join(projectRoot, 'rules', 'rules.json');
-  try {
-    const raw = fs.readFileSync(rulesFilePath, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed)) {
-      return parsed;
-    }
-    if (Array.isArray(parsed.rules)) {
-      return parsed.rules;
-    }
-    console.error('[CONFIG] rules.json missing a top-level array');
-  } catch (error) {
-    console.error(`[CONFIG] Failed to load automation rules: ${error.message}`);
-  }
-  return [];
-}
-
 function applyTemplate(value, context) {
   if (typeof value === 'string') {
     return value.replace(/\$\{([^}]+)\}/g, (_, key) => {
@@ -187,7 +172,7 @@ function loadCoreServers(templateContext) {
  * Plugin servers load from installed plugins (via PluginManager).
  * User-defined servers from ~/.friday/user-mcp-servers.json are merged last.
  */
-async function loadMcpServers(workspacePath, mcpCredentials) {
+async function loadMcpServers(workspacePath, mcpCredentials, projectServers = {}) {
   const templateContext = buildTemplateContext(workspacePath);
 
   // 1. Core servers (always loaded)
@@ -201,8 +186,11 @@ async function loadMcpServers(workspacePath, mcpCredentials) {
   const userServers = loadUserMcpServers();
   const userNormalized = normalizeMcpServerConfig(userServers, templateContext);
 
-  // Merge: core + plugins + user (user overrides plugins, plugins override core)
-  const merged = { ...coreServers, ...pluginServers, ...userNormalized };
+  // 4. Servers from a trusted <workspace>/.friday/config.json
+  const projectNormalized = normalizeMcpServerConfig(projectServers, templateContext);
+
+  // Merge: core + plugins + user + project (each overrides the ones before it)
+  const merged = { ...coreServers, ...pluginServers, ...userNormalized, ...projectNormalized };
 
   // Apply credentials from McpCredentials store (legacy keytar-based)
   if (mcpCredentials) {
@@ -251,15 +239,30 @@ async function loadMcpServers(workspacePath, mcpCredentials) {
   return merged;
 }
 
+/**
+ * Directory the runtime keeps session logs in (FRIDAY_SESSIONS_PATH, or
+ * sessions/ in the runtime package).
+ */
+export function resolveSessionsPath() {
+  return process.env.FRIDAY_SESSIONS_PATH
+    ? path.resolve(process.env.FRIDAY_SESSIONS_PATH)
+    : path.join(projectRoot, 'sessions');
+}
+
 export async function loadBackendConfig(options = {}) {
   const workspacePath = resolveWorkspacePath(options.workspacePath || process.env.FRIDAY_WORKSPACE);
-  const rules = loadAutomationRules();
+  // Project settings apply only once the user trusts them (see ProjectConfig)
+  const project = loadProjectConfig(workspacePath);
+  if (project?.error) console.error(`[Project] Ignoring ${project.path}: ${project.error}`);
+  for (const problem of project?.problems || []) console.error(`[Project] ${project.path}: ${problem}`);
+  // User and workspace rules are added by the runtime each time it evaluates them
+  const rules = [...loadBuiltInRules(), ...projectRules(project)];
   const mcpCredentials = new McpCredentials(projectRoot);
   await mcpCredentials.ensureReady();
-  const mcpServers = await loadMcpServers(workspacePath, mcpCredentials);
-  const sessionsBase = process.env.FRIDAY_SESSIONS_PATH
-    ? path.resolve(process.env.FRIDAY_SESSIONS_PATH)
-    : path.join(projectRoot, 'sessions');
+  const mcpServers = await loadMcpServers(workspacePath, mcpCredentials, trustedProjectSettings(project).mcpServers);
+  // Every configured key is redacted from logs, sessions and tool output
+  await secretRedactor.loadConfigured({ mcpCredentials, pluginManager: new PluginManager(), mcpServers });
+  const sessionsBase = resolveSessionsPath();
   ensureDirectory(sessionsBase);
 
   return {
@@ -268,6 +271,7 @@ export async function loadBackendConfig(options = {}) {
     rules,
     mcpServers,
     mcpCredentials,
-    sessionsPath: sessionsBase
+    sessionsPath: sessionsBase,
+    project
   };
 }
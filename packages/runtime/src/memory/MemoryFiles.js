@@ -0,0 +1,139 @@
+/**
+ * MemoryFiles — FRIDAY.md files appended to the system prompt
+ *
+ * Two plain Markdown files hold what Friday should always know:
+ *
+ *   ~/.friday/FRIDAY.md        About you, for every project
+ *   <workspace>/FRIDAY.md      About this project; commit it to share it
+ *
+ * Both are read before every query and added to the system prompt right
+ * after its static part, so they only invalidate the prompt cache when
+ * they change. The agent's `remember` tool appends a line to one of them;
+ * /memory shows and edits them.
+ *
+ * Each file is capped at DEFAULT_MAX_BYTES. Anything past the cap is left
+ * out of the prompt, and `remember` refuses to grow a file beyond it.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+
+export const MEMORY_FILE_NAME = 'FRIDAY.md';
+export const MEMORY_SCOPES = ['workspace', 'user'];
+// ~4k tokens per file
+export const DEFAULT_MAX_BYTES = 16 * 1024;
+const MAX_FACT_LENGTH = 500;
+
+const HEADERS = {
+  user: '# Friday memory\n\nAbout me, for every project.\n',
+  workspace: '# Friday memory\n\nAbout this project.\n',
+};
+
+export class MemoryLimitError extends Error {
+  constructor(filePath, maxBytes) {
+    super(`${filePath} is full (${Math.round(maxBytes / 1024)} KB). Edit it with /memory edit to make room.`);
+    this.name = 'MemoryLimitError';
+    this.path = filePath;
+  }
+}
+
+export class MemoryFiles {
+  constructor({ userDir = CONFIG_DIR, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.userDir = userDir;
+    this.maxBytes = maxBytes;
+  }
+
+  /**
+   * @param {'workspace'|'user'} scope
+   * @param {string} [workspacePath] - Required for the workspace scope
+   */
+  pathFor(scope, workspacePath = null) {
+    if (scope === 'user') return path.join(this.userDir, MEMORY_FILE_NAME);
+    if (scope === 'workspace') {
+      if (!workspacePath) throw new Error('No workspace to remember things about');
+      return path.join(workspacePath, MEMORY_FILE_NAME);
+    }
+    throw new Error(`Unknown memory scope "${scope}" (use ${MEMORY_SCOPES.join(' or ')})`);
+  }
+
+  /**
+   * @returns {{ scope: string, path: string, exists: boolean, content: string,
+   *   bytes: number, maxBytes: number, truncated: boolean }}
+   */
+  read(scope, workspacePath = null) {
+    const filePath = this.pathFor(scope, workspacePath);
+    let content = '';
+    let exists = false;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+      exists = true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`[Memory] Could not read ${filePath}: ${error.message}`);
+    }
+    const bytes = Buffer.byteLength(content);
+    return { scope, path: filePath, exists, content, bytes, maxBytes: this.maxBytes, truncated: bytes > this.maxBytes };
+  }
+
+  /**
+   * Both files, user first, whether or not they exist.
+   */
+  list(workspacePath = null) {
+    return ['user', ...(workspacePath ? ['workspace'] : [])].map((scope) => this.read(scope, workspacePath));
+  }
+
+  /**
+   * Replace a file's content, as /memory edit does.
+   */
+  write(scope, workspacePath, content) {
+    const filePath = this.pathFor(scope, workspacePath);
+    const text = String(content ?? '');
+    if (Buffer.byteLength(text) > this.maxBytes) throw new MemoryLimitError(filePath, this.maxBytes);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text, 'utf8');
+    return this.read(scope, workspacePath);
+  }
+
+  /**
+   * Append one fact as a list item. A fact that is already there is not
+   * added twice.
+   * @returns {{ added: boolean, fact: string, file: Object }}
+   */
+  append(scope, workspacePath, fact) {
+    const line = String(fact || '').replace(/\s+/g, ' ').trim().replace(/^[-*]\s+/, '');
+    if (!line) throw new Error('Nothing to remember');
+    if (line.length > MAX_FACT_LENGTH) throw new Error(`Keep it under ${MAX_FACT_LENGTH} characters`);
+
+    const current = this.read(scope, workspacePath);
+    const existing = current.exists ? current.content : HEADERS[scope];
+    if (existing.split('\n').some((l) => l.trim() === `- ${line}`)) {
+      return { added: false, fact: line, file: current };
+    }
+    const next = `${existing}${existing.endsWith('\n') ? '' : '\n'}- ${line}\n`;
+    return { added: true, fact: line, file: this.write(scope, workspacePath, next) };
+  }
+
+  /**
+   * The system prompt section for a workspace, or '' when neither file has
+   * anything in it.
+   */
+  buildPrompt(workspacePath = null) {
+    const sections = [];
+    for (const file of this.list(workspacePath)) {
+      let content = file.content.trim();
+      if (!content) continue;
+      if (file.truncated) {
+        content = `${Buffer.from(content).subarray(0, this.maxBytes).toString('utf8')}\n[…${file.path} is over ${Math.round(this.maxBytes / 1024)} KB; the rest is left out]`;
+        console.error(`[Memory] ${file.path} is over the ${this.maxBytes} byte limit; truncating it in the prompt`);
+      }
+      const title = file.scope === 'user' ? `~/.friday/${MEMORY_FILE_NAME} (all projects)` : `${MEMORY_FILE_NAME} (this workspace)`;
+      sections.push(`### ${title}\n${content}`);
+    }
+    if (sections.length === 0) return '';
+    return `\n\n## Memory\nThe user keeps these notes for you. Follow them. When the user asks you to remember something, save it with the \`remember\` tool.\n\n${sections.join('\n\n')}\n`;
+  }
+}
+
+export default new MemoryFiles();
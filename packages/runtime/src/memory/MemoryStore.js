@@ -0,0 +1,257 @@
+/**
+ * MemoryStore — long-term facts and decisions, recalled by relevance
+ *
+ * FRIDAY.md files (MemoryFiles) are always in the prompt, so they suit a
+ * handful of standing instructions. This store is for everything else the
+ * agent learns across sessions: why a library was picked, where the staging
+ * database lives, which approach was tried and dropped. Entries are kept in
+ * one file, ~/.friday/memory/memories.json, each tagged with the workspace
+ * it belongs to (or none, for memories that apply everywhere) and a few
+ * topics.
+ *
+ * Retrieval is BM25 over each entry's text and topics, using the same
+ * tokenizer as session search, so nothing leaves the machine. Before every
+ * query the runtime adds the few entries that best match the user's message
+ * to the system prompt; the agent can also search, save and forget entries
+ * with the memory_* tools, and `friday memory` lists, removes and exports
+ * them.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tokenize, parseQuery } from '../sessions/SessionSearchIndex.js';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+
+export const MEMORY_KINDS = ['fact', 'decision'];
+export const MAX_ENTRIES = 2000;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_TOPICS = 5;
+// Entries added to the prompt before each query
+export const DEFAULT_RECALL_LIMIT = 5;
+
+// BM25 parameters, as in SessionSearchIndex
+const K1 = 1.2;
+const B = 0.75;
+
+function workspaceKey(workspacePath) {
+  if (!workspacePath) return null;
+  try {
+    return fs.realpathSync(workspacePath);
+  } catch {
+    return path.resolve(workspacePath);
+  }
+}
+
+function normalizeTopics(topics) {
+  const list = Array.isArray(topics) ? topics : String(topics || '').split(',');
+  const normalized = list
+    .map((topic) => String(topic).toLowerCase().trim().replace(/\s+/g, '-'))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TOPICS);
+}
+
+export class MemoryStore {
+  constructor({ filePath = path.join(CONFIG_DIR, 'memory', 'memories.json'), maxEntries = MAX_ENTRIES } = {}) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Every entry, oldest first. Read from disk each time, since the CLI and
+   * a running runtime may both write the file.
+   */
+  _read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`[MemoryStore] Could not read ${this.filePath}: ${error.message}`);
+      return [];
+    }
+  }
+
+  _write(entries) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, entries }, null, 2), { encoding: 'utf8', mode: 0o600 });
+  }
+
+  /**
+   * Entries a workspace can see: its own and the global ones. Without a
+   * workspace, every entry.
+   * @param {Object} [options]
+   * @param {string} [options.workspacePath]
+   * @param {string} [options.topic] - Only entries with this topic
+   * @param {string} [options.kind] - fact or decision
+   * @returns {Object[]} Newest first
+   */
+  list({ workspacePath = null, topic = null, kind = null } = {}) {
+    const workspace = workspaceKey(workspacePath);
+    const [wantedTopic] = normalizeTopics(topic ? [topic] : []);
+    return this._read()
+      .filter((entry) => !workspace || !entry.workspace || entry.workspace === workspace)
+      .filter((entry) => !wantedTopic || entry.topics.includes(wantedTopic))
+      .filter((entry) => !kind || entry.kind === kind)
+      .reverse();
+  }
+
+  /**
+   * Find an entry by id or by an unambiguous id prefix.
+   * @param {string} id
+   * @param {Object} [options] - workspacePath, as for list(), to only look at what it can see
+   * @returns {Object|null}
+   */
+  get(id, { workspacePath = null } = {}) {
+    const wanted = String(id || '').trim();
+    if (!wanted) return null;
+    const entries = this.list({ workspacePath });
+    const exact = entries.find((entry) => entry.id === wanted);
+    if (exact) return exact;
+    const matches = entries.filter((entry) => entry.id.startsWith(wanted));
+    if (matches.length > 1) throw new Error(`"${wanted}" matches ${matches.length} memories; use more of the id`);
+    return matches[0] || null;
+  }
+
+  /**
+   * Save a fact or decision. Saving the same text for the same workspace
+   * again updates its topics instead of adding a copy.
+   * @param {Object} memory
+   * @param {string} memory.text
+   * @param {'fact'|'decision'} [memory.kind='fact']
+   * @param {string[]} [memory.topics]
+   * @param {string} [memory.workspacePath] - Omit for a memory that applies everywhere
+   * @param {string} [memory.sessionId] - Session it was learned in
+   * @returns {{ added: boolean, entry: Object }}
+   */
+  save({ text, kind = 'fact', topics = [], workspacePath = null, sessionId = null } = {}) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) throw new Error('Nothing to save');
+    if (clean.length > MAX_TEXT_LENGTH) throw new Error(`Keep it under ${MAX_TEXT_LENGTH} characters`);
+    if (!MEMORY_KINDS.includes(kind)) throw new Error(`Unknown memory kind "${kind}" (use ${MEMORY_KINDS.join(' or ')})`);
+
+    const workspace = workspaceKey(workspacePath);
+    const entries = this._read();
+    const now = new Date().toISOString();
+    const existing = entries.find((entry) => entry.workspace === workspace && entry.text.toLowerCase() === clean.toLowerCase());
+    if (existing) {
+      existing.topics = normalizeTopics([...existing.topics, ...normalizeTopics(topics)]);
+      existing.updatedAt = now;
+      this._write(entries);
+      return { added: false, entry: existing };
+    }
+
+    const entry = {
+      id: `mem_${crypto.randomBytes(4).toString('hex')}`,
+      kind,
+      text: clean,
+      topics: normalizeTopics(topics),
+      workspace,
+      sessionId,
+      createdAt: now,
+      updatedAt: now,
+    };
+    entries.push(entry);
+    if (entries.length > this.maxEntries) {
+      const dropped = entries.splice(0, entries.length - this.maxEntries);
+      console.error(`[MemoryStore] Over ${this.maxEntries} memories; dropped the ${dropped.length} oldest`);
+    }
+    this._write(entries);
+    return { added: true, entry };
+  }
+
+  /**
+   * Delete an entry by id or id prefix.
+   * @param {string} id
+   * @param {Object} [options] - workspacePath, as for get()
+   * @returns {Object|null} The deleted entry
+   */
+  forget(id, options = {}) {
+    const entry = this.get(id, options);
+    if (!entry) return null;
+    this._write(this._read().filter((candidate) => candidate.id !== entry.id));
+    return entry;
+  }
+
+  /**
+   * Rank a workspace's entries against free text.
+   * @param {string} query
+   * @param {Object} [options] - workspacePath, topic and kind, as for list()
+   * @param {number} [options.limit=10]
+   * @returns {Object[]} Entries with a `score`, best first
+   */
+  search(query, { limit = 10, ...filters } = {}) {
+    const queryTerms = parseQuery(String(query || ''));
+    if (queryTerms.length === 0) return [];
+    const entries = this.list(filters);
+    if (entries.length === 0) return [];
+
+    const documents = entries.map((entry) => {
+      const counts = new Map();
+      const terms = tokenize(`${entry.text} ${entry.topics.join(' ')}`).map((token) => token.term);
+      for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+      return { entry, counts, length: terms.length };
+    });
+    const avgLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+    const matching = (queryTerm, term) => (queryTerm.prefix ? term.startsWith(queryTerm.term) : term === queryTerm.term);
+    const termFrequency = (doc, queryTerm) => [...doc.counts].reduce((sum, [term, count]) => sum + (matching(queryTerm, term) ? count : 0), 0);
+    const scores = new Map();
+    for (const queryTerm of queryTerms) {
+      const hits = documents.map((doc) => [doc, termFrequency(doc, queryTerm)]).filter(([, tf]) => tf > 0);
+      if (hits.length === 0) continue;
+      const idf = Math.log(1 + (documents.length - hits.length + 0.5) / (hits.length + 0.5));
+      for (const [doc, tf] of hits) {
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+        scores.set(doc, (scores.get(doc) || 0) + idf * norm);
+      }
+    }
+    const results = [...scores].map(([doc, score]) => ({ ...doc.entry, score }));
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * The system prompt section with the entries that best match a user
+   * message, or '' when none do.
+   */
+  buildPrompt(message, workspacePath = null, limit = DEFAULT_RECALL_LIMIT) {
+    if (!limit) return '';
+    const recalled = this.search(message, { workspacePath, limit });
+    if (recalled.length === 0) return '';
+    const lines = recalled.map((entry) => {
+      const topics = entry.topics.length ? ` [${entry.topics.join(', ')}]` : '';
+      return `- (${entry.kind}, ${entry.createdAt.slice(0, 10)}, ${entry.id})${topics} ${entry.text}`;
+    });
+    return `\n\n## Relevant Memories\nSaved in earlier sessions and picked for this request. They may be out of date; if one turns out to be wrong, remove it with \`memory_forget\`.\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Entries as JSON or Markdown, for `friday memory export`.
+   * @param {Object} [options] - workspacePath and topic, as for list()
+   * @param {'json'|'markdown'} [options.format='json']
+   */
+  export({ format = 'json', ...filters } = {}) {
+    const entries = this.list(filters).reverse();
+    if (format === 'json') return `${JSON.stringify(entries, null, 2)}\n`;
+    if (format !== 'markdown') throw new Error(`Unknown export format "${format}" (use json or markdown)`);
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = entry.workspace || 'All workspaces';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    let output = '# Friday memories\n';
+    for (const [workspace, group] of groups) {
+      output += `\n## ${workspace}\n\n`;
+      for (const entry of group) {
+        const topics = entry.topics.length ? ` _(${entry.topics.join(', ')})_` : '';
+        output += `- **${entry.kind}** ${entry.text}${topics} — ${entry.createdAt.slice(0, 10)}, \`${entry.id}\`\n`;
+      }
+    }
+    return output;
+  }
+}
+
+export default new MemoryStore();
@@ -185,7 +185,7 @@ class McpOAuthManager {
    */
   async disconnect(serverId) {
     await this.mcpCredentials.deleteCredentials(serverId);
-    const newConfig = await this.loadBackendConfig();
+    const newConfig = await this.loadBackendConfig({ workspacePath: this.runtime.workspacePath });
     this.runtime.updateMcpServers(newConfig.mcpServers);
     this.config.mcpServers = newConfig.mcpServers;
     return { success: true, serverId };
@@ -299,7 +299,7 @@ class McpOAuthManager {
     await this.mcpCredentials.setCredentials(serverId, credentials, { auth: serverDef.auth || [] });
 
     // Reload config and update runtime
-    const newConfig = await this.loadBackendConfig();
+    const newConfig = await this.loadBackendConfig({ workspacePath: this.runtime.workspacePath });
     this.runtime.updateMcpServers(newConfig.mcpServers);
     this.config.mcpServers = newConfig.mcpServers;
 
@@ -0,0 +1,204 @@
+/**
+ * PermissionAuditLog — Who allowed or denied each tool call, and how
+ *
+ * Every permission decision is appended as one JSON line to
+ * ~/.friday/audit/permissions-YYYY-MM-DD.jsonl. Files rotate daily and are
+ * deleted after the retention period (~/.friday/config.json →
+ * "permissionAudit": { "retentionDays": 90 }). An entry holds a redacted
+ * summary of the tool input, never the input itself:
+ *
+ *   { "time": "2026-10-19T09:12:03.120Z", "tool": "mcp__terminal__execute_command",
+ *     "input": "npm test", "decision": "allow", "source": "user", "level": "session",
+ *     "session_id": "…", "app_id": null, "tool_use_id": "toolu_…" }
+ *
+ * Sources:
+ *   user             Answered in a permission prompt (`level`: once, session or always)
+ *   cancelled        The prompt was abandoned (query aborted)
+ *   profile, override, app, session, rule, always-safe
+ *                    PermissionManager layers (with -in-workspace variants)
+ *   workspace        The workspace's committed .friday/permissions.json
+ *   policy           The per-run allow/deny lists (friday run)
+ *   command-policy   A shell command was blocked
+ *   budget           A paid call would exceed a spending budget
+ *   review           A reviewer approved or rejected it (scheduled agents)
+ *   cache            A legacy "always allow"
+ *   unattended       Nobody was there to ask
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { matchesToolPattern } from './PermissionManager.js';
+import secretRedactor from '../sandbox/SecretRedactor.js';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const AUDIT_DIR = path.join(CONFIG_DIR, 'audit');
+const DEFAULT_RETENTION_DAYS = 90;
+const INPUT_SUMMARY_LIMIT = 300;
+const FILE_PATTERN = /^permissions-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Short, redacted description of what a tool call would do: its path,
+ * command or URL when it has one, else its input as JSON.
+ */
+export function summarizeToolInput(input) {
+  if (input === null || input === undefined) return null;
+  let summary;
+  if (typeof input !== 'object') {
+    summary = String(input);
+  } else {
+    const target = input.command || input.file_path || input.notebook_path || input.path || input.url
+      || (input.source && input.destination ? `${input.source} → ${input.destination}` : null);
+    if (typeof target === 'string') {
+      summary = target;
+    } else {
+      try {
+        summary = JSON.stringify(input);
+      } catch {
+        summary = '[unserializable input]';
+      }
+    }
+  }
+  const redacted = secretRedactor.redact(summary);
+  return redacted.length > INPUT_SUMMARY_LIMIT ? `${redacted.slice(0, INPUT_SUMMARY_LIMIT)}…` : redacted;
+}
+
+/**
+ * Turn a --since value into a timestamp: a duration ("30m", "24h", "7d")
+ * before now, or a date ("2026-10-01").
+ * @returns {number|null} null if the value can't be read
+ */
+export function parseSince(value, now = Date.now()) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(value || '').trim());
+  if (match) {
+    const unit = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 }[match[2].toLowerCase()];
+    return now - Number(match[1]) * unit;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function readRetentionDays() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'config.json'), 'utf8'));
+    const days = Number(raw?.permissionAudit?.retentionDays);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  } catch {
+    return DEFAULT_RETENTION_DAYS;
+  }
+}
+
+export class PermissionAuditLog {
+  constructor({ dir = AUDIT_DIR, retentionDays = null } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this._prunedDay = null;
+    this._warned = false;
+  }
+
+  /**
+   * Append one decision. Failures are reported once and never block the
+   * tool call.
+   * @param {Object} entry - tool, input (raw tool input), decision, source,
+   *   level, reason, sessionId, appId, toolUseId
+   */
+  record({ tool, input = null, decision, source, level = null, reason = null, sessionId = null, appId = null, toolUseId = null, time = Date.now() }) {
+    const line = {
+      time: new Date(time).toISOString(),
+      tool,
+      input: summarizeToolInput(input),
+      decision,
+      source,
+      ...(level ? { level } : {}),
+      ...(reason ? { reason: secretRedactor.redact(String(reason)) } : {}),
+      session_id: sessionId,
+      app_id: appId,
+      tool_use_id: toolUseId,
+    };
+    try {
+      fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+      const day = dayKey(time);
+      if (this._prunedDay !== day) this.prune(time);
+      fs.appendFileSync(path.join(this.dir, `permissions-${day}.jsonl`), `${JSON.stringify(line)}\n`, { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      if (!this._warned) {
+        this._warned = true;
+        console.error(`[PermissionAudit] Could not write the audit log: ${error.message}`);
+      }
+    }
+    return line;
+  }
+
+  /**
+   * Delete files older than the retention period. Runs once a day.
+   */
+  prune(now = Date.now()) {
+    this._prunedDay = dayKey(now);
+    const days = this.retentionDays || readRetentionDays();
+    const cutoff = dayKey(now - days * 24 * 60 * 60 * 1000);
+    for (const { file, day } of this.listFiles()) {
+      if (day < cutoff) {
+        try { fs.unlinkSync(path.join(this.dir, file)); } catch { /* ignore */ }
+      }
+    }
+  }
+
+  listFiles() {
+    try {
+      return fs.readdirSync(this.dir)
+        .map((file) => ({ file, day: FILE_PATTERN.exec(file)?.[1] }))
+        .filter(({ day }) => day)
+        .sort((a, b) => a.day.localeCompare(b.day));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Decisions matching the filters, newest first.
+   * @param {Object} [filters]
+   * @param {number} [filters.since] - Only entries at or after this timestamp
+   * @param {string} [filters.tool] - Tool pattern (`*` globs, bare names match MCP tools)
+   * @param {boolean} [filters.denied] - Only denials
+   * @param {string} [filters.sessionId]
+   * @param {string} [filters.source]
+   * @param {number} [filters.limit]
+   * @returns {Object[]}
+   */
+  query({ since = null, tool = null, denied = false, sessionId = null, source = null, limit = Infinity } = {}) {
+    const sinceDay = since ? dayKey(since) : null;
+    const entries = [];
+    for (const { file, day } of this.listFiles().reverse()) {
+      if (sinceDay && day < sinceDay) break;
+      let raw;
+      try {
+        raw = fs.readFileSync(path.join(this.dir, file), 'utf8');
+      } catch {
+        continue;
+      }
+      const lines = raw.split('\n').filter((line) => line.trim()).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // partial line from a crash
+        }
+        if (since && Date.parse(entry.time) < since) continue;
+        if (tool && !matchesToolPattern(tool, entry.tool)) continue;
+        if (denied && entry.decision !== 'deny') continue;
+        if (sessionId && entry.session_id !== sessionId) continue;
+        if (source && entry.source !== source) continue;
+        entries.push(entry);
+        if (entries.length >= limit) return entries;
+      }
+    }
+    return entries;
+  }
+}
+
+export const PERMISSION_AUDIT_DIR = AUDIT_DIR;
+
+export default new PermissionAuditLog();
@@ -1,20 +1,65 @@
 /**
  * PermissionManager — Persistent permission profiles and per-tool overrides.
  *
- * Three layers:
- *   1. Permission profile (developer, safe, locked, headless)
- *   2. Per-tool overrides (user-configured)
- *   3. Per-app overrides (for iOS, Electron, third-party clients)
+ * Four layers:
+ *   1. Argument rules (paths, commands and hosts a tool may touch)
+ *   2. Per-app overrides (for iOS, Electron, third-party clients)
+ *   3. Per-tool overrides (user-configured)
+ *   4. Permission profile (developer, safe, locked, headless)
  *
- * All state persists at ~/.friday/permissions.json.
+ * Argument rules look at what a call does, not just which tool makes it.
+ * They are keyed by a tool pattern or one of the groups `read`, `write` and
+ * `bash`, and list globs to allow, ask about or deny:
+ *
+ *   "rules": {
+ *     "write":    { "allow": ["src/**"], "deny": [".env*"] },
+ *     "bash":     { "allow": ["npm test*", "git status"], "otherwise": "ask" },
+ *     "WebFetch": { "allow": ["*.github.com"] }
+ *   }
+ *
+ * Paths are resolved through symlinks first. Relative globs match paths
+ * inside the workspace, and a glob without "/" matches the file name in any
+ * directory. Shell commands are split into simple commands, each of which
+ * must be allowed. URLs match on their host, or on the whole URL when the
+ * glob contains "/". A deny match wins, then ask, then allow (when every
+ * path or command matches); `otherwise` decides when none of them do, and
+ * without it the other layers do.
+ *
+ * Searches (Glob, Grep, search_files) read a whole directory, the workspace
+ * when they have no path, while path globs only see that directory. When a
+ * deny glob could match a file inside it, the search is asked about instead
+ * of allowed: the glob can't be applied to the files the search will open.
+ *
+ * Custom profiles live in ~/.friday/profiles/<name>.json. A profile can
+ * extend a built-in or another custom one, set per-tool decisions (`*` globs
+ * allowed) and add argument rules of its own:
+ *
+ *   { "extends": "safe", "description": "Review only",
+ *     "tools": { "mcp__terminal__*": "deny" },
+ *     "rules": { "read": { "deny": ["*.pem"] } } }
+ *
+ * Argument rules from the profile, permissions.json and the connecting app
+ * (apps.<id>.rules) are merged and checked together.
+ *
+ * A project can commit <workspace>/.friday/permissions.json with `profile`,
+ * `tools` and `rules` of its own. It only ever tightens: anything it would
+ * allow is ignored, and its decision replaces the user's only when it is
+ * stricter. An unreadable workspace policy asks before every tool.
+ *
+ * All user state persists at ~/.friday/permissions.json. FRIDAY_PERMISSION_PROFILE
+ * selects a profile for one process without changing the saved one.
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { globToRegExp } from '../sandbox/CommandPolicy.js';
+import { analyzeCommand } from '../sandbox/ShellCommandAnalyzer.js';
 
 const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
 const PERMISSIONS_FILE = path.join(CONFIG_DIR, 'permissions.json');
+const PROFILES_DIR = path.join(CONFIG_DIR, 'profiles');
+const WORKSPACE_POLICY_FILE = path.join('.friday', 'permissions.json');
 
 // Permission decisions
 export const PERMISSION = {
@@ -48,6 +93,11 @@ const PROFILES = {
       'WebFetch': PERMISSION.AUTO_APPROVE,
       // Internal tools
       'mcp__friday-internal__create_scheduled_agent': PERMISSION.ASK_FIRST,
+      // FRIDAY.md reaches every later prompt (the user file, every project's)
+      'mcp__friday-internal__remember': PERMISSION.ASK_FIRST,
+      'mcp__friday-internal__memory_search': PERMISSION.AUTO_APPROVE,
+      'mcp__friday-internal__memory_save': PERMISSION.AUTO_APPROVE,
+      'mcp__friday-internal__memory_forget': PERMISSION.ASK_FIRST,
       // Media (if available)
       'generate_image': PERMISSION.AUTO_APPROVE,
       'generate_video': PERMISSION.ASK_FIRST,
@@ -67,6 +117,7 @@ const PROFILES = {
       'mcp__filesystem__read_multiple_files': PERMISSION.AUTO_APPROVE,
       'WebSearch': PERMISSION.AUTO_APPROVE,
       'WebFetch': PERMISSION.AUTO_APPROVE,
+      'mcp__friday-internal__memory_search': PERMISSION.AUTO_APPROVE,
     },
     // Everything else defaults to ASK_FIRST
   },
@@ -87,6 +138,9 @@ const PROFILES = {
   },
 };
 
+// Built-in profile names. Custom profiles come from PermissionManager.listProfiles()
+export const PROFILE_NAMES = Object.keys(PROFILES);
+
 // Tools that should NEVER be auto-approved regardless of profile
 const NEVER_AUTO_APPROVE = new Set([
   // These are handled by dangerous command filtering instead
@@ -97,9 +151,498 @@ const ALWAYS_SAFE = new Set([
   'mcp__terminal__list_processes',
 ]);
 
+/**
+ * Match a tool name against an allow/deny pattern. Patterns are
+ * case-insensitive, `*` matches any run of characters, and a pattern without
+ * the `mcp__server__` prefix also matches the bare tool name, so `write_file`
+ * and `mcp__filesystem__*` both match mcp__filesystem__write_file.
+ */
+export function matchesToolPattern(pattern, toolName) {
+  const source = String(pattern).trim().toLowerCase()
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`);
+  const name = String(toolName).toLowerCase();
+  return regex.test(name) || regex.test(name.split('__').pop());
+}
+
+/**
+ * Evaluate a per-run tool policy of the form { allow: [...], deny: [...] }.
+ * Deny wins over allow. Returns 'allow', 'deny', or null when neither list
+ * mentions the tool.
+ */
+export function evaluateToolPolicy(policy, toolName) {
+  if (!policy) return null;
+  if ((policy.deny || []).some((pattern) => matchesToolPattern(pattern, toolName))) return 'deny';
+  if ((policy.allow || []).some((pattern) => matchesToolPattern(pattern, toolName))) return 'allow';
+  return null;
+}
+
+// Rule keys that stand for several tools
+const TOOL_GROUPS = {
+  read: ['read', 'glob', 'grep', 'read_file', 'read_text_file', 'read_media_file', 'read_multiple_files',
+    'list_directory', 'directory_tree', 'search_files', 'get_file_info'],
+  write: ['write', 'edit', 'multiedit', 'notebookedit', 'write_file', 'edit_file', 'move_file', 'create_directory'],
+  bash: ['bash', 'execute_command'],
+};
+
+// What argument rules check for each tool: the kind of value and the input fields holding it
+const TOOL_ARGUMENTS = {
+  read: ['path', 'file_path'],
+  write: ['path', 'file_path'],
+  edit: ['path', 'file_path'],
+  multiedit: ['path', 'file_path'],
+  notebookedit: ['path', 'notebook_path'],
+  glob: ['path', 'path'],
+  grep: ['path', 'path'],
+  read_file: ['path', 'path'],
+  read_text_file: ['path', 'path'],
+  read_media_file: ['path', 'path'],
+  read_multiple_files: ['path', 'paths'],
+  write_file: ['path', 'path'],
+  edit_file: ['path', 'path'],
+  create_directory: ['path', 'path'],
+  list_directory: ['path', 'path'],
+  directory_tree: ['path', 'path'],
+  search_files: ['path', 'path'],
+  get_file_info: ['path', 'path'],
+  move_file: ['path', 'source', 'destination'],
+  bash: ['command', 'command'],
+  execute_command: ['command', 'command'],
+  webfetch: ['url', 'url'],
+};
+
+// Tools that search under their path argument, or the workspace without one
+const DIRECTORY_SEARCH_TOOLS = ['glob', 'grep', 'search_files'];
+
+const RULE_DECISIONS = {
+  allow: PERMISSION.AUTO_APPROVE,
+  ask: PERMISSION.ASK_FIRST,
+  deny: PERMISSION.DENY,
+};
+
+const RULE_FIELDS = ['allow', 'ask', 'deny', 'otherwise'];
+
+function bareToolName(toolName) {
+  return String(toolName || '').toLowerCase().trim().split('__').pop();
+}
+
+/**
+ * Build a tool input from a single value (a path, command or URL) in the
+ * field the tool's argument rules read. Tools without one get null.
+ */
+export function toolInputFor(toolName, value) {
+  const spec = TOOL_ARGUMENTS[bareToolName(toolName)];
+  if (!spec) return null;
+  const field = spec[1];
+  return { [field]: field === 'paths' ? [value] : value };
+}
+
+/**
+ * Resolve a path through symlinks. Parts that do not exist yet (a file
+ * about to be written) are appended to the real path of the deepest
+ * existing directory.
+ */
+export function resolveRealPath(filePath) {
+  let current = path.resolve(filePath);
+  const missing = [];
+  while (true) {
+    try {
+      return path.join(fs.realpathSync(current), ...missing);
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) return path.join(current, ...missing);
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Whether filePath is dirPath or inside it, after resolving symlinks.
+ * Unlike a prefix check, /work2 is not inside /work.
+ */
+export function isPathInside(filePath, dirPath) {
+  const relative = path.relative(resolveRealPath(dirPath), resolveRealPath(filePath));
+  return relative === '' || (!relative.startsWith(`..${path.sep}`) && relative !== '..' && !path.isAbsolute(relative));
+}
+
+/**
+ * Check a permission rule's shape.
+ * @returns {string|null} What is wrong with it, or null if it is usable
+ */
+export function validatePermissionRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'must be an object';
+  for (const [field, value] of Object.entries(rule)) {
+    if (!RULE_FIELDS.includes(field)) return `unknown field "${field}"`;
+    if (field === 'otherwise') {
+      if (!RULE_DECISIONS[value]) return 'otherwise must be allow, ask or deny';
+    } else if (!Array.isArray(value) || value.some((pattern) => typeof pattern !== 'string' || !pattern.trim())) {
+      return `${field} must be a list of patterns`;
+    }
+  }
+  return null;
+}
+
+function ruleAppliesTo(key, toolName) {
+  const group = TOOL_GROUPS[String(key).toLowerCase()];
+  return group ? group.includes(bareToolName(toolName)) : matchesToolPattern(key, toolName);
+}
+
+/**
+ * The values a tool call's argument rules are checked against.
+ * @returns {{ kind: string|null, values: string[] }}
+ */
+function ruleArguments(toolName, input, workspacePath) {
+  const spec = TOOL_ARGUMENTS[bareToolName(toolName)];
+  if (!spec || !input) return { kind: null, values: [] };
+  const [kind, ...fields] = spec;
+  const raw = fields.flatMap((field) => input[field] ?? []).filter((value) => typeof value === 'string' && value);
+  if (kind === 'path') {
+    const base = workspacePath || process.cwd();
+    if (raw.length === 0 && DIRECTORY_SEARCH_TOOLS.includes(bareToolName(toolName))) raw.push(base);
+    return { kind, values: raw.map((value) => resolveRealPath(path.resolve(base, expandHome(value)))) };
+  }
+  if (kind === 'command') {
+    const commands = [];
+    for (const command of raw) {
+      const analysis = analyzeCommand(command, { workspacePath });
+      // Commands the analyzer cannot take apart are never allowed by a pattern
+      if (analysis.issues.length > 0) commands.push(command);
+      commands.push(...analysis.commands.map((entry) => entry.argv.join(' ')));
+    }
+    return { kind, values: commands };
+  }
+  return { kind, values: raw };
+}
+
+function expandHome(value) {
+  return value === '~' || value.startsWith('~/') ? os.homedir() + value.slice(1) : value;
+}
+
+/**
+ * Whether a path glob could match a file inside dirPath. Compares the part
+ * of the glob before its first wildcard with the directory.
+ */
+function pathGlobCouldMatchInside(pattern, dirPath, workspacePath) {
+  const expanded = expandHome(pattern);
+  // Matches the file name in any directory
+  if (!expanded.includes('/')) return true;
+  const segments = expanded.split('/');
+  const wildcard = segments.findIndex((segment) => segment.includes('*'));
+  const prefix = (wildcard === -1 ? segments : segments.slice(0, wildcard)).join('/');
+  let base;
+  if (path.isAbsolute(expanded)) base = prefix || path.sep;
+  else if (workspacePath) base = path.resolve(workspacePath, prefix);
+  else return false;
+  return isPathInside(base, dirPath) || isPathInside(dirPath, base);
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function compileArgumentPattern(kind, pattern, workspacePath) {
+  if (kind === 'path') {
+    const expanded = expandHome(pattern);
+    const regex = globToRegExp(expanded, { paths: true });
+    if (!expanded.includes('/')) return (value) => regex.test(path.basename(value));
+    if (path.isAbsolute(expanded)) return (value) => regex.test(value);
+    const root = workspacePath ? resolveRealPath(workspacePath) : null;
+    return (value) => {
+      if (!root || !isPathInside(value, root)) return false;
+      return regex.test(path.relative(root, value).split(path.sep).join('/'));
+    };
+  }
+  if (kind === 'url') {
+    const regex = globToRegExp(pattern);
+    const wholeUrl = pattern.includes('/');
+    return (value) => {
+      try {
+        return regex.test(wholeUrl ? value : new URL(value).hostname);
+      } catch {
+        return false;
+      }
+    };
+  }
+  const regex = globToRegExp(pattern);
+  return (value) => regex.test(value);
+}
+
+/**
+ * Decide a tool call from the argument rules that apply to its tool.
+ *
+ * @param {Object} rules - Tool pattern or group → { allow, ask, deny, otherwise }
+ * @param {string} toolName
+ * @param {Object} input - Tool input
+ * @param {Object} [options]
+ * @param {string} [options.workspacePath] - Base for relative paths and globs
+ * @returns {{ decision: string, rule: string, pattern: string|null, value: string|null }|null}
+ *   null when no rule decides
+ */
+export function evaluateArgumentRules(rules, toolName, input, { workspacePath = null } = {}) {
+  const entries = Object.entries(rules || {}).filter(([key]) => ruleAppliesTo(key, toolName));
+  if (entries.length === 0) return null;
+  const { kind, values } = ruleArguments(toolName, input, workspacePath);
+
+  const find = (field) => {
+    for (const [key, rule] of entries) {
+      for (const pattern of rule[field] || []) {
+        const test = compileArgumentPattern(kind, pattern, workspacePath);
+        const value = values.find(test);
+        if (value !== undefined) return { key, pattern, value };
+      }
+    }
+    return null;
+  };
+
+  if (kind) {
+    for (const field of ['deny', 'ask']) {
+      const match = find(field);
+      if (match) return { decision: RULE_DECISIONS[field], rule: match.key, pattern: match.pattern, value: match.value };
+    }
+    if (kind === 'path' && DIRECTORY_SEARCH_TOOLS.includes(bareToolName(toolName))) {
+      const directories = values.filter(isDirectory);
+      for (const [key, rule] of entries) {
+        for (const pattern of rule.deny || []) {
+          const directory = directories.find((dir) => pathGlobCouldMatchInside(pattern, dir, workspacePath));
+          if (directory) return { decision: PERMISSION.ASK_FIRST, rule: key, pattern, value: directory };
+        }
+      }
+    }
+    const allowed = entries.flatMap(([key, rule]) => (rule.allow || [])
+      .map((pattern) => ({ key, pattern, test: compileArgumentPattern(kind, pattern, workspacePath) })));
+    const matched = values.map((value) => allowed.find(({ test }) => test(value)));
+    if (values.length > 0 && matched.every(Boolean)) {
+      return { decision: PERMISSION.AUTO_APPROVE, rule: matched[0].key, pattern: matched[0].pattern, value: values[0] };
+    }
+  }
+
+  // The strictest fallback of the rules that apply
+  const severity = [PERMISSION.AUTO_APPROVE, PERMISSION.ASK_FIRST, PERMISSION.DENY];
+  let fallback = null;
+  for (const [key, rule] of entries) {
+    const decision = RULE_DECISIONS[rule.otherwise];
+    if (decision && (!fallback || severity.indexOf(decision) > severity.indexOf(fallback.decision))) {
+      fallback = { decision, rule: key, pattern: null, value: null };
+    }
+  }
+  return fallback;
+}
+
+// Decisions from most to least permissive
+const SEVERITY = [PERMISSION.AUTO_APPROVE, PERMISSION.AUTO_APPROVE_IN_WORKSPACE, PERMISSION.ASK_FIRST, PERMISSION.DENY];
+
+const severityOf = (decision) => SEVERITY.indexOf(decision);
+
+function strictest(results) {
+  return results.reduce((worst, result) => (
+    result && (!worst || severityOf(result.decision) > severityOf(worst.decision)) ? result : worst
+  ), null);
+}
+
+// A permission value from a file: one of PERMISSION, or allow / ask / deny
+function normalizePermission(value) {
+  if (Object.values(PERMISSION).includes(value)) return value;
+  return RULE_DECISIONS[value] || null;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The decision a tool map (profile or workspace `tools`) makes for a tool.
+ * Exact names win; otherwise the strictest matching `*` pattern applies.
+ */
+function lookupToolPermission(tools, toolName) {
+  if (tools[toolName]) return { tool: toolName, decision: tools[toolName] };
+  return strictest(Object.entries(tools)
+    .filter(([key]) => key.includes('*') && matchesToolPattern(key, toolName))
+    .map(([key, decision]) => ({ tool: key, decision })));
+}
+
+function validateProfileFile(raw) {
+  if (!isPlainObject(raw)) return 'must be a JSON object';
+  if (raw.extends !== undefined && typeof raw.extends !== 'string') return 'extends must be a profile name';
+  if (raw.tools !== undefined && !isPlainObject(raw.tools)) return 'tools must be an object keyed by tool';
+  for (const [tool, value] of Object.entries(raw.tools || {})) {
+    if (!normalizePermission(value)) return `unknown permission "${value}" for ${tool}`;
+  }
+  if (raw.rules !== undefined && !isPlainObject(raw.rules)) return 'rules must be an object keyed by tool';
+  for (const [key, rule] of Object.entries(raw.rules || {})) {
+    const problem = validatePermissionRule(rule);
+    if (problem) return `rule for ${key}: ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * Read the custom profiles in a directory, one `<name>.json` each.
+ * @returns {Object} name → { path, description, extends, tools, rules }, or
+ *   { path, error } for a file that can't be used
+ */
+export function loadCustomProfiles(dir = PROFILES_DIR) {
+  const profiles = {};
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+  } catch {
+    return profiles;
+  }
+  for (const file of files) {
+    const name = path.basename(file, '.json');
+    const filePath = path.join(dir, file);
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      profiles[name] = { path: filePath, error: `can't be read: ${error.message}` };
+      continue;
+    }
+    const problem = PROFILES[name] ? 'has the name of a built-in profile' : validateProfileFile(raw);
+    profiles[name] = problem
+      ? { path: filePath, error: problem }
+      : { path: filePath, description: raw.description || '', extends: raw.extends || null, tools: raw.tools || {}, rules: raw.rules || {} };
+  }
+  return profiles;
+}
+
+/**
+ * Resolve a profile and everything it extends.
+ * @returns {{ name: string, description: string, builtIn: boolean, chain: string[], tools: Object, rules: Object }}
+ *   `chain` lists the profile and its ancestors, nearest first
+ */
+export function resolveProfile(name, customProfiles = {}, seen = []) {
+  if (PROFILES[name]) {
+    return { name, description: PROFILES[name].description, builtIn: true, chain: [name], tools: { ...PROFILES[name].rules }, rules: {} };
+  }
+  const custom = customProfiles[name];
+  if (!custom) {
+    throw new Error(`Unknown profile: ${name}. Valid: ${[...PROFILE_NAMES, ...Object.keys(customProfiles)].join(', ')}`);
+  }
+  if (custom.error) throw new Error(`Profile ${name} (${custom.path}) ${custom.error}`);
+  if (seen.includes(name)) throw new Error(`Profile ${name} extends itself (${[...seen, name].join(' → ')})`);
+
+  const base = custom.extends
+    ? resolveProfile(custom.extends, customProfiles, [...seen, name])
+    : { chain: [], tools: {}, rules: {} };
+  const tools = { ...base.tools };
+  for (const [tool, value] of Object.entries(custom.tools)) tools[tool.toLowerCase()] = normalizePermission(value);
+  return {
+    name,
+    description: custom.description,
+    builtIn: false,
+    chain: [name, ...base.chain],
+    tools,
+    rules: { ...base.rules, ...custom.rules },
+  };
+}
+
+/**
+ * The decision a resolved profile makes for a tool. Tools it doesn't list ask.
+ */
+function profileDecision(profile, toolName, context) {
+  const match = lookupToolPermission(profile.tools, toolName);
+  if (!match) return { decision: PERMISSION.ASK_FIRST, source: 'default' };
+  if (match.decision === PERMISSION.AUTO_APPROVE_IN_WORKSPACE && context.filePath && context.workspacePath) {
+    if (isPathInside(path.resolve(context.workspacePath, context.filePath), context.workspacePath)) {
+      return { decision: PERMISSION.AUTO_APPROVE, source: 'profile-in-workspace' };
+    }
+    return { decision: PERMISSION.ASK_FIRST, source: 'profile-outside-workspace' };
+  }
+  return { decision: match.decision, source: 'profile' };
+}
+
+/**
+ * Merge the argument rules of several layers into one rule set, and
+ * remember which layer each pattern came from.
+ * @param {Array<{ layer: string, rules: Object }>} layers
+ * @returns {{ rules: Object, layerOf: Function }} `layerOf(match)` names the
+ *   layer behind an evaluateArgumentRules result
+ */
+function mergeRuleLayers(layers) {
+  const rules = {};
+  const origins = new Map();
+  for (const { layer, rules: layerRules } of layers) {
+    for (const [key, rule] of Object.entries(layerRules || {})) {
+      const merged = rules[key] || (rules[key] = {});
+      for (const field of ['allow', 'ask', 'deny']) {
+        for (const pattern of rule[field] || []) {
+          merged[field] = [...(merged[field] || []), pattern];
+          if (!origins.has(`${key}\0${pattern}`)) origins.set(`${key}\0${pattern}`, layer);
+        }
+      }
+      const otherwise = RULE_DECISIONS[rule.otherwise];
+      if (otherwise && (!merged.otherwise || severityOf(otherwise) > severityOf(RULE_DECISIONS[merged.otherwise]))) {
+        merged.otherwise = rule.otherwise;
+        origins.set(`${key}\0`, layer);
+      }
+    }
+  }
+  return { rules, layerOf: (match) => origins.get(`${match.rule}\0${match.pattern ?? ''}`) || null };
+}
+
+/**
+ * Read <workspace>/.friday/permissions.json. Entries that would allow
+ * something are dropped and listed in `ignored`.
+ * @returns {{ path: string, profile: string|null, tools: Object, rules: Object, ignored: string[], error: string|null }|null}
+ *   null when the workspace has no policy
+ */
+export function loadWorkspacePolicy(workspacePath, customProfiles = {}) {
+  if (!workspacePath) return null;
+  const filePath = path.join(workspacePath, WORKSPACE_POLICY_FILE);
+  const policy = { path: filePath, profile: null, tools: {}, rules: {}, ignored: [], error: null };
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    return { ...policy, error: `can't be read: ${error.message}` };
+  }
+  if (!isPlainObject(raw)) return { ...policy, error: 'must be a JSON object' };
+
+  if (raw.profile !== undefined) {
+    try {
+      resolveProfile(raw.profile, customProfiles);
+      policy.profile = raw.profile;
+    } catch (error) {
+      return { ...policy, error: error.message };
+    }
+  }
+  const problem = validateProfileFile({ tools: raw.tools, rules: raw.rules });
+  if (problem) return { ...policy, error: problem };
+
+  for (const [tool, value] of Object.entries(raw.tools || {})) {
+    const decision = normalizePermission(value);
+    if (severityOf(decision) < severityOf(PERMISSION.ASK_FIRST)) {
+      policy.ignored.push(`tools.${tool}: ${value}`);
+    } else {
+      policy.tools[tool.toLowerCase()] = decision;
+    }
+  }
+  for (const [key, rule] of Object.entries(raw.rules || {})) {
+    const { allow, otherwise, ...tightening } = rule;
+    if (allow) policy.ignored.push(`rules.${key}.allow`);
+    if (otherwise === 'allow') policy.ignored.push(`rules.${key}.otherwise: allow`);
+    else if (otherwise) tightening.otherwise = otherwise;
+    if (Object.keys(tightening).length > 0) policy.rules[key] = tightening;
+  }
+  return policy;
+}
+
 export class PermissionManager {
-  constructor() {
+  constructor({ profilesDir = PROFILES_DIR } = {}) {
     this._data = null; // lazy loaded
+    this.profilesDir = profilesDir;
+    this._customProfiles = null;
+    this._workspacePolicies = new Map(); // policy file → { mtimeMs, policy }
+    this._warnedProfile = null;
   }
 
   _load() {
@@ -131,21 +674,92 @@ export class PermissionManager {
    * Get the active profile name
    */
   getProfile() {
+    const override = process.env.FRIDAY_PERMISSION_PROFILE;
+    if (override && (PROFILES[override] || this._loadCustomProfiles()[override])) return override;
     return this._load().profile || 'developer';
   }
 
   /**
-   * Set the active profile
+   * Set the active profile, built-in or custom. Throws if it can't be used.
    */
   setProfile(profileName) {
-    if (!PROFILES[profileName]) {
-      throw new Error(`Unknown profile: ${profileName}. Valid: ${Object.keys(PROFILES).join(', ')}`);
-    }
+    this._customProfiles = null;
+    resolveProfile(profileName, this._loadCustomProfiles());
     this._load();
     this._data.profile = profileName;
     this._save();
   }
 
+  _loadCustomProfiles() {
+    if (!this._customProfiles) this._customProfiles = loadCustomProfiles(this.profilesDir);
+    return this._customProfiles;
+  }
+
+  /**
+   * Built-in and custom profiles. Custom profiles are read again from disk.
+   * @returns {Array<{ name: string, description: string, builtIn: boolean, extends?: string|null, path?: string, error?: string|null }>}
+   */
+  listProfiles() {
+    this._customProfiles = null;
+    const custom = this._loadCustomProfiles();
+    const problemWith = (name) => {
+      try {
+        resolveProfile(name, custom);
+        return null;
+      } catch (error) {
+        return custom[name].error || error.message;
+      }
+    };
+    return [
+      ...Object.entries(PROFILES).map(([name, profile]) => ({ name, description: profile.description, builtIn: true })),
+      ...Object.entries(custom).map(([name, profile]) => ({
+        name,
+        description: profile.description || '',
+        builtIn: false,
+        extends: profile.extends || null,
+        path: profile.path,
+        error: problemWith(name),
+      })),
+    ];
+  }
+
+  /**
+   * The active profile with everything it extends resolved. A custom
+   * profile that can't be loaded falls back to `locked`.
+   */
+  getActiveProfile() {
+    const name = this.getProfile();
+    try {
+      return resolveProfile(name, this._loadCustomProfiles());
+    } catch (error) {
+      if (this._warnedProfile !== name) {
+        this._warnedProfile = name;
+        console.error(`[PermissionManager] ${error.message}. Asking for every tool (locked) instead.`);
+      }
+      return resolveProfile('locked');
+    }
+  }
+
+  /**
+   * The workspace's committed policy, re-read when the file changes.
+   */
+  getWorkspacePolicy(workspacePath) {
+    if (!workspacePath) return null;
+    const filePath = path.join(workspacePath, WORKSPACE_POLICY_FILE);
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch {
+      this._workspacePolicies.delete(filePath);
+      return null;
+    }
+    const cached = this._workspacePolicies.get(filePath);
+    if (cached?.mtimeMs === mtimeMs) return cached.policy;
+    const policy = loadWorkspacePolicy(workspacePath, this._loadCustomProfiles());
+    this._workspacePolicies.set(filePath, { mtimeMs, policy });
+    return policy;
+  }
+
   /**
    * Set a per-tool override
    */
@@ -167,23 +781,101 @@ export class PermissionManager {
     }
   }
 
+  /**
+   * Argument rules, keyed by tool pattern or group
+   * @returns {Object}
+   */
+  getRules() {
+    return { ...(this._load().rules || {}) };
+  }
+
+  /**
+   * Replace all argument rules. Throws if any rule is malformed.
+   */
+  setRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error('Permission rules must be an object keyed by tool');
+    }
+    for (const [key, rule] of Object.entries(rules)) {
+      const problem = validatePermissionRule(rule);
+      if (problem) throw new Error(`Invalid permission rule for ${key}: ${problem}`);
+    }
+    this._load();
+    this._data.rules = { ...rules };
+    this._save();
+  }
+
+  /**
+   * The argument rules of the profile, permissions.json and the app,
+   * merged into one set. The workspace policy is checked on its own,
+   * since it can only tighten.
+   * @param {Object} [context]
+   * @param {string} [context.appId]
+   * @returns {{ rules: Object, layerOf: Function }}
+   */
+  getEffectiveRules({ appId = null } = {}) {
+    this._load();
+    return mergeRuleLayers([
+      { layer: 'profile', rules: this.getActiveProfile().rules },
+      { layer: 'user', rules: this._data.rules },
+      { layer: 'app', rules: appId ? this._data.apps?.[appId]?.rules : null },
+    ]);
+  }
+
+  /**
+   * Set the argument rule for one tool pattern or group
+   */
+  setRule(toolKey, rule) {
+    this.setRules({ ...this.getRules(), [toolKey]: rule });
+  }
+
+  /**
+   * Remove the argument rule for a tool pattern or group
+   */
+  removeRule(toolKey) {
+    this._load();
+    if (this._data.rules?.[toolKey]) {
+      delete this._data.rules[toolKey];
+      this._save();
+    }
+  }
+
   /**
    * Store a session-level approval (cleared on session reset)
+   *
+   * @param {string} toolName - Tool to approve
+   * @param {string} [scope] - Session scope the approval is limited to. Without
+   *   one, the approval applies to every session.
    */
-  addSessionApproval(toolName) {
+  addSessionApproval(toolName, scope = null) {
     this._load();
     if (!this._data.sessionApprovals) this._data.sessionApprovals = {};
-    this._data.sessionApprovals[toolName.toLowerCase()] = {
+    const normalized = toolName.toLowerCase();
+    this._data.sessionApprovals[scope ? `${scope}:${normalized}` : normalized] = {
       approvedAt: new Date().toISOString(),
+      scope,
     };
   }
 
   /**
-   * Clear all session approvals (called on new session)
+   * Clear session approvals (called on new session)
+   *
+   * @param {string} [scope] - Only clear approvals for this session scope
    */
-  clearSessionApprovals() {
+  clearSessionApprovals(scope = null) {
     this._load();
-    this._data.sessionApprovals = {};
+    if (!scope) {
+      this._data.sessionApprovals = {};
+      return;
+    }
+    for (const [key, approval] of Object.entries(this._data.sessionApprovals || {})) {
+      if (approval?.scope === scope) delete this._data.sessionApprovals[key];
+    }
+  }
+
+  _hasSessionApproval(toolName, scope) {
+    const approvals = this._load().sessionApprovals || {};
+    return Boolean(approvals[toolName] || (scope && approvals[`${scope}:${toolName}`]));
   }
 
   /**
@@ -194,31 +886,61 @@ export class PermissionManager {
    * @param {string} [context.workspacePath] - Current workspace path
    * @param {string} [context.filePath] - File path being accessed (for workspace-scoped approvals)
    * @param {string} [context.appId] - App identifier for per-app permissions
-   * @returns {{ decision: string, source: string }}
+   * @param {string} [context.scope] - Session scope for session approvals
+   * @param {Object} [context.input] - Tool input, for argument rules
+   * @returns {{ decision: string, source: string, layer: string, rule?: string, pattern?: string|null }}
+   *   `layer` is where the decision came from: built-in, profile, user, app,
+   *   session or workspace
    */
   check(toolName, context = {}) {
     const normalized = (toolName || '').toLowerCase().trim();
+    const result = this._checkUserLayers(normalized, context);
+    const workspace = this._checkWorkspace(normalized, context);
+    if (!workspace || severityOf(workspace.decision) < severityOf(result.decision)) return result;
+    // When both ask, the workspace's "ask" is reported: nothing but the user may answer it
+    if (workspace.decision === result.decision && workspace.decision !== PERMISSION.ASK_FIRST) return result;
+
+    // The workspace policy decides. A session approval still answers its "ask".
+    if (workspace.decision === PERMISSION.ASK_FIRST && this._hasSessionApproval(normalized, context.scope)) {
+      return { decision: PERMISSION.AUTO_APPROVE, source: 'session', layer: 'session' };
+    }
+    return workspace;
+  }
 
+  _checkUserLayers(normalized, context) {
     // Always-safe tools
     if (ALWAYS_SAFE.has(normalized)) {
-      return { decision: PERMISSION.AUTO_APPROVE, source: 'always-safe' };
+      return { decision: PERMISSION.AUTO_APPROVE, source: 'always-safe', layer: 'built-in' };
     }
 
     this._load();
 
+    // Argument rules. Deny and allow decide here; a session approval can
+    // still answer an "ask" without prompting again.
+    const { rules, layerOf } = this.getEffectiveRules({ appId: context.appId });
+    const ruleMatch = evaluateArgumentRules(rules, normalized, context.input, {
+      workspacePath: context.workspacePath,
+    });
+    const ruleResult = ruleMatch && {
+      decision: ruleMatch.decision, source: 'rule', layer: layerOf(ruleMatch), rule: ruleMatch.rule, pattern: ruleMatch.pattern,
+    };
+    if (ruleResult && ruleResult.decision !== PERMISSION.ASK_FIRST) return ruleResult;
+
     // Session approvals (from user saying "allow" in this session)
-    if (this._data.sessionApprovals?.[normalized]) {
-      return { decision: PERMISSION.AUTO_APPROVE, source: 'session' };
+    if (this._hasSessionApproval(normalized, context.scope)) {
+      return { decision: PERMISSION.AUTO_APPROVE, source: 'session', layer: 'session' };
     }
 
+    if (ruleResult) return ruleResult;
+
     // Per-app permissions (for external clients)
     if (context.appId && this._data.apps?.[context.appId]?.permissions?.[normalized]) {
       const appPerm = this._data.apps[context.appId].permissions[normalized];
       if (appPerm === 'granted') {
-        return { decision: PERMISSION.AUTO_APPROVE, source: 'app' };
+        return { decision: PERMISSION.AUTO_APPROVE, source: 'app', layer: 'app' };
       }
       if (appPerm === 'denied') {
-        return { decision: PERMISSION.DENY, source: 'app' };
+        return { decision: PERMISSION.DENY, source: 'app', layer: 'app' };
       }
     }
 
@@ -227,33 +949,97 @@ export class PermissionManager {
       const override = this._data.overrides[normalized];
       // Handle workspace-scoped approvals
       if (override === PERMISSION.AUTO_APPROVE_IN_WORKSPACE && context.filePath && context.workspacePath) {
-        const normalizedFile = path.normalize(context.filePath);
-        const normalizedWorkspace = path.normalize(context.workspacePath);
-        if (normalizedFile.startsWith(normalizedWorkspace)) {
-          return { decision: PERMISSION.AUTO_APPROVE, source: 'override-in-workspace' };
+        if (isPathInside(path.resolve(context.workspacePath, context.filePath), context.workspacePath)) {
+          return { decision: PERMISSION.AUTO_APPROVE, source: 'override-in-workspace', layer: 'user' };
         }
-        return { decision: PERMISSION.ASK_FIRST, source: 'override-outside-workspace' };
+        return { decision: PERMISSION.ASK_FIRST, source: 'override-outside-workspace', layer: 'user' };
       }
-      return { decision: override, source: 'override' };
-    }
-
-    // Profile rules
-    const profile = PROFILES[this._data.profile] || PROFILES.developer;
-    if (profile.rules[normalized]) {
-      const rule = profile.rules[normalized];
-      if (rule === PERMISSION.AUTO_APPROVE_IN_WORKSPACE && context.filePath && context.workspacePath) {
-        const normalizedFile = path.normalize(context.filePath);
-        const normalizedWorkspace = path.normalize(context.workspacePath);
-        if (normalizedFile.startsWith(normalizedWorkspace)) {
-          return { decision: PERMISSION.AUTO_APPROVE, source: 'profile-in-workspace' };
-        }
-        return { decision: PERMISSION.ASK_FIRST, source: 'profile-outside-workspace' };
+      return { decision: override, source: 'override', layer: 'user' };
+    }
+
+    // Profile rules (tools the profile doesn't list ask)
+    return { ...profileDecision(this.getActiveProfile(), normalized, context), layer: 'profile' };
+  }
+
+  /**
+   * What the workspace policy says about a tool call, if it is stricter
+   * than allowing it.
+   */
+  _checkWorkspace(normalized, context) {
+    const policy = this.getWorkspacePolicy(context.workspacePath);
+    if (!policy) return null;
+    const base = { source: 'workspace', layer: 'workspace', policy: policy.path };
+    if (policy.error) return { ...base, decision: PERMISSION.ASK_FIRST, error: policy.error };
+
+    let profileMatch = null;
+    if (policy.profile) {
+      try {
+        profileMatch = { ...profileDecision(resolveProfile(policy.profile, this._loadCustomProfiles()), normalized, context), profile: policy.profile };
+      } catch (error) {
+        return { ...base, decision: PERMISSION.ASK_FIRST, error: error.message };
       }
-      return { decision: rule, source: 'profile' };
     }
+    const ruleMatch = evaluateArgumentRules(policy.rules, normalized, context.input, { workspacePath: context.workspacePath });
+    const toolMatch = lookupToolPermission(policy.tools, normalized);
+    const result = strictest([
+      ruleMatch && { decision: ruleMatch.decision, rule: ruleMatch.rule, pattern: ruleMatch.pattern },
+      toolMatch && { decision: toolMatch.decision, tool: toolMatch.tool },
+      profileMatch && { decision: profileMatch.decision, profile: profileMatch.profile },
+    ]);
+    return result && severityOf(result.decision) >= severityOf(PERMISSION.ASK_FIRST) ? { ...base, ...result } : null;
+  }
+
+  /**
+   * Explain a decision layer by layer. Takes the same context as check().
+   * Session approvals only exist inside a running runtime, so they are
+   * left out.
+   * @returns {{ result: Object, profile: Object, workspacePolicy: Object|null,
+   *   layers: Array<{ layer: string, decision: string|null, detail: string, decided: boolean }> }}
+   */
+  explain(toolName, context = {}) {
+    const normalized = (toolName || '').toLowerCase().trim();
+    const result = this.check(normalized, context);
+    const profile = this.getActiveProfile();
+    const { rules, layerOf } = this.getEffectiveRules({ appId: context.appId });
+    const ruleMatch = evaluateArgumentRules(rules, normalized, context.input, { workspacePath: context.workspacePath });
+    const appPermission = context.appId ? this._data.apps?.[context.appId]?.permissions?.[normalized] : null;
+    const override = this._data.overrides?.[normalized] || null;
+    const workspace = this._checkWorkspace(normalized, context);
+    const policy = this.getWorkspacePolicy(context.workspacePath);
 
-    // Default: ask
-    return { decision: PERMISSION.ASK_FIRST, source: 'default' };
+    const describeRule = (match) => `${match.rule}: ${match.pattern ? `"${match.pattern}"` : 'otherwise'}${match.value ? ` (${match.value})` : ''}`;
+    const describeWorkspace = () => {
+      if (!policy) return 'no .friday/permissions.json';
+      if (workspace?.error) return workspace.error;
+      if (workspace?.rule) return `rule ${describeRule(workspace)}`;
+      if (workspace?.tool) return `tools.${workspace.tool}`;
+      if (workspace?.profile) return `profile ${workspace.profile}`;
+      return 'nothing stricter';
+    };
+    const decidedBy = {
+      'always-safe': 'built-in', rule: 'rules', session: 'session', app: 'app', workspace: 'workspace',
+    }[result.source] || (result.source.startsWith('override') ? 'user' : 'profile');
+
+    const layers = [
+      ...(ALWAYS_SAFE.has(normalized) ? [{ layer: 'built-in', decision: PERMISSION.AUTO_APPROVE, detail: 'always safe' }] : []),
+      { layer: 'rules', decision: ruleMatch?.decision || null, detail: ruleMatch ? `${layerOf(ruleMatch)} rule ${describeRule(ruleMatch)}` : 'no rule applies' },
+      ...(result.source === 'session' ? [{ layer: 'session', decision: PERMISSION.AUTO_APPROVE, detail: 'approved for this session' }] : []),
+      {
+        layer: 'app',
+        decision: { granted: PERMISSION.AUTO_APPROVE, denied: PERMISSION.DENY }[appPermission] || null,
+        detail: context.appId ? `apps.${context.appId}` : 'no app',
+      },
+      { layer: 'user', decision: override, detail: override ? `overrides.${normalized}` : 'no override' },
+      { layer: 'profile', decision: profileDecision(profile, normalized, context).decision, detail: profile.chain.join(' → ') },
+      { layer: 'workspace', decision: workspace?.decision || null, detail: describeWorkspace() },
+    ].map((layer) => ({ ...layer, decided: layer.layer === decidedBy }));
+
+    return {
+      result,
+      profile: { name: profile.name, chain: profile.chain, builtIn: profile.builtIn },
+      workspacePolicy: policy ? { path: policy.path, profile: policy.profile, ignored: policy.ignored, error: policy.error } : null,
+      layers,
+    };
   }
 
   /**
@@ -154,6 +154,21 @@ export class PluginManager {
 
   // ── Credential helpers ───────────────────────────────────────────────
 
+  /**
+   * Stored credentials of every installed plugin.
+   * Returns { pluginId: { ENV_VAR: value } }
+   */
+  getStoredCredentials() {
+    const installed = this._loadInstalled();
+    const result = {};
+    for (const [id, meta] of Object.entries(installed.plugins)) {
+      if (meta?.credentials && Object.keys(meta.credentials).length > 0) {
+        result[id] = { ...meta.credentials };
+      }
+    }
+    return result;
+  }
+
   /**
    * Build env var map from user-provided credential values and manifest.
    * @param {Object} manifest - Plugin manifest
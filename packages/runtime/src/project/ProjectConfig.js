@@ -0,0 +1,248 @@
+/**
+ * ProjectConfig — Per-project settings in <workspace>/.friday/config.json
+ *
+ * A project can commit the settings Friday should use when it works in it:
+ *
+ *   {
+ *     "agent": "backend-developer",
+ *     "model": "claude-sonnet-4-5",
+ *     "skills": ["api-design"],
+ *     "template": "nodejs-development",
+ *     "mcpServers": {
+ *       "postgres": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-postgres", "${DATABASE_URL}"] }
+ *     },
+ *     "rules": [{ "id": "test_after_edit", "triggers": { "editedFiles": ["src/**"] },
+ *                 "actions": [{ "type": "run_command", "command": "npm test" }] }]
+ *   }
+ *
+ * loadBackendConfig merges it over the global configuration: its MCP servers
+ * over the user's and the plugins', its rules after the built-in ones. The
+ * runtime applies the agent role, model, skills and template to queries.
+ *
+ * MCP servers run commands, so a project config is only used once the user
+ * trusts it. Answers are kept in ~/.friday/trusted-projects.json, tied to a
+ * hash of the file: when the file changes, Friday asks again.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateRule } from '../rules/AutomationRules.js';
+import { redactSecrets } from '../sandbox/SecretRedactor.js';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const TRUST_FILE = path.join(CONFIG_DIR, 'trusted-projects.json');
+
+export const PROJECT_CONFIG_FILE = path.join('.friday', 'config.json');
+
+export const PROJECT_TRUST = {
+  TRUSTED: 'trusted',
+  UNTRUSTED: 'untrusted',
+  // Never answered, or the file changed since it was
+  UNKNOWN: 'unknown',
+};
+
+const STRING_SETTINGS = ['agent', 'model', 'template'];
+// Everything else in an MCP server definition is dropped; the trust prompt
+// shows all of these
+const MCP_SERVER_FIELDS = ['command', 'args', 'env', 'cwd'];
+
+function validateMcpServer(definition) {
+  if (!definition?.command || typeof definition.command !== 'string') return 'has no command';
+  const unknown = Object.keys(definition).find((key) => !MCP_SERVER_FIELDS.includes(key));
+  if (unknown) return `has unknown field "${unknown}"`;
+  if (definition.args !== undefined && !(Array.isArray(definition.args) && definition.args.every((arg) => typeof arg === 'string'))) {
+    return 'args must be a list of strings';
+  }
+  if (definition.env !== undefined && !(definition.env && typeof definition.env === 'object' && !Array.isArray(definition.env)
+    && Object.values(definition.env).every((value) => typeof value === 'string'))) {
+    return 'env must be an object of strings';
+  }
+  if (definition.cwd !== undefined && typeof definition.cwd !== 'string') return 'cwd must be a string';
+  return null;
+}
+
+/**
+ * Check a project config and keep the settings that can be used.
+ * @returns {{ settings: Object, problems: string[] }}
+ */
+export function validateProjectConfig(raw) {
+  const settings = {};
+  const problems = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { settings, problems: ['must be a JSON object'] };
+  }
+  for (const key of STRING_SETTINGS) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] === 'string' && raw[key].trim()) settings[key] = raw[key].trim();
+    else problems.push(`${key} must be a string`);
+  }
+  if (raw.skills !== undefined) {
+    if (Array.isArray(raw.skills) && raw.skills.every((id) => typeof id === 'string')) settings.skills = raw.skills;
+    else problems.push('skills must be a list of skill ids');
+  }
+  if (raw.mcpServers !== undefined) {
+    if (raw.mcpServers && typeof raw.mcpServers === 'object' && !Array.isArray(raw.mcpServers)) {
+      settings.mcpServers = {};
+      for (const [name, definition] of Object.entries(raw.mcpServers)) {
+        const problem = validateMcpServer(definition);
+        if (problem) problems.push(`MCP server ${name} ${problem}`);
+        else settings.mcpServers[name] = definition;
+      }
+    } else {
+      problems.push('mcpServers must be an object keyed by server name');
+    }
+  }
+  if (raw.rules !== undefined) {
+    if (Array.isArray(raw.rules)) {
+      settings.rules = raw.rules.filter((rule) => {
+        const problem = validateRule(rule);
+        if (problem) problems.push(`rule ${problem}`);
+        return !problem;
+      });
+    } else {
+      problems.push('rules must be a list');
+    }
+  }
+  for (const key of Object.keys(raw)) {
+    if (![...STRING_SETTINGS, 'skills', 'mcpServers', 'rules'].includes(key)) problems.push(`unknown setting "${key}"`);
+  }
+  return { settings, problems };
+}
+
+/**
+ * What trusting a project config would allow, for the trust prompt. MCP
+ * servers include their env and cwd, which can change what the command
+ * runs (NODE_OPTIONS, PATH); secret-shaped values are redacted.
+ */
+export function describeProjectConfig(settings = {}) {
+  return {
+    agent: settings.agent || null,
+    model: settings.model || null,
+    skills: settings.skills || [],
+    template: settings.template || null,
+    mcpServers: Object.entries(settings.mcpServers || {}).map(([name, definition]) => ({
+      name,
+      command: [definition.command, ...(definition.args || [])].join(' '),
+      env: Object.entries(definition.env || {}).map(([key, value]) => `${key}=${redactSecrets(value)}`),
+      cwd: definition.cwd || null,
+    })),
+    rules: (settings.rules || []).map((rule) => ({
+      id: rule.id,
+      commands: (rule.actions || []).filter((action) => action.type === 'run_command').map((action) => action.command),
+    })),
+  };
+}
+
+export class ProjectTrustStore {
+  constructor({ filePath = TRUST_FILE } = {}) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  _write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+  }
+
+  static key(workspacePath) {
+    try {
+      return fs.realpathSync(workspacePath);
+    } catch {
+      return path.resolve(workspacePath);
+    }
+  }
+
+  /**
+   * The recorded answer for a workspace, if it was given for this hash.
+   * @returns {string} One of PROJECT_TRUST
+   */
+  decision(workspacePath, hash) {
+    const entry = this._read()[ProjectTrustStore.key(workspacePath)];
+    if (!entry || entry.hash !== hash) return PROJECT_TRUST.UNKNOWN;
+    return entry.trusted ? PROJECT_TRUST.TRUSTED : PROJECT_TRUST.UNTRUSTED;
+  }
+
+  /**
+   * Record whether the config with this hash is trusted.
+   */
+  set(workspacePath, hash, trusted) {
+    const data = this._read();
+    data[ProjectTrustStore.key(workspacePath)] = { hash, trusted: Boolean(trusted), decidedAt: new Date().toISOString() };
+    this._write(data);
+  }
+
+  /**
+   * Forget the answer for a workspace, so Friday asks again.
+   * @returns {boolean} Whether there was one
+   */
+  forget(workspacePath) {
+    const data = this._read();
+    const key = ProjectTrustStore.key(workspacePath);
+    if (!data[key]) return false;
+    delete data[key];
+    this._write(data);
+    return true;
+  }
+
+  list() {
+    return Object.entries(this._read()).map(([workspacePath, entry]) => ({ workspacePath, ...entry }));
+  }
+}
+
+const defaultTrustStore = new ProjectTrustStore();
+
+/**
+ * Read a workspace's project config and whether it is trusted.
+ * @param {string} workspacePath
+ * @param {Object} [options]
+ * @param {ProjectTrustStore} [options.trustStore]
+ * @returns {{ path: string, workspacePath: string, hash: string, trust: string,
+ *   settings: Object, problems: string[], error: string|null }|null} null when the project has none
+ */
+export function loadProjectConfig(workspacePath, { trustStore = defaultTrustStore } = {}) {
+  if (!workspacePath) return null;
+  const filePath = path.join(workspacePath, PROJECT_CONFIG_FILE);
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    return { path: filePath, workspacePath, hash: null, trust: PROJECT_TRUST.UNTRUSTED, settings: {}, problems: [], error: error.message };
+  }
+  const hash = crypto.createHash('sha256').update(text).digest('hex');
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { path: filePath, workspacePath, hash, trust: PROJECT_TRUST.UNTRUSTED, settings: {}, problems: [], error: `invalid JSON: ${error.message}` };
+  }
+  const { settings, problems } = validateProjectConfig(raw);
+  return { path: filePath, workspacePath, hash, trust: trustStore.decision(workspacePath, hash), settings, problems, error: null };
+}
+
+/**
+ * The settings of a project config that may be used: all of them once it
+ * is trusted, none before.
+ */
+export function trustedProjectSettings(project) {
+  return project?.trust === PROJECT_TRUST.TRUSTED ? project.settings : {};
+}
+
+/**
+ * A trusted project's automation rules, marked with where they come from.
+ */
+export function projectRules(project) {
+  return (trustedProjectSettings(project).rules || []).map((rule) => ({ ...rule, source: 'project', file: project.path }));
+}
+
+export default defaultTrustStore;
@@ -5,13 +5,35 @@
  * Claude API pricing. Also tracks multi-modal provider costs
  * (image gen, TTS, etc.) when reported by provider adapters.
  *
+ * With a `costsDir` (the default instance uses ~/.friday/costs/), every
+ * cost is also appended to a monthly ledger (ledger-YYYY-MM.jsonl) so spend
+ * survives restarts and is shared between processes, and spend can be
+ * checked against the budgets in budgets.json:
+ *
+ *   { "daily": 5, "monthly": 50, "session": 2, "agentRun": 0.5,
+ *     "agents": { "<agent-id>": 1 }, "onExceed": "ask" }
+ *
+ * `agentRun` (or the per-agent override) limits a single scheduled run.
+ * `onExceed` is "ask" (prompt before going over) or "deny". Days and months
+ * (the daily budget, the ledger files) follow the local time zone.
+ *
  * Usage:
  *   const tracker = new CostTracker();
  *   tracker.recordTokenUsage(sessionId, usage);
  *   tracker.recordProviderCost(sessionId, { provider: 'openai', capability: 'image-gen', cost: 0.04 });
  *   const summary = tracker.getSessionCost(sessionId);
+ *   const check = tracker.checkBudget(0.04, { sessionId });
  */
 
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const COSTS_DIR = path.join(CONFIG_DIR, 'costs');
+
+export const BUDGET_NAMES = ['daily', 'monthly', 'session', 'agentRun'];
+
 // Claude API pricing (USD per million tokens) — updated Feb 2026
 const CLAUDE_PRICING = {
   'claude-sonnet-4-5-20250929': { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
@@ -21,10 +43,66 @@ const CLAUDE_PRICING = {
   default: { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
 };
 
+// Models served by other backends (see BackendRegistry): provider and pricing
+const REGISTERED_MODELS = new Map();
+
+/**
+ * Register a non-Claude model so its token usage is priced and attributed to
+ * the right provider. Without pricing, the default Claude pricing is used.
+ * @param {string} model - Model ID
+ * @param {Object} info - { provider, pricing: { input, output } } (USD per million tokens)
+ */
+export function registerModel(model, { provider, pricing = null } = {}) {
+  REGISTERED_MODELS.set(model, {
+    provider,
+    pricing: pricing ? { cacheWrite: pricing.input, cacheRead: pricing.input, ...pricing } : null,
+  });
+}
+
+/**
+ * Cost of one API call's token usage.
+ * @param {Object} usage - { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ * @param {string} [model] - Model ID for pricing lookup
+ * @returns {number} Cost in USD
+ */
+export function calculateTokenCost(usage, model) {
+  const pricing = CLAUDE_PRICING[model] || REGISTERED_MODELS.get(model)?.pricing || CLAUDE_PRICING.default;
+  return ((usage.input_tokens || 0) / 1_000_000) * pricing.input +
+    ((usage.output_tokens || 0) / 1_000_000) * pricing.output +
+    ((usage.cache_creation_input_tokens || 0) / 1_000_000) * pricing.cacheWrite +
+    ((usage.cache_read_input_tokens || 0) / 1_000_000) * pricing.cacheRead;
+}
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Local YYYY-MM of a date; ledger files and the monthly budget use it.
+ */
+export function monthKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+}
+
+/**
+ * Local YYYY-MM-DD of a date, so the daily budget resets at local midnight.
+ */
+export function dayKey(date = new Date()) {
+  return `${monthKey(date)}-${pad(date.getDate())}`;
+}
+
+function emptyTotals(month) {
+  return { month, offset: 0, byDay: {}, bySession: {}, byRun: {}, byAgent: {}, byProvider: {}, total: 0 };
+}
+
 export class CostTracker {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.costsDir] - Ledger and budgets directory (in-memory only if omitted)
+   */
+  constructor({ costsDir = null } = {}) {
     // sessionId → { tokens, providerCosts, totalEstimatedCost }
     this._sessions = new Map();
+    this.costsDir = costsDir;
+    this._ledgerTotals = null;
   }
 
   _ensureSession(sessionId) {
@@ -45,12 +123,13 @@ export class CostTracker {
   }
 
   /**
-   * Record Claude API token usage for a session.
+   * Record LLM token usage for a session.
    * @param {string} sessionId
    * @param {Object} usage - { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
    * @param {string} [model] - Model ID for pricing lookup
+   * @param {Object} [attribution] - { agentId, runId } for scheduled runs
    */
-  recordTokenUsage(sessionId, usage, model) {
+  recordTokenUsage(sessionId, usage, model, attribution = {}) {
     const session = this._ensureSession(sessionId);
 
     const inputTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
@@ -63,21 +142,24 @@ export class CostTracker {
     session.tokens.cacheCreation += cacheCreation;
     session.tokens.cacheRead += cacheRead;
 
-    // Calculate cost
-    const pricing = CLAUDE_PRICING[model] || CLAUDE_PRICING.default;
-    const cost =
-      ((usage.input_tokens || 0) / 1_000_000) * pricing.input +
-      (outputTokens / 1_000_000) * pricing.output +
-      ((usage.cache_creation_input_tokens || 0) / 1_000_000) * pricing.cacheWrite +
-      ((usage.cache_read_input_tokens || 0) / 1_000_000) * pricing.cacheRead;
-
+    const cost = calculateTokenCost(usage, model);
     session.claudeCost += cost;
+
+    this._appendLedger({
+      sessionId,
+      kind: 'tokens',
+      provider: REGISTERED_MODELS.get(model)?.provider || 'anthropic',
+      model: model || null,
+      tokens: { input: inputTokens, output: outputTokens },
+      cost,
+      ...attribution,
+    });
   }
 
   /**
    * Record a cost from a multi-modal provider (image gen, TTS, etc.).
    * @param {string} sessionId
-   * @param {Object} entry - { provider, capability, model, cost, metadata }
+   * @param {Object} entry - { provider, capability, model, cost, metadata, agentId?, runId? }
    */
   recordProviderCost(sessionId, entry) {
     const session = this._ensureSession(sessionId);
@@ -86,6 +168,9 @@ export class CostTracker {
       timestamp: new Date().toISOString(),
     });
     session.totalProviderCost += entry.cost || 0;
+
+    const { metadata, ...ledgerEntry } = entry;
+    this._appendLedger({ sessionId, kind: 'provider', ...ledgerEntry, cost: entry.cost || 0 });
   }
 
   /**
@@ -137,6 +222,246 @@ export class CostTracker {
     };
   }
 
+  // ── Ledger ──────────────────────────────────────────────────────────
+
+  _ledgerPath(month = monthKey()) {
+    return path.join(this.costsDir, `ledger-${month}.jsonl`);
+  }
+
+  _appendLedger(entry) {
+    if (!this.costsDir || !(entry.cost > 0)) return;
+    try {
+      fs.mkdirSync(this.costsDir, { recursive: true });
+      const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+      fs.appendFileSync(this._ledgerPath(), `${line}\n`, { mode: 0o600 });
+    } catch (error) {
+      console.error(`[CostTracker] Failed to write ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bring the month totals up to date with the ledger. Other processes
+   * append to the same file, so only the bytes added since the last sync
+   * are read.
+   */
+  _syncLedger() {
+    const month = monthKey();
+    if (!this._ledgerTotals || this._ledgerTotals.month !== month) {
+      this._ledgerTotals = emptyTotals(month);
+    }
+    const totals = this._ledgerTotals;
+    if (!this.costsDir) return totals;
+
+    const file = this._ledgerPath(month);
+    let size;
+    try {
+      size = fs.statSync(file).size;
+    } catch {
+      return totals;
+    }
+    if (size <= totals.offset) return totals;
+
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buffer = Buffer.alloc(size - totals.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, totals.offset);
+      const text = buffer.toString('utf8');
+      // Leave a partially written last line for the next sync
+      const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+      totals.offset += Buffer.byteLength(complete);
+      for (const line of complete.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this._addToTotals(totals, JSON.parse(line));
+        } catch {
+          // skip corrupt line
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return totals;
+  }
+
+  _addToTotals(totals, entry) {
+    const cost = entry.cost || 0;
+    const add = (bucket, key) => {
+      if (key) bucket[key] = (bucket[key] || 0) + cost;
+    };
+    add(totals.byDay, entry.timestamp ? dayKey(new Date(entry.timestamp)) : null);
+    add(totals.bySession, entry.sessionId);
+    add(totals.byRun, entry.runId);
+    add(totals.byAgent, entry.agentId);
+    add(totals.byProvider, entry.provider);
+    totals.total += cost;
+  }
+
+  /**
+   * Ledger entries for a month, oldest first.
+   * @param {string} [month] - YYYY-MM (default: current month)
+   * @returns {Object[]}
+   */
+  getLedgerEntries(month = monthKey()) {
+    if (!this.costsDir) return [];
+    try {
+      return fs.readFileSync(this._ledgerPath(month), 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .flatMap(line => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            return [];
+          }
+        });
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * All-time spend per session, summed over every monthly ledger.
+   * @returns {Object<string, number>} sessionId → USD
+   */
+  getSpendBySession() {
+    const totals = {};
+    if (!this.costsDir) return totals;
+    let files;
+    try {
+      files = fs.readdirSync(this.costsDir).filter(file => /^ledger-\d{4}-\d{2}\.jsonl$/.test(file));
+    } catch {
+      return totals;
+    }
+    for (const file of files) {
+      for (const entry of this.getLedgerEntries(file.slice('ledger-'.length, -'.jsonl'.length))) {
+        if (entry.sessionId) totals[entry.sessionId] = (totals[entry.sessionId] || 0) + (entry.cost || 0);
+      }
+    }
+    return totals;
+  }
+
+  // ── Budgets ─────────────────────────────────────────────────────────
+
+  _budgetsPath() {
+    return path.join(this.costsDir, 'budgets.json');
+  }
+
+  /**
+   * Configured budgets (USD). Unset budgets are null.
+   * @returns {{ daily, monthly, session, agentRun, agents, onExceed }}
+   */
+  getBudgets() {
+    let stored = {};
+    if (this.costsDir) {
+      try {
+        stored = JSON.parse(fs.readFileSync(this._budgetsPath(), 'utf8'));
+      } catch {
+        // no budgets yet
+      }
+    }
+    return {
+      daily: stored.daily ?? null,
+      monthly: stored.monthly ?? null,
+      session: stored.session ?? null,
+      agentRun: stored.agentRun ?? null,
+      agents: stored.agents || {},
+      onExceed: stored.onExceed === 'deny' ? 'deny' : 'ask',
+    };
+  }
+
+  /**
+   * Set or clear (amount null) a budget.
+   * @param {string} name - One of BUDGET_NAMES, or 'agent' with options.agentId
+   * @param {number|null} amount - Limit in USD
+   * @param {Object} [options] - { agentId }
+   */
+  setBudget(name, amount, { agentId = null } = {}) {
+    if (!this.costsDir) throw new Error('Budgets need a costs directory');
+    if (amount !== null && !(Number.isFinite(amount) && amount >= 0)) {
+      throw new Error(`Invalid budget amount: ${amount}`);
+    }
+    const budgets = this.getBudgets();
+    if (name === 'agent') {
+      if (!agentId) throw new Error('agentId required for an agent budget');
+      if (amount === null) delete budgets.agents[agentId];
+      else budgets.agents[agentId] = amount;
+    } else if (BUDGET_NAMES.includes(name)) {
+      budgets[name] = amount;
+    } else {
+      throw new Error(`Unknown budget: ${name}. Use one of: ${[...BUDGET_NAMES, 'agent'].join(', ')}`);
+    }
+    this._writeBudgets(budgets);
+    return budgets;
+  }
+
+  /**
+   * What happens when a paid call would exceed a budget: 'ask' or 'deny'.
+   */
+  setOnExceed(mode) {
+    if (!['ask', 'deny'].includes(mode)) throw new Error(`onExceed must be "ask" or "deny"`);
+    const budgets = this.getBudgets();
+    budgets.onExceed = mode;
+    this._writeBudgets(budgets);
+    return budgets;
+  }
+
+  _writeBudgets(budgets) {
+    fs.mkdirSync(this.costsDir, { recursive: true });
+    fs.writeFileSync(this._budgetsPath(), JSON.stringify(budgets, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Check whether spending `amount` more stays within every applicable budget.
+   *
+   * @param {number} amount - Estimated cost of the next call (0 to check current spend)
+   * @param {Object} [scope] - { sessionId, agentId, runId }
+   * @returns {{ allowed: boolean, exceeded: Array<{ budget, limit, spent }>, onExceed: string }}
+   */
+  checkBudget(amount, { sessionId = null, agentId = null, runId = null } = {}) {
+    const budgets = this.getBudgets();
+    const spend = this.getSpend({ sessionId, runId });
+    const runLimit = agentId ? (budgets.agents[agentId] ?? budgets.agentRun) : null;
+
+    const limits = [
+      ['daily', budgets.daily, spend.today],
+      ['monthly', budgets.monthly, spend.month],
+      ['session', sessionId ? budgets.session : null, spend.session],
+      ['agentRun', runId ? runLimit : null, spend.run],
+    ];
+    const exceeded = limits
+      .filter(([, limit, spent]) => limit != null && spent + amount > limit)
+      .map(([budget, limit, spent]) => ({ budget, limit, spent }));
+
+    return { allowed: exceeded.length === 0, exceeded, onExceed: budgets.onExceed };
+  }
+
+  /**
+   * Spend so far from the ledger (current month).
+   * @param {Object} [scope] - { sessionId, runId }
+   * @returns {{ today, month, session, run, byProvider, byAgent }}
+   */
+  getSpend({ sessionId = null, runId = null } = {}) {
+    const totals = this._syncLedger();
+    return {
+      today: totals.byDay[dayKey()] || 0,
+      month: totals.total,
+      session: sessionId ? totals.bySession[sessionId] || 0 : 0,
+      run: runId ? totals.byRun[runId] || 0 : 0,
+      byProvider: { ...totals.byProvider },
+      byAgent: { ...totals.byAgent },
+    };
+  }
+
+  /**
+   * Human-readable reason for a failed budget check.
+   */
+  static describeExceeded(exceeded) {
+    const labels = { daily: 'daily', monthly: 'monthly', session: 'session', agentRun: 'agent run' };
+    return exceeded
+      .map(e => `${labels[e.budget] || e.budget} budget of $${e.limit.toFixed(2)} (spent $${e.spent.toFixed(2)})`)
+      .join(', ');
+  }
+
   /**
    * Format cost as human-readable string.
    */
@@ -153,4 +478,4 @@ export class CostTracker {
   }
 }
 
-export default new CostTracker();
+export default new CostTracker({ costsDir: COSTS_DIR });
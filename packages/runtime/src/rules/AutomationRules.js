@@ -0,0 +1,388 @@
+/**
+ * AutomationRules — Loading and matching the rules that follow up on queries
+ *
+ * Rules come from three places. A rule replaces an earlier one with the same id:
+ *
+ *   rules/rules.json                    Built in
+ *   ~/.friday/rules/*.json              The user's
+ *   <workspace>/.friday/rules/*.json    The project's
+ *
+ * Each file holds `{ "rules": [...] }` or a bare array. A rule matches when
+ * all of its `triggers` do. Actions in `prompt.actions` are offered to the
+ * user as buttons; actions in `actions` run as soon as the rule matches:
+ *
+ *   {
+ *     "id": "test_after_edit",
+ *     "triggers": { "editedFiles": ["src/**"] },
+ *     "actions": [{ "type": "run_command", "command": "npm test" }]
+ *   }
+ *
+ * Triggers:
+ *   event              "query_complete" (default) or "session_end"
+ *   minCreatedFiles    At least this many files were created or edited
+ *   extensions         One of them has one of these extensions
+ *   requireTools       One of these tools was used
+ *   artifactTypes      web_app, backend_service, code or node_project was detected
+ *   toolFailed         A tool call failed: true, or patterns of the tools to watch
+ *   commandExitCode    A shell command exited with this code, one of a list, or "nonzero"
+ *   editedFiles        Globs of files written or edited, relative to the workspace.
+ *                      A glob without "/" matches the file name in any directory
+ *   minQueryCostUsd    The query cost at least this much
+ *   minSessionCostUsd  The session has cost at least this much
+ *
+ * Actions:
+ *   followup_prompt        Send `promptTemplate` as the next query
+ *   invoke_skill           Send `promptTemplate` (or a default) with `skill` active
+ *   run_command            Run `command` in the workspace, through the permission gate
+ *   notify                 Show `title` and `message` to the user
+ *   start_scheduled_agent  Run the scheduled agent `agentId` now
+ *   dismiss                Nothing
+ *
+ * Prompts, messages and commands can use {{placeholders}} such as
+ * {{createdFilesSentence}}, {{editedFileList}}, {{failedTools}}, {{exitCode}}
+ * and {{sessionCostUsd}}.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { matchesToolPattern } from '../permissions/PermissionManager.js';
+import { globToRegExp } from '../sandbox/CommandPolicy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUILT_IN_RULES = path.resolve(__dirname, '..', '..', 'rules', 'rules.json');
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+
+export const RULE_EVENTS = ['query_complete', 'session_end'];
+export const RULE_ACTION_TYPES = ['followup_prompt', 'invoke_skill', 'run_command', 'notify', 'start_scheduled_agent', 'dismiss'];
+
+// Actions that start a query, which only makes sense while the session is open
+export const QUERY_ACTION_TYPES = new Set(['followup_prompt', 'invoke_skill']);
+
+const COMMAND_TOOLS = new Set(['bash', 'execute_command']);
+
+// Tool name (without its mcp__server__ prefix) → input field holding the file it writes
+const FILE_TOOL_TARGETS = {
+  write: 'file_path',
+  filewrite: 'file_path',
+  createfile: 'file_path',
+  edit: 'file_path',
+  fileedit: 'file_path',
+  editfile: 'file_path',
+  multiedit: 'file_path',
+  notebookedit: 'notebook_path',
+  write_file: 'path',
+  edit_file: 'path',
+  move_file: 'destination',
+};
+
+function bareToolName(toolName) {
+  const name = String(toolName || '').toLowerCase();
+  const separator = name.lastIndexOf('__');
+  return separator === -1 ? name : name.slice(separator + 2);
+}
+
+/**
+ * Read one rules file. Problems are logged and the file's rules skipped.
+ * @returns {Object[]}
+ */
+export function readRuleFile(filePath, source = 'builtin') {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+    if (!Array.isArray(rules)) {
+      console.error(`[Rules] ${filePath} has no rules array`);
+      return [];
+    }
+    return rules.filter((rule) => {
+      const problem = validateRule(rule);
+      if (problem) console.error(`[Rules] Skipping a rule in ${filePath}: ${problem}`);
+      return !problem;
+    }).map((rule) => ({ ...rule, source, file: filePath }));
+  } catch (error) {
+    console.error(`[Rules] Failed to load ${filePath}: ${error.message}`);
+    return [];
+  }
+}
+
+export function loadBuiltInRules() {
+  return readRuleFile(BUILT_IN_RULES);
+}
+
+/**
+ * Directories searched for user and workspace rules.
+ * @returns {{ source: string, dir: string }[]}
+ */
+export function getRuleDirectories(workspacePath = null) {
+  const dirs = [{ source: 'user', dir: path.join(CONFIG_DIR, 'rules') }];
+  if (workspacePath) {
+    dirs.push({ source: 'workspace', dir: path.join(workspacePath, '.friday', 'rules') });
+  }
+  return dirs;
+}
+
+/**
+ * All rules that apply in a workspace: the base rules (built-in ones by
+ * default), then the user's, then the workspace's.
+ * @param {Object} [options]
+ * @param {string} [options.workspacePath]
+ * @param {Object[]} [options.baseRules]
+ * @returns {Object[]}
+ */
+export function loadAutomationRules({ workspacePath = null, baseRules = null } = {}) {
+  const byId = new Map();
+  const add = (rule) => {
+    byId.delete(rule.id);
+    byId.set(rule.id, rule);
+  };
+  (baseRules || loadBuiltInRules()).forEach(add);
+  for (const { source, dir } of getRuleDirectories(workspacePath)) {
+    if (!fs.existsSync(dir)) continue;
+    const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+    for (const file of files) {
+      readRuleFile(path.join(dir, file), source).forEach(add);
+    }
+  }
+  return Array.from(byId.values());
+}
+
+/**
+ * @returns {string|null} What is wrong with a rule, or null if it is usable
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'not an object';
+  if (!rule.id) return 'missing id';
+  if (!rule.triggers || typeof rule.triggers !== 'object') return `${rule.id} has no triggers`;
+  const event = rule.triggers.event || 'query_complete';
+  if (!RULE_EVENTS.includes(event)) return `${rule.id} has unknown event "${event}"`;
+  for (const action of [...(rule.prompt?.actions || []), ...(rule.actions || [])]) {
+    const type = action.type || 'dismiss';
+    if (!RULE_ACTION_TYPES.includes(type)) return `${rule.id} has unknown action type "${type}"`;
+    if (type === 'run_command' && !action.command) return `${rule.id} has a run_command action without a command`;
+    if (type === 'invoke_skill' && !action.skill) return `${rule.id} has an invoke_skill action without a skill`;
+    if (type === 'start_scheduled_agent' && !action.agentId) return `${rule.id} has a start_scheduled_agent action without an agentId`;
+  }
+  return null;
+}
+
+/**
+ * Exit code of a shell command from its tool result text. The terminal
+ * server and the Bash tool only mention non-zero codes.
+ * @returns {number|null} null if a failed result does not say
+ */
+export function commandExitCode(content, isError = false) {
+  const text = typeof content === 'string'
+    ? content
+    : Array.isArray(content) ? content.map((block) => block?.text || '').join('\n') : '';
+  const match = text.match(/exit code:?\s*(-?\d+)/i);
+  if (match) return Number(match[1]);
+  return isError ? null : 0;
+}
+
+/**
+ * File a tool call writes, if it is a file tool.
+ */
+export function editedFilePath(toolName, input) {
+  const field = FILE_TOOL_TARGETS[bareToolName(toolName)];
+  const target = field ? input?.[field] : null;
+  return typeof target === 'string' && target ? target : null;
+}
+
+/**
+ * Note how a tool call ended on a query context: its failure, the exit code
+ * of a shell command and the file it wrote. Calls reported twice (as a
+ * result and by a failure hook) count once.
+ * @param {Object} context - Query context with toolUses, toolResults and editedFiles
+ * @param {Object} outcome - { toolUseId, toolName, input, isError, content }
+ */
+export function recordToolOutcome(context, { toolUseId = null, toolName = null, input = null, isError = false, content = null }) {
+  if (!context) return;
+  if (toolUseId && context.toolResults.some((result) => result.toolUseId === toolUseId)) return;
+  const toolUse = toolUseId ? context.toolUses.find((entry) => entry.toolUseId === toolUseId) : null;
+  const name = String(toolName || toolUse?.name || 'tool').toLowerCase();
+  const toolInput = input || toolUse?.input || null;
+  const isCommand = COMMAND_TOOLS.has(bareToolName(name));
+  context.toolResults.push({
+    toolUseId,
+    name,
+    isError: Boolean(isError),
+    command: isCommand ? toolInput?.command || null : null,
+    exitCode: isCommand ? commandExitCode(content, isError) : null,
+  });
+  const filePath = isError ? null : editedFilePath(name, toolInput);
+  if (filePath) {
+    const absolute = path.resolve(context.workspacePath || process.cwd(), filePath);
+    if (!context.editedFiles.includes(absolute)) context.editedFiles.push(absolute);
+  }
+}
+
+function matchesFileGlob(glob, filePath, workspacePath) {
+  const relative = workspacePath ? path.relative(workspacePath, filePath) : filePath;
+  const candidate = (relative.startsWith('..') ? filePath : relative).split(path.sep).join('/');
+  const regex = globToRegExp(glob, { paths: true });
+  return glob.includes('/') ? regex.test(candidate) : regex.test(path.posix.basename(candidate));
+}
+
+function exitCodeMatches(expected, code) {
+  if (code === null || code === undefined) return false;
+  if (expected === 'nonzero') return code !== 0;
+  return (Array.isArray(expected) ? expected : [expected]).map(Number).includes(code);
+}
+
+/**
+ * Whether a rule's triggers all match a query (or session) context.
+ */
+export function ruleMatchesContext(rule, context) {
+  if (!rule?.triggers || !context) {
+    return false;
+  }
+  const triggers = rule.triggers;
+  if ((triggers.event || 'query_complete') !== (context.event || 'query_complete')) {
+    return false;
+  }
+  if (typeof triggers.minCreatedFiles === 'number' && context.createdFiles.length < triggers.minCreatedFiles) {
+    return false;
+  }
+  if (Array.isArray(triggers.extensions) && triggers.extensions.length > 0) {
+    const hasExtension = triggers.extensions.some((ext) => context.fileExtensions.has(ext));
+    if (!hasExtension) {
+      return false;
+    }
+  }
+  if (Array.isArray(triggers.requireTools) && triggers.requireTools.length > 0) {
+    const toolNames = context.toolUses.map((entry) => entry.name);
+    const hasRequiredTool = triggers.requireTools.some((tool) => toolNames.includes(tool.toLowerCase()));
+    if (!hasRequiredTool) {
+      return false;
+    }
+  }
+  if (Array.isArray(triggers.artifactTypes) && triggers.artifactTypes.length > 0) {
+    const artifacts = context.detectedArtifacts;
+    const hasArtifact = triggers.artifactTypes.some((type) => artifacts.has(type));
+    if (!hasArtifact) {
+      return false;
+    }
+  }
+  const results = context.toolResults || [];
+  if (triggers.toolFailed) {
+    const patterns = Array.isArray(triggers.toolFailed) ? triggers.toolFailed : null;
+    const failed = results.some((result) => result.isError
+      && (!patterns || patterns.some((pattern) => matchesToolPattern(pattern, result.name))));
+    if (!failed) {
+      return false;
+    }
+  }
+  if (triggers.commandExitCode !== undefined) {
+    if (!results.some((result) => exitCodeMatches(triggers.commandExitCode, result.exitCode))) {
+      return false;
+    }
+  }
+  if (Array.isArray(triggers.editedFiles) && triggers.editedFiles.length > 0) {
+    const edited = (context.editedFiles || []).some((filePath) =>
+      triggers.editedFiles.some((glob) => matchesFileGlob(glob, filePath, context.workspacePath)));
+    if (!edited) {
+      return false;
+    }
+  }
+  if (typeof triggers.minQueryCostUsd === 'number' && (context.queryCostUsd || 0) < triggers.minQueryCostUsd) {
+    return false;
+  }
+  if (typeof triggers.minSessionCostUsd === 'number' && (context.sessionCostUsd || 0) < triggers.minSessionCostUsd) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * An empty query context. The runtime fills one in as a query runs; replays
+ * fill them in from a session's event log.
+ */
+export function createRuleContext({ origin = 'user', ruleId = null, workspacePath = null, event = 'query_complete' } = {}) {
+  return {
+    origin,
+    ruleId,
+    event,
+    workspacePath,
+    toolUses: [],
+    toolResults: [],
+    createdFiles: [],
+    editedFiles: [],
+    detectedArtifacts: new Set(),
+    fileExtensions: new Set(),
+    triggeredRuleIds: new Set(),
+    queryCostUsd: 0,
+    sessionCostUsd: 0,
+  };
+}
+
+/**
+ * Rebuild rule contexts from a recorded session: one per user query, and
+ * one for the whole session (event "session_end"). Created files and
+ * extensions come from the files tools wrote; artifact types are not
+ * recorded, so artifactTypes triggers never match a replay.
+ * @param {Object[]} events - SessionStore event log entries
+ * @param {Object} [options]
+ * @param {string} [options.workspacePath]
+ * @param {Function} [options.costOf] - (usage) → USD, to price recorded token usage
+ * @returns {{ queries: Object[], session: Object }}
+ */
+export function replaySessionEvents(events, { workspacePath = null, costOf = null } = {}) {
+  const session = createRuleContext({ workspacePath, event: 'session_end' });
+  const queries = [];
+  let current = null;
+
+  for (const event of events) {
+    const payload = event.payload || {};
+    if (event.direction === 'inbound') {
+      if (payload.type === 'query') {
+        current = createRuleContext({
+          origin: payload.metadata?.origin || 'user',
+          ruleId: payload.metadata?.ruleId || null,
+          workspacePath,
+        });
+        current.message = payload.message || '';
+        current.timestamp = event.timestamp || null;
+        queries.push(current);
+      }
+      continue;
+    }
+    const contexts = current ? [current, session] : [session];
+    for (const context of contexts) {
+      if (payload.type === 'tool_use') {
+        if (payload.tool_use_id && context.toolUses.some((entry) => entry.toolUseId === payload.tool_use_id)) continue;
+        context.toolUses.push({
+          name: String(payload.tool_name || 'tool').toLowerCase(),
+          toolUseId: payload.tool_use_id || null,
+          input: payload.input || null,
+        });
+      } else if (payload.type === 'tool_result') {
+        recordToolOutcome(context, {
+          toolUseId: payload.tool_use_id || null,
+          toolName: payload.tool_name,
+          isError: payload.is_error,
+          content: payload.tool_result,
+        });
+      } else if (payload.type === 'usage' && payload.usage && costOf) {
+        const cost = costOf(payload.usage);
+        context.queryCostUsd += cost;
+        context.sessionCostUsd += cost;
+      }
+    }
+  }
+
+  for (const context of [...queries, session]) {
+    for (const filePath of context.editedFiles) {
+      context.createdFiles.push({ path: filePath, toolName: 'replay' });
+      const ext = path.extname(filePath).toLowerCase();
+      if (ext) context.fileExtensions.add(ext);
+    }
+  }
+  // A query's session cost is what the session had spent by its end
+  let spent = 0;
+  for (const query of queries) {
+    spent += query.queryCostUsd;
+    query.sessionCostUsd = spent;
+  }
+  return { queries, session };
+}
@@ -1,134 +1,68 @@
 import EventEmitter from 'events';
-import { query, createSdkMcpServer } from '@anthropic-ai/claude-agent-sdk';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createSdkMcpServer } from '@anthropic-ai/claude-agent-sdk';
 import { z } from 'zod';
 import fs from 'fs';
 import { promises as fsPromises } from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
 import { spawn } from 'child_process';
 import SessionStore from '../sessions/SessionStore.js';
+import SessionExporter from '../sessions/SessionExporter.js';
+import { loadCompactionSettings, shouldCompact, contextTokensFromUsage, splitTranscript, buildSummaryRequest, summarize, buildContinuationPrompt } from '../sessions/ContextCompactor.js';
 import { globalConfig } from '../../config/GlobalConfig.js';
 import { skillManager } from '../skills/SkillManager.js';
-import permissionManager, { PERMISSION } from '../permissions/PermissionManager.js';
-import costTracker from '../providers/CostTracker.js';
+import permissionManager, { PERMISSION, evaluateToolPolicy } from '../permissions/PermissionManager.js';
+import defaultPermissionAuditLog, { parseSince } from '../permissions/PermissionAuditLog.js';
+import costTracker, { CostTracker, calculateTokenCost } from '../providers/CostTracker.js';
+import commandPolicy, { COMMAND_DECISION } from '../sandbox/CommandPolicy.js';
+import secretRedactor, { filterSensitiveEnv, guardBuiltinReadHook, redactSecrets, redactToolOutputHook, routedBuiltinTools } from '../sandbox/SecretRedactor.js';
+import tracer, { SPAN_STATUS } from '../tracing/Tracer.js';
+import defaultCheckpointStore, { CheckpointConflictError } from '../checkpoints/CheckpointStore.js';
+import defaultBackendRegistry from '../backends/BackendRegistry.js';
+import { agentManager } from '../agents/AgentManager.js';
+import defaultMemoryFiles from '../memory/MemoryFiles.js';
+import defaultMemoryStore from '../memory/MemoryStore.js';
+import defaultProjectTrustStore, { PROJECT_TRUST, describeProjectConfig, trustedProjectSettings } from '../project/ProjectConfig.js';
+import {
+  QUERY_ACTION_TYPES,
+  createRuleContext,
+  loadAutomationRules,
+  recordToolOutcome,
+  replaySessionEvents,
+  ruleMatchesContext as matchAutomationRule
+} from '../rules/AutomationRules.js';
 import cronParser from 'cron-parser';
 
 // =============================================================================
-// DANGEROUS COMMAND FILTERING (Sandboxing)
+// COMMAND POLICY (Sandboxing)
 // =============================================================================
 //
 // WHY THIS EXISTS:
 // The agent can execute arbitrary shell commands via the bash tool. Without
-// filtering, it could run destructive commands like:
-//   - `kill/pkill/killall` to terminate system processes (including this app)
-//   - `rm -rf /` to delete the entire filesystem
-//   - `sudo` to gain elevated privileges
-//   - Commands that modify system configuration
+// checks, it could kill system processes (including this app), delete the
+// filesystem, escalate privileges or modify system configuration.
 //
-// This filter blocks commands that could:
-//   1. Kill processes outside the agent's control
-//   2. Delete files outside the workspace
-//   3. Gain elevated privileges
-//   4. Modify system configuration
-//   5. Access sensitive system files
-//
-// When a dangerous command is detected, the permission is automatically denied
-// and the agent receives an error explaining why.
-// =============================================================================
-
-const DANGEROUS_COMMAND_PATTERNS = [
-  // Process killing - these bypass process tracking and could kill system processes
-  { pattern: /\bkill\s+(-[a-zA-Z0-9]+\s+)*\d+/i, reason: 'Killing processes by PID is not allowed - it could terminate critical system processes' },
-  { pattern: /\bkill\s+(-[a-zA-Z0-9]+\s+)*-/i, reason: 'Killing processes by signal is not allowed' },
-  { pattern: /\bpkill\b/i, reason: 'pkill can terminate critical system processes including this application' },
-  { pattern: /\bkillall\b/i, reason: 'killall can terminate critical system processes' },
-  { pattern: /\bxkill\b/i, reason: 'xkill is not allowed' },
-
-  // Destructive file operations outside workspace
-  { pattern: /\brm\s+(-[a-zA-Z]*\s+)*-[a-zA-Z]*r[a-zA-Z]*\s+(-[a-zA-Z]*\s+)*[\/~](?!\S*\/Users\/\S+\/\S)/i, reason: 'Recursive deletion outside workspace is not allowed' },
-  { pattern: /\brm\s+(-[a-zA-Z]*\s+)*\/(?:etc|usr|bin|sbin|var|lib|boot|root|sys|proc|dev)\b/i, reason: 'Deleting system directories is not allowed' },
-  { pattern: /\brm\s+(-[a-zA-Z]*\s+)*~\s*$/i, reason: 'Deleting home directory is not allowed' },
-
-  // Privilege escalation
-  { pattern: /\bsudo\b/i, reason: 'Elevated privileges (sudo) are not allowed for security reasons' },
-  { pattern: /\bsu\s+-?\s*$/i, reason: 'Switching to root user is not allowed' },
-  { pattern: /\bsu\s+-?\s*root/i, reason: 'Switching to root user is not allowed' },
-  { pattern: /\bdoas\b/i, reason: 'Elevated privileges (doas) are not allowed' },
-
-  // System modification
-  { pattern: /\bsystemctl\s+(start|stop|restart|enable|disable|mask)/i, reason: 'Modifying system services is not allowed' },
-  { pattern: /\blaunchctl\s+(load|unload|start|stop|kill|remove)/i, reason: 'Modifying macOS services is not allowed' },
-  { pattern: /\bchmod\s+[0-7]*\s+\/(?!Users)/i, reason: 'Changing permissions on system files is not allowed' },
-  { pattern: /\bchown\b.*\/(?!Users)/i, reason: 'Changing ownership of system files is not allowed' },
-
-  // Disk/filesystem operations
-  { pattern: /\bmkfs\b/i, reason: 'Creating filesystems is not allowed' },
-  { pattern: /\bfdisk\b/i, reason: 'Disk partitioning is not allowed' },
-  { pattern: /\bdd\s+.*of=\/dev/i, reason: 'Writing directly to devices is not allowed' },
-  { pattern: /\bmount\s/i, reason: 'Mounting filesystems is not allowed' },
-  { pattern: /\bumount\s/i, reason: 'Unmounting filesystems is not allowed' },
-
-  // Network security
-  { pattern: /\biptables\b/i, reason: 'Modifying firewall rules is not allowed' },
-  { pattern: /\bpfctl\b/i, reason: 'Modifying packet filter is not allowed' },
-
-  // Dangerous redirects that could overwrite system files
-  { pattern: />\s*\/etc\//i, reason: 'Writing to /etc is not allowed' },
-  { pattern: />\s*\/usr\//i, reason: 'Writing to /usr is not allowed' },
-  { pattern: />\s*\/bin\//i, reason: 'Writing to /bin is not allowed' },
-  { pattern: />\s*\/sbin\//i, reason: 'Writing to /sbin is not allowed' },
-
-  // Fork bombs and resource exhaustion
-  { pattern: /:\(\)\s*\{\s*:\|:&\s*\}\s*;:/i, reason: 'Fork bombs are not allowed' },
-  { pattern: /\bwhile\s+true\s*;\s*do\s+[^;]*;\s*done\s*&/i, reason: 'Infinite background loops are not allowed' },
-];
-
-// =============================================================================
-// SENSITIVE ENVIRONMENT VARIABLE FILTERING
-// =============================================================================
-// API keys and secrets should NEVER be exposed to the agent. This filter
-// removes sensitive environment variables before passing env to the SDK.
-// Keys are retrieved directly by providers when needed, not from the agent context.
+// Commands are analyzed by the shared CommandPolicy (src/sandbox), which
+// parses the command line - including `sh -c`, `$(...)`, `eval` and wrappers
+// like `env` - and applies allow/ask/deny rules from the built-in set and
+// ~/.friday/command-policy.json. The terminal MCP server and ProcessRegistry
+// apply the same policy.
 // =============================================================================
 
-const SENSITIVE_ENV_PATTERNS = [
-  // API keys for AI providers
-  /^ANTHROPIC_API_KEY$/i,
-  /^OPENAI_API_KEY$/i,
-  /^GOOGLE_API_KEY$/i,
-  /^ELEVENLABS_API_KEY$/i,
-  /^GOOGLE_GENERATIVE_AI_API_KEY$/i,
-  // Common secret patterns
-  /API_KEY$/i,
-  /API_SECRET$/i,
-  /SECRET_KEY$/i,
-  /ACCESS_TOKEN$/i,
-  /PRIVATE_KEY$/i,
-  /AUTH_TOKEN$/i,
-  /PASSWORD$/i,
-  /^AWS_SECRET/i,
-  /^GITHUB_TOKEN$/i,
-  /^NPM_TOKEN$/i,
-  /^FIRECRAWL_API_KEY$/i,
-  /^RESEND_API_KEY$/i,
-  /^BROWSERBASE_API_KEY$/i,
-];
-
 /**
- * Filter out sensitive environment variables before passing to the SDK.
- * The agent should never have access to API keys or secrets.
- * @param {object} env - The process.env object
- * @returns {object} - Sanitized environment variables
+ * Get the shell command a tool call would run, if the tool runs one
+ * @param {string} toolName
+ * @param {Object} toolInput
+ * @returns {string|null}
  */
-function filterSensitiveEnv(env) {
-  const sanitized = {};
-  for (const [key, value] of Object.entries(env)) {
-    const isSensitive = SENSITIVE_ENV_PATTERNS.some(pattern => pattern.test(key));
-    if (!isSensitive) {
-      sanitized[key] = value;
-    }
-  }
-  return sanitized;
+function getShellCommand(toolName, toolInput) {
+  const normalizedToolName = toolName.toLowerCase();
+  const runsCommand = normalizedToolName === 'bash' || normalizedToolName === 'shell' ||
+    normalizedToolName.includes('bash') || normalizedToolName.endsWith('__execute_command');
+  const command = toolInput?.command;
+  return runsCommand && typeof command === 'string' && command.trim() ? command : null;
 }
 
 // =============================================================================
@@ -149,27 +83,30 @@ const NEVER_ALWAYS_ALLOW = new Set([
   'mcp__terminal__bash',
 ]);
 
-/**
- * Check if a bash command is dangerous and should be blocked
- * @param {string} command - The shell command to check
- * @returns {{ blocked: boolean, reason?: string }}
- */
-function checkDangerousCommand(command) {
-  if (!command || typeof command !== 'string') {
-    return { blocked: false };
-  }
+// Outbound events kept in memory per runtime for resume_stream replay
+const STREAM_BUFFER_LIMIT = 2000;
 
-  const normalizedCommand = command.replace(/\s+/g, ' ').trim();
+// Replies about other sessions; kept out of the current session's event log
+const UNLOGGED_EVENT_TYPES = new Set(['sessions_list', 'session_search_results', 'session_history', 'session_exported', 'session_imported']);
 
-  for (const { pattern, reason } of DANGEROUS_COMMAND_PATTERNS) {
-    if (pattern.test(normalizedCommand)) {
-      return { blocked: true, reason };
-    }
-  }
+// Built-in tools that write the file at `file_path`; their prior content is checkpointed
+const FILE_WRITE_TOOLS = new Set(['write', 'filewrite', 'createfile', 'edit', 'fileedit', 'editfile', 'multiedit']);
 
-  return { blocked: false };
-}
+// Rule run_command actions go through the permission gate as this tool
+const RULE_COMMAND_TOOL = 'mcp__terminal__execute_command';
+const RULE_COMMAND_TIMEOUT_MS = 120000;
+const RULE_COMMAND_OUTPUT_LIMIT = 10000;
+
+// How the SDK and OpenAI-compatible APIs say a conversation no longer fits
+const CONTEXT_LIMIT_ERROR = /prompt is too long|context (length|window)|maximum context|too many tokens/i;
 
+// Paid media tools (in-process or friday-media MCP) → provider capability.
+// Their estimated cost is checked against the spend budgets before the call.
+const PAID_MEDIA_TOOLS = {
+  generate_image: 'image-gen',
+  generate_video: 'video-gen',
+  text_to_speech: 'tts'
+};
 
 function safeSerialize(value, depth = 0) {
   if (depth > 5) {
@@ -273,39 +210,69 @@ function getToolThinkingLabel(toolName, toolInput) {
 }
 
 export class AgentRuntime extends EventEmitter {
-  constructor({ workspacePath, rules = [], mcpServers = {}, sessionsPath, scheduledAgentStore = null, agentScheduler = null }) {
+  constructor({ workspacePath, rules = [], mcpServers = {}, sessionsPath, scheduledAgentStore = null, agentScheduler = null, tokenId = null, appId = null, reviewGate = null, checkpointStore = defaultCheckpointStore, backendRegistry = defaultBackendRegistry, permissionAuditLog = defaultPermissionAuditLog, project = null, projectTrustStore = defaultProjectTrustStore, memoryFiles = defaultMemoryFiles, memoryStore = defaultMemoryStore, compactionSettings = null }) {
     super();
     this.workspacePath = workspacePath;
     this.rules = rules;
     this.mcpServers = mcpServers;
+    // App id of the connected client (from its API token) for per-app permission grants
+    this.appId = appId;
+    // API token of the connected client; sessions it starts record it as their owner
+    this.tokenId = tokenId;
+    // Optional async (toolName, toolInput, { signal, toolUseID }) → decision | null.
+    // Scheduled agents with `review` use it to hold external actions for a human.
+    this.reviewGate = reviewGate;
+    // Snapshots of files the agent writes, for /undo and /rewind
+    this.checkpointStore = checkpointStore;
+    // LLM backends for the agent loop (Claude Agent SDK or OpenAI-compatible APIs)
+    this.backendRegistry = backendRegistry;
+    // Every permission decision, with who or what made it
+    this.permissionAuditLog = permissionAuditLog;
+    // The workspace's .friday/config.json (from loadBackendConfig) and where trust answers are kept
+    this.project = project;
+    this.projectTrustStore = projectTrustStore;
+    // FRIDAY.md files added to every system prompt
+    this.memoryFiles = memoryFiles;
+    // Long-term facts and decisions, recalled by relevance before each query
+    this.memoryStore = memoryStore;
+    // When to compact a long session; read from ~/.friday/config.json if not given
+    this.compactionSettings = compactionSettings;
+    // { agentId, runId } recorded with every cost so scheduled runs have their own budget
+    this.costAttribution = {};
+    // Key: tool_use_id. Value: estimated cost of a friday-media call, recorded on success
+    this.pendingMediaCosts = new Map();
+
+    // =============================================================================
+    // SESSION CONTEXTS
+    // =============================================================================
+    // Per-conversation state (session id, abort controller, pending permissions,
+    // approvals, cost model...) lives in a session context. Each query runs inside
+    // sessionScope, so concurrent sessions on one runtime never see each other's
+    // state. Code outside a query (transport handlers) sees the default context.
+    // The currentSessionId/pendingPermissions/... accessors below resolve to the
+    // active context.
+    this.sessionScope = new AsyncLocalStorage();
+    this.sessionContextCounter = 0;
+    this.defaultSession = this.createSessionContext();
+    // Key: session id. Value: session context
+    this.sessions = new Map();
 
-    this.currentSessionId = null;
-    this.pendingPermissions = new Map();
-    this.pendingRulePrompts = new Map();
-    this.handledToolUseIds = new Set();
     this.rulePromptCounter = 0;
     this.permissionIdCounter = 0;
     this.sessionStore = sessionsPath ? new SessionStore({ basePath: sessionsPath }) : null;
-    this.pendingSessionEvents = [];
-    this.pendingSessionMetadata = null;
-    this.pendingUsage = [];
-    // Model used for cost tracking
-    this.model = null;
-    // Query abort controller for stop functionality
-    this.currentAbortController = null;
+    this.sessionExporter = this.sessionStore ? new SessionExporter({ sessionStore: this.sessionStore }) : null;
+    // Outbound stream sequencing — every emitted event carries a monotonically
+    // increasing `seq` so transports can replay what a client missed (resume_stream)
+    this.streamSeq = 0;
+    this.streamBuffer = [];
+    // Events with seq <= floor may be missing from streamBuffer (evicted, or
+    // emitted by another runtime before this one picked the session up)
+    this.streamBufferFloor = 0;
 
     // Workspace change tracking - when workspace changes but session continues,
     // we should not resume the SDK session (stale file context)
     this.skipNextResume = false;
 
-    // =============================================================================
-    // PERMISSION CACHING
-    // =============================================================================
-    // Session-level approvals (cleared when session resets)
-    // Key: normalized tool name (e.g., "bash", "mcp__firecrawl__search")
-    // Value: { level: 'session', approvedAt: timestamp }
-    this.sessionApprovals = new Map();
-
     // Reference to global config for persistent "always allow" permissions
     this.globalConfig = globalConfig;
 
@@ -323,6 +290,162 @@ export class AgentRuntime extends EventEmitter {
 
   }
 
+  // =============================================================================
+  // SESSION CONTEXTS
+  // =============================================================================
+
+  createSessionContext(sessionId = null) {
+    return {
+      // Stable key for this context, also used to scope PermissionManager session approvals
+      contextId: `ctx-${++this.sessionContextCounter}`,
+      sessionId,
+      // Query abort controller for stop functionality
+      abortController: null,
+      queryMetadata: null,
+      // Model used for cost tracking
+      model: null,
+      pendingPermissions: new Map(),
+      pendingRulePrompts: new Map(),
+      handledToolUseIds: new Set(),
+      // Trace of the running query: its root span and open tool spans by tool use id
+      traceSpan: null,
+      toolSpans: new Map(),
+      // Checkpoint turn of the running query ({ prompt, sessionId, turn }), started on its first file write
+      checkpoint: null,
+      // Session-level approvals (cleared when session resets)
+      // Key: normalized tool name (e.g., "bash", "mcp__firecrawl__search")
+      // Value: { level: 'session', approvedAt: timestamp }
+      sessionApprovals: new Map(),
+      pendingSessionEvents: [],
+      pendingSessionMetadata: null,
+      pendingUsage: []
+    };
+  }
+
+  /**
+   * The session context of the running query, or the default context
+   * outside of one.
+   */
+  get session() {
+    return this.sessionScope.getStore() || this.defaultSession;
+  }
+
+  /**
+   * Find the context serving a session id (null if none).
+   */
+  getSessionContext(sessionId) {
+    if (!sessionId) return null;
+    if (this.sessions.has(sessionId)) return this.sessions.get(sessionId);
+    return this.defaultSession.sessionId === sessionId ? this.defaultSession : null;
+  }
+
+  /**
+   * Pick the context a query runs in: the one already serving its session,
+   * a new one for an unknown session, or the default context for a query
+   * without a session id (a fresh context if the default one is busy).
+   */
+  resolveSessionContext(sessionId) {
+    const existing = this.getSessionContext(sessionId);
+    if (existing) return existing;
+    if (!sessionId && !this.defaultSession.abortController) return this.defaultSession;
+    const context = this.createSessionContext(sessionId);
+    if (sessionId) this.sessions.set(sessionId, context);
+    return context;
+  }
+
+  /**
+   * Drop a session context once nothing is left in it: no query in flight, no
+   * permission or rule prompt waiting for an answer and no "allow for this
+   * session" approvals. The session's next query starts a fresh context.
+   * The default context is kept.
+   */
+  pruneSessionContext(context) {
+    if (!context || context === this.defaultSession || context.abortController) return;
+    if (context.pendingPermissions.size > 0 || context.pendingRulePrompts.size > 0) return;
+    if (context.sessionApprovals.size > 0) return;
+    if (context.sessionId && this.sessions.get(context.sessionId) === context) {
+      this.sessions.delete(context.sessionId);
+    }
+    permissionManager.clearSessionApprovals(context.contextId);
+  }
+
+  /**
+   * Forget the context of a deleted session, with its session approvals.
+   */
+  dropSessionContext(sessionId) {
+    const context = this.sessions.get(sessionId);
+    if (!context || context === this.defaultSession) return;
+    this.sessions.delete(sessionId);
+    permissionManager.clearSessionApprovals(context.contextId);
+  }
+
+  /**
+   * Session contexts with a query in flight.
+   */
+  getActiveSessionContexts() {
+    const contexts = new Set([this.defaultSession, ...this.sessions.values()]);
+    return [...contexts].filter((context) => context.abortController);
+  }
+
+  /**
+   * Session ids with a query in flight.
+   */
+  getActiveSessions() {
+    return this.getActiveSessionContexts().map((context) => context.sessionId).filter(Boolean);
+  }
+
+  /**
+   * First session context matching a predicate (null if none).
+   */
+  findSessionContext(predicate) {
+    const contexts = new Set([this.defaultSession, ...this.sessions.values()]);
+    return [...contexts].find(predicate) || null;
+  }
+
+  /**
+   * Run fn inside a session context (no-op wrapper if it is already active).
+   */
+  runInSession(context, fn) {
+    if (!context || context === this.sessionScope.getStore()) return fn();
+    return this.sessionScope.run(context, fn);
+  }
+
+  get currentSessionId() {
+    return this.session.sessionId;
+  }
+
+  set currentSessionId(sessionId) {
+    const context = this.session;
+    if (context.sessionId && this.sessions.get(context.sessionId) === context) {
+      this.sessions.delete(context.sessionId);
+    }
+    context.sessionId = sessionId;
+    if (sessionId) this.sessions.set(sessionId, context);
+  }
+
+  get currentAbortController() { return this.session.abortController; }
+  set currentAbortController(controller) { this.session.abortController = controller; }
+
+  get currentQueryMetadata() { return this.session.queryMetadata; }
+  set currentQueryMetadata(metadata) { this.session.queryMetadata = metadata; }
+
+  get model() { return this.session.model; }
+  set model(model) { this.session.model = model; }
+
+  get pendingPermissions() { return this.session.pendingPermissions; }
+  get pendingRulePrompts() { return this.session.pendingRulePrompts; }
+  get handledToolUseIds() { return this.session.handledToolUseIds; }
+  get sessionApprovals() { return this.session.sessionApprovals; }
+
+  get pendingSessionEvents() { return this.session.pendingSessionEvents; }
+  set pendingSessionEvents(events) { this.session.pendingSessionEvents = events; }
+
+  get pendingSessionMetadata() { return this.session.pendingSessionMetadata; }
+  set pendingSessionMetadata(metadata) { this.session.pendingSessionMetadata = metadata; }
+
+  get pendingUsage() { return this.session.pendingUsage; }
+  set pendingUsage(usage) { this.session.pendingUsage = usage; }
+
   // =============================================================================
   // MCP TOOL DISCOVERY (Scheduled Agents)
   // =============================================================================
@@ -455,11 +578,12 @@ The agent will run autonomously using the specified MCP tools.`,
             cron: z.string().describe('A standard 5-field cron expression for the schedule. Examples: "*/3 * * * *" (every 3 minutes), "0 9 * * *" (daily at 9am), "0 9 * * 1" (every Monday at 9am), "30 * * * *" (hourly at :30), "0 */2 * * *" (every 2 hours). Fields: minute hour day-of-month month day-of-week.'),
             schedule_description: z.string().describe('A short human-readable description of the schedule for display (e.g., "Every 3 minutes", "Daily at 9:00 AM", "Every Monday at 9am").'),
             mcp_servers: z.array(z.string()).optional().describe('List of MCP servers the agent needs. Use any MCP server available in the current config. Omit to allow all available MCP servers.'),
-            max_runs_per_hour: z.number().optional().describe('Maximum number of runs allowed per hour (default: 5). Set higher for frequent schedules like every minute.')
+            max_runs_per_hour: z.number().optional().describe('Maximum number of runs allowed per hour (default: 5). Set higher for frequent schedules like every minute.'),
+            require_review: z.boolean().optional().describe('Hold externally visible actions (posting to Slack or LinkedIn, sending email, creating GitHub items...) until the user approves them. Use when the user wants to check what the agent sends before it goes out.')
           },
           handler: async (args) => {
             try {
-              const { name: agentName, instructions, cron: cronExpression, schedule_description: humanReadable, mcp_servers = [], max_runs_per_hour } = args;
+              const { name: agentName, instructions, cron: cronExpression, schedule_description: humanReadable, mcp_servers = [], max_runs_per_hour, require_review } = args;
 
               if (!agentName || !instructions || !cronExpression) {
                 return {
@@ -519,7 +643,8 @@ The agent will run autonomously using the specified MCP tools.`,
                 permissions: {
                   preAuthorized: true,
                   tools: toolList
-                }
+                },
+                review: require_review ? { required: true } : null
               };
 
               const agent = await self.scheduledAgentStore.createAgent(DEFAULT_USER_ID, agentData);
@@ -616,6 +741,7 @@ Available voices for OpenAI: alloy, echo, fable, onyx, nova, shimmer.`,
                   provider: providerId,
                   capability: 'tts',
                   cost,
+                  ...self.costAttribution,
                 });
               }
 
@@ -677,6 +803,7 @@ Supported providers (auto-selected based on available API keys):
                   provider: providerId,
                   capability: 'image-gen',
                   cost,
+                  ...self.costAttribution,
                 });
               }
 
@@ -718,6 +845,102 @@ Supported providers (auto-selected based on available API keys):
             }
           }
         },
+        {
+          name: 'remember',
+          description: `Save a fact to Friday's memory (a FRIDAY.md file) so it is known in every future session.
+
+Use this ONLY when the user asks you to remember something (e.g., "remember that we deploy with fly", "note that I prefer pnpm"). Save one short, self-contained fact per call.
+
+Scopes:
+- workspace (default): facts about this project, saved to FRIDAY.md in the workspace
+- user: facts about the user that apply to every project, saved to ~/.friday/FRIDAY.md`,
+          inputSchema: {
+            fact: z.string().describe('The fact, as one short sentence (e.g., "Tests run with `npm run test:unit`")'),
+            scope: z.enum(['workspace', 'user']).optional().describe('workspace (default) or user'),
+          },
+          handler: async (args) => {
+            const scope = args.scope || 'workspace';
+            try {
+              const { added, fact, file } = self.memoryFiles.append(scope, self.workspacePath, args.fact);
+              if (added) {
+                self.log(`[Memory] Remembered in ${file.path}`);
+                self.emitMessage({ type: 'memory_updated', scope, path: file.path, fact });
+              }
+              return { content: [{ type: 'text', text: added ? `Saved to ${file.path}.` : `${file.path} already has this.` }] };
+            } catch (error) {
+              return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+            }
+          }
+        },
+        {
+          name: 'memory_search',
+          description: `Search Friday's long-term memory: facts and decisions saved in earlier sessions for this workspace, plus those saved for every workspace.
+
+The best matches for the user's message are already in the system prompt under "Relevant Memories". Search when you need something else, e.g. "why did we pick postgres" or "staging deploy".`,
+          inputSchema: {
+            query: z.string().describe('Keywords to look for'),
+            topic: z.string().optional().describe('Only memories with this topic'),
+            limit: z.number().int().min(1).max(20).optional().describe('Most results to return (default 10)'),
+          },
+          handler: async (args) => {
+            try {
+              const results = self.memoryStore.search(args.query, { workspacePath: self.workspacePath, topic: args.topic, limit: args.limit || 10 });
+              if (results.length === 0) return { content: [{ type: 'text', text: 'No matching memories.' }] };
+              const lines = results.map((entry) => `- ${entry.id} (${entry.kind}, ${entry.createdAt.slice(0, 10)}${entry.topics.length ? `; ${entry.topics.join(', ')}` : ''}): ${entry.text}`);
+              return { content: [{ type: 'text', text: lines.join('\n') }] };
+            } catch (error) {
+              return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+            }
+          }
+        },
+        {
+          name: 'memory_save',
+          description: `Save a fact or decision to Friday's long-term memory, so it can be recalled in later sessions when it is relevant.
+
+Save things worth knowing next time that are not obvious from the files: decisions and why they were made, where things live, what was tried and did not work. One self-contained statement per call, with a few topics to file it under. Unlike \`remember\`, saved memories are only added to the prompt when they match the request.
+
+Scopes:
+- workspace (default): about this project
+- global: applies to every workspace`,
+          inputSchema: {
+            text: z.string().describe('The fact or decision, self-contained (e.g., "Chose Postgres over Mongo for billing because we need transactions")'),
+            kind: z.enum(['fact', 'decision']).optional().describe('fact (default) or decision'),
+            topics: z.array(z.string()).optional().describe('A few short topics, e.g. ["database", "billing"]'),
+            scope: z.enum(['workspace', 'global']).optional().describe('workspace (default) or global'),
+          },
+          handler: async (args) => {
+            try {
+              const { added, entry } = self.memoryStore.save({
+                text: args.text,
+                kind: args.kind || 'fact',
+                topics: args.topics || [],
+                workspacePath: args.scope === 'global' ? null : self.workspacePath,
+                sessionId: self.currentSessionId,
+              });
+              if (added) self.log(`[Memory] Saved ${entry.id}`);
+              return { content: [{ type: 'text', text: added ? `Saved as ${entry.id}.` : `Already saved as ${entry.id}; topics updated.` }] };
+            } catch (error) {
+              return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+            }
+          }
+        },
+        {
+          name: 'memory_forget',
+          description: `Delete an entry from Friday's long-term memory by its id (e.g., mem_1a2b3c4d); only this workspace's and global memories can be deleted. Use it when the user asks you to forget something, or when a memory turned out to be wrong or out of date.`,
+          inputSchema: {
+            id: z.string().describe('The memory id, from memory_search or Relevant Memories'),
+          },
+          handler: async (args) => {
+            try {
+              const entry = self.memoryStore.forget(args.id, { workspacePath: self.workspacePath });
+              if (!entry) return { content: [{ type: 'text', text: `No memory ${args.id}.` }], isError: true };
+              self.log(`[Memory] Forgot ${entry.id}`);
+              return { content: [{ type: 'text', text: `Forgot ${entry.id}: ${entry.text}` }] };
+            } catch (error) {
+              return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+            }
+          }
+        },
         {
           name: 'list_voices',
           description: 'List available TTS voices for a provider.',
@@ -962,13 +1185,125 @@ Be specific about text content you can read. Keep the description under 500 word
     });
   }
 
+  /**
+   * Use a configuration from loadBackendConfig, e.g. after the workspace
+   * changed or the project was trusted.
+   */
+  applyBackendConfig(config) {
+    this.rules = config.rules;
+    this.project = config.project || null;
+    this.updateMcpServers(config.mcpServers);
+  }
+
+  /**
+   * Agent role, model, skills and template of the workspace's project
+   * config, or nothing while it isn't trusted.
+   */
+  getProjectSettings() {
+    return trustedProjectSettings(this.project);
+  }
+
+  /**
+   * Ask the client whether to trust the workspace's project config, if the
+   * user hasn't answered for this version of it.
+   * @returns {boolean} Whether a request was sent
+   */
+  announceProjectTrust() {
+    const project = this.project;
+    if (!project || project.error || project.trust !== PROJECT_TRUST.UNKNOWN) return false;
+    this.emitMessage({
+      type: 'project_trust_request',
+      workspace_path: project.workspacePath,
+      config_path: project.path,
+      hash: project.hash,
+      summary: describeProjectConfig(project.settings),
+      problems: project.problems
+    });
+    return true;
+  }
+
   log(message) {
-    console.error(message);
+    console.error(secretRedactor.redact(message));
+  }
+
+  /**
+   * PostToolUse hook: replace secrets in MCP tool results before the model sees them.
+   */
+  async redactToolOutput(input) {
+    const output = await redactToolOutputHook(input);
+    if (output.hookSpecificOutput) {
+      this.log(`[Secrets] Redacted secrets from ${input.tool_name} output`);
+    }
+    return output;
+  }
+
+  /**
+   * PreToolUse hook: refuse built-in Reads of files with secrets, whose
+   * results can't be redacted.
+   */
+  async guardSecretRead(input) {
+    const output = await guardBuiltinReadHook(input);
+    if (output.hookSpecificOutput) {
+      this.log(`[Secrets] Refused Read of ${input.tool_input?.file_path}: it contains secrets`);
+    }
+    return output;
   }
 
   emitMessage(payload) {
-    this.recordOutboundEvent(payload);
-    this.emit('message', payload);
+    const sequenced = { ...payload, seq: ++this.streamSeq };
+    // Tag events so clients can demultiplex concurrent sessions
+    if (sequenced.session_id === undefined && this.currentSessionId) {
+      sequenced.session_id = this.currentSessionId;
+    }
+    this.bufferStreamEvent(sequenced);
+    this.recordOutboundEvent(sequenced);
+    this.emit('message', sequenced);
+  }
+
+  bufferStreamEvent(payload) {
+    this.streamBuffer.push(payload);
+    if (this.streamBuffer.length > STREAM_BUFFER_LIMIT) {
+      this.streamBufferFloor = this.streamBuffer.shift().seq;
+    }
+  }
+
+  /**
+   * Continue a session's sequence numbers where its event log left off, so
+   * seq stays monotonic within a session even across runtimes/processes.
+   */
+  syncStreamSeq(sessionId) {
+    const lastSeq = this.sessionStore?.getLastSeq(sessionId) || 0;
+    if (lastSeq > this.streamSeq) {
+      this.streamSeq = lastSeq;
+    }
+    if (lastSeq > this.streamBufferFloor) {
+      this.streamBufferFloor = lastSeq;
+    }
+  }
+
+  /**
+   * Outbound events for a session with seq > afterSeq, oldest first.
+   * Served from the in-memory buffer while the session is live here,
+   * falling back to the persisted event log for anything older.
+   *
+   * @param {string} sessionId
+   * @param {number} [afterSeq=0]
+   * @returns {Promise<Object[]>}
+   */
+  async getStreamEventsSince(sessionId, afterSeq = 0) {
+    const live = Boolean(this.getSessionContext(sessionId));
+    const buffered = live
+      ? this.streamBuffer.filter((payload) => payload.session_id === sessionId && payload.seq > afterSeq)
+      : [];
+    if (live && afterSeq >= this.streamBufferFloor) {
+      return buffered;
+    }
+    if (!this.sessionStore || !sessionId) {
+      return buffered;
+    }
+    const upperBound = buffered.length > 0 ? buffered[0].seq : Infinity;
+    const persisted = await this.sessionStore.getOutboundEventsAfter(sessionId, afterSeq);
+    return [...persisted.filter((payload) => payload.seq < upperBound), ...buffered];
   }
 
   bufferSessionEvent(event) {
@@ -996,7 +1331,7 @@ Be specific about text content you can read. Keep the description under 500 word
   }
 
   recordOutboundEvent(payload) {
-    if (!this.sessionStore) {
+    if (!this.sessionStore || UNLOGGED_EVENT_TYPES.has(payload.type)) {
       return;
     }
     if (payload.type === 'session' && payload.session_id) {
@@ -1024,6 +1359,11 @@ Be specific about text content you can read. Keep the description under 500 word
     }
   }
 
+  // Recorded in new sessions so only the same client can resume them
+  sessionOwner() {
+    return { tokenId: this.tokenId || null, appId: this.appId || null };
+  }
+
   initializeSessionLogging(sessionId) {
     if (!this.sessionStore || !sessionId) {
       return;
@@ -1033,8 +1373,10 @@ Be specific about text content you can read. Keep the description under 500 word
       title: this.pendingSessionMetadata?.title,
       firstMessage: this.pendingSessionMetadata?.firstMessage,
       model: this.pendingSessionMetadata?.model,
+      backend: this.pendingSessionMetadata?.backend,
       createdAt: this.pendingSessionMetadata?.createdAt,
-      updatedAt: new Date().toISOString()
+      updatedAt: new Date().toISOString(),
+      owner: this.sessionOwner()
     };
     this.sessionStore.ensureSession(sessionId, defaults).catch((error) => {
       this.log(`[SessionStore] Failed to initialize session ${sessionId}: ${error.message}`);
@@ -1070,6 +1412,7 @@ Be specific about text content you can read. Keep the description under 500 word
       title: this.generateSessionTitle(userMessage),
       firstMessage: userMessage,
       model: metadata?.modelId || metadata?.model || null,
+      backend: metadata?.backend || null,
       createdAt: now
     };
   }
@@ -1099,14 +1442,17 @@ Be specific about text content you can read. Keep the description under 500 word
 
   createQueryContext(metadata = {}) {
     return {
-      origin: metadata.origin || 'user',
-      ruleId: metadata.ruleId || null,
-      toolUses: [],
-      createdFiles: [],
-      detectedArtifacts: new Set(),
-      fileExtensions: new Set(),
-      triggeredRuleIds: new Set(),
-      terminalOutput: ''
+      ...createRuleContext({
+        origin: metadata.origin || 'user',
+        ruleId: metadata.ruleId || null,
+        workspacePath: this.workspacePath
+      }),
+      terminalOutput: '',
+      lastAssistantUuid: null,
+      // Session spend when the query started, to price the query for rules
+      startCostUsd: costTracker.getSessionCost(this.currentSessionId).totalCost,
+      // Matched rules whose actions run once the query is over
+      automaticRules: []
     };
   }
 
@@ -1270,6 +1616,13 @@ STAY FOCUSED: If you find yourself doing more than 2-3 steps for a simple reques
 
       let systemPrompt = fridayBasePrompt + coreInstructions; // STATIC PREFIX (~900 tokens) - CACHED
 
+      // FRIDAY.md memory changes rarely, so it goes right after the static
+      // prefix and before anything that changes per query
+      systemPrompt += this.memoryFiles.buildPrompt(this.workspacePath);
+
+      // A continuation's summary stays the same for the whole session
+      systemPrompt += buildContinuationPrompt(this.sessionStore?.metadataCache.get(this.currentSessionId)?.compaction);
+
       // ============================================
       // TWO-TIER SKILL SYSTEM (DYNAMIC)
       // ============================================
@@ -1346,6 +1699,16 @@ STAY FOCUSED: If you find yourself doing more than 2-3 steps for a simple reques
         this.log(`[FRIDAY] Failed to load skills: ${error.message}`);
       }
 
+      // Defaults from a trusted <workspace>/.friday/config.json
+      systemPrompt += await this.buildProjectPrompt(userId);
+
+      // Long-term memories that match this message; last, since they change per query
+      try {
+        systemPrompt += this.memoryStore.buildPrompt(userMessage, this.workspacePath);
+      } catch (error) {
+        this.log(`[FRIDAY] Failed to recall memories: ${error.message}`);
+      }
+
       return {
         systemPrompt,
         model: 'claude-sonnet-4-5',
@@ -1357,6 +1720,40 @@ STAY FOCUSED: If you find yourself doing more than 2-3 steps for a simple reques
     }
   }
 
+  /**
+   * System prompt sections for the project config's agent role, workspace
+   * template and skills. Empty while the project isn't trusted.
+   */
+  async buildProjectPrompt(userId = 'default') {
+    const settings = this.getProjectSettings();
+    let prompt = '';
+    if (settings.agent) {
+      try {
+        const agent = await agentManager.loadUserAgentConfig(userId, settings.agent);
+        prompt += `\n\n## Agent Role: ${agent.name}\n${agent.systemPrompt}\n`;
+      } catch (error) {
+        this.log(`[Project] Skipping agent role: ${error.message}`);
+      }
+    }
+    try {
+      if (settings.template) {
+        const template = await skillManager.getTemplate(settings.template);
+        if (template) prompt += `\n\n## Workspace Template: ${template.name}\n${template.content}\n`;
+        else this.log(`[Project] Unknown workspace template "${settings.template}"`);
+      }
+      const skills = await skillManager.loadSkillsByIds(settings.skills || []);
+      if (skills.length > 0) {
+        prompt += '\n\n## Project Skills\nThis project enables the following knowledge:\n';
+        for (const skill of skills) {
+          prompt += `\n### ${skill.name}\n${skill.content}\n`;
+        }
+      }
+    } catch (error) {
+      this.log(`[Project] Failed to load project skills: ${error.message}`);
+    }
+    return prompt;
+  }
+
   /* ============ AGENT ROUTING METHODS - COMMENTED OUT ============
   // These methods were used for agent-based routing. Preserved for future reference.
 
@@ -1436,10 +1833,15 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     return {
       origin: context.origin,
       ruleId: context.ruleId,
+      event: context.event,
       toolUses: context.toolUses,
+      toolResults: context.toolResults,
       createdFiles: context.createdFiles,
+      editedFiles: context.editedFiles,
       detectedArtifacts: Array.from(context.detectedArtifacts),
-      fileExtensions: Array.from(context.fileExtensions)
+      fileExtensions: Array.from(context.fileExtensions),
+      queryCostUsd: context.queryCostUsd,
+      sessionCostUsd: context.sessionCostUsd
     };
   }
 
@@ -1470,6 +1872,21 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     return null;
   }
 
+  /**
+   * Note a finished tool call for automation rules. Files a tool wrote count
+   * as created files too, unless a FileWrite/FileEdit already registered them.
+   */
+  recordToolResult(context, outcome) {
+    if (!context) return;
+    const editedBefore = context.editedFiles.length;
+    recordToolOutcome(context, outcome);
+    for (const filePath of context.editedFiles.slice(editedBefore)) {
+      if (!context.createdFiles.some((file) => file.path === filePath)) {
+        this.registerCreatedFile(context, filePath, context.toolResults.at(-1)?.name || 'tool');
+      }
+    }
+  }
+
   registerCreatedFile(context, filePath, toolName) {
     if (!context) return;
     context.createdFiles.push({ path: filePath, toolName });
@@ -1499,13 +1916,16 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
   }
 
   buildTemplateData(contextSnapshot) {
-    const createdFileList = contextSnapshot.createdFiles.map((file) => {
+    const relativePath = (filePath) => {
       try {
-        return path.relative(this.workspacePath, file.path);
+        return path.relative(this.workspacePath, filePath);
       } catch (error) {
-        return file.path;
+        return filePath;
       }
-    });
+    };
+    const createdFileList = contextSnapshot.createdFiles.map((file) => relativePath(file.path));
+    const toolResults = contextSnapshot.toolResults || [];
+    const lastCommand = toolResults.filter((result) => result.exitCode !== null).pop();
     const detectedArtifacts = contextSnapshot.detectedArtifacts || [];
     let artifactDescriptor = 'the project';
     if (detectedArtifacts.includes('web_app')) {
@@ -1521,7 +1941,13 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       createdFilesSentence: createdFileList.join(', '),
       workspacePath: this.workspacePath,
       artifactDescriptor,
-      artifactTypes: detectedArtifacts
+      artifactTypes: detectedArtifacts,
+      editedFileList: (contextSnapshot.editedFiles || []).map(relativePath),
+      failedTools: [...new Set(toolResults.filter((result) => result.isError).map((result) => result.name))],
+      command: lastCommand?.command || '',
+      exitCode: lastCommand?.exitCode ?? '',
+      queryCostUsd: (contextSnapshot.queryCostUsd || 0).toFixed(2),
+      sessionCostUsd: (contextSnapshot.sessionCostUsd || 0).toFixed(2)
     };
   }
 
@@ -1539,42 +1965,35 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
   }
 
   ruleMatchesContext(rule, context) {
-    if (!rule?.triggers) {
-      return false;
-    }
-    const triggers = rule.triggers;
-    if (typeof triggers.minCreatedFiles === 'number' && context.createdFiles.length < triggers.minCreatedFiles) {
-      return false;
-    }
-    if (Array.isArray(triggers.extensions) && triggers.extensions.length > 0) {
-      const hasExtension = triggers.extensions.some((ext) => context.fileExtensions.has(ext));
-      if (!hasExtension) {
-        return false;
-      }
-    }
-    if (Array.isArray(triggers.requireTools) && triggers.requireTools.length > 0) {
-      const toolNames = context.toolUses.map((entry) => entry.name);
-      const hasRequiredTool = triggers.requireTools.some((tool) => toolNames.includes(tool.toLowerCase()));
-      if (!hasRequiredTool) {
-        return false;
-      }
-    }
-    if (Array.isArray(triggers.artifactTypes) && triggers.artifactTypes.length > 0) {
-      const artifacts = context.detectedArtifacts;
-      const hasArtifact = triggers.artifactTypes.some((type) => artifacts.has(type));
-      if (!hasArtifact) {
-        return false;
-      }
-    }
-    return true;
+    return matchAutomationRule(rule, context);
+  }
+
+  /**
+   * Rules for the current workspace: the ones the runtime was started with,
+   * then ~/.friday/rules and <workspace>/.friday/rules. Read on each use so
+   * edits apply without a restart.
+   */
+  getAutomationRules() {
+    return loadAutomationRules({ workspacePath: this.workspacePath, baseRules: this.rules });
   }
 
   evaluateAutomationRules(context) {
-    if (!context || context.origin !== 'user' || this.rules.length === 0) {
+    if (!context || context.origin !== 'user') {
       return [];
     }
+    const rules = this.getAutomationRules();
+    if (rules.length === 0) {
+      return [];
+    }
+    if (context.event !== 'session_end') {
+      const sessionCost = costTracker.getSessionCost(this.currentSessionId).totalCost;
+      context.queryCostUsd = Math.max(0, sessionCost - (context.startCostUsd || 0));
+      context.sessionCostUsd = this.currentSessionId
+        ? costTracker.getSpend({ sessionId: this.currentSessionId }).session
+        : sessionCost;
+    }
     const results = [];
-    for (const rule of this.rules) {
+    for (const rule of rules) {
       if (!rule || context.triggeredRuleIds.has(rule.id)) continue;
       if (!this.ruleMatchesContext(rule, context)) continue;
       const snapshot = this.snapshotContext(context);
@@ -1645,6 +2064,7 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
    * @param {{ toolName: string, description?: string }} context - Tool context for storing approval
    */
   async waitForPermissionDecision(permissionId, signal, context = {}) {
+    tracer.getActiveSpan()?.setAttribute('permission.prompted', true);
     return new Promise((resolve, reject) => {
       const cleanup = () => {
         this.pendingPermissions.delete(permissionId);
@@ -1683,83 +2103,217 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     });
   }
 
- async handlePermissionGate({ toolName, toolInput, suggestions, signal, toolUseID }) {
-    const cleanName = (toolName || '').trim();
-
-    // =========================================================================
-    // PERMISSION MANAGER: Check profile + overrides + session approvals
-    // =========================================================================
-    const filePath = toolInput?.file_path || toolInput?.path || null;
-    const permCheck = permissionManager.check(cleanName, {
-      workspacePath: this.workspacePath,
-      filePath,
-    });
+  /**
+   * Estimate a paid media call with the provider adapter and check it
+   * against the spend budgets. Returns null for other tools.
+   */
+  async checkMediaBudget(toolName, toolInput) {
+    const capability = PAID_MEDIA_TOOLS[toolName.split('__').pop()];
+    if (!capability) return null;
 
-    if (permCheck.decision === PERMISSION.AUTO_APPROVE) {
-      this.log(`[PERMISSION] Auto-approved (${permCheck.source}): ${cleanName}`);
-      return { behavior: 'allow', updatedInput: toolInput };
+    let providerId = null;
+    let estimate = 0;
+    try {
+      const { default: ProviderRegistry } = await import('../../providers/ProviderRegistry.js');
+      const registry = new ProviderRegistry();
+      providerId = registry.resolveProvider(capability, toolInput?.provider);
+      if (providerId) {
+        const adapter = await registry.getAdapter(providerId);
+        estimate = adapter.estimateCost(capability, {
+          text: toolInput?.text,
+          quality: toolInput?.quality,
+          seconds: toolInput?.seconds
+        });
+      }
+    } catch (error) {
+      this.log(`[BUDGET] Could not estimate ${toolName}: ${error.message}`);
     }
 
-    if (permCheck.decision === PERMISSION.DENY) {
-      this.log(`[PERMISSION] Denied (${permCheck.source}): ${cleanName}`);
-      return { behavior: 'deny', message: `Tool denied by ${permCheck.source} policy`, interrupt: false };
-    }
+    const check = costTracker.checkBudget(estimate, { sessionId: this.currentSessionId, ...this.costAttribution });
+    return { ...check, capability, providerId, estimate };
+  }
 
-    // Legacy cache check (GlobalConfig-based "always allow")
-    const cachedPermission = this.checkCachedPermission(cleanName);
-    if (cachedPermission?.approved) {
-      return { behavior: 'allow', updatedInput: toolInput };
+  /**
+   * canUseTool callback. Inside a traced query the decision, including any
+   * wait for the user, is recorded as a span under the tool's span.
+   */
+  async handlePermissionGate(request) {
+    const toolSpan = this.getToolSpan(request.toolUseID, request.toolName, request.toolInput);
+    if (!toolSpan) {
+      return this.decidePermission(request);
+    }
+    const result = await tracer.withSpan('friday.permission', { parent: toolSpan }, async (span) => {
+      const decision = await this.decidePermission(request);
+      span.setAttribute('permission.behavior', decision.behavior);
+      return decision;
+    });
+    if (result.behavior === 'deny') {
+      this.endToolSpan(request.toolUseID, { error: result.message || 'Permission denied', attributes: { 'tool.denied': true } });
     }
+    return result;
+  }
 
-    if (this.currentQueryMetadata?.batchMode) {
-      console.error(`[PERMISSION] 🚫 Batch mode denied for non-preapproved tool: ${cleanName}`);
-      return {
-        behavior: 'deny',
-        message: 'Scheduled agents must use pre-approved tools only. Use the configured MCP tools for this task.',
-        interrupt: false
-      };
-    }
+  async decidePermission({ toolName, toolInput, suggestions, signal, toolUseID }) {
+    const cleanName = (toolName || '').trim();
+    // Every way out of here goes through the audit log
+    const audited = (source, result, level = null) => {
+      this.recordPermissionDecision({ toolName: cleanName, toolInput, toolUseID, source, result, level });
+      return result;
+    };
 
     // =========================================================================
-    // SECURITY: Block dangerous bash/shell commands automatically
-    // =========================================================================
-    // Check if this is a bash/shell command and if it matches dangerous patterns.
-    // This prevents the agent from running commands that could:
-    // - Kill system processes (pkill, killall, kill)
-    // - Delete critical files (rm -rf /)
-    // - Escalate privileges (sudo, su)
-    // - Modify system configuration
+    // BUDGET: Check paid media calls against the spend limits
     // =========================================================================
-    const normalizedToolName = cleanName.toLowerCase();
-    if (normalizedToolName === 'bash' || normalizedToolName === 'shell' || normalizedToolName.includes('bash')) {
-      const command = toolInput?.command || '';
-      const dangerCheck = checkDangerousCommand(command);
-
-      if (dangerCheck.blocked) {
-        console.error(`[PERMISSION] 🚫 BLOCKED dangerous command: ${command}`);
-        console.error(`[PERMISSION] Reason: ${dangerCheck.reason}`);
-
+    const mediaCost = await this.checkMediaBudget(cleanName, toolInput);
+    let promptWarning = null;
+    if (mediaCost && !mediaCost.allowed) {
+      const reason = `about $${mediaCost.estimate.toFixed(2)} would exceed the ${CostTracker.describeExceeded(mediaCost.exceeded)}`;
+      if (mediaCost.onExceed === 'deny' || this.currentQueryMetadata?.batchMode) {
+        this.log(`[BUDGET] Denied ${cleanName}: ${reason}`);
+        return audited('budget', this.denyWithoutAsking(toolName, toolUseID, 'budget', `Budget exceeded: ${reason}. The call was not made.`));
+      }
+      // Ask even if the tool is normally auto-approved
+      promptWarning = `Over budget: ${reason}`;
+    }
+    if (mediaCost?.estimate > 0 && toolUseID && !cleanName.startsWith('mcp__friday-internal__')) {
+      this.pendingMediaCosts.set(toolUseID, {
+        provider: mediaCost.providerId,
+        capability: mediaCost.capability,
+        cost: mediaCost.estimate
+      });
+      this.session.toolSpans.get(toolUseID)?.setAttributes({
+        'media.provider': mediaCost.providerId,
+        'media.capability': mediaCost.capability,
+        'cost.usd': mediaCost.estimate
+      });
+    }
+
+    // =========================================================================
+    // SECURITY: Check shell commands against the command policy
+    // =========================================================================
+    // Runs before any approval applies: a pre-approved Bash tool still can't
+    // run a denied command, and an "ask" verdict always prompts.
+    const shellCommand = getShellCommand(cleanName, toolInput);
+    if (shellCommand) {
+      const verdict = commandPolicy.evaluate(shellCommand, {
+        workspacePath: this.workspacePath,
+        cwd: toolInput?.workingDirectory ? path.resolve(this.workspacePath, toolInput.workingDirectory) : null
+      });
+      const batchMode = this.currentQueryMetadata?.batchMode;
+
+      if (verdict.decision === COMMAND_DECISION.DENY || (verdict.decision === COMMAND_DECISION.ASK && batchMode)) {
+        console.error(`[PERMISSION] 🚫 BLOCKED command: ${shellCommand}`);
+        console.error(`[PERMISSION] Reason: ${verdict.reason}`);
+
         // Emit a message to notify the frontend that command was blocked
         this.emitMessage({
           type: 'command_blocked',
           tool_name: toolName,
-          command: command,
-          reason: dangerCheck.reason
+          command: shellCommand,
+          reason: verdict.reason
         });
 
         // Return deny with a helpful message for the agent
-        return {
+        return audited('command-policy', {
           behavior: 'deny',
-          message: `Command blocked for security: ${dangerCheck.reason}. The command "${command}" was not executed.`,
+          message: `Command blocked for security: ${verdict.reason}. The command "${shellCommand}" was not executed.`,
           interrupt: false
-        };
+        });
+      }
+      if (verdict.decision === COMMAND_DECISION.ASK) {
+        // Ask even if the tool is normally auto-approved
+        promptWarning = verdict.reason;
       }
     }
 
+    // =========================================================================
+    // REVIEW GATE: Human review of external actions (scheduled agents)
+    // =========================================================================
+    // Runs before the permission checks: a pre-approved tool still needs review.
+    if (this.reviewGate) {
+      const review = await this.reviewGate(cleanName, toolInput, { signal, toolUseID });
+      if (review?.approved) {
+        this.log(`[PERMISSION] Approved in review: ${cleanName}`);
+        return audited('review', { behavior: 'allow', updatedInput: review.input ?? toolInput });
+      }
+      if (review) {
+        this.log(`[PERMISSION] Rejected in review: ${cleanName}`);
+        return audited('review', { behavior: 'deny', message: review.message || 'The action was rejected in review.', interrupt: false });
+      }
+    }
+
+    // =========================================================================
+    // TOOL POLICY: Allow and deny lists sent with the query (friday run)
+    // =========================================================================
+    // The deny list wins outright; the allow list is applied below, once the
+    // permission rules have had their say.
+    const policyDecision = evaluateToolPolicy(this.currentQueryMetadata?.toolPolicy, cleanName);
+    if (policyDecision === 'deny') {
+      this.log(`[PERMISSION] Denied by tool policy: ${cleanName}`);
+      return audited('policy', this.denyWithoutAsking(toolName, toolUseID, 'policy', `${cleanName} is not allowed in this run.`));
+    }
+
+    // =========================================================================
+    // PERMISSION MANAGER: Check profile + overrides + session approvals
+    // =========================================================================
+    const filePath = toolInput?.file_path || toolInput?.path || null;
+    const permCheck = permissionManager.check(cleanName, {
+      workspacePath: this.workspacePath,
+      filePath,
+      appId: this.appId,
+      scope: this.session.contextId,
+      input: toolInput,
+    });
+
+    // --allow stands in for the user's answer to a prompt. It can't lift a
+    // deny, or a prompt the workspace's own policy insists on.
+    const workspaceAsks = permCheck.layer === 'workspace' && permCheck.decision === PERMISSION.ASK_FIRST;
+    if (policyDecision === 'allow' && !promptWarning && permCheck.decision !== PERMISSION.DENY && !workspaceAsks) {
+      this.log(`[PERMISSION] Allowed by tool policy: ${cleanName}`);
+      return audited('policy', { behavior: 'allow', updatedInput: toolInput });
+    }
+
+    if (permCheck.decision === PERMISSION.AUTO_APPROVE && !promptWarning) {
+      this.log(`[PERMISSION] Auto-approved (${permCheck.source}): ${cleanName}`);
+      return audited(permCheck.source, { behavior: 'allow', updatedInput: toolInput });
+    }
+
+    if (permCheck.decision === PERMISSION.DENY) {
+      this.log(`[PERMISSION] Denied (${permCheck.source}): ${cleanName}`);
+      const scope = permCheck.layer === 'workspace' ? 'workspace ' : '';
+      const message = permCheck.rule
+        ? `${cleanName} is denied by the ${scope}permission rule for ${permCheck.rule}${permCheck.pattern ? ` (${permCheck.pattern})` : ''}`
+        : permCheck.source === 'workspace'
+          ? `${cleanName} is denied by the workspace permission policy (${permCheck.policy})`
+          : `Tool denied by ${permCheck.source} policy`;
+      return audited(permCheck.source, this.denyWithoutAsking(toolName, toolUseID, permCheck.source, message));
+    }
+
+    // Legacy cache check (GlobalConfig-based "always allow"). It does not
+    // know about arguments or workspace policies, so it can't answer a rule
+    // or a workspace that asks.
+    const cachedPermission = permCheck.source === 'rule' || permCheck.source === 'workspace'
+      ? null
+      : this.checkCachedPermission(cleanName);
+    if (cachedPermission?.approved && !promptWarning) {
+      return audited('cache', { behavior: 'allow', updatedInput: toolInput });
+    }
+
+    if (this.currentQueryMetadata?.batchMode) {
+      console.error(`[PERMISSION] 🚫 Batch mode denied for non-preapproved tool: ${cleanName}`);
+      return audited('unattended', this.denyWithoutAsking(
+        toolName,
+        toolUseID,
+        'unattended',
+        'Unattended runs can only use pre-approved tools. Use the configured tools for this task.'
+      ));
+    }
+
     const permissionId = this.permissionIdCounter++;
     const serializableInput = safeSerialize(toolInput);
-    const description = describeToolUse(toolName, serializableInput);
-    
+    const toolDescription = describeToolUse(toolName, serializableInput);
+    const description = promptWarning ? `${toolDescription} (${promptWarning})` : toolDescription;
+
     this.emitMessage({
       type: 'permission_request',
       permission_id: permissionId,
@@ -1779,11 +2333,11 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       });
     } catch (error) {
       this.log(`[DEBUG] Permission ${permissionId} aborted: ${error.message}`);
-      return {
+      return audited('cancelled', {
         behavior: 'deny',
         message: 'Permission request cancelled',
         interrupt: false
-      };
+      });
     }
 
     const approved = Boolean(decision?.approved);
@@ -1799,17 +2353,51 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
           : Array.isArray(suggestions) && suggestions.length > 0
             ? suggestions
             : undefined;
-      return {
+      return audited('user', {
         behavior: 'allow',
         updatedInput,
         updatedPermissions
-      };
+      }, decision?.permissionLevel || 'once');
     }
-    return {
+    return audited('user', {
       behavior: 'deny',
       message: decision?.message || 'User denied this request',
       interrupt: decision?.interrupt ?? true
-    };
+    });
+  }
+
+  /**
+   * Append a permission decision to the audit log, with the session and
+   * client it was made for.
+   */
+  recordPermissionDecision({ toolName, toolInput, toolUseID, source, result, level = null }) {
+    this.permissionAuditLog?.record({
+      tool: toolName,
+      input: toolInput,
+      decision: result.behavior,
+      source,
+      level,
+      reason: result.behavior === 'deny' ? result.message : null,
+      sessionId: this.currentSessionId || null,
+      appId: this.appId || null,
+      toolUseId: toolUseID || null
+    });
+  }
+
+  /**
+   * Deny a tool call that was decided without asking anyone, and tell
+   * clients why with a `permission_denied` event (budget, policy, profile
+   * rule, or an unattended run with nobody to ask)
+   */
+  denyWithoutAsking(toolName, toolUseID, reason, message) {
+    this.emitMessage({
+      type: 'permission_denied',
+      tool_name: toolName,
+      tool_use_id: toolUseID || null,
+      reason,
+      message
+    });
+    return { behavior: 'deny', message, interrupt: false };
   }
 
   /**
@@ -1858,13 +2446,557 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     this.pendingUsage = [];
     // Clear session-level permission approvals (but keep persistent "always allow")
     this.sessionApprovals.clear();
-    permissionManager.clearSessionApprovals();
+    permissionManager.clearSessionApprovals(this.session.contextId);
     this.log('[PERMISSION] Session approvals cleared');
   }
 
+  // =============================================================================
+  // SESSION HISTORY
+  // =============================================================================
+
+  /**
+   * Handle get_sessions, search_sessions, get_session_history, delete_session,
+   * fork_session, compact_session, export_session and import_session messages
+   * from clients that browse past conversations. Sessions are listed most recent first with
+   * their all-time spend; `workspace_path` limits the list to one workspace.
+   * search_sessions ranks sessions against a free-text `query` and returns
+   * highlighted snippets of the matching messages and tool calls. fork_session
+   * copies a session up to its `query_index`-th query (1-based, default: all
+   * of it); the new session branches the SDK conversation on its first query.
+   * compact_session summarizes a session into a continuation, keeping detail
+   * on an optional `focus`, and replies with context_compacted (with an
+   * `error` if it could not).
+   * export_session replies with the rendered file (`format` md, html or json);
+   * import_session takes a JSON `bundle` and writes its media into the
+   * runtime's workspace.
+   */
+  async handleSessionMessage(data) {
+    if (!this.sessionStore) {
+      this.emitMessage({ type: 'error', message: 'Session history is not available' });
+      return;
+    }
+
+    switch (data.type) {
+      case 'get_sessions': {
+        const spend = costTracker.getSpendBySession();
+        const sessions = (await this.sessionStore.listSessions(Infinity))
+          .filter((session) => !data.workspace_path || session.workspacePath === data.workspace_path)
+          .slice(0, data.limit || 100)
+          .map((session) => ({ ...session, cost: spend[session.id] || 0 }));
+        this.emitMessage({ type: 'sessions_list', sessions });
+        break;
+      }
+      case 'search_sessions': {
+        const query = typeof data.query === 'string' ? data.query : '';
+        const results = query.trim()
+          ? await this.sessionStore.searchSessions(query, { limit: data.limit || 20, workspacePath: data.workspace_path })
+          : [];
+        this.emitMessage({ type: 'session_search_results', query, results });
+        break;
+      }
+      case 'get_session_history': {
+        const messages = data.session_id
+          ? await this.sessionStore.getTranscript(data.session_id, { limit: data.limit || 20 })
+          : [];
+        this.emitMessage({ type: 'session_history', session_id: data.session_id, messages });
+        break;
+      }
+      case 'delete_session': {
+        const sessionId = data.session_id;
+        if (!sessionId) {
+          this.emitMessage({ type: 'error', message: 'delete_session requires session_id' });
+          break;
+        }
+        if (this.getSessionContext(sessionId)?.abortController) {
+          this.emitMessage({ type: 'error', message: 'Cannot delete a session while it is running a query' });
+          break;
+        }
+        if (this.currentSessionId === sessionId) {
+          this.resetSessionState();
+        }
+        this.dropSessionContext(sessionId);
+        await this.sessionStore.deleteSession(sessionId);
+        try {
+          this.checkpointStore.deleteSession(sessionId);
+        } catch (error) {
+          this.log(`[Checkpoint] Failed to delete checkpoints of ${sessionId}: ${error.message}`);
+        }
+        this.emitMessage({ type: 'session_deleted', session_id: sessionId });
+        break;
+      }
+      case 'fork_session': {
+        const sessionId = data.session_id;
+        if (!sessionId) {
+          this.emitMessage({ type: 'error', message: 'fork_session requires session_id' });
+          break;
+        }
+        if (this.getSessionContext(sessionId)?.abortController) {
+          this.emitMessage({ type: 'error', message: 'Cannot fork a session while it is running a query' });
+          break;
+        }
+        try {
+          const fork = await this.sessionStore.forkSession(sessionId, crypto.randomUUID(), {
+            queryIndex: data.query_index ?? Infinity
+          });
+          this.emitMessage({
+            type: 'session_forked',
+            session_id: fork.id,
+            parent_session_id: sessionId,
+            forked_at_event: fork.forkedAtEvent,
+            query_index: data.query_index ?? null,
+            title: fork.title,
+            prompt: fork.forkedQuery
+          });
+        } catch (error) {
+          this.emitMessage({ type: 'error', message: `Failed to fork session: ${error.message}` });
+        }
+        break;
+      }
+      case 'compact_session': {
+        // Failures reply with context_compacted too, so clients wait for one type
+        const sessionId = data.session_id;
+        const fail = (error) => this.emitMessage({ type: 'context_compacted', session_id: null, parent_session_id: sessionId || null, error });
+        if (!sessionId) {
+          fail('compact_session requires session_id');
+          break;
+        }
+        if (this.getSessionContext(sessionId)?.abortController) {
+          fail('Cannot compact a session while it is running a query');
+          break;
+        }
+        try {
+          await this.compactSession(sessionId, { focus: typeof data.focus === 'string' ? data.focus : '' });
+        } catch (error) {
+          fail(`Failed to compact session: ${error.message}`);
+        }
+        break;
+      }
+      case 'export_session': {
+        try {
+          const format = data.format || 'md';
+          const exported = await this.sessionExporter.export(data.session_id, { format });
+          this.emitMessage({
+            type: 'session_exported',
+            session_id: data.session_id,
+            format,
+            filename: exported.filename,
+            content: exported.content,
+            skipped_media: exported.skipped
+          });
+        } catch (error) {
+          this.emitMessage({ type: 'error', message: `Failed to export session: ${error.message}` });
+        }
+        break;
+      }
+      case 'import_session': {
+        try {
+          // Media is only ever written into this runtime's own workspace
+          const { metadata, media } = await this.sessionExporter.import(data.bundle, { workspacePath: this.workspacePath });
+          this.emitMessage({ type: 'session_imported', session_id: metadata.id, title: metadata.title, media });
+        } catch (error) {
+          this.emitMessage({ type: 'error', message: `Failed to import session: ${error.message}` });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // =============================================================================
+  // TRACING
+  // =============================================================================
+
+  /**
+   * Span for a tool use in the running query. Created by whichever of the
+   * PreToolUse hook and the permission gate sees the tool first; null
+   * outside a traced query.
+   */
+  getToolSpan(toolUseId, toolName, toolInput) {
+    const parent = this.session.traceSpan;
+    if (!parent || !toolUseId) return null;
+    let span = this.session.toolSpans.get(toolUseId);
+    if (!span) {
+      const command = getShellCommand(toolName || '', toolInput);
+      span = tracer.startSpan('friday.tool', {
+        parent,
+        attributes: {
+          'tool.name': toolName,
+          'tool.use_id': toolUseId,
+          'tool.command': command ? secretRedactor.redact(command).slice(0, 500) : null
+        }
+      });
+      this.session.toolSpans.set(toolUseId, span);
+    }
+    return span;
+  }
+
+  /**
+   * Finish a tool span; successful media calls add their cost to the query span.
+   */
+  endToolSpan(toolUseId, { error = null, attributes = {} } = {}) {
+    const span = this.session.toolSpans.get(toolUseId);
+    if (!span) return;
+    this.session.toolSpans.delete(toolUseId);
+    if (error) {
+      span.recordError(typeof error === 'string' ? { message: error } : error);
+    } else {
+      span.setStatus(SPAN_STATUS.OK);
+      this.session.traceSpan?.addToAttribute('cost.usd', span.attributes['cost.usd']);
+    }
+    span.end(attributes);
+  }
+
+  /**
+   * Add one API call's token usage and cost to the query span.
+   */
+  traceUsage(usage) {
+    const span = this.session.traceSpan;
+    if (!span) return;
+    span.addToAttribute('gen_ai.usage.input_tokens', usage.input_tokens);
+    span.addToAttribute('gen_ai.usage.output_tokens', usage.output_tokens);
+    span.addToAttribute('gen_ai.usage.cache_read_input_tokens', usage.cache_read_input_tokens);
+    span.addToAttribute('gen_ai.usage.cache_creation_input_tokens', usage.cache_creation_input_tokens);
+    span.addToAttribute('cost.usd', calculateTokenCost(usage, this.model));
+  }
+
+  /**
+   * End the query span and any tool spans the SDK never reported back on.
+   */
+  endQuerySpan(error = null) {
+    const span = this.session.traceSpan;
+    if (!span) return;
+    for (const toolUseId of [...this.session.toolSpans.keys()]) {
+      this.endToolSpan(toolUseId, { attributes: { 'tool.unfinished': true } });
+    }
+    if (error) {
+      span.recordError(error);
+    } else if (span.status === SPAN_STATUS.UNSET) {
+      span.setStatus(SPAN_STATUS.OK);
+    }
+    span.end({ 'session.id': this.currentSessionId });
+    this.session.traceSpan = null;
+  }
+
+  // =============================================================================
+  // CHECKPOINTS
+  // =============================================================================
+
+  /**
+   * Absolute path a file-writing tool is about to change (null for other tools).
+   */
+  getCheckpointTarget(toolName, toolInput) {
+    const name = String(toolName || '').toLowerCase();
+    const target = FILE_WRITE_TOOLS.has(name)
+      ? toolInput?.file_path
+      : name === 'notebookedit' ? toolInput?.notebook_path : null;
+    if (!target || typeof target !== 'string') return null;
+    const expanded = target.startsWith('~') && process.env.HOME
+      ? path.join(process.env.HOME, target.slice(1))
+      : target;
+    return path.resolve(this.workspacePath, expanded);
+  }
+
+  /**
+   * PreToolUse hook: snapshot a file before the agent writes it. This runs
+   * in the hook rather than in handleToolUsePersistence because the hook
+   * blocks the tool, while the message stream can trail its execution.
+   * The query's checkpoint turn starts with its first write.
+   */
+  checkpointFileChange(toolName, toolInput, sessionId = null) {
+    const checkpoint = this.session.checkpoint;
+    const filePath = this.getCheckpointTarget(toolName, toolInput);
+    if (!checkpoint || !filePath) return;
+    try {
+      if (!checkpoint.turn) {
+        checkpoint.sessionId = sessionId || this.currentSessionId;
+        if (!checkpoint.sessionId) return;
+        checkpoint.turn = this.checkpointStore.beginTurn(checkpoint.sessionId, { prompt: checkpoint.prompt });
+      }
+      this.checkpointStore.snapshot(checkpoint.sessionId, checkpoint.turn, filePath, { toolName });
+    } catch (error) {
+      this.log(`[Checkpoint] Failed to snapshot ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * PostToolUse hook: remember what the write left the file at.
+   */
+  recordCheckpointResult(toolName, toolInput) {
+    const checkpoint = this.session.checkpoint;
+    const filePath = this.getCheckpointTarget(toolName, toolInput);
+    if (!checkpoint?.turn || !filePath) return;
+    try {
+      this.checkpointStore.recordResult(checkpoint.sessionId, checkpoint.turn, filePath);
+    } catch (error) {
+      this.log(`[Checkpoint] Failed to record ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close the query's checkpoint turn with the final state of its files.
+   */
+  finishCheckpointTurn() {
+    const checkpoint = this.session.checkpoint;
+    this.session.checkpoint = null;
+    if (!checkpoint?.turn) return;
+    try {
+      this.checkpointStore.recordResult(checkpoint.sessionId, checkpoint.turn);
+      this.checkpointStore.discardIfEmpty(checkpoint.sessionId, checkpoint.turn);
+    } catch (error) {
+      this.log(`[Checkpoint] Failed to finish turn ${checkpoint.turn}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle checkpoint_list and checkpoint_restore messages. Replies with a
+   * message of the same type. A restore without `turn` undoes the last turn;
+   * it is refused while the session has a query running.
+   */
+  handleCheckpointMessage(data) {
+    const sessionId = data.session_id || this.currentSessionId;
+    const reply = (payload) => this.emitMessage({ type: data.type, session_id: sessionId, ...payload });
+    if (!sessionId) {
+      reply(data.type === 'checkpoint_list' ? { checkpoints: [] } : { restored: false, error: 'No active session' });
+      return;
+    }
+
+    if (data.type === 'checkpoint_list') {
+      try {
+        reply({ checkpoints: this.checkpointStore.list(sessionId) });
+      } catch (error) {
+        reply({ checkpoints: [], error: error.message });
+      }
+      return;
+    }
+
+    if (this.getSessionContext(sessionId)?.abortController) {
+      reply({ restored: false, error: 'Wait for the current query to finish before restoring' });
+      return;
+    }
+    const turn = data.turn == null ? null : Number(data.turn);
+    try {
+      const result = this.checkpointStore.restore(sessionId, turn);
+      this.log(`[Checkpoint] Restored ${result.files.length} file(s), undoing turn(s) ${result.turns.join(', ')}`);
+      reply({ restored: true, ...result });
+    } catch (error) {
+      reply({
+        restored: false,
+        error: error.message,
+        conflicts: error instanceof CheckpointConflictError ? error.conflicts : []
+      });
+    }
+  }
+
+  /**
+   * Handle permission_rules_get and permission_rules_set messages. Replies
+   * with a message of the same type holding the rules now in effect.
+   */
+  handlePermissionRulesMessage(data) {
+    const reply = (payload = {}) => this.emitMessage({
+      type: data.type,
+      rules: permissionManager.getRules(),
+      profile: permissionManager.getProfile(),
+      ...payload
+    });
+    if (data.type === 'permission_rules_set') {
+      try {
+        permissionManager.setRules(data.rules);
+        this.log(`[PERMISSION] Permission rules updated (${Object.keys(data.rules).length})`);
+      } catch (error) {
+        reply({ error: error.message });
+        return;
+      }
+    }
+    reply();
+  }
+
+  /**
+   * Handle permission_audit messages: recent permission decisions, newest
+   * first. Filters: `since` ("24h", "7d" or a date), `tool` pattern,
+   * `denied`, `session_id` and `limit` (default 200).
+   */
+  handlePermissionAuditMessage(data) {
+    const since = data.since ? parseSince(data.since) : null;
+    if (data.since && since === null) {
+      this.emitMessage({ type: 'permission_audit', entries: [], error: `Unreadable since: ${data.since}` });
+      return;
+    }
+    const entries = this.permissionAuditLog.query({
+      since,
+      tool: data.tool || null,
+      denied: Boolean(data.denied),
+      sessionId: data.session_id || null,
+      limit: Number(data.limit) > 0 ? Number(data.limit) : 200
+    });
+    this.emitMessage({ type: 'permission_audit', entries });
+  }
+
+  /**
+   * Handle memory_get, memory_add and memory_set messages: the FRIDAY.md
+   * files for this workspace. memory_add takes a `fact`, memory_set the
+   * whole `content`; both take a `scope` (workspace or user). Replies with
+   * the same type and every file.
+   */
+  handleMemoryMessage(data) {
+    const reply = (payload = {}) => this.emitMessage({
+      type: data.type,
+      files: this.memoryFiles.list(this.workspacePath),
+      ...payload
+    });
+    const scope = data.scope || 'workspace';
+    try {
+      if (data.type === 'memory_add') {
+        this.memoryFiles.append(scope, this.workspacePath, data.fact);
+      } else if (data.type === 'memory_set') {
+        this.memoryFiles.write(scope, this.workspacePath, data.content);
+      }
+    } catch (error) {
+      reply({ error: error.message });
+      return;
+    }
+    reply();
+  }
+
+  /**
+   * Handle project_trust messages: the user's answer to a
+   * project_trust_request. `hash` must match the config that was shown;
+   * `loadConfig` is loadBackendConfig, which applies the answer.
+   */
+  async handleProjectTrustMessage(data, { loadConfig }) {
+    const project = this.project;
+    if (!project || project.hash !== data.hash) {
+      this.emitMessage({ type: 'project_trust', trusted: false, error: 'The project config changed since it was shown. Reload the workspace to review it again.' });
+      return;
+    }
+    this.projectTrustStore.set(project.workspacePath, project.hash, Boolean(data.trusted));
+    this.log(`[Project] ${data.trusted ? 'Trusted' : 'Not trusting'} ${project.path}`);
+    this.applyBackendConfig(await loadConfig({ workspacePath: this.workspacePath }));
+    this.emitMessage({ type: 'project_trust', trusted: Boolean(data.trusted), workspace_path: project.workspacePath });
+  }
+
+  // =============================================================================
+  // CONTEXT COMPACTION
+  // =============================================================================
+
+  getCompactionSettings() {
+    return this.compactionSettings || loadCompactionSettings();
+  }
+
+  /**
+   * Note how full the current session's context is, from one API call's
+   * usage. OpenAI-compatible backends report theirs in `usage` events,
+   * which SessionStore.updateUsage records the same way.
+   */
+  recordContextSize(usage) {
+    const contextTokens = contextTokensFromUsage(usage);
+    if (!contextTokens || !this.sessionStore || !this.currentSessionId) return;
+    this.sessionStore.updateMetadata(this.currentSessionId, { contextTokens }).catch((error) => {
+      this.log(`[SessionStore] Failed to record context size: ${error.message}`);
+    });
+  }
+
+  /**
+   * Whether a session is full enough to compact before its next query.
+   * @param {string} sessionId
+   * @param {Object} backend - From BackendRegistry.open; may set its own contextWindow
+   */
+  needsCompaction(sessionId, backend) {
+    const contextTokens = this.sessionStore?.metadataCache.get(sessionId)?.contextTokens;
+    return shouldCompact(contextTokens, this.getCompactionSettings(), backend?.contextWindow);
+  }
+
+  /**
+   * Summarize a session's older turns and start a continuation session
+   * seeded with the summary. The current session moves to the
+   * continuation, and clients get `context_compacted`.
+   * @param {string} sessionId - Session to compact
+   * @param {Object} [options]
+   * @param {string} [options.focus] - What the summary should keep in detail
+   * @param {'auto'|'manual'} [options.reason='manual']
+   * @returns {Promise<Object>} Metadata of the continuation
+   */
+  async compactSession(sessionId, { focus = '', reason = 'manual' } = {}) {
+    const source = this.sessionStore?.metadataCache.get(sessionId);
+    if (!source) throw new Error(`Session not found: ${sessionId}`);
+
+    // Compacting a continuation again folds its own summary in
+    await this.sessionStore.settleEvents(sessionId);
+    const messages = [...(source.compaction?.recentMessages || []), ...await this.sessionStore.getTranscript(sessionId, { limit: Infinity })];
+    if (messages.length === 0) throw new Error('Nothing to compact yet');
+    const { older, recent } = splitTranscript(messages);
+    if (source.compaction?.summary) {
+      older.unshift({ role: 'assistant', text: `Summary of the conversation before this point:\n${source.compaction.summary}` });
+    }
+
+    this.emitMessage({ type: 'info', message: 'Summarizing the conversation...' });
+    // No history path: the summary call is not a conversation to keep
+    const backend = this.backendRegistry.open(source.backend || null);
+    const model = backend.model || this.getProjectSettings().model || this.model || 'claude-sonnet-4-5';
+    const { summary, usage } = await summarize(backend, buildSummaryRequest(older, { focus }), {
+      model,
+      cwd: this.workspacePath,
+      env: filterSensitiveEnv(process.env)
+    });
+    if (usage) costTracker.recordTokenUsage(sessionId, usage, model, this.costAttribution);
+
+    const continuation = await this.sessionStore.createContinuation(sessionId, crypto.randomUUID(), {
+      summary,
+      recentMessages: recent,
+      focus: focus.trim() || null,
+      reason,
+      contextTokens: source.contextTokens || 0
+    });
+    this.log(`[Compaction] Compacted ${sessionId} (${source.contextTokens || 0} tokens, ${reason}) into ${continuation.id}`);
+    if (this.currentSessionId === sessionId) {
+      this.currentSessionId = continuation.id;
+    }
+    this.emitMessage({
+      type: 'context_compacted',
+      session_id: continuation.id,
+      parent_session_id: sessionId,
+      reason,
+      focus: continuation.compaction.focus,
+      context_tokens: continuation.compaction.contextTokens,
+      summarized_messages: older.length,
+      kept_messages: recent.length,
+      summary
+    });
+    return continuation;
+  }
+
   async handleQuery(userMessage, sessionId = null, metadata = {}) {
+    const context = this.sessionScope.getStore() || this.resolveSessionContext(sessionId);
+    if (context !== this.sessionScope.getStore()) {
+      return this.runInSession(context, () => this.handleQuery(userMessage, sessionId, metadata))
+        .finally(() => this.pruneSessionContext(context));
+    }
+    const queryStartedAt = Date.now();
     console.error(`[RUNTIME] 🟣 handleQuery called. Message: "${userMessage.slice(0, 50)}..."`);
 
+    // A session stays on the backend it started with, which holds its conversation
+    let backend;
+    try {
+      backend = this.backendRegistry.open(
+        (sessionId && this.sessionStore?.metadataCache.get(sessionId)?.backend) || metadata?.backend || null,
+        { historyPath: this.sessionStore ? (id) => path.join(this.sessionStore.getSessionDir(id), 'backend-history.json') : null }
+      );
+    } catch (error) {
+      this.emitMessage({ type: 'error', code: 'backend_unavailable', message: error.message });
+      return { sessionId: this.currentSessionId, response: '' };
+    }
+    metadata = { ...metadata, backend: backend.name };
+
+    // Near the context limit: summarize and go on in a continuation session
+    if (sessionId && this.needsCompaction(sessionId, backend)) {
+      try {
+        sessionId = (await this.compactSession(sessionId, { reason: 'auto' })).id;
+      } catch (error) {
+        this.log(`[Compaction] Failed to compact ${sessionId}: ${error.message}`);
+        this.emitMessage({ type: 'info', message: `Could not compact the conversation (${error.message}); continuing without it` });
+      }
+    }
+
     // Create abort controller for this query
     this.currentAbortController = new AbortController();
     const abortSignal = this.currentAbortController.signal;
@@ -1872,13 +3004,16 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
 
     if (sessionId) {
       this.currentSessionId = sessionId;
+      this.syncStreamSeq(sessionId);
       if (this.sessionStore) {
         this.sessionStore
           .ensureSession(sessionId, {
             workspacePath: this.workspacePath,
             title: this.generateSessionTitle(userMessage),
             model: metadata?.modelId || metadata?.model,
-            updatedAt: new Date().toISOString()
+            backend: backend.name,
+            updatedAt: new Date().toISOString(),
+            owner: this.sessionOwner()
           })
           .catch((error) => {
             this.log(`[SessionStore] Failed to ensure session ${sessionId}: ${error.message}`);
@@ -1902,11 +3037,28 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     const { systemPrompt, model: agentModel, agentName } = await this.buildAgentSystemPrompt(metadata, userMessage);
 
     // Store model for cost tracking
-    this.model = agentModel || 'claude-sonnet-4-5';
+    this.model = backend.model || this.getProjectSettings().model || agentModel || 'claude-sonnet-4-5';
 
     // Log that Friday is handling the request
     this.emitMessage({ type: 'info', message: `${agentName} is processing your request...` });
 
+    // One trace per query; MCP servers continue it through TRACEPARENT
+    const querySpan = tracer.startSpan('friday.query', {
+      parent: null,
+      startTime: queryStartedAt,
+      attributes: {
+        'session.id': sessionId,
+        'gen_ai.request.model': this.model,
+        'friday.backend': backend.name,
+        'friday.agent': agentName,
+        'friday.batch': metadata?.batchMode ? true : null,
+        'friday.agent_id': this.costAttribution.agentId,
+        'query.length': userMessage.length
+      }
+    });
+    this.session.traceSpan = querySpan;
+    this.session.checkpoint = { prompt: userMessage, sessionId: null, turn: null };
+
     // Combine external MCP servers with internal SDK MCP server
     // Skip friday-internal in batch mode — its tools (e.g. create_scheduled_agent) don't work without a store
     // Strip non-SDK properties (e.g., 'auth') — the SDK only accepts command/args/env/type
@@ -1915,7 +3067,7 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       sdkMcpServers[id] = {
         command: def.command,
         ...(def.args ? { args: def.args } : {}),
-        ...(def.env ? { env: def.env } : {})
+        ...(def.env ? { env: { ...def.env, TRACEPARENT: querySpan.traceparent } } : {})
       };
     }
     const allMcpServers = {
@@ -1930,21 +3082,79 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     }
 
     const queryOptions = {
-      model: agentModel || 'claude-sonnet-4-5',
+      model: this.model,
       cwd: this.workspacePath,
       additionalDirectories: [this.workspacePath],
       permissionMode: 'default',
+      ...(metadata?.maxTurns ? { maxTurns: metadata.maxTurns } : {}),
       canUseTool: (toolName, toolInput, { signal, suggestions, toolUseID }) =>
         this.handlePermissionGate({ toolName, toolInput, suggestions, signal, toolUseID }),
       mcpServers: allMcpServers,
+      // Send shell commands and searches through the redacting terminal server
+      disallowedTools: routedBuiltinTools(allMcpServers),
       systemPrompt,
       env: filterSensitiveEnv(process.env),
+      hooks: {
+        PreToolUse: [{
+          hooks: [
+            (input) => this.guardSecretRead(input),
+            async (input) => {
+              this.getToolSpan(input.tool_use_id, input.tool_name, input.tool_input);
+              this.checkpointFileChange(input.tool_name, input.tool_input, input.session_id);
+              return {};
+            }
+          ]
+        }],
+        PostToolUse: [{
+          hooks: [
+            (input) => this.redactToolOutput(input),
+            async (input) => {
+              this.endToolSpan(input.tool_use_id);
+              this.recordCheckpointResult(input.tool_name, input.tool_input);
+              return {};
+            }
+          ]
+        }],
+        PostToolUseFailure: [{
+          hooks: [async (input) => {
+            this.endToolSpan(input.tool_use_id, { error: input.error || 'Tool failed' });
+            this.recordToolResult(queryContext, {
+              toolUseId: input.tool_use_id,
+              toolName: input.tool_name,
+              input: input.tool_input,
+              isError: true,
+              content: input.error || null
+            });
+            return {};
+          }]
+        }]
+      },
       stderr: (data) => {
         this.log(`[SDK stderr] ${data.trim()}`);
       }
     };
-
-    if (sessionId && !this.skipNextResume) {
+    if (backend.type !== 'claude') {
+      // Other backends stop their API calls and tool calls when the query is aborted
+      queryOptions.abortController = this.currentAbortController;
+    }
+
+    const pendingFork = this.sessionStore?.getPendingFork(sessionId);
+    if (pendingFork) {
+      // First query of a fork: start the SDK session under the fork's id,
+      // branching the parent's SDK session at the fork point
+      queryOptions.sessionId = sessionId;
+      if (pendingFork.resume) {
+        queryOptions.resume = pendingFork.resume.sessionId;
+        queryOptions.forkSession = true;
+        queryOptions.resumeSessionAt = pendingFork.resume.messageUuid;
+      }
+      this.skipNextResume = false;
+      if (pendingFork.compacted) {
+        this.emitMessage({ type: 'info', message: `Continuing compacted session: ${pendingFork.parentSessionId}` });
+      } else if (pendingFork.parentSessionId) {
+        this.emitMessage({ type: 'info', message: `Starting fork of session: ${pendingFork.parentSessionId}` });
+      }
+    } else if (sessionId && !this.skipNextResume) {
       queryOptions.resume = sessionId;
       this.emitMessage({ type: 'info', message: `Resuming session: ${sessionId}` });
     } else if (this.skipNextResume) {
@@ -1958,7 +3168,11 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     let fullResponse = '';
 
     try {
-      const queryStream = query({ prompt, options: queryOptions });
+      const mcpSpan = tracer.startSpan('mcp.startup', {
+        parent: querySpan,
+        attributes: { 'mcp.server_count': Object.keys(allMcpServers).length }
+      });
+      const queryStream = backend.query({ prompt, options: queryOptions });
 
       // Check MCP server status after query starts
       try {
@@ -1968,8 +3182,22 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
         if (vercelStatus) {
           this.log(`[MCP] Vercel status: ${vercelStatus.status}, tools: ${vercelStatus.tools?.length || 0}, error: ${vercelStatus.error || 'none'}`);
         }
+        for (const server of mcpStatus) {
+          mcpSpan.addEvent('mcp.server', {
+            'mcp.server': server.name,
+            'mcp.status': server.status,
+            'mcp.tools': server.tools?.length || 0,
+            ...(server.error ? { 'mcp.error': secretRedactor.redact(server.error) } : {})
+          });
+        }
+        const failed = mcpStatus.filter(s => s.status === 'failed').map(s => s.name);
+        mcpSpan.setAttribute('mcp.failed', failed.length > 0 ? failed : null);
+        mcpSpan.setStatus(failed.length > 0 ? SPAN_STATUS.ERROR : SPAN_STATUS.OK, failed.length > 0 ? `Failed to start: ${failed.join(', ')}` : null);
       } catch (statusErr) {
         this.log(`[MCP] Failed to get server status: ${statusErr.message}`);
+        mcpSpan.recordError(statusErr);
+      } finally {
+        mcpSpan.end();
       }
 
       for await (const message of queryStream) {
@@ -1978,6 +3206,7 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
         // So we just exit silently to avoid duplicate messages
         if (abortSignal.aborted) {
           this.log('[RUNTIME] Query aborted by user (detected in loop)');
+          querySpan.setAttribute('query.aborted', true);
           // Don't emit duplicate 'complete' - abortCurrentQuery() already handled it
           return { sessionId: this.currentSessionId, response: fullResponse, aborted: true };
         }
@@ -1985,7 +3214,11 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
         if (message.session_id && !messageSessionId) {
           messageSessionId = message.session_id;
           this.currentSessionId = message.session_id;
+          querySpan.setAttribute('session.id', message.session_id);
           this.emitMessage({ type: 'session', session_id: message.session_id });
+          if (pendingFork) {
+            await this.sessionStore.updateMetadata(message.session_id, { forkPending: false });
+          }
         }
         const appended = await this.routeAgentMessage(message, queryContext, fullResponse);
         if (appended) {
@@ -2000,12 +3233,34 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       // Note: If abortCurrentQuery() was called, it already emitted 'complete' with aborted: true
       if (abortSignal.aborted) {
         this.log('[RUNTIME] Query aborted during execution (caught exception)');
+        querySpan.setAttribute('query.aborted', true);
         // Don't emit duplicate 'complete' - abortCurrentQuery() already handled it
         return { sessionId: this.currentSessionId, response: fullResponse, aborted: true };
       }
       this.log(`[RUNTIME] Error in handleQuery: ${error.message}`);
-      this.emitMessage({ type: 'error', message: error.message });
+      if (CONTEXT_LIMIT_ERROR.test(error.message)) {
+        this.emitMessage({
+          type: 'error',
+          code: 'context_limit',
+          message: `${error.message}. The conversation no longer fits in the model's context; run /compact to continue it in a new session.`
+        });
+      } else {
+        this.emitMessage({ type: 'error', message: error.message });
+      }
+      querySpan.recordError(error);
       throw error;
+    } finally {
+      this.endQuerySpan();
+      this.finishCheckpointTurn();
+      if (queryContext.automaticRules.length > 0 && !abortSignal.aborted) {
+        // After handleQuery returns, so follow-up queries don't nest in this one
+        const matches = queryContext.automaticRules;
+        setImmediate(() => {
+          this.runAutomaticRuleActions(matches).catch((error) => {
+            this.log(`[Rules] Automatic actions failed: ${error.message}`);
+          });
+        });
+      }
     }
   }
 
@@ -2014,9 +3269,19 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
    * This cancels any pending permission requests and signals the query loop to stop.
    * Note: Already-running tool executions (like terminal commands) may continue until
    * they complete - this is a limitation of the current MCP architecture.
+   * @param {string} [sessionId] - Session to abort. Without one, aborts the current
+   *   context's query, or the only running query if there is exactly one.
    */
-  abortCurrentQuery() {
-    if (this.currentAbortController) {
+  abortCurrentQuery(sessionId = null) {
+    let context = sessionId ? this.getSessionContext(sessionId) : this.session;
+    if (!sessionId && !context.abortController) {
+      const active = this.getActiveSessionContexts();
+      if (active.length === 1) context = active[0];
+    }
+    if (context && context !== this.session) {
+      return this.runInSession(context, () => this.abortCurrentQuery(sessionId));
+    }
+    if (context && this.currentAbortController) {
       this.log('[RUNTIME] Aborting current query');
 
       // 1. Abort the signal - this will:
@@ -2067,6 +3332,10 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
         }
         break;
       case 'assistant':
+        // Forks resume the SDK session at the last assistant message of a turn
+        if (message.uuid) queryContext.lastAssistantUuid = message.uuid;
+        // The SDK reports each API call's usage here; sub-agents have their own context
+        if (message.message?.usage && !message.parent_tool_use_id) this.recordContextSize(message.message.usage);
         appended += await this.handleAssistantMessage(message, queryContext);
         break;
       case 'thinking':
@@ -2075,23 +3344,42 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       case 'tool_use':
         await this.handleToolUse(message, queryContext);
         break;
-      case 'tool_result':
+      case 'tool_result': {
         // Clear thinking state after tool completes
         this.emitMessage({ type: 'thinking_complete' });
 
+        // friday-media runs out of process, so its cost is recorded here
+        const mediaCost = this.pendingMediaCosts.get(message.tool_use_id);
+        if (mediaCost) {
+          this.pendingMediaCosts.delete(message.tool_use_id);
+          if (!message.is_error) {
+            costTracker.recordProviderCost(this.currentSessionId, { ...mediaCost, ...this.costAttribution });
+          }
+        }
+
+        this.endToolSpan(message.tool_use_id, { error: message.is_error ? 'Tool returned an error' : null });
+        this.recordToolResult(queryContext, {
+          toolUseId: message.tool_use_id,
+          toolName: message.tool_name,
+          isError: message.is_error,
+          content: message.content || message.result || null
+        });
+
         this.emitMessage({
           type: 'tool_result',
           tool_name: message.tool_name || message.tool_use_id || 'tool',
           tool_use_id: message.tool_use_id,
-          tool_result: message.content || message.result || null,
+          tool_result: redactSecrets(message.content || message.result || null),
           is_error: message.is_error || false
         });
         break;
+      }
       case 'usage': {
         // SDK may send usage as message.usage or directly on message
         const usageData = message.usage || (message.input_tokens != null ? message : null);
         if (usageData) {
-          costTracker.recordTokenUsage(this.currentSessionId, usageData, this.model);
+          costTracker.recordTokenUsage(this.currentSessionId, usageData, this.model, this.costAttribution);
+          this.traceUsage(usageData);
           this.emitMessage({ type: 'usage', usage: usageData });
         }
         break;
@@ -2101,7 +3389,8 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
           // Capture usage from result message if present (SDK often embeds it here)
           const resultUsage = message.usage || message.result?.usage;
           if (resultUsage && resultUsage.input_tokens != null) {
-            costTracker.recordTokenUsage(this.currentSessionId, resultUsage, this.model);
+            costTracker.recordTokenUsage(this.currentSessionId, resultUsage, this.model, this.costAttribution);
+            this.traceUsage(resultUsage);
           }
           await this.handleSuccessResult(queryContext, fullResponse);
           const sessionCost = costTracker.getSessionCost(this.currentSessionId);
@@ -2109,11 +3398,21 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
             type: 'complete',
             result: message.result,
             session_id: this.currentSessionId,
+            message_uuid: queryContext.lastAssistantUuid || null,
             cost: {
               tokens: sessionCost.tokens,
               estimated: sessionCost.totalCost,
             },
           });
+        } else if (message.subtype) {
+          // error_max_turns, error_during_execution: the SDK gave up on the query
+          this.emitMessage({
+            type: 'error',
+            code: message.subtype,
+            message: message.subtype === 'error_max_turns'
+              ? `Stopped after reaching the turn limit (${message.num_turns ?? this.currentQueryMetadata?.maxTurns} turns)`
+              : `The query ended with ${message.subtype}`
+          });
         }
         break;
       default:
@@ -2208,8 +3507,13 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     // Clear thinking state when query completes
     this.emitMessage({ type: 'thinking_complete' });
 
-    const promptedRules = this.evaluateAutomationRules(queryContext);
-    for (const prompt of promptedRules) {
+    const matchedRules = this.evaluateAutomationRules(queryContext);
+    for (const prompt of matchedRules) {
+      const automatic = Array.isArray(prompt.rule.actions) && prompt.rule.actions.length > 0;
+      if (automatic) {
+        queryContext.automaticRules.push(prompt);
+      }
+      if (automatic && !prompt.rule.prompt) continue;
       const promptId = this.generateRulePromptId(prompt.rule.id);
       this.pendingRulePrompts.set(promptId, {
         rule: prompt.rule,
@@ -2303,6 +3607,13 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
   }
 
   handlePermissionResponse(data) {
+    // Route to the session that asked (by session_id, else by permission id)
+    const context = this.getSessionContext(data.session_id)
+      || this.findSessionContext((candidate) => candidate.pendingPermissions.has(data.permission_id));
+    if (context && context !== this.session) {
+      return this.runInSession(context, () => this.handlePermissionResponse(data));
+    }
+
     this.recordInboundEvent({
       type: 'permission_response',
       permission_id: data.permission_id,
@@ -2325,7 +3636,7 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       const permissionLevel = data.permission_level || 'once';
       // Also store in PermissionManager for session-level approvals
       if (permissionLevel === 'session' || permissionLevel === 'always') {
-        permissionManager.addSessionApproval(toolName);
+        permissionManager.addSessionApproval(toolName, this.session.contextId);
       }
       const storeResult = this.storePermissionApproval(
         toolName,
@@ -2348,6 +3659,7 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     if (handler) {
       handler.resolve({
         approved,
+        permissionLevel: data.permission_level || 'once',
         updatedInput: data.updated_input,
         updatedPermissions: data.updated_permissions,
         alwaysAllow: Boolean(data.always_allow),
@@ -2373,6 +3685,10 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       this.log('[DEBUG] rule_action missing prompt_id or action_id');
       return;
     }
+    const context = this.findSessionContext((candidate) => candidate.pendingRulePrompts.has(promptId));
+    if (context && context !== this.session) {
+      return this.runInSession(context, () => this.handleRuleActionMessage(data));
+    }
     this.recordInboundEvent({
       type: 'rule_action',
       prompt_id: promptId,
@@ -2389,6 +3705,7 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
     const actionConfig = actions.find((action) => action.id === actionId);
     if (!actionConfig) {
       this.log(`[DEBUG] No action ${actionId} for rule ${rule?.id}`);
+      this.pruneSessionContext(this.session);
       return;
     }
     const baseStatus = {
@@ -2397,27 +3714,181 @@ STAY FOCUSED: Complete tasks efficiently using the appropriate tools.`,
       rule_id: rule?.id || 'unknown',
       action_id: actionId
     };
+    try {
+      await this.executeRuleAction(rule, actionConfig, pending.contextSnapshot, baseStatus);
+    } finally {
+      this.pruneSessionContext(this.session);
+    }
+  }
+
+  /**
+   * Run the `actions` of rules that matched, in order, once their query is over.
+   * @param {Object[]} matches - { rule, contextSnapshot } from evaluateAutomationRules
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Session the rules matched in
+   */
+  async runAutomaticRuleActions(matches, { sessionId = this.currentSessionId } = {}) {
+    for (const { rule, contextSnapshot } of matches) {
+      for (const [index, action] of (rule.actions || []).entries()) {
+        const baseStatus = {
+          type: 'rule_action_status',
+          prompt_id: null,
+          rule_id: rule.id,
+          action_id: action.id || `${action.type || 'dismiss'}-${index + 1}`,
+          ...(sessionId ? { session_id: sessionId } : {})
+        };
+        if (contextSnapshot.event === 'session_end' && QUERY_ACTION_TYPES.has(action.type)) {
+          this.emitMessage({ ...baseStatus, status: 'skipped', message: 'The session has ended' });
+          continue;
+        }
+        await this.executeRuleAction(rule, action, contextSnapshot, baseStatus);
+      }
+    }
+  }
+
+  /**
+   * Carry out one rule action, reporting progress as rule_action_status events.
+   */
+  async executeRuleAction(rule, actionConfig, contextSnapshot, baseStatus) {
+    const templateData = this.buildTemplateData(contextSnapshot);
+    const type = actionConfig.type || 'dismiss';
+    if (type === 'dismiss') {
+      this.emitMessage({ ...baseStatus, status: 'dismissed' });
+      return;
+    }
     this.emitMessage({ ...baseStatus, status: 'started' });
-    if (actionConfig.type === 'followup_prompt') {
-      const templateData = this.buildTemplateData(pending.contextSnapshot);
-      const followupPrompt =
-        this.renderTemplate(actionConfig.promptTemplate || actionConfig.prompt, templateData) ||
-        '';
-      if (!followupPrompt.trim()) {
-        this.emitMessage({ ...baseStatus, status: 'error', message: 'Rule action missing prompt' });
-        return;
+    try {
+      switch (type) {
+        case 'followup_prompt':
+        case 'invoke_skill': {
+          const fallback = type === 'invoke_skill' ? `Use the ${actionConfig.skill} skill on the work in {{workspacePath}}.` : '';
+          const followupPrompt =
+            this.renderTemplate(actionConfig.promptTemplate || actionConfig.prompt || fallback, templateData) ||
+            '';
+          if (!followupPrompt.trim()) {
+            this.emitMessage({ ...baseStatus, status: 'error', message: 'Rule action missing prompt' });
+            return;
+          }
+          await this.handleQuery(followupPrompt, this.currentSessionId, {
+            origin: 'rule_action',
+            ruleId: rule?.id || null,
+            ...(type === 'invoke_skill' ? { mentionedSkillIds: [actionConfig.skill] } : {})
+          });
+          this.emitMessage({ ...baseStatus, status: 'completed' });
+          break;
+        }
+        case 'run_command': {
+          const result = await this.runRuleCommand(this.renderTemplate(actionConfig.command, templateData), actionConfig);
+          this.emitMessage({ ...baseStatus, ...result });
+          break;
+        }
+        case 'notify':
+          this.emitMessage({
+            type: 'notification',
+            rule_id: rule?.id || null,
+            title: this.renderTemplate(actionConfig.title || rule?.name || 'Friday', templateData),
+            message: this.renderTemplate(actionConfig.message || '', templateData),
+            ...(baseStatus.session_id ? { session_id: baseStatus.session_id } : {})
+          });
+          this.emitMessage({ ...baseStatus, status: 'completed' });
+          break;
+        case 'start_scheduled_agent': {
+          if (!this.agentScheduler) {
+            throw new Error('Scheduled agents are not available in this runtime');
+          }
+          // Agent runs take a while; report when this one ends without holding up later actions
+          this.agentScheduler.triggerAgent(actionConfig.agentId)
+            .then((result) => {
+              this.emitMessage(result?.success
+                ? { ...baseStatus, status: 'completed' }
+                : { ...baseStatus, status: 'error', message: result?.error?.message || 'The agent did not run' });
+            })
+            .catch((error) => this.emitMessage({ ...baseStatus, status: 'error', message: error.message }));
+          break;
+        }
+        default:
+          this.emitMessage({ ...baseStatus, status: 'error', message: `Unknown action type ${type}` });
       }
-      try {
-        await this.handleQuery(followupPrompt, this.currentSessionId, {
-          origin: 'rule_action',
-          ruleId: rule?.id || null
+    } catch (error) {
+      this.emitMessage({ ...baseStatus, status: 'error', message: error.message });
+    }
+  }
+
+  /**
+   * Run a rule's shell command in the workspace after the same permission
+   * checks as the agent's terminal commands.
+   * @returns {Object} rule_action_status fields: status, exit_code, output or message
+   */
+  async runRuleCommand(command, { timeout } = {}) {
+    const decision = await this.decidePermission({
+      toolName: RULE_COMMAND_TOOL,
+      toolInput: { command },
+      suggestions: [],
+      signal: undefined,
+      toolUseID: null
+    });
+    if (decision.behavior !== 'allow') {
+      return { status: 'denied', message: decision.message || 'Permission denied' };
+    }
+    const approved = decision.updatedInput?.command || command;
+    const timeoutMs = Number(timeout) > 0 ? Number(timeout) * 1000 : RULE_COMMAND_TIMEOUT_MS;
+    this.log(`[Rules] Running command: ${approved}`);
+    return new Promise((resolve) => {
+      const child = spawn(approved, {
+        cwd: this.workspacePath,
+        env: filterSensitiveEnv(process.env),
+        shell: true,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      let output = '';
+      const collect = (chunk) => {
+        if (output.length < RULE_COMMAND_OUTPUT_LIMIT) output += chunk.toString();
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+      const timer = setTimeout(() => child.kill('SIGTERM'), timeoutMs);
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({ status: 'error', message: error.message });
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve({
+          status: code === 0 ? 'completed' : 'error',
+          exit_code: code,
+          ...(signal ? { message: `Stopped by ${signal}` } : {}),
+          output: redactSecrets(output.slice(0, RULE_COMMAND_OUTPUT_LIMIT).trim())
         });
-        this.emitMessage({ ...baseStatus, status: 'completed' });
-      } catch (error) {
-        this.emitMessage({ ...baseStatus, status: 'error', message: error.message });
+      });
+    });
+  }
+
+  /**
+   * Run the session_end rules of a session that is being left (a client
+   * started a new session). They match against the session's event log;
+   * actions that would start a query are skipped.
+   */
+  async endSession(sessionId = this.currentSessionId) {
+    if (!sessionId || !this.sessionStore) return;
+    try {
+      const rules = this.getAutomationRules().filter((rule) => rule.triggers?.event === 'session_end');
+      if (rules.length === 0) return;
+      const events = await this.sessionStore.getSessionEvents(sessionId, { limit: Infinity });
+      const { session } = replaySessionEvents(events, { workspacePath: this.workspacePath });
+      session.sessionCostUsd = costTracker.getSpend({ sessionId }).session;
+      const matches = [];
+      for (const rule of rules) {
+        if (!this.ruleMatchesContext(rule, session)) continue;
+        const contextSnapshot = this.snapshotContext(session);
+        if (rule.prompt && !rule.actions) {
+          this.log(`[Rules] ${rule.id} matched at session end but has no automatic actions`);
+          continue;
+        }
+        matches.push({ rule, contextSnapshot });
       }
-    } else {
-      this.emitMessage({ ...baseStatus, status: 'dismissed' });
+      await this.runAutomaticRuleActions(matches, { sessionId });
+    } catch (error) {
+      this.log(`[Rules] Session end rules failed for ${sessionId}: ${error.message}`);
     }
   }
 }
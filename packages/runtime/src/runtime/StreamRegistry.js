@@ -0,0 +1,139 @@
+/**
+ * StreamRegistry — Keeps runtimes reachable by session id after their
+ * WebSocket disconnects, so a reconnecting client can `resume_stream`.
+ *
+ * A disconnected runtime keeps running its query; its events are sequenced
+ * and buffered by AgentRuntime. If nobody reclaims the session within the
+ * grace period, the registry forgets it.
+ *
+ * A runtime belongs to the API token whose connection created it. Only a
+ * connection with the same token (and app) may take it over, since the
+ * runtime carries that client's app id, permission prompts and output.
+ * Sessions record the same owner in their metadata, so a session that is no
+ * longer live can only be replayed from its log by the client that ran it.
+ */
+
+const DEFAULT_GRACE_MS = 10 * 60 * 1000;
+
+export class StreamRegistry {
+  constructor({ graceMs = DEFAULT_GRACE_MS } = {}) {
+    this.graceMs = graceMs;
+    this.sessions = new Map(); // sessionId -> AgentRuntime
+    this.expiryTimers = new Map(); // AgentRuntime -> Timeout
+    this.owners = new WeakMap(); // AgentRuntime -> { tokenId, appId }
+  }
+
+  /**
+   * Start indexing a runtime by the session ids it serves.
+   *
+   * @param {AgentRuntime} runtime
+   * @param {Object} [owner] - The connection's API token; omit when auth is off
+   * @param {string} [owner.tokenId]
+   * @param {string} [owner.appId]
+   */
+  track(runtime, { tokenId = null, appId = null } = {}) {
+    this.owners.set(runtime, { tokenId, appId });
+    runtime.on('message', (payload) => {
+      if (payload?.type === 'session' && payload.session_id) {
+        this.sessions.set(payload.session_id, runtime);
+      }
+    });
+  }
+
+  /**
+   * Called when a runtime's client goes away. The runtime stays resumable
+   * for the grace period.
+   */
+  release(runtime) {
+    if (runtime.currentSessionId) {
+      this.sessions.set(runtime.currentSessionId, runtime);
+    }
+    for (const sessionId of runtime.sessions?.keys() || []) {
+      this.sessions.set(sessionId, runtime);
+    }
+    clearTimeout(this.expiryTimers.get(runtime));
+    const timer = setTimeout(() => this.forget(runtime), this.graceMs);
+    timer.unref?.();
+    this.expiryTimers.set(runtime, timer);
+  }
+
+  /**
+   * Take over the runtime serving a session, if it is still around.
+   *
+   * @param {string} sessionId
+   * @param {Object} [owner] - The claiming connection's token, as for track()
+   * @returns {AgentRuntime|null}
+   * @throws {Error} If the runtime belongs to another token or app
+   */
+  claim(sessionId, { tokenId = null, appId = null } = {}) {
+    const runtime = this.sessions.get(sessionId) || null;
+    if (runtime) {
+      const owner = this.owners.get(runtime) || { tokenId: null, appId: null };
+      if (owner.tokenId !== tokenId || owner.appId !== appId) {
+        throw new Error(`Session ${sessionId} is streaming to another client`);
+      }
+      clearTimeout(this.expiryTimers.get(runtime));
+      this.expiryTimers.delete(runtime);
+    }
+    return runtime;
+  }
+
+  /**
+   * Check that a client may replay a session's persisted log and adopt the
+   * session on its own runtime, when claim() found nothing live.
+   *
+   * @param {AgentRuntime} runtime - The client's runtime
+   * @param {string} sessionId
+   * @param {Object} [owner] - The client's token, as for track()
+   * @throws {Error} If the session was started by another token or app
+   */
+  assertCanAdopt(runtime, sessionId, { tokenId = null, appId = null } = {}) {
+    const store = runtime.sessionStore;
+    // Read from disk: another connection's runtime may have created the session
+    const metadata = store && (store.readMetadataFromDisk(sessionId) || store.metadataCache.get(sessionId));
+    if (!metadata) return;
+    const owner = metadata.owner || {};
+    if ((owner.tokenId ?? null) !== tokenId || (owner.appId ?? null) !== appId) {
+      throw new Error(`Session ${sessionId} belongs to another client`);
+    }
+  }
+
+  forget(runtime) {
+    clearTimeout(this.expiryTimers.get(runtime));
+    this.expiryTimers.delete(runtime);
+    for (const [sessionId, candidate] of this.sessions) {
+      if (candidate === runtime) this.sessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Send a client every event it missed (seq > afterSeq), then attach it to
+   * the live stream. Events emitted while the replay is read from disk are
+   * queued so nothing is dropped or sent out of order.
+   *
+   * @param {AgentRuntime} runtime
+   * @param {string} sessionId
+   * @param {number} afterSeq
+   * @param {Function} send - Client send function (becomes the live listener)
+   * @returns {Promise<number>} Number of replayed events
+   */
+  async replay(runtime, sessionId, afterSeq, send) {
+    const queued = [];
+    const queue = (payload) => queued.push(payload);
+    runtime.on('message', queue);
+    let events;
+    try {
+      events = await runtime.getStreamEventsSince(sessionId, afterSeq);
+    } finally {
+      runtime.off('message', queue);
+    }
+
+    const lastReplayed = events.length > 0 ? events[events.length - 1].seq : afterSeq;
+    const missed = [...events, ...queued.filter((payload) => payload.seq > lastReplayed)];
+    missed.forEach(send);
+    runtime.on('message', send);
+    return missed.length;
+  }
+}
+
+export default StreamRegistry;
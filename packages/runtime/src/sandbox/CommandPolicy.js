@@ -0,0 +1,348 @@
+/**
+ * CommandPolicy - Allow / ask / deny rules for shell commands
+ *
+ * Every shell command the agent runs (Bash tool, terminal MCP server,
+ * ProcessRegistry) is analyzed by ShellCommandAnalyzer and each simple
+ * command it contains - including ones nested in `sh -c`, `$(...)`, `eval`,
+ * `find -exec` or wrappers like `env` and `sudo` - is matched against the
+ * rules. The most severe decision wins: one denied command denies the whole
+ * command line.
+ *
+ * Users can add rules in ~/.friday/command-policy.json; they are checked
+ * before the built-in rules, so they can both tighten and relax them:
+ *
+ *   {
+ *     "default": "allow",
+ *     "rules": [
+ *       { "binary": "git", "args": ["push", "--force|-f"], "action": "deny",
+ *         "reason": "Force pushes are not allowed" },
+ *       { "binary": "npm", "args": ["publish"], "action": "ask" },
+ *       { "binary": "kill", "action": "allow" }
+ *     ]
+ *   }
+ *
+ * Rule fields (all given fields must match):
+ *   binary           Command name or list of names; `*` globs ("mkfs*")
+ *   args             Patterns that must each match some argument:
+ *                    "a|b" alternatives, `*` globs, "-r" also matches
+ *                    clustered short flags like "-rf", "re:<regex>" for regexes
+ *   paths            Globs matched against resolved path arguments ("/etc/**")
+ *   outsideWorkspace Some path argument is outside the workspace and temp dirs
+ *   dynamicPaths     Some path argument is only known at run time
+ *   dynamicArgs      Some argument is only known at run time
+ *   writesTo         Globs matched against output redirect targets and the
+ *                    destinations of cp, mv, ln and install
+ *   issue            Analyzer issue type(s) instead of a command
+ *                    (pipe-to-shell, decoded-shell, dynamic-command, ...)
+ *   action           allow | ask | deny
+ *   reason           Shown to the agent and the user
+ *
+ * Commands no rule matches get `default` (allow unless configured).
+ * Set "builtins": false to drop the built-in rules entirely.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyzeCommand } from './ShellCommandAnalyzer.js';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const POLICY_FILE = path.join(CONFIG_DIR, 'command-policy.json');
+
+export const COMMAND_DECISION = {
+  ALLOW: 'allow',
+  ASK: 'ask',
+  DENY: 'deny'
+};
+
+const SEVERITY = { allow: 0, ask: 1, deny: 2 };
+
+const SYSTEM_DIRS = [
+  '/', '/etc/**', '/usr/**', '/bin/**', '/sbin/**', '/lib/**', '/lib64/**', '/boot/**', '/root',
+  '/sys/**', '/proc/**', '/dev/**', '/var', '/var/lib/**', '/var/log/**', '/var/db/**',
+  '/System/**', '/Library/**', '/Applications/**', '/private/etc/**', '/private/var/db/**', '~'
+];
+
+const BLOCK_DEVICES = [
+  '/dev/sd*', '/dev/hd*', '/dev/vd*', '/dev/xvd*', '/dev/nvme*', '/dev/mmcblk*', '/dev/disk*', '/dev/rdisk*',
+  '/dev/loop*', '/dev/md*', '/dev/dm-*', '/dev/mapper/**', '/dev/disk/**'
+];
+
+const SYSTEM_WRITE_DIRS = ['/etc/**', '/usr/**', '/bin/**', '/sbin/**', '/boot/**', '/System/**', '/private/etc/**', ...BLOCK_DEVICES];
+
+/**
+ * Built-in rules. These replace the regex blocklists that AgentRuntime and
+ * the terminal server used to keep separately.
+ */
+export const DEFAULT_RULES = [
+  // Process killing - bypasses process tracking and could kill system processes
+  // (the terminal server's kill_process tool only kills agent-started processes)
+  { binary: 'kill', args: ['re:^-?\\d+$'], action: 'deny', reason: 'Killing processes by PID is not allowed - use the kill_process tool for processes the agent started' },
+  { binary: 'kill', dynamicArgs: true, action: 'deny', reason: 'Killing processes by PID is not allowed - use the kill_process tool for processes the agent started' },
+  { binary: ['pkill', 'killall', 'xkill'], action: 'deny', reason: 'Killing processes by name can terminate critical system processes, including this application' },
+
+  // Privilege escalation
+  { binary: ['sudo', 'doas', 'pkexec'], action: 'deny', reason: 'Elevated privileges are not allowed for security reasons' },
+  { binary: 'su', action: 'deny', reason: 'Switching users is not allowed' },
+
+  // Destructive file operations outside the workspace
+  { binary: 'rm', paths: SYSTEM_DIRS, action: 'deny', reason: 'Deleting system directories is not allowed' },
+  { binary: 'rm', args: ['-r|-R|--recursive'], outsideWorkspace: true, action: 'deny', reason: 'Recursive deletion outside the workspace is not allowed' },
+  { binary: 'rm', args: ['-r|-R|--recursive'], dynamicPaths: true, action: 'ask', reason: 'Recursive deletion of a path that is only known at run time' },
+  { binary: 'find', args: ['-delete'], outsideWorkspace: true, action: 'deny', reason: 'Deleting files outside the workspace is not allowed' },
+
+  // System modification
+  { binary: 'systemctl', args: ['start|stop|restart|reload|enable|disable|mask|kill|isolate|set-default|poweroff|reboot|halt'], action: 'deny', reason: 'Modifying system services is not allowed' },
+  { binary: 'launchctl', args: ['load|unload|start|stop|kill|remove|bootstrap|bootout|enable|disable'], action: 'deny', reason: 'Modifying macOS services is not allowed' },
+  { binary: ['chmod', 'chown', 'chgrp'], outsideWorkspace: true, action: 'deny', reason: 'Changing permissions or ownership outside the workspace is not allowed' },
+  { binary: ['shutdown', 'reboot', 'halt', 'poweroff'], action: 'deny', reason: 'Shutting down the machine is not allowed' },
+  { binary: 'crontab', args: ['-r'], action: 'deny', reason: 'Removing the crontab is not allowed' },
+
+  // Disk/filesystem operations
+  { binary: ['mkfs', 'mkfs.*', 'newfs*', 'fdisk', 'sfdisk', 'parted'], action: 'deny', reason: 'Creating or partitioning filesystems is not allowed' },
+  { binary: 'dd', args: ['of=/dev/*'], action: 'deny', reason: 'Writing directly to devices is not allowed' },
+  { binary: ['mount', 'umount'], action: 'deny', reason: 'Mounting and unmounting filesystems is not allowed' },
+  { binary: 'shred', paths: BLOCK_DEVICES, action: 'deny', reason: 'Overwriting disks is not allowed' },
+
+  // Network security
+  { binary: ['iptables', 'ip6tables', 'nft', 'ufw', 'pfctl'], action: 'deny', reason: 'Modifying firewall rules is not allowed' },
+
+  // Writes that could overwrite system files
+  { writesTo: SYSTEM_WRITE_DIRS, action: 'deny', reason: 'Writing to system directories is not allowed' },
+  { binary: ['tee', 'truncate'], paths: SYSTEM_WRITE_DIRS, action: 'deny', reason: 'Writing to system directories is not allowed' },
+
+  // Inline interpreter code that shells out
+  {
+    binary: ['python*', 'node', 'perl', 'ruby', 'php'],
+    args: ['-c|-e|-E|-p|-r|--eval|--print', 're:\\b(os\\.system|os\\.exec|subprocess|pty\\.spawn|popen|child_process|execSync|spawnSync|system\\s*\\(|exec\\s*\\()'],
+    action: 'ask',
+    reason: 'Inline script runs shell commands'
+  },
+
+  // Constructs the analyzer can't see through
+  { issue: 'fork-bomb', action: 'deny', reason: 'Fork bombs are not allowed' },
+  { issue: 'background-loop', action: 'deny', reason: 'Infinite background loops are not allowed' },
+  { issue: 'decoded-shell', action: 'deny', reason: 'Running decoded or obfuscated commands is not allowed' },
+  { issue: 'max-depth', action: 'deny', reason: 'Command nests shells too deeply to check' },
+  { issue: 'pipe-to-shell', action: 'ask', reason: 'Runs a script piped into a shell or interpreter' },
+  { issue: ['dynamic-command', 'dynamic-eval'], action: 'ask', reason: 'Runs a command that is only known at run time' },
+  { issue: 'parse-error', action: 'ask', reason: 'Command could not be analyzed' }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * `*` globs as a regex. With `paths`, `*` stops at "/" and `**` crosses it.
+ * A `**` directory segment also matches no directory at all, and "dir/**"
+ * also matches "dir".
+ */
+export function globToRegExp(glob, { paths = false } = {}) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    if (glob[i] !== '*') {
+      source += escapeRegExp(glob[i]);
+    } else if (glob[i + 1] === '*') {
+      // "/dir/**" also matches "/dir" itself
+      if (source.endsWith('/') && i + 2 === glob.length) source = `${source.slice(0, -1)}(?:/.*)?`;
+      else if (paths && glob[i + 2] === '/' && (i === 0 || source.endsWith('/'))) {
+        // "**/" matches any number of directories, including none
+        source += '(?:.*/)?';
+        i++;
+      } else source += '.*';
+      i++;
+    } else {
+      source += paths ? '[^/]*' : '.*';
+    }
+  }
+  return new RegExp(`^${source}$`, paths ? '' : 'i');
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+function compileArgPattern(pattern) {
+  if (pattern.startsWith('re:')) {
+    const regex = new RegExp(pattern.slice(3));
+    return arg => regex.test(arg);
+  }
+  const alternatives = pattern.split('|').map((alternative) => {
+    if (/^-[a-zA-Z0-9]$/.test(alternative)) {
+      // "-r" matches "-r" and clustered short flags such as "-rf" or "-fr"
+      return arg => arg === alternative || (/^-[a-zA-Z]+$/.test(arg) && arg.includes(alternative[1]));
+    }
+    const regex = globToRegExp(alternative);
+    return arg => regex.test(arg);
+  });
+  return arg => alternatives.some(test => test(arg));
+}
+
+function compilePathGlob(glob) {
+  const expanded = glob === '~' || glob.startsWith('~/') ? os.homedir() + glob.slice(1) : glob;
+  return globToRegExp(expanded, { paths: true });
+}
+
+/**
+ * Turn a rule object into { action, reason, source, issues, matches(command) }.
+ * Throws on rules that are malformed or match nothing.
+ */
+function compileRule(rule, source) {
+  if (!rule || typeof rule !== 'object') throw new Error('rule must be an object');
+  if (!(rule.action in SEVERITY)) throw new Error(`unknown action "${rule.action}" (use allow, ask or deny)`);
+
+  const compiled = { action: rule.action, reason: rule.reason || null, source, rule };
+  const issues = toList(rule.issue);
+  if (issues) {
+    compiled.issues = issues;
+    compiled.matches = () => false;
+    return compiled;
+  }
+
+  const tests = [];
+  const binaries = toList(rule.binary)?.map(name => globToRegExp(name));
+  if (binaries) tests.push(command => binaries.some(regex => regex.test(command.name)));
+
+  for (const pattern of toList(rule.args) || []) {
+    const test = compileArgPattern(String(pattern));
+    tests.push(command => command.args.some(test));
+  }
+
+  const paths = toList(rule.paths)?.map(compilePathGlob);
+  if (paths) tests.push(command => command.paths.some(p => p.resolved && paths.some(regex => regex.test(p.resolved))));
+
+  const writes = toList(rule.writesTo)?.map(compilePathGlob);
+  if (writes) {
+    tests.push(command => command.redirects.some(r => r.write && r.resolved && writes.some(regex => regex.test(r.resolved))) ||
+      command.writes.some(w => w.resolved && writes.some(regex => regex.test(w.resolved))));
+  }
+
+  if (rule.outsideWorkspace) tests.push(command => command.paths.some(p => p.outside) || command.redirects.some(r => r.write && r.outside));
+  if (rule.dynamicPaths) tests.push(command => command.paths.some(p => p.dynamic));
+  if (rule.dynamicArgs) tests.push(command => command.dynamicArgs);
+
+  if (tests.length === 0) throw new Error('rule has nothing to match on');
+  compiled.matches = command => tests.every(test => test(command));
+  return compiled;
+}
+
+const COMPILED_DEFAULTS = DEFAULT_RULES.map((rule, index) => compileRule(rule, `builtin:${index}`));
+
+/**
+ * CommandPolicy
+ *
+ * Evaluates shell command lines against the user's rules followed by the
+ * built-in ones. The policy file is re-read when it changes on disk.
+ */
+export class CommandPolicy {
+  constructor({ filePath = POLICY_FILE, rules = null } = {}) {
+    this.filePath = filePath;
+    this._inlineRules = rules;
+    this._config = null; // lazy loaded
+    this._mtimeMs = 0;
+  }
+
+  _load() {
+    if (this._inlineRules) {
+      this._config ??= this._compile({ rules: this._inlineRules }, 'inline');
+      return this._config;
+    }
+
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+    } catch {
+      // treat as missing
+    }
+    if (this._config && mtimeMs === this._mtimeMs) return this._config;
+
+    let data = {};
+    if (mtimeMs) {
+      try {
+        data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (error) {
+        console.error(`[CommandPolicy] Ignoring ${this.filePath}: ${error.message}`);
+      }
+    }
+    this._mtimeMs = mtimeMs;
+    this._config = this._compile(data, this.filePath);
+    return this._config;
+  }
+
+  _compile(data, source) {
+    const rules = [];
+    (Array.isArray(data.rules) ? data.rules : []).forEach((rule, index) => {
+      try {
+        rules.push(compileRule(rule, `${source}:${index}`));
+      } catch (error) {
+        console.error(`[CommandPolicy] Ignoring rule ${index} in ${source}: ${error.message}`);
+      }
+    });
+    if (data.builtins !== false) rules.push(...COMPILED_DEFAULTS);
+    const defaultAction = data.default in SEVERITY ? data.default : COMMAND_DECISION.ALLOW;
+    return { rules, defaultAction };
+  }
+
+  /**
+   * Rules in evaluation order (user rules first)
+   * @returns {Object[]}
+   */
+  getRules() {
+    return this._load().rules.map(({ rule, source }) => ({ ...rule, source }));
+  }
+
+  /**
+   * Decide whether a shell command line may run
+   *
+   * @param {string} command - Command line as passed to `sh -c`
+   * @param {Object} [options]
+   * @param {string} [options.workspacePath] - Workspace root
+   * @param {string} [options.cwd] - Directory the command runs in
+   * @returns {{ decision: string, reason: string|null, findings: Object[], analysis: Object }}
+   *   findings: each command or issue a rule matched, with its action
+   */
+  evaluate(command, { workspacePath = null, cwd = null } = {}) {
+    const { rules, defaultAction } = this._load();
+    const analysis = analyzeCommand(command, { workspacePath, cwd });
+    const findings = [];
+
+    for (const entry of analysis.commands) {
+      const rule = rules.find(r => r.matches(entry));
+      const action = rule ? rule.action : defaultAction;
+      if (!rule && action === COMMAND_DECISION.ALLOW) continue;
+      findings.push({
+        action,
+        reason: rule?.reason || `${entry.name} is not allowed by the command policy`,
+        command: entry.argv.join(' '),
+        via: entry.via,
+        rule: rule?.source || 'default'
+      });
+    }
+
+    for (const issue of analysis.issues) {
+      const rule = rules.find(r => r.issues?.includes(issue.type));
+      findings.push({
+        action: rule ? rule.action : COMMAND_DECISION.ASK,
+        reason: rule?.reason || issue.message,
+        issue: issue.type,
+        detail: issue.message,
+        via: issue.via,
+        rule: rule?.source || 'default'
+      });
+    }
+
+    let decision = COMMAND_DECISION.ALLOW;
+    let reason = null;
+    for (const finding of findings) {
+      if (SEVERITY[finding.action] > SEVERITY[decision]) {
+        decision = finding.action;
+        reason = finding.reason;
+      }
+    }
+    return { decision, reason, findings, analysis };
+  }
+}
+
+export default new CommandPolicy();
@@ -5,49 +5,18 @@
  * - Track all processes started by the agent
  * - Only allow killing processes that were started by the agent
  * - Prevent killing protected system processes (Electron, Bridge)
+ * - Refuse commands denied by the command policy
  * - Clean up all tracked processes on session end
  */
 
 import { spawn, exec } from 'child_process';
 import { EventEmitter } from 'events';
 import path from 'path';
+import commandPolicy, { COMMAND_DECISION } from './CommandPolicy.js';
+import { filterSensitiveEnv } from './SecretRedactor.js';
 
-// =============================================================================
-// SENSITIVE ENVIRONMENT VARIABLE FILTERING
-// =============================================================================
-// API keys and secrets should NEVER be exposed to processes spawned by the agent.
-// =============================================================================
-
-const SENSITIVE_ENV_PATTERNS = [
-  /^ANTHROPIC_API_KEY$/i,
-  /^OPENAI_API_KEY$/i,
-  /^GOOGLE_API_KEY$/i,
-  /^ELEVENLABS_API_KEY$/i,
-  /^GOOGLE_GENERATIVE_AI_API_KEY$/i,
-  /API_KEY$/i,
-  /API_SECRET$/i,
-  /SECRET_KEY$/i,
-  /ACCESS_TOKEN$/i,
-  /PRIVATE_KEY$/i,
-  /AUTH_TOKEN$/i,
-  /PASSWORD$/i,
-  /^AWS_SECRET/i,
-  /^GITHUB_TOKEN$/i,
-  /^NPM_TOKEN$/i,
-  /^FIRECRAWL_API_KEY$/i,
-  /^RESEND_API_KEY$/i,
-  /^BROWSERBASE_API_KEY$/i,
-];
-
-function filterSensitiveEnv(env) {
-  const sanitized = {};
-  for (const [key, value] of Object.entries(env)) {
-    const isSensitive = SENSITIVE_ENV_PATTERNS.some(pattern => pattern.test(key));
-    if (!isSensitive) {
-      sanitized[key] = value;
-    }
-  }
-  return sanitized;
+function quoteArg(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`;
 }
 
 class ProcessRegistry extends EventEmitter {
@@ -73,6 +42,21 @@ class ProcessRegistry extends EventEmitter {
 
     // Reserved ports that the agent should not bind to
     this.reservedPorts = new Set(options.reservedPorts || [5173, 5175]);
+
+    this.commandPolicy = options.commandPolicy || commandPolicy;
+  }
+
+  /**
+   * Throw if the command policy denies a command. "ask" verdicts pass:
+   * asking the user is the permission gate's job, before the command gets here.
+   * @param {string} command - Full command line
+   * @param {string} cwd - Directory it runs in
+   */
+  assertCommandAllowed(command, cwd) {
+    const verdict = this.commandPolicy.evaluate(command, { workspacePath: this.workspacePath, cwd });
+    if (verdict.decision === COMMAND_DECISION.DENY) {
+      throw new Error(`Command blocked for security: ${verdict.reason}`);
+    }
   }
 
   /**
@@ -95,11 +79,15 @@ class ProcessRegistry extends EventEmitter {
       cwd = this.workspacePath;
     }
 
+    // In shell mode spawn joins command and args into one command line
+    const shell = options.shell !== false;
+    this.assertCommandAllowed(shell ? [command, ...args].join(' ') : [command, ...args].map(quoteArg).join(' '), cwd);
+
     const spawnOptions = {
       ...options,
       cwd,
       env: { ...filterSensitiveEnv(process.env), ...options.env },
-      shell: options.shell !== false, // Default to shell mode
+      shell, // Default to shell mode
     };
 
     const child = spawn(command, args, spawnOptions);
@@ -156,6 +144,8 @@ class ProcessRegistry extends EventEmitter {
       cwd = this.workspacePath;
     }
 
+    this.assertCommandAllowed(command, cwd);
+
     return new Promise((resolve, reject) => {
       const execOptions = {
         cwd,
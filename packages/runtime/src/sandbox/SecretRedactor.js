@@ -0,0 +1,334 @@
+/**
+ * SecretRedactor - One place that knows the user's secrets
+ *
+ * API keys and credentials must never reach the agent: not through the
+ * environment of processes it spawns, not through command output, and not
+ * through the logs and session files the runtime writes. This module:
+ *
+ *   - filters sensitive variables out of environments passed to the SDK,
+ *     subagents and spawned commands (filterSensitiveEnv)
+ *   - collects the exact values of every key the user has configured:
+ *     keychain API keys, MCP server credentials (McpCredentials) and plugin
+ *     credentials (PluginManager)
+ *   - redacts those values, plus common token shapes (sk-..., ghp_...,
+ *     xoxb-..., AKIA..., private key blocks), from any text or JSON value
+ *
+ * Known values are replaced with `[REDACTED:<label>]` so the agent can still
+ * tell which key was involved; token shapes become `[REDACTED]`.
+ *
+ * The SDK only lets hooks rewrite the results of MCP tools, so built-in tools
+ * are handled differently:
+ *
+ *   - Bash, BashOutput and Grep are disabled when the terminal MCP server is
+ *     configured (routedBuiltinTools); commands and searches go through
+ *     mcp__terminal__execute_command, whose output is redacted
+ *   - Read is refused for files that contain secrets (guardBuiltinReadHook);
+ *     the agent reads them with mcp__filesystem__read_file instead. Edit and
+ *     Write need a prior Read, so they are covered too
+ *
+ * Not covered: Glob (returns paths only), WebFetch and WebSearch (web
+ * content, summarized by a model before the agent sees it), and Bash when no
+ * terminal server is configured.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const KEYCHAIN_SERVICE = 'FridayAI-APIKeys';
+
+// Shorter values are too likely to appear in normal text
+const MIN_SECRET_LENGTH = 8;
+const MAX_DEPTH = 20;
+// How much of a file guardBuiltinReadHook scans before letting Read run
+const MAX_GUARDED_READ_BYTES = 10 * 1024 * 1024;
+
+// Built-in tools whose results can't be redacted, and the MCP server that
+// replaces them
+const ROUTED_BUILTIN_TOOLS = {
+  Bash: 'terminal',
+  BashOutput: 'terminal',
+  Grep: 'terminal',
+};
+
+// =============================================================================
+// SENSITIVE ENVIRONMENT VARIABLES
+// =============================================================================
+
+export const SENSITIVE_ENV_PATTERNS = [
+  // API keys for AI providers
+  /^ANTHROPIC_API_KEY$/i,
+  /^OPENAI_API_KEY$/i,
+  /^GOOGLE_API_KEY$/i,
+  /^ELEVENLABS_API_KEY$/i,
+  /^GOOGLE_GENERATIVE_AI_API_KEY$/i,
+  // Common secret patterns
+  /API_KEY$/i,
+  /API_SECRET$/i,
+  /SECRET_KEY$/i,
+  /ACCESS_TOKEN$/i,
+  /PRIVATE_KEY$/i,
+  /AUTH_TOKEN$/i,
+  /PASSWORD$/i,
+  /^AWS_SECRET/i,
+  /^GITHUB_TOKEN$/i,
+  /^NPM_TOKEN$/i,
+  /^FIRECRAWL_API_KEY$/i,
+  /^RESEND_API_KEY$/i,
+  /^BROWSERBASE_API_KEY$/i,
+];
+
+// =============================================================================
+// TOKEN SHAPES
+// =============================================================================
+// Well-known credential formats, redacted even when we never saw the value.
+// =============================================================================
+
+export const TOKEN_PATTERNS = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'anthropic', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'openai', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'stripe', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{20,}/g },
+  { name: 'github', pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{30,}/g },
+  { name: 'github-pat', pattern: /\bgithub_pat_[A-Za-z0-9_]{40,}/g },
+  { name: 'gitlab', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { name: 'slack', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'npm', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { name: 'aws', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'google', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: 'bearer', pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{20,}=*/gi, keepPrefix: true },
+];
+
+export function isSensitiveEnvKey(key) {
+  return SENSITIVE_ENV_PATTERNS.some(pattern => pattern.test(key));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class SecretRedactor {
+  constructor() {
+    this.secrets = new Map(); // value -> label
+    this._pattern = null;
+  }
+
+  get size() {
+    return this.secrets.size;
+  }
+
+  /**
+   * Remember a secret value so it is redacted wherever it shows up.
+   * @param {string} value
+   * @param {string} [label] - Shown in place of the value (e.g. the env var name)
+   */
+  add(value, label = 'secret') {
+    if (typeof value !== 'string') return;
+    const secret = value.trim();
+    if (secret.length < MIN_SECRET_LENGTH || this.secrets.has(secret)) return;
+    this.secrets.set(secret, label);
+    this._pattern = null;
+  }
+
+  /**
+   * Register the values of sensitive variables in an environment.
+   */
+  addFromEnv(env = process.env) {
+    for (const [key, value] of Object.entries(env || {})) {
+      if (isSensitiveEnvKey(key)) this.add(value, key);
+    }
+  }
+
+  /**
+   * Register every key the user has configured.
+   * @param {object} [sources]
+   * @param {object} [sources.mcpCredentials] - McpCredentials instance
+   * @param {object} [sources.pluginManager] - PluginManager instance
+   * @param {object} [sources.mcpServers] - Resolved MCP server configs (credentials merged into env)
+   * @param {object} [sources.env] - Environment holding keychain keys loaded by the CLI
+   * @param {boolean} [sources.keychain] - Also read the API keys stored in the OS keychain
+   */
+  async loadConfigured({ mcpCredentials = null, pluginManager = null, mcpServers = null, env = process.env, keychain = true } = {}) {
+    this.addFromEnv(env);
+
+    if (keychain) {
+      try {
+        const module = await import('keytar');
+        const keytar = module.default ?? module;
+        const entries = await keytar.findCredentials(KEYCHAIN_SERVICE);
+        for (const { account, password } of entries || []) {
+          this.add(password, account);
+        }
+      } catch {
+        // keytar unavailable - keys loaded into env are still covered
+      }
+    }
+
+    if (mcpCredentials) {
+      try {
+        const all = await mcpCredentials.getAllCredentials();
+        for (const [serverId, fields] of Object.entries(all || {})) {
+          for (const [fieldKey, entry] of Object.entries(fields || {})) {
+            this.add(typeof entry === 'object' && entry ? entry.value : entry, `${serverId}.${fieldKey}`);
+          }
+        }
+      } catch (error) {
+        console.error(`[SecretRedactor] Failed to read MCP credentials: ${error.message}`);
+      }
+    }
+
+    if (pluginManager) {
+      for (const [pluginId, credentials] of Object.entries(pluginManager.getStoredCredentials())) {
+        for (const [envKey, value] of Object.entries(credentials)) {
+          this.add(value, `${pluginId}.${envKey}`);
+        }
+      }
+    }
+
+    for (const [serverId, def] of Object.entries(mcpServers || {})) {
+      for (const [key, value] of Object.entries(def?.env || {})) {
+        if (isSensitiveEnvKey(key)) this.add(value, `${serverId}.${key}`);
+      }
+    }
+  }
+
+  _exactPattern() {
+    if (this._pattern === null && this.secrets.size > 0) {
+      // Longest first, so a secret containing another is replaced whole
+      const values = [...this.secrets.keys()].sort((a, b) => b.length - a.length);
+      this._pattern = new RegExp(values.map(escapeRegExp).join('|'), 'g');
+    }
+    return this._pattern;
+  }
+
+  /**
+   * Redact known secrets and token shapes from a string.
+   * Non-string values are returned unchanged.
+   */
+  redact(text) {
+    if (typeof text !== 'string' || text.length === 0) return text;
+    let result = text;
+    const exact = this._exactPattern();
+    if (exact) {
+      result = result.replace(exact, (match) => `[REDACTED:${this.secrets.get(match)}]`);
+    }
+    for (const { pattern, keepPrefix } of TOKEN_PATTERNS) {
+      result = result.replace(pattern, (match, prefix) => (keepPrefix ? `${prefix}[REDACTED]` : '[REDACTED]'));
+    }
+    return result;
+  }
+
+  /**
+   * Redact every string in a JSON-like value (objects, arrays, strings).
+   * Returns a copy; the input is not modified.
+   */
+  redactValue(value, depth = 0) {
+    if (typeof value === 'string') return this.redact(value);
+    if (value === null || typeof value !== 'object' || depth > MAX_DEPTH) return value;
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item, depth + 1));
+    if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) return value;
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = this.redactValue(item, depth + 1);
+    }
+    return result;
+  }
+
+  /**
+   * Remove sensitive variables - by name, or because the value is a
+   * configured secret - from an environment.
+   * @param {object} env - The process.env object
+   * @returns {object} - Sanitized environment variables
+   */
+  filterEnv(env) {
+    const sanitized = {};
+    for (const [key, value] of Object.entries(env || {})) {
+      if (isSensitiveEnvKey(key)) continue;
+      if (typeof value === 'string' && this.secrets.has(value.trim())) continue;
+      sanitized[key] = value;
+    }
+    return sanitized;
+  }
+}
+
+const secretRedactor = new SecretRedactor();
+
+/**
+ * Filter out sensitive environment variables before passing env to the SDK,
+ * subagents or spawned processes.
+ */
+export function filterSensitiveEnv(env) {
+  return secretRedactor.filterEnv(env);
+}
+
+export function redactSecrets(value) {
+  return secretRedactor.redactValue(value);
+}
+
+/**
+ * PostToolUse hook for query(): replaces secrets in MCP tool results before
+ * the model sees them. The SDK only lets hooks rewrite the output of MCP
+ * tools; see routedBuiltinTools and guardBuiltinReadHook for built-ins.
+ */
+export async function redactToolOutputHook(input) {
+  if (!input?.tool_name?.startsWith('mcp__') || input.tool_response == null) {
+    return {};
+  }
+  const redacted = secretRedactor.redactValue(input.tool_response);
+  if (JSON.stringify(redacted) === JSON.stringify(input.tool_response)) {
+    return {};
+  }
+  return {
+    hookSpecificOutput: { hookEventName: 'PostToolUse', updatedMCPToolOutput: redacted }
+  };
+}
+
+/**
+ * Built-in tools to pass as disallowedTools to query() so their work goes
+ * through an MCP server that redacts its output. Only tools whose
+ * replacement server is in `mcpServers` are returned.
+ */
+export function routedBuiltinTools(mcpServers) {
+  return Object.entries(ROUTED_BUILTIN_TOOLS)
+    .filter(([, serverId]) => mcpServers?.[serverId])
+    .map(([toolName]) => toolName);
+}
+
+/**
+ * PreToolUse hook for query(): denies the built-in Read tool on files that
+ * contain secrets, since its result can't be redacted afterwards. The denial
+ * points the agent at mcp__filesystem__read_file, which returns the file
+ * with secrets replaced.
+ */
+export async function guardBuiltinReadHook(input) {
+  const filePath = input?.tool_name === 'Read' ? input.tool_input?.file_path : null;
+  if (typeof filePath !== 'string' || !filePath) {
+    return {};
+  }
+  let text;
+  try {
+    const resolved = path.resolve(input.cwd || process.cwd(), filePath);
+    const handle = await fs.promises.open(resolved, 'r');
+    try {
+      const buffer = Buffer.alloc(Math.min((await handle.stat()).size, MAX_GUARDED_READ_BYTES));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      text = buffer.toString('utf8', 0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  } catch {
+    // Missing files and directories: let Read report the error itself
+    return {};
+  }
+  if (secretRedactor.redact(text) === text) {
+    return {};
+  }
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'deny',
+      permissionDecisionReason: `${filePath} contains secrets that Read can't redact. Use mcp__filesystem__read_file instead; it returns the file with secrets replaced.`,
+    },
+  };
+}
+
+export default secretRedactor;
@@ -0,0 +1,1310 @@
+/**
+ * ShellCommandAnalyzer - Static analysis of shell command lines
+ *
+ * Breaks a command line into the simple commands it would actually run, so
+ * that policy rules can be matched against real binaries and arguments
+ * instead of the raw string. Matching raw strings is easy to bypass:
+ *
+ *   rm -r -f /              bash -c "sudo id"         \sudo id
+ *   {rm,-rf,/}              a=sudo; $a id             env sudo id
+ *   rm${IFS}-rf${IFS}/      echo c3Vkbw== | base64 -d | sh
+ *
+ * The analyzer tokenizes with POSIX quoting rules (plus $'...' and brace
+ * expansion), follows `;`, `&&`, `||`, pipes and subshells, analyzes
+ * `$(...)`, backticks, `<(...)` and heredocs, unwraps `sh -c`, `eval` and
+ * wrappers such as env, sudo, nohup, timeout, xargs, ssh, tmux, script,
+ * parallel and strace, reads the commands in awk programs, `gdb -ex` and
+ * `git -c` settings, tracks simple
+ * variable assignments and `cd`, and resolves path arguments against the
+ * workspace. What can't be known statically (a command name built from a
+ * substitution, a script piped into a shell) is reported as an issue rather
+ * than guessed at.
+ *
+ * Nothing is executed; this is a best-effort, over-approximating reading of
+ * the command. Policy decisions live in CommandPolicy.
+ */
+
+import os from 'os';
+import path from 'path';
+
+// Nesting of sh -c / eval / $(...) beyond this is reported instead of followed
+const MAX_DEPTH = 8;
+
+// Brace expansion results per word
+const MAX_BRACE_EXPANSIONS = 64;
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'mksh', 'ash', 'rbash', 'fish', 'csh', 'tcsh']);
+
+// Interpreters that run a script read from stdin when given no script operand
+const STDIN_INTERPRETERS = /^(python[\d.]*|perl|ruby|node|php)$/;
+
+// Words skipped at the start of a command (the command follows them)
+const KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', '!', '{', '}', 'esac', 'coproc']);
+
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '&>', '&>>', '<>', '>&']);
+const STDIN_REDIRECTS = new Set(['<<', '<<-', '<<<']);
+
+// Whole-script shapes that are harmful regardless of which binaries they use
+const STRUCTURAL_PATTERNS = [
+  { type: 'fork-bomb', pattern: /([\w:.]+)\s*\(\s*\)\s*\{[^}]*?\1\s*\|\s*\1\s*&/, message: 'Fork bomb' },
+  { type: 'fork-bomb', pattern: /\bfunction\s+([\w:.]+)[\s(){]*[^}]*?\1\s*\|\s*\1\s*&/, message: 'Fork bomb' },
+  { type: 'background-loop', pattern: /\b(?:while\s+(?:true|:|\[\s*1\s*\])|until\s+false)\s*;?\s*do\b[\s\S]*?\bdone\s*&(?!&)/, message: 'Infinite loop started in the background' }
+];
+
+const TEMP_DIRS = [...new Set([os.tmpdir(), '/tmp', '/var/tmp', '/private/tmp', path.join('/private', os.tmpdir())])];
+
+// =============================================================================
+// LEXER
+// =============================================================================
+
+class ShellSyntaxError extends Error {}
+
+function isMeta(ch) {
+  return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' ||
+    ch === ';' || ch === '&' || ch === '|' || ch === '(' || ch === ')' || ch === '<' || ch === '>';
+}
+
+function pushLiteral(parts, value, quoted) {
+  const last = parts[parts.length - 1];
+  if (last?.type === 'lit' && last.quoted === quoted) {
+    last.value += value;
+  } else {
+    parts.push({ type: 'lit', value, quoted });
+  }
+}
+
+function decodeAnsiC(body) {
+  let out = '';
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch !== '\\' || i === body.length - 1) {
+      out += ch;
+      continue;
+    }
+    const next = body[++i];
+    const simple = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+    if (next in simple) {
+      out += simple[next];
+    } else if (next === 'x' || next === 'u' || next === 'U') {
+      const max = next === 'x' ? 2 : next === 'u' ? 4 : 8;
+      const hex = /^[0-9a-fA-F]+/.exec(body.slice(i + 1, i + 1 + max))?.[0];
+      if (hex) {
+        out += String.fromCodePoint(parseInt(hex, 16));
+        i += hex.length;
+      } else {
+        out += `\\${next}`;
+      }
+    } else if (/[0-7]/.test(next)) {
+      const oct = /^[0-7]{1,3}/.exec(body.slice(i, i + 3))[0];
+      out += String.fromCharCode(parseInt(oct, 8));
+      i += oct.length - 1;
+    } else if (next === 'c' && i + 1 < body.length) {
+      out += String.fromCharCode(body.charCodeAt(++i) & 0x1f);
+    } else {
+      out += `\\${next}`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Tokenizer for POSIX/bash command lines. Produces word tokens (as lists of
+ * literal, variable and substitution parts), operator tokens and redirects.
+ */
+class Lexer {
+  constructor(source) {
+    this.src = source;
+    this.i = 0;
+    this.tokens = [];
+    this.pendingHeredocs = [];
+  }
+
+  tokenize() {
+    const { src } = this;
+    while (this.i < src.length) {
+      const ch = src[this.i];
+      const two = src.slice(this.i, this.i + 2);
+
+      if (ch === ' ' || ch === '\t' || ch === '\r') {
+        this.i++;
+      } else if (two === '\\\n') {
+        this.i += 2;
+      } else if (ch === '\n') {
+        this.i++;
+        this.tokens.push({ type: 'op', value: ';' });
+        this.readHeredocBodies();
+      } else if (ch === '#') {
+        while (this.i < src.length && src[this.i] !== '\n') this.i++;
+      } else if ((ch === '<' || ch === '>') && src[this.i + 1] === '(') {
+        this.tokens.push(this.readWord());
+      } else if (this.readRedirect()) {
+        // consumed
+      } else if (two === '&&' || two === '||' || two === '|&' || two === ';;') {
+        this.tokens.push({ type: 'op', value: two === ';;' ? ';' : two });
+        this.i += 2;
+      } else if (ch === ';' || ch === '&' || ch === '|' || ch === '(' || ch === ')') {
+        this.tokens.push({ type: 'op', value: ch });
+        this.i++;
+      } else {
+        this.tokens.push(this.readWord());
+      }
+    }
+    this.readHeredocBodies();
+    return this.tokens;
+  }
+
+  readRedirect() {
+    const match = /^(\d*)(&>>|&>|>>|>&|>\||<<<|<<-|<<|<&|<>|>|<)/.exec(this.src.slice(this.i, this.i + 12));
+    if (!match) return false;
+    const [text, fd, op] = match;
+    this.i += text.length;
+    while (this.src[this.i] === ' ' || this.src[this.i] === '\t') this.i++;
+
+    const redirect = { type: 'redir', op, fd: fd || null, target: null };
+    if (op === '<<' || op === '<<-') {
+      const delimiter = this.readWord();
+      redirect.delimiter = delimiter.parts.map(part => part.value ?? '').join('');
+      redirect.quotedDelimiter = delimiter.parts.some(part => part.quoted);
+      this.pendingHeredocs.push(redirect);
+    } else if (this.i < this.src.length && !isMeta(this.src[this.i])) {
+      redirect.target = this.readWord();
+    }
+    this.tokens.push(redirect);
+    return true;
+  }
+
+  readHeredocBodies() {
+    const { src } = this;
+    for (const redirect of this.pendingHeredocs) {
+      const lines = [];
+      while (this.i < src.length) {
+        let end = src.indexOf('\n', this.i);
+        if (end === -1) end = src.length;
+        const line = redirect.op === '<<-' ? src.slice(this.i, end).replace(/^\t+/, '') : src.slice(this.i, end);
+        this.i = end + 1;
+        if (line === redirect.delimiter) break;
+        lines.push(line);
+      }
+      this.i = Math.min(this.i, src.length);
+      const body = lines.join('\n');
+      redirect.target = redirect.quotedDelimiter
+        ? { type: 'word', parts: [{ type: 'lit', value: body, quoted: true }] }
+        : { type: 'word', parts: new Lexer(body).readDoubleQuoted(null) };
+    }
+    this.pendingHeredocs = [];
+  }
+
+  readWord() {
+    const { src } = this;
+    const parts = [];
+    while (this.i < src.length) {
+      const ch = src[this.i];
+      if ((ch === '<' || ch === '>') && src[this.i + 1] === '(') {
+        const start = this.i;
+        const inner = this.readBalanced(this.i + 2);
+        parts.push({ type: 'sub', source: inner, raw: src.slice(start, this.i), quoted: false, via: `${ch}(…)` });
+        continue;
+      }
+      if (isMeta(ch)) break;
+
+      if (ch === '\\') {
+        if (src[this.i + 1] === '\n') {
+          this.i += 2;
+        } else {
+          if (this.i + 1 < src.length) pushLiteral(parts, src[this.i + 1], true);
+          this.i += 2;
+        }
+      } else if (ch === "'") {
+        const end = src.indexOf("'", this.i + 1);
+        if (end === -1) throw new ShellSyntaxError('unterminated single quote');
+        pushLiteral(parts, src.slice(this.i + 1, end), true);
+        this.i = end + 1;
+      } else if (ch === '$' && src[this.i + 1] === "'") {
+        let end = this.i + 2;
+        while (end < src.length && src[end] !== "'") end += src[end] === '\\' ? 2 : 1;
+        if (end >= src.length) throw new ShellSyntaxError('unterminated $\'...\' string');
+        pushLiteral(parts, decodeAnsiC(src.slice(this.i + 2, end)), true);
+        this.i = end + 1;
+      } else if (ch === '"' || (ch === '$' && src[this.i + 1] === '"')) {
+        this.i += ch === '"' ? 1 : 2;
+        const quoted = this.readDoubleQuoted('"');
+        if (quoted.length === 0) pushLiteral(parts, '', true);
+        for (const part of quoted) {
+          if (part.type === 'lit') pushLiteral(parts, part.value, true);
+          else parts.push(part);
+        }
+      } else if (ch === '$') {
+        this.readDollar(parts, false);
+      } else if (ch === '`') {
+        parts.push(this.readBacktick(false));
+      } else {
+        pushLiteral(parts, ch, false);
+        this.i++;
+      }
+    }
+    return { type: 'word', parts };
+  }
+
+  /**
+   * Read the inside of a double-quoted string (or an unquoted heredoc body
+   * when `terminator` is null) up to and past the terminator.
+   */
+  readDoubleQuoted(terminator) {
+    const { src } = this;
+    const parts = [];
+    while (this.i < src.length) {
+      const ch = src[this.i];
+      if (ch === terminator) {
+        this.i++;
+        return parts;
+      }
+      if (ch === '\\') {
+        const next = src[this.i + 1];
+        if (next === '\n') {
+          this.i += 2;
+        } else if (next === '$' || next === '`' || next === '\\' || (next === '"' && terminator === '"')) {
+          pushLiteral(parts, next, true);
+          this.i += 2;
+        } else {
+          pushLiteral(parts, '\\', true);
+          this.i++;
+        }
+      } else if (ch === '$') {
+        this.readDollar(parts, true);
+      } else if (ch === '`') {
+        parts.push(this.readBacktick(true));
+      } else {
+        pushLiteral(parts, ch, true);
+        this.i++;
+      }
+    }
+    if (terminator) throw new ShellSyntaxError('unterminated double quote');
+    return parts;
+  }
+
+  readDollar(parts, quoted) {
+    const { src } = this;
+    const start = this.i;
+    const next = src[this.i + 1];
+
+    if (next === '(' && src[this.i + 2] === '(') {
+      // $(( arithmetic )) - value unknown, but substitutions inside still run
+      const inner = this.readBalanced(this.i + 2);
+      parts.push({ type: 'dyn', raw: src.slice(start, this.i), quoted });
+      if (/\$\(|`/.test(inner)) parts.push({ type: 'sub', source: `: ${inner.slice(1, -1)}`, raw: '', quoted, via: '$((…))' });
+      return;
+    }
+    if (next === '(') {
+      const inner = this.readBalanced(this.i + 2);
+      parts.push({ type: 'sub', source: inner, raw: src.slice(start, this.i), quoted, via: '$(…)' });
+      return;
+    }
+    if (next === '{') {
+      let depth = 1;
+      let end = this.i + 2;
+      while (end < src.length && depth > 0) {
+        if (src[end] === '\\') end++;
+        else if (src[end] === '{') depth++;
+        else if (src[end] === '}') depth--;
+        end++;
+      }
+      if (depth > 0) throw new ShellSyntaxError('unterminated ${...}');
+      const content = src.slice(this.i + 2, end - 1);
+      this.i = end;
+      const nameMatch = /^[#!]?([A-Za-z_][A-Za-z0-9_]*|\d+|[@*#?$!-])/.exec(content);
+      const modifier = nameMatch ? content.slice(nameMatch[0].length) : content;
+      parts.push({ type: 'var', name: nameMatch?.[1] ?? '', modifier: nameMatch?.[0].startsWith('!') || nameMatch?.[0].startsWith('#') ? '!' + modifier : modifier, raw: src.slice(start, end), quoted });
+      if (/\$\(|`/.test(modifier)) {
+        parts.push({ type: 'sub', source: `: ${modifier.replace(/^[:\-=+?#%/^,]+/, '')}`, raw: '', quoted, via: '${…}' });
+      }
+      return;
+    }
+    const simple = /^([A-Za-z_][A-Za-z0-9_]*|\d|[@*#?$!-])/.exec(src.slice(this.i + 1));
+    if (simple) {
+      this.i += 1 + simple[0].length;
+      parts.push({ type: 'var', name: simple[0], modifier: '', raw: src.slice(start, this.i), quoted });
+      return;
+    }
+    pushLiteral(parts, '$', quoted);
+    this.i++;
+  }
+
+  readBacktick(quoted) {
+    const { src } = this;
+    let end = this.i + 1;
+    let inner = '';
+    while (end < src.length && src[end] !== '`') {
+      if (src[end] === '\\' && /[`\\$]/.test(src[end + 1] || '')) {
+        inner += src[end + 1];
+        end += 2;
+      } else {
+        inner += src[end++];
+      }
+    }
+    if (end >= src.length) throw new ShellSyntaxError('unterminated backtick');
+    const raw = src.slice(this.i, end + 1);
+    this.i = end + 1;
+    return { type: 'sub', source: inner, raw, quoted, via: '`…`' };
+  }
+
+  /**
+   * Find the `)` matching an opening paren just before `start`, skipping
+   * quoted text. Leaves `this.i` after the closing paren and returns the
+   * text between the parens.
+   */
+  readBalanced(start) {
+    const { src } = this;
+    let depth = 1;
+    let j = start;
+    const heredocs = [];
+    while (j < src.length) {
+      const ch = src[j];
+      if (ch === '\\') {
+        j += 2;
+        continue;
+      }
+      if (ch === '<' && src[j + 1] === '<' && src[j + 2] !== '<') {
+        // Heredoc bodies are skipped; they may contain unbalanced quotes
+        const heredoc = /^<<(-?)\s*(['"]?)([A-Za-z_][\w.-]*)\2/.exec(src.slice(j));
+        if (heredoc) {
+          heredocs.push({ delimiter: heredoc[3], stripTabs: heredoc[1] === '-' });
+          j += heredoc[0].length;
+          continue;
+        }
+      }
+      if (ch === '\n' && heredocs.length) {
+        j++;
+        for (const { delimiter, stripTabs } of heredocs.splice(0)) {
+          while (j < src.length) {
+            let end = src.indexOf('\n', j);
+            if (end === -1) end = src.length;
+            const line = src.slice(j, end);
+            j = end + 1;
+            if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+          }
+        }
+        continue;
+      }
+      if (ch === "'") {
+        const end = src.indexOf("'", j + 1);
+        if (end === -1) break;
+        j = end + 1;
+        continue;
+      }
+      if (ch === '"') {
+        j++;
+        while (j < src.length && src[j] !== '"') j += src[j] === '\\' ? 2 : 1;
+        j++;
+        continue;
+      }
+      if (ch === '(') depth++;
+      if (ch === ')' && --depth === 0) {
+        this.i = j + 1;
+        return src.slice(start, j);
+      }
+      j++;
+    }
+    throw new ShellSyntaxError('unterminated substitution');
+  }
+}
+
+// =============================================================================
+// EXPANSION
+// =============================================================================
+
+function expandBraces(value) {
+  const match = /\{([^{}]*,[^{}]*)\}/.exec(value);
+  if (!match) return [value];
+  const before = value.slice(0, match.index);
+  const after = value.slice(match.index + match[0].length);
+  const results = [];
+  for (const alternative of match[1].split(',')) {
+    for (const expanded of expandBraces(before + alternative + after)) {
+      results.push(expanded);
+      if (results.length >= MAX_BRACE_EXPANSIONS) return results;
+    }
+  }
+  return results;
+}
+
+function lookupVar(ctx, part) {
+  if (part.modifier) return undefined;
+  const value = ctx.vars.get(part.name);
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Expand a word into fields ({ value, dynamic, decoded }). Substitutions are
+ * analyzed as commands of their own; their output is unknown, so fields that
+ * contain them are dynamic.
+ */
+function expandWord(word, ctx, { split = true } = {}) {
+  const fields = [];
+  let current = null;
+  const field = () => (current ??= { value: '', dynamic: false, decoded: false });
+  const breakField = () => {
+    if (current) fields.push(current);
+    current = null;
+  };
+
+  word.parts.forEach((part, index) => {
+    if (part.type === 'lit') {
+      let value = part.value;
+      if (index === 0 && !part.quoted && value.startsWith('~')) {
+        const [head, ...rest] = value.split('/');
+        const home = head === '~' ? ctx.home : path.join(path.dirname(ctx.home), head.slice(1));
+        value = [home, ...rest].join('/');
+      }
+      field().value += value;
+    } else if (part.type === 'var') {
+      if (!part.quoted && split && ctx.vars.has('IFS')) {
+        // With IFS changed, "sudo,ls" can split into a command and its arguments
+        addIssue(ctx, 'dynamic-command', `Word splitting of ${part.raw} depends on IFS`);
+        field().value += part.raw;
+        current.dynamic = true;
+        return;
+      }
+      if (part.name === 'IFS' && (!part.modifier || /^:\d/.test(part.modifier))) {
+        if (part.quoted || !split) field().value += ' ';
+        else breakField();
+        return;
+      }
+      const value = lookupVar(ctx, part);
+      if (value === undefined) {
+        field().value += part.raw;
+        current.dynamic = true;
+      } else if (!part.quoted && split && /\s/.test(value)) {
+        const pieces = value.split(/\s+/);
+        pieces.forEach((piece, pieceIndex) => {
+          if (pieceIndex > 0) breakField();
+          if (piece) field().value += piece;
+        });
+      } else if (value || part.quoted) {
+        field().value += value;
+      }
+    } else if (part.type === 'sub') {
+      const summary = analyzeNested(part.source, ctx, part.via);
+      if (!part.raw) return;
+      field().value += part.raw;
+      current.dynamic = true;
+      if (summary.decoder) current.decoded = true;
+      if (part.via === '<(…)') current.procsub = true;
+    } else {
+      field().value += part.raw;
+      current.dynamic = true;
+    }
+  });
+  breakField();
+
+  // Brace expansion only applies to fully unquoted, static words
+  if (split && fields.length === 1 && !fields[0].dynamic && word.parts.every(part => part.type === 'lit' && !part.quoted)) {
+    return expandBraces(fields[0].value).map(value => ({ value, dynamic: false, decoded: false }));
+  }
+  return fields;
+}
+
+function quoteArg(value) {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// =============================================================================
+// PATHS
+// =============================================================================
+
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+function resolvePath(value, dynamic, ctx) {
+  if (dynamic || (!path.isAbsolute(value) && !ctx.cwd)) {
+    return { value, resolved: null, dynamic: true, inWorkspace: false, inTemp: false, outside: false };
+  }
+  const resolved = path.resolve(ctx.cwd || '/', value);
+  const inWorkspace = Boolean(ctx.workspacePath) && isInside(ctx.workspacePath, resolved);
+  const inTemp = TEMP_DIRS.some(dir => isInside(dir, resolved));
+  return { value, resolved, dynamic: false, inWorkspace, inTemp, outside: !inWorkspace && !inTemp };
+}
+
+// Arguments that name files: operands, plus the value of key=/abs and --opt=/abs
+function collectPaths(fields, ctx) {
+  const paths = [];
+  for (const field of fields) {
+    const { value } = field;
+    if (value === '' || value === '--') continue;
+    if (value.startsWith('-') || /^[A-Za-z_]\w*=/.test(value)) {
+      const eq = value.indexOf('=');
+      if (eq !== -1 && /^[/~]/.test(value.slice(eq + 1))) {
+        paths.push(resolvePath(value.slice(eq + 1), field.dynamic, ctx));
+      }
+      continue;
+    }
+    paths.push(resolvePath(value, field.dynamic, ctx));
+  }
+  return paths;
+}
+
+// Options that take a value, for commands that copy or link files to a destination
+const COPY_OPTIONS = {
+  cp: ['-S', '-t', '--suffix', '--target-directory'],
+  mv: ['-S', '-t', '--suffix', '--target-directory'],
+  ln: ['-S', '-t', '--suffix', '--target-directory'],
+  install: ['-g', '-m', '-o', '-S', '-t', '--group', '--mode', '--owner', '--suffix', '--target-directory']
+};
+
+// Where cp, mv, ln and install write: -t DIR, every operand of install -d, or the last operand
+function copyTargets(name, fields, ctx) {
+  const operands = [];
+  let directory = null;
+  let creates = false;
+  for (let i = 0; i < fields.length;) {
+    const { value } = fields[i];
+    if (value === '--') {
+      operands.push(...fields.slice(i + 1));
+      break;
+    }
+    if (!value.startsWith('-') || value === '-') {
+      operands.push(fields[i++]);
+      continue;
+    }
+    if (name === 'install' && (value === '--directory' || /^-[a-ce-zA-Z]*d/.test(value))) creates = true;
+    const { next, option, field } = readOption(fields, i, COPY_OPTIONS[name]);
+    if (field && (option === '-t' || option === '--target-directory')) directory = field;
+    i = next;
+  }
+  const targets = directory ? [directory] : creates ? operands : operands.length > 1 ? [operands.at(-1)] : [];
+  return targets.map(field => resolvePath(field.value, field.dynamic, ctx));
+}
+
+// =============================================================================
+// WRAPPERS
+// =============================================================================
+
+/**
+ * Read the option at fields[i] the way getopt does: in a cluster such as
+ * "-qc", the first letter listed in `withArg` takes the rest of the word or,
+ * if nothing is left, the next field.
+ * @returns {{ next: number, option?: string, field?: Object }} option and field are set for options with a value
+ */
+function readOption(fields, i, withArg) {
+  const { value } = fields[i];
+  if (value.startsWith('--')) {
+    const eq = value.indexOf('=');
+    if (eq !== -1) return { next: i + 1, option: value.slice(0, eq), field: { ...fields[i], value: value.slice(eq + 1) } };
+    return withArg.includes(value) ? { next: i + 2, option: value, field: fields[i + 1] } : { next: i + 1 };
+  }
+  const letter = [...value.slice(1)].findIndex(ch => withArg.includes(`-${ch}`));
+  if (letter === -1) return { next: i + 1 };
+  const option = `-${value[letter + 1]}`;
+  const inline = value.slice(letter + 2);
+  return inline ? { next: i + 1, option, field: { ...fields[i], value: inline } } : { next: i + 2, option, field: fields[i + 1] };
+}
+
+/**
+ * Read the options of a wrapper command up to its first operand.
+ * `withArg` lists options that take a value.
+ * @returns {{ index: number, values: Object[] }} index of the first operand, and { option, field } per option value
+ */
+function parseOptions(fields, withArg = []) {
+  const values = [];
+  let i = 0;
+  while (i < fields.length) {
+    const { value } = fields[i];
+    if (value === '--') {
+      i++;
+      break;
+    }
+    if (!value.startsWith('-') || value === '-') break;
+    const { next, option, field } = readOption(fields, i, withArg);
+    if (field) values.push({ option, field });
+    i = next;
+  }
+  return { index: Math.min(i, fields.length), values };
+}
+
+/**
+ * Skip the options of a wrapper command and return the fields of the
+ * command it runs. `operands` is the number of positional arguments
+ * before the command.
+ */
+function skipOptions(fields, withArg = [], operands = 0) {
+  return fields.slice(parseOptions(fields, withArg).index + operands);
+}
+
+// Fields run as one command line, as `watch` and `ssh` join their arguments
+function joinFields(fields) {
+  return {
+    value: fields.map(f => f.value).join(' '),
+    dynamic: fields.some(f => f.dynamic),
+    decoded: fields.some(f => f.decoded)
+  };
+}
+
+function unwrapEnv(fields) {
+  let i = 0;
+  while (i < fields.length) {
+    const { value } = fields[i];
+    if (value === '--') {
+      i++;
+      break;
+    }
+    if (value === '-S' || value === '--split-string' || value.startsWith('-S') || value.startsWith('--split-string=')) {
+      const inline = value.startsWith('--split-string=') ? value.slice(15) : value.length > 2 && value.startsWith('-S') ? value.slice(2) : null;
+      const rest = fields.slice(inline === null ? i + 2 : i + 1);
+      const script = inline === null ? fields[i + 1] : { ...fields[i], value: inline };
+      if (!script) return { argv: [] };
+      return {
+        scripts: [{
+          value: [script.value, ...rest.map(f => quoteArg(f.value))].join(' '),
+          dynamic: script.dynamic || rest.some(f => f.dynamic),
+          decoded: script.decoded
+        }]
+      };
+    }
+    if (value === '-u' || value === '-C' || value === '--unset' || value === '--chdir') {
+      i += 2;
+    } else if ((value.startsWith('-') && value !== '-') || /^[A-Za-z_]\w*=/.test(value)) {
+      i++;
+    } else if (value === '-') {
+      i++;
+    } else {
+      break;
+    }
+  }
+  return { argv: fields.slice(i) };
+}
+
+const DYNAMIC_ARG = { value: '$(stdin)', dynamic: true, decoded: false };
+
+function xargsReplaceString(options) {
+  for (let i = 0; i < options.length; i++) {
+    const { value } = options[i];
+    if (value === '-I' || value === '--replace') return options[i + 1]?.value || '{}';
+    if (value.startsWith('--replace=')) return value.slice(10) || '{}';
+    if (value.startsWith('-I')) return value.slice(2);
+    if (value.startsWith('-i')) return value.slice(2) || '{}';
+  }
+  return null;
+}
+
+const SSH_OPTIONS = ['-B', '-b', '-c', '-D', '-E', '-e', '-F', '-I', '-i', '-J', '-L', '-l', '-m', '-O', '-o', '-p', '-Q', '-R', '-S', '-W', '-w'];
+
+// ssh -o settings whose value is a command run on this machine
+const SSH_COMMAND_SETTINGS = /^\s*(proxycommand|localcommand|knownhostscommand)\s*[=\s]\s*(.*)$/is;
+
+// tmux commands whose arguments are a shell command (send-keys types them into one)
+const TMUX_SHELL_COMMANDS = /^(new-session|new|new-window|neww|split-window|splitw|respawn-pane|respawnp|respawn-window|respawnw|run-shell|run|display-popup|popup|pipe-pane|pipep|if-shell|if|send-keys|send)$/;
+
+const STDIN_PATHS = new Set(['-', '/dev/stdin', '/dev/fd/0', '/proc/self/fd/0']);
+
+function unwrapTmux(fields) {
+  const { index, values } = parseOptions(fields, ['-c', '-f', '-L', '-S', '-T']);
+  const scripts = values.filter(v => v.option === '-c' && v.field).map(v => v.field);
+  // tmux runs several commands separated by `;`
+  const commands = [[]];
+  for (const field of fields.slice(index)) {
+    if (field.value === ';') commands.push([]);
+    else commands.at(-1).push(field);
+  }
+  for (const [subcommand, ...rest] of commands) {
+    if (!subcommand || !TMUX_SHELL_COMMANDS.test(subcommand.value)) continue;
+    const withArg = /^send/.test(subcommand.value) ? ['-c', '-N', '-t'] : ['-c', '-e', '-F', '-l', '-n', '-s', '-t', '-T', '-w', '-x', '-y'];
+    const argv = skipOptions(rest, withArg);
+    if (argv.length) scripts.push(joinFields(argv));
+  }
+  return { scripts };
+}
+
+// gdb commands that run a shell command: shell cmd, !cmd, pipe … | cmd
+function gdbShellCommand(field) {
+  const match = /^\s*(?:shell\s|!)([\s\S]*)$/.exec(field.value) || /^\s*(?:pipe\s|\|)[^|]*\|([\s\S]*)$/.exec(field.value);
+  return match ? { ...field, value: match[1] } : null;
+}
+
+function unwrapGdb(fields) {
+  const scripts = [];
+  for (let i = 0; i < fields.length; i++) {
+    // gdb takes -opt and --opt alike
+    const [option, inline] = fields[i].value.replace(/^--/, '-').split(/=(.*)/s);
+    if (option === '-args') return { scripts, argv: fields.slice(i + 1) };
+    if (!/^-(ex|iex|eval-command|init-eval-command)$/.test(option)) continue;
+    const command = inline === undefined ? fields[++i] : { ...fields[i], value: inline };
+    const script = command && gdbShellCommand(command);
+    if (script) scripts.push(script);
+  }
+  return { scripts };
+}
+
+function unwrapParallel(fields) {
+  const argv = skipOptions(fields, ['-a', '-C', '-d', '-E', '-I', '-j', '-n', '-N', '-P', '-S', '--arg-file', '--colsep', '--delimiter', '--jobs', '--joblog', '--max-args', '--results', '--sshlogin', '--tmpdir', '--workdir']);
+  const isSeparator = f => /^:{3,4}\+?$/.test(f.value);
+  const separator = argv.findIndex(isSeparator);
+  const command = separator === -1 ? argv : argv.slice(0, separator);
+  const inputs = separator === -1 ? [] : argv.slice(separator + 1).filter(f => !isSeparator(f));
+  if (command.length === 0) {
+    // Without a command the inputs are the commands
+    if (argv[separator]?.value.startsWith('::::')) return { stdin: { file: inputs[0]?.value ?? '' } };
+    return inputs.length ? { scripts: inputs } : { stdin: true };
+  }
+  // The command line runs in a shell; inputs replace {} or are appended to it
+  const script = joinFields(command);
+  if (command[0].value.startsWith('{')) script.dynamic = true;
+  return { scripts: [script] };
+}
+
+/**
+ * Commands that run another command given as their arguments. Each returns
+ * null or { argv } for a command given as words, { scripts } for command
+ * lines run by a shell, and { stdin } when the commands are read from stdin
+ * (true) or from { file }.
+ */
+const WRAPPERS = {
+  env: unwrapEnv,
+  sudo: fields => ({ argv: skipOptions(fields, ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U', '-T', '-R', '--user', '--group', '--host', '--prompt', '--close-from', '--chdir', '--role', '--type', '--other-user', '--command-timeout', '--chroot']) }),
+  doas: fields => ({ argv: skipOptions(fields, ['-u', '-C']) }),
+  nice: fields => ({ argv: skipOptions(fields, ['-n', '--adjustment']) }),
+  nohup: fields => ({ argv: skipOptions(fields) }),
+  time: fields => ({ argv: skipOptions(fields, ['-f', '-o', '--format', '--output']) }),
+  timeout: fields => ({ argv: skipOptions(fields, ['-s', '-k', '--signal', '--kill-after'], 1) }),
+  stdbuf: fields => ({ argv: skipOptions(fields, ['-i', '-o', '-e', '--input', '--output', '--error']) }),
+  ionice: fields => ({ argv: skipOptions(fields, ['-c', '-n', '-p', '-P', '-u', '--class', '--classdata']) }),
+  setsid: fields => ({ argv: skipOptions(fields) }),
+  chrt: fields => ({ argv: skipOptions(fields, [], 1) }),
+  taskset: fields => ({ argv: skipOptions(fields, [], 1) }),
+  flock: fields => ({ argv: skipOptions(fields, ['-w', '-E', '--timeout', '--conflict-exit-code'], 1) }),
+  caffeinate: fields => ({ argv: skipOptions(fields, ['-t', '-w']) }),
+  unbuffer: fields => ({ argv: skipOptions(fields) }),
+  busybox: fields => ({ argv: skipOptions(fields) }),
+  builtin: fields => ({ argv: skipOptions(fields) }),
+  exec: fields => ({ argv: skipOptions(fields, ['-a']) }),
+  // `command -v x` only looks x up
+  command: fields => (fields.some(f => f.value === '-v' || f.value === '-V') ? null : { argv: skipOptions(fields) }),
+  // The command gets extra arguments read from stdin
+  xargs: (fields) => {
+    const argv = skipOptions(fields, ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--max-args', '--max-procs', '--max-lines', '--replace']);
+    // With -I/-i the input lines replace a string anywhere in the command, even in `sh -c {}`
+    const replace = xargsReplaceString(fields.slice(0, fields.length - argv.length));
+    const inner = replace ? argv.map(f => (f.value.includes(replace) ? { ...f, dynamic: true } : f)) : argv;
+    return { argv: [...(inner.length ? inner : [{ value: 'echo', dynamic: false, decoded: false }]), DYNAMIC_ARG] };
+  },
+  watch: fields => ({ scripts: [joinFields(skipOptions(fields, ['-n', '--interval']))] }),
+  // script -c cmd file (util-linux), script file cmd … (BSD)
+  script: (fields) => {
+    const { index, values } = parseOptions(fields, ['-c', '-B', '-E', '-I', '-m', '-O', '-T', '--command', '--echo', '--log-in', '--log-io', '--log-out', '--log-timing', '--logging-format']);
+    const command = values.find(v => v.option === '-c' || v.option === '--command');
+    return command?.field ? { scripts: [command.field] } : { argv: fields.slice(index + 1) };
+  },
+  // trap 'cmd' SIGNAL…; a single operand or "-" resets the trap
+  trap: (fields) => {
+    const [action, ...signals] = skipOptions(fields);
+    return signals.length && action.value !== '-' ? { scripts: [action] } : null;
+  },
+  // ssh host cmd… runs cmd remotely, ProxyCommand and LocalCommand run here
+  ssh: (fields) => {
+    const { index, values } = parseOptions(fields, SSH_OPTIONS);
+    const scripts = values
+      .filter(v => v.option === '-o' && v.field)
+      .map(v => [v.field, SSH_COMMAND_SETTINGS.exec(v.field.value)])
+      .filter(([, match]) => match)
+      .map(([field, match]) => ({ ...field, value: match[2] }));
+    const command = fields.slice(index + 1);
+    if (command.length) scripts.push(joinFields(command));
+    return { scripts };
+  },
+  tmux: unwrapTmux,
+  screen: fields => ({ argv: skipOptions(fields, ['-c', '-e', '-h', '-p', '-s', '-S', '-t', '-T']) }),
+  // at and batch read the job from stdin or -f file
+  at: (fields) => {
+    const { values } = parseOptions(fields, ['-f', '-q', '-t']);
+    if (fields.some(f => /^-[lrdc]$/.test(f.value))) return null;
+    const file = values.find(v => v.option === '-f')?.field;
+    return { stdin: file ? { file: file.value } : true };
+  },
+  batch: fields => WRAPPERS.at(fields),
+  parallel: unwrapParallel,
+  strace: fields => ({ argv: skipOptions(fields, ['-a', '-b', '-e', '-E', '-I', '-o', '-O', '-p', '-P', '-s', '-S', '-u', '-X']) }),
+  ltrace: fields => ({ argv: skipOptions(fields, ['-a', '-A', '-D', '-e', '-F', '-l', '-n', '-o', '-p', '-s', '-u', '-w', '-x']) }),
+  gdb: unwrapGdb,
+  chroot: fields => ({ argv: skipOptions(fields, ['--groups', '--userspec'], 1) })
+};
+
+// Commands whose output is a decoded or unpacked form of their input
+function isDecoder(name, args) {
+  if (/^(base64|base32|basenc)$/.test(name)) return args.some(arg => /^(-[a-zA-Z]*d[a-zA-Z]*|-D|--decode)$/.test(arg));
+  if (name === 'xxd') return args.some(arg => /^-[a-zA-Z]*r/.test(arg));
+  if (name === 'openssl') return args.some(arg => arg === '-d' || arg === 'base64' && args.includes('-d'));
+  if (/^(gunzip|zcat|uudecode|bunzip2|unxz|xzcat|rev)$/.test(name)) return true;
+  if (name === 'gzip') return args.some(arg => /^-[a-zA-Z]*d/.test(arg) || arg === '--decompress');
+  if (name === 'printf' || name === 'echo') return args.some(arg => /\\(x[0-9a-fA-F]|[0-7]{3}|u[0-9a-fA-F]{4})/.test(arg));
+  return false;
+}
+
+function parseShellArgs(fields) {
+  let i = 0;
+  let command = false;
+  let stdin = false;
+  while (i < fields.length) {
+    const { value } = fields[i];
+    if (value === '--' || value === '-') {
+      i++;
+      break;
+    }
+    if (/^[-+]o$/.test(value) || /^[-+]O$/.test(value) || value === '--rcfile' || value === '--init-file') {
+      i += 2;
+      continue;
+    }
+    if (value.startsWith('--')) {
+      if (value === '--command') command = true;
+      i++;
+      continue;
+    }
+    if (/^[-+][a-zA-Z]+$/.test(value)) {
+      if (value[0] === '-' && value.includes('c')) command = true;
+      if (value.includes('s')) stdin = true;
+      i++;
+      continue;
+    }
+    break;
+  }
+  return { command, stdin, operand: fields[i] || null };
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+function addIssue(ctx, type, message) {
+  ctx.result.issues.push({ type, message, via: [...ctx.via] });
+}
+
+function childContext(ctx, via) {
+  return {
+    ...ctx,
+    vars: new Map(ctx.vars),
+    aliases: new Map(ctx.aliases),
+    depth: ctx.depth + 1,
+    via: [...ctx.via, via],
+    summary: { decoder: false }
+  };
+}
+
+function analyzeNested(source, ctx, via) {
+  const child = childContext(ctx, via);
+  analyzeScript(source, child);
+  return child.summary;
+}
+
+// Run a script given as a field (sh -c, eval, heredoc on a shell's stdin)
+function analyzeScriptField(field, ctx, via) {
+  if (field.dynamic) {
+    addIssue(ctx, field.decoded ? 'decoded-shell' : 'dynamic-eval',
+      field.decoded ? `Runs decoded text as a command (${via})` : `Runs a command built at run time (${via})`);
+    return;
+  }
+  analyzeNested(field.value, ctx, via);
+}
+
+function analyzeScript(source, ctx) {
+  if (ctx.depth > MAX_DEPTH) {
+    addIssue(ctx, 'max-depth', 'Command is nested too deeply to analyze');
+    return;
+  }
+  for (const { type, pattern, message } of STRUCTURAL_PATTERNS) {
+    if (pattern.test(source)) addIssue(ctx, type, message);
+  }
+
+  let tokens;
+  try {
+    tokens = new Lexer(source).tokenize();
+  } catch (error) {
+    if (!(error instanceof ShellSyntaxError)) throw error;
+    addIssue(ctx, 'parse-error', `Could not parse command: ${error.message}`);
+    return;
+  }
+  analyzeTokens(tokens, ctx);
+}
+
+function analyzeTokens(tokens, ctx) {
+  const cwdStack = [];
+  let stages = [];
+  let stage = { words: [], redirects: [], piped: false };
+
+  const endStage = () => {
+    if (stage.words.length || stage.redirects.length) stages.push(stage);
+    stage = { words: [], redirects: [], piped: false };
+  };
+  const endPipeline = () => {
+    endStage();
+    if (stages.length) analyzePipeline(stages, ctx);
+    stages = [];
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+    if (token.type === 'word') {
+      stage.words.push(token);
+    } else if (token.type === 'redir') {
+      stage.redirects.push(token);
+    } else if (token.value === '|' || token.value === '|&') {
+      endStage();
+      stage.piped = true;
+    } else if (token.value === '(' && stage.words.length === 1 && tokens[k + 1]?.value === ')') {
+      // name() { ... } - a function definition, its body follows as commands
+      stage = { words: [], redirects: [], piped: false };
+      k++;
+    } else if (token.value === '(') {
+      const piped = stage.piped;
+      endPipeline();
+      stage.piped = piped;
+      cwdStack.push(ctx.cwd);
+    } else if (token.value === ')') {
+      endPipeline();
+      if (cwdStack.length) ctx.cwd = cwdStack.pop();
+    } else {
+      endPipeline();
+    }
+  }
+  endPipeline();
+}
+
+function analyzePipeline(stages, ctx) {
+  let decoded = false;
+  stages.forEach((stage, index) => {
+    const isDecoderStage = analyzeStage(stage, ctx, { piped: index > 0 || stage.piped, decoded });
+    if (isDecoderStage) decoded = true;
+  });
+}
+
+function isAssignment(word) {
+  const first = word.parts[0];
+  return first?.type === 'lit' && !first.quoted && /^[A-Za-z_][A-Za-z0-9_]*\+?=/.test(first.value);
+}
+
+// Expand NAME=value (value is not field-split) and return [name, value|null]
+function expandAssignment(word, ctx) {
+  const [first, ...rest] = word.parts;
+  const eq = first.value.indexOf('=');
+  const name = first.value.slice(0, eq).replace(/\+$/, '');
+  const valueWord = { type: 'word', parts: [{ ...first, value: first.value.slice(eq + 1) }, ...rest] };
+  const fields = expandWord(valueWord, ctx, { split: false });
+  const dynamic = fields.some(f => f.dynamic);
+  return [name, dynamic ? null : fields.map(f => f.value).join('')];
+}
+
+function literalOf(word) {
+  return word.parts.every(part => part.type === 'lit' && !part.quoted) ? word.parts.map(part => part.value).join('') : null;
+}
+
+/**
+ * Analyze one simple command of a pipeline.
+ * @returns {boolean} Whether the command decodes its input
+ */
+function analyzeStage(stage, ctx, pipe) {
+  let words = [...stage.words];
+  while (words.length && KEYWORDS.has(literalOf(words[0]))) words.shift();
+
+  if (words.length && literalOf(words[0]) === 'function') {
+    words = words.slice(2);
+    while (words.length && KEYWORDS.has(literalOf(words[0]))) words.shift();
+  }
+
+  const head = words.length ? literalOf(words[0]) : null;
+  if (head === 'for' || head === 'select' || head === 'case') {
+    // Loop and case headers: only the substitutions in them run here
+    if (head !== 'case' && words[1]) ctx.vars.set(literalOf(words[1]) ?? '', null);
+    for (const word of words.slice(1)) expandWord(word, ctx);
+    return false;
+  }
+
+  const assignments = [];
+  while (words.length && isAssignment(words[0])) {
+    assignments.push(expandAssignment(words.shift(), ctx));
+  }
+  if (words.length === 0) {
+    for (const [name, value] of assignments) ctx.vars.set(name, value);
+  }
+
+  const fields = words.flatMap(word => expandWord(word, ctx));
+
+  let stdin = null;
+  const redirects = [];
+  for (const redirect of stage.redirects) {
+    if (!redirect.target) continue;
+    const targetFields = expandWord(redirect.target, ctx, { split: false });
+    const target = {
+      value: targetFields.map(f => f.value).join(''),
+      dynamic: targetFields.some(f => f.dynamic),
+      decoded: targetFields.some(f => f.decoded)
+    };
+    if (STDIN_REDIRECTS.has(redirect.op)) {
+      stdin = { text: target };
+    } else if ((redirect.op === '>&' || redirect.op === '<&') && /^(\d+|-)$/.test(target.value)) {
+      continue; // fd duplication
+    } else {
+      if (redirect.op === '<') stdin = { file: target.value };
+      redirects.push({ op: redirect.op, write: WRITE_REDIRECTS.has(redirect.op), ...resolvePath(target.value, target.dynamic, ctx) });
+    }
+  }
+
+  return analyzeArgv(fields, ctx, { ...pipe, redirects, stdin });
+}
+
+function analyzeArgv(fields, ctx, { piped = false, decoded = false, redirects = [], stdin = null } = {}) {
+  if (fields.length === 0) {
+    if (redirects.length) {
+      ctx.result.commands.push({ name: '', argv: [], args: [], paths: [], writes: [], redirects, dynamicArgs: false, via: [...ctx.via] });
+    }
+    return false;
+  }
+
+  const [first, ...rest] = fields;
+  const args = rest.map(f => f.value);
+  const name = first.dynamic ? first.value : path.basename(first.value);
+
+  if (!first.dynamic && ctx.aliases.has(first.value)) {
+    const alias = ctx.aliases.get(first.value);
+    ctx.aliases.delete(first.value);
+    analyzeScriptField({ value: [alias, ...args.map(quoteArg)].join(' '), dynamic: rest.some(f => f.dynamic), decoded: false }, ctx, `alias ${first.value}`);
+    return false;
+  }
+
+  ctx.result.commands.push({
+    name,
+    argv: [first.value, ...args],
+    args,
+    paths: collectPaths(rest, ctx),
+    writes: Object.hasOwn(COPY_OPTIONS, name) ? copyTargets(name, rest, ctx) : [],
+    redirects,
+    dynamicArgs: rest.some(f => f.dynamic),
+    via: [...ctx.via]
+  });
+
+  if (first.dynamic) {
+    addIssue(ctx, first.decoded ? 'decoded-shell' : 'dynamic-command',
+      first.decoded ? `Runs decoded text as a command: ${first.value}` : `Command name is only known at run time: ${first.value}`);
+    return false;
+  }
+
+  const decoder = isDecoder(name, args);
+  if (decoder) ctx.summary.decoder = true;
+
+  if (SHELLS.has(name)) {
+    const { command, stdin: readsStdin, operand } = parseShellArgs(rest);
+    if (command) {
+      if (operand) analyzeScriptField(operand, ctx, `${name} -c`);
+    } else if (operand?.procsub) {
+      analyzeProcessSubstitutionScript(name, operand, ctx);
+    } else if (!operand || readsStdin || STDIN_PATHS.has(operand.value)) {
+      analyzeStdinScript(name, ctx, { piped, decoded, stdin });
+    }
+  } else if (STDIN_INTERPRETERS.test(name) && rest.find(f => !f.value.startsWith('-'))?.procsub) {
+    analyzeProcessSubstitutionScript(name, rest.find(f => !f.value.startsWith('-')), ctx);
+  } else if (STDIN_INTERPRETERS.test(name) && [undefined, ...STDIN_PATHS].includes(rest.find(f => !f.value.startsWith('-'))?.value)) {
+    analyzeStdinScript(name, ctx, { piped, decoded, stdin, interpreter: true });
+  } else if (name === 'eval') {
+    analyzeScriptField({ value: args.join(' '), dynamic: rest.some(f => f.dynamic), decoded: rest.some(f => f.decoded) }, ctx, 'eval');
+  } else if ((name === 'source' || name === '.') && rest[0]?.dynamic) {
+    addIssue(ctx, rest[0].decoded ? 'decoded-shell' : 'dynamic-eval', `Sources a script produced at run time: ${rest[0].value}`);
+  } else if (name === 'cd' || name === 'pushd') {
+    const target = rest.find(f => !f.value.startsWith('-'));
+    if (!target) ctx.cwd = ctx.home;
+    else ctx.cwd = resolvePath(target.value, target.dynamic, ctx).resolved;
+  } else if (name === 'alias') {
+    for (const field of rest) {
+      const eq = field.value.indexOf('=');
+      if (eq > 0) ctx.aliases.set(field.value.slice(0, eq), field.value.slice(eq + 1));
+    }
+  } else if (['export', 'declare', 'typeset', 'local', 'readonly'].includes(name)) {
+    for (const field of rest) {
+      const match = /^([A-Za-z_]\w*)=(.*)$/s.exec(field.value);
+      if (match) ctx.vars.set(match[1], field.dynamic ? null : match[2]);
+    }
+  } else if (name === 'read' || name === 'unset') {
+    for (const arg of args) {
+      if (!arg.startsWith('-')) ctx.vars.set(arg, null);
+    }
+  } else if (name === 'find') {
+    analyzeFindExec(rest, ctx);
+  } else if (AWKS.has(name)) {
+    analyzeAwk(rest, ctx, name);
+  } else if (name === 'git') {
+    analyzeGitConfig(rest, ctx);
+  } else if (WRAPPERS[name]) {
+    const inner = WRAPPERS[name](rest);
+    for (const script of inner?.scripts || []) analyzeScriptField(script, ctx, name);
+    if (inner?.stdin) analyzeStdinScript(name, ctx, { piped, decoded, stdin: inner.stdin === true ? stdin : inner.stdin });
+    if (inner?.argv?.length) analyzeArgv(inner.argv, { ...ctx, via: [...ctx.via, name] }, { piped, decoded, stdin });
+  }
+
+  return decoder;
+}
+
+function analyzeStdinScript(name, ctx, { piped, decoded, stdin, interpreter = false }) {
+  if (stdin?.text) {
+    if (interpreter) return;
+    analyzeScriptField(stdin.text, ctx, `${name} <<`);
+  } else if (stdin?.file) {
+    // Like a pipe, but from a file: the script is not on the command line
+    addIssue(ctx, 'pipe-to-shell', `Feeds ${stdin.file} into ${name}`);
+  } else if (piped) {
+    addIssue(ctx, decoded ? 'decoded-shell' : 'pipe-to-shell',
+      decoded ? `Pipes decoded text into ${name}` : `Pipes a script into ${name}`);
+  }
+}
+
+// bash <(curl …): the script is another command's output, as with a pipe
+function analyzeProcessSubstitutionScript(name, operand, ctx) {
+  addIssue(ctx, operand.decoded ? 'decoded-shell' : 'pipe-to-shell',
+    operand.decoded ? `Runs decoded text with ${name}` : `Runs the output of ${operand.value} with ${name}`);
+}
+
+const AWKS = new Set(['awk', 'gawk', 'mawk', 'nawk']);
+
+function unescapeAwkString(body) {
+  return body.replace(/\\(.)/g, (match, ch) => ({ n: '\n', t: '\t' })[ch] ?? ch);
+}
+
+/**
+ * awk runs shell commands through system(cmd), `cmd | getline` and
+ * `print … | cmd`. Commands given as string literals are analyzed like
+ * `sh -c`; commands built by the program are reported.
+ */
+function analyzeAwk(fields, ctx, name) {
+  let program = null;
+  for (let i = 0; i < fields.length; i++) {
+    const { value } = fields[i];
+    if (value === '--') {
+      program = fields[i + 1] || null;
+      break;
+    }
+    if (value === '-e' || value === '--source') {
+      program = fields[i + 1] || null;
+      break;
+    }
+    if (['-f', '-E', '--file', '-F', '-v', '--field-separator', '--assign'].includes(value)) {
+      if (value === '-f' || value === '-E' || value === '--file') return; // program in a file
+      i++;
+      continue;
+    }
+    if (value.startsWith('-') && value !== '-') {
+      if (/^-[fE]./.test(value)) return;
+      continue;
+    }
+    program = fields[i];
+    break;
+  }
+  if (!program) return;
+
+  // Mask string literals so pipes and parentheses inside them don't count
+  const strings = [];
+  const masked = program.value.replace(/"(?:[^"\\]|\\.)*"/g, (literal) => {
+    strings.push(unescapeAwkString(literal.slice(1, -1)));
+    return `"${strings.length - 1}"`;
+  });
+  const sites = [
+    ...[...masked.matchAll(/\bsystem\s*\(\s*(?:"(\d+)"\s*\))?/g)].map(match => ({ literal: match[1], via: `${name} system()` })),
+    ...[...masked.matchAll(/(?:"(\d+)"\s*)?(?<!\|)\|&?\s*getline\b/g)].map(match => ({ literal: match[1], via: `${name} | getline` })),
+    ...[...masked.matchAll(/\bprintf?\b[^;{}\n|]*(?<!\|)\|(?!\|)&?\s*(?:"(\d+)"(?=\s*(?:[;}\n]|$)))?/g)].map(match => ({ literal: match[1], via: `${name} print |` }))
+  ];
+  for (const { literal, via } of sites) {
+    if (literal !== undefined) {
+      analyzeScriptField({ value: strings[Number(literal)], dynamic: program.dynamic, decoded: program.decoded }, ctx, via);
+    } else {
+      addIssue(ctx, 'dynamic-eval', `Runs a command built at run time (${via})`);
+    }
+  }
+}
+
+// git -c settings whose value is a command git runs (alias values starting with !)
+const GIT_COMMAND_SETTINGS = /^(core\.(pager|editor|sshcommand|fsmonitor|askpass|gitproxy)|pager\..+|alias\..+|sequence\.editor|diff\.external|diff\..+\.(textconv|command)|(diff|merge)tool\..+\.cmd|merge\..+\.driver|filter\..+\.(clean|smudge|process)|credential(\..+)?\.helper|gpg(\..+)?\.program|uploadpack\.packobjectshook|remote\..+\.(uploadpack|receivepack|vcs)|web\.browser|browser\..+\.cmd|sendemail\.(sendmailcmd|tocmd|cccmd))$/;
+
+// Settings that point git at scripts or more configuration to load
+const GIT_PATH_SETTINGS = /^(core\.hookspath|include\.path|includeif\..+\.path)$/;
+
+/**
+ * `git -c key=value` (before the subcommand) can make git run commands,
+ * e.g. `-c core.pager='sh -c …'`. Values of command settings are analyzed
+ * like `sh -c`; `--config-env` values come from the environment.
+ */
+function analyzeGitConfig(fields, ctx) {
+  for (let i = 0; i < fields.length; i++) {
+    const { value } = fields[i];
+    if (!value.startsWith('-')) break; // the subcommand
+    if (value === '-C' || value === '--git-dir' || value === '--work-tree' || value === '--namespace') {
+      i++;
+      continue;
+    }
+    if (value === '--config-env' || value.startsWith('--config-env=')) {
+      const setting = value === '--config-env' ? fields[++i]?.value || '' : value.slice(13);
+      addIssue(ctx, 'dynamic-eval', `Sets git config from the environment: ${setting}`);
+      continue;
+    }
+    if (value !== '-c') continue;
+    const setting = fields[++i];
+    if (!setting) break;
+    const eq = setting.value.indexOf('=');
+    const key = (eq === -1 ? setting.value : setting.value.slice(0, eq)).toLowerCase();
+    const command = eq === -1 ? '' : setting.value.slice(eq + 1);
+    if (GIT_PATH_SETTINGS.test(key)) {
+      addIssue(ctx, 'dynamic-eval', `Points git at other scripts or config: ${key}`);
+    } else if (GIT_COMMAND_SETTINGS.test(key) && (!key.startsWith('alias.') || command.startsWith('!'))) {
+      analyzeScriptField({ ...setting, value: command.replace(/^!/, '') }, ctx, `git -c ${key}`);
+    }
+  }
+}
+
+function analyzeFindExec(fields, ctx) {
+  const firstOption = fields.findIndex(f => /^[-(!]/.test(f.value));
+  const roots = (firstOption === -1 ? fields : fields.slice(0, firstOption));
+  const root = roots[0] || { value: '.', dynamic: false, decoded: false };
+
+  for (let i = 0; i < fields.length; i++) {
+    if (!/^-(exec|execdir|ok|okdir)$/.test(fields[i].value)) continue;
+    const end = fields.findIndex((f, j) => j > i && (f.value === ';' || f.value === '+'));
+    const inner = fields.slice(i + 1, end === -1 ? fields.length : end)
+      .map(f => (f.value.includes('{}') ? { ...f, value: f.value.replaceAll('{}', root.value), dynamic: f.dynamic || root.dynamic } : f));
+    analyzeArgv(inner, { ...ctx, via: [...ctx.via, `find ${fields[i].value}`] });
+    if (end === -1) break;
+    i = end;
+  }
+}
+
+/**
+ * Analyze a shell command line
+ *
+ * @param {string} command - Command line as passed to `sh -c`
+ * @param {Object} [options]
+ * @param {string} [options.workspacePath] - Paths inside it are "in workspace"
+ * @param {string} [options.cwd] - Directory the command runs in (default: workspace)
+ * @param {string} [options.home] - Home directory for ~ and $HOME
+ * @returns {{ commands: Object[], issues: Object[] }}
+ *   commands: every simple command that would run, including nested ones:
+ *     { name, argv, args, paths, writes, redirects, dynamicArgs, via }
+ *     (writes: destinations of cp, mv, ln and install)
+ *   issues: constructs that can't be resolved statically:
+ *     { type, message, via } with type one of fork-bomb, background-loop,
+ *     decoded-shell, pipe-to-shell, dynamic-command, dynamic-eval,
+ *     parse-error, max-depth
+ */
+export function analyzeCommand(command, { workspacePath = null, cwd = null, home = os.homedir() } = {}) {
+  const workspace = workspacePath ? path.resolve(workspacePath) : null;
+  const startDir = path.resolve(cwd || workspace || process.cwd());
+  const result = { commands: [], issues: [] };
+  const ctx = {
+    workspacePath: workspace || startDir,
+    cwd: startDir,
+    home,
+    vars: new Map([['HOME', home], ['PWD', startDir], ['TMPDIR', os.tmpdir()]]),
+    aliases: new Map(),
+    depth: 0,
+    via: [],
+    summary: { decoder: false },
+    result
+  };
+  if (typeof command === 'string' && command.trim()) {
+    analyzeScript(command, ctx);
+  }
+  return result;
+}
+
+export default analyzeCommand;
@@ -1,5 +1,123 @@
 import { AgentRuntime } from '../runtime/AgentRuntime.js';
 import crypto from 'crypto';
+import reviewQueue, { REVIEW_STATUS } from './ReviewQueue.js';
+import costTracker, { CostTracker } from '../providers/CostTracker.js';
+
+/**
+ * Externally visible actions, detected from MCP tool names.
+ * `describe` summarizes a completed call for the run outcome, `propose`
+ * describes a call waiting in the review queue.
+ */
+const EXTERNAL_ACTIONS = [
+  {
+    system: 'linkedin',
+    keywords: ['linkedin', 'post'],
+    describe: () => 'Created post',
+    propose: () => 'Create LinkedIn post',
+    url: (result) => result?.postUrl || result?.url
+  },
+  {
+    system: 'slack',
+    keywords: ['slack', 'post'],
+    describe: (input) => `Posted to ${input?.channel || 'channel'}`,
+    propose: (input) => `Post to ${input?.channel || 'Slack'}`,
+    url: (result) => result?.permalink || result?.url
+  },
+  {
+    system: 'github',
+    keywords: ['github', 'create'],
+    describe: (input) => `Created ${input?.type || 'item'}`,
+    propose: (input) => `Create GitHub ${input?.type || 'item'}`,
+    url: (result) => result?.html_url || result?.url
+  },
+  {
+    system: 'gmail',
+    keywords: ['gmail', 'send'],
+    describe: () => 'Sent email',
+    propose: (input) => `Send email${input?.to ? ` to ${[].concat(input.to).join(', ')}` : ''}`,
+    url: () => null
+  },
+  {
+    system: 'notion',
+    keywords: ['notion', 'create'],
+    describe: () => 'Created page',
+    propose: () => 'Create Notion page',
+    url: (result) => result?.url
+  }
+];
+
+// Default time a held action waits for a decision before it expires
+const DEFAULT_REVIEW_TIMEOUT_HOURS = 24;
+
+/**
+ * Find the external actions a tool call performs
+ *
+ * @param {string} toolName - Tool name (e.g. "mcp__slack__slack_post_message")
+ * @returns {Array} Matching EXTERNAL_ACTIONS entries
+ */
+export function detectExternalActions(toolName) {
+  const name = (toolName || '').toLowerCase();
+  return EXTERNAL_ACTIONS.filter(entry => entry.keywords.every(keyword => name.includes(keyword)));
+}
+
+/**
+ * Normalize an agent's `review` setting
+ *
+ * `review: true` or `{ required: true }` holds every external action.
+ * `tools` adds tool name substrings to hold as well, `timeoutHours` sets
+ * how long a held action waits for a decision.
+ *
+ * @param {Object} agent - Agent definition
+ * @returns {Object|null} { tools, timeoutMs } or null when review is off
+ */
+export function getReviewPolicy(agent) {
+  const review = agent?.review;
+  if (!review || review.required === false || review.enabled === false) {
+    return null;
+  }
+  const options = typeof review === 'object' ? review : {};
+  return {
+    tools: (options.tools || []).map(tool => String(tool).toLowerCase()),
+    timeoutMs: (options.timeoutHours || DEFAULT_REVIEW_TIMEOUT_HOURS) * 60 * 60 * 1000
+  };
+}
+
+/**
+ * Timeout that can be paused while the run waits on something outside
+ * its control (a human review). Pauses nest.
+ */
+function createPausableTimeout(ms, createError) {
+  let remaining = ms;
+  let startedAt = 0;
+  let timer = null;
+  let pauses = 0;
+  let cleared = false;
+  let rejectTimeout;
+  const promise = new Promise((_, reject) => { rejectTimeout = reject; });
+
+  const start = () => {
+    startedAt = Date.now();
+    timer = setTimeout(() => rejectTimeout(createError()), remaining);
+  };
+  start();
+
+  return {
+    promise,
+    pause() {
+      if (cleared || pauses++ > 0) return;
+      clearTimeout(timer);
+      remaining -= Date.now() - startedAt;
+    },
+    resume() {
+      if (cleared || --pauses > 0) return;
+      start();
+    },
+    clear() {
+      cleared = true;
+      clearTimeout(timer);
+    }
+  };
+}
 
 /**
  * AgentExecutor
@@ -20,6 +138,8 @@ class AgentExecutor {
     this.runHistory = runHistory;
     this.globalMcpConfig = globalMcpConfig;  // Full MCP config from .mcp.json
     this.maxToolCalls = 60;
+    this.reviewQueue = reviewQueue;
+    this.costTracker = costTracker;
   }
 
   /**
@@ -88,48 +208,11 @@ class AgentExecutor {
         continue;
       }
 
-      // LinkedIn post
-      if (action.tool.includes('linkedin') && action.tool.includes('post')) {
-        outcome.externalActions.push({
-          system: 'linkedin',
-          action: 'Created post',
-          url: action.result?.postUrl || action.result?.url
-        });
-      }
-
-      // Slack message
-      if (action.tool.includes('slack') && action.tool.includes('post')) {
-        outcome.externalActions.push({
-          system: 'slack',
-          action: `Posted to ${action.input?.channel || 'channel'}`,
-          url: action.result?.permalink || action.result?.url
-        });
-      }
-
-      // GitHub issue/PR
-      if (action.tool.includes('github') && action.tool.includes('create')) {
-        outcome.externalActions.push({
-          system: 'github',
-          action: `Created ${action.input?.type || 'item'}`,
-          url: action.result?.html_url || action.result?.url
-        });
-      }
-
-      // Gmail send
-      if (action.tool.includes('gmail') && action.tool.includes('send')) {
-        outcome.externalActions.push({
-          system: 'gmail',
-          action: 'Sent email',
-          url: null
-        });
-      }
-
-      // Notion page
-      if (action.tool.includes('notion') && action.tool.includes('create')) {
+      for (const entry of detectExternalActions(action.tool)) {
         outcome.externalActions.push({
-          system: 'notion',
-          action: 'Created page',
-          url: action.result?.url
+          system: entry.system,
+          action: entry.describe(action.input),
+          url: entry.url(action.result)
         });
       }
     }
@@ -158,7 +241,7 @@ class AgentExecutor {
    * @param {Object} agent - Agent definition
    * @returns {string} Instructions with memory context
    */
-  buildInstructionsWithMemory(agent) {
+  buildInstructionsWithMemory(agent, additionalContext = '') {
     let instructions = agent.instructions;
 
     // Add memory context if available
@@ -188,6 +271,11 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
       instructions += `\n\n**Workspace:** Save any files to: ${mainWorkspace}`;
     }
 
+    // Event data from a trigger (webhook payload, changed files, previous agent's result)
+    if (additionalContext) {
+      instructions += additionalContext;
+    }
+
     return instructions;
   }
 
@@ -209,6 +297,9 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
       actions: [],
       filesCreated: []
     };
+    if (options.trigger) {
+      run.trigger = options.trigger;
+    }
 
     console.error(`[AgentExecutor] Starting execution for agent: ${agent.name} (${agent.id})`);
     console.error(`[AgentExecutor] Agent workspace: ${agent.workspacePath}`);
@@ -240,6 +331,12 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
     }
 
     try {
+      // Don't start a run the daily or monthly budget can no longer pay for
+      const budgetCheck = this.costTracker.checkBudget(0, { agentId: agent.id, runId });
+      if (!budgetCheck.allowed) {
+        throw new Error(`Budget exceeded: ${CostTracker.describeExceeded(budgetCheck.exceeded)}`);
+      }
+
       // 1. Load MCP servers specified in agent
       const mcpServers = this.filterMcpServers(agent.mcpServers);
 
@@ -262,8 +359,11 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
       });
       console.error(`[AgentExecutor] Runtime created successfully`);
 
+      // Attribute every cost of this run to it, for the agent run budget
+      runtime.costAttribution = { agentId: agent.id, runId };
+
       // 3. Build instructions with memory context
-      const instructionsWithMemory = this.buildInstructionsWithMemory(agent);
+      const instructionsWithMemory = this.buildInstructionsWithMemory(agent, options.additionalContext);
 
       // 3. Pre-approve tools (no permission prompts during execution)
       if (agent.permissions?.preAuthorized) {
@@ -291,8 +391,18 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
       let toolCallCount = 0;
       let toolLimitExceeded = false;
       const maxToolCalls = agent.permissions?.maxToolCalls || this.maxToolCalls;
+      let budgetExceeded = null;
 
       const messageHandler = (payload) => {
+        // Stop the run once its spend goes over a budget
+        if (!budgetExceeded && (payload.type === 'usage' || payload.type === 'tool_result')) {
+          const check = this.costTracker.checkBudget(0, { agentId: agent.id, runId });
+          if (!check.allowed) {
+            budgetExceeded = CostTracker.describeExceeded(check.exceeded);
+            runtime.abortCurrentQuery();
+          }
+        }
+
         if (payload.type === 'tool_use' || payload.type === 'tool_result') {
           const toolName = payload.tool_name || payload.toolName;
           const toolUseId = payload.tool_use_id || payload.toolUseId;
@@ -318,10 +428,16 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
       runtime.on('message', messageHandler);
 
       // 5. Execute with instructions (with timeout)
-      const timeoutMs = 5 * 60 * 1000;  // 5 minutes max
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Execution timeout (5 minutes)')), timeoutMs);
-      });
+      const timeoutMs = 5 * 60 * 1000;  // 5 minutes max, not counting time spent in review
+      const timeout = createPausableTimeout(timeoutMs, () => new Error('Execution timeout (5 minutes)'));
+
+      // Hold external actions for a human decision when the agent asks for review
+      const reviewPolicy = getReviewPolicy(agent);
+      if (reviewPolicy) {
+        run.reviews = [];
+        runtime.reviewGate = (toolName, toolInput, { signal }) =>
+          this.requestReview({ agent, run, policy: reviewPolicy, toolName, toolInput, signal, timeout });
+      }
 
       console.error(`[AgentExecutor] Starting query execution...`);
       console.error(`[AgentExecutor] Instructions length: ${instructionsWithMemory.length} chars`);
@@ -331,19 +447,29 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
         null,  // No session ID for batch mode
         {
           modelId: 'claude-sonnet-4-5',
+          backend: agent.backend || null,
           batchMode: true  // Flag for batch execution
         }
       );
 
       // Wait for execution or timeout
       console.error(`[AgentExecutor] Waiting for execution to complete (timeout: ${timeoutMs}ms)...`);
-      const result = await Promise.race([executionPromise, timeoutPromise]);
+      let result;
+      try {
+        result = await Promise.race([executionPromise, timeout.promise]);
+      } finally {
+        timeout.clear();
+      }
       console.error(`[AgentExecutor] Execution completed`);
 
       if (toolLimitExceeded) {
         throw new Error(`Tool call limit exceeded (${maxToolCalls})`);
       }
 
+      if (budgetExceeded) {
+        throw new Error(`Budget exceeded: ${budgetExceeded}`);
+      }
+
       // Clean up listener
       runtime.removeListener('message', messageHandler);
 
@@ -356,6 +482,8 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
       run.durationMs = Date.now() - new Date(run.startedAt).getTime();
       run.outcome = this.parseOutcome(result, run.actions);
 
+      run.cost = this.costTracker.getSpend({ runId }).run;
+
       // Save token usage if available
       if (result.usage) {
         run.usage = {
@@ -399,6 +527,7 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
         message: error.message,
         stack: error.stack
       };
+      run.cost = this.costTracker.getSpend({ runId }).run;
 
       // Determine which action failed
       if (run.actions.length > 0) {
@@ -423,6 +552,66 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
     }
   }
 
+  /**
+   * Review gate for AgentRuntime: queue an external action and wait for
+   * the user to approve, edit or reject it
+   *
+   * @param {Object} params
+   * @param {Object} params.agent - Agent definition
+   * @param {Object} params.run - Run record (decisions are added to run.reviews)
+   * @param {Object} params.policy - Result of getReviewPolicy
+   * @param {string} params.toolName - Tool the agent wants to call
+   * @param {Object} params.toolInput - Proposed tool input
+   * @param {AbortSignal} [params.signal] - Tool call abort signal
+   * @param {Object} [params.timeout] - Run timeout, paused while waiting
+   * @returns {Promise<Object|null>} null when the tool needs no review, else
+   *   { approved, input?, message? }
+   */
+  async requestReview({ agent, run, policy, toolName, toolInput, signal, timeout }) {
+    const [external] = detectExternalActions(toolName);
+    const lowerName = toolName.toLowerCase();
+    if (!external && !policy.tools.some(tool => lowerName.includes(tool))) {
+      return null;
+    }
+
+    const item = this.reviewQueue.add({
+      agentId: agent.id,
+      agentName: agent.name,
+      runId: run.id,
+      toolName,
+      toolInput,
+      system: external?.system || null,
+      action: external ? external.propose(toolInput) : `Call ${toolName}`,
+      timeoutMs: policy.timeoutMs
+    });
+    console.error(`[AgentExecutor] Holding ${toolName} for review (${item.id})`);
+
+    let decision;
+    timeout?.pause();
+    try {
+      decision = await this.reviewQueue.waitForDecision(item.id, { signal });
+    } catch (error) {
+      run.reviews.push({ reviewId: item.id, tool: toolName, status: REVIEW_STATUS.EXPIRED });
+      return { approved: false, message: error.message };
+    } finally {
+      timeout?.resume();
+    }
+
+    console.error(`[AgentExecutor] Review ${item.id} ${decision.status}`);
+    run.reviews.push({ reviewId: item.id, tool: toolName, status: decision.status, edited: Boolean(decision.editedInput) });
+
+    if (decision.status === REVIEW_STATUS.APPROVED) {
+      return { approved: true, input: decision.editedInput || toolInput };
+    }
+    if (decision.status === REVIEW_STATUS.REJECTED) {
+      return {
+        approved: false,
+        message: `The user rejected this action${decision.reason ? `: ${decision.reason}` : ''}. Do not retry it.`
+      };
+    }
+    return { approved: false, message: 'The action was not reviewed in time and was not performed.' };
+  }
+
   /**
    * Process raw tool calls into structured actions
    *
@@ -579,6 +768,11 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
         break;
       }
 
+      if (result.error.message.includes('Budget exceeded')) {
+        console.error(`[AgentExecutor] Budget error, not retrying`);
+        break;
+      }
+
       if (result.error.message.includes('not configured') || result.error.message.includes('API_KEY is not set')) {
         console.error(`[AgentExecutor] Configuration error, not retrying`);
         break;
@@ -594,6 +788,26 @@ ${agent.memory.recentFiles?.length > 0 ? `Recent files created: ${agent.memory.r
 
     return { success: false, error: lastError };
   }
+
+  /**
+   * Execute an agent by id outside its cron schedule (used by TriggerRouter)
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - { additionalContext, trigger } plus executeWithRetry options
+   * @returns {Promise<Object>} Execution result
+   */
+  async executeAgent(agentId, options = {}) {
+    const agent = await this.agentStore.getAgentById(agentId);
+    if (!agent) {
+      throw new Error(`Agent not found: ${agentId}`);
+    }
+    if (agent.status === 'paused') {
+      throw new Error(`Agent ${agent.name} is paused`);
+    }
+
+    console.error(`[AgentExecutor] Triggered run for agent: ${agent.name}${options.trigger ? ` (${options.trigger.type} ${options.trigger.id})` : ''}`);
+    return this.executeWithRetry(agent, 3, options);
+  }
 }
 
 export default AgentExecutor;
@@ -3,6 +3,8 @@ import { promises as fsPromises } from 'fs';
 import path from 'path';
 import os from 'os';
 
+const PIPELINE_DIR_PREFIX = 'pipeline_';
+
 /**
  * AgentRunHistory
  *
@@ -15,6 +17,10 @@ import os from 'os';
  * - Actions taken (tool calls with inputs and results)
  * - Outcome summary
  * - Error details if failed
+ *
+ * Pipeline runs live alongside them in ~/.friday/agent-runs/pipeline_{name}/,
+ * one file per run with the status of every step. The file is rewritten as
+ * steps progress, so it can be read while the pipeline is still running.
  */
 class AgentRunHistory {
   constructor(dataDir = null) {
@@ -307,6 +313,90 @@ class AgentRunHistory {
       totalSizeMB: (totalSize / 1024 / 1024).toFixed(2)
     };
   }
+
+  /**
+   * Get a pipeline's run directory
+   */
+  getPipelineRunDir(pipelineName) {
+    return path.join(this.dataDir, `${PIPELINE_DIR_PREFIX}${pipelineName}`);
+  }
+
+  /**
+   * Save (or overwrite) a pipeline run record
+   *
+   * @param {Object} pipelineRun - { id, pipeline, startedAt, status, steps }
+   * @returns {Promise<void>}
+   */
+  async savePipelineRun(pipelineRun) {
+    if (!pipelineRun.pipeline || !pipelineRun.startedAt) {
+      throw new Error('Pipeline run must include pipeline and startedAt');
+    }
+
+    const runDir = this.getPipelineRunDir(pipelineRun.pipeline);
+    await fsPromises.mkdir(runDir, { recursive: true });
+
+    const runPath = path.join(runDir, this.getRunFilename(pipelineRun.startedAt));
+    await fsPromises.writeFile(runPath, JSON.stringify(pipelineRun, null, 2));
+  }
+
+  /**
+   * Get run history for a pipeline, most recent first
+   *
+   * @param {string|null} pipelineName - Pipeline name, or null for all pipelines
+   * @param {number} limit - Maximum number of runs to return (default 30)
+   * @returns {Promise<Array>} Pipeline run records
+   */
+  async getPipelineRunHistory(pipelineName = null, limit = 30) {
+    let runDirs;
+    if (pipelineName) {
+      runDirs = [this.getPipelineRunDir(pipelineName)];
+    } else {
+      let entries;
+      try {
+        entries = await fsPromises.readdir(this.dataDir);
+      } catch (err) {
+        return [];
+      }
+      runDirs = entries
+        .filter(entry => entry.startsWith(PIPELINE_DIR_PREFIX))
+        .map(entry => path.join(this.dataDir, entry));
+    }
+
+    const files = [];
+    for (const runDir of runDirs) {
+      if (!fs.existsSync(runDir)) {
+        continue;
+      }
+      for (const file of await fsPromises.readdir(runDir)) {
+        if (file.endsWith('.json')) {
+          files.push({ file, runDir });
+        }
+      }
+    }
+
+    // File names are start timestamps, so they sort chronologically
+    const selected = files
+      .sort((a, b) => b.file.localeCompare(a.file))
+      .slice(0, limit);
+
+    return Promise.all(
+      selected.map(async ({ file, runDir }) => {
+        const data = await fsPromises.readFile(path.join(runDir, file), 'utf-8');
+        return JSON.parse(data);
+      })
+    );
+  }
+
+  /**
+   * Get a specific pipeline run by ID
+   *
+   * @param {string} runId - Pipeline run ID
+   * @returns {Promise<Object|null>} Pipeline run record or null
+   */
+  async getPipelineRunById(runId) {
+    const runs = await this.getPipelineRunHistory(null, Infinity);
+    return runs.find(run => run.id === runId) || null;
+  }
 }
 
 export default AgentRunHistory;
@@ -0,0 +1,251 @@
+import EventEmitter from 'events';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const QUEUE_FILE = path.join(CONFIG_DIR, 'review-queue.json');
+
+// Decided reviews kept for history
+const MAX_RESOLVED = 200;
+
+// How often a waiting run re-reads the file for decisions made by another process
+const POLL_INTERVAL_MS = 1000;
+
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+function processAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * ReviewQueue
+ *
+ * Persistent queue of tool calls that scheduled agents want to make but
+ * that need a human decision first (agents configured with `review`).
+ * The run that queued an item stays paused until it is approved (optionally
+ * with edited input), rejected, or expires.
+ *
+ * Items are stored in ~/.friday/review-queue.json so a decision can come
+ * from a different process than the one running the agent (e.g. the desktop
+ * app approving a run started by `friday serve`). A pending item whose
+ * process has exited can no longer resume and is marked expired.
+ *
+ * Events: 'review:added' (item), 'review:resolved' (item)
+ */
+export class ReviewQueue extends EventEmitter {
+  constructor({ filePath = QUEUE_FILE } = {}) {
+    super();
+    this.filePath = filePath;
+    this._data = null; // lazy loaded
+    this._mtimeMs = 0;
+  }
+
+  _load() {
+    this._reloadIfChanged();
+    if (this._data) return this._data;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+        this._data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch {
+      // ignore corrupt file
+    }
+    if (!this._data || !Array.isArray(this._data.reviews)) {
+      this._data = { reviews: [] };
+    }
+    return this._data;
+  }
+
+  _save() {
+    const pending = this._data.reviews.filter(r => r.status === REVIEW_STATUS.PENDING);
+    const resolved = this._data.reviews.filter(r => r.status !== REVIEW_STATUS.PENDING);
+    this._data.reviews = [...resolved.slice(-MAX_RESOLVED), ...pending]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this._data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  _reloadIfChanged() {
+    try {
+      const mtimeMs = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+      if (mtimeMs !== this._mtimeMs) this._data = null;
+    } catch {
+      this._data = null;
+    }
+  }
+
+  /**
+   * Mark pending items whose process is gone as expired. Their run was
+   * lost with the process, so approving them would do nothing.
+   *
+   * @returns {number} Number of items expired
+   */
+  expireOrphaned() {
+    this._load();
+    let count = 0;
+    for (const item of this._data.reviews) {
+      if (item.status === REVIEW_STATUS.PENDING && item.pid !== process.pid && !processAlive(item.pid)) {
+        this._resolve(item, REVIEW_STATUS.EXPIRED, { reason: 'The run ended before the review was decided' });
+        count++;
+      }
+    }
+    if (count > 0) this._save();
+    return count;
+  }
+
+  /**
+   * Queue a tool call for review
+   *
+   * @param {Object} request
+   * @param {string} request.agentId - Scheduled agent ID
+   * @param {string} request.agentName - Agent display name
+   * @param {string} request.runId - Run that is waiting
+   * @param {string} request.toolName - Tool the agent wants to call
+   * @param {Object} request.toolInput - Tool input as proposed by the agent
+   * @param {string} [request.system] - External system (slack, gmail, ...)
+   * @param {string} [request.action] - Human-readable action
+   * @param {number} [request.timeoutMs] - Time until the item expires
+   * @returns {Object} Queued item
+   */
+  add({ agentId, agentName, runId, toolName, toolInput, system = null, action = null, timeoutMs = null }) {
+    this._load();
+    const now = Date.now();
+    const item = {
+      id: `rev_${crypto.randomBytes(6).toString('hex')}`,
+      agentId,
+      agentName: agentName || agentId,
+      runId,
+      toolName,
+      toolInput: toolInput ?? {},
+      system,
+      action,
+      status: REVIEW_STATUS.PENDING,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: timeoutMs ? new Date(now + timeoutMs).toISOString() : null,
+      pid: process.pid
+    };
+    this._data.reviews.push(item);
+    this._save();
+    this.emit('review:added', { ...item });
+    return { ...item };
+  }
+
+  /**
+   * List items, oldest first
+   *
+   * @param {Object} [filters] - { status, agentId }
+   */
+  list({ status = null, agentId = null } = {}) {
+    return this._load().reviews
+      .filter(r => (!status || r.status === status) && (!agentId || r.agentId === agentId))
+      .map(r => ({ ...r }));
+  }
+
+  get(reviewId) {
+    const item = this._load().reviews.find(r => r.id === reviewId);
+    return item ? { ...item } : null;
+  }
+
+  /**
+   * Approve a pending item. Passing `input` replaces the tool input
+   * the agent proposed (edit-and-approve).
+   */
+  approve(reviewId, { input = null } = {}) {
+    return this._decide(reviewId, REVIEW_STATUS.APPROVED, input ? { editedInput: input } : {});
+  }
+
+  reject(reviewId, { reason = null } = {}) {
+    return this._decide(reviewId, REVIEW_STATUS.REJECTED, { reason });
+  }
+
+  _decide(reviewId, status, fields) {
+    this._load();
+    const item = this._data.reviews.find(r => r.id === reviewId);
+    if (!item) {
+      throw new Error(`Review not found: ${reviewId}`);
+    }
+    if (item.status !== REVIEW_STATUS.PENDING) {
+      throw new Error(`Review ${reviewId} is already ${item.status}`);
+    }
+    this._resolve(item, status, fields);
+    this._save();
+    return { ...item };
+  }
+
+  _resolve(item, status, fields = {}) {
+    Object.assign(item, fields, { status, decidedAt: new Date().toISOString() });
+    this.emit('review:resolved', { ...item });
+  }
+
+  /**
+   * Wait until an item leaves the pending state. Decisions made in this
+   * process arrive immediately; decisions written by another process are
+   * picked up by polling the file.
+   *
+   * @param {string} reviewId
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting rejects the wait
+   * @returns {Promise<Object>} The decided item
+   */
+  waitForDecision(reviewId, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const finish = (error, item) => {
+        clearInterval(timer);
+        this.off('review:resolved', onResolved);
+        signal?.removeEventListener('abort', onAbort);
+        if (error) reject(error);
+        else resolve(item);
+      };
+      const onResolved = (item) => {
+        if (item.id === reviewId) finish(null, item);
+      };
+      const onAbort = () => {
+        const item = this.get(reviewId);
+        if (item?.status === REVIEW_STATUS.PENDING) {
+          this._decide(reviewId, REVIEW_STATUS.EXPIRED, { reason: 'Run was aborted' });
+        }
+        finish(new Error('Review wait aborted'));
+      };
+      const check = () => {
+        const item = this.get(reviewId);
+        if (!item) {
+          finish(new Error(`Review not found: ${reviewId}`));
+        } else if (item.status !== REVIEW_STATUS.PENDING) {
+          finish(null, item);
+        } else if (item.expiresAt && Date.parse(item.expiresAt) <= Date.now()) {
+          finish(null, this._decide(reviewId, REVIEW_STATUS.EXPIRED, { reason: 'No decision before the review timed out' }));
+        }
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      this.on('review:resolved', onResolved);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      timer = setInterval(check, POLL_INTERVAL_MS);
+      check();
+    });
+  }
+}
+
+export default new ReviewQueue();
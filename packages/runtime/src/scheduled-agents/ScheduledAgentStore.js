@@ -171,6 +171,9 @@ class ScheduledAgentStore {
 
       review: agentData.review || null,
 
+      // LLM backend for runs (see BackendRegistry); null uses the default
+      backend: agentData.backend || null,
+
       status: agentData.status || 'active',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
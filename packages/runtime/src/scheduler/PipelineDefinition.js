@@ -0,0 +1,455 @@
+/**
+ * PipelineDefinition — Parse and validate declarative agent pipelines.
+ *
+ * A pipeline is a DAG of steps, each running a scheduled agent:
+ *
+ *   name: weekly-report
+ *   concurrency: 2
+ *   steps:
+ *     - id: research
+ *       agent: agent_123
+ *     - id: competitors
+ *       agent: agent_456            # fan-out: runs alongside research
+ *     - id: write
+ *       agent: agent_789
+ *       needs: [research, competitors]   # fan-in
+ *       prompt: Combine both reports into one document.
+ *     - id: alert
+ *       agent: agent_999
+ *       needs: [research]
+ *       when: research.failure      # conditional branch
+ *
+ * A step runs once every step in `needs` has finished. Without `when`, it
+ * runs only if they all succeeded (otherwise it is skipped). `when` takes one
+ * condition or a list that must all hold:
+ *
+ *   always                               run whatever the outcome
+ *   <step>.success | failure | skipped | done
+ *   <step>.summary contains "text"       case-insensitive match on the outcome summary
+ *
+ * Prefix a condition with `!` to negate it. Conditions may only reference
+ * steps listed in `needs`.
+ *
+ * Definitions are YAML or JSON files, looked up by name in ~/.friday/pipelines/.
+ * The YAML reader covers the subset pipelines need (block mappings and
+ * sequences, flow lists, quoted and block scalars) — no anchors or tags.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+export const PIPELINES_DIR = path.join(CONFIG_DIR, 'pipelines');
+
+const DEFAULT_CONCURRENCY = 2;
+const ID_PATTERN = /^[\w-]+$/;
+const STATUS_CONDITIONS = ['success', 'failure', 'skipped', 'done'];
+const DEFINITION_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// ── YAML subset ─────────────────────────────────────────────────────────
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function splitFlow(body, lineNo) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of body) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (quote || depth !== 0) {
+    throw new Error(`Invalid YAML at line ${lineNo}: unterminated flow collection`);
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+function parseScalar(text, lineNo) {
+  const value = text.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error(`Invalid YAML at line ${lineNo}: bad double-quoted string`);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) {
+      throw new Error(`Invalid YAML at line ${lineNo}: bad single-quoted string`);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) throw new Error(`Invalid YAML at line ${lineNo}: unterminated list`);
+    return splitFlow(value.slice(1, -1), lineNo).map(item => parseScalar(item, lineNo));
+  }
+  if (value.startsWith('{')) {
+    if (!value.endsWith('}')) throw new Error(`Invalid YAML at line ${lineNo}: unterminated mapping`);
+    const result = {};
+    for (const item of splitFlow(value.slice(1, -1), lineNo)) {
+      const match = item.match(/^("[^"]*"|'[^']*'|[^:]+):\s*(.*)$/);
+      if (!match) throw new Error(`Invalid YAML at line ${lineNo}: bad mapping entry "${item}"`);
+      result[parseScalar(match[1], lineNo)] = parseScalar(match[2], lineNo);
+    }
+    return result;
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Parse the YAML subset used by pipeline definitions.
+ *
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseYaml(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n').map((raw, index) => {
+    const content = stripComment(raw);
+    return {
+      lineNo: index + 1,
+      raw,
+      indent: raw.length - raw.trimStart().length,
+      text: content.trim(),
+      blank: content.trim() === '' || content.trim() === '---'
+    };
+  });
+  let pos = 0;
+
+  const peek = () => {
+    while (pos < lines.length && lines[pos].blank) pos++;
+    return lines[pos] || null;
+  };
+  const isSequenceItem = (line) => line.text === '-' || line.text.startsWith('- ');
+  const mappingEntry = (text) => text.match(/^("[^"]*"|'[^']*'|[^\s"'#][^:]*?):(?:\s+(.*))?$/);
+
+  function parseBlockScalar(header, parentIndent) {
+    const folded = header.startsWith('>');
+    const chomp = header.slice(1);
+    const body = [];
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.raw.trim() !== '' && line.indent <= parentIndent) break;
+      body.push(line.raw);
+      pos++;
+    }
+    while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+    const indent = Math.min(...body.filter(l => l.trim()).map(l => l.length - l.trimStart().length));
+    const stripped = body.map(l => l.slice(indent));
+    let value = stripped.join('\n');
+    if (folded) {
+      // Single line breaks become spaces; a blank line becomes one line break
+      value = value.replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+    }
+    if (chomp !== '-') value += '\n';
+    return value;
+  }
+
+  function parseValue(rest, line, parentIndent) {
+    if (/^[|>][-+]?$/.test(rest)) return parseBlockScalar(rest, parentIndent);
+    return parseScalar(rest, line.lineNo);
+  }
+
+  function parseNode(minIndent) {
+    const line = peek();
+    if (!line || line.indent < minIndent) return null;
+    return isSequenceItem(line) ? parseSequence(line.indent) : parseMapping(line.indent);
+  }
+
+  function parseSequence(indent) {
+    const result = [];
+    let line;
+    while ((line = peek()) && line.indent === indent && isSequenceItem(line)) {
+      const rest = line.text.slice(1).trim();
+      if (rest === '') {
+        pos++;
+        result.push(parseNode(indent + 1));
+      } else if (mappingEntry(rest) && !/^["'[{]/.test(rest)) {
+        // "- key: value" starts a mapping indented to the key's column
+        const column = line.indent + line.raw.trimStart().indexOf(rest);
+        lines[pos] = { ...line, indent: column, text: rest };
+        result.push(parseMapping(column));
+      } else {
+        pos++;
+        result.push(parseValue(rest, line, indent));
+      }
+    }
+    if (line && line.indent > indent) {
+      throw new Error(`Invalid YAML at line ${line.lineNo}: unexpected indentation`);
+    }
+    return result;
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    let line;
+    while ((line = peek()) && line.indent === indent && !isSequenceItem(line)) {
+      const match = mappingEntry(line.text);
+      if (!match) {
+        throw new Error(`Invalid YAML at line ${line.lineNo}: expected "key: value"`);
+      }
+      const key = parseScalar(match[1], line.lineNo);
+      const rest = (match[2] || '').trim();
+      pos++;
+      if (rest !== '') {
+        result[key] = parseValue(rest, line, indent);
+        continue;
+      }
+      const next = peek();
+      if (next && next.indent > indent) {
+        result[key] = parseNode(indent + 1);
+      } else if (next && next.indent === indent && isSequenceItem(next)) {
+        result[key] = parseSequence(indent);
+      } else {
+        result[key] = null;
+      }
+    }
+    if (line && line.indent > indent) {
+      throw new Error(`Invalid YAML at line ${line.lineNo}: unexpected indentation`);
+    }
+    return result;
+  }
+
+  const first = peek();
+  if (!first) return null;
+  const value = isSequenceItem(first) || mappingEntry(first.text)
+    ? parseNode(first.indent)
+    : parseScalar(first.text, first.lineNo);
+  const trailing = peek();
+  if (trailing) {
+    throw new Error(`Invalid YAML at line ${trailing.lineNo}: unexpected content`);
+  }
+  return value;
+}
+
+// ── Conditions ──────────────────────────────────────────────────────────
+
+/**
+ * Parse one `when` condition.
+ *
+ * @param {string} expression
+ * @returns {{ negate: boolean, always?: boolean, step?: string, status?: string, contains?: string }}
+ */
+export function parseCondition(expression) {
+  let text = String(expression).trim();
+  const negate = text.startsWith('!');
+  if (negate) text = text.slice(1).trim();
+
+  if (text === 'always') return { negate, always: true };
+
+  const contains = text.match(/^([\w-]+)\.summary\s+contains\s+(?:"([^"]*)"|'([^']*)')$/);
+  if (contains) {
+    return { negate, step: contains[1], contains: contains[2] ?? contains[3] };
+  }
+
+  const status = text.match(/^([\w-]+)\.(\w+)$/);
+  if (status && STATUS_CONDITIONS.includes(status[2])) {
+    return { negate, step: status[1], status: status[2] };
+  }
+
+  throw new Error(`Invalid condition "${expression}". Use always, <step>.${STATUS_CONDITIONS.join('|')}, or <step>.summary contains "text"`);
+}
+
+/**
+ * Evaluate a step's conditions against the states of finished steps.
+ *
+ * @param {Object[]} conditions - Parsed conditions
+ * @param {Object} stepStates - stepId → { status, summary }
+ * @returns {boolean}
+ */
+export function evaluateConditions(conditions, stepStates) {
+  return conditions.every((condition) => {
+    let result;
+    if (condition.always) {
+      result = true;
+    } else {
+      const state = stepStates[condition.step] || {};
+      if (condition.contains !== undefined) {
+        result = (state.summary || '').toLowerCase().includes(condition.contains.toLowerCase());
+      } else if (condition.status === 'done') {
+        result = ['success', 'failure', 'skipped'].includes(state.status);
+      } else {
+        result = state.status === condition.status;
+      }
+    }
+    return condition.negate ? !result : result;
+  });
+}
+
+// ── Validation ──────────────────────────────────────────────────────────
+
+/**
+ * Validate a parsed definition and normalize it.
+ *
+ * @param {Object} definition - Parsed YAML/JSON
+ * @param {Object} [defaults]
+ * @param {string} [defaults.name] - Name to use when the definition has none
+ * @returns {{ name: string, description: string, concurrency: number, steps: Object[] }}
+ */
+export function validatePipeline(definition, { name: defaultName } = {}) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Pipeline definition must be a mapping');
+  }
+
+  const name = definition.name || defaultName;
+  if (!name || !ID_PATTERN.test(name)) {
+    throw new Error(`Pipeline name must match ${ID_PATTERN} (got "${name}")`);
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error(`Pipeline "${name}" has no steps`);
+  }
+
+  const concurrency = definition.concurrency ?? DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('concurrency must be a positive integer');
+  }
+
+  const steps = definition.steps.map((step, index) => {
+    if (!step || typeof step !== 'object') {
+      throw new Error(`Step ${index + 1} must be a mapping`);
+    }
+    const id = step.id;
+    if (!id || !ID_PATTERN.test(id)) {
+      throw new Error(`Step ${index + 1} needs an id matching ${ID_PATTERN}`);
+    }
+    if (!step.agent) {
+      throw new Error(`Step "${id}" needs an agent`);
+    }
+    const needs = step.needs == null ? [] : [].concat(step.needs);
+    const whenList = step.when == null
+      ? []
+      : [].concat(step.when).flatMap(w => String(w).split('&&'));
+    const conditions = whenList.map(parseCondition);
+    for (const condition of conditions) {
+      if (condition.step && !needs.includes(condition.step)) {
+        throw new Error(`Step "${id}" has a condition on "${condition.step}", which is not in its needs`);
+      }
+    }
+    return {
+      id,
+      agent: String(step.agent),
+      needs,
+      when: conditions.length > 0 ? conditions : null,
+      prompt: step.prompt ? String(step.prompt) : ''
+    };
+  });
+
+  const ids = new Set();
+  for (const step of steps) {
+    if (ids.has(step.id)) throw new Error(`Duplicate step id "${step.id}"`);
+    ids.add(step.id);
+  }
+  for (const step of steps) {
+    for (const dep of step.needs) {
+      if (!ids.has(dep)) throw new Error(`Step "${step.id}" needs unknown step "${dep}"`);
+      if (dep === step.id) throw new Error(`Step "${step.id}" needs itself`);
+    }
+  }
+
+  // Kahn's algorithm: anything left over sits on a cycle
+  const remaining = new Map(steps.map(s => [s.id, new Set(s.needs)]));
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    for (const [id, deps] of remaining) {
+      if ([...deps].every(dep => !remaining.has(dep))) {
+        remaining.delete(id);
+        progressed = true;
+      }
+    }
+  }
+  if (remaining.size > 0) {
+    throw new Error(`Pipeline "${name}" has a dependency cycle through: ${[...remaining.keys()].join(', ')}`);
+  }
+
+  return {
+    name,
+    description: definition.description ? String(definition.description) : '',
+    concurrency,
+    steps
+  };
+}
+
+/**
+ * Parse YAML or JSON pipeline source.
+ *
+ * @param {string} source - File contents
+ * @param {Object} [options]
+ * @param {string} [options.name] - Default pipeline name
+ * @param {string} [options.format] - 'json' | 'yaml' (default: sniffed)
+ */
+export function parsePipeline(source, { name, format } = {}) {
+  const isJson = format ? format === 'json' : source.trim().startsWith('{');
+  const definition = isJson ? JSON.parse(source) : parseYaml(source);
+  return validatePipeline(definition, { name });
+}
+
+/**
+ * Load a pipeline from a file path, or by name from the pipelines directory.
+ *
+ * @param {string} fileOrName
+ * @param {Object} [options]
+ * @param {string} [options.pipelinesDir]
+ */
+export function loadPipeline(fileOrName, { pipelinesDir = PIPELINES_DIR } = {}) {
+  const candidates = [
+    fileOrName,
+    ...DEFINITION_EXTENSIONS.map(ext => path.join(pipelinesDir, `${fileOrName}${ext}`))
+  ];
+  const filePath = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!filePath) {
+    throw new Error(`Pipeline not found: ${fileOrName} (looked in ${pipelinesDir})`);
+  }
+  const ext = path.extname(filePath);
+  return {
+    ...parsePipeline(fs.readFileSync(filePath, 'utf8'), {
+      name: path.basename(filePath, ext),
+      format: ext === '.json' ? 'json' : ext ? 'yaml' : undefined
+    }),
+    filePath
+  };
+}
+
+/**
+ * Pipeline definitions in the pipelines directory.
+ *
+ * @returns {string[]} Pipeline names
+ */
+export function listPipelineFiles(pipelinesDir = PIPELINES_DIR) {
+  if (!fs.existsSync(pipelinesDir)) return [];
+  return fs.readdirSync(pipelinesDir)
+    .filter(file => DEFINITION_EXTENSIONS.includes(path.extname(file)))
+    .map(file => path.basename(file, path.extname(file)))
+    .sort();
+}
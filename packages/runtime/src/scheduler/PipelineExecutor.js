@@ -0,0 +1,198 @@
+/**
+ * PipelineExecutor — Run a pipeline DAG of scheduled agents.
+ *
+ * Steps whose `needs` have all finished are started as soon as a
+ * concurrency slot is free, so independent branches fan out and a step
+ * with several `needs` fans them back in. Each step runs through
+ * AgentExecutor and gets the outcome summary and created files of the
+ * steps it depends on as context.
+ *
+ * The pipeline run record (per-step status, run ids, artifacts) is saved to
+ * AgentRunHistory after every state change.
+ *
+ * Events:
+ *   - pipeline:started        { run }
+ *   - pipeline:step_started   { run, stepId }
+ *   - pipeline:step_completed { run, stepId, state }   (also for skipped steps)
+ *   - pipeline:completed      { run }
+ */
+
+import EventEmitter from 'events';
+import crypto from 'crypto';
+import { evaluateConditions } from './PipelineDefinition.js';
+
+export class PipelineExecutor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.agentExecutor - AgentExecutor instance
+   * @param {Object} options.runHistory - AgentRunHistory instance
+   */
+  constructor(options = {}) {
+    super();
+    this.agentExecutor = options.agentExecutor;
+    this.runHistory = options.runHistory;
+  }
+
+  /**
+   * Run a validated pipeline to completion.
+   *
+   * @param {Object} pipeline - Result of parsePipeline/loadPipeline
+   * @param {Object} [options]
+   * @param {string} [options.input] - Extra context given to every step
+   * @returns {Promise<Object>} Pipeline run record
+   */
+  async run(pipeline, { input = '' } = {}) {
+    if (!this.agentExecutor) {
+      throw new Error('No agentExecutor configured');
+    }
+    await this._checkAgents(pipeline);
+
+    const run = {
+      id: `prun_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      pipeline: pipeline.name,
+      startedAt: new Date().toISOString(),
+      status: 'running',
+      input: input || null,
+      steps: Object.fromEntries(pipeline.steps.map(step => [
+        step.id,
+        { agentId: step.agent, needs: step.needs, status: 'pending' }
+      ]))
+    };
+    await this._save(run);
+    this.emit('pipeline:started', { run });
+
+    const running = new Map(); // stepId → Promise<stepId>
+
+    while (true) {
+      this._schedule(pipeline, run, running, input);
+      if (running.size === 0) break;
+      const finishedId = await Promise.race(running.values());
+      running.delete(finishedId);
+      await this._save(run);
+      this.emit('pipeline:step_completed', { run, stepId: finishedId, state: run.steps[finishedId] });
+    }
+
+    const states = Object.values(run.steps);
+    run.status = states.some(state => state.status === 'failure') ? 'failed' : 'success';
+    run.completedAt = new Date().toISOString();
+    run.durationMs = Date.now() - new Date(run.startedAt).getTime();
+    await this._save(run);
+    this.emit('pipeline:completed', { run });
+    return run;
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────
+
+  /**
+   * Skip or start every pending step whose dependencies have finished.
+   * Skips can unblock further steps, so repeat until nothing changes.
+   */
+  _schedule(pipeline, run, running, input) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const step of pipeline.steps) {
+        const state = run.steps[step.id];
+        if (state.status !== 'pending') continue;
+
+        const waiting = step.needs.some(dep => ['pending', 'running'].includes(run.steps[dep].status));
+        if (waiting) continue;
+
+        const shouldRun = step.when
+          ? evaluateConditions(step.when, run.steps)
+          : step.needs.every(dep => run.steps[dep].status === 'success');
+        if (!shouldRun) {
+          state.status = 'skipped';
+          state.reason = step.when ? 'condition not met' : 'a dependency did not succeed';
+          changed = true;
+          this.emit('pipeline:step_completed', { run, stepId: step.id, state });
+          continue;
+        }
+
+        if (running.size >= pipeline.concurrency) continue;
+
+        state.status = 'running';
+        state.startedAt = new Date().toISOString();
+        running.set(step.id, this._runStep(pipeline, run, step, input).then(() => step.id));
+        changed = true;
+        this.emit('pipeline:step_started', { run, stepId: step.id });
+      }
+    }
+  }
+
+  /**
+   * Execute one step. Never rejects: failures are recorded on the step.
+   */
+  async _runStep(pipeline, run, step, input) {
+    const state = run.steps[step.id];
+    let lastRun = null;
+    try {
+      const result = await this.agentExecutor.executeAgent(step.agent, {
+        additionalContext: this._buildContext(pipeline, run, step, input),
+        trigger: { type: 'pipeline', id: run.id, step: step.id },
+        onRunComplete: ({ run: agentRun }) => { lastRun = agentRun; }
+      });
+      const agentRun = result?.run || lastRun;
+      state.status = result?.success ? 'success' : 'failure';
+      state.runId = agentRun?.id || null;
+      state.summary = agentRun?.outcome?.summary || '';
+      state.filesCreated = agentRun?.filesCreated || [];
+      if (!result?.success) {
+        state.error = result?.error?.message || 'Unknown error';
+      }
+    } catch (error) {
+      state.status = 'failure';
+      state.error = error.message;
+    }
+    state.completedAt = new Date().toISOString();
+    state.durationMs = Date.now() - new Date(state.startedAt).getTime();
+  }
+
+  _buildContext(pipeline, run, step, input) {
+    let context = `\n\n## Pipeline\n\nThis run is step "${step.id}" of pipeline "${pipeline.name}".`;
+
+    if (step.needs.length > 0) {
+      context += '\n\nResults from earlier steps:';
+      for (const dep of step.needs) {
+        const depState = run.steps[dep];
+        context += `\n- ${dep} (${depState.status})`;
+        if (depState.summary) context += `: ${depState.summary}`;
+        if (depState.error) context += ` — error: ${depState.error}`;
+        if (depState.filesCreated?.length > 0) {
+          context += `\n  Files: ${depState.filesCreated.join(', ')}`;
+        }
+      }
+    }
+
+    if (input) {
+      context += `\n\nPipeline input:\n${input}`;
+    }
+    if (step.prompt) {
+      context += `\n\n${step.prompt}`;
+    }
+    return `${context}\n`;
+  }
+
+  async _checkAgents(pipeline) {
+    const agentStore = this.agentExecutor.agentStore;
+    if (!agentStore) return;
+    const missing = [];
+    for (const agentId of new Set(pipeline.steps.map(step => step.agent))) {
+      if (!(await agentStore.getAgentById(agentId))) missing.push(agentId);
+    }
+    if (missing.length > 0) {
+      throw new Error(`Pipeline "${pipeline.name}" uses unknown agents: ${missing.join(', ')}`);
+    }
+  }
+
+  async _save(run) {
+    if (!this.runHistory) return;
+    try {
+      await this.runHistory.savePipelineRun(run);
+    } catch (error) {
+      console.error(`[PipelineExecutor] Failed to save run ${run.id}: ${error.message}`);
+    }
+  }
+}
+
+export default PipelineExecutor;
@@ -11,22 +11,59 @@
  *   - chain:      Agent A completes → Agent B starts
  *   - manual:     API call → agent execution
  *   - cron:       Handled by AgentScheduler (existing system)
+ *
+ * Webhook requests are authenticated with a GitHub-style HMAC signature
+ * (`X-Hub-Signature-256: sha256=<hex>`) over the raw request body, keyed
+ * by the trigger's secret. Bodies are capped at MAX_WEBHOOK_BODY_BYTES, and
+ * only the first MAX_WEBHOOK_PAYLOAD_CHARS of the payload reach the agent.
  */
 
 import EventEmitter from 'events';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const DEFAULT_DEBOUNCE_MS = 500;
+// Servers stop reading webhook bodies past this size and answer 413
+export const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024;
+// The payload goes into the agent's prompt; longer ones are cut
+const MAX_WEBHOOK_PAYLOAD_CHARS = 16000;
+
+/**
+ * Check a `sha256=<hex>` HMAC signature against a raw request body.
+ *
+ * @param {string} secret - Trigger secret
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - Signature header value
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, rawBody, signature) {
+  if (!secret || typeof signature !== 'string') return false;
+  const [algorithm, digest] = signature.split('=');
+  if (algorithm !== 'sha256' || !digest) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(digest, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
 
 export class TriggerRouter extends EventEmitter {
   /**
    * @param {Object} options
    * @param {Object} options.agentExecutor - AgentExecutor instance
    * @param {Object} options.agentStore - ScheduledAgentStore instance
+   * @param {Object} [options.store] - TriggerStore to load triggers from
+   * @param {boolean} [options.watchFiles] - Start fs watchers for file_watch triggers
+   * @param {number} [options.debounceMs] - Default quiet period before a file_watch fires
    */
   constructor(options = {}) {
     super();
     this.agentExecutor = options.agentExecutor;
     this.agentStore = options.agentStore;
+    this.store = options.store || null;
+    this.watchFiles = options.watchFiles || false;
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
     this._triggers = new Map(); // triggerId → trigger config
     this._chainListeners = new Map(); // sourceAgentId → [targetTrigger]
+    this._watchers = new Map(); // triggerId → { watcher, timer, changed, running }
   }
 
   /**
@@ -42,6 +79,9 @@ export class TriggerRouter extends EventEmitter {
       throw new Error('Trigger requires id, type, and agentId');
     }
 
+    if (this._triggers.has(trigger.id)) {
+      this.unregister(trigger.id);
+    }
     this._triggers.set(trigger.id, trigger);
 
     // Set up chain listeners
@@ -53,6 +93,10 @@ export class TriggerRouter extends EventEmitter {
       this._chainListeners.get(sourceId).push(trigger);
     }
 
+    if (trigger.type === 'file_watch' && this.watchFiles) {
+      this._startWatching(trigger);
+    }
+
     this.emit('trigger:registered', trigger);
   }
 
@@ -77,10 +121,41 @@ export class TriggerRouter extends EventEmitter {
       }
     }
 
+    this._stopWatching(triggerId);
     this._triggers.delete(triggerId);
     this.emit('trigger:unregistered', triggerId);
   }
 
+  /**
+   * Bring registrations in line with the TriggerStore: register new or
+   * edited triggers and drop removed ones. Safe to call repeatedly.
+   */
+  loadFromStore() {
+    if (!this.store) return;
+    const stored = new Map(this.store.list().map(t => [t.id, t]));
+
+    for (const [triggerId, trigger] of this._triggers) {
+      const next = stored.get(triggerId);
+      if (!next || JSON.stringify(next) !== JSON.stringify(trigger)) {
+        this.unregister(triggerId);
+      }
+    }
+    for (const trigger of stored.values()) {
+      if (!this._triggers.has(trigger.id)) {
+        this.register(trigger);
+      }
+    }
+  }
+
+  /**
+   * Stop all file watchers.
+   */
+  close() {
+    for (const triggerId of [...this._watchers.keys()]) {
+      this._stopWatching(triggerId);
+    }
+  }
+
   /**
    * Fire a trigger by ID with optional event data.
    * This executes the associated agent.
@@ -131,13 +206,7 @@ export class TriggerRouter extends EventEmitter {
    * @param {Object} payload - Event payload
    */
   async handleWebhook(source, event, payload) {
-    const matching = [];
-    for (const trigger of this._triggers.values()) {
-      if (trigger.type !== 'webhook') continue;
-      if (trigger.config?.source === source && trigger.config?.event === event) {
-        matching.push(trigger);
-      }
-    }
+    const matching = this.getWebhookTriggers(source, event);
 
     const results = [];
     for (const trigger of matching) {
@@ -151,6 +220,58 @@ export class TriggerRouter extends EventEmitter {
     return results;
   }
 
+  /**
+   * Accept a signed webhook delivery. Only triggers whose secret verifies
+   * the signature fire; they run in the background so the sender gets an
+   * answer before its delivery timeout.
+   *
+   * @param {string} source - Webhook source (e.g. 'github')
+   * @param {string} event - Event type (e.g. 'push')
+   * @param {Object} request
+   * @param {Buffer|string} request.rawBody - Body exactly as received
+   * @param {string} [request.signature] - `sha256=<hex>` signature header
+   * @returns {{ status: number, triggered?: string[], error?: string }}
+   */
+  receiveWebhook(source, event, { rawBody, signature }) {
+    if (rawBody.length > MAX_WEBHOOK_BODY_BYTES) {
+      return { status: 413, error: 'Webhook body too large' };
+    }
+
+    // Unknown source/event pairs answer like a bad signature so senders
+    // can't probe which triggers exist
+    const verified = this.getWebhookTriggers(source, event)
+      .filter(t => verifyWebhookSignature(t.config?.secret, rawBody, signature));
+    if (verified.length === 0) {
+      return { status: 401, error: 'Invalid webhook signature' };
+    }
+
+    let payload;
+    try {
+      payload = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : {};
+    } catch {
+      payload = rawBody.toString('utf8');
+    }
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    if (text.length > MAX_WEBHOOK_PAYLOAD_CHARS) {
+      payload = `${text.slice(0, MAX_WEBHOOK_PAYLOAD_CHARS)}… [truncated ${text.length - MAX_WEBHOOK_PAYLOAD_CHARS} characters]`;
+    }
+
+    for (const trigger of verified) {
+      // fire() already reports failures through trigger:error
+      this.fire(trigger.id, { source, event, payload }).catch(() => {});
+    }
+    return { status: 202, triggered: verified.map(t => t.id) };
+  }
+
+  /**
+   * Webhook triggers registered for a source/event pair.
+   */
+  getWebhookTriggers(source, event) {
+    return [...this._triggers.values()].filter(t =>
+      t.type === 'webhook' && t.config?.source === source && t.config?.event === event
+    );
+  }
+
   /**
    * List all registered triggers.
    */
@@ -179,9 +300,53 @@ export class TriggerRouter extends EventEmitter {
 
     return this.agentExecutor.executeAgent(trigger.agentId, {
       additionalContext: contextPrefix,
+      trigger: { id: trigger.id, type: trigger.type },
     });
   }
 
+  _startWatching(trigger) {
+    const { path: watchPath, recursive = false } = trigger.config || {};
+    if (!watchPath) {
+      this.emit('trigger:error', { triggerId: trigger.id, error: new Error('File watch trigger has no path') });
+      return;
+    }
+    const debounceMs = trigger.config.debounceMs ?? this.debounceMs;
+    const state = { watcher: null, timer: null, changed: new Set(), running: false };
+
+    const flush = () => {
+      state.timer = null;
+      const files = [...state.changed];
+      state.changed.clear();
+      state.running = true;
+      this.fire(trigger.id, { path: watchPath, files })
+        .catch(() => {}) // reported through trigger:error
+        .finally(() => { state.running = false; });
+    };
+
+    try {
+      state.watcher = fs.watch(watchPath, { recursive }, (eventType, filename) => {
+        // Ignore changes made while the agent runs — usually its own writes
+        if (state.running) return;
+        if (filename) state.changed.add(filename.toString());
+        clearTimeout(state.timer);
+        state.timer = setTimeout(flush, debounceMs);
+      });
+    } catch (error) {
+      this.emit('trigger:error', { triggerId: trigger.id, error });
+      return;
+    }
+    state.watcher.on('error', (error) => this.emit('trigger:error', { triggerId: trigger.id, error }));
+    this._watchers.set(trigger.id, state);
+  }
+
+  _stopWatching(triggerId) {
+    const state = this._watchers.get(triggerId);
+    if (!state) return;
+    clearTimeout(state.timer);
+    state.watcher.close();
+    this._watchers.delete(triggerId);
+  }
+
   async _fireChainTriggers(agentId, result) {
     const chainTriggers = this._chainListeners.get(agentId);
     if (!chainTriggers || chainTriggers.length === 0) return;
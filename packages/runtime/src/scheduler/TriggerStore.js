@@ -0,0 +1,138 @@
+/**
+ * TriggerStore — Persisted trigger definitions for TriggerRouter.
+ *
+ * Triggers live next to the scheduled agents they fire, in
+ * ~/.friday/agents/triggers.json. The file holds webhook secrets, so it is
+ * written with mode 0600.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+export const TRIGGER_TYPES = ['webhook', 'file_watch', 'chain', 'manual'];
+
+export class TriggerStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataDir] - ScheduledAgentStore data directory
+   */
+  constructor({ dataDir } = {}) {
+    this.dataDir = dataDir || path.join(os.homedir(), '.friday', 'agents');
+    this.filePath = path.join(this.dataDir, 'triggers.json');
+    this._data = null; // lazy loaded
+    this._mtimeMs = 0;
+  }
+
+  _load() {
+    this._reloadIfChanged();
+    if (this._data) return this._data;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+        this._data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch {
+      // ignore corrupt file
+    }
+    if (!this._data || !Array.isArray(this._data.triggers)) {
+      this._data = { triggers: [] };
+    }
+    return this._data;
+  }
+
+  _save() {
+    if (!fs.existsSync(this.dataDir)) fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this._data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Drop the cached copy if another process (e.g. `friday trigger add`)
+   * changed the file.
+   */
+  _reloadIfChanged() {
+    try {
+      const mtimeMs = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+      if (mtimeMs !== this._mtimeMs) this._data = null;
+    } catch {
+      this._data = null;
+    }
+  }
+
+  /**
+   * All stored triggers.
+   */
+  list() {
+    return this._load().triggers.map((trigger) => ({ ...trigger, config: { ...trigger.config } }));
+  }
+
+  get(triggerId) {
+    return this.list().find((t) => t.id === triggerId) || null;
+  }
+
+  /**
+   * Validate and store a trigger. Webhook triggers get a random signing
+   * secret when none is given.
+   *
+   * @param {Object} trigger
+   * @param {string} trigger.type - webhook | file_watch | chain | manual
+   * @param {string} trigger.agentId - Agent to execute when triggered
+   * @param {Object} [trigger.config] - Type-specific configuration
+   * @returns {Object} Stored trigger
+   */
+  add({ type, agentId, config = {} }) {
+    if (!TRIGGER_TYPES.includes(type)) {
+      throw new Error(`Unknown trigger type: ${type}. Valid: ${TRIGGER_TYPES.join(', ')}`);
+    }
+    if (!agentId) {
+      throw new Error('Trigger requires agentId');
+    }
+
+    const normalized = { ...config };
+    if (type === 'webhook') {
+      if (!normalized.source || !normalized.event) {
+        throw new Error('Webhook triggers require source and event');
+      }
+      normalized.secret = normalized.secret || crypto.randomBytes(24).toString('hex');
+    } else if (type === 'file_watch') {
+      if (!normalized.path) {
+        throw new Error('File watch triggers require path');
+      }
+      normalized.path = path.resolve(normalized.path);
+    } else if (type === 'chain') {
+      if (!normalized.sourceAgentId) {
+        throw new Error('Chain triggers require sourceAgentId');
+      }
+    }
+
+    this._load();
+    const trigger = {
+      id: `trg_${crypto.randomBytes(4).toString('hex')}`,
+      type,
+      agentId,
+      config: normalized,
+      createdAt: new Date().toISOString(),
+    };
+    this._data.triggers.push(trigger);
+    this._save();
+    return { ...trigger, config: { ...normalized } };
+  }
+
+  /**
+   * Remove a trigger by id.
+   *
+   * @returns {boolean} true if a trigger was removed
+   */
+  remove(triggerId) {
+    this._load();
+    const before = this._data.triggers.length;
+    this._data.triggers = this._data.triggers.filter((t) => t.id !== triggerId);
+    if (this._data.triggers.length === before) return false;
+    this._save();
+    return true;
+  }
+}
+
+export default TriggerStore;
@@ -0,0 +1,189 @@
+/**
+ * ContextCompactor — Summarize a long conversation so it can go on in a
+ * fresh session
+ *
+ * Every API call reports how many tokens it sent and got back; the latest
+ * call's total is how full the context window is. When that passes a share
+ * of the window (80% by default), or when the user runs /compact, the
+ * runtime summarizes the session's older turns with the session's own
+ * backend and starts a continuation session seeded with the summary and the
+ * last few messages. The continuation records where it came from, so the
+ * chain of sessions can be followed back.
+ *
+ * Settings live in ~/.friday/config.json:
+ *
+ *   { "contextCompaction": { "enabled": true, "threshold": 0.8, "contextWindow": 200000 } }
+ *
+ * A backend in ~/.friday/backends.json can set its own `contextWindow`.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday')
+
+export const DEFAULT_CONTEXT_WINDOW = 200000
+export const DEFAULT_THRESHOLD = 0.8
+
+// Messages carried over word for word; everything before them is summarized
+const RECENT_MESSAGES = 4
+const RECENT_MESSAGE_LENGTH = 2000
+
+// Transcript text sent to the summarizer, newest kept (~100k tokens)
+const MAX_TRANSCRIPT_CHARS = 400000
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize conversations between a user and Friday, an AI agent, so Friday can continue the work in a new session without the full history.
+
+Write a summary in Markdown with these sections:
+- **Goal**: what the user is trying to get done
+- **Done so far**: work completed, with file paths, commands and results that matter
+- **Decisions**: choices made and why, including approaches that were rejected
+- **Open items**: what is unfinished or was about to happen next
+
+Keep exact names, paths, identifiers, numbers and error messages. Leave out pleasantries and anything that no longer matters. Reply with the summary only.`
+
+/**
+ * Tokens in the context as of one API call: everything sent (fresh, cached
+ * or written to the cache) plus the reply
+ * @param {Object} usage - Anthropic-style usage
+ * @returns {number}
+ */
+export function contextTokensFromUsage(usage = {}) {
+  return (usage.input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0) +
+    (usage.output_tokens || 0)
+}
+
+/**
+ * `contextCompaction` from ~/.friday/config.json, with defaults for
+ * anything missing or out of range
+ * @returns {{ enabled: boolean, threshold: number, contextWindow: number }}
+ */
+export function loadCompactionSettings(configPath = path.join(CONFIG_DIR, 'config.json')) {
+  let raw = {}
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'))?.contextCompaction || {}
+  } catch {
+    // No config, or unreadable: use the defaults
+  }
+  const threshold = Number(raw.threshold)
+  const contextWindow = Number(raw.contextWindow)
+  return {
+    enabled: raw.enabled !== false,
+    threshold: threshold > 0 && threshold < 1 ? threshold : DEFAULT_THRESHOLD,
+    contextWindow: contextWindow > 0 ? contextWindow : DEFAULT_CONTEXT_WINDOW
+  }
+}
+
+/**
+ * Whether a session this full should be compacted before its next query
+ * @param {number} contextTokens - From contextTokensFromUsage
+ * @param {Object} settings - From loadCompactionSettings
+ * @param {number} [contextWindow] - The backend's window, if it sets one
+ */
+export function shouldCompact(contextTokens, settings, contextWindow = null) {
+  if (!settings.enabled || !contextTokens) return false
+  return contextTokens >= settings.threshold * (contextWindow || settings.contextWindow)
+}
+
+function formatMessage(message) {
+  const speaker = message.role === 'user' ? 'User' : 'Friday'
+  const tools = message.tools?.length ? ` [used ${[...new Set(message.tools)].join(', ')}]` : ''
+  return `${speaker}${tools}: ${(message.text || '').trim()}`
+}
+
+/**
+ * Split a transcript (SessionStore.getTranscript) into the older messages
+ * to summarize and the last few to keep. A conversation too short to split
+ * is summarized whole.
+ * @returns {{ older: Object[], recent: Object[] }}
+ */
+export function splitTranscript(messages) {
+  if (messages.length <= RECENT_MESSAGES) return { older: messages, recent: [] }
+  return { older: messages.slice(0, -RECENT_MESSAGES), recent: messages.slice(-RECENT_MESSAGES) }
+}
+
+/**
+ * The summarizer's prompt: the older messages as plain text, cut from the
+ * front if too long, and what to focus on if the user said
+ */
+export function buildSummaryRequest(messages, { focus = '' } = {}) {
+  let transcript = messages.map(formatMessage).join('\n\n')
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+    transcript = `[…earlier messages left out]\n\n${transcript.slice(-MAX_TRANSCRIPT_CHARS)}`
+  }
+  const focusLine = focus.trim() ? `\n\nThe user asked to focus the summary on: ${focus.trim()}` : ''
+  return `Summarize this conversation.${focusLine}\n\n<conversation>\n${transcript}\n</conversation>`
+}
+
+/**
+ * Ask a backend for the summary. No tools are offered and any tool call is
+ * refused, so this is a single reply.
+ * @param {Object} backend - From BackendRegistry.open
+ * @param {string} prompt - From buildSummaryRequest
+ * @param {Object} [options]
+ * @param {string} [options.model]
+ * @param {string} [options.cwd]
+ * @param {Object} [options.env]
+ * @returns {Promise<{ summary: string, usage: Object|null }>}
+ */
+export async function summarize(backend, prompt, { model = null, cwd, env } = {}) {
+  const stream = backend.query({
+    prompt,
+    options: {
+      ...(model ? { model } : {}),
+      cwd,
+      env,
+      systemPrompt: SUMMARY_SYSTEM_PROMPT,
+      maxTurns: 1,
+      mcpServers: {},
+      permissionMode: 'default',
+      canUseTool: async () => ({ behavior: 'deny', message: 'Summaries do not use tools' })
+    }
+  })
+
+  let streamed = ''
+  let summary = null
+  let usage = null
+  for await (const message of stream) {
+    if (message.type === 'text' && message.text) {
+      streamed += message.text
+    } else if (message.type === 'assistant' && Array.isArray(message.message?.content)) {
+      for (const block of message.message.content) {
+        if (block.type === 'text' && block.text) streamed += block.text
+      }
+    } else if (message.type === 'usage' && message.usage) {
+      usage = message.usage
+    } else if (message.type === 'result') {
+      if (message.subtype !== 'success') throw new Error(`Summarizing ended with ${message.subtype}`)
+      summary = message.result
+      usage = message.usage || usage
+    }
+  }
+  summary = (summary || streamed).trim()
+  if (!summary) throw new Error('The summary came back empty')
+  return { summary, usage }
+}
+
+/**
+ * System prompt section for a continuation session: the summary and the
+ * messages carried over
+ * @param {Object} compaction - The `compaction` field of the session's metadata
+ */
+export function buildContinuationPrompt(compaction) {
+  if (!compaction?.summary) return ''
+  let prompt = '\n\n## Earlier in This Conversation\n'
+  prompt += 'This session continues an earlier one that grew too long. Here is a summary of it; carry on from where it left off.\n\n'
+  prompt += `${compaction.summary}\n`
+  if (compaction.recentMessages?.length) {
+    prompt += '\n### Last messages before the summary\n'
+    for (const message of compaction.recentMessages) {
+      const text = (message.text || '').trim()
+      const clipped = text.length > RECENT_MESSAGE_LENGTH ? `${text.slice(0, RECENT_MESSAGE_LENGTH)}…` : text
+      prompt += `\n${formatMessage({ ...message, text: clipped })}\n`
+    }
+  }
+  return prompt
+}
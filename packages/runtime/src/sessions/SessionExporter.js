@@ -0,0 +1,482 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { isPathInside } from '../permissions/PermissionManager.js'
+
+export const EXPORT_FORMATS = ['md', 'html', 'json']
+
+export const BUNDLE_FORMAT = 'friday-session'
+export const BUNDLE_VERSION = 1
+
+// Media files larger than this are left out of JSON bundles
+const MAX_MEDIA_BYTES = 25 * 1024 * 1024
+
+const MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime'
+}
+
+const MEDIA_PATH_PATTERN = /(\/[^\s"'`,()<>\]]+\.(?:png|jpe?g|gif|webp|svg|mp3|wav|ogg|mp4|webm|mov))/gi
+
+/**
+ * Why a workspace-relative path may not carry bundled media, or null if it
+ * may: only media files, and no dotfiles or dot directories.
+ */
+function mediaPathProblem(relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath || path.isAbsolute(relativePath)) return 'is not a relative path'
+  if (relativePath.split(/[\\/]/).some((segment) => segment.startsWith('.'))) return 'has a dot segment or names a dotfile'
+  if (!MEDIA_TYPES[path.extname(relativePath).toLowerCase()]) return 'is not a media file'
+  return null
+}
+
+function stringify(value) {
+  if (value == null) return ''
+  if (typeof value === 'string') return value
+  if (Array.isArray(value) && value.every((part) => typeof part?.text === 'string')) {
+    return value.map((part) => part.text).join('\n')
+  }
+  return JSON.stringify(value, null, 2)
+}
+
+/**
+ * Turn a session event log into the conversation it records: user messages,
+ * assistant text, tool calls (paired with their results) and permission
+ * decisions, in order.
+ * @param {Object[]} events - Entries from SessionStore.getSessionEvents
+ * @returns {Object[]} Items with `type` 'user' | 'assistant' | 'tool' | 'permission' | 'error'
+ */
+export function buildConversation(events) {
+  const items = []
+  const tools = new Map()
+  const permissions = new Map()
+  let assistant = null
+
+  for (const { direction, payload = {}, timestamp } of events) {
+    if (direction === 'inbound') {
+      if (payload.type === 'query') {
+        assistant = null
+        items.push({ type: 'user', text: payload.message || '', timestamp })
+      } else if (payload.type === 'permission_response' && permissions.has(payload.permission_id)) {
+        const permission = permissions.get(payload.permission_id)
+        permission.decision = payload.approved ? 'approved' : 'denied'
+        permission.level = payload.permission_level || null
+      }
+      continue
+    }
+
+    switch (payload.type) {
+      case 'chunk': {
+        const text = payload.text || payload.content || ''
+        if (!text) break
+        if (!assistant) {
+          assistant = { type: 'assistant', text: '', timestamp }
+          items.push(assistant)
+        }
+        assistant.text += text
+        break
+      }
+      case 'tool_use': {
+        // The same tool use can be reported from the assistant message and the stream
+        if (payload.tool_use_id && tools.has(payload.tool_use_id)) break
+        const tool = { type: 'tool', id: payload.tool_use_id || null, name: payload.tool_name || 'tool', input: payload.input ?? null, result: null, isError: false, timestamp }
+        if (tool.id) tools.set(tool.id, tool)
+        items.push(tool)
+        assistant = null
+        break
+      }
+      case 'tool_result': {
+        const tool = tools.get(payload.tool_use_id)
+        if (tool) {
+          tool.result = stringify(payload.tool_result)
+          tool.isError = Boolean(payload.is_error)
+        }
+        break
+      }
+      case 'permission_request': {
+        const permission = {
+          type: 'permission',
+          id: payload.permission_id,
+          toolName: payload.tool_name || 'tool',
+          description: payload.description || '',
+          decision: 'pending',
+          level: null,
+          timestamp
+        }
+        permissions.set(permission.id, permission)
+        items.push(permission)
+        assistant = null
+        break
+      }
+      case 'permission_cancelled': {
+        const permission = permissions.get(payload.permission_id)
+        if (permission?.decision === 'pending') permission.decision = 'cancelled'
+        break
+      }
+      case 'error':
+        items.push({ type: 'error', text: payload.message || 'Error', timestamp })
+        assistant = null
+        break
+      case 'complete':
+        assistant = null
+        break
+      default:
+        break
+    }
+  }
+  return items
+}
+
+/**
+ * Absolute media paths inside the workspace that the conversation mentions
+ * in assistant text, tool inputs or tool results.
+ */
+export function findMediaPaths(items, workspacePath) {
+  if (!workspacePath) return []
+  const root = path.resolve(workspacePath)
+  const found = new Set()
+  for (const item of items) {
+    const text = item.type === 'tool'
+      ? `${stringify(item.input)}\n${item.result || ''}`
+      : item.text || ''
+    for (const match of text.matchAll(MEDIA_PATH_PATTERN)) {
+      const filePath = path.resolve(match[1])
+      if (filePath !== root && isPathInside(filePath, root) && !mediaPathProblem(path.relative(root, filePath))) found.add(filePath)
+    }
+  }
+  return [...found]
+}
+
+function permissionLine(item) {
+  const level = item.level && item.decision === 'approved' ? ` (${item.level})` : ''
+  return `${item.toolName}: ${item.decision}${level}`
+}
+
+function fence(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length))
+  const ticks = '`'.repeat(longest + 1)
+  return `${ticks}\n${text}\n${ticks}`
+}
+
+/**
+ * Markdown transcript. Tool calls are collapsed in <details> blocks.
+ */
+export function renderMarkdown(metadata, items) {
+  const lines = [`# ${metadata.title || metadata.id}`, '']
+  lines.push(`- Session: \`${metadata.id}\``)
+  if (metadata.createdAt) lines.push(`- Started: ${metadata.createdAt}`)
+  if (metadata.workspacePath) lines.push(`- Workspace: \`${metadata.workspacePath}\``)
+  if (metadata.model) lines.push(`- Model: ${metadata.model}`)
+  lines.push('')
+
+  for (const item of items) {
+    switch (item.type) {
+      case 'user':
+        lines.push('## User', '', item.text.trim(), '')
+        break
+      case 'assistant':
+        lines.push('## Friday', '', item.text.trim(), '')
+        break
+      case 'tool': {
+        const status = item.isError ? ' (failed)' : ''
+        lines.push('<details>', `<summary>Tool: ${item.name}${status}</summary>`, '')
+        if (item.input != null) lines.push('Input:', '', fence(stringify(item.input)), '')
+        if (item.result) lines.push('Result:', '', fence(item.result), '')
+        lines.push('</details>', '')
+        break
+      }
+      case 'permission':
+        lines.push(`> **Permission** ${permissionLine(item)}${item.description ? ` — ${item.description}` : ''}`, '')
+        break
+      case 'error':
+        lines.push(`> **Error** ${item.text}`, '')
+        break
+      default:
+        break
+    }
+  }
+  return `${lines.join('\n').trimEnd()}\n`
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function mediaElement(filePath, media) {
+  const { mimeType, data } = media
+  const src = `data:${mimeType};base64,${data}`
+  const name = escapeHtml(path.basename(filePath))
+  if (mimeType.startsWith('image/')) return `<figure><img src="${src}" alt="${name}"><figcaption>${name}</figcaption></figure>`
+  if (mimeType.startsWith('audio/')) return `<figure><audio controls src="${src}"></audio><figcaption>${name}</figcaption></figure>`
+  return `<figure><video controls src="${src}"></video><figcaption>${name}</figcaption></figure>`
+}
+
+const HTML_STYLE = `
+body { font: 15px/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f1f1f; background: #fafafa; }
+header { border-bottom: 1px solid #ddd; margin-bottom: 1.5rem; }
+header p { color: #666; font-size: 13px; margin: .2rem 0; }
+.message { margin: 1rem 0; padding: .75rem 1rem; border-radius: 10px; white-space: pre-wrap; word-wrap: break-word; }
+.user { background: #6d5dfc; color: #fff; margin-left: 15%; }
+.assistant { background: #fff; border: 1px solid #e5e5e5; }
+.role { display: block; font-size: 12px; font-weight: 600; opacity: .7; margin-bottom: .25rem; }
+details { margin: .5rem 0; border: 1px solid #e5e5e5; border-radius: 8px; background: #fff; padding: .4rem .8rem; font-size: 13px; }
+details.failed summary { color: #c0392b; }
+summary { cursor: pointer; color: #555; }
+pre { background: #f3f3f3; padding: .6rem; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+.note { font-size: 13px; color: #555; border-left: 3px solid #ccc; padding-left: .6rem; margin: .5rem 0; }
+.error { border-color: #c0392b; color: #c0392b; }
+figure { margin: .75rem 0; }
+figure img, figure video { max-width: 100%; border-radius: 8px; }
+figcaption { font-size: 12px; color: #666; }
+`
+
+/**
+ * Self-contained HTML transcript: inline styles, collapsed tool calls and
+ * referenced media embedded as data URIs.
+ * @param {Object} metadata - Session metadata
+ * @param {Object[]} items - From buildConversation
+ * @param {Map<string, {mimeType: string, data: string}>} [media] - Embedded media by absolute path
+ */
+export function renderHtml(metadata, items, media = new Map()) {
+  const body = []
+  const embedded = new Set()
+  const embedMedia = (text) => {
+    for (const match of text.matchAll(MEDIA_PATH_PATTERN)) {
+      const filePath = path.resolve(match[1])
+      if (media.has(filePath) && !embedded.has(filePath)) {
+        embedded.add(filePath)
+        body.push(mediaElement(filePath, media.get(filePath)))
+      }
+    }
+  }
+
+  for (const item of items) {
+    switch (item.type) {
+      case 'user':
+        body.push(`<div class="message user"><span class="role">You</span>${escapeHtml(item.text.trim())}</div>`)
+        break
+      case 'assistant':
+        body.push(`<div class="message assistant"><span class="role">Friday</span>${escapeHtml(item.text.trim())}</div>`)
+        embedMedia(item.text)
+        break
+      case 'tool': {
+        const parts = [`<summary>${escapeHtml(item.name)}${item.isError ? ' (failed)' : ''}</summary>`]
+        if (item.input != null) parts.push(`<pre>${escapeHtml(stringify(item.input))}</pre>`)
+        if (item.result) parts.push(`<pre>${escapeHtml(item.result)}</pre>`)
+        body.push(`<details${item.isError ? ' class="failed"' : ''}>${parts.join('')}</details>`)
+        embedMedia(item.result || '')
+        break
+      }
+      case 'permission':
+        body.push(`<p class="note">Permission — ${escapeHtml(permissionLine(item))}${item.description ? `: ${escapeHtml(item.description)}` : ''}</p>`)
+        break
+      case 'error':
+        body.push(`<p class="note error">${escapeHtml(item.text)}</p>`)
+        break
+      default:
+        break
+    }
+  }
+
+  const title = escapeHtml(metadata.title || metadata.id)
+  const details = [
+    `Session ${escapeHtml(metadata.id)}`,
+    metadata.createdAt ? `Started ${escapeHtml(metadata.createdAt)}` : null,
+    metadata.workspacePath ? `Workspace ${escapeHtml(metadata.workspacePath)}` : null
+  ].filter(Boolean)
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header><h1>${title}</h1>${details.map((line) => `<p>${line}</p>`).join('')}</header>
+${body.join('\n')}
+</body>
+</html>
+`
+}
+
+function slugify(text) {
+  const slug = (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50)
+  return slug || 'session'
+}
+
+/**
+ * SessionExporter
+ *
+ * Renders a stored session as Markdown, HTML or a JSON bundle, and imports
+ * bundles back into a SessionStore. A bundle carries the metadata, the full
+ * event log and the media files the conversation references from its
+ * workspace, so it can be opened on another machine.
+ */
+export class SessionExporter {
+  constructor({ sessionStore }) {
+    this.sessionStore = sessionStore
+  }
+
+  _readMedia(filePaths) {
+    const media = new Map()
+    const skipped = []
+    for (const filePath of filePaths) {
+      try {
+        const stat = fs.statSync(filePath)
+        if (!stat.isFile()) continue
+        if (stat.size > MAX_MEDIA_BYTES) {
+          skipped.push(filePath)
+          continue
+        }
+        media.set(filePath, {
+          mimeType: MEDIA_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+          data: fs.readFileSync(filePath).toString('base64')
+        })
+      } catch {
+        // Moved or deleted since the conversation
+      }
+    }
+    return { media, skipped }
+  }
+
+  /**
+   * Export a session.
+   * @param {string} sessionId
+   * @param {Object} [options]
+   * @param {'md'|'html'|'json'} [options.format='md']
+   * @returns {Promise<{filename: string, content: string, media: string[], skipped: string[]}>}
+   *   `media` lists the embedded files, `skipped` those too large to embed
+   */
+  async export(sessionId, { format = 'md' } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format "${format}" (use ${EXPORT_FORMATS.join(', ')})`)
+    }
+    const metadata = this.sessionStore.metadataCache.get(sessionId)
+    if (!metadata) {
+      throw new Error(`Session not found: ${sessionId}`)
+    }
+    const events = await this.sessionStore.getSessionEvents(sessionId, { limit: Infinity })
+    const items = buildConversation(events)
+    const filename = `${slugify(metadata.title)}-${sessionId.slice(0, 8)}.${format}`
+
+    if (format === 'md') {
+      return { filename, content: renderMarkdown(metadata, items), media: [], skipped: [] }
+    }
+
+    const { media, skipped } = this._readMedia(findMediaPaths(items, metadata.workspacePath))
+    if (format === 'html') {
+      return { filename, content: renderHtml(metadata, items, media), media: [...media.keys()], skipped }
+    }
+
+    const root = path.resolve(metadata.workspacePath)
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      session: metadata,
+      events,
+      media: [...media].map(([filePath, file]) => ({
+        path: path.relative(root, filePath).split(path.sep).join('/'),
+        mimeType: file.mimeType,
+        data: file.data
+      }))
+    }
+    return { filename, content: JSON.stringify(bundle), media: [...media.keys()], skipped }
+  }
+
+  /**
+   * Import a JSON bundle as a new session. Media files are written into the
+   * workspace at the same relative paths, which must name media files
+   * outside dot directories and stay inside the workspace after resolving
+   * symlinks; otherwise nothing is imported. An existing file with different
+   * content is kept and the import is written next to it. Paths under the
+   * original workspace are rewritten to the new one.
+   * @param {Object|string} bundle - Parsed or raw bundle
+   * @param {Object} options
+   * @param {string} options.workspacePath - Workspace to attach the session and its media to
+   * @returns {Promise<{metadata: Object, media: Array<{path: string, status: 'written'|'exists'|'renamed'}>}>}
+   */
+  async import(bundle, { workspacePath }) {
+    const data = typeof bundle === 'string' ? JSON.parse(bundle) : bundle
+    if (data?.format !== BUNDLE_FORMAT || !data.session?.id || !Array.isArray(data.events)) {
+      throw new Error('Not a Friday session bundle')
+    }
+    if (data.version > BUNDLE_VERSION) {
+      throw new Error(`Bundle version ${data.version} is newer than this version of Friday supports`)
+    }
+
+    const root = path.resolve(workspacePath)
+    const files = (data.media || []).map((file) => {
+      const problem = mediaPathProblem(file?.path)
+      if (problem) throw new Error(`Media path ${problem}: ${file?.path}`)
+      const target = path.resolve(root, file.path)
+      if (!isPathInside(target, root)) throw new Error(`Media path escapes the workspace: ${file.path}`)
+      return { file, target }
+    })
+
+    const replacements = new Map()
+    const media = []
+    for (const { file, target } of files) {
+      const content = Buffer.from(file.data || '', 'base64')
+      let written = target
+      let status = 'written'
+      if (fs.existsSync(target)) {
+        const same = crypto.createHash('sha256').update(fs.readFileSync(target)).digest('hex')
+          === crypto.createHash('sha256').update(content).digest('hex')
+        if (same) {
+          status = 'exists'
+        } else {
+          const ext = path.extname(target)
+          written = `${target.slice(0, -ext.length || undefined)}-imported-${Date.now()}${ext}`
+          status = 'renamed'
+        }
+      }
+      if (status !== 'exists') {
+        fs.mkdirSync(path.dirname(written), { recursive: true })
+        fs.writeFileSync(written, content)
+      }
+      if (written !== target) replacements.set(target, written)
+      media.push({ path: written, status })
+    }
+
+    // Point references at the new workspace (and at renamed media)
+    let serialized = JSON.stringify(data.events)
+    const originalRoot = data.session.workspacePath ? path.resolve(data.session.workspacePath) : null
+    if (originalRoot && originalRoot !== root) {
+      serialized = serialized.split(JSON.stringify(originalRoot).slice(1, -1)).join(JSON.stringify(root).slice(1, -1))
+    }
+    for (const [from, to] of replacements) {
+      serialized = serialized.split(JSON.stringify(from).slice(1, -1)).join(JSON.stringify(to).slice(1, -1))
+    }
+
+    const keepId = /^[\w-]+$/.test(data.session.id) && !this.sessionStore.metadataCache.has(data.session.id)
+    const sessionId = keepId ? data.session.id : crypto.randomUUID()
+    const { parentSessionId, forkedAtEvent, forkResume, owner, ...session } = data.session // eslint-disable-line no-unused-vars
+    const metadata = await this.sessionStore.importSession(sessionId, {
+      ...session,
+      workspacePath: root,
+      importedAt: new Date().toISOString(),
+      importedFrom: { sessionId: data.session.id, exportedAt: data.exportedAt || null },
+      // The SDK session stayed on the exporting machine; the next query starts a new one
+      forkPending: true,
+      forkResume: null
+    }, JSON.parse(serialized))
+    return { metadata, media }
+  }
+}
+
+export default SessionExporter
@@ -0,0 +1,475 @@
+import fs from 'fs'
+import { promises as fsPromises } from 'fs'
+
+// Assistant text is indexed in passages of about this many characters
+const MAX_PASSAGE_LENGTH = 2000
+
+// BM25 parameters
+const K1 = 1.2
+const B = 0.75
+
+// Added to a session's score for each query term found in its title
+const TITLE_BOOST = 2
+
+const SNIPPET_LENGTH = 160
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'for', 'from', 'has', 'have',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'this', 'to', 'up', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'with', 'you'
+])
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu
+
+// Tool input fields that hold file paths
+const PATH_KEYS = /^(file_?path|path|paths|notebook_path|directory|dir|source|destination|output_path)$/i
+
+/**
+ * Index form of a word: lowercased, with a plural "s" dropped so
+ * "webhooks" finds "webhook"
+ */
+function normalizeTerm(word) {
+  const term = word.toLowerCase()
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) {
+    return term.slice(0, -1)
+  }
+  return term
+}
+
+/**
+ * Split text into index terms with their character offsets. Paths and
+ * identifiers split on punctuation, so "stripe-webhook.js" yields
+ * "stripe", "webhook" and "js".
+ * @param {string} text
+ * @returns {Object[]} { term, start, end }
+ */
+export function tokenize(text) {
+  const tokens = []
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    if (match[0].length < 2) continue
+    tokens.push({ term: normalizeTerm(match[0]), start: match.index, end: match.index + match[0].length })
+  }
+  return tokens
+}
+
+/**
+ * Terms of a search query. Stopwords are dropped unless the query is
+ * nothing but stopwords; the last term also matches as a prefix so results
+ * can follow a search box as the user types.
+ * @param {string} query
+ * @returns {Object[]} { term, prefix }
+ */
+export function parseQuery(query) {
+  const terms = [...new Set(tokenize(query).map((token) => token.term))]
+  const meaningful = terms.filter((term) => !STOPWORDS.has(term))
+  const kept = meaningful.length > 0 ? meaningful : terms
+  return kept.map((term, i) => ({ term, prefix: i === kept.length - 1 && /[\p{L}\p{N}]$/u.test(query.trim()) }))
+}
+
+function termMatches(queryTerm, term) {
+  return queryTerm.prefix ? term.startsWith(queryTerm.term) : term === queryTerm.term
+}
+
+function collectPaths(input, paths = []) {
+  if (!input || typeof input !== 'object') return paths
+  for (const [key, value] of Object.entries(input)) {
+    if (PATH_KEYS.test(key) && typeof value === 'string') {
+      paths.push(value)
+    } else if (PATH_KEYS.test(key) && Array.isArray(value)) {
+      paths.push(...value.filter((item) => typeof item === 'string'))
+    } else if (value && typeof value === 'object') {
+      collectPaths(value, paths)
+    }
+  }
+  return paths
+}
+
+/**
+ * Cut a passage down to a window around its first match and locate every
+ * match inside that window
+ * @param {string} text - Passage text
+ * @param {Object[]} queryTerms - From parseQuery
+ * @returns {Object} { text, highlights: [[start, end], ...] } with offsets into the snippet
+ */
+export function buildSnippet(text, queryTerms) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim()
+  const hits = tokenize(flat).filter((token) => queryTerms.some((queryTerm) => termMatches(queryTerm, token.term)))
+  let start = 0
+  if (hits.length > 0 && hits[0].start > SNIPPET_LENGTH / 3) {
+    start = hits[0].start - Math.floor(SNIPPET_LENGTH / 3)
+    const space = flat.indexOf(' ', start)
+    if (space !== -1 && space < hits[0].start) start = space + 1
+  }
+  let end = Math.min(flat.length, start + SNIPPET_LENGTH)
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end)
+    if (space > start) end = space
+  }
+
+  const prefix = start > 0 ? '…' : ''
+  const suffix = end < flat.length ? '…' : ''
+  const highlights = hits
+    .filter((hit) => hit.start >= start && hit.end <= end)
+    .map((hit) => [hit.start - start + prefix.length, hit.end - start + prefix.length])
+  return { text: `${prefix}${flat.slice(start, end)}${suffix}`, highlights }
+}
+
+/**
+ * Full-text index over session event logs. User messages, assistant text,
+ * and the names and file paths of tool calls become passages; each passage
+ * is appended to a JSONL file as it is created and the inverted index is
+ * kept in memory. Results are ranked per session with BM25.
+ *
+ * Entries are added as SessionStore writes them. The file is read lazily on
+ * first use, and rebuilt from every session's event log when it does not
+ * exist yet.
+ */
+export class SessionSearchIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSONL file holding the passages
+   * @param {Function} options.readSessions - async () => [{ sessionId, events }], used to rebuild a missing index
+   */
+  constructor({ filePath, readSessions }) {
+    this.filePath = filePath
+    this.readSessions = readSessions
+    this.passages = new Map()
+    this.postings = new Map()
+    this.sessionPassages = new Map()
+    this.totalLength = 0
+    this.nextId = 1
+    // Per-session state for the turn being indexed: assistant text not yet
+    // written as a passage, and tool calls already seen
+    this.turns = new Map()
+    this.pending = []
+    this.loaded = false
+    this.loading = null
+    this.fileSize = 0
+    this.writes = Promise.resolve()
+  }
+
+  /**
+   * Read the index from disk (or rebuild it) once
+   * @param {Object} [options]
+   * @param {string} [options.cutoff] - When rebuilding, skip events at or after this time; they are already queued
+   */
+  load({ cutoff } = {}) {
+    if (!this.loading) {
+      this.loading = this.readFromDisk(cutoff || new Date().toISOString())
+        .catch((error) => {
+          console.error('[SessionSearchIndex] Failed to load index', error.message)
+        })
+        .then(() => {
+          this.loaded = true
+          const pending = this.pending
+          this.pending = []
+          for (const [sessionId, entry] of pending) {
+            this.ingest(sessionId, entry)
+          }
+        })
+    }
+    return this.loading
+  }
+
+  async readFromDisk(cutoff) {
+    if (fs.existsSync(this.filePath)) {
+      const data = await fsPromises.readFile(this.filePath, 'utf8')
+      this.readLines(data)
+      this.fileSize = Buffer.byteLength(data)
+      return
+    }
+
+    const lines = []
+    for (const { sessionId, events } of await this.readSessions()) {
+      for (const entry of events) {
+        if (entry.timestamp && entry.timestamp >= cutoff) continue
+        lines.push(...this.ingest(sessionId, entry, { persist: false }))
+      }
+      lines.push(...this.flushTurn(sessionId, { persist: false }))
+      this.turns.delete(sessionId)
+    }
+    const data = lines.map((line) => `${JSON.stringify(line)}\n`).join('')
+    await fsPromises.writeFile(this.filePath, data, 'utf8')
+    this.fileSize = Buffer.byteLength(data)
+  }
+
+  readLines(data) {
+    for (const line of data.split('\n')) {
+      if (!line) continue
+      try {
+        const { sessionId, kind, text, timestamp } = JSON.parse(line)
+        if (sessionId && text) this.addPassage({ sessionId, kind, text, timestamp })
+      } catch (_) {
+        // A line cut short by another process still writing
+      }
+    }
+  }
+
+  /**
+   * Pick up passages other processes appended since the file was last read
+   */
+  async refresh() {
+    await this.writes
+    let size
+    try {
+      size = (await fsPromises.stat(this.filePath)).size
+    } catch (_) {
+      return
+    }
+    if (size === this.fileSize) return
+    if (size < this.fileSize) {
+      // Rewritten by a delete elsewhere: start over
+      this.passages.clear()
+      this.postings.clear()
+      this.sessionPassages.clear()
+      this.totalLength = 0
+      this.readLines(await fsPromises.readFile(this.filePath, 'utf8'))
+      this.fileSize = size
+      return
+    }
+    const handle = await fsPromises.open(this.filePath, 'r')
+    try {
+      const buffer = Buffer.alloc(size - this.fileSize)
+      await handle.read(buffer, 0, buffer.length, this.fileSize)
+      this.readLines(buffer.toString('utf8'))
+    } finally {
+      await handle.close()
+    }
+    this.fileSize = size
+  }
+
+  /**
+   * Index one event log entry. Safe to call before the index has loaded;
+   * entries are queued until it has.
+   * @param {string} sessionId - The session ID
+   * @param {Object} entry - { timestamp, direction, payload }
+   */
+  add(sessionId, entry) {
+    if (!sessionId || !entry) return
+    if (this.loaded) {
+      this.ingest(sessionId, entry)
+      return
+    }
+    this.pending.push([sessionId, entry])
+    this.load({ cutoff: this.pending[0][1].timestamp })
+  }
+
+  /**
+   * Index the event log of a session created in one go (a fork or an
+   * import). Skipped if a rebuild already picked the log up.
+   * @param {string} sessionId - The session ID
+   * @param {Object[]} events - Event log entries, oldest first
+   */
+  async addAll(sessionId, events) {
+    await this.load()
+    if (this.sessionPassages.has(sessionId)) return
+    for (const entry of events) {
+      this.ingest(sessionId, entry)
+    }
+    this.flushTurn(sessionId)
+    this.turns.delete(sessionId)
+    await this.writes
+  }
+
+  /**
+   * Resolves once everything added so far has been written to disk
+   */
+  async settled() {
+    if (this.loading) await this.loading
+    await this.writes
+  }
+
+  /**
+   * Turn an event into passages
+   * @returns {Object[]} Passages created
+   */
+  ingest(sessionId, { direction, payload, timestamp }, { persist = true } = {}) {
+    if (!payload) return []
+    const created = []
+    const turn = this.turns.get(sessionId) || { text: '', timestamp: null, tools: new Set() }
+    this.turns.set(sessionId, turn)
+
+    if (direction === 'inbound' && payload.type === 'query') {
+      created.push(...this.flushTurn(sessionId, { persist }))
+      turn.tools.clear()
+      if (payload.message) {
+        created.push(this.createPassage({ sessionId, kind: 'user', text: payload.message, timestamp }, persist))
+      }
+    } else if (direction === 'outbound') {
+      if (payload.type === 'chunk') {
+        if (!turn.text) turn.timestamp = timestamp
+        turn.text += payload.text || payload.content || ''
+        if (turn.text.length >= MAX_PASSAGE_LENGTH) {
+          created.push(...this.flushTurn(sessionId, { persist }))
+        }
+      } else if (payload.type === 'tool_use' && payload.tool_name) {
+        const key = payload.tool_use_id || `${payload.tool_name}:${JSON.stringify(payload.input)}`
+        if (!turn.tools.has(key)) {
+          turn.tools.add(key)
+          created.push(...this.flushTurn(sessionId, { persist }))
+          const text = [payload.tool_name, ...collectPaths(payload.input)].join(' ')
+          created.push(this.createPassage({ sessionId, kind: 'tool', text, timestamp }, persist))
+        }
+      } else if (payload.type === 'complete' || payload.type === 'error') {
+        created.push(...this.flushTurn(sessionId, { persist }))
+        this.turns.delete(sessionId)
+      }
+    }
+    return created
+  }
+
+  flushTurn(sessionId, { persist = true } = {}) {
+    const turn = this.turns.get(sessionId)
+    if (!turn?.text.trim()) return []
+    const passage = this.createPassage({ sessionId, kind: 'assistant', text: turn.text, timestamp: turn.timestamp }, persist)
+    turn.text = ''
+    turn.timestamp = null
+    return [passage]
+  }
+
+  createPassage(passage, persist) {
+    this.addPassage(passage)
+    if (persist) {
+      const line = `${JSON.stringify(passage)}\n`
+      this.writes = this.writes
+        .then(() => fsPromises.appendFile(this.filePath, line, 'utf8'))
+        .then(() => { this.fileSize += Buffer.byteLength(line) })
+        .catch((error) => {
+          console.error('[SessionSearchIndex] Failed to write index', error.message)
+        })
+    }
+    return passage
+  }
+
+  addPassage(passage) {
+    const id = this.nextId++
+    const terms = new Map()
+    const tokens = tokenize(passage.text)
+    for (const { term } of tokens) {
+      terms.set(term, (terms.get(term) || 0) + 1)
+    }
+    for (const [term, count] of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map())
+      this.postings.get(term).set(id, count)
+    }
+    this.passages.set(id, { ...passage, terms, length: tokens.length })
+    this.totalLength += tokens.length
+    if (!this.sessionPassages.has(passage.sessionId)) this.sessionPassages.set(passage.sessionId, new Set())
+    this.sessionPassages.get(passage.sessionId).add(id)
+  }
+
+  /**
+   * Drop a session from the index and rewrite the file without it
+   * @param {string} sessionId - The session ID
+   */
+  async remove(sessionId) {
+    await this.load()
+    this.turns.delete(sessionId)
+    const ids = this.sessionPassages.get(sessionId)
+    if (!ids) return
+    for (const id of ids) {
+      const passage = this.passages.get(id)
+      for (const term of passage.terms.keys()) {
+        const posting = this.postings.get(term)
+        posting.delete(id)
+        if (posting.size === 0) this.postings.delete(term)
+      }
+      this.totalLength -= passage.length
+      this.passages.delete(id)
+    }
+    this.sessionPassages.delete(sessionId)
+
+    const rewrite = async () => {
+      const data = Array.from(this.passages.values())
+        .map(({ sessionId: id, kind, text, timestamp }) => `${JSON.stringify({ sessionId: id, kind, text, timestamp })}\n`)
+        .join('')
+      await fsPromises.writeFile(this.filePath, data, 'utf8')
+      this.fileSize = Buffer.byteLength(data)
+    }
+    this.writes = this.writes.then(rewrite).catch((error) => {
+      console.error('[SessionSearchIndex] Failed to write index', error.message)
+    })
+    await this.writes
+  }
+
+  /**
+   * Rank sessions against a query
+   * @param {string} query - Free text
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Sessions to return
+   * @param {number} [options.snippets=3] - Matching passages per session
+   * @param {Map<string, string>} [options.titles] - Session titles; sessions not in the map are left out
+   * @returns {Object[]} { sessionId, score, matches: [{ kind, text, highlights, timestamp }] }, best first
+   */
+  async search(query, { limit = 20, snippets = 3, titles } = {}) {
+    await this.load()
+    await this.refresh()
+    const queryTerms = parseQuery(query)
+    if (queryTerms.length === 0) return []
+
+    const count = this.passages.size || 1
+    const avgLength = this.totalLength / count || 1
+    const passageScores = new Map()
+    const sessionTerms = new Map()
+
+    queryTerms.forEach((queryTerm, index) => {
+      const terms = queryTerm.prefix
+        ? [...this.postings.keys()].filter((term) => term.startsWith(queryTerm.term))
+        : this.postings.has(queryTerm.term) ? [queryTerm.term] : []
+      for (const term of terms) {
+        const posting = this.postings.get(term)
+        const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5))
+        for (const [id, tf] of posting) {
+          const passage = this.passages.get(id)
+          const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * passage.length / avgLength))
+          passageScores.set(id, (passageScores.get(id) || 0) + idf * norm)
+          if (!sessionTerms.has(passage.sessionId)) sessionTerms.set(passage.sessionId, new Set())
+          sessionTerms.get(passage.sessionId).add(index)
+        }
+      }
+    })
+
+    const sessions = new Map()
+    for (const [id, score] of passageScores) {
+      const passage = this.passages.get(id)
+      if (titles && !titles.has(passage.sessionId)) continue
+      if (!sessions.has(passage.sessionId)) sessions.set(passage.sessionId, [])
+      sessions.get(passage.sessionId).push({ passage, score })
+    }
+
+    if (titles) {
+      for (const [sessionId, title] of titles) {
+        const terms = tokenize(title).map((token) => token.term)
+        queryTerms.forEach((queryTerm, index) => {
+          if (!terms.some((term) => termMatches(queryTerm, term))) return
+          if (!sessionTerms.has(sessionId)) sessionTerms.set(sessionId, new Set())
+          sessionTerms.get(sessionId).add(index)
+          if (!sessions.has(sessionId)) sessions.set(sessionId, [])
+          sessions.get(sessionId).titleHits = (sessions.get(sessionId).titleHits || 0) + 1
+        })
+      }
+    }
+
+    const results = []
+    for (const [sessionId, hits] of sessions) {
+      hits.sort((a, b) => b.score - a.score)
+      // The best passage counts in full, further ones add a little
+      const best = hits[0]?.score || 0
+      const rest = hits.slice(1).reduce((sum, hit) => sum + hit.score, 0)
+      const coverage = sessionTerms.get(sessionId).size / queryTerms.length
+      const score = (best + 0.25 * rest + TITLE_BOOST * (hits.titleHits || 0)) * coverage * coverage
+      results.push({
+        sessionId,
+        score,
+        matches: hits.slice(0, snippets).map(({ passage }) => ({
+          kind: passage.kind,
+          ...buildSnippet(passage.text, queryTerms),
+          timestamp: passage.timestamp || null
+        }))
+      })
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit)
+  }
+}
+
+export default SessionSearchIndex
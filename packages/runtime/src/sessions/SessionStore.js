@@ -1,6 +1,9 @@
 import fs from 'fs'
 import { promises as fsPromises } from 'fs'
 import path from 'path'
+import { redactSecrets } from '../sandbox/SecretRedactor.js'
+import { SessionSearchIndex } from './SessionSearchIndex.js'
+import { contextTokensFromUsage } from './ContextCompactor.js'
 
 const DEFAULT_TOKENS = {
   input: 0,
@@ -13,9 +16,17 @@ export class SessionStore {
   constructor({ basePath }) {
     this.basePath = basePath
     this.metadataCache = new Map()
+    // sessionId -> promise for sessions whose first metadata write is in flight
+    this.creating = new Map()
+    // sessionId -> the last queued log append (appendEvent, settleEvents)
+    this.appending = new Map()
     this.indexPath = path.join(this.basePath, 'sessions.index.json')
     fs.mkdirSync(this.basePath, { recursive: true })
     this.loadIndex()
+    this.searchIndex = new SessionSearchIndex({
+      filePath: path.join(this.basePath, 'search.index.jsonl'),
+      readSessions: () => this.readAllEvents()
+    })
   }
 
   loadIndex() {
@@ -84,6 +95,10 @@ export class SessionStore {
 
   async ensureSession(sessionId, defaults = {}) {
     if (!sessionId) return null
+    // Another call is creating this session; wait for it, then merge our defaults
+    if (this.creating.has(sessionId)) {
+      await this.creating.get(sessionId)
+    }
     let metadata = this.metadataCache.get(sessionId)
     if (!metadata) {
       const now = new Date().toISOString()
@@ -97,11 +112,20 @@ export class SessionStore {
         totalTokens: { ...DEFAULT_TOKENS },
         lastUserMessage: defaults.firstMessage || '',
         model: defaults.model || null,
+        backend: defaults.backend || null,
         status: 'active',
-        tags: defaults.tags || []
+        tags: defaults.tags || [],
+        // API token and app of the client that started the session
+        owner: defaults.owner || null
+      }
+      const creation = fsPromises.mkdir(this.getSessionDir(sessionId), { recursive: true })
+        .then(() => this.writeMetadata(sessionId, metadata))
+      this.creating.set(sessionId, creation)
+      try {
+        await creation
+      } finally {
+        this.creating.delete(sessionId)
       }
-      await fsPromises.mkdir(this.getSessionDir(sessionId), { recursive: true })
-      await this.writeMetadata(sessionId, metadata)
     } else {
       let updated = false
       if (defaults.workspacePath && metadata.workspacePath !== defaults.workspacePath) {
@@ -116,6 +140,10 @@ export class SessionStore {
         metadata.model = defaults.model
         updated = true
       }
+      if (defaults.backend && !metadata.backend) {
+        metadata.backend = defaults.backend
+        updated = true
+      }
       if (defaults.updatedAt) {
         metadata.updatedAt = defaults.updatedAt
         updated = true
@@ -128,9 +156,11 @@ export class SessionStore {
   }
 
   async writeMetadata(sessionId, metadata) {
+    // Cache first: concurrent updateMetadata calls build on each other
+    // instead of the last write to finish dropping the others' changes
+    this.metadataCache.set(sessionId, metadata)
     const metaPath = this.getMetadataPath(sessionId)
     await fsPromises.writeFile(metaPath, JSON.stringify(metadata, null, 2), 'utf8')
-    this.metadataCache.set(sessionId, metadata)
     await this.persistIndex()
   }
 
@@ -146,27 +176,56 @@ export class SessionStore {
 
   async appendEvent(sessionId, event, defaults = {}) {
     if (!sessionId) return
-    await this.ensureSession(sessionId, defaults)
     const logEntry = {
       timestamp: new Date().toISOString(),
       direction: event.direction,
-      payload: event.payload
+      payload: redactSecrets(event.payload)
     }
-    await fsPromises.appendFile(this.getLogPath(sessionId), `${JSON.stringify(logEntry)}\n`, 'utf8')
+    // Indexed before the first await so entries reach the index in emit order
+    this.searchIndex.add(sessionId, logEntry)
 
-    const metadata = this.metadataCache.get(sessionId)
-    if (metadata) {
-      const updates = {}
-      const payloadType = event.payload?.type
-      if (payloadType === 'query') {
-        updates.messageCount = (metadata.messageCount || 0) + 1
-        if (event.payload?.message) {
-          updates.lastUserMessage = event.payload.message.slice(0, 200)
+    // One append at a time per session, so the log keeps emit order too
+    const previous = this.appending.get(sessionId) || Promise.resolve()
+    const append = previous.then(async () => {
+      await this.ensureSession(sessionId, defaults)
+      await fsPromises.appendFile(this.getLogPath(sessionId), `${JSON.stringify(logEntry)}\n`, 'utf8')
+
+      const metadata = this.metadataCache.get(sessionId)
+      if (metadata) {
+        const updates = {}
+        const payloadType = logEntry.payload?.type
+        if (payloadType === 'query') {
+          updates.messageCount = (metadata.messageCount || 0) + 1
+          if (logEntry.payload?.message) {
+            updates.lastUserMessage = logEntry.payload.message.slice(0, 200)
+          }
+        }
+        if (typeof event.payload?.seq === 'number' && event.payload.seq > (metadata.lastSeq || 0)) {
+          updates.lastSeq = event.payload.seq
         }
+        updates.updatedAt = logEntry.timestamp
+        await this.updateMetadata(sessionId, updates)
       }
-      updates.updatedAt = logEntry.timestamp
-      await this.updateMetadata(sessionId, updates)
+    })
+    const tail = append.catch(() => {})
+    this.appending.set(sessionId, tail)
+    try {
+      await append
+    } finally {
+      if (this.appending.get(sessionId) === tail) this.appending.delete(sessionId)
     }
+    await this.searchIndex.settled()
+  }
+
+  /**
+   * Wait for events already passed to appendEvent to reach the session log
+   * and its metadata.
+   * The runtime records events without waiting, so read this before a
+   * transcript that has to include the latest turn.
+   * @param {string} sessionId - The session ID
+   */
+  async settleEvents(sessionId) {
+    await this.appending.get(sessionId)
   }
 
   async updateMetadata(sessionId, updates = {}) {
@@ -178,6 +237,10 @@ export class SessionStore {
     if (updates.totalTokens) {
       next.totalTokens = { ...metadata.totalTokens, ...updates.totalTokens }
     }
+    if (updates.lastSeq) {
+      // Appends run concurrently; never let an older event move lastSeq backwards
+      next.lastSeq = Math.max(metadata.lastSeq || 0, updates.lastSeq)
+    }
     await this.writeMetadata(sessionId, next)
   }
 
@@ -193,8 +256,11 @@ export class SessionStore {
     totals.output += output
     totals.cacheCreation += (usage.cache_creation_input_tokens || 0) + (usage.cache_creation_output_tokens || 0)
     totals.cacheRead += usage.cache_read_input_tokens || 0
+    // The latest call's size is how full the context is now
+    const contextTokens = contextTokensFromUsage(usage)
     await this.updateMetadata(sessionId, {
       totalTokens: totals,
+      ...(contextTokens > 0 ? { contextTokens } : {}),
       updatedAt: new Date().toISOString()
     })
   }
@@ -230,6 +296,238 @@ export class SessionStore {
       .filter(Boolean)
   }
 
+  /**
+   * Conversation rebuilt from the event log: each user query and the
+   * assistant text streamed back for it, oldest first
+   * @param {string} sessionId - The session ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Most recent messages to return
+   * @returns {Object[]} { role: 'user'|'assistant', text, timestamp, tools? }
+   */
+  async getTranscript(sessionId, { limit = 20 } = {}) {
+    const events = await this.getSessionEvents(sessionId, { limit: Infinity })
+    const messages = []
+    let assistant = null
+    for (const { direction, payload = {}, timestamp } of events) {
+      if (direction === 'inbound' && payload.type === 'query') {
+        assistant = null
+        messages.push({ role: 'user', text: payload.message || '', timestamp })
+        continue
+      }
+      if (direction !== 'outbound') continue
+      if (payload.type === 'complete') {
+        assistant = null
+      } else if (payload.type === 'chunk' || payload.type === 'tool_use') {
+        if (!assistant) {
+          assistant = { role: 'assistant', text: '', timestamp }
+          messages.push(assistant)
+        }
+        if (payload.type === 'chunk') {
+          assistant.text += payload.text || payload.content || ''
+        } else {
+          assistant.tools = [...(assistant.tools || []), payload.tool_name]
+        }
+      }
+    }
+    return messages.slice(-limit)
+  }
+
+  /**
+   * Highest outbound sequence number recorded for a session
+   * @param {string} sessionId - The session ID
+   * @returns {number}
+   */
+  getLastSeq(sessionId) {
+    if (!sessionId) return 0
+    return this.metadataCache.get(sessionId)?.lastSeq || 0
+  }
+
+  /**
+   * Outbound payloads with seq greater than afterSeq, oldest first
+   * Used to replay a stream to a reconnecting client
+   * @param {string} sessionId - The session ID
+   * @param {number} afterSeq - Last sequence number the client saw
+   * @returns {Object[]} Event payloads
+   */
+  async getOutboundEventsAfter(sessionId, afterSeq = 0) {
+    const events = await this.getSessionEvents(sessionId, { limit: Infinity })
+    return events
+      .filter((event) => event.direction === 'outbound' && typeof event.payload?.seq === 'number' && event.payload.seq > afterSeq)
+      .map((event) => event.payload)
+  }
+
+  /**
+   * Copy a session up to (not including) one of its queries into a new
+   * session. The copy records where it came from (`parentSessionId`,
+   * `forkedAtEvent`) and, in `forkResume`, the SDK session and assistant
+   * message to resume from; `forkPending` stays set until its first query
+   * has started the new SDK session.
+   * @param {string} sessionId - Session to fork
+   * @param {string} newSessionId - ID of the copy
+   * @param {Object} [options]
+   * @param {number} [options.queryIndex=Infinity] - 1-based query to fork before (default: keep every query)
+   * @returns {Object} Metadata of the copy plus `forkedQuery`, the text of the dropped query
+   */
+  async forkSession(sessionId, newSessionId, { queryIndex = Infinity } = {}) {
+    const source = this.metadataCache.get(sessionId)
+    if (!source) {
+      throw new Error(`Session not found: ${sessionId}`)
+    }
+    if (this.metadataCache.has(newSessionId)) {
+      throw new Error(`Session already exists: ${newSessionId}`)
+    }
+    if (!(queryIndex >= 1)) {
+      throw new Error(`Invalid query index: ${queryIndex}`)
+    }
+
+    const events = await this.getSessionEvents(sessionId, { limit: Infinity })
+    let cut = events.length
+    let queries = 0
+    for (let i = 0; i < events.length; i++) {
+      const { direction, payload } = events[i]
+      if (direction !== 'inbound' || payload?.type !== 'query') continue
+      queries += 1
+      if (queries === queryIndex) {
+        cut = i
+        break
+      }
+    }
+    if (Number.isFinite(queryIndex) && cut === events.length) {
+      throw new Error(`Session ${sessionId} has ${queries} queries, cannot fork before query ${queryIndex}`)
+    }
+
+    const kept = events.slice(0, cut)
+    let forkResume = null
+    let lastUserMessage = ''
+    let lastSeq = 0
+    let messageCount = 0
+    for (const { direction, payload = {} } of kept) {
+      if (direction === 'inbound' && payload.type === 'query') {
+        messageCount += 1
+        lastUserMessage = (payload.message || '').slice(0, 200)
+      }
+      if (direction === 'outbound' && payload.type === 'complete' && payload.message_uuid && !payload.aborted) {
+        forkResume = { sessionId: payload.session_id, messageUuid: payload.message_uuid }
+      }
+      if (typeof payload.seq === 'number' && payload.seq > lastSeq) {
+        lastSeq = payload.seq
+      }
+    }
+
+    const now = new Date().toISOString()
+    const metadata = {
+      ...source,
+      id: newSessionId,
+      title: `${source.title} (fork)`,
+      createdAt: now,
+      updatedAt: now,
+      messageCount,
+      lastUserMessage,
+      totalTokens: { ...DEFAULT_TOKENS },
+      lastSeq,
+      status: 'active',
+      parentSessionId: sessionId,
+      forkedAtEvent: cut,
+      forkResume,
+      forkPending: true,
+      continuedIn: null
+    }
+    await fsPromises.mkdir(this.getSessionDir(newSessionId), { recursive: true })
+    const log = kept.map((event) => `${JSON.stringify(event)}\n`).join('')
+    await fsPromises.writeFile(this.getLogPath(newSessionId), log, 'utf8')
+    await this.writeMetadata(newSessionId, metadata)
+    await this.searchIndex.addAll(newSessionId, kept)
+
+    const dropped = events[cut]
+    return { ...metadata, forkedQuery: dropped ? dropped.payload.message || '' : null }
+  }
+
+  /**
+   * Start a session that continues a compacted one. It has no events of its
+   * own yet; `compaction` holds the summary and the messages carried over,
+   * and `parentSessionId` where it came from. Like a fork it is pending
+   * until its first query starts the new SDK session, but it does not
+   * resume the parent's. The parent gets `continuedIn`.
+   * @param {string} sessionId - Session that was compacted
+   * @param {string} newSessionId - ID of the continuation
+   * @param {Object} compaction - { summary, recentMessages, focus, reason, contextTokens }
+   * @returns {Object} Metadata of the continuation
+   */
+  async createContinuation(sessionId, newSessionId, compaction) {
+    const source = this.metadataCache.get(sessionId)
+    if (!source) {
+      throw new Error(`Session not found: ${sessionId}`)
+    }
+    if (this.metadataCache.has(newSessionId)) {
+      throw new Error(`Session already exists: ${newSessionId}`)
+    }
+
+    const now = new Date().toISOString()
+    const metadata = {
+      ...source,
+      id: newSessionId,
+      title: source.title.endsWith(' (continued)') ? source.title : `${source.title} (continued)`,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0,
+      totalTokens: { ...DEFAULT_TOKENS },
+      contextTokens: 0,
+      lastSeq: 0,
+      status: 'active',
+      parentSessionId: sessionId,
+      forkedAtEvent: null,
+      forkResume: null,
+      forkPending: true,
+      continuedIn: null,
+      compaction: { ...compaction, compactedAt: now }
+    }
+    await fsPromises.mkdir(this.getSessionDir(newSessionId), { recursive: true })
+    await fsPromises.writeFile(this.getLogPath(newSessionId), '', 'utf8')
+    await this.writeMetadata(newSessionId, metadata)
+    await this.updateMetadata(sessionId, { continuedIn: newSessionId })
+    return metadata
+  }
+
+  /**
+   * Create a session from metadata and events recorded elsewhere (an
+   * imported bundle)
+   * @param {string} sessionId - ID for the new session
+   * @param {Object} metadata - Session metadata; `id` is replaced
+   * @param {Object[]} events - Event log entries, oldest first
+   * @returns {Object} Metadata of the new session
+   */
+  async importSession(sessionId, metadata, events = []) {
+    if (this.metadataCache.has(sessionId)) {
+      throw new Error(`Session already exists: ${sessionId}`)
+    }
+    const next = {
+      ...metadata,
+      id: sessionId,
+      totalTokens: { ...DEFAULT_TOKENS, ...metadata.totalTokens },
+      updatedAt: metadata.updatedAt || new Date().toISOString()
+    }
+    await fsPromises.mkdir(this.getSessionDir(sessionId), { recursive: true })
+    const log = events.map((event) => `${JSON.stringify(event)}\n`).join('')
+    await fsPromises.writeFile(this.getLogPath(sessionId), log, 'utf8')
+    await this.writeMetadata(sessionId, next)
+    await this.searchIndex.addAll(sessionId, events)
+    return next
+  }
+
+  /**
+   * Where a forked (or imported) session that has not run a query yet
+   * should resume from. `compacted` marks a continuation, which starts
+   * afresh from its summary instead
+   * @param {string} sessionId - The session ID
+   * @returns {Object|null} { parentSessionId, resume: { sessionId, messageUuid }|null, compacted? }, or null if not pending
+   */
+  getPendingFork(sessionId) {
+    const metadata = sessionId ? this.metadataCache.get(sessionId) : null
+    if (!metadata?.forkPending) return null
+    const pending = { parentSessionId: metadata.parentSessionId || null, resume: metadata.forkResume || null }
+    return metadata.compaction && !metadata.forkResume ? { ...pending, compacted: true } : pending
+  }
+
   async deleteSession(sessionId) {
     const dir = this.getSessionDir(sessionId)
     if (fs.existsSync(dir)) {
@@ -237,6 +535,42 @@ export class SessionStore {
     }
     this.metadataCache.delete(sessionId)
     await this.persistIndex()
+    await this.searchIndex.remove(sessionId)
+  }
+
+  /**
+   * Full-text search over user messages, assistant text, tool names and
+   * file paths of every session
+   * @param {string} query - Free text; the last word also matches as a prefix
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Sessions to return
+   * @param {string} [options.workspacePath] - Only sessions in this workspace
+   * @returns {Object[]} Session metadata plus `score` and `matches` ({ kind, text, highlights, timestamp }), best first
+   */
+  async searchSessions(query, { limit = 20, workspacePath } = {}) {
+    const titles = new Map()
+    for (const metadata of this.metadataCache.values()) {
+      if (workspacePath && metadata.workspacePath !== workspacePath) continue
+      titles.set(metadata.id, metadata.title || '')
+    }
+    const results = await this.searchIndex.search(query, { limit, titles })
+    return results.map(({ sessionId, score, matches }) => ({
+      ...this.metadataCache.get(sessionId),
+      score,
+      matches
+    }))
+  }
+
+  /**
+   * Every session's event log, for rebuilding the search index
+   * @returns {Object[]} { sessionId, events }
+   */
+  async readAllEvents() {
+    const sessions = []
+    for (const sessionId of this.metadataCache.keys()) {
+      sessions.push({ sessionId, events: await this.getSessionEvents(sessionId, { limit: Infinity }) })
+    }
+    return sessions
   }
 
   /**
@@ -0,0 +1,489 @@
+/**
+ * Tracer - Structured spans for queries, tool calls and provider requests
+ *
+ * A small OpenTelemetry-style tracer (no SDK dependency). Each query is one
+ * trace: a `friday.query` root span with child spans for MCP server startup,
+ * every tool use, permission waits and paid media calls. Spans carry token
+ * and cost attributes so a slow or expensive run can be read off the tree.
+ *
+ * Exporters:
+ *   - JSONL (default): one span per line in ~/.friday/traces/YYYY-MM-DD.jsonl,
+ *     read back by `friday trace <sessionId>`
+ *   - OTLP/HTTP: spans are POSTed as OTLP JSON to <endpoint>/v1/traces
+ *
+ * Configuration (~/.friday/config.json → "tracing", env vars win):
+ *   { "enabled": true, "jsonl": true, "otlpEndpoint": "http://localhost:4318",
+ *     "otlpHeaders": { "x-api-key": "..." }, "retentionDays": 14 }
+ *   FRIDAY_TRACING=off                  Disable tracing
+ *   OTEL_EXPORTER_OTLP_ENDPOINT         Collector base URL
+ *   OTEL_EXPORTER_OTLP_TRACES_ENDPOINT  Full traces URL
+ *   OTEL_EXPORTER_OTLP_HEADERS          "key=value,key2=value2"
+ *
+ * Child processes (the friday-media MCP server) continue the trace through
+ * the W3C TRACEPARENT environment variable.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const CONFIG_DIR = process.env.FRIDAY_CONFIG_DIR || path.join(os.homedir(), '.friday');
+const TRACES_DIR = path.join(CONFIG_DIR, 'traces');
+const DEFAULT_RETENTION_DAYS = 14;
+const OTLP_BATCH_SIZE = 100;
+const OTLP_TIMEOUT_MS = 5000;
+
+export const SPAN_STATUS = {
+  UNSET: 'unset',
+  OK: 'ok',
+  ERROR: 'error',
+};
+
+// Active span of the current async context, shared by all tracers
+const spanScope = new AsyncLocalStorage();
+
+const newTraceId = () => crypto.randomBytes(16).toString('hex');
+const newSpanId = () => crypto.randomBytes(8).toString('hex');
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Parse a W3C traceparent header ("00-<traceId>-<spanId>-<flags>").
+ * @returns {{ traceId: string, spanId: string } | null}
+ */
+export function parseTraceparent(value) {
+  const match = /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-[\da-f]{2}$/.exec(String(value || '').trim());
+  return match ? { traceId: match[1], spanId: match[2] } : null;
+}
+
+export class Span {
+  constructor(tracer, name, { traceId, parentSpanId = null, attributes = {}, remoteParent = false, startTime = Date.now() }) {
+    this.tracer = tracer;
+    this.traceId = traceId;
+    this.spanId = newSpanId();
+    this.parentSpanId = parentSpanId;
+    // A span whose parent lives in another process is a local root
+    this.isLocalRoot = !parentSpanId || remoteParent;
+    this.name = name;
+    this.startTime = startTime;
+    this.endTime = null;
+    this.status = SPAN_STATUS.UNSET;
+    this.statusMessage = null;
+    this.attributes = {};
+    this.events = [];
+    this.setAttributes(attributes);
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) this.setAttribute(key, value);
+    return this;
+  }
+
+  /**
+   * Add to a numeric attribute (token and cost totals).
+   */
+  addToAttribute(key, amount) {
+    if (!amount) return this;
+    this.attributes[key] = (this.attributes[key] || 0) + amount;
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: Date.now(), attributes });
+    return this;
+  }
+
+  setStatus(status, message = null) {
+    this.status = status;
+    this.statusMessage = message;
+    return this;
+  }
+
+  recordError(error) {
+    const message = error?.message || String(error);
+    this.addEvent('exception', { 'exception.message': message });
+    return this.setStatus(SPAN_STATUS.ERROR, message);
+  }
+
+  /**
+   * W3C traceparent for handing this span to a child process.
+   */
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+
+  end(attributes = {}) {
+    if (this.ended) return;
+    this.setAttributes(attributes);
+    this.endTime = Date.now();
+    this.tracer.onSpanEnd(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      service: this.tracer.serviceName,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      durationMs: this.endTime !== null ? this.endTime - this.startTime : null,
+      status: this.status,
+      ...(this.statusMessage ? { statusMessage: this.statusMessage } : {}),
+      attributes: this.attributes,
+      events: this.events,
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTERS
+// =============================================================================
+
+/**
+ * Appends finished spans to one JSONL file per day.
+ */
+export class JsonlTraceExporter {
+  constructor({ dir = TRACES_DIR, retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this._pruned = false;
+  }
+
+  export(spans) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (!this._pruned) this.prune();
+    const byDay = new Map();
+    for (const span of spans) {
+      const key = dayKey(span.startTime);
+      byDay.set(key, (byDay.get(key) || '') + `${JSON.stringify(span)}\n`);
+    }
+    for (const [day, lines] of byDay) {
+      fs.appendFileSync(path.join(this.dir, `${day}.jsonl`), lines, 'utf8');
+    }
+  }
+
+  /**
+   * Delete trace files older than the retention period.
+   */
+  prune() {
+    this._pruned = true;
+    const cutoff = dayKey(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    for (const file of this.listFiles()) {
+      if (file.slice(0, 10) < cutoff) {
+        try { fs.unlinkSync(path.join(this.dir, file)); } catch { /* ignore */ }
+      }
+    }
+  }
+
+  listFiles() {
+    try {
+      return fs.readdirSync(this.dir).filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file)).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  readAll() {
+    const spans = [];
+    for (const file of this.listFiles()) {
+      const raw = fs.readFileSync(path.join(this.dir, file), 'utf8');
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          spans.push(JSON.parse(line));
+        } catch {
+          // skip partial lines
+        }
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * All spans of the traces (queries) that belong to a session.
+   * Accepts a unique prefix of the session id; `ambiguous` lists the
+   * matches when a prefix fits more than one session.
+   * @returns {{ sessionId: string|null, spans: object[], ambiguous?: string[] }}
+   */
+  readSession(sessionId) {
+    const spans = this.readAll();
+    const roots = spans.filter(span => !span.parentSpanId && span.attributes?.['session.id']);
+    const ids = [...new Set(roots.map(span => span.attributes['session.id']))];
+    const match = ids.includes(sessionId) ? sessionId : ids.filter(id => id.startsWith(sessionId));
+    if (Array.isArray(match) && match.length !== 1) {
+      return { sessionId: null, spans: [], ambiguous: match.length > 1 ? match : [] };
+    }
+    const resolved = Array.isArray(match) ? match[0] : match;
+    const traceIds = new Set(roots.filter(span => span.attributes['session.id'] === resolved).map(span => span.traceId));
+    return {
+      sessionId: resolved,
+      spans: spans.filter(span => traceIds.has(span.traceId)).sort((a, b) => a.startTime - b.startTime),
+    };
+  }
+
+  /**
+   * Sessions with traces, most recent first.
+   * @returns {Array<{ sessionId, queries, firstStart, lastEnd, durationMs, cost, errors }>}
+   */
+  listSessions() {
+    const sessions = new Map();
+    for (const span of this.readAll()) {
+      const sessionId = span.parentSpanId ? null : span.attributes?.['session.id'];
+      if (!sessionId) continue;
+      const entry = sessions.get(sessionId) || { sessionId, queries: 0, firstStart: span.startTime, lastEnd: 0, durationMs: 0, cost: 0, errors: 0 };
+      entry.queries += 1;
+      entry.firstStart = Math.min(entry.firstStart, span.startTime);
+      entry.lastEnd = Math.max(entry.lastEnd, span.endTime || span.startTime);
+      entry.durationMs += span.durationMs || 0;
+      entry.cost += span.attributes['cost.usd'] || 0;
+      if (span.status === SPAN_STATUS.ERROR) entry.errors += 1;
+      sessions.set(sessionId, entry);
+    }
+    return [...sessions.values()].sort((a, b) => b.lastEnd - a.lastEnd);
+  }
+}
+
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+  if (typeof value === 'string') return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+}
+
+function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+const toUnixNano = (ms) => (BigInt(ms) * 1000000n).toString();
+
+/**
+ * Convert finished spans (toJSON form) to an OTLP/JSON ExportTraceServiceRequest.
+ */
+export function toOtlpRequest(spans) {
+  const byService = new Map();
+  for (const span of spans) {
+    const service = span.service || 'friday-runtime';
+    if (!byService.has(service)) byService.set(service, []);
+    byService.get(service).push(span);
+  }
+  return {
+    resourceSpans: [...byService].map(([service, serviceSpans]) => ({
+      resource: { attributes: toOtlpAttributes({ 'service.name': service }) },
+      scopeSpans: [{
+        scope: { name: 'friday' },
+        spans: serviceSpans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: 1, // SPAN_KIND_INTERNAL
+          startTimeUnixNano: toUnixNano(span.startTime),
+          endTimeUnixNano: toUnixNano(span.endTime ?? span.startTime),
+          attributes: toOtlpAttributes(span.attributes),
+          events: (span.events || []).map(event => ({
+            name: event.name,
+            timeUnixNano: toUnixNano(event.time),
+            attributes: toOtlpAttributes(event.attributes),
+          })),
+          status: {
+            code: span.status === SPAN_STATUS.OK ? 1 : span.status === SPAN_STATUS.ERROR ? 2 : 0,
+            ...(span.statusMessage ? { message: span.statusMessage } : {}),
+          },
+        })),
+      }],
+    })),
+  };
+}
+
+/**
+ * Parse OTEL_EXPORTER_OTLP_HEADERS ("key=value,key2=value2").
+ */
+export function parseOtlpHeaders(value) {
+  const headers = {};
+  for (const pair of String(value || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index > 0) headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+  }
+  return headers;
+}
+
+/**
+ * POSTs spans to an OTLP/HTTP collector as JSON.
+ */
+export class OtlpHttpExporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Collector base URL (…/v1/traces is appended) or full traces URL
+   * @param {Object} [options.headers]
+   */
+  constructor({ endpoint, headers = {} }) {
+    this.url = /\/v1\/traces\/?$/.test(endpoint) ? endpoint : `${endpoint.replace(/\/$/, '')}/v1/traces`;
+    this.headers = headers;
+  }
+
+  async export(spans) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(toOtlpRequest(spans)),
+      signal: AbortSignal.timeout(OTLP_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`OTLP collector returned ${response.status}`);
+    }
+  }
+}
+
+// =============================================================================
+// TRACER
+// =============================================================================
+
+export class Tracer {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled]
+   * @param {string} [options.serviceName] - Reported as service.name
+   * @param {Array} [options.exporters] - Objects with export(spans); JSONL exporters are written synchronously
+   */
+  constructor({ enabled = true, serviceName = 'friday-runtime', exporters = [] } = {}) {
+    this.enabled = enabled;
+    this.serviceName = serviceName;
+    this.exporters = exporters;
+    // Spans finished but not yet sent by batching exporters
+    this.pending = [];
+    this._inflight = Promise.resolve();
+    this._warned = new Set();
+  }
+
+  /**
+   * Start a span.
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {Span|{traceId, spanId}|null} [options.parent] - Parent span, remote context, or null for a new trace.
+   *   Defaults to the active span.
+   * @param {Object} [options.attributes]
+   * @param {number} [options.startTime] - Epoch ms, for spans started after the fact
+   */
+  startSpan(name, { parent, attributes = {}, startTime } = {}) {
+    const parentContext = parent === undefined ? this.getActiveSpan() : parent;
+    const remoteParent = Boolean(parentContext) && !(parentContext instanceof Span);
+    return new Span(this, name, {
+      traceId: parentContext?.traceId || newTraceId(),
+      parentSpanId: parentContext?.spanId || null,
+      attributes,
+      remoteParent,
+      ...(startTime ? { startTime } : {}),
+    });
+  }
+
+  /**
+   * Run fn inside a new span that becomes the active span for its async
+   * continuations. Errors are recorded on the span and rethrown.
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await spanScope.run(span, () => fn(span));
+      if (span.status === SPAN_STATUS.UNSET) span.setStatus(SPAN_STATUS.OK);
+      return result;
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  getActiveSpan() {
+    return spanScope.getStore() || null;
+  }
+
+  onSpanEnd(span) {
+    if (!this.enabled) return;
+    const record = span.toJSON();
+    for (const exporter of this.exporters) {
+      if (exporter instanceof JsonlTraceExporter) {
+        try {
+          exporter.export([record]);
+        } catch (error) {
+          this._warn(exporter, error);
+        }
+      }
+    }
+    if (!this.exporters.some(exporter => !(exporter instanceof JsonlTraceExporter))) return;
+    this.pending.push(record);
+    if (span.isLocalRoot || this.pending.length >= OTLP_BATCH_SIZE) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send pending spans to the batching (OTLP) exporters. Resolves once
+   * everything sent so far has been delivered (or has failed).
+   */
+  flush() {
+    const batch = this.pending;
+    this.pending = [];
+    const sent = batch.length === 0 ? null : Promise.all(this.exporters
+      .filter(exporter => !(exporter instanceof JsonlTraceExporter))
+      .map(exporter => Promise.resolve()
+        .then(() => exporter.export(batch))
+        .catch(error => this._warn(exporter, error))));
+    this._inflight = Promise.all([this._inflight, sent]).then(() => {});
+    return this._inflight;
+  }
+
+  _warn(exporter, error) {
+    // One warning per exporter, not one per span
+    if (this._warned.has(exporter)) return;
+    this._warned.add(exporter);
+    console.error(`[Tracer] Export failed (${exporter.constructor.name}): ${error.message}`);
+  }
+}
+
+function readTracingConfig() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'config.json'), 'utf8'));
+    return raw?.tracing && typeof raw.tracing === 'object' ? raw.tracing : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a tracer from ~/.friday/config.json and the OTEL_* environment variables.
+ */
+export function createTracer({ serviceName = 'friday-runtime', env = process.env } = {}) {
+  const config = readTracingConfig();
+  const disabled = /^(0|false|off|no)$/i.test(env.FRIDAY_TRACING || '') || config.enabled === false;
+  const exporters = [];
+  if (config.jsonl !== false) {
+    exporters.push(new JsonlTraceExporter({ retentionDays: config.retentionDays || DEFAULT_RETENTION_DAYS }));
+  }
+  const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || env.OTEL_EXPORTER_OTLP_ENDPOINT || config.otlpEndpoint;
+  if (endpoint) {
+    exporters.push(new OtlpHttpExporter({
+      endpoint,
+      headers: { ...(config.otlpHeaders || {}), ...parseOtlpHeaders(env.OTEL_EXPORTER_OTLP_HEADERS) },
+    }));
+  }
+  return new Tracer({ enabled: !disabled, serviceName, exporters });
+}
+
+export const TRACE_DIR = TRACES_DIR;
+
+const tracer = createTracer();
+export default tracer;
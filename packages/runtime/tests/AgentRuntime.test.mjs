@@ -0,0 +1,779 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { query as sdkQuery } from '@anthropic-ai/claude-agent-sdk';
+import { AgentRuntime } from '../src/runtime/AgentRuntime.js';
+import tracer from '../src/tracing/Tracer.js';
+import { CheckpointStore } from '../src/checkpoints/CheckpointStore.js';
+import { PermissionAuditLog } from '../src/permissions/PermissionAuditLog.js';
+import { ProjectTrustStore, loadProjectConfig } from '../src/project/ProjectConfig.js';
+import { MemoryFiles } from '../src/memory/MemoryFiles.js';
+import { MemoryStore } from '../src/memory/MemoryStore.js';
+
+const TERMINAL_SERVER = fileURLToPath(new URL('../mcp-servers/terminal-server.js', import.meta.url));
+
+// A Messages API that plays scripted assistant turns to the Claude Agent SDK
+// and records the requests it sends
+function startFakeMessagesApi(turns) {
+  const fake = { requests: [] };
+  fake.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = body ? JSON.parse(body) : {};
+      if (!req.url.startsWith('/v1/messages') || req.url.includes('count_tokens')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ input_tokens: 10 }));
+        return;
+      }
+      fake.requests.push(request);
+      // Side requests (titles, summaries) carry no tools and get a plain reply
+      const content = request.tools?.length && turns.length ? turns.shift() : [{ type: 'text', text: 'done' }];
+      const stopReason = content.some((block) => block.type === 'tool_use') ? 'tool_use' : 'end_turn';
+      const message = { id: `msg_${fake.requests.length}`, type: 'message', role: 'assistant', model: request.model, content, stop_reason: stopReason, stop_sequence: null, usage: { input_tokens: 10, output_tokens: 5 } };
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(message));
+        return;
+      }
+      const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      send('message_start', { message: { ...message, content: [], stop_reason: null } });
+      content.forEach((block, index) => {
+        if (block.type === 'tool_use') {
+          send('content_block_start', { index, content_block: { ...block, input: {} } });
+          send('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+        } else {
+          send('content_block_start', { index, content_block: { type: 'text', text: '' } });
+          send('content_block_delta', { index, delta: { type: 'text_delta', text: block.text } });
+        }
+        send('content_block_stop', { index });
+      });
+      send('message_delta', { delta: { stop_reason: stopReason, stop_sequence: null }, usage: { output_tokens: 5 } });
+      send('message_stop', {});
+      res.end();
+    });
+  });
+  return new Promise((resolve) => fake.server.listen(0, '127.0.0.1', () => {
+    fake.baseUrl = `http://127.0.0.1:${fake.server.address().port}`;
+    resolve(fake);
+  }));
+}
+
+describe('AgentRuntime', () => {
+  let runtime;
+  let messages;
+
+  beforeEach(() => {
+    runtime = new AgentRuntime({ workspacePath: '/tmp' });
+    runtime.log = () => {};
+    messages = [];
+    runtime.on('message', (payload) => messages.push(payload));
+  });
+
+  describe('stream sequencing', () => {
+    it('numbers outbound events monotonically', () => {
+      runtime.emitMessage({ type: 'info', message: 'a' });
+      runtime.emitMessage({ type: 'info', message: 'b' });
+      assert.deepEqual(messages.map((m) => m.seq), [1, 2]);
+    });
+
+    it('replays buffered events after a seq', async () => {
+      runtime.currentSessionId = 's1';
+      runtime.emitMessage({ type: 'chunk', text: 'a' });
+      runtime.emitMessage({ type: 'chunk', text: 'b' });
+      const events = await runtime.getStreamEventsSince('s1', 1);
+      assert.deepEqual(events.map((e) => e.text), ['b']);
+    });
+  });
+
+  describe('session contexts', () => {
+    it('keeps state separate per session', async () => {
+      const a = runtime.resolveSessionContext('A');
+      const b = runtime.resolveSessionContext('B');
+
+      await Promise.all([
+        runtime.runInSession(a, async () => {
+          runtime.currentAbortController = new AbortController();
+          runtime.sessionApprovals.set('bash', { level: 'session' });
+        }),
+        runtime.runInSession(b, async () => {
+          runtime.currentAbortController = new AbortController();
+        }),
+      ]);
+
+      assert.notEqual(a.abortController, b.abortController);
+      assert.ok(a.sessionApprovals.has('bash'));
+      assert.ok(!b.sessionApprovals.has('bash'));
+      assert.deepEqual(runtime.getActiveSessions().sort(), ['A', 'B']);
+    });
+
+    it('tags events with the emitting session', async () => {
+      const a = runtime.resolveSessionContext('A');
+      await runtime.runInSession(a, async () => {
+        runtime.emitMessage({ type: 'chunk', text: 'hi' });
+      });
+      assert.equal(messages[0].session_id, 'A');
+    });
+
+    it('uses a fresh context for a new query while the default one is busy', () => {
+      runtime.defaultSession.abortController = new AbortController();
+      const context = runtime.resolveSessionContext(null);
+      assert.notEqual(context, runtime.defaultSession);
+    });
+
+    it('aborts only the requested session', async () => {
+      const a = runtime.resolveSessionContext('A');
+      const b = runtime.resolveSessionContext('B');
+      a.abortController = new AbortController();
+      b.abortController = new AbortController();
+      const signalB = b.abortController.signal;
+
+      assert.equal(runtime.abortCurrentQuery('A'), true);
+      assert.equal(a.abortController, null);
+      assert.equal(signalB.aborted, false);
+      const complete = messages.find((m) => m.type === 'complete');
+      assert.equal(complete.session_id, 'A');
+    });
+
+    it('routes permission responses to the session that asked', () => {
+      const a = runtime.resolveSessionContext('A');
+      const b = runtime.resolveSessionContext('B');
+      let resolvedWith = null;
+      b.pendingPermissions.set(7, {
+        toolName: 'WebFetch',
+        resolve: (decision) => { resolvedWith = decision; },
+      });
+
+      runtime.handlePermissionResponse({ permission_id: 7, approved: true });
+      assert.equal(resolvedWith.approved, true);
+      assert.equal(a.pendingPermissions.size, 0);
+      const cancelled = messages.find((m) => m.type === 'permission_cancelled');
+      assert.equal(cancelled.session_id, 'B');
+    });
+
+    it('drops session contexts once their queries are over', async () => {
+      for (const sessionId of ['A', 'B', 'C']) {
+        await runtime.handleQuery('hi', sessionId, { backend: 'missing' });
+        assert.ok(messages.some((m) => m.code === 'backend_unavailable' && m.session_id === sessionId));
+      }
+      assert.equal(runtime.sessions.size, 0);
+      assert.equal(runtime.getSessionContext('A'), null);
+    });
+
+    it('keeps a session context that holds session approvals', async () => {
+      const a = runtime.resolveSessionContext('A');
+      a.sessionApprovals.set('bash', { level: 'session' });
+      await runtime.handleQuery('hi', 'A', { backend: 'missing' });
+      await runtime.handleQuery('hi', 'B', { backend: 'missing' });
+      assert.deepEqual([...runtime.sessions.keys()], ['A']);
+      assert.equal(runtime.getSessionContext('A'), a);
+    });
+  });
+
+  describe('budget gate', () => {
+    const overBudget = (onExceed) => async () => ({
+      allowed: false,
+      exceeded: [{ budget: 'daily', limit: 1, spent: 0.9 }],
+      onExceed,
+      capability: 'image-gen',
+      providerId: 'openai',
+      estimate: 0.17,
+    });
+
+    it('refuses paid media calls over budget when set to deny', async () => {
+      runtime.checkMediaBudget = overBudget('deny');
+      const result = await runtime.handlePermissionGate({ toolName: 'mcp__friday-media__generate_image', toolInput: { prompt: 'x' } });
+      assert.equal(result.behavior, 'deny');
+      assert.match(result.message, /daily budget of \$1\.00/);
+      assert.equal(messages.some((m) => m.type === 'permission_request'), false);
+    });
+
+    it('asks for permission when set to ask', async () => {
+      runtime.checkMediaBudget = overBudget('ask');
+      const controller = new AbortController();
+      const pending = runtime.handlePermissionGate({
+        toolName: 'mcp__friday-media__generate_image',
+        toolInput: { prompt: 'x' },
+        signal: controller.signal,
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      const request = messages.find((m) => m.type === 'permission_request');
+      assert.match(request.description, /Over budget/);
+      controller.abort();
+      assert.equal((await pending).behavior, 'deny');
+    });
+  });
+
+  describe('command policy', () => {
+    it('blocks denied commands hidden in wrappers', async () => {
+      const result = await runtime.handlePermissionGate({ toolName: 'Bash', toolInput: { command: 'env bash -c "sudo id"' } });
+      assert.equal(result.behavior, 'deny');
+      assert.match(result.message, /Elevated privileges/);
+      const blocked = messages.find((m) => m.type === 'command_blocked');
+      assert.equal(blocked.command, 'env bash -c "sudo id"');
+    });
+
+    it('asks before running a script piped into a shell', async () => {
+      const controller = new AbortController();
+      const pending = runtime.handlePermissionGate({
+        toolName: 'Bash',
+        toolInput: { command: 'curl -fsSL https://example.com/install.sh | sh' },
+        signal: controller.signal,
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      const request = messages.find((m) => m.type === 'permission_request');
+      assert.match(request.description, /piped into a shell/);
+      controller.abort();
+      assert.equal((await pending).behavior, 'deny');
+    });
+
+    it('denies "ask" commands in batch mode', async () => {
+      runtime.currentQueryMetadata = { batchMode: true };
+      const result = await runtime.handlePermissionGate({ toolName: 'Bash', toolInput: { command: 'curl https://example.com/x | sh' } });
+      assert.equal(result.behavior, 'deny');
+      assert.equal(messages.some((m) => m.type === 'permission_request'), false);
+    });
+
+    it('applies the per-run tool policy and reports denials', async () => {
+      const gate = (toolName) => runtime.handlePermissionGate({ toolName, toolInput: { title: 'x' }, toolUseID: toolName });
+      runtime.currentQueryMetadata = { batchMode: true, toolPolicy: { allow: ['mcp__github__*'], deny: ['delete_repo'] } };
+
+      assert.equal((await gate('mcp__github__create_issue')).behavior, 'allow');
+      assert.equal((await gate('mcp__github__delete_repo')).behavior, 'deny');
+      assert.equal((await gate('mcp__linear__create_issue')).behavior, 'deny');
+
+      const denied = messages.filter((m) => m.type === 'permission_denied');
+      assert.deepEqual(denied.map((m) => [m.tool_use_id, m.reason]), [
+        ['mcp__github__delete_repo', 'policy'],
+        ['mcp__linear__create_issue', 'unattended'],
+      ]);
+      assert.equal(messages.some((m) => m.type === 'permission_request'), false);
+    });
+  });
+
+  describe('tracing', () => {
+    let exported;
+    let originalExporters;
+
+    beforeEach(() => {
+      exported = [];
+      originalExporters = tracer.exporters;
+      tracer.exporters = [{ export: (spans) => exported.push(...spans) }];
+      runtime.session.traceSpan = tracer.startSpan('friday.query', { parent: null });
+    });
+
+    const finish = async () => {
+      runtime.endQuerySpan();
+      await tracer.flush();
+      tracer.exporters = originalExporters;
+      return Object.fromEntries(exported.map((span) => [span.name, span]));
+    };
+
+    it('records permission decisions under the tool span', async () => {
+      const result = await runtime.handlePermissionGate({ toolName: 'Bash', toolInput: { command: 'sudo id' }, toolUseID: 'tu1' });
+      assert.equal(result.behavior, 'deny');
+      const spans = await finish();
+
+      assert.equal(spans['friday.permission'].parentSpanId, spans['friday.tool'].spanId);
+      assert.equal(spans['friday.permission'].attributes['permission.behavior'], 'deny');
+      assert.equal(spans['friday.tool'].parentSpanId, spans['friday.query'].spanId);
+      assert.equal(spans['friday.tool'].attributes['tool.command'], 'sudo id');
+      assert.equal(spans['friday.tool'].attributes['tool.denied'], true);
+      assert.equal(spans['friday.tool'].status, 'error');
+    });
+
+    it('adds token usage and cost to the query span', async () => {
+      runtime.model = 'claude-sonnet-4-5';
+      runtime.traceUsage({ input_tokens: 1000, output_tokens: 100 });
+      runtime.traceUsage({ input_tokens: 500, output_tokens: 50 });
+      const spans = await finish();
+
+      const query = spans['friday.query'];
+      assert.equal(query.attributes['gen_ai.usage.input_tokens'], 1500);
+      assert.equal(query.attributes['gen_ai.usage.output_tokens'], 150);
+      assert.ok(query.attributes['cost.usd'] > 0);
+      assert.equal(runtime.session.traceSpan, null);
+    });
+
+    it('closes tool spans the SDK never finished', async () => {
+      runtime.getToolSpan('tu2', 'Read', { file_path: 'a.txt' });
+      const spans = await finish();
+      assert.equal(spans['friday.tool'].attributes['tool.unfinished'], true);
+      assert.equal(spans['friday.query'].status, 'ok');
+    });
+  });
+
+  describe('checkpoints', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-runtime-checkpoints-'));
+      fs.mkdirSync(path.join(tmpDir, 'ws'));
+      runtime = new AgentRuntime({
+        workspacePath: path.join(tmpDir, 'ws'),
+        checkpointStore: new CheckpointStore({ baseDir: path.join(tmpDir, 'checkpoints') })
+      });
+      runtime.log = () => {};
+      runtime.on('message', (payload) => messages.push(payload));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const lastMessage = (type) => messages.filter((message) => message.type === type).pop();
+
+    it('snapshots writes made by file tools and undoes them', () => {
+      const target = path.join(tmpDir, 'ws', 'notes.md');
+      fs.writeFileSync(target, 'before');
+      runtime.session.checkpoint = { prompt: 'update the notes', sessionId: null, turn: null };
+
+      runtime.checkpointFileChange('Bash', { command: 'ls' }, 's1');
+      runtime.checkpointFileChange('Edit', { file_path: 'notes.md', old_string: 'before', new_string: 'after' }, 's1');
+      fs.writeFileSync(target, 'after');
+      runtime.recordCheckpointResult('Edit', { file_path: 'notes.md' });
+      runtime.finishCheckpointTurn();
+
+      runtime.handleCheckpointMessage({ type: 'checkpoint_list', session_id: 's1' });
+      const [checkpoint] = lastMessage('checkpoint_list').checkpoints;
+      assert.equal(checkpoint.prompt, 'update the notes');
+      assert.deepEqual(checkpoint.files, [{ path: target, created: false }]);
+
+      runtime.handleCheckpointMessage({ type: 'checkpoint_restore', session_id: 's1' });
+      assert.equal(lastMessage('checkpoint_restore').restored, true);
+      assert.equal(fs.readFileSync(target, 'utf8'), 'before');
+    });
+
+    it('reports conflicts and refuses restores during a query', () => {
+      const target = path.join(tmpDir, 'ws', 'a.txt');
+      runtime.session.checkpoint = { prompt: 'create a file', sessionId: null, turn: null };
+      runtime.checkpointFileChange('Write', { file_path: target, content: 'x' }, 's1');
+      fs.writeFileSync(target, 'x');
+      runtime.finishCheckpointTurn();
+      fs.writeFileSync(target, 'changed by hand');
+
+      runtime.handleCheckpointMessage({ type: 'checkpoint_restore', session_id: 's1' });
+      const reply = lastMessage('checkpoint_restore');
+      assert.equal(reply.restored, false);
+      assert.deepEqual(reply.conflicts.map((conflict) => conflict.path), [target]);
+      assert.equal(fs.readFileSync(target, 'utf8'), 'changed by hand');
+
+      runtime.currentSessionId = 's1';
+      runtime.currentAbortController = new AbortController();
+      runtime.handleCheckpointMessage({ type: 'checkpoint_restore', session_id: 's1' });
+      assert.match(lastMessage('checkpoint_restore').error, /current query/);
+    });
+  });
+
+  describe('session history', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-runtime-sessions-'));
+      runtime = new AgentRuntime({
+        workspacePath: '/tmp/ws',
+        sessionsPath: tmpDir,
+        checkpointStore: new CheckpointStore({ baseDir: path.join(tmpDir, 'checkpoints') })
+      });
+      runtime.log = () => {};
+      runtime.on('message', (payload) => messages.push(payload));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const reply = (type) => messages.filter((message) => message.type === type).pop();
+
+    it('lists sessions per workspace, replays history and deletes sessions', async () => {
+      await runtime.sessionStore.ensureSession('s1', { title: 'Here', workspacePath: '/tmp/ws' });
+      await runtime.sessionStore.ensureSession('s2', { title: 'Elsewhere', workspacePath: '/tmp/other' });
+      await runtime.sessionStore.appendEvent('s1', { direction: 'inbound', payload: { type: 'query', message: 'hello' } });
+
+      await runtime.handleSessionMessage({ type: 'get_sessions', workspace_path: '/tmp/ws' });
+      const [session] = reply('sessions_list').sessions;
+      assert.equal(reply('sessions_list').sessions.length, 1);
+      assert.equal(session.id, 's1');
+      assert.equal(typeof session.cost, 'number');
+
+      await runtime.handleSessionMessage({ type: 'get_session_history', session_id: 's1' });
+      assert.deepEqual(reply('session_history').messages.map((message) => message.text), ['hello']);
+
+      runtime.currentSessionId = 's1';
+      await runtime.handleSessionMessage({ type: 'delete_session', session_id: 's1' });
+      assert.equal(reply('session_deleted').session_id, 's1');
+      assert.equal(runtime.currentSessionId, null);
+      assert.deepEqual((await runtime.sessionStore.listSessions()).map((s) => s.id), ['s2']);
+    });
+
+    it('forks a session before one of its queries', async () => {
+      await runtime.sessionStore.ensureSession('s1', { title: 'Original', workspacePath: '/tmp/ws' });
+      await runtime.sessionStore.appendEvent('s1', { direction: 'inbound', payload: { type: 'query', message: 'first' } });
+      await runtime.sessionStore.appendEvent('s1', { direction: 'outbound', payload: { type: 'complete', session_id: 's1', message_uuid: 'u1' } });
+      await runtime.sessionStore.appendEvent('s1', { direction: 'inbound', payload: { type: 'query', message: 'second' } });
+
+      await runtime.handleSessionMessage({ type: 'fork_session', session_id: 's1', query_index: 2 });
+      const forked = reply('session_forked');
+      assert.equal(forked.parent_session_id, 's1');
+      assert.equal(forked.prompt, 'second');
+      assert.equal(forked.query_index, 2);
+      assert.notEqual(forked.session_id, 's1');
+      const metadata = await runtime.sessionStore.getSessionMetadata(forked.session_id);
+      assert.equal(metadata.parentSessionId, 's1');
+      assert.equal(metadata.forkPending, true);
+
+      await runtime.handleSessionMessage({ type: 'fork_session', session_id: 's1', query_index: 5 });
+      assert.match(reply('error').message, /Failed to fork session/);
+    });
+
+    it('compacts sessions on request and points at /compact when the context is full', async () => {
+      await runtime.handleSessionMessage({ type: 'compact_session' });
+      assert.match(reply('context_compacted').error, /requires session_id/);
+      await runtime.sessionStore.ensureSession('s1', { title: 'Empty', workspacePath: '/tmp/ws' });
+      await runtime.handleSessionMessage({ type: 'compact_session', session_id: 's1' });
+      assert.equal(reply('context_compacted').parent_session_id, 's1');
+      assert.match(reply('context_compacted').error, /Nothing to compact yet/);
+
+      runtime.backendRegistry = {
+        open: () => ({ name: 'fake', type: 'openai', model: 'fake-model', contextWindow: null, query: () => { throw new Error('prompt is too long: 210000 tokens > 200000 maximum'); } })
+      };
+      await assert.rejects(runtime.handleQuery('go on', 's1'), /prompt is too long/);
+      assert.equal(reply('error').code, 'context_limit');
+      assert.match(reply('error').message, /run \/compact/);
+      await runtime.sessionStore.settleEvents('s1');
+    });
+
+    it('exports and imports sessions without logging the replies', async () => {
+      await runtime.sessionStore.ensureSession('s1', { title: 'Exported', workspacePath: '/tmp/ws' });
+      await runtime.sessionStore.appendEvent('s1', { direction: 'inbound', payload: { type: 'query', message: 'hello' } });
+      runtime.currentSessionId = 's1';
+
+      await runtime.handleSessionMessage({ type: 'export_session', session_id: 's1', format: 'json' });
+      const exported = reply('session_exported');
+      assert.equal(exported.format, 'json');
+      await new Promise((resolve) => setImmediate(resolve));
+      const logged = await runtime.sessionStore.getSessionEvents('s1');
+      assert.deepEqual(logged.map((event) => event.payload.type), ['query']);
+
+      // A client can't pick where the media goes
+      await runtime.handleSessionMessage({ type: 'import_session', bundle: exported.content, workspace_path: '/etc' });
+      const imported = reply('session_imported');
+      assert.notEqual(imported.session_id, 's1');
+      assert.equal(imported.title, 'Exported');
+      const metadata = await runtime.sessionStore.getSessionMetadata(imported.session_id);
+      assert.equal(metadata.workspacePath, path.resolve(runtime.workspacePath));
+    });
+
+    it('searches sessions by text', async () => {
+      await runtime.sessionStore.ensureSession('s1', { title: 'Payments', workspacePath: '/tmp/ws' });
+      await runtime.sessionStore.appendEvent('s1', { direction: 'inbound', payload: { type: 'query', message: 'Set up the Stripe webhook' } });
+      await runtime.sessionStore.ensureSession('s2', { title: 'Other', workspacePath: '/tmp/other' });
+      await runtime.sessionStore.appendEvent('s2', { direction: 'inbound', payload: { type: 'query', message: 'Stripe refunds' } });
+
+      await runtime.handleSessionMessage({ type: 'search_sessions', query: 'stripe webhook' });
+      const found = reply('session_search_results');
+      assert.equal(found.query, 'stripe webhook');
+      assert.deepEqual(found.results.map((result) => result.id), ['s1', 's2']);
+      assert.equal(found.results[0].matches[0].kind, 'user');
+
+      await runtime.handleSessionMessage({ type: 'search_sessions', query: 'stripe', workspace_path: '/tmp/other' });
+      assert.deepEqual(reply('session_search_results').results.map((result) => result.id), ['s2']);
+    });
+  });
+
+  describe('built-in tools with the Claude Agent SDK', () => {
+    const secret = 'sk-proj-abcdefghijklmnopqrstuvwxyz0123456789';
+    let tmpDir;
+    let workspace;
+    let fake;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-runtime-sdk-'));
+      workspace = path.join(tmpDir, 'ws');
+      fs.mkdirSync(workspace);
+      fs.writeFileSync(path.join(workspace, '.env'), `OPENAI_API_KEY=${secret}\n`);
+    });
+
+    afterEach(() => {
+      fake?.server.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('keeps secrets in files out of built-in Read results', { timeout: 120000 }, async () => {
+      fake = await startFakeMessagesApi([
+        [{ type: 'tool_use', id: 'toolu_1', name: 'Read', input: { file_path: path.join(workspace, '.env') } }],
+      ]);
+      // The real SDK, pointed at the fake API; the runtime strips API keys from the env it passes
+      const { CLAUDECODE, ...baseEnv } = process.env;
+      const claude = {
+        name: 'claude',
+        type: 'claude',
+        model: 'claude-sonnet-4-5',
+        contextWindow: null,
+        query: ({ prompt, options }) => sdkQuery({
+          prompt,
+          options: {
+            ...options,
+            env: {
+              ...options.env,
+              PATH: baseEnv.PATH,
+              HOME: tmpDir,
+              CLAUDE_CONFIG_DIR: path.join(tmpDir, 'claude'),
+              ANTHROPIC_BASE_URL: fake.baseUrl,
+              ANTHROPIC_API_KEY: 'test-key',
+              CLAUDE_CODE_DISABLE_NONESSENTIAL_TRAFFIC: '1',
+            },
+          },
+        }),
+      };
+      delete process.env.CLAUDECODE;
+      runtime = new AgentRuntime({
+        workspacePath: workspace,
+        sessionsPath: path.join(tmpDir, 'sessions'),
+        mcpServers: { terminal: { command: process.execPath, args: [TERMINAL_SERVER] } },
+        backendRegistry: { open: () => claude },
+        checkpointStore: new CheckpointStore({ baseDir: path.join(tmpDir, 'checkpoints') }),
+        memoryFiles: new MemoryFiles({ userDir: path.join(tmpDir, 'config') }),
+        memoryStore: new MemoryStore({ filePath: path.join(tmpDir, 'config', 'memory', 'memories.json') }),
+      });
+      runtime.log = () => {};
+      try {
+        await runtime.handleQuery('What is in .env?');
+      } finally {
+        if (CLAUDECODE !== undefined) process.env.CLAUDECODE = CLAUDECODE;
+      }
+
+      const turns = fake.requests.filter((request) => request.tools?.length);
+      assert.equal(turns.length, 2);
+      const toolNames = turns[0].tools.map((tool) => tool.name);
+      assert.ok(toolNames.includes('Read'));
+      assert.ok(!toolNames.includes('Bash') && !toolNames.includes('Grep'));
+      const toolResult = JSON.stringify(turns[1].messages.at(-1));
+      assert.match(toolResult, /contains secrets/);
+      assert.ok(!JSON.stringify(fake.requests).includes(secret));
+    });
+  });
+
+  describe('permission audit', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-runtime-audit-'));
+      runtime = new AgentRuntime({ workspacePath: tmpDir, permissionAuditLog: new PermissionAuditLog({ dir: tmpDir }) });
+      runtime.log = () => {};
+      runtime.currentSessionId = 's1';
+      runtime.on('message', (payload) => messages.push(payload));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('records who decided each tool call and answers permission_audit', async () => {
+      runtime.currentQueryMetadata = { batchMode: true, toolPolicy: { allow: ['mcp__github__*'] } };
+      await runtime.handlePermissionGate({ toolName: 'mcp__github__create_issue', toolInput: { title: 'x' }, toolUseID: 'g1' });
+      await runtime.handlePermissionGate({ toolName: 'Bash', toolInput: { command: 'sudo rm -rf /var' }, toolUseID: 'b1' });
+      await runtime.handlePermissionGate({ toolName: 'mcp__linear__create_issue', toolInput: { title: 'y' }, toolUseID: 'l1' });
+
+      runtime.handlePermissionAuditMessage({ type: 'permission_audit', denied: true });
+      const reply = messages.find((m) => m.type === 'permission_audit');
+      assert.deepEqual(reply.entries.map((entry) => [entry.tool_use_id, entry.source, entry.session_id]), [
+        ['l1', 'unattended', 's1'],
+        ['b1', 'command-policy', 's1'],
+      ]);
+      assert.equal(reply.entries[1].input, 'sudo rm -rf /var');
+      assert.equal(runtime.permissionAuditLog.query({ source: 'policy' })[0].decision, 'allow');
+
+      runtime.handlePermissionAuditMessage({ type: 'permission_audit', since: 'last tuesday' });
+      assert.match(messages.at(-1).error, /Unreadable since/);
+    });
+
+    it('lets a workspace deny or ask win over the run allow list', async () => {
+      fs.mkdirSync(path.join(tmpDir, '.friday'));
+      fs.writeFileSync(path.join(tmpDir, '.friday', 'permissions.json'), JSON.stringify({
+        tools: { mcp__github__delete_repo: 'deny', mcp__github__merge_pull_request: 'ask' },
+      }));
+      runtime.currentQueryMetadata = { batchMode: true, toolPolicy: { allow: ['mcp__github__*'] } };
+      const gate = (toolName) => runtime.handlePermissionGate({ toolName, toolInput: {}, toolUseID: toolName });
+
+      assert.equal((await gate('mcp__github__create_issue')).behavior, 'allow');
+      assert.equal((await gate('mcp__github__delete_repo')).behavior, 'deny');
+      assert.equal((await gate('mcp__github__merge_pull_request')).behavior, 'deny');
+      assert.deepEqual(messages.filter((m) => m.type === 'permission_denied').map((m) => [m.tool_use_id, m.reason]), [
+        ['mcp__github__delete_repo', 'workspace'],
+        ['mcp__github__merge_pull_request', 'unattended'],
+      ]);
+    });
+  });
+
+  describe('project config', () => {
+    let tmpDir;
+    let trustStore;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-runtime-project-'));
+      fs.mkdirSync(path.join(tmpDir, '.friday'));
+      fs.writeFileSync(path.join(tmpDir, '.friday', 'config.json'), JSON.stringify({
+        agent: 'analyst',
+        model: 'claude-opus-4-5',
+        mcpServers: { db: { command: 'db-server', args: ['--read-only'] } },
+      }));
+      trustStore = new ProjectTrustStore({ filePath: path.join(tmpDir, 'trusted-projects.json') });
+      runtime = new AgentRuntime({
+        workspacePath: tmpDir,
+        project: loadProjectConfig(tmpDir, { trustStore }),
+        projectTrustStore: trustStore,
+      });
+      runtime.log = () => {};
+      runtime.on('message', (payload) => messages.push(payload));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('asks before using a project config, then applies it', async () => {
+      assert.equal(runtime.announceProjectTrust(), true);
+      const request = messages.find((m) => m.type === 'project_trust_request');
+      assert.deepEqual(request.summary.mcpServers, [{ name: 'db', command: 'db-server --read-only', env: [], cwd: null }]);
+      assert.deepEqual(runtime.getProjectSettings(), {});
+      assert.equal(await runtime.buildProjectPrompt(), '');
+
+      const loadConfig = async ({ workspacePath }) => ({
+        rules: [],
+        mcpServers: { db: { command: 'db-server' } },
+        project: loadProjectConfig(workspacePath, { trustStore }),
+      });
+      await runtime.handleProjectTrustMessage({ type: 'project_trust', trusted: true, hash: 'stale' }, { loadConfig });
+      assert.match(messages.at(-1).error, /changed/);
+      assert.deepEqual(runtime.getProjectSettings(), {});
+
+      await runtime.handleProjectTrustMessage({ type: 'project_trust', trusted: true, hash: request.hash }, { loadConfig });
+      assert.equal(messages.at(-1).trusted, true);
+      assert.deepEqual(Object.keys(runtime.mcpServers), ['db']);
+      assert.equal(runtime.getProjectSettings().model, 'claude-opus-4-5');
+      assert.match(await runtime.buildProjectPrompt(), /## Agent Role: /);
+      assert.equal(runtime.announceProjectTrust(), false);
+    });
+  });
+
+  describe('memory', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-runtime-memory-'));
+      runtime = new AgentRuntime({
+        workspacePath: tmpDir,
+        memoryFiles: new MemoryFiles({ userDir: path.join(tmpDir, 'config') }),
+        memoryStore: new MemoryStore({ filePath: path.join(tmpDir, 'config', 'memory', 'memories.json') }),
+      });
+      runtime.log = () => {};
+      runtime.on('message', (payload) => messages.push(payload));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('answers memory messages with both files', () => {
+      runtime.handleMemoryMessage({ type: 'memory_add', fact: 'Deploy with fly' });
+      runtime.handleMemoryMessage({ type: 'memory_set', scope: 'user', content: 'I prefer pnpm.\n' });
+      runtime.handleMemoryMessage({ type: 'memory_get' });
+      const reply = messages.at(-1);
+      assert.equal(reply.type, 'memory_get');
+      assert.deepEqual(reply.files.map((file) => [file.scope, file.content.trim().split('\n').at(-1)]), [
+        ['user', 'I prefer pnpm.'],
+        ['workspace', '- Deploy with fly'],
+      ]);
+
+      runtime.handleMemoryMessage({ type: 'memory_add', scope: 'team', fact: 'x' });
+      assert.match(messages.at(-1).error, /Unknown memory scope/);
+    });
+
+    it('adds the saved memories that match the message to the system prompt', async () => {
+      runtime.memoryStore.save({ text: 'Staging runs on fly.io in the ams region', topics: ['deploy'], workspacePath: tmpDir });
+      runtime.memoryStore.save({ text: 'Billing uses Stripe webhooks', kind: 'decision', workspacePath: tmpDir });
+
+      const { systemPrompt } = await runtime.buildAgentSystemPrompt({}, 'deploy the branch to staging');
+      assert.match(systemPrompt, /## Relevant Memories\n[\s\S]*Staging runs on fly\.io/);
+      assert.ok(!systemPrompt.includes('Stripe'));
+
+      const { systemPrompt: unrelated } = await runtime.buildAgentSystemPrompt({}, 'write a haiku');
+      assert.ok(!unrelated.includes('## Relevant Memories'));
+    });
+  });
+
+  describe('automation rules', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-runtime-rules-'));
+      runtime = new AgentRuntime({
+        workspacePath: tmpDir,
+        sessionsPath: path.join(tmpDir, 'sessions'),
+        rules: [{
+          id: 'tests_failed',
+          triggers: { commandExitCode: 'nonzero' },
+          actions: [
+            { type: 'notify', title: 'Tests failed', message: '{{command}} exited {{exitCode}}' },
+            { type: 'run_command', command: 'echo retried' }
+          ]
+        }, {
+          id: 'summary',
+          triggers: { event: 'session_end', editedFiles: ['*.md'] },
+          actions: [{ type: 'followup_prompt', promptTemplate: 'Summarize' }, { type: 'notify', title: 'Docs changed', message: '{{editedFileList}}' }]
+        }]
+      });
+      runtime.log = () => {};
+      runtime.on('message', (payload) => messages.push(payload));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('runs the actions of matching rules after a query, commands through the permission gate', async () => {
+      const context = runtime.createQueryContext({});
+      await runtime.handleToolUsePersistence('mcp__terminal__execute_command', { command: 'npm test' }, 'tu1', context);
+      runtime.recordToolResult(context, { toolUseId: 'tu1', content: [{ type: 'text', text: 'Output:\n1 failing\n\nExit code: 1' }] });
+      await runtime.handleSuccessResult(context, '');
+      assert.equal(messages.some((m) => m.type === 'rule_prompt'), false);
+      assert.deepEqual(context.automaticRules.map((match) => match.rule.id), ['tests_failed']);
+
+      runtime.currentQueryMetadata = { batchMode: true, toolPolicy: { allow: ['mcp__terminal__execute_command'] } };
+      await runtime.runAutomaticRuleActions(context.automaticRules);
+      const notification = messages.find((m) => m.type === 'notification');
+      assert.equal(notification.message, 'npm test exited 1');
+      const done = messages.filter((m) => m.type === 'rule_action_status' && m.status !== 'started');
+      assert.deepEqual(done.map((m) => [m.action_id, m.status]), [['notify-1', 'completed'], ['run_command-2', 'completed']]);
+      assert.equal(done[1].output, 'retried');
+
+      messages.length = 0;
+      runtime.currentQueryMetadata = { batchMode: true };
+      await runtime.runAutomaticRuleActions(context.automaticRules);
+      const denied = messages.find((m) => m.type === 'rule_action_status' && m.action_id === 'run_command-2' && m.status !== 'started');
+      assert.equal(denied.status, 'denied');
+    });
+
+    it('matches session end rules against the session log and skips query actions', async () => {
+      await runtime.sessionStore.ensureSession('s1', { workspacePath: tmpDir });
+      const log = (direction, payload) => runtime.sessionStore.appendEvent('s1', { direction, payload });
+      await log('inbound', { type: 'query', message: 'update the readme' });
+      await log('outbound', { type: 'tool_use', tool_name: 'mcp__filesystem__write_file', tool_use_id: 'w1', input: { path: path.join(tmpDir, 'docs', 'README.md') } });
+      await log('outbound', { type: 'tool_result', tool_use_id: 'w1', is_error: false });
+
+      await runtime.endSession('s1');
+      const statuses = messages.filter((m) => m.type === 'rule_action_status' && m.status !== 'started');
+      assert.deepEqual(statuses.map((m) => [m.action_id, m.status, m.session_id]), [
+        ['followup_prompt-1', 'skipped', 's1'],
+        ['notify-2', 'completed', 's1']
+      ]);
+      assert.equal(messages.find((m) => m.type === 'notification').message, path.join('docs', 'README.md'));
+    });
+  });
+});
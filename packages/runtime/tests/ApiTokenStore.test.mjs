@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ApiTokenStore,
+  API_SCOPES,
+  scopeForRoute,
+  scopeForMessage,
+  extractBearerToken,
+  isAuthDisabled,
+} from '../src/auth/ApiTokenStore.js';
+
+describe('ApiTokenStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-tokens-'));
+    store = new ApiTokenStore({ filePath: path.join(tmpDir, 'api-tokens.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createToken', () => {
+    it('returns the plaintext token once and stores only a hash', () => {
+      const { token, record } = store.createToken({ name: 'ci', scopes: ['query'] });
+      assert.ok(token.startsWith('fri_'));
+      assert.equal(record.hash, undefined);
+
+      const raw = fs.readFileSync(store.filePath, 'utf8');
+      assert.ok(!raw.includes(token));
+      assert.match(raw, /"hash": "[0-9a-f]{64}"/);
+    });
+
+    it('defaults to the query scope', () => {
+      const { record } = store.createToken({ name: 'ci' });
+      assert.deepEqual(record.scopes, [API_SCOPES.QUERY]);
+    });
+
+    it('rejects unknown scopes', () => {
+      assert.throws(() => store.createToken({ name: 'ci', scopes: ['root'] }), /Unknown scope: root/);
+    });
+
+    it('rejects duplicate names', () => {
+      store.createToken({ name: 'ci' });
+      assert.throws(() => store.createToken({ name: 'ci' }), /already exists/);
+    });
+  });
+
+  describe('authorize', () => {
+    it('accepts a valid token and returns its app id', () => {
+      const { token } = store.createToken({ name: 'ios', appId: 'ios-app' });
+      const result = store.authorize(token);
+      assert.equal(result.ok, true);
+      assert.equal(result.token.appId, 'ios-app');
+    });
+
+    it('rejects missing and unknown tokens with 401', () => {
+      assert.equal(store.authorize(null).status, 401);
+      assert.equal(store.authorize('fri_nope').status, 401);
+    });
+
+    it('rejects tokens without the required scope with 403', () => {
+      const { token } = store.createToken({ name: 'ci', scopes: ['query'] });
+      const result = store.authorize(token, API_SCOPES.AGENTS_WRITE);
+      assert.equal(result.ok, false);
+      assert.equal(result.status, 403);
+    });
+
+    it('stops accepting a token revoked by another process', () => {
+      const { token } = store.createToken({ name: 'ci' });
+      assert.equal(store.authorize(token).ok, true);
+
+      const other = new ApiTokenStore({ filePath: store.filePath });
+      assert.equal(other.revokeToken('ci'), true);
+      // Force a distinct mtime so the change is visible on coarse filesystems
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(store.filePath, later, later);
+
+      assert.equal(store.authorize(token).ok, false);
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('revokes by id', () => {
+      const { record } = store.createToken({ name: 'ci' });
+      assert.equal(store.revokeToken(record.id), true);
+      assert.equal(store.listTokens().length, 0);
+    });
+
+    it('returns false for unknown tokens', () => {
+      assert.equal(store.revokeToken('nope'), false);
+    });
+  });
+});
+
+describe('scopeForRoute', () => {
+  it('only needs a valid token for reads', () => {
+    assert.equal(scopeForRoute('GET', '/api/agents'), null);
+  });
+
+  it('maps writes to resource scopes', () => {
+    assert.equal(scopeForRoute('POST', '/api/agents/custom'), API_SCOPES.AGENTS_WRITE);
+    assert.equal(scopeForRoute('DELETE', '/api/skills/abc'), API_SCOPES.SKILLS_WRITE);
+    assert.equal(scopeForRoute('POST', '/api/templates/t/apply'), API_SCOPES.SKILLS_WRITE);
+    assert.equal(scopeForRoute('POST', '/api/workspace/detect'), API_SCOPES.QUERY);
+  });
+});
+
+describe('scopeForMessage', () => {
+  it('requires write scopes for mutating messages', () => {
+    assert.equal(scopeForMessage('create_custom_agent'), API_SCOPES.AGENTS_WRITE);
+    assert.equal(scopeForMessage('toggle_skill'), API_SCOPES.SKILLS_WRITE);
+    assert.equal(scopeForMessage('scheduled_agent:create'), API_SCOPES.SCHEDULED_WRITE);
+    assert.equal(scopeForMessage('scheduled_agent:review_approve'), API_SCOPES.SCHEDULED_WRITE);
+    assert.equal(scopeForMessage('memory_add'), API_SCOPES.MEMORY_WRITE);
+    assert.equal(scopeForMessage('memory_set'), API_SCOPES.MEMORY_WRITE);
+  });
+
+  it('lets read and query messages through', () => {
+    assert.equal(scopeForMessage('query'), null);
+    assert.equal(scopeForMessage('scheduled_agent:list'), null);
+    assert.equal(scopeForMessage('scheduled_agent:review_list'), null);
+    assert.equal(scopeForMessage('memory_get'), null);
+  });
+});
+
+describe('extractBearerToken', () => {
+  it('reads the Authorization header', () => {
+    assert.equal(extractBearerToken({ headers: { authorization: 'Bearer fri_abc' } }), 'fri_abc');
+  });
+
+  it('falls back to the token query parameter', () => {
+    assert.equal(extractBearerToken({ headers: {} }, { token: 'fri_abc' }), 'fri_abc');
+  });
+});
+
+describe('isAuthDisabled', () => {
+  it('accepts the --no-auth flag, raw or parsed', () => {
+    assert.equal(isAuthDisabled({ args: ['--port', '9000', '--no-auth'], env: {} }), true);
+    assert.equal(isAuthDisabled({ args: { _: ['serve'], 'no-auth': true }, env: {} }), true);
+  });
+
+  it('accepts FRIDAY_SERVER_AUTH=off', () => {
+    assert.equal(isAuthDisabled({ args: [], env: { FRIDAY_SERVER_AUTH: 'off' } }), true);
+    assert.equal(isAuthDisabled({ args: { _: ['serve'] }, env: { FRIDAY_SERVER_AUTH: 'OFF' } }), true);
+  });
+
+  it('keeps auth on otherwise', () => {
+    assert.equal(isAuthDisabled({ args: ['--port', '9000'], env: {} }), false);
+    assert.equal(isAuthDisabled({ args: { _: ['serve'] }, env: { FRIDAY_SERVER_AUTH: 'on' } }), false);
+  });
+});
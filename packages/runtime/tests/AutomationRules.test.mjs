@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-rules-test-'));
+process.env.FRIDAY_CONFIG_DIR = path.join(tmpDir, 'config');
+
+const {
+  loadAutomationRules,
+  validateRule,
+  commandExitCode,
+  createRuleContext,
+  recordToolOutcome,
+  ruleMatchesContext,
+  replaySessionEvents,
+} = await import('../src/rules/AutomationRules.js');
+
+const workspacePath = path.join(tmpDir, 'workspace');
+
+function writeRules(dir, file, rules) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(rules));
+}
+
+function contextWith(outcomes) {
+  const context = createRuleContext({ workspacePath });
+  for (const outcome of outcomes) recordToolOutcome(context, outcome);
+  return context;
+}
+
+describe('AutomationRules', () => {
+  before(() => {
+    writeRules(path.join(tmpDir, 'config', 'rules'), 'mine.json', {
+      rules: [
+        { id: 'shared', triggers: { toolFailed: true }, actions: [{ type: 'notify', title: 'user' }] },
+        { id: 'user_only', triggers: { minCreatedFiles: 1 } },
+      ],
+    });
+    writeRules(path.join(workspacePath, '.friday', 'rules'), 'project.json', [
+      { id: 'shared', triggers: { commandExitCode: 'nonzero' }, actions: [{ type: 'run_command', command: 'npm test' }] },
+      { id: 'broken', triggers: {}, actions: [{ type: 'run_command' }] },
+    ]);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('layers workspace rules over user rules over the base rules', () => {
+    const rules = loadAutomationRules({ workspacePath, baseRules: [{ id: 'user_only', triggers: {} }, { id: 'base', triggers: {} }] });
+    assert.deepEqual(rules.map((rule) => [rule.id, rule.source || 'base']), [
+      ['base', 'base'],
+      ['user_only', 'user'],
+      ['shared', 'workspace'],
+    ]);
+    assert.equal(rules.at(-1).actions[0].command, 'npm test');
+  });
+
+  it('rejects rules it could not run', () => {
+    assert.equal(validateRule({ id: 'ok', triggers: { event: 'session_end' }, actions: [{ type: 'notify' }] }), null);
+    assert.match(validateRule({ triggers: {} }), /missing id/);
+    assert.match(validateRule({ id: 'x', triggers: { event: 'on_idle' } }), /unknown event "on_idle"/);
+    assert.match(validateRule({ id: 'x', triggers: {}, actions: [{ type: 'email' }] }), /unknown action type "email"/);
+    assert.match(validateRule({ id: 'x', triggers: {}, actions: [{ type: 'invoke_skill' }] }), /without a skill/);
+  });
+
+  it('reads exit codes from command output', () => {
+    assert.equal(commandExitCode([{ type: 'text', text: 'Output:\nok' }]), 0);
+    assert.equal(commandExitCode('Error: Exit code 2\nnot found', true), 2);
+    assert.equal(commandExitCode('Command timed out', true), null);
+  });
+
+  it('matches failures, exit codes, edited files and cost', () => {
+    const context = contextWith([
+      { toolUseId: 't1', toolName: 'mcp__terminal__execute_command', input: { command: 'npm test' }, isError: true, content: 'Exit code: 1' },
+      { toolUseId: 't1', toolName: 'mcp__terminal__execute_command', input: { command: 'npm test' }, isError: true, content: 'Exit code: 1' },
+      { toolUseId: 't2', toolName: 'Write', input: { file_path: 'src/lib/a.ts' } },
+      { toolUseId: 't3', toolName: 'mcp__filesystem__write_file', input: { path: path.join(workspacePath, 'README.md') } },
+    ]);
+    context.queryCostUsd = 0.4;
+    context.sessionCostUsd = 2.5;
+    assert.equal(context.toolResults.length, 3);
+
+    const matches = (triggers) => ruleMatchesContext({ id: 'r', triggers }, context);
+    assert.equal(matches({ toolFailed: true }), true);
+    assert.equal(matches({ toolFailed: ['mcp__terminal__*'] }), true);
+    assert.equal(matches({ toolFailed: ['write'] }), false);
+    assert.equal(matches({ commandExitCode: 'nonzero' }), true);
+    assert.equal(matches({ commandExitCode: [2, 3] }), false);
+    assert.equal(matches({ editedFiles: ['src/**/*.ts'] }), true);
+    assert.equal(matches({ editedFiles: ['*.md'] }), true);
+    assert.equal(matches({ editedFiles: ['docs/**'] }), false);
+    assert.equal(matches({ minQueryCostUsd: 0.5 }), false);
+    assert.equal(matches({ minSessionCostUsd: 2 }), true);
+    assert.equal(matches({ event: 'session_end', toolFailed: true }), false);
+  });
+
+  it('replays a recorded session into query and session contexts', () => {
+    const events = [
+      { direction: 'inbound', payload: { type: 'query', message: 'fix the build' } },
+      { direction: 'outbound', payload: { type: 'tool_use', tool_name: 'Bash', tool_use_id: 'b1', input: { command: 'make' } } },
+      { direction: 'outbound', payload: { type: 'tool_result', tool_use_id: 'b1', is_error: true, tool_result: 'Exit code 2' } },
+      { direction: 'outbound', payload: { type: 'usage', usage: { input_tokens: 1000 } } },
+      { direction: 'inbound', payload: { type: 'query', message: 'Summarize', metadata: { origin: 'rule_action', ruleId: 'r' } } },
+      { direction: 'outbound', payload: { type: 'tool_use', tool_name: 'Edit', tool_use_id: 'e1', input: { file_path: 'Makefile.mk' } } },
+      { direction: 'outbound', payload: { type: 'tool_result', tool_use_id: 'e1' } },
+      { direction: 'outbound', payload: { type: 'usage', usage: { input_tokens: 500 } } },
+    ];
+    const { queries, session } = replaySessionEvents(events, { workspacePath, costOf: (usage) => usage.input_tokens / 1000 });
+
+    assert.deepEqual(queries.map((query) => [query.message, query.origin, query.queryCostUsd, query.sessionCostUsd]), [
+      ['fix the build', 'user', 1, 1],
+      ['Summarize', 'rule_action', 0.5, 1.5],
+    ]);
+    assert.deepEqual(queries[0].toolResults.map((result) => [result.command, result.exitCode]), [['make', 2]]);
+    assert.equal(session.event, 'session_end');
+    assert.equal(session.sessionCostUsd, 1.5);
+    assert.deepEqual(session.editedFiles, [path.join(workspacePath, 'Makefile.mk')]);
+    assert.ok(session.fileExtensions.has('.mk'));
+    assert.equal(ruleMatchesContext({ id: 'r', triggers: { event: 'session_end', commandExitCode: 2, extensions: ['.mk'] } }, session), true);
+  });
+});
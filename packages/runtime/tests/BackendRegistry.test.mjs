@@ -0,0 +1,60 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BackendRegistry, DEFAULT_BACKEND } from '../src/backends/BackendRegistry.js';
+
+describe('BackendRegistry', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-backends-test-'));
+    filePath = path.join(tmpDir, 'backends.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('defaults to the Claude Agent SDK with no config file', () => {
+    const registry = new BackendRegistry({ filePath });
+    assert.equal(registry.getDefaultName(), DEFAULT_BACKEND);
+    assert.deepEqual(Object.keys(registry.list()), ['claude', 'openai', 'google']);
+    const opened = registry.open();
+    assert.equal(opened.type, 'claude');
+    assert.equal(typeof opened.query, 'function');
+  });
+
+  it('merges user backends over built-ins field by field', () => {
+    fs.writeFileSync(filePath, JSON.stringify({
+      default: 'local',
+      backends: {
+        openai: { model: 'gpt-5.2-codex' },
+        local: { baseUrl: 'http://localhost:11434/v1', model: 'qwen2.5-coder:14b' },
+      },
+    }));
+    const registry = new BackendRegistry({ filePath });
+    const openai = registry.resolve('openai');
+    assert.equal(openai.model, 'gpt-5.2-codex');
+    assert.equal(openai.apiKeyEnv, 'OPENAI_API_KEY');
+    assert.equal(registry.getDefaultName(), 'local');
+    const { query, ...opened } = registry.open();
+    assert.deepEqual(opened, { name: 'local', type: 'openai', model: 'qwen2.5-coder:14b' });
+    assert.equal(typeof query, 'function');
+  });
+
+  it('rejects unknown and incomplete backends', () => {
+    fs.writeFileSync(filePath, JSON.stringify({
+      backends: {
+        nourl: { model: 'm' },
+        odd: { type: 'bedrock', baseUrl: 'http://x', model: 'm' },
+      },
+    }));
+    const registry = new BackendRegistry({ filePath });
+    assert.throws(() => registry.resolve('missing'), /Unknown backend: missing/);
+    assert.throws(() => registry.resolve('nourl'), /needs a baseUrl and a model/);
+    assert.throws(() => registry.resolve('odd'), /unsupported type "bedrock"/);
+  });
+});
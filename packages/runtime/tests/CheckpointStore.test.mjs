@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CheckpointStore, CheckpointConflictError } from '../src/checkpoints/CheckpointStore.js';
+
+describe('CheckpointStore', () => {
+  let tmpDir;
+  let workspace;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-checkpoints-'));
+    workspace = path.join(tmpDir, 'ws');
+    fs.mkdirSync(workspace);
+    store = new CheckpointStore({ baseDir: path.join(tmpDir, 'checkpoints') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const file = (name) => path.join(workspace, name);
+  const read = (name) => fs.readFileSync(file(name), 'utf8');
+
+  // Simulate one agent turn: snapshot, write, record
+  const agentTurn = (prompt, writes) => {
+    const turn = store.beginTurn('s1', { prompt });
+    for (const [name, content] of Object.entries(writes)) {
+      store.snapshot('s1', turn, file(name), { toolName: 'Write' });
+      fs.writeFileSync(file(name), content);
+      store.recordResult('s1', turn, file(name));
+    }
+    store.recordResult('s1', turn);
+    return turn;
+  };
+
+  it('undoes the last turn, restoring edited files and removing created ones', () => {
+    fs.writeFileSync(file('a.txt'), 'original');
+    agentTurn('first', { 'a.txt': 'one' });
+    agentTurn('second', { 'a.txt': 'two', 'new.txt': 'created' });
+
+    const result = store.restore('s1');
+    assert.deepEqual(result.turns, [2]);
+    assert.equal(read('a.txt'), 'one');
+    assert.equal(fs.existsSync(file('new.txt')), false);
+    assert.deepEqual(result.files.map(f => f.action).sort(), ['deleted', 'restored']);
+    assert.deepEqual(store.list('s1').map(t => t.turn), [1]);
+  });
+
+  it('rewinds several turns to the content before the first one', () => {
+    fs.writeFileSync(file('a.txt'), 'original');
+    agentTurn('first', { 'a.txt': 'one' });
+    agentTurn('second', { 'a.txt': 'two' });
+    agentTurn('third', { 'b.txt': 'bee' });
+
+    const result = store.restore('s1', 1);
+    assert.deepEqual(result.turns, [1, 2, 3]);
+    assert.equal(read('a.txt'), 'original');
+    assert.equal(fs.existsSync(file('b.txt')), false);
+    assert.deepEqual(store.list('s1'), []);
+    assert.deepEqual(fs.readdirSync(path.join(store.getSessionDir('s1'), 'blobs')), []);
+  });
+
+  it('only snapshots the first write of a file in a turn', () => {
+    fs.writeFileSync(file('a.txt'), 'original');
+    const turn = store.beginTurn('s1', { prompt: 'edit twice' });
+    assert.equal(store.snapshot('s1', turn, file('a.txt')), true);
+    fs.writeFileSync(file('a.txt'), 'one');
+    assert.equal(store.snapshot('s1', turn, file('a.txt')), false);
+    fs.writeFileSync(file('a.txt'), 'two');
+    store.recordResult('s1', turn);
+
+    store.restore('s1');
+    assert.equal(read('a.txt'), 'original');
+  });
+
+  it('refuses to overwrite files changed outside Friday', () => {
+    fs.writeFileSync(file('a.txt'), 'original');
+    fs.writeFileSync(file('b.txt'), 'original');
+    agentTurn('edit both', { 'a.txt': 'one', 'b.txt': 'one' });
+    fs.writeFileSync(file('b.txt'), 'user edit');
+
+    assert.throws(() => store.restore('s1'), (error) => {
+      assert.ok(error instanceof CheckpointConflictError);
+      assert.deepEqual(error.conflicts.map(c => c.path), [file('b.txt')]);
+      return true;
+    });
+    assert.equal(read('a.txt'), 'one');
+    assert.equal(read('b.txt'), 'user edit');
+    assert.equal(store.list('s1').length, 1);
+  });
+
+  it('refuses to rewind past a change made between turns', () => {
+    fs.writeFileSync(file('a.txt'), 'original');
+    agentTurn('first', { 'a.txt': 'one' });
+    fs.writeFileSync(file('a.txt'), 'user edit');
+    agentTurn('second', { 'a.txt': 'two' });
+
+    assert.throws(() => store.restore('s1', 1), /changed outside Friday/);
+    store.restore('s1', 2);
+    assert.equal(read('a.txt'), 'user edit');
+  });
+
+  it('drops turns that changed nothing', () => {
+    const turn = store.beginTurn('s1', { prompt: 'just reading' });
+    store.discardIfEmpty('s1', turn);
+    assert.deepEqual(store.list('s1'), []);
+    assert.throws(() => store.restore('s1'), /No checkpoints/);
+    assert.throws(() => store.getSessionDir('../escape'), /Invalid session id/);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  contextTokensFromUsage,
+  loadCompactionSettings,
+  shouldCompact,
+  splitTranscript,
+  buildSummaryRequest,
+  summarize,
+  buildContinuationPrompt,
+  DEFAULT_CONTEXT_WINDOW,
+  DEFAULT_THRESHOLD,
+} from '../src/sessions/ContextCompactor.js';
+
+describe('ContextCompactor', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-compactor-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('compacts once the latest call fills the threshold', () => {
+    assert.equal(contextTokensFromUsage({ input_tokens: 5, cache_read_input_tokens: 100, cache_creation_input_tokens: 20, output_tokens: 7 }), 132);
+    assert.equal(contextTokensFromUsage(), 0);
+
+    const configPath = path.join(tmpDir, 'config.json');
+    assert.deepEqual(loadCompactionSettings(configPath), { enabled: true, threshold: DEFAULT_THRESHOLD, contextWindow: DEFAULT_CONTEXT_WINDOW });
+    fs.writeFileSync(configPath, JSON.stringify({ contextCompaction: { threshold: 0.5, contextWindow: 1000 } }));
+    const settings = loadCompactionSettings(configPath);
+    assert.deepEqual(settings, { enabled: true, threshold: 0.5, contextWindow: 1000 });
+    fs.writeFileSync(configPath, JSON.stringify({ contextCompaction: { enabled: false, threshold: 7 } }));
+    assert.deepEqual(loadCompactionSettings(configPath), { enabled: false, threshold: DEFAULT_THRESHOLD, contextWindow: DEFAULT_CONTEXT_WINDOW });
+
+    assert.equal(shouldCompact(499, settings), false);
+    assert.equal(shouldCompact(500, settings), true);
+    assert.equal(shouldCompact(500, settings, 4000), false);
+    assert.equal(shouldCompact(undefined, settings), false);
+    assert.equal(shouldCompact(10 ** 9, { ...settings, enabled: false }), false);
+  });
+
+  it('summarizes older messages and carries the last ones over', () => {
+    const messages = ['one', 'two', 'three', 'four', 'five', 'six'].map((text, i) => ({ role: i % 2 ? 'assistant' : 'user', text }));
+    const { older, recent } = splitTranscript(messages);
+    assert.deepEqual(older.map((m) => m.text), ['one', 'two']);
+    assert.deepEqual(recent.map((m) => m.text), ['three', 'four', 'five', 'six']);
+    assert.deepEqual(splitTranscript(messages.slice(0, 3)).recent, []);
+
+    const request = buildSummaryRequest([{ role: 'user', text: 'Fix login' }, { role: 'assistant', text: 'Done', tools: ['Edit', 'Edit'] }], { focus: 'the auth bug' });
+    assert.match(request, /focus the summary on: the auth bug/);
+    assert.match(request, /User: Fix login\n\nFriday \[used Edit\]: Done/);
+
+    const prompt = buildContinuationPrompt({ summary: 'Goal: ship login.', recentMessages: [{ role: 'user', text: 'x'.repeat(3000) }] });
+    assert.match(prompt, /^\n\n## Earlier in This Conversation\n[\s\S]*Goal: ship login\.\n\n### Last messages before the summary\n\nUser: x+…\n$/);
+    assert.ok(prompt.length < 3000);
+    assert.equal(buildContinuationPrompt(null), '');
+  });
+
+  it('asks the backend for a summary without tools', async () => {
+    let options;
+    const backend = {
+      query: ({ options: queryOptions }) => {
+        options = queryOptions;
+        return (async function* run() {
+          yield { type: 'text', text: 'Goal: ' };
+          yield { type: 'usage', usage: { input_tokens: 900, output_tokens: 40 } };
+          yield { type: 'result', subtype: 'success', result: 'Goal: ship it.' };
+        })();
+      },
+    };
+    const { summary, usage } = await summarize(backend, 'Summarize', { model: 'test-model' });
+    assert.equal(summary, 'Goal: ship it.');
+    assert.equal(usage.input_tokens, 900);
+    assert.equal(options.model, 'test-model');
+    assert.equal(options.maxTurns, 1);
+    assert.deepEqual(options.mcpServers, {});
+    assert.equal((await options.canUseTool('Bash', {})).behavior, 'deny');
+
+    const failing = { query: () => (async function* run() { yield { type: 'result', subtype: 'error_max_turns' }; })() };
+    await assert.rejects(summarize(failing, 'Summarize'), /error_max_turns/);
+  });
+});
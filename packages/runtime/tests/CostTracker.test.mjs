@@ -1,6 +1,9 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { CostTracker } from '../src/providers/CostTracker.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CostTracker, dayKey, monthKey } from '../src/providers/CostTracker.js';
 
 describe('CostTracker', () => {
   let tracker;
@@ -162,4 +165,94 @@ describe('CostTracker', () => {
       assert.match(CostTracker.formatCost(1.5), /^\$/);
     });
   });
+
+  describe('ledger and budgets', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-costs-'));
+      tracker = new CostTracker({ costsDir: tmpDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('persists costs so a new tracker sees the spend', () => {
+      tracker.recordTokenUsage('s1', { input_tokens: 1_000_000, output_tokens: 0 }, 'claude-sonnet-4-5-20250929');
+      tracker.recordProviderCost('s1', { provider: 'openai', capability: 'image-gen', cost: 0.5, agentId: 'a1', runId: 'r1' });
+
+      const reopened = new CostTracker({ costsDir: tmpDir });
+      const spend = reopened.getSpend({ sessionId: 's1', runId: 'r1' });
+      assert.equal(spend.today, 3.5);
+      assert.equal(spend.month, 3.5);
+      assert.equal(spend.session, 3.5);
+      assert.equal(spend.run, 0.5);
+      assert.deepEqual(spend.byProvider, { anthropic: 3, openai: 0.5 });
+      assert.equal(reopened.getLedgerEntries().length, 2);
+    });
+
+    it('picks up costs appended by another process', () => {
+      assert.equal(tracker.getSpend().month, 0);
+      new CostTracker({ costsDir: tmpDir }).recordProviderCost('s2', { provider: 'google', capability: 'video-gen', cost: 0.35 });
+      assert.equal(tracker.getSpend().month, 0.35);
+    });
+
+    it('sums all-time spend per session across monthly ledgers', () => {
+      fs.writeFileSync(path.join(tmpDir, 'ledger-2000-01.jsonl'), `${JSON.stringify({ sessionId: 's1', cost: 1.25 })}\n`);
+      tracker.recordProviderCost('s1', { provider: 'openai', capability: 'image-gen', cost: 0.5 });
+      tracker.recordProviderCost('s2', { provider: 'openai', capability: 'tts', cost: 0.1 });
+      assert.deepEqual(tracker.getSpendBySession(), { s1: 1.75, s2: 0.1 });
+    });
+
+    it('refuses spend over a budget', () => {
+      tracker.setBudget('daily', 1);
+      tracker.recordProviderCost('s1', { provider: 'openai', capability: 'image-gen', cost: 0.9 });
+
+      assert.equal(tracker.checkBudget(0.05).allowed, true);
+      const check = tracker.checkBudget(0.2);
+      assert.equal(check.allowed, false);
+      assert.deepEqual(check.exceeded, [{ budget: 'daily', limit: 1, spent: 0.9 }]);
+      assert.equal(check.onExceed, 'ask');
+      assert.match(CostTracker.describeExceeded(check.exceeded), /daily budget of \$1\.00/);
+    });
+
+    it('counts days in local time', () => {
+      const tz = process.env.TZ;
+      process.env.TZ = 'Pacific/Auckland';
+      try {
+        assert.equal(dayKey(new Date('2026-10-18T12:00:00Z')), '2026-10-19');
+        assert.equal(monthKey(new Date('2026-10-31T12:00:00Z')), '2026-11');
+
+        // Just after local midnight is still yesterday in UTC
+        const now = new Date();
+        const earlyToday = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 30);
+        fs.writeFileSync(path.join(tmpDir, `ledger-${monthKey()}.jsonl`), `${JSON.stringify({ timestamp: earlyToday.toISOString(), cost: 0.75 })}\n`);
+        tracker.setBudget('daily', 1);
+        assert.equal(new CostTracker({ costsDir: tmpDir }).getSpend().today, 0.75);
+        assert.equal(tracker.checkBudget(0.5).allowed, false);
+      } finally {
+        if (tz === undefined) delete process.env.TZ;
+        else process.env.TZ = tz;
+      }
+    });
+
+    it('applies session and per-agent run budgets', () => {
+      tracker.setBudget('session', 0.5);
+      tracker.setBudget('agentRun', 1);
+      tracker.setBudget('agent', 0.1, { agentId: 'cheap' });
+      tracker.recordProviderCost('s1', { provider: 'openai', capability: 'tts', cost: 0.2, agentId: 'cheap', runId: 'r1' });
+
+      assert.equal(tracker.checkBudget(0.4, { sessionId: 's1' }).allowed, false);
+      assert.equal(tracker.checkBudget(0.4, { sessionId: 's2' }).allowed, true);
+      assert.equal(tracker.checkBudget(0, { agentId: 'cheap', runId: 'r1' }).allowed, false);
+      assert.equal(tracker.checkBudget(0, { agentId: 'other', runId: 'r2' }).allowed, true);
+
+      tracker.setBudget('agent', null, { agentId: 'cheap' });
+      tracker.setOnExceed('deny');
+      assert.deepEqual(tracker.getBudgets().agents, {});
+      assert.equal(tracker.getBudgets().onExceed, 'deny');
+      assert.throws(() => tracker.setBudget('weekly', 1), /Unknown budget/);
+    });
+  });
 });
@@ -0,0 +1,56 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryFiles, MemoryLimitError } from '../src/memory/MemoryFiles.js';
+
+describe('MemoryFiles', () => {
+  let tmpDir;
+  let workspace;
+  let memory;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-memory-test-'));
+    workspace = path.join(tmpDir, 'repo');
+    fs.mkdirSync(workspace);
+    memory = new MemoryFiles({ userDir: path.join(tmpDir, 'config'), maxBytes: 200 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('appends facts as list items, once', () => {
+    const first = memory.append('workspace', workspace, '  Tests run with\n`npm run test:unit`  ');
+    assert.equal(first.added, true);
+    assert.equal(first.fact, 'Tests run with `npm run test:unit`');
+    assert.equal(first.file.path, path.join(workspace, 'FRIDAY.md'));
+    assert.match(first.file.content, /^# Friday memory\n[\s\S]*\n- Tests run with `npm run test:unit`\n$/);
+
+    assert.equal(memory.append('workspace', workspace, '- Tests run with `npm run test:unit`').added, false);
+    memory.append('user', workspace, 'I prefer pnpm');
+    assert.ok(fs.existsSync(path.join(tmpDir, 'config', 'FRIDAY.md')));
+    assert.throws(() => memory.append('workspace', workspace, '   '), /Nothing to remember/);
+    assert.throws(() => memory.append('team', workspace, 'x'), /Unknown memory scope/);
+  });
+
+  it('keeps files under the size limit', () => {
+    memory.append('workspace', workspace, 'a'.repeat(100));
+    assert.throws(() => memory.append('workspace', workspace, 'b'.repeat(100)), MemoryLimitError);
+    assert.throws(() => memory.write('user', null, 'x'.repeat(201)), MemoryLimitError);
+  });
+
+  it('builds one prompt section, user file first, cut at the limit', () => {
+    assert.equal(memory.buildPrompt(workspace), '');
+
+    memory.write('user', null, 'I prefer pnpm.');
+    fs.writeFileSync(path.join(workspace, 'FRIDAY.md'), `Deploy with fly.\n${'z'.repeat(300)}`);
+    const prompt = memory.buildPrompt(workspace);
+    assert.match(prompt, /^\n\n## Memory\n/);
+    assert.ok(prompt.indexOf('I prefer pnpm.') < prompt.indexOf('Deploy with fly.'));
+    assert.match(prompt, /the rest is left out/);
+    assert.ok(!prompt.includes('z'.repeat(300)));
+    assert.equal(memory.list(workspace).find((file) => file.scope === 'workspace').truncated, true);
+  });
+});
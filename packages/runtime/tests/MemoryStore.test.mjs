@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryStore } from '../src/memory/MemoryStore.js';
+
+describe('MemoryStore', () => {
+  let tmpDir;
+  let workspace;
+  let other;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-memory-store-test-'));
+    workspace = path.join(tmpDir, 'repo');
+    other = path.join(tmpDir, 'other');
+    fs.mkdirSync(workspace);
+    fs.mkdirSync(other);
+    store = new MemoryStore({ filePath: path.join(tmpDir, 'memory', 'memories.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('saves entries once, tagged by workspace and topic', () => {
+    const first = store.save({ text: '  Chose Postgres over\nMongo for transactions ', kind: 'decision', topics: ['Database'], workspacePath: workspace });
+    assert.equal(first.added, true);
+    assert.match(first.entry.id, /^mem_[0-9a-f]{8}$/);
+    assert.equal(first.entry.text, 'Chose Postgres over Mongo for transactions');
+    assert.equal(first.entry.workspace, fs.realpathSync(workspace));
+
+    const again = store.save({ text: 'chose postgres over mongo for transactions', topics: ['billing'], workspacePath: workspace });
+    assert.equal(again.added, false);
+    assert.deepEqual(again.entry.topics, ['database', 'billing']);
+
+    store.save({ text: 'I prefer pnpm', topics: ['tooling'] });
+    store.save({ text: 'Other project uses MySQL', workspacePath: other });
+
+    assert.equal(store.list().length, 3);
+    assert.deepEqual(store.list({ workspacePath: workspace }).map((entry) => entry.text), ['I prefer pnpm', 'Chose Postgres over Mongo for transactions']);
+    assert.deepEqual(store.list({ topic: 'billing' }).map((entry) => entry.kind), ['decision']);
+    assert.equal(fs.statSync(store.filePath).mode & 0o777, 0o600);
+    assert.throws(() => store.save({ text: ' ' }), /Nothing to save/);
+    assert.throws(() => store.save({ text: 'x', kind: 'rumor' }), /Unknown memory kind/);
+  });
+
+  it('ranks entries with BM25 within what a workspace can see', () => {
+    store.save({ text: 'Staging deploys go through fly.io', topics: ['deploy'], workspacePath: workspace });
+    store.save({ text: 'The staging database is restored nightly', workspacePath: workspace });
+    store.save({ text: 'Webhook secrets live in 1Password', topics: ['secrets'] });
+    store.save({ text: 'Staging deploys use Heroku', workspacePath: other });
+
+    const results = store.search('how do staging deploys work', { workspacePath: workspace });
+    assert.deepEqual(results.map((entry) => entry.text), [
+      'Staging deploys go through fly.io',
+      'The staging database is restored nightly',
+    ]);
+    assert.ok(results[0].score > results[1].score);
+    assert.equal(store.search('webhooks', { workspacePath: workspace })[0].topics[0], 'secrets');
+    assert.deepEqual(store.search('kubernetes', { workspacePath: workspace }), []);
+
+    assert.match(store.buildPrompt('deploy staging', workspace), /^\n\n## Relevant Memories\n[\s\S]*\[deploy\] Staging deploys go through fly\.io/);
+    assert.equal(store.buildPrompt('unrelated haiku', workspace), '');
+    assert.equal(store.buildPrompt('deploy staging', workspace, 0), '');
+  });
+
+  it('forgets by id or prefix and exports', () => {
+    const { entry } = store.save({ text: 'Use Node 20', topics: ['tooling'], workspacePath: workspace });
+    const { entry: elsewhere } = store.save({ text: 'Use Node 18', workspacePath: other });
+
+    assert.equal(store.forget(elsewhere.id, { workspacePath: workspace }), null);
+    assert.match(store.export({ format: 'markdown' }), /^# Friday memories\n[\s\S]*- \*\*fact\*\* Use Node 20 _\(tooling\)_/);
+    assert.deepEqual(JSON.parse(store.export({ workspacePath: workspace })).map((saved) => saved.id), [entry.id]);
+    assert.throws(() => store.export({ format: 'csv' }), /Unknown export format/);
+
+    assert.equal(store.forget(entry.id.slice(0, 8)).id, entry.id);
+    assert.equal(store.get(entry.id), null);
+    assert.deepEqual(store.list().map((saved) => saved.id), [elsewhere.id]);
+  });
+});
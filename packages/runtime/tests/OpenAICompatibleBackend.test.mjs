@@ -0,0 +1,248 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { z } from 'zod';
+import { createSdkMcpServer, tool } from '@anthropic-ai/claude-agent-sdk';
+import { OpenAICompatibleBackend } from '../src/backends/OpenAICompatibleBackend.js';
+import { BackendRegistry } from '../src/backends/BackendRegistry.js';
+import { AgentRuntime } from '../src/runtime/AgentRuntime.js';
+
+// A chat-completions server that streams scripted replies and records requests
+function startFakeServer() {
+  const fake = { requests: [], replies: [] };
+  fake.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      fake.requests.push(JSON.parse(body));
+      const reply = fake.replies.shift() || { text: 'ok' };
+      const chunk = (delta) => `data: ${JSON.stringify({ id: 'c', object: 'chat.completion.chunk', choices: [{ index: 0, delta }] })}\n\n`;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (reply.toolCall) {
+        const [name, args] = reply.toolCall;
+        res.write(chunk({ role: 'assistant', tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name, arguments: '' } }] }));
+        res.write(chunk({ tool_calls: [{ index: 0, function: { arguments: JSON.stringify(args) } }] }));
+      } else {
+        for (const word of reply.text.split(/(?= )/)) res.write(chunk({ content: word }));
+      }
+      res.write(`data: ${JSON.stringify({ id: 'c', object: 'chat.completion.chunk', choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  return new Promise((resolve) => fake.server.listen(0, '127.0.0.1', () => {
+    fake.baseUrl = `http://127.0.0.1:${fake.server.address().port}/v1`;
+    resolve(fake);
+  }));
+}
+
+async function collect(stream) {
+  const messages = [];
+  for await (const message of stream) messages.push(message);
+  return messages;
+}
+
+describe('OpenAICompatibleBackend', () => {
+  let fake;
+  let tmpDir;
+  let historyPath;
+
+  const calcServer = () => createSdkMcpServer({
+    name: 'calc',
+    tools: [tool('add', 'Add two numbers', { a: z.number(), b: z.number() }, async ({ a, b }) => ({
+      content: [{ type: 'text', text: `${a + b} (key sk-secret)` }],
+    }))],
+  });
+
+  before(async () => {
+    fake = await startFakeServer();
+  });
+
+  after(() => {
+    fake.server.close();
+  });
+
+  beforeEach(() => {
+    fake.requests = [];
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-backend-test-'));
+    historyPath = (id) => path.join(tmpDir, id, 'history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const backend = () => new OpenAICompatibleBackend({ name: 'local', baseUrl: fake.baseUrl, model: 'test-model' }, { historyPath });
+
+  it('runs the tool loop through the permission gate and hooks', async () => {
+    fake.replies = [{ toolCall: ['mcp__calc__add', { a: 2, b: 3 }] }, { text: 'The sum is 5.' }];
+    const gated = [];
+    const hooked = [];
+    const options = {
+      systemPrompt: 'You are Friday.',
+      mcpServers: { calc: calcServer() },
+      canUseTool: async (name, input, { toolUseID }) => {
+        gated.push([name, input, toolUseID]);
+        return { behavior: 'allow', updatedInput: { ...input, b: 4 } };
+      },
+      hooks: {
+        PreToolUse: [{ hooks: [async (input) => { hooked.push(['pre', input.tool_name]); return {}; }] }],
+        PostToolUse: [{
+          hooks: [async (input) => ({
+            hookSpecificOutput: { updatedMCPToolOutput: [{ type: 'text', text: input.tool_response[0].text.replace('sk-secret', '[REDACTED]') }] },
+          })],
+        }],
+      },
+    };
+    const stream = backend().query({ prompt: 'Add 2 and 3', options });
+    const status = await stream.mcpServerStatus();
+    assert.deepEqual(status.map((s) => [s.name, s.status]), [['calc', 'connected']]);
+
+    const messages = await collect(stream);
+    assert.deepEqual(messages.map((m) => m.type), ['system', 'usage', 'assistant', 'tool_result', 'text', 'text', 'text', 'text', 'usage', 'assistant', 'result']);
+    assert.deepEqual(gated, [['mcp__calc__add', { a: 2, b: 3 }, 'call_1']]);
+    assert.deepEqual(hooked, [['pre', 'mcp__calc__add']]);
+    assert.deepEqual(messages[2].message.content, [{ type: 'tool_use', id: 'call_1', name: 'mcp__calc__add', input: { a: 2, b: 3 } }]);
+    assert.equal(messages[3].content, '6 (key [REDACTED])');
+    assert.deepEqual(messages.at(-1), { type: 'result', subtype: 'success', result: 'The sum is 5.', num_turns: 2, session_id: messages[0].session_id });
+
+    const [first, second] = fake.requests;
+    assert.equal(first.model, 'test-model');
+    assert.deepEqual(first.messages, [{ role: 'system', content: 'You are Friday.' }, { role: 'user', content: 'Add 2 and 3' }]);
+    assert.equal(first.tools[0].function.name, 'mcp__calc__add');
+    assert.deepEqual(second.messages.at(-1), { role: 'tool', tool_call_id: 'call_1', content: '6 (key [REDACTED])' });
+  });
+
+  it('reconnects its MCP servers for each query', async () => {
+    const shared = backend();
+    const allow = async (name, input) => ({ behavior: 'allow', updatedInput: input });
+    fake.replies = [{ toolCall: ['mcp__calc__add', { a: 1, b: 2 }] }, { text: 'Three.' }];
+    const first = await collect(shared.query({ prompt: 'Add', options: { mcpServers: { calc: calcServer() }, canUseTool: allow } }));
+    assert.equal(first.find((m) => m.type === 'tool_result').content, '3 (key sk-secret)');
+
+    fake.replies = [{ toolCall: ['mcp__calc__add', { a: 2, b: 2 }] }, { text: 'Four.' }];
+    const second = await collect(shared.query({ prompt: 'Add again', options: { mcpServers: { calc: calcServer() }, canUseTool: allow } }));
+    const result = second.find((m) => m.type === 'tool_result');
+    assert.equal(result.content, '4 (key sk-secret)');
+    assert.ok(!result.is_error);
+    assert.equal(second.at(-1).subtype, 'success');
+
+    fake.replies = [{ text: 'No tools.' }];
+    await collect(shared.query({ prompt: 'Plain', options: {} }));
+    assert.equal(fake.requests.at(-1).tools, undefined);
+  });
+
+  it('reports denied tool calls to the model and stops at maxTurns', async () => {
+    fake.replies = [{ toolCall: ['mcp__calc__add', { a: 1, b: 1 }] }];
+    const messages = await collect(backend().query({
+      prompt: 'Add',
+      options: {
+        mcpServers: { calc: calcServer() },
+        maxTurns: 1,
+        canUseTool: async () => ({ behavior: 'deny', message: 'Not in this run' }),
+      },
+    }));
+    const result = messages.find((m) => m.type === 'tool_result');
+    assert.equal(result.content, 'Not in this run');
+    assert.equal(result.is_error, true);
+    assert.equal(messages.at(-1).subtype, 'error_max_turns');
+  });
+
+  it('resumes and forks sessions from saved history', async () => {
+    fake.replies = [{ text: 'First answer' }];
+    const firstRun = await collect(backend().query({ prompt: 'One', options: {} }));
+    const sessionId = firstRun[0].session_id;
+    const firstUuid = firstRun.find((m) => m.type === 'assistant').uuid;
+
+    fake.replies = [{ text: 'Second answer' }];
+    await collect(backend().query({ prompt: 'Two', options: { resume: sessionId } }));
+    assert.deepEqual(fake.requests[1].messages.map((m) => m.content), ['One', 'First answer', 'Two']);
+
+    fake.replies = [{ text: 'Forked answer' }];
+    const forked = await collect(backend().query({
+      prompt: 'Other two',
+      options: { resume: sessionId, forkSession: true, resumeSessionAt: firstUuid, sessionId: 'fork-1' },
+    }));
+    assert.equal(forked[0].session_id, 'fork-1');
+    assert.deepEqual(fake.requests[2].messages.map((m) => m.content), ['One', 'First answer', 'Other two']);
+    assert.ok(fs.existsSync(historyPath('fork-1')));
+  });
+
+  it('drives AgentRuntime queries and pins the session to its backend', async () => {
+    const filePath = path.join(tmpDir, 'backends.json');
+    fs.writeFileSync(filePath, JSON.stringify({ backends: { local: { baseUrl: fake.baseUrl, model: 'test-model', pricing: { input: 0, output: 0 } } } }));
+    const runtime = new AgentRuntime({
+      workspacePath: tmpDir,
+      sessionsPath: path.join(tmpDir, 'sessions'),
+      backendRegistry: new BackendRegistry({ filePath }),
+    });
+    runtime.log = () => {};
+    const events = [];
+    runtime.on('message', (payload) => events.push(payload));
+
+    fake.replies = [{ text: 'Hello there' }];
+    const { sessionId } = await runtime.handleQuery('Hi', null, { backend: 'local' });
+    assert.equal(events.filter((e) => e.type === 'chunk').map((e) => e.text).join(''), 'Hello there');
+    const complete = events.find((e) => e.type === 'complete');
+    assert.equal(complete.session_id, sessionId);
+    assert.ok(complete.message_uuid);
+    await runtime.sessionStore.ensureSession(sessionId);
+    assert.equal((await runtime.sessionStore.getSessionMetadata(sessionId)).backend, 'local');
+
+    // Later queries in the session stay on it without naming it
+    fake.replies = [{ text: 'Again' }];
+    await runtime.handleQuery('Once more', sessionId, {});
+    assert.deepEqual(fake.requests.at(-1).messages.slice(1).map((m) => m.content), ['Hi', 'Hello there', 'Once more']);
+
+    events.length = 0;
+    await runtime.handleQuery('Hi', null, { backend: 'nope' });
+    assert.equal(events.find((e) => e.type === 'error').code, 'backend_unavailable');
+  });
+
+  it('compacts a full session into a continuation before the next query', async () => {
+    const filePath = path.join(tmpDir, 'backends.json');
+    fs.writeFileSync(filePath, JSON.stringify({ backends: { local: { baseUrl: fake.baseUrl, model: 'test-model', pricing: { input: 0, output: 0 } } } }));
+    const runtime = new AgentRuntime({
+      workspacePath: tmpDir,
+      sessionsPath: path.join(tmpDir, 'sessions'),
+      backendRegistry: new BackendRegistry({ filePath }),
+      // Every fake call uses 15 tokens
+      compactionSettings: { enabled: true, threshold: 0.5, contextWindow: 20 },
+    });
+    runtime.log = () => {};
+    const events = [];
+    runtime.on('message', (payload) => events.push(payload));
+
+    fake.replies = [{ text: 'Use Postgres' }];
+    const { sessionId } = await runtime.handleQuery('Which database?', null, { backend: 'local' });
+    await runtime.sessionStore.ensureSession(sessionId);
+    for (let i = 0; i < 20 && !runtime.sessionStore.metadataCache.get(sessionId).contextTokens; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.equal(runtime.sessionStore.metadataCache.get(sessionId).contextTokens, 15);
+
+    fake.replies = [{ text: 'Goal: pick a database. Decided on Postgres.' }, { text: 'Migrations next' }];
+    const requestsBefore = fake.requests.length;
+    const next = await runtime.handleQuery('What now?', sessionId, {});
+
+    const compacted = events.find((e) => e.type === 'context_compacted');
+    assert.equal(compacted.parent_session_id, sessionId);
+    assert.equal(compacted.reason, 'auto');
+    assert.equal(compacted.summary, 'Goal: pick a database. Decided on Postgres.');
+    assert.equal(next.sessionId, compacted.session_id);
+
+    const [summaryRequest, continuedRequest] = fake.requests.slice(requestsBefore);
+    assert.match(summaryRequest.messages.at(-1).content, /User: Which database\?\n\nFriday: Use Postgres/);
+    assert.equal(summaryRequest.tools, undefined);
+    // The continuation starts without the old history, seeded through the system prompt
+    assert.deepEqual(continuedRequest.messages.slice(1).map((m) => m.content), ['What now?']);
+    assert.match(continuedRequest.messages[0].content, /## Earlier in This Conversation\n[\s\S]*Decided on Postgres/);
+
+    const continuation = await runtime.sessionStore.getSessionMetadata(compacted.session_id);
+    assert.equal(continuation.parentSessionId, sessionId);
+    assert.equal(continuation.forkPending, false);
+    assert.equal(runtime.sessionStore.metadataCache.get(sessionId).continuedIn, compacted.session_id);
+  });
+});
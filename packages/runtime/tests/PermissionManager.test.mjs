@@ -1,6 +1,17 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { PermissionManager, PERMISSION } from '../src/permissions/PermissionManager.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  PermissionManager,
+  PERMISSION,
+  evaluateToolPolicy,
+  matchesToolPattern,
+  isPathInside,
+  validatePermissionRule,
+  loadWorkspacePolicy,
+} from '../src/permissions/PermissionManager.js';
 
 describe('PermissionManager', () => {
   let pm;
@@ -24,6 +35,18 @@ describe('PermissionManager', () => {
     it('rejects unknown profiles', () => {
       assert.throws(() => pm.setProfile('nonexistent'), /Unknown profile/);
     });
+
+    it('FRIDAY_PERMISSION_PROFILE overrides the saved profile', () => {
+      process.env.FRIDAY_PERMISSION_PROFILE = 'locked';
+      try {
+        assert.equal(pm.getProfile(), 'locked');
+        assert.equal(pm.check('mcp__filesystem__read_file').decision, PERMISSION.ASK_FIRST);
+        process.env.FRIDAY_PERMISSION_PROFILE = 'nonexistent';
+        assert.equal(pm.getProfile(), 'developer');
+      } finally {
+        delete process.env.FRIDAY_PERMISSION_PROFILE;
+      }
+    });
   });
 
   describe('check — developer profile', () => {
@@ -42,6 +65,15 @@ describe('PermissionManager', () => {
       assert.equal(result.source, 'profile-in-workspace');
     });
 
+    it('does not treat a sibling directory with the same prefix as the workspace', () => {
+      const result = pm.check('mcp__filesystem__write_file', {
+        filePath: '/home/user/workspace2/foo.js',
+        workspacePath: '/home/user/workspace',
+      });
+      assert.equal(result.decision, PERMISSION.ASK_FIRST);
+      assert.equal(result.source, 'profile-outside-workspace');
+    });
+
     it('asks for write_file outside workspace', () => {
       const result = pm.check('mcp__filesystem__write_file', {
         filePath: '/etc/passwd',
@@ -56,6 +88,14 @@ describe('PermissionManager', () => {
       assert.equal(result.decision, PERMISSION.ASK_FIRST);
     });
 
+    it('asks before remembering facts in FRIDAY.md', () => {
+      for (const scope of ['user', 'workspace']) {
+        const result = pm.check('mcp__friday-internal__remember', { input: { fact: 'Deploy with fly', scope } });
+        assert.equal(result.decision, PERMISSION.ASK_FIRST);
+        assert.equal(result.source, 'profile');
+      }
+    });
+
     it('defaults to ask-first for unknown tools', () => {
       const result = pm.check('some_random_tool');
       assert.equal(result.decision, PERMISSION.ASK_FIRST);
@@ -148,6 +188,22 @@ describe('PermissionManager', () => {
       const result = pm.check('mcp__terminal__execute_command');
       assert.notEqual(result.source, 'session');
     });
+
+    it('scoped approvals only apply to their session', () => {
+      pm._data.profile = 'locked';
+      pm.addSessionApproval('mcp__terminal__execute_command', 'ctx-1');
+      assert.equal(pm.check('mcp__terminal__execute_command', { scope: 'ctx-1' }).source, 'session');
+      assert.notEqual(pm.check('mcp__terminal__execute_command', { scope: 'ctx-2' }).source, 'session');
+      assert.notEqual(pm.check('mcp__terminal__execute_command').source, 'session');
+    });
+
+    it('clearSessionApprovals with a scope leaves other sessions alone', () => {
+      pm.addSessionApproval('mcp__terminal__execute_command', 'ctx-1');
+      pm.addSessionApproval('mcp__terminal__execute_command', 'ctx-2');
+      pm.clearSessionApprovals('ctx-1');
+      assert.notEqual(pm.check('mcp__terminal__execute_command', { scope: 'ctx-1' }).source, 'session');
+      assert.equal(pm.check('mcp__terminal__execute_command', { scope: 'ctx-2' }).source, 'session');
+    });
   });
 
   describe('app permissions', () => {
@@ -173,4 +229,237 @@ describe('PermissionManager', () => {
       assert.equal(result.decision, PERMISSION.DENY);
     });
   });
+
+  describe('tool policy', () => {
+    it('matches full names, bare names and globs case-insensitively', () => {
+      assert.ok(matchesToolPattern('write_file', 'mcp__filesystem__write_file'));
+      assert.ok(matchesToolPattern('mcp__filesystem__*', 'mcp__filesystem__write_file'));
+      assert.ok(matchesToolPattern('bash', 'Bash'));
+      assert.ok(!matchesToolPattern('mcp__terminal__*', 'mcp__filesystem__write_file'));
+      assert.ok(!matchesToolPattern('write', 'mcp__filesystem__write_file'));
+    });
+
+    it('lets deny win over allow', () => {
+      const policy = { allow: ['*'], deny: ['mcp__terminal__*'] };
+      assert.equal(evaluateToolPolicy(policy, 'mcp__terminal__bash'), 'deny');
+      assert.equal(evaluateToolPolicy(policy, 'WebSearch'), 'allow');
+      assert.equal(evaluateToolPolicy({ allow: ['WebSearch'] }, 'WebFetch'), null);
+      assert.equal(evaluateToolPolicy(null, 'WebFetch'), null);
+    });
+  });
+
+  describe('argument rules', () => {
+    let tmpDir;
+    let workspace;
+
+    before(() => {
+      tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'friday-permissions-test-')));
+      workspace = path.join(tmpDir, 'work');
+      fs.mkdirSync(path.join(workspace, 'src'), { recursive: true });
+      fs.mkdirSync(path.join(tmpDir, 'work2'));
+      fs.mkdirSync(path.join(tmpDir, 'outside'));
+      fs.symlinkSync(path.join(tmpDir, 'outside'), path.join(workspace, 'src', 'escape'));
+    });
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      pm._data.rules = {
+        write: { allow: ['src/**'], deny: ['.env*'] },
+        bash: { allow: ['npm test*', 'git status'], otherwise: 'ask' },
+        WebFetch: { allow: ['*.github.com'], otherwise: 'deny' },
+      };
+    });
+
+    const write = (filePath) => pm.check('Write', { workspacePath: workspace, input: { file_path: filePath } });
+    const bash = (command) => pm.check('mcp__terminal__execute_command', { workspacePath: workspace, input: { command } });
+
+    it('checks containment after resolving symlinks', () => {
+      assert.ok(isPathInside(path.join(workspace, 'src', 'a.js'), workspace));
+      assert.ok(isPathInside(path.join(workspace, 'new', 'dir', 'file'), workspace));
+      assert.ok(!isPathInside(path.join(tmpDir, 'work2', 'a.js'), workspace));
+      assert.ok(!isPathInside(path.join(workspace, 'src', 'escape', 'a.js'), workspace));
+    });
+
+    it('allows writes under an allowed glob and denies matching files anywhere', () => {
+      assert.deepEqual(write('src/lib/a.ts'), { decision: PERMISSION.AUTO_APPROVE, source: 'rule', layer: 'user', rule: 'write', pattern: 'src/**' });
+      assert.equal(write(path.join(workspace, 'src', '.env.local')).decision, PERMISSION.DENY);
+      assert.equal(pm.check('mcp__filesystem__write_file', { workspacePath: workspace, input: { path: path.join(tmpDir, '.env') } }).pattern, '.env*');
+    });
+
+    it('does not follow symlinks or sibling prefixes into an allow', () => {
+      assert.equal(write('src/escape/a.js').source, 'default');
+      assert.equal(write(path.join(tmpDir, 'work2', 'src', 'a.js')).source, 'default');
+      assert.equal(write('../work2/src/a.js').source, 'default');
+    });
+
+    it('needs every path of a call to be allowed', () => {
+      const move = (destination) => pm.check('mcp__filesystem__move_file', {
+        workspacePath: workspace,
+        input: { source: path.join(workspace, 'src', 'a.js'), destination },
+      });
+      assert.equal(move(path.join(workspace, 'src', 'b.js')).decision, PERMISSION.AUTO_APPROVE);
+      assert.notEqual(move(path.join(workspace, 'b.js')).source, 'rule');
+    });
+
+    it('allows only commands whose every part matches and asks otherwise', () => {
+      assert.equal(bash('npm test -- --watch').decision, PERMISSION.AUTO_APPROVE);
+      assert.equal(bash('git status').decision, PERMISSION.AUTO_APPROVE);
+      assert.deepEqual(bash('git status && rm -rf src'), { decision: PERMISSION.ASK_FIRST, source: 'rule', layer: 'user', rule: 'bash', pattern: null });
+      assert.equal(bash('git push').decision, PERMISSION.ASK_FIRST);
+    });
+
+    it('lets a session approval answer a rule that asks, but not one that denies', () => {
+      pm.addSessionApproval('mcp__terminal__execute_command');
+      assert.equal(bash('git push').source, 'session');
+      pm._data.rules.bash.deny = ['git push*'];
+      assert.equal(bash('git push').decision, PERMISSION.DENY);
+    });
+
+    it('matches URLs by host', () => {
+      const fetchUrl = (url) => pm.check('WebFetch', { input: { url } }).decision;
+      assert.equal(fetchUrl('https://api.github.com/repos'), PERMISSION.AUTO_APPROVE);
+      assert.equal(fetchUrl('https://github.com.evil.example/'), PERMISSION.DENY);
+      assert.equal(fetchUrl('not a url'), PERMISSION.DENY);
+    });
+
+    it('asks before searching a directory that a read deny glob could match inside', () => {
+      pm._data.rules = { read: { allow: ['**'], deny: ['.env*', 'src/secrets/**'] } };
+      const search = (toolName, input) => pm.check(toolName, { workspacePath: workspace, input });
+
+      // No path searches the workspace, where .env lives
+      assert.deepEqual(search('Grep', { pattern: 'API_KEY' }), { decision: PERMISSION.ASK_FIRST, source: 'rule', layer: 'user', rule: 'read', pattern: '.env*' });
+      assert.equal(search('Glob', { pattern: '**/*', path: '.' }).decision, PERMISSION.ASK_FIRST);
+      assert.equal(search('mcp__filesystem__search_files', { path: workspace, pattern: 'key' }).decision, PERMISSION.ASK_FIRST);
+      // A single file is checked as before
+      assert.equal(search('Grep', { pattern: 'x', path: 'src/a.js' }).decision, PERMISSION.AUTO_APPROVE);
+      assert.equal(search('Grep', { pattern: 'x', path: '.env' }).decision, PERMISSION.DENY);
+
+      pm._data.rules = { read: { allow: ['**'], deny: ['src/secrets/**'] } };
+      assert.equal(search('Grep', { pattern: 'x', path: 'src' }).decision, PERMISSION.ASK_FIRST);
+      assert.equal(search('Grep', { pattern: 'x', path: path.join(tmpDir, 'work2') }).decision, PERMISSION.AUTO_APPROVE);
+      assert.equal(search('Read', { file_path: path.join(workspace, 'src', 'a.js') }).decision, PERMISSION.AUTO_APPROVE);
+    });
+
+    it('rejects malformed rules', () => {
+      assert.equal(validatePermissionRule({ allow: ['src/**'], otherwise: 'ask' }), null);
+      assert.match(validatePermissionRule({ allow: 'src/**' }), /allow must be a list/);
+      assert.match(validatePermissionRule({ otherwise: 'maybe' }), /otherwise must be/);
+      assert.match(validatePermissionRule({ permit: [] }), /unknown field "permit"/);
+      assert.throws(() => pm.setRules({ write: { deny: [''] } }), /Invalid permission rule for write/);
+    });
+  });
+
+  describe('custom profiles and workspace policy', () => {
+    let tmpDir;
+    let workspace;
+
+    const writeJson = (file, data) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    };
+
+    before(() => {
+      tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'friday-profiles-test-')));
+      workspace = path.join(tmpDir, 'work');
+      writeJson(path.join(tmpDir, 'profiles', 'reviewer.json'), {
+        extends: 'safe',
+        description: 'Review only',
+        tools: { 'mcp__terminal__*': 'deny' },
+        rules: { read: { deny: ['*.pem'] } },
+      });
+      writeJson(path.join(tmpDir, 'profiles', 'strict-reviewer.json'), { extends: 'reviewer', tools: { WebSearch: 'ask' } });
+      writeJson(path.join(tmpDir, 'profiles', 'loop.json'), { extends: 'loop' });
+      writeJson(path.join(tmpDir, 'profiles', 'safe.json'), { tools: {} });
+    });
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      pm = new PermissionManager({ profilesDir: path.join(tmpDir, 'profiles') });
+      pm._data = { profile: 'developer', overrides: {}, apps: {}, sessionApprovals: {} };
+      pm._save = () => {};
+      fs.rmSync(path.join(workspace, '.friday'), { recursive: true, force: true });
+    });
+
+    it('lists custom profiles and explains the ones it cannot use', () => {
+      const profiles = Object.fromEntries(pm.listProfiles().map((profile) => [profile.name, profile]));
+      assert.equal(profiles.developer.builtIn, true);
+      assert.equal(profiles.reviewer.extends, 'safe');
+      assert.equal(profiles.reviewer.error, null);
+      assert.match(profiles.loop.error, /extends itself/);
+      assert.throws(() => pm.setProfile('nope'), /Unknown profile: nope/);
+      assert.throws(() => pm.setProfile('loop'), /extends itself/);
+    });
+
+    it('inherits from the profile it extends', () => {
+      pm.setProfile('strict-reviewer');
+      assert.deepEqual(pm.getActiveProfile().chain, ['strict-reviewer', 'reviewer', 'safe']);
+      assert.deepEqual(pm.check('mcp__filesystem__read_file'), { decision: PERMISSION.AUTO_APPROVE, source: 'profile', layer: 'profile' });
+      assert.equal(pm.check('mcp__terminal__execute_command').decision, PERMISSION.DENY);
+      assert.equal(pm.check('websearch').decision, PERMISSION.ASK_FIRST);
+      const key = pm.check('Read', { workspacePath: workspace, input: { file_path: 'certs/server.pem' } });
+      assert.deepEqual([key.decision, key.layer, key.pattern], [PERMISSION.DENY, 'profile', '*.pem']);
+    });
+
+    it('merges app rules with the user rules', () => {
+      pm._data.rules = { bash: { allow: ['git *'] } };
+      pm._data.apps = { ci: { permissions: {}, rules: { bash: { deny: ['git push*'] } } } };
+      const bash = (command, appId) => pm.check('Bash', { workspacePath: workspace, appId, input: { command } });
+      assert.equal(bash('git push', null).decision, PERMISSION.AUTO_APPROVE);
+      assert.deepEqual([bash('git push', 'ci').decision, bash('git push', 'ci').layer], [PERMISSION.DENY, 'app']);
+      assert.equal(bash('git log', 'ci').layer, 'user');
+    });
+
+    it('lets a workspace policy tighten but never loosen', () => {
+      writeJson(path.join(workspace, '.friday', 'permissions.json'), {
+        tools: { 'mcp__github__*': 'ask', delete_repo: 'allow' },
+        rules: { write: { allow: ['**'], deny: ['migrations/**'], otherwise: 'allow' }, bash: { ask: ['git push*'] } },
+      });
+      const policy = loadWorkspacePolicy(workspace);
+      assert.deepEqual(policy.ignored, ['tools.delete_repo: allow', 'rules.write.allow', 'rules.write.otherwise: allow']);
+
+      const writeFile = (file) => pm.check('mcp__filesystem__write_file', {
+        workspacePath: workspace, filePath: file, input: { path: path.join(workspace, file) },
+      });
+      assert.equal(writeFile('src/a.js').source, 'profile-in-workspace');
+      assert.deepEqual([writeFile('migrations/1.sql').decision, writeFile('migrations/1.sql').source], [PERMISSION.DENY, 'workspace']);
+
+      pm._data.overrides = { mcp__github__delete_repo: PERMISSION.AUTO_APPROVE };
+      const github = pm.check('mcp__github__delete_repo', { workspacePath: workspace, scope: 's1' });
+      assert.deepEqual([github.decision, github.tool], [PERMISSION.ASK_FIRST, 'mcp__github__*']);
+      pm.addSessionApproval('mcp__github__delete_repo', 's1');
+      assert.equal(pm.check('mcp__github__delete_repo', { workspacePath: workspace, scope: 's1' }).source, 'session');
+
+      pm._data.overrides = { mcp__terminal__execute_command: PERMISSION.DENY };
+      assert.equal(pm.check('mcp__terminal__execute_command', { workspacePath: workspace, input: { command: 'git push' } }).source, 'override');
+    });
+
+    it('applies a workspace profile and asks for everything when the policy is broken', () => {
+      writeJson(path.join(workspace, '.friday', 'permissions.json'), { profile: 'reviewer' });
+      assert.equal(pm.check('mcp__terminal__execute_command', { workspacePath: workspace }).profile, 'reviewer');
+      assert.equal(pm.check('mcp__filesystem__read_file', { workspacePath: workspace }).source, 'profile');
+
+      writeJson(path.join(workspace, '.friday', 'permissions.json'), '{ "tools": ');
+      fs.utimesSync(path.join(workspace, '.friday', 'permissions.json'), new Date(), new Date(Date.now() + 5000));
+      const broken = pm.check('mcp__filesystem__read_file', { workspacePath: workspace });
+      assert.equal(broken.decision, PERMISSION.ASK_FIRST);
+      assert.match(broken.error, /can't be read/);
+    });
+
+    it('explains which layer decided', () => {
+      writeJson(path.join(workspace, '.friday', 'permissions.json'), { rules: { bash: { deny: ['rm *'] } } });
+      pm._data.rules = { bash: { allow: ['rm *'] } };
+      const explained = pm.explain('Bash', { workspacePath: workspace, input: { command: 'rm -rf build' } });
+      assert.equal(explained.result.layer, 'workspace');
+      assert.deepEqual(explained.layers.filter((layer) => layer.decided).map((layer) => layer.layer), ['workspace']);
+      const rules = explained.layers.find((layer) => layer.layer === 'rules');
+      assert.deepEqual([rules.decision, rules.detail], [PERMISSION.AUTO_APPROVE, 'user rule bash: "rm *" (rm -rf build)']);
+      assert.equal(explained.workspacePolicy.path, path.join(workspace, '.friday', 'permissions.json'));
+    });
+  });
 });
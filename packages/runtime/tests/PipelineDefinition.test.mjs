@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseYaml,
+  parsePipeline,
+  parseCondition,
+  evaluateConditions,
+  loadPipeline,
+  listPipelineFiles,
+} from '../src/scheduler/PipelineDefinition.js';
+
+describe('parseYaml', () => {
+  it('parses nested mappings, sequences and scalars', () => {
+    const doc = parseYaml(`
+# comment
+name: report   # trailing comment
+concurrency: 3
+enabled: true
+nothing: ~
+steps:
+  - id: a
+    agent: agent_1
+  - id: b
+    needs: [a, "c d"]
+    tags:
+      - x
+      - 'y''s'
+list:
+- 1
+- 2.5
+`);
+    assert.deepEqual(doc, {
+      name: 'report',
+      concurrency: 3,
+      enabled: true,
+      nothing: null,
+      steps: [
+        { id: 'a', agent: 'agent_1' },
+        { id: 'b', needs: ['a', 'c d'], tags: ['x', "y's"] },
+      ],
+      list: [1, 2.5],
+    });
+  });
+
+  it('keeps colons and hashes inside values', () => {
+    const doc = parseYaml('url: https://example.com/a#b\nquoted: "a # b"\nflow: {a: 1, b: two}');
+    assert.deepEqual(doc, { url: 'https://example.com/a#b', quoted: 'a # b', flow: { a: 1, b: 'two' } });
+  });
+
+  it('parses literal and folded block scalars', () => {
+    const doc = parseYaml('literal: |\n  line one\n  line two\nfolded: >-\n  one\n  two\n\n  three\nafter: x\n');
+    assert.equal(doc.literal, 'line one\nline two\n');
+    assert.equal(doc.folded, 'one two\nthree');
+    assert.equal(doc.after, 'x');
+  });
+
+  it('reports the line of bad indentation', () => {
+    assert.throws(() => parseYaml('a: 1\n    b: 2\n'), /line 2/);
+  });
+});
+
+describe('conditions', () => {
+  it('parses status, contains, always and negation', () => {
+    assert.deepEqual(parseCondition('research.failure'), { negate: false, step: 'research', status: 'failure' });
+    assert.deepEqual(parseCondition('!research.summary contains "no news"'), { negate: true, step: 'research', contains: 'no news' });
+    assert.deepEqual(parseCondition('always'), { negate: false, always: true });
+    assert.throws(() => parseCondition('research.exploded'), /Invalid condition/);
+  });
+
+  it('evaluates against step states', () => {
+    const states = { a: { status: 'success', summary: 'Found 3 New items' }, b: { status: 'skipped' } };
+    assert.equal(evaluateConditions([parseCondition('a.success')], states), true);
+    assert.equal(evaluateConditions([parseCondition('a.summary contains "new items"')], states), true);
+    assert.equal(evaluateConditions([parseCondition('b.done'), parseCondition('!a.failure')], states), true);
+    assert.equal(evaluateConditions([parseCondition('a.success'), parseCondition('b.success')], states), false);
+  });
+});
+
+describe('parsePipeline', () => {
+  const yaml = `
+name: weekly
+steps:
+  - id: research
+    agent: ag1
+  - id: competitors
+    agent: ag2
+  - id: write
+    agent: ag3
+    needs: [research, competitors]
+    prompt: Combine the reports.
+  - id: alert
+    agent: ag4
+    needs: research
+    when: research.failure
+`;
+
+  it('normalizes steps', () => {
+    const pipeline = parsePipeline(yaml);
+    assert.equal(pipeline.name, 'weekly');
+    assert.equal(pipeline.concurrency, 2);
+    assert.deepEqual(pipeline.steps.map(s => s.needs), [[], [], ['research', 'competitors'], ['research']]);
+    assert.equal(pipeline.steps[2].prompt, 'Combine the reports.');
+    assert.equal(pipeline.steps[3].when[0].status, 'failure');
+  });
+
+  it('accepts JSON', () => {
+    const pipeline = parsePipeline(JSON.stringify({ name: 'j', steps: [{ id: 'a', agent: 'x' }] }));
+    assert.equal(pipeline.steps[0].agent, 'x');
+  });
+
+  it('rejects unknown needs, duplicates and cycles', () => {
+    const make = (steps) => JSON.stringify({ name: 'p', steps });
+    assert.throws(() => parsePipeline(make([{ id: 'a', agent: 'x', needs: ['zz'] }])), /unknown step "zz"/);
+    assert.throws(() => parsePipeline(make([{ id: 'a', agent: 'x' }, { id: 'a', agent: 'y' }])), /Duplicate step id/);
+    assert.throws(() => parsePipeline(make([
+      { id: 'a', agent: 'x', needs: ['c'] },
+      { id: 'b', agent: 'x', needs: ['a'] },
+      { id: 'c', agent: 'x', needs: ['b'] },
+    ])), /cycle through: a, b, c/);
+    assert.throws(() => parsePipeline(make([{ id: 'a', agent: 'x' }, { id: 'b', agent: 'x', when: 'a.success' }])), /not in its needs/);
+    assert.throws(() => parsePipeline(make([])), /no steps/);
+  });
+});
+
+describe('loadPipeline', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-pipelines-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('resolves names in the pipelines directory and defaults the name', () => {
+    fs.writeFileSync(path.join(tmpDir, 'nightly.yml'), 'steps:\n  - id: a\n    agent: x\n');
+    const pipeline = loadPipeline('nightly', { pipelinesDir: tmpDir });
+    assert.equal(pipeline.name, 'nightly');
+    assert.equal(pipeline.filePath, path.join(tmpDir, 'nightly.yml'));
+    assert.deepEqual(listPipelineFiles(tmpDir), ['nightly']);
+    assert.throws(() => loadPipeline('missing', { pipelinesDir: tmpDir }), /Pipeline not found/);
+  });
+});
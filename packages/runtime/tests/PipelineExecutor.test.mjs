@@ -0,0 +1,138 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PipelineExecutor } from '../src/scheduler/PipelineExecutor.js';
+import { parsePipeline } from '../src/scheduler/PipelineDefinition.js';
+import AgentRunHistory from '../src/scheduled-agents/AgentRunHistory.js';
+
+/**
+ * Fake AgentExecutor: each agent id maps to a result factory.
+ */
+function fakeExecutor(outcomes, log) {
+  return {
+    executeAgent: async (agentId, opts) => {
+      log.push({ agentId, opts, event: 'start' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      log.push({ agentId, event: 'end' });
+      const outcome = outcomes[agentId] || { success: true };
+      if (outcome.throws) throw new Error(outcome.throws);
+      return {
+        success: outcome.success,
+        error: outcome.success ? undefined : new Error(outcome.error || 'boom'),
+        run: {
+          id: `run_${agentId}`,
+          outcome: { summary: outcome.summary || `${agentId} done` },
+          filesCreated: outcome.files || [],
+        },
+      };
+    },
+  };
+}
+
+function pipelineOf(steps, extra = {}) {
+  return parsePipeline(JSON.stringify({ name: 'test', steps, ...extra }));
+}
+
+describe('PipelineExecutor', () => {
+  let tmpDir;
+  let runHistory;
+  let log;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-pipeline-runs-'));
+    runHistory = new AgentRunHistory(tmpDir);
+    log = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('fans out, fans in and passes artifacts downstream', async () => {
+    const executor = new PipelineExecutor({
+      agentExecutor: fakeExecutor({ ag1: { success: true, files: ['/w/a.md'] }, ag2: { success: true, summary: 'competitors ok' } }, log),
+      runHistory,
+    });
+    const run = await executor.run(pipelineOf([
+      { id: 'a', agent: 'ag1' },
+      { id: 'b', agent: 'ag2' },
+      { id: 'c', agent: 'ag3', needs: ['a', 'b'], prompt: 'Merge them.' },
+    ]), { input: 'Focus on Q3' });
+
+    assert.equal(run.status, 'success');
+    // a and b overlap; c starts after both end
+    const order = log.map(e => `${e.event}:${e.agentId}`);
+    assert.deepEqual(order.slice(0, 2).sort(), ['start:ag1', 'start:ag2']);
+    assert.equal(order[4], 'start:ag3');
+
+    const context = log.find(e => e.agentId === 'ag3' && e.event === 'start').opts.additionalContext;
+    assert.match(context, /Files: \/w\/a\.md/);
+    assert.match(context, /competitors ok/);
+    assert.match(context, /Focus on Q3/);
+    assert.match(context, /Merge them\./);
+    assert.deepEqual(run.steps.a.filesCreated, ['/w/a.md']);
+    assert.equal(run.steps.c.runId, 'run_ag3');
+  });
+
+  it('respects concurrency', async () => {
+    const executor = new PipelineExecutor({ agentExecutor: fakeExecutor({}, log), runHistory });
+    await executor.run(pipelineOf([
+      { id: 'a', agent: 'ag1' },
+      { id: 'b', agent: 'ag2' },
+    ], { concurrency: 1 }));
+    assert.deepEqual(log.map(e => `${e.event}:${e.agentId}`), ['start:ag1', 'end:ag1', 'start:ag2', 'end:ag2']);
+  });
+
+  it('branches on outcome and skips dependents of failed steps', async () => {
+    const executor = new PipelineExecutor({
+      agentExecutor: fakeExecutor({ ag1: { success: false, error: 'API down' } }, log),
+      runHistory,
+    });
+    const run = await executor.run(pipelineOf([
+      { id: 'research', agent: 'ag1' },
+      { id: 'write', agent: 'ag2', needs: ['research'] },
+      { id: 'publish', agent: 'ag3', needs: ['write'] },
+      { id: 'alert', agent: 'ag4', needs: ['research'], when: 'research.failure' },
+      { id: 'cleanup', agent: 'ag5', needs: ['publish'], when: 'always' },
+    ]));
+
+    assert.equal(run.status, 'failed');
+    assert.equal(run.steps.research.status, 'failure');
+    assert.equal(run.steps.research.error, 'API down');
+    assert.equal(run.steps.write.status, 'skipped');
+    assert.equal(run.steps.publish.status, 'skipped');
+    assert.equal(run.steps.alert.status, 'success');
+    assert.equal(run.steps.cleanup.status, 'success');
+  });
+
+  it('records thrown errors as step failures', async () => {
+    const executor = new PipelineExecutor({ agentExecutor: fakeExecutor({ ag1: { throws: 'Agent ag1 is paused' } }, log), runHistory });
+    const run = await executor.run(pipelineOf([{ id: 'a', agent: 'ag1' }]));
+    assert.equal(run.steps.a.status, 'failure');
+    assert.equal(run.steps.a.error, 'Agent ag1 is paused');
+  });
+
+  it('refuses to start when an agent does not exist', async () => {
+    const agentExecutor = fakeExecutor({}, log);
+    agentExecutor.agentStore = { getAgentById: async (id) => (id === 'ag1' ? { id } : null) };
+    const executor = new PipelineExecutor({ agentExecutor, runHistory });
+    await assert.rejects(
+      () => executor.run(pipelineOf([{ id: 'a', agent: 'ag1' }, { id: 'b', agent: 'ghost' }])),
+      /unknown agents: ghost/
+    );
+    assert.equal(log.length, 0);
+  });
+
+  it('saves per-step status to AgentRunHistory', async () => {
+    const executor = new PipelineExecutor({ agentExecutor: fakeExecutor({}, log), runHistory });
+    const run = await executor.run(pipelineOf([{ id: 'a', agent: 'ag1' }]));
+
+    const history = await runHistory.getPipelineRunHistory('test');
+    assert.equal(history.length, 1);
+    assert.equal(history[0].steps.a.status, 'success');
+    assert.deepEqual(await runHistory.getPipelineRunById(run.id), run);
+    assert.equal((await runHistory.getPipelineRunHistory(null)).length, 1);
+  });
+});
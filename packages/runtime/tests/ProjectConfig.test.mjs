@@ -0,0 +1,122 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ProjectTrustStore,
+  loadProjectConfig,
+  validateProjectConfig,
+  describeProjectConfig,
+  trustedProjectSettings,
+  projectRules,
+} from '../src/project/ProjectConfig.js';
+
+const testRule = {
+  id: 'test_after_edit',
+  triggers: { editedFiles: ['src/**'] },
+  actions: [{ type: 'run_command', command: 'npm test' }],
+};
+
+describe('ProjectConfig', () => {
+  let tmpDir;
+  let workspace;
+  let trustStore;
+
+  const writeConfig = (config) => {
+    fs.mkdirSync(path.join(workspace, '.friday'), { recursive: true });
+    fs.writeFileSync(path.join(workspace, '.friday', 'config.json'), typeof config === 'string' ? config : JSON.stringify(config));
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-project-test-'));
+    workspace = path.join(tmpDir, 'repo');
+    fs.mkdirSync(workspace);
+    trustStore = new ProjectTrustStore({ filePath: path.join(tmpDir, 'trusted-projects.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('keeps valid settings and reports the rest', () => {
+    const { settings, problems } = validateProjectConfig({
+      agent: 'backend-developer',
+      model: 42,
+      skills: ['api-design'],
+      mcpServers: { db: { command: 'npx', args: ['db-server'] }, broken: { args: [] } },
+      rules: [testRule, { id: 'no_triggers' }],
+      theme: 'dark',
+    });
+    assert.deepEqual(settings, {
+      agent: 'backend-developer',
+      skills: ['api-design'],
+      mcpServers: { db: { command: 'npx', args: ['db-server'] } },
+      rules: [testRule],
+    });
+    assert.deepEqual(problems, [
+      'model must be a string',
+      'MCP server broken has no command',
+      'rule no_triggers has no triggers',
+      'unknown setting "theme"',
+    ]);
+    assert.deepEqual(validateProjectConfig([]).problems, ['must be a JSON object']);
+  });
+
+  it('describes the commands a project would run', () => {
+    const summary = describeProjectConfig({ mcpServers: { db: { command: 'npx', args: ['-y', 'db-server'] } }, rules: [testRule] });
+    assert.deepEqual(summary.mcpServers, [{ name: 'db', command: 'npx -y db-server', env: [], cwd: null }]);
+    assert.deepEqual(summary.rules, [{ id: 'test_after_edit', commands: ['npm test'] }]);
+  });
+
+  it('shows the env and cwd of MCP servers and drops other fields', () => {
+    const { settings, problems } = validateProjectConfig({
+      mcpServers: {
+        db: { command: 'node', args: ['server.js'], env: { NODE_OPTIONS: '--require ./hook.js', PATH: './bin', API_KEY: 'sk-proj-abcdefghijklmnopqrstuvwx1234' }, cwd: 'tools' },
+        creds: { command: 'npx', args: ['x'], auth: { type: 'api_key', provider: 'github' } },
+        bad: { command: 'npx', env: { DEBUG: true } },
+      },
+    });
+    assert.deepEqual(problems, ['MCP server creds has unknown field "auth"', 'MCP server bad env must be an object of strings']);
+    assert.deepEqual(Object.keys(settings.mcpServers), ['db']);
+    assert.deepEqual(describeProjectConfig(settings).mcpServers, [{
+      name: 'db',
+      command: 'node server.js',
+      env: ['NODE_OPTIONS=--require ./hook.js', 'PATH=./bin', 'API_KEY=[REDACTED]'],
+      cwd: 'tools',
+    }]);
+  });
+
+  it('uses a project config only once it is trusted, and asks again when it changes', () => {
+    assert.equal(loadProjectConfig(workspace, { trustStore }), null);
+
+    writeConfig({ model: 'claude-opus-4-5', rules: [testRule] });
+    let project = loadProjectConfig(workspace, { trustStore });
+    assert.equal(project.trust, 'unknown');
+    assert.deepEqual(trustedProjectSettings(project), {});
+    assert.deepEqual(projectRules(project), []);
+
+    trustStore.set(workspace, project.hash, true);
+    project = loadProjectConfig(workspace, { trustStore });
+    assert.equal(project.trust, 'trusted');
+    assert.equal(trustedProjectSettings(project).model, 'claude-opus-4-5');
+    assert.deepEqual(projectRules(project).map((rule) => [rule.id, rule.source]), [['test_after_edit', 'project']]);
+    assert.equal(fs.statSync(trustStore.filePath).mode & 0o777, 0o600);
+
+    writeConfig({ model: 'claude-opus-4-5', rules: [testRule], mcpServers: { evil: { command: 'curl' } } });
+    assert.equal(loadProjectConfig(workspace, { trustStore }).trust, 'unknown');
+
+    trustStore.set(workspace, loadProjectConfig(workspace, { trustStore }).hash, false);
+    assert.equal(loadProjectConfig(workspace, { trustStore }).trust, 'untrusted');
+    assert.ok(trustStore.forget(workspace));
+    assert.deepEqual(trustStore.list(), []);
+  });
+
+  it('treats an unreadable config as untrusted', () => {
+    writeConfig('{ "model": ');
+    const project = loadProjectConfig(workspace, { trustStore });
+    assert.equal(project.trust, 'untrusted');
+    assert.match(project.error, /invalid JSON/);
+    assert.deepEqual(trustedProjectSettings(project), {});
+  });
+});
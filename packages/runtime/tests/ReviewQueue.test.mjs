@@ -0,0 +1,164 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReviewQueue, REVIEW_STATUS } from '../src/scheduled-agents/ReviewQueue.js';
+import AgentExecutor, { detectExternalActions, getReviewPolicy } from '../src/scheduled-agents/AgentExecutor.js';
+
+const REQUEST = {
+  agentId: 'agent_1',
+  agentName: 'Standup Poster',
+  runId: 'run_1',
+  toolName: 'mcp__slack__slack_post_message',
+  toolInput: { channel: '#team', text: 'Standup notes' },
+  system: 'slack',
+  action: 'Post to #team'
+};
+
+describe('ReviewQueue', () => {
+  let tmpDir;
+  let queue;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-review-queue-'));
+    queue = new ReviewQueue({ filePath: path.join(tmpDir, 'review-queue.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('persists pending items', () => {
+    const item = queue.add(REQUEST);
+    assert.match(item.id, /^rev_/);
+    assert.equal(item.status, REVIEW_STATUS.PENDING);
+    assert.equal(item.pid, process.pid);
+
+    const reopened = new ReviewQueue({ filePath: queue.filePath });
+    assert.deepEqual(reopened.list({ status: 'pending' }), [item]);
+  });
+
+  it('writes the file owner-only', { skip: process.platform === 'win32' }, () => {
+    queue.add(REQUEST);
+    assert.equal(fs.statSync(queue.filePath).mode & 0o777, 0o600);
+  });
+
+  it('approves with edited input and rejects with a reason', () => {
+    const first = queue.add(REQUEST);
+    const second = queue.add(REQUEST);
+
+    const approved = queue.approve(first.id, { input: { channel: '#team', text: 'Edited' } });
+    assert.equal(approved.status, REVIEW_STATUS.APPROVED);
+    assert.deepEqual(approved.editedInput, { channel: '#team', text: 'Edited' });
+
+    const rejected = queue.reject(second.id, { reason: 'Wrong channel' });
+    assert.equal(rejected.status, REVIEW_STATUS.REJECTED);
+    assert.equal(rejected.reason, 'Wrong channel');
+
+    assert.throws(() => queue.approve(second.id), /already rejected/);
+    assert.throws(() => queue.reject('rev_missing'), /Review not found/);
+    assert.equal(queue.list({ status: 'pending' }).length, 0);
+  });
+
+  it('resolves a waiting run when the decision comes from another process', async () => {
+    const item = queue.add(REQUEST);
+    const waiting = queue.waitForDecision(item.id);
+
+    new ReviewQueue({ filePath: queue.filePath }).approve(item.id);
+
+    const decided = await waiting;
+    assert.equal(decided.status, REVIEW_STATUS.APPROVED);
+  });
+
+  it('expires items that time out or whose process is gone', async () => {
+    const timedOut = queue.add({ ...REQUEST, timeoutMs: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const decided = await queue.waitForDecision(timedOut.id);
+    assert.equal(decided.status, REVIEW_STATUS.EXPIRED);
+
+    const orphan = queue.add(REQUEST);
+    const data = JSON.parse(fs.readFileSync(queue.filePath, 'utf8'));
+    data.reviews.find(r => r.id === orphan.id).pid = 2 ** 22 + 1; // above Linux pid_max
+    fs.writeFileSync(queue.filePath, JSON.stringify(data));
+
+    assert.equal(queue.expireOrphaned(), 1);
+    assert.equal(queue.get(orphan.id).status, REVIEW_STATUS.EXPIRED);
+  });
+
+  it('expires the item when the run is aborted', async () => {
+    const item = queue.add(REQUEST);
+    const controller = new AbortController();
+    const waiting = queue.waitForDecision(item.id, { signal: controller.signal });
+    controller.abort();
+    await waiting.catch(() => {});
+    assert.equal(queue.get(item.id).status, REVIEW_STATUS.EXPIRED);
+  });
+});
+
+describe('AgentExecutor review gate', () => {
+  let tmpDir;
+  let executor;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-review-gate-'));
+    executor = new AgentExecutor(null, null, {});
+    executor.reviewQueue = new ReviewQueue({ filePath: path.join(tmpDir, 'review-queue.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const agent = { id: 'agent_1', name: 'Standup Poster', review: { required: true, tools: ['calendar_create'] } };
+
+  it('reads the review setting of an agent', () => {
+    assert.equal(getReviewPolicy({}), null);
+    assert.equal(getReviewPolicy({ review: { required: false } }), null);
+    assert.deepEqual(getReviewPolicy({ review: true }), { tools: [], timeoutMs: 24 * 60 * 60 * 1000 });
+    assert.deepEqual(getReviewPolicy({ review: { required: true, tools: ['Drive'], timeoutHours: 1 } }), { tools: ['drive'], timeoutMs: 60 * 60 * 1000 });
+  });
+
+  it('detects external actions from tool names', () => {
+    assert.deepEqual(detectExternalActions('mcp__slack__slack_post_message').map(a => a.system), ['slack']);
+    assert.deepEqual(detectExternalActions('mcp__gmail__send_email').map(a => a.system), ['gmail']);
+    assert.deepEqual(detectExternalActions('mcp__slack__slack_list_channels'), []);
+  });
+
+  it('lets tools without external effects through', async () => {
+    const run = { id: 'run_1', reviews: [] };
+    const decision = await executor.requestReview({
+      agent, run, policy: getReviewPolicy(agent), toolName: 'Read', toolInput: { file_path: '/tmp/x' }
+    });
+    assert.equal(decision, null);
+    assert.equal(executor.reviewQueue.list().length, 0);
+  });
+
+  it('holds external actions until approved with edits', async () => {
+    const run = { id: 'run_1', reviews: [] };
+    const pending = executor.requestReview({
+      agent, run, policy: getReviewPolicy(agent), toolName: REQUEST.toolName, toolInput: REQUEST.toolInput
+    });
+
+    const [item] = executor.reviewQueue.list({ status: 'pending' });
+    assert.equal(item.action, 'Post to #team');
+    executor.reviewQueue.approve(item.id, { input: { channel: '#team', text: 'Edited' } });
+
+    assert.deepEqual(await pending, { approved: true, input: { channel: '#team', text: 'Edited' } });
+    assert.deepEqual(run.reviews, [{ reviewId: item.id, tool: REQUEST.toolName, status: 'approved', edited: true }]);
+  });
+
+  it('holds configured tools and reports rejections to the agent', async () => {
+    const run = { id: 'run_1', reviews: [] };
+    const pending = executor.requestReview({
+      agent, run, policy: getReviewPolicy(agent), toolName: 'mcp__gcal__calendar_create_event', toolInput: {}
+    });
+
+    const [item] = executor.reviewQueue.list({ status: 'pending' });
+    executor.reviewQueue.reject(item.id, { reason: 'Not this week' });
+
+    const decision = await pending;
+    assert.equal(decision.approved, false);
+    assert.match(decision.message, /rejected this action: Not this week/);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { SessionStore } from '../src/sessions/SessionStore.js'
+import { SessionExporter, buildConversation } from '../src/sessions/SessionExporter.js'
+
+describe('SessionExporter', () => {
+  let tmpDir
+  let workspace
+  let store
+  let exporter
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-export-test-'))
+    workspace = path.join(tmpDir, 'ws')
+    fs.mkdirSync(path.join(workspace, 'generated'), { recursive: true })
+    fs.writeFileSync(path.join(workspace, 'generated', 'cat.png'), 'png-bytes')
+    store = new SessionStore({ basePath: path.join(tmpDir, 'sessions') })
+    exporter = new SessionExporter({ sessionStore: store })
+
+    const imagePath = path.join(workspace, 'generated', 'cat.png')
+    const log = (direction, payload) => store.appendEvent('s1', { direction, payload })
+    await store.ensureSession('s1', { title: 'Draw a cat', workspacePath: workspace })
+    await log('inbound', { type: 'query', message: 'Draw a cat' })
+    await log('outbound', { type: 'chunk', text: 'Drawing ' })
+    await log('outbound', { type: 'chunk', text: 'now.' })
+    await log('outbound', { type: 'tool_use', tool_use_id: 't1', tool_name: 'generate_image', input: { prompt: 'cat' } })
+    await log('outbound', { type: 'tool_use', tool_use_id: 't1', tool_name: 'generate_image', input: { prompt: 'cat' } })
+    await log('outbound', { type: 'permission_request', permission_id: 'p1', tool_name: 'generate_image', description: 'Generate an image' })
+    await log('inbound', { type: 'permission_response', permission_id: 'p1', approved: true, permission_level: 'once' })
+    await log('outbound', { type: 'tool_result', tool_use_id: 't1', tool_result: `Saved to ${imagePath}` })
+    await log('outbound', { type: 'chunk', text: `Here it is: ${imagePath} <b>` })
+    await log('outbound', { type: 'complete', session_id: 's1' })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('rebuilds messages, tool calls and permission decisions', async () => {
+    const items = buildConversation(await store.getSessionEvents('s1'))
+    assert.deepEqual(items.map((item) => item.type), ['user', 'assistant', 'tool', 'permission', 'assistant'])
+    assert.equal(items[1].text, 'Drawing now.')
+    assert.equal(items[2].result, `Saved to ${path.join(workspace, 'generated', 'cat.png')}`)
+    assert.equal(items[3].decision, 'approved')
+    assert.equal(items[3].level, 'once')
+  })
+
+  it('renders Markdown with collapsed tool calls', async () => {
+    const { content, filename } = await exporter.export('s1', { format: 'md' })
+    assert.equal(filename, 'draw-a-cat-s1.md')
+    assert.match(content, /^# Draw a cat/)
+    assert.match(content, /## User\n\nDraw a cat/)
+    assert.match(content, /<details>\n<summary>Tool: generate_image<\/summary>/)
+    assert.match(content, /> \*\*Permission\*\* generate_image: approved \(once\)/)
+  })
+
+  it('renders self-contained HTML with media embedded', async () => {
+    const { content, media } = await exporter.export('s1', { format: 'html' })
+    assert.deepEqual(media, [path.join(workspace, 'generated', 'cat.png')])
+    assert.ok(content.includes(`src="data:image/png;base64,${Buffer.from('png-bytes').toString('base64')}"`))
+    assert.ok(content.includes('&lt;b&gt;'))
+    assert.doesNotMatch(content, /<link|<script/)
+  })
+
+  it('imports a JSON bundle into another store and workspace', async () => {
+    const { content } = await exporter.export('s1', { format: 'json' })
+    const otherWorkspace = path.join(tmpDir, 'other')
+    fs.mkdirSync(path.join(otherWorkspace, 'generated'), { recursive: true })
+    fs.writeFileSync(path.join(otherWorkspace, 'generated', 'cat.png'), 'a different cat')
+    const otherStore = new SessionStore({ basePath: path.join(tmpDir, 'other-sessions') })
+
+    const { metadata, media } = await new SessionExporter({ sessionStore: otherStore }).import(content, { workspacePath: otherWorkspace })
+    assert.equal(metadata.id, 's1')
+    assert.equal(metadata.workspacePath, otherWorkspace)
+    assert.equal(metadata.importedFrom.sessionId, 's1')
+    assert.deepEqual(otherStore.getPendingFork('s1'), { parentSessionId: null, resume: null })
+
+    assert.equal(media.length, 1)
+    assert.equal(media[0].status, 'renamed')
+    assert.equal(fs.readFileSync(media[0].path, 'utf8'), 'png-bytes')
+    assert.equal(fs.readFileSync(path.join(otherWorkspace, 'generated', 'cat.png'), 'utf8'), 'a different cat')
+
+    const transcript = await otherStore.getTranscript('s1')
+    assert.ok(transcript[1].text.endsWith(`Here it is: ${media[0].path} <b>`))
+
+    // A second import of the same bundle gets a new id
+    const again = await new SessionExporter({ sessionStore: otherStore }).import(content, { workspacePath: otherWorkspace })
+    assert.notEqual(again.metadata.id, 's1')
+  })
+
+  it('rejects bundles that are invalid or write outside the workspace', async () => {
+    await assert.rejects(exporter.import({ format: 'other' }, { workspacePath: workspace }), /Not a Friday session bundle/)
+    const bundle = JSON.parse((await exporter.export('s1', { format: 'json' })).content)
+    bundle.media[0].path = '../escape.png'
+    await assert.rejects(exporter.import(bundle, { workspacePath: workspace }), /dot segment/)
+    await assert.rejects(exporter.export('s1', { format: 'pdf' }), /Unknown export format/)
+  })
+
+  describe('rejects media paths', () => {
+    let bundle
+    let target
+
+    beforeEach(async () => {
+      bundle = JSON.parse((await exporter.export('s1', { format: 'json' })).content)
+      target = path.join(tmpDir, 'target')
+      fs.mkdirSync(target)
+    })
+
+    const rejects = async (mediaPath, pattern) => {
+      bundle.media.push({ ...bundle.media[0], path: mediaPath })
+      await assert.rejects(exporter.import(bundle, { workspacePath: target }), pattern)
+      assert.deepEqual(fs.readdirSync(target), [], 'nothing is written')
+    }
+
+    it('that are absolute', () => rejects(path.join(tmpDir, 'abs.png'), /not a relative path/))
+    it('with dot segments', () => rejects('generated/../../escape.png', /dot segment/))
+    it('with a leading ./', () => rejects('./cat.png', /dot segment/))
+    it('through dot directories', () => rejects('.git/hooks/cat.png', /dot segment/))
+    it('naming dotfiles', () => rejects('.bashrc.png', /dotfile/))
+    it('that are not media files', () => rejects('generated/run.sh', /not a media file/))
+    it('without an extension', () => rejects('Makefile', /not a media file/))
+
+    it('that leave the workspace through a symlink', async () => {
+      const outside = path.join(tmpDir, 'outside')
+      fs.mkdirSync(outside)
+      fs.symlinkSync(outside, path.join(target, 'link'))
+      bundle.media.push({ ...bundle.media[0], path: 'link/cat.png' })
+      await assert.rejects(exporter.import(bundle, { workspacePath: target }), /escapes the workspace/)
+      assert.deepEqual(fs.readdirSync(outside), [])
+    })
+  })
+
+  it('leaves media in dot directories out of bundles', async () => {
+    fs.mkdirSync(path.join(workspace, '.cache'))
+    const hidden = path.join(workspace, '.cache', 'dog.png')
+    fs.writeFileSync(hidden, 'png-bytes')
+    await store.appendEvent('s1', { direction: 'outbound', payload: { type: 'chunk', text: `And ${hidden}` } })
+    await store.appendEvent('s1', { direction: 'outbound', payload: { type: 'complete', session_id: 's1' } })
+    const bundle = JSON.parse((await exporter.export('s1', { format: 'json' })).content)
+    assert.deepEqual(bundle.media.map((file) => file.path), ['generated/cat.png'])
+  })
+})
@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { SessionStore } from '../src/sessions/SessionStore.js'
+import { buildSnippet, parseQuery } from '../src/sessions/SessionSearchIndex.js'
+
+describe('SessionSearchIndex', () => {
+  let tmpDir
+  let basePath
+  let store
+
+  const log = (sessionId, direction, payload) => store.appendEvent(sessionId, { direction, payload })
+
+  const conversation = async (sessionId, { title, query, reply, tool }) => {
+    await store.ensureSession(sessionId, { title, workspacePath: '/ws' })
+    await log(sessionId, 'inbound', { type: 'query', message: query })
+    for (const word of reply.split(/(?= )/)) {
+      await log(sessionId, 'outbound', { type: 'chunk', text: word })
+    }
+    if (tool) {
+      await log(sessionId, 'outbound', { type: 'tool_use', tool_use_id: `${sessionId}-t`, tool_name: tool.name, input: tool.input })
+      await log(sessionId, 'outbound', { type: 'tool_use', tool_use_id: `${sessionId}-t`, tool_name: tool.name, input: tool.input })
+    }
+    await log(sessionId, 'outbound', { type: 'complete', session_id: sessionId })
+  }
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-search-test-'))
+    basePath = path.join(tmpDir, 'sessions')
+    store = new SessionStore({ basePath })
+    await conversation('stripe', {
+      title: 'Payments',
+      query: 'Set up the Stripe webhook for checkout',
+      reply: 'I added a webhook handler that verifies the Stripe signature.',
+      tool: { name: 'Write', input: { file_path: '/ws/api/stripe-webhook.js', content: 'const secret = process.env.WHSEC' } }
+    })
+    await conversation('cat', {
+      title: 'Draw a cat',
+      query: 'Draw a cat wearing a hat',
+      reply: 'Here is the cat you asked for.',
+      tool: { name: 'generate_image', input: { prompt: 'cat in a hat' } }
+    })
+    await conversation('logs', {
+      title: 'Webhook logs',
+      query: 'Why are the GitHub webhooks failing?',
+      reply: 'The deliveries time out after ten seconds.'
+    })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('ranks sessions that match every term first', async () => {
+    const results = await store.searchSessions('stripe webhook')
+    assert.deepEqual(results.map((r) => r.id), ['stripe', 'logs'])
+    assert.equal(results[0].title, 'Payments')
+    assert.ok(results[0].score > results[1].score)
+    assert.deepEqual(results[0].matches.map((m) => m.kind).sort(), ['assistant', 'tool', 'user'])
+  })
+
+  it('indexes tool names and file paths but not other tool input', async () => {
+    assert.equal((await store.searchSessions('stripe-webhook.js'))[0].id, 'stripe')
+    assert.deepEqual((await store.searchSessions('api')).map((r) => r.id), ['stripe'])
+    assert.deepEqual((await store.searchSessions('generate_image')).map((r) => r.id), ['cat'])
+    assert.deepEqual(await store.searchSessions('whsec'), [])
+  })
+
+  it('matches the last word as a prefix and finds words in titles', async () => {
+    assert.deepEqual((await store.searchSessions('signat')).map((r) => r.id), ['stripe'])
+    assert.deepEqual((await store.searchSessions('payments')).map((r) => r.id), ['stripe'])
+    assert.deepEqual(await store.searchSessions('   '), [])
+  })
+
+  it('highlights matches in snippets', async () => {
+    const [result] = await store.searchSessions('github')
+    const match = result.matches[0]
+    assert.equal(match.kind, 'user')
+    const [[start, end]] = match.highlights
+    assert.equal(match.text.slice(start, end), 'GitHub')
+
+    const long = `${'filler '.repeat(60)}the Stripe webhook ${'tail '.repeat(60)}`
+    const snippet = buildSnippet(long, parseQuery('webhook'))
+    assert.ok(snippet.text.startsWith('…') && snippet.text.endsWith('…'))
+    assert.equal(snippet.text.slice(...snippet.highlights[0]), 'webhook')
+  })
+
+  it('persists incrementally and rebuilds from the event logs', async () => {
+    const indexPath = path.join(basePath, 'search.index.jsonl')
+    const lines = fs.readFileSync(indexPath, 'utf8').trim().split('\n')
+    assert.equal(lines.length, 8)
+
+    // Another process sharing the index picks up new passages
+    const other = new SessionStore({ basePath })
+    assert.deepEqual(await other.searchSessions('rotate'), [])
+    await conversation('cat', { title: 'Draw a cat', query: 'Rotate the Stripe keys', reply: 'Done.' })
+    assert.deepEqual((await other.searchSessions('rotate')).map((r) => r.id), ['cat'])
+
+    fs.rmSync(indexPath)
+    const rebuilt = new SessionStore({ basePath })
+    assert.deepEqual((await rebuilt.searchSessions('stripe webhook')).map((r) => r.id), ['stripe', 'logs', 'cat'])
+    assert.ok(fs.existsSync(indexPath))
+  })
+
+  it('indexes forks and drops deleted sessions', async () => {
+    await store.forkSession('stripe', 'stripe-fork')
+    assert.deepEqual((await store.searchSessions('checkout')).map((r) => r.id).sort(), ['stripe', 'stripe-fork'])
+
+    await store.deleteSession('stripe')
+    assert.deepEqual((await store.searchSessions('checkout')).map((r) => r.id), ['stripe-fork'])
+    const reopened = new SessionStore({ basePath })
+    assert.deepEqual((await reopened.searchSessions('checkout')).map((r) => r.id), ['stripe-fork'])
+  })
+})
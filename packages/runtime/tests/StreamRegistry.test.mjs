@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StreamRegistry } from '../src/runtime/StreamRegistry.js';
+import { AgentRuntime } from '../src/runtime/AgentRuntime.js';
+
+// Minimal stand-in for AgentRuntime's stream surface
+function createRuntime(history = []) {
+  const runtime = new EventEmitter();
+  runtime.currentSessionId = null;
+  runtime.streamSeq = history.length;
+  runtime.emitMessage = (payload) => {
+    const sequenced = { ...payload, seq: ++runtime.streamSeq };
+    history.push(sequenced);
+    runtime.emit('message', sequenced);
+  };
+  runtime.getStreamEventsSince = async (sessionId, afterSeq) => history.filter((p) => p.seq > afterSeq);
+  return runtime;
+}
+
+describe('StreamRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new StreamRegistry({ graceMs: 50 });
+  });
+
+  describe('claim', () => {
+    it('finds runtimes by the session ids they announce', () => {
+      const runtime = createRuntime();
+      registry.track(runtime);
+      runtime.emitMessage({ type: 'session', session_id: 's1' });
+      assert.equal(registry.claim('s1'), runtime);
+    });
+
+    it("refuses another token's runtime", () => {
+      const runtime = createRuntime();
+      registry.track(runtime, { tokenId: 'tok_a', appId: 'app' });
+      runtime.emitMessage({ type: 'session', session_id: 's1' });
+      registry.release(runtime);
+
+      assert.throws(() => registry.claim('s1', { tokenId: 'tok_b', appId: 'app' }), /another client/);
+      assert.throws(() => registry.claim('s1'), /another client/);
+      assert.equal(registry.claim('s1', { tokenId: 'tok_a', appId: 'app' }), runtime);
+    });
+
+    it('returns null for unknown sessions', () => {
+      assert.equal(registry.claim('nope'), null);
+    });
+
+    it('forgets released runtimes after the grace period', async () => {
+      const runtime = createRuntime();
+      runtime.currentSessionId = 's1';
+      registry.release(runtime);
+      assert.equal(registry.sessions.get('s1'), runtime);
+
+      await new Promise((resolve) => setTimeout(resolve, 80));
+      assert.equal(registry.claim('s1'), null);
+    });
+
+    it('keeps a claimed runtime past the grace period', async () => {
+      const runtime = createRuntime();
+      runtime.currentSessionId = 's1';
+      registry.release(runtime);
+      registry.claim('s1');
+
+      await new Promise((resolve) => setTimeout(resolve, 80));
+      assert.equal(registry.sessions.get('s1'), runtime);
+    });
+  });
+
+  describe('assertCanAdopt', () => {
+    let tmpDir;
+    const runtimeFor = (owner) => new AgentRuntime({ workspacePath: tmpDir, sessionsPath: path.join(tmpDir, 'sessions'), ...owner });
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-stream-registry-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("refuses to replay or adopt another token's finished session", async () => {
+      const tokenA = { tokenId: 'tok_a', appId: 'app' };
+      const tokenB = { tokenId: 'tok_b', appId: 'app' };
+      const first = runtimeFor(tokenA);
+      first.initializeSessionLogging('s1');
+      await first.sessionStore.settleEvents('s1');
+      assert.deepEqual((await first.sessionStore.getSessionMetadata('s1')).owner, tokenA);
+
+      // Nothing is live any more, so claim() finds no runtime to compare against
+      assert.equal(registry.claim('s1', tokenB), null);
+      assert.throws(() => registry.assertCanAdopt(runtimeFor(tokenB), 's1', tokenB), /another client/);
+      assert.throws(() => registry.assertCanAdopt(runtimeFor({}), 's1'), /another client/);
+      registry.assertCanAdopt(runtimeFor(tokenA), 's1', tokenA);
+      registry.assertCanAdopt(runtimeFor(tokenB), 'unknown', tokenB);
+    });
+  });
+
+  describe('replay', () => {
+    it('sends missed events and then attaches to the live stream', async () => {
+      const runtime = createRuntime();
+      runtime.emitMessage({ type: 'chunk', text: 'a' });
+      runtime.emitMessage({ type: 'chunk', text: 'b' });
+      runtime.emitMessage({ type: 'chunk', text: 'c' });
+
+      const received = [];
+      const count = await registry.replay(runtime, 's1', 1, (payload) => received.push(payload));
+      runtime.emitMessage({ type: 'chunk', text: 'd' });
+
+      assert.equal(count, 2);
+      assert.deepEqual(received.map((p) => p.seq), [2, 3, 4]);
+    });
+
+    it('does not drop events emitted while the replay is loading', async () => {
+      const runtime = createRuntime();
+      runtime.emitMessage({ type: 'chunk', text: 'a' });
+      const load = runtime.getStreamEventsSince;
+      runtime.getStreamEventsSince = async (sessionId, afterSeq) => {
+        const events = await load(sessionId, afterSeq);
+        runtime.emitMessage({ type: 'chunk', text: 'late' });
+        return events;
+      };
+
+      const received = [];
+      await registry.replay(runtime, 's1', 0, (payload) => received.push(payload));
+      assert.deepEqual(received.map((p) => p.seq), [1, 2]);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import {
+  Tracer,
+  JsonlTraceExporter,
+  OtlpHttpExporter,
+  SPAN_STATUS,
+  parseTraceparent,
+  parseOtlpHeaders,
+  toOtlpRequest,
+} from '../src/tracing/Tracer.js';
+
+class MemoryExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  export(spans) {
+    this.spans.push(...spans);
+  }
+}
+
+describe('Tracer', () => {
+  let exporter;
+  let tracer;
+
+  beforeEach(() => {
+    exporter = new MemoryExporter();
+    tracer = new Tracer({ exporters: [exporter] });
+  });
+
+  it('links child spans to their parent', async () => {
+    const root = tracer.startSpan('friday.query', { parent: null, attributes: { 'session.id': 's1' } });
+    const child = tracer.startSpan('friday.tool', { parent: root });
+    child.end();
+    root.end();
+    await tracer.flush();
+
+    assert.equal(exporter.spans.length, 2);
+    const [tool, query] = exporter.spans;
+    assert.equal(tool.traceId, query.traceId);
+    assert.equal(tool.parentSpanId, query.spanId);
+    assert.equal(query.parentSpanId, null);
+    assert.equal(query.attributes['session.id'], 's1');
+    assert.ok(query.durationMs >= 0);
+  });
+
+  it('makes withSpan the active span and records errors', async () => {
+    await assert.rejects(tracer.withSpan('outer', { parent: null }, async (outer) => {
+      const inner = tracer.startSpan('inner');
+      assert.equal(inner.parentSpanId, outer.spanId);
+      assert.equal(tracer.getActiveSpan(), outer);
+      inner.end();
+      throw new Error('boom');
+    }), /boom/);
+    await tracer.flush();
+
+    const outer = exporter.spans.find(span => span.name === 'outer');
+    assert.equal(outer.status, SPAN_STATUS.ERROR);
+    assert.equal(outer.statusMessage, 'boom');
+    assert.equal(outer.events[0].name, 'exception');
+    assert.equal(tracer.getActiveSpan(), null);
+  });
+
+  it('sums numeric attributes', () => {
+    const span = tracer.startSpan('q', { parent: null });
+    span.addToAttribute('cost.usd', 0.25).addToAttribute('cost.usd', 0.5).addToAttribute('cost.usd', undefined);
+    assert.equal(span.attributes['cost.usd'], 0.75);
+  });
+
+  it('continues a trace from a traceparent', () => {
+    const root = tracer.startSpan('q', { parent: null });
+    const remote = parseTraceparent(root.traceparent);
+    assert.deepEqual(remote, { traceId: root.traceId, spanId: root.spanId });
+    const child = tracer.startSpan('media.generate_image', { parent: remote });
+    assert.equal(child.traceId, root.traceId);
+    assert.equal(child.parentSpanId, root.spanId);
+    assert.equal(child.isLocalRoot, true);
+    assert.equal(parseTraceparent('garbage'), null);
+  });
+
+  it('records nothing when disabled', async () => {
+    const disabled = new Tracer({ enabled: false, exporters: [exporter] });
+    disabled.startSpan('q', { parent: null }).end();
+    await disabled.flush();
+    assert.equal(exporter.spans.length, 0);
+  });
+});
+
+describe('JsonlTraceExporter', () => {
+  let tmpDir;
+  let tracer;
+  let exporter;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-traces-'));
+    exporter = new JsonlTraceExporter({ dir: tmpDir });
+    tracer = new Tracer({ exporters: [exporter] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const recordQuery = (sessionId, { error = null } = {}) => {
+    const root = tracer.startSpan('friday.query', { parent: null, attributes: { 'session.id': sessionId, 'cost.usd': 0.1 } });
+    tracer.startSpan('friday.tool', { parent: root, attributes: { 'tool.name': 'Bash' } }).end();
+    if (error) root.recordError(new Error(error));
+    root.end();
+  };
+
+  it('reads back the traces of a session by id prefix', () => {
+    recordQuery('session-aaa');
+    recordQuery('session-aaa');
+    recordQuery('session-bbb');
+
+    const { sessionId, spans } = exporter.readSession('session-a');
+    assert.equal(sessionId, 'session-aaa');
+    assert.equal(spans.length, 4);
+    assert.equal(spans.filter(span => span.name === 'friday.tool').length, 2);
+
+    assert.deepEqual(exporter.readSession('session-').ambiguous.sort(), ['session-aaa', 'session-bbb']);
+    assert.equal(exporter.readSession('nope').spans.length, 0);
+  });
+
+  it('summarizes traced sessions', () => {
+    recordQuery('s1');
+    recordQuery('s1', { error: 'failed' });
+    const [summary] = exporter.listSessions();
+    assert.equal(summary.sessionId, 's1');
+    assert.equal(summary.queries, 2);
+    assert.equal(summary.errors, 1);
+    assert.ok(Math.abs(summary.cost - 0.2) < 1e-9);
+  });
+
+  it('deletes files past the retention period', () => {
+    fs.writeFileSync(path.join(tmpDir, '2000-01-01.jsonl'), '{}\n');
+    recordQuery('s1');
+    assert.deepEqual(exporter.listFiles(), [`${new Date().toISOString().slice(0, 10)}.jsonl`]);
+  });
+});
+
+describe('OTLP export', () => {
+  it('converts spans to OTLP JSON', () => {
+    const tracer = new Tracer({ serviceName: 'friday-test' });
+    const span = tracer.startSpan('friday.query', { parent: null, attributes: { 'session.id': 's1', 'gen_ai.usage.input_tokens': 12, 'cost.usd': 0.5, 'friday.batch': true } });
+    span.setStatus(SPAN_STATUS.OK);
+    span.end();
+
+    const request = toOtlpRequest([span.toJSON()]);
+    const [resourceSpans] = request.resourceSpans;
+    assert.deepEqual(resourceSpans.resource.attributes, [{ key: 'service.name', value: { stringValue: 'friday-test' } }]);
+    const [otlpSpan] = resourceSpans.scopeSpans[0].spans;
+    assert.equal(otlpSpan.traceId, span.traceId);
+    assert.equal(otlpSpan.status.code, 1);
+    assert.equal(otlpSpan.startTimeUnixNano, `${span.startTime}000000`);
+    assert.deepEqual(otlpSpan.attributes, [
+      { key: 'session.id', value: { stringValue: 's1' } },
+      { key: 'gen_ai.usage.input_tokens', value: { intValue: '12' } },
+      { key: 'cost.usd', value: { doubleValue: 0.5 } },
+      { key: 'friday.batch', value: { boolValue: true } },
+    ]);
+  });
+
+  it('parses OTEL_EXPORTER_OTLP_HEADERS', () => {
+    assert.deepEqual(parseOtlpHeaders('x-api-key=abc, authorization=Basic%20eA=='), { 'x-api-key': 'abc', authorization: 'Basic eA==' });
+  });
+
+  it('posts finished traces to the collector', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const endpoint = `http://127.0.0.1:${server.address().port}`;
+      const tracer = new Tracer({ exporters: [new OtlpHttpExporter({ endpoint, headers: { 'x-api-key': 'k' } })] });
+      const root = tracer.startSpan('friday.query', { parent: null });
+      tracer.startSpan('friday.tool', { parent: root }).end();
+      assert.equal(received.length, 0);
+      root.end();
+      await tracer.flush();
+
+      assert.equal(received.length, 1);
+      assert.equal(received[0].url, '/v1/traces');
+      assert.equal(received[0].headers['x-api-key'], 'k');
+      assert.equal(received[0].body.resourceSpans[0].scopeSpans[0].spans.length, 2);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -1,6 +1,15 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { TriggerRouter } from '../src/scheduler/TriggerRouter.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TriggerRouter, verifyWebhookSignature, MAX_WEBHOOK_BODY_BYTES } from '../src/scheduler/TriggerRouter.js';
+import { TriggerStore } from '../src/scheduler/TriggerStore.js';
+
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
 
 describe('TriggerRouter', () => {
   let router;
@@ -183,4 +192,154 @@ describe('TriggerRouter', () => {
       assert.equal(triggers.length, 2);
     });
   });
+
+  describe('verifyWebhookSignature', () => {
+    it('accepts a valid sha256 signature', () => {
+      assert.equal(verifyWebhookSignature('s3cret', '{"a":1}', sign('s3cret', '{"a":1}')), true);
+    });
+
+    it('rejects a wrong secret, altered body or malformed header', () => {
+      const signature = sign('s3cret', '{"a":1}');
+      assert.equal(verifyWebhookSignature('other', '{"a":1}', signature), false);
+      assert.equal(verifyWebhookSignature('s3cret', '{"a":2}', signature), false);
+      assert.equal(verifyWebhookSignature('s3cret', '{"a":1}', signature.replace('sha256=', 'sha1=')), false);
+      assert.equal(verifyWebhookSignature('s3cret', '{"a":1}', 'sha256=abc'), false);
+      assert.equal(verifyWebhookSignature('s3cret', '{"a":1}', undefined), false);
+      assert.equal(verifyWebhookSignature(undefined, '{"a":1}', signature), false);
+    });
+  });
+
+  describe('receiveWebhook', () => {
+    const body = Buffer.from(JSON.stringify({ ref: 'main' }));
+    let fired;
+
+    beforeEach(() => {
+      fired = [];
+      router.agentExecutor = {
+        executeAgent: async (agentId, opts) => {
+          fired.push({ agentId, opts });
+          return { success: true };
+        },
+      };
+      router.register({ id: 'wh1', type: 'webhook', agentId: 'a1', config: { source: 'github', event: 'push', secret: 'one' } });
+      router.register({ id: 'wh2', type: 'webhook', agentId: 'a2', config: { source: 'github', event: 'push', secret: 'two' } });
+    });
+
+    it('answers an unknown trigger like a bad signature', () => {
+      const unknown = router.receiveWebhook('github', 'issues', { rawBody: body, signature: sign('one', body) });
+      const badSignature = router.receiveWebhook('github', 'push', { rawBody: body, signature: sign('nope', body) });
+      assert.deepEqual(unknown, badSignature);
+      assert.equal(unknown.status, 401);
+    });
+
+    it('refuses bodies over the size limit', () => {
+      const large = Buffer.alloc(MAX_WEBHOOK_BODY_BYTES + 1, 'a');
+      const result = router.receiveWebhook('github', 'push', { rawBody: large, signature: sign('one', large) });
+      assert.equal(result.status, 413);
+    });
+
+    it('truncates long payloads before they reach the agent', async () => {
+      const long = Buffer.from(JSON.stringify({ commits: 'x'.repeat(100000) }));
+      const result = router.receiveWebhook('github', 'push', { rawBody: long, signature: sign('one', long) });
+      assert.equal(result.status, 202);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.ok(fired[0].opts.additionalContext.length < 20000);
+      assert.match(fired[0].opts.additionalContext, /truncated \d+ characters/);
+    });
+
+    it('returns 401 for a bad signature and fires nothing', async () => {
+      const result = router.receiveWebhook('github', 'push', { rawBody: body, signature: sign('nope', body) });
+      assert.equal(result.status, 401);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(fired.length, 0);
+    });
+
+    it('fires only the triggers whose secret signed the body', async () => {
+      const result = router.receiveWebhook('github', 'push', { rawBody: body, signature: sign('two', body) });
+      assert.equal(result.status, 202);
+      assert.deepEqual(result.triggered, ['wh2']);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.deepEqual(fired.map(f => f.agentId), ['a2']);
+      assert.match(fired[0].opts.additionalContext, /"ref": "main"/);
+      assert.deepEqual(fired[0].opts.trigger, { id: 'wh2', type: 'webhook' });
+    });
+  });
+
+  describe('loadFromStore', () => {
+    let tmpDir;
+    let store;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-triggers-'));
+      store = new TriggerStore({ dataDir: tmpDir });
+      router = new TriggerRouter({ store });
+    });
+
+    afterEach(() => {
+      router.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('registers stored triggers and drops removed ones', () => {
+      const a = store.add({ type: 'manual', agentId: 'a1' });
+      const b = store.add({ type: 'chain', agentId: 'a2', config: { sourceAgentId: 'a1' } });
+      router.loadFromStore();
+      assert.deepEqual(router.listTriggers().map(t => t.id).sort(), [a.id, b.id].sort());
+      assert.ok(router._chainListeners.has('a1'));
+
+      store.remove(b.id);
+      router.loadFromStore();
+      assert.deepEqual(router.listTriggers().map(t => t.id), [a.id]);
+      assert.equal(router._chainListeners.has('a1'), false);
+    });
+  });
+
+  describe('file_watch triggers', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-watch-'));
+    });
+
+    afterEach(() => {
+      router.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('does not watch unless watchFiles is enabled', () => {
+      router.register({ id: 'fw1', type: 'file_watch', agentId: 'a1', config: { path: tmpDir } });
+      assert.equal(router._watchers.size, 0);
+    });
+
+    it('debounces a burst of changes into one run', async () => {
+      const fired = [];
+      router = new TriggerRouter({
+        watchFiles: true,
+        agentExecutor: {
+          executeAgent: async (agentId, opts) => {
+            fired.push(opts.additionalContext);
+            return { success: true };
+          },
+        },
+      });
+      router.register({ id: 'fw1', type: 'file_watch', agentId: 'a1', config: { path: tmpDir, debounceMs: 100 } });
+
+      fs.writeFileSync(path.join(tmpDir, 'one.md'), '1');
+      fs.writeFileSync(path.join(tmpDir, 'two.md'), '2');
+      fs.writeFileSync(path.join(tmpDir, 'one.md'), '1b');
+      await new Promise(resolve => setTimeout(resolve, 400));
+
+      assert.equal(fired.length, 1);
+      assert.match(fired[0], /one\.md/);
+      assert.match(fired[0], /two\.md/);
+    });
+
+    it('stops watching on unregister', () => {
+      router = new TriggerRouter({ watchFiles: true });
+      router.register({ id: 'fw1', type: 'file_watch', agentId: 'a1', config: { path: tmpDir } });
+      assert.equal(router._watchers.size, 1);
+      router.unregister('fw1');
+      assert.equal(router._watchers.size, 0);
+    });
+  });
 });
@@ -0,0 +1,67 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TriggerStore } from '../src/scheduler/TriggerStore.js';
+
+describe('TriggerStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'friday-trigger-store-'));
+    store = new TriggerStore({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('persists triggers next to the agent data', () => {
+    const trigger = store.add({ type: 'manual', agentId: 'a1' });
+    assert.match(trigger.id, /^trg_/);
+    assert.equal(store.filePath, path.join(tmpDir, 'triggers.json'));
+
+    const reopened = new TriggerStore({ dataDir: tmpDir });
+    assert.deepEqual(reopened.get(trigger.id), trigger);
+  });
+
+  it('writes the file owner-only', { skip: process.platform === 'win32' }, () => {
+    store.add({ type: 'manual', agentId: 'a1' });
+    assert.equal(fs.statSync(store.filePath).mode & 0o777, 0o600);
+  });
+
+  it('generates a webhook secret when none is given', () => {
+    const generated = store.add({ type: 'webhook', agentId: 'a1', config: { source: 'github', event: 'push' } });
+    assert.match(generated.config.secret, /^[0-9a-f]{48}$/);
+    const explicit = store.add({ type: 'webhook', agentId: 'a1', config: { source: 'github', event: 'push', secret: 'mine' } });
+    assert.equal(explicit.config.secret, 'mine');
+  });
+
+  it('resolves file_watch paths', () => {
+    const trigger = store.add({ type: 'file_watch', agentId: 'a1', config: { path: 'docs' } });
+    assert.equal(trigger.config.path, path.resolve('docs'));
+  });
+
+  it('validates type-specific config', () => {
+    assert.throws(() => store.add({ type: 'cron', agentId: 'a1' }), /Unknown trigger type/);
+    assert.throws(() => store.add({ type: 'manual' }), /requires agentId/);
+    assert.throws(() => store.add({ type: 'webhook', agentId: 'a1', config: { source: 'github' } }), /source and event/);
+    assert.throws(() => store.add({ type: 'file_watch', agentId: 'a1' }), /require path/);
+    assert.throws(() => store.add({ type: 'chain', agentId: 'a1' }), /sourceAgentId/);
+  });
+
+  it('removes triggers and sees changes from other processes', () => {
+    const trigger = store.add({ type: 'manual', agentId: 'a1' });
+    const other = new TriggerStore({ dataDir: tmpDir });
+    assert.equal(other.list().length, 1);
+
+    assert.equal(store.remove(trigger.id), true);
+    assert.equal(store.remove(trigger.id), false);
+    // Force a distinct mtime so the cached copy is invalidated
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(store.filePath, future, future);
+    assert.equal(other.list().length, 0);
+  });
+});